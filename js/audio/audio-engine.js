@@ -4,12 +4,16 @@
  * Extracted from monolithic index.html for clean architecture
  */
 
+import { MicrophoneSource, AudioBufferSource, MediaElementAudioSource, TestToneSource } from './audio-sources.js';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+
 // Global audio state flags - CRITICAL for system integration
 window.audioEnabled = false; // Global audio flag (will auto-enable on interaction)
 
 /**
  * Simple Audio Engine - Mobile-safe and actually works
  * Provides real-time audio analysis for all visualization systems
+ * Input comes from a swappable source (microphone, file, URL, <audio> element or test tone)
  */
 export class SimpleAudioEngine {
     constructor() {
@@ -18,95 +22,251 @@ export class SimpleAudioEngine {
         this.dataArray = null;
         this.isActive = false;
         
+        // Current input and the gain node that routes playback sources to the speakers
+        this.source = null;
+        this.monitor = null;
+        this.processing = false;
+        
+        // Shared onset/tempo analysis - beats are broadcast so any system can sync to them
+        this.analyzer = new AudioAnalyzer();
+        this.analyzer.on('beat', (detail) => {
+            window.dispatchEvent(new CustomEvent('vib34d:beat', { detail }));
+        });
+        
         // Mobile-safe: Initialize with defaults
         window.audioReactive = {
             bass: 0,
             mid: 0, 
             high: 0,
-            energy: 0
+            energy: 0,
+            onset: false,
+            beat: false,
+            bpm: 0,
+            beatPhase: 0,
+            centroid: 0,
+            brightness: 0,
+            flux: 0
         };
         
         console.log('🎵 Audio Engine: Initialized with default values');
     }
     
+    /**
+     * Start with the microphone (default input)
+     */
     async init() {
         if (this.isActive) return true;
         
-        try {
-            console.log('🎵 Simple Audio Engine: Starting...');
-            
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        console.log('🎵 Simple Audio Engine: Starting...');
+        return this.setSource(new MicrophoneSource());
+    }
+    
+    /**
+     * Create the audio context and analyser on first use
+     */
+    ensureContext() {
+        if (!this.context) {
             this.context = new (window.AudioContext || window.webkitAudioContext)();
             
-            if (this.context.state === 'suspended') {
-                await this.context.resume();
-            }
-            
             this.analyser = this.context.createAnalyser();
             this.analyser.fftSize = 256;
             this.analyser.smoothingTimeConstant = 0.8;
+            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            this.analyzer.configure({ sampleRate: this.context.sampleRate, fftSize: this.analyser.fftSize });
+            
+            this.monitor = this.context.createGain();
+            this.monitor.connect(this.context.destination);
+        }
+        
+        // Browsers only resume after a user gesture - don't block source setup on it
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+        
+        return this.context;
+    }
+    
+    /**
+     * Switch the analysed input - bands in window.audioReactive keep updating the same way
+     * @param {AudioSource} source
+     * @returns {Promise<boolean>} Whether the source connected
+     */
+    async setSource(source) {
+        try {
+            this.ensureContext();
+            const output = await source.connect(this.context);
             
-            const source = this.context.createMediaStreamSource(stream);
-            source.connect(this.analyser);
+            if (this.source && this.source !== source) {
+                this.source.disconnect();
+            }
             
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            output.connect(this.analyser);
+            if (source.monitored) {
+                output.connect(this.monitor);
+            }
+            
+            this.source = source;
             this.isActive = true;
+            this.analyzer.reset();
             
             // CRITICAL FIX: Enable global audio flag so visualizers will use the data
             window.audioEnabled = true;
             
             this.startProcessing();
-            console.log('✅ Audio Engine: Active - window.audioEnabled = true');
+            console.log(`✅ Audio Engine: ${source.label} active - window.audioEnabled = true`);
             return true;
             
         } catch (error) {
-            console.log('⚠️ Audio denied - silent mode');
-            window.audioEnabled = false; // Keep audio disabled if permission denied
+            if (source.type === 'microphone') {
+                console.log('⚠️ Audio denied - silent mode');
+            } else {
+                console.error(`❌ Audio source failed (${source.label}):`, error);
+            }
+            source.disconnect();
+            
+            // Keep audio disabled unless a previous source is still running
+            if (!this.source) {
+                window.audioEnabled = false;
+            }
             return false;
         }
     }
     
+    useMicrophone() {
+        return this.setSource(new MicrophoneSource());
+    }
+    
+    /**
+     * Decode an uploaded file (File/Blob) and play it through the analyser
+     */
+    async loadFile(file, autoplay = true) {
+        const connected = await this.setSource(AudioBufferSource.fromFile(file));
+        if (connected && autoplay) this.play();
+        return connected;
+    }
+    
+    /**
+     * Decode audio from a URL (must allow CORS when cross-origin)
+     */
+    async loadURL(url, autoplay = true) {
+        const connected = await this.setSource(AudioBufferSource.fromURL(url));
+        if (connected && autoplay) this.play();
+        return connected;
+    }
+    
+    /**
+     * Analyse an existing <audio> element (it keeps its own controls)
+     */
+    useAudioElement(element) {
+        return this.setSource(new MediaElementAudioSource(element));
+    }
+    
+    /**
+     * Generated test tone - kick/tone/hats at a known BPM, no microphone needed
+     */
+    async useTestTone(options = {}, autoplay = true) {
+        const connected = await this.setSource(new TestToneSource(options));
+        if (connected && autoplay) this.play();
+        return connected;
+    }
+    
+    /**
+     * Transport controls (no-ops for live microphone input)
+     */
+    play() {
+        this.source?.play();
+    }
+    
+    pause() {
+        this.source?.pause();
+    }
+    
+    stopPlayback() {
+        this.source?.stop();
+    }
+    
+    seek(seconds) {
+        this.source?.seek(seconds);
+    }
+    
+    setLoopRegion(start, end) {
+        this.source?.setLoopRegion(start, end);
+    }
+    
+    clearLoopRegion() {
+        this.source?.clearLoopRegion();
+    }
+    
+    setLooping(enabled) {
+        this.source?.setLooping(enabled);
+    }
+    
+    getTransportState() {
+        return this.source ? this.source.getState() : null;
+    }
+    
     startProcessing() {
+        // One loop for the engine's lifetime - sources can be swapped underneath it
+        if (this.processing) return;
+        this.processing = true;
+        
         const process = () => {
-            if (!this.isActive || !this.analyser) {
-                requestAnimationFrame(process);
-                return;
-            }
-            
-            this.analyser.getByteFrequencyData(this.dataArray);
-            
-            // Simple frequency analysis
-            const len = this.dataArray.length;
-            const bassRange = Math.floor(len * 0.1);
-            const midRange = Math.floor(len * 0.3);
-            
-            let bass = 0, mid = 0, high = 0;
-            
-            for (let i = 0; i < bassRange; i++) bass += this.dataArray[i];
-            for (let i = bassRange; i < midRange; i++) mid += this.dataArray[i];
-            for (let i = midRange; i < len; i++) high += this.dataArray[i];
-            
-            bass = (bass / bassRange) / 255;
-            mid = (mid / (midRange - bassRange)) / 255;
-            high = (high / (len - midRange)) / 255;
-            
-            const smoothing = 0.7;
-            window.audioReactive.bass = bass * smoothing + window.audioReactive.bass * (1 - smoothing);
-            window.audioReactive.mid = mid * smoothing + window.audioReactive.mid * (1 - smoothing);
-            window.audioReactive.high = high * smoothing + window.audioReactive.high * (1 - smoothing);
-            window.audioReactive.energy = (window.audioReactive.bass + window.audioReactive.mid + window.audioReactive.high) / 3;
-            
-            // Debug logging every 5 seconds to verify audio processing
-            if (Date.now() % 5000 < 16) {
-                console.log(`🎵 Audio levels: Bass=${window.audioReactive.bass.toFixed(2)} Mid=${window.audioReactive.mid.toFixed(2)} High=${window.audioReactive.high.toFixed(2)} Energy=${window.audioReactive.energy.toFixed(2)}`);
+            if (this.isActive && this.analyser) {
+                this.processFrame();
             }
-            
             requestAnimationFrame(process);
         };
         
         process();
     }
     
+    /**
+     * Analyse one frame of the current source into window.audioReactive
+     */
+    processFrame() {
+        if (this.source) {
+            this.source.update();
+        }
+        
+        this.analyser.getByteFrequencyData(this.dataArray);
+        
+        // Simple frequency analysis
+        const len = this.dataArray.length;
+        const bassRange = Math.floor(len * 0.1);
+        const midRange = Math.floor(len * 0.3);
+        
+        let bass = 0, mid = 0, high = 0;
+        
+        for (let i = 0; i < bassRange; i++) bass += this.dataArray[i];
+        for (let i = bassRange; i < midRange; i++) mid += this.dataArray[i];
+        for (let i = midRange; i < len; i++) high += this.dataArray[i];
+        
+        bass = (bass / bassRange) / 255;
+        mid = (mid / (midRange - bassRange)) / 255;
+        high = (high / (len - midRange)) / 255;
+        
+        const smoothing = 0.7;
+        window.audioReactive.bass = bass * smoothing + window.audioReactive.bass * (1 - smoothing);
+        window.audioReactive.mid = mid * smoothing + window.audioReactive.mid * (1 - smoothing);
+        window.audioReactive.high = high * smoothing + window.audioReactive.high * (1 - smoothing);
+        window.audioReactive.energy = (window.audioReactive.bass + window.audioReactive.mid + window.audioReactive.high) / 3;
+        
+        // Onsets, tempo and beat phase run on the audio clock so they follow file playback
+        const features = this.analyzer.process(this.dataArray, this.context.currentTime);
+        window.audioReactive.onset = features.onset;
+        window.audioReactive.beat = features.beat;
+        window.audioReactive.bpm = features.bpm;
+        window.audioReactive.beatPhase = features.beatPhase;
+        window.audioReactive.centroid = features.centroid;
+        window.audioReactive.brightness = features.brightness;
+        window.audioReactive.flux = features.flux;
+        
+        // Debug logging every 5 seconds to verify audio processing
+        if (Date.now() % 5000 < 16) {
+            console.log(`🎵 Audio levels: Bass=${window.audioReactive.bass.toFixed(2)} Mid=${window.audioReactive.mid.toFixed(2)} High=${window.audioReactive.high.toFixed(2)} Energy=${window.audioReactive.energy.toFixed(2)} BPM=${window.audioReactive.bpm.toFixed(0)}`);
+        }
+    }
+    
     /**
      * Check if audio is currently active and processing
      */
@@ -128,11 +288,22 @@ export class SimpleAudioEngine {
         this.isActive = false;
         window.audioEnabled = false;
         
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        
         if (this.context) {
             this.context.close();
             this.context = null;
+            this.analyser = null;
+            this.monitor = null;
         }
         
+        this.analyzer.reset();
+        window.audioReactive.beat = false;
+        window.audioReactive.onset = false;
+        
         console.log('🎵 Audio Engine: Stopped');
     }
 }
@@ -173,8 +344,8 @@ export function setupAudioToggle() {
                 audioBtn.title = `Audio Reactivity: ${audioEnabled ? 'ON' : 'OFF'}`;
             }
             
-            // Audio permission check for mobile
-            if (audioEnabled) {
+            // Audio permission check for mobile (microphone input only)
+            if (audioEnabled && window.audioEngine.source?.type === 'microphone') {
                 navigator.mediaDevices.getUserMedia({ audio: true }).catch(e => {
                     audioEnabled = false;
                     window.audioEnabled = false;
@@ -187,11 +358,122 @@ export function setupAudioToggle() {
     };
 }
 
+/**
+ * Audio Source Controls - source picker, transport and loop region in the audio popout
+ */
+export function setupAudioSourceControls() {
+    const setToggleState = (active) => {
+        const audioBtn = document.getElementById('audioToggle');
+        if (audioBtn) {
+            audioBtn.classList.toggle('active', active);
+            audioBtn.title = `Audio Reactivity: ${active ? 'ON' : 'OFF'}`;
+        }
+    };
+    
+    window.selectAudioSource = async function(type) {
+        let success = false;
+        
+        if (type === 'file') {
+            // Source switches once a file has been picked
+            document.getElementById('audioFileInput')?.click();
+            return;
+        }
+        
+        if (type === 'tone') {
+            success = await window.audioEngine.useTestTone();
+        } else {
+            success = await window.audioEngine.useMicrophone();
+        }
+        
+        setToggleState(success);
+        window.updateAudioLoop();
+    };
+    
+    window.loadAudioFile = async function(file) {
+        if (!file) return;
+        const success = await window.audioEngine.loadFile(file);
+        setToggleState(success);
+        window.updateAudioLoop();
+    };
+    
+    window.audioTransport = function(action) {
+        const engine = window.audioEngine;
+        if (action === 'play') engine.play();
+        else if (action === 'pause') engine.pause();
+        else if (action === 'stop') engine.stopPlayback();
+    };
+    
+    window.seekAudio = function(fraction) {
+        const state = window.audioEngine.getTransportState();
+        if (state && isFinite(state.duration) && state.duration > 0) {
+            window.audioEngine.seek(fraction * state.duration);
+        }
+    };
+    
+    window.updateAudioLoop = function() {
+        const engine = window.audioEngine;
+        if (!engine.source) return;
+        
+        const enabled = document.getElementById('audioLoopToggle')?.checked;
+        const start = parseFloat(document.getElementById('audioLoopStart')?.value);
+        const end = parseFloat(document.getElementById('audioLoopEnd')?.value);
+        
+        try {
+            if (enabled && end > start) {
+                engine.setLoopRegion(start, end);
+            } else {
+                engine.clearLoopRegion();
+                engine.setLooping(enabled);
+            }
+        } catch (error) {
+            console.warn('🎵 Loop region ignored:', error.message);
+            engine.clearLoopRegion();
+        }
+    };
+    
+    // Beats fire the current tap mode (ReactivityManager keeps it off until asked)
+    window.toggleBeatReactivity = function(enabled) {
+        if (!window.reactivityManager) {
+            console.warn('⚠️ ReactivityManager not initialized');
+            return;
+        }
+        window.reactivityManager.toggleBeat(enabled);
+    };
+    
+    // Transport readout
+    const formatTime = (seconds) => {
+        if (!isFinite(seconds)) return 'LIVE';
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    };
+    
+    setInterval(() => {
+        const timeDisplay = document.getElementById('audioTime');
+        const position = document.getElementById('audioPosition');
+        const state = window.audioEngine.getTransportState();
+        if (!timeDisplay || !state) return;
+        
+        timeDisplay.textContent = isFinite(state.duration)
+            ? `${formatTime(state.currentTime)} / ${formatTime(state.duration)}`
+            : 'LIVE';
+        if (position && document.activeElement !== position && state.duration > 0 && isFinite(state.duration)) {
+            position.value = Math.round((state.currentTime / state.duration) * 1000);
+        }
+        
+        const bpmDisplay = document.getElementById('audioBpm');
+        if (bpmDisplay) {
+            const bpm = window.audioReactive.bpm;
+            bpmDisplay.textContent = bpm > 0 ? `${Math.round(bpm)} BPM` : '-- BPM';
+        }
+    }, 250);
+}
+
 // Create and initialize the global audio engine instance
 const audioEngine = new SimpleAudioEngine();
 window.audioEngine = audioEngine;
 
-// Set up global audio toggle function
+// Set up global audio toggle and source controls
 setupAudioToggle();
+setupAudioSourceControls();
 
 console.log('🎵 Audio Engine Module: Loaded');
\ No newline at end of file
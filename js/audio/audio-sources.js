@@ -0,0 +1,400 @@
+/**
+ * VIB34D Audio Sources
+ * Interchangeable inputs for the audio engine - microphone, decoded files/URLs, <audio> elements
+ * and a generated test tone. Every source exposes the same transport (play, pause, stop, seek)
+ * and loop regions, so known tracks can drive the visuals reproducibly.
+ *
+ * Source interface:
+ *   connect(context)   - async, returns the AudioNode the engine analyses
+ *   monitored          - true when the source should also be heard (false for the microphone)
+ *   play() / pause() / stop() / seek(seconds)
+ *   setLoopRegion(start, end) / clearLoopRegion() / setLooping(enabled)
+ *   update()           - called once per analysis frame
+ *   getState()         - { type, label, playing, currentTime, duration, looping, loopRegion }
+ *   disconnect()
+ */
+
+/**
+ * Base source - live inputs (microphone) use it as is, the transport calls are no-ops
+ */
+export class AudioSource {
+    constructor(type, label) {
+        this.type = type;
+        this.label = label;
+        this.context = null;
+        this.output = null;
+        this.monitored = true;
+        this.looping = false;
+        this.loopRegion = null;
+    }
+
+    async connect(context) {
+        this.context = context;
+        return this.output;
+    }
+
+    play() {}
+    pause() {}
+    stop() {}
+    seek() {}
+    update() {}
+
+    isPlaying() {
+        return this.output !== null;
+    }
+
+    getCurrentTime() {
+        return 0;
+    }
+
+    getDuration() {
+        return Infinity;
+    }
+
+    setLooping(enabled) {
+        this.looping = !!enabled;
+        this.onLoopChanged();
+    }
+
+    /**
+     * Loop between two times (seconds) - also enables looping
+     */
+    setLoopRegion(start, end) {
+        const duration = this.getDuration();
+        const loopStart = Math.max(0, Number(start) || 0);
+        // Elements report no duration until their metadata has loaded
+        const loopEnd = duration > 0 ? Math.min(duration, Number(end)) : Number(end);
+
+        if (!isFinite(loopEnd) || loopEnd <= loopStart) {
+            throw new Error(`Invalid loop region ${start}s → ${end}s (duration ${duration.toFixed(2)}s)`);
+        }
+
+        this.loopRegion = { start: loopStart, end: loopEnd };
+        this.looping = true;
+        this.onLoopChanged();
+    }
+
+    clearLoopRegion() {
+        this.loopRegion = null;
+        this.onLoopChanged();
+    }
+
+    /**
+     * Hook for sources that need to re-apply loop settings
+     */
+    onLoopChanged() {}
+
+    getState() {
+        return {
+            type: this.type,
+            label: this.label,
+            playing: this.isPlaying(),
+            currentTime: this.getCurrentTime(),
+            duration: this.getDuration(),
+            looping: this.looping,
+            loopRegion: this.loopRegion ? { ...this.loopRegion } : null
+        };
+    }
+
+    disconnect() {
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+    }
+}
+
+/**
+ * Live microphone input (the original engine behaviour) - never routed to the speakers
+ */
+export class MicrophoneSource extends AudioSource {
+    constructor() {
+        super('microphone', 'Microphone');
+        this.monitored = false;
+        this.stream = null;
+    }
+
+    async connect(context) {
+        this.context = context;
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.output = context.createMediaStreamSource(this.stream);
+        return this.output;
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+}
+
+/**
+ * Decoded audio (uploaded file, URL or an AudioBuffer) with sample-accurate transport
+ */
+export class AudioBufferSource extends AudioSource {
+    /**
+     * @param {Function|AudioBuffer} buffer - AudioBuffer or async (context) => AudioBuffer
+     */
+    constructor(buffer, label = 'Audio Buffer', type = 'buffer') {
+        super(type, label);
+        this.loadBuffer = typeof buffer === 'function' ? buffer : async () => buffer;
+        this.buffer = null;
+        this.node = null;
+
+        // Playback position bookkeeping (seconds)
+        this.offset = 0;
+        this.startedAt = 0;
+        this.playing = false;
+    }
+
+    static fromFile(file) {
+        return new AudioBufferSource(async (context) => {
+            const data = await file.arrayBuffer();
+            return context.decodeAudioData(data);
+        }, file.name || 'Audio File', 'file');
+    }
+
+    static fromURL(url) {
+        return new AudioBufferSource(async (context) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return context.decodeAudioData(await response.arrayBuffer());
+        }, url.split('/').pop() || url, 'url');
+    }
+
+    async connect(context) {
+        this.context = context;
+        this.buffer = await this.loadBuffer(context);
+        if (!this.buffer) {
+            throw new Error(`${this.label}: no audio data`);
+        }
+        this.output = context.createGain();
+        return this.output;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    getDuration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    getCurrentTime() {
+        if (!this.playing) {
+            return this.offset;
+        }
+
+        const position = this.offset + (this.context.currentTime - this.startedAt);
+        const { start, end } = this.getLoopBounds();
+
+        if (this.looping && position >= end) {
+            return start + (position - start) % (end - start);
+        }
+        return Math.min(position, this.getDuration());
+    }
+
+    getLoopBounds() {
+        return this.loopRegion || { start: 0, end: this.getDuration() };
+    }
+
+    play() {
+        if (this.playing || !this.buffer) return;
+
+        const { start, end } = this.getLoopBounds();
+
+        // Playback that starts outside the loop region jumps into it
+        if (this.looping && (this.offset < start || this.offset >= end)) {
+            this.offset = start;
+        }
+        if (this.offset >= this.getDuration()) {
+            this.offset = 0;
+        }
+
+        const node = this.context.createBufferSource();
+        node.buffer = this.buffer;
+        node.loop = this.looping;
+        node.loopStart = start;
+        node.loopEnd = end;
+        node.connect(this.output);
+        node.onended = () => {
+            // Only a natural end resets the transport (pause/seek stop the node themselves)
+            if (this.node === node) {
+                this.node = null;
+                this.playing = false;
+                this.offset = 0;
+            }
+        };
+
+        node.start(0, this.offset);
+        this.node = node;
+        this.startedAt = this.context.currentTime;
+        this.playing = true;
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.getCurrentTime();
+        this.stopNode();
+    }
+
+    stop() {
+        this.stopNode();
+        this.offset = this.loopRegion ? this.loopRegion.start : 0;
+    }
+
+    seek(seconds) {
+        const wasPlaying = this.playing;
+        this.stopNode();
+        this.offset = Math.max(0, Math.min(Number(seconds) || 0, this.getDuration()));
+        if (wasPlaying) {
+            this.play();
+        }
+    }
+
+    onLoopChanged() {
+        // Restart from the current position so the node picks up the new loop points
+        if (this.playing) {
+            this.seek(this.getCurrentTime());
+        }
+    }
+
+    stopNode() {
+        const node = this.node;
+        this.node = null;
+        this.playing = false;
+        if (node) {
+            node.onended = null;
+            try {
+                node.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            node.disconnect();
+        }
+    }
+
+    disconnect() {
+        this.stopNode();
+        super.disconnect();
+    }
+}
+
+/**
+ * Existing <audio>/<video> element - the element keeps its own controls and streaming
+ */
+const elementNodes = new WeakMap();
+
+export class MediaElementAudioSource extends AudioSource {
+    constructor(element) {
+        super('element', element.currentSrc || element.src || 'Audio Element');
+        this.element = element;
+    }
+
+    static fromURL(url) {
+        const element = new Audio();
+        element.crossOrigin = 'anonymous';
+        element.src = url;
+        return new MediaElementAudioSource(element);
+    }
+
+    async connect(context) {
+        this.context = context;
+
+        // An element can only be wrapped once per context, so reuse the node when switching back
+        const cached = elementNodes.get(this.element);
+        if (cached && cached.context === context) {
+            this.output = cached;
+        } else {
+            this.output = context.createMediaElementSource(this.element);
+            elementNodes.set(this.element, this.output);
+        }
+        return this.output;
+    }
+
+    isPlaying() {
+        return !this.element.paused;
+    }
+
+    getCurrentTime() {
+        return this.element.currentTime;
+    }
+
+    getDuration() {
+        return isFinite(this.element.duration) ? this.element.duration : 0;
+    }
+
+    play() {
+        return this.element.play();
+    }
+
+    pause() {
+        this.element.pause();
+    }
+
+    stop() {
+        this.element.pause();
+        this.element.currentTime = this.loopRegion ? this.loopRegion.start : 0;
+    }
+
+    seek(seconds) {
+        this.element.currentTime = Math.max(0, Number(seconds) || 0);
+    }
+
+    onLoopChanged() {
+        // Native looping covers the whole file, regions are enforced in update()
+        this.element.loop = this.looping && !this.loopRegion;
+    }
+
+    update() {
+        if (this.looping && this.loopRegion && this.element.currentTime >= this.loopRegion.end) {
+            this.element.currentTime = this.loopRegion.start;
+        }
+    }
+
+    disconnect() {
+        this.element.pause();
+        // The cached node stays attached to the element - just detach it from the analyser
+        super.disconnect();
+    }
+}
+
+/**
+ * Deterministic test signal: kick on every beat (bass), sustained tone (mid), hats on off-beats (high)
+ */
+export function createTestToneBuffer(context, options = {}) {
+    const duration = options.duration || 8;
+    const bpm = options.bpm || 120;
+    const frequency = options.frequency || 440;
+    const bassFrequency = options.bassFrequency || 55;
+    const sampleRate = context.sampleRate;
+
+    const buffer = context.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+    const data = buffer.getChannelData(0);
+    const beatLength = 60 / bpm;
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+        const beatTime = t % beatLength;
+        const offBeatTime = (t + beatLength / 2) % beatLength;
+
+        const kick = Math.sin(2 * Math.PI * bassFrequency * beatTime) * Math.exp(-beatTime * 10) * 0.6;
+        const tone = Math.sin(2 * Math.PI * frequency * t) * 0.15;
+        const hat = Math.sin(2 * Math.PI * 7000 * t) * Math.exp(-offBeatTime * 60) * 0.15;
+
+        data[i] = kick + tone + hat;
+    }
+
+    return buffer;
+}
+
+export class TestToneSource extends AudioBufferSource {
+    constructor(options = {}) {
+        super((context) => createTestToneBuffer(context, options), `Test Tone (${options.bpm || 120} BPM)`, 'tone');
+        this.looping = options.loop !== false;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * VIB34D PARAMETER HISTORY CONTROLS
+ * Undo/redo for every parameter change, with keyboard shortcuts and the History panel
+ *
+ * - window.updateParameter records each change into window.parameterHistory (src/core/ParameterHistory.js)
+ * - Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (not while typing in a text field)
+ * - Releasing a slider ends its drag step; clicking a panel entry jumps to that point
+ */
+
+import { ParameterHistory } from '../../src/core/ParameterHistory.js';
+
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    window.parameterHistory = new ParameterHistory({
+        apply: (param, value) => {
+            if (param === 'geometry' && window.selectGeometry) {
+                window.selectGeometry(value);
+                return;
+            }
+            const control = document.getElementById(param);
+            if (control) control.value = value;
+            // Undo restores the user's own value - updateParameter leaves 'history' changes out of the saved state
+            if (window.userParameterState) window.userParameterState[param] = parseFloat(value);
+            if (window.updateParameter) window.updateParameter(param, value, 'history');
+        }
+    });
+
+    /**
+     * Starting values from every control wired to updateParameter - the steps' first "before" values
+     */
+    const seedHistoryValues = () => {
+        const history = window.parameterHistory;
+        history.enabled = !window.isGalleryPreview;
+
+        const values = { geometry: parseInt(document.querySelector('.geom-btn.active')?.dataset.index, 10) || 0 };
+        document.querySelectorAll('[oninput*="updateParameter("], [onchange*="updateParameter("]').forEach(control => {
+            const match = (control.getAttribute('oninput') || control.getAttribute('onchange')).match(/updateParameter\('(\w+)'/);
+            if (match) values[match[1]] = control.value;
+        });
+        history.setValues({ ...values, ...(window.userParameterState || {}) });
+    };
+
+    // "hue 200 → 240" for single changes, "Randomize all (12 parameters)" for groups
+    const describeEntry = entry => {
+        if (entry.params.length === 1) {
+            const param = entry.params[0];
+            const { from, to } = entry.changes[param];
+            const format = value => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+            const label = entry.label === param ? param : `${entry.label}: ${param}`;
+            return `${label} ${format(from)} → ${format(to)}`;
+        }
+        return `${entry.label} (${entry.params.length} parameters)`;
+    };
+
+    const renderHistoryPanel = history => {
+        const list = document.getElementById('historyList');
+        if (list) {
+            const entries = history.getEntries();
+            const items = [{ label: 'Start', applied: true }, ...entries.map(entry => ({ label: describeEntry(entry), applied: entry.applied }))];
+            list.innerHTML = '';
+            items.forEach((item, index) => {
+                const li = document.createElement('li');
+                li.textContent = item.label;
+                li.classList.toggle('undone', !item.applied);
+                li.classList.toggle('current', index === history.index);
+                li.onclick = () => window.jumpToParameterHistory(index);
+                list.appendChild(li);
+            });
+            list.lastChild?.scrollIntoView?.({ block: 'nearest' });
+        }
+
+        const undoBtn = document.getElementById('historyUndoBtn');
+        const redoBtn = document.getElementById('historyRedoBtn');
+        if (undoBtn) undoBtn.disabled = !history.canUndo();
+        if (redoBtn) redoBtn.disabled = !history.canRedo();
+    };
+
+    window.undoParameterChange = () => window.parameterHistory.undo();
+    window.redoParameterChange = () => window.parameterHistory.redo();
+    window.jumpToParameterHistory = index => window.parameterHistory.goTo(index);
+    window.clearParameterHistory = () => window.parameterHistory.clear();
+
+    window.parameterHistory.onChange(renderHistoryPanel);
+
+    // A released slider ends its drag step
+    document.addEventListener('change', (e) => {
+        if (e.target && e.target.type === 'range') window.parameterHistory.seal();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        const typing = target && (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(target.type)));
+        if (typing) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            window.undoParameterChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            window.redoParameterChange();
+        }
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            seedHistoryValues();
+            renderHistoryPanel(window.parameterHistory);
+        });
+    } else {
+        seedHistoryValues();
+        renderHistoryPanel(window.parameterHistory);
+    }
+
+    console.log('↩️ Parameter history loaded - Ctrl+Z / Ctrl+Shift+Z');
+}
+
+export default ParameterHistory;
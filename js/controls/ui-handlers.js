@@ -4,6 +4,8 @@
  * Extracted from monolithic index.html for clean architecture
  */
 
+import { TRANSIENT_SOURCES } from '../../src/core/ParameterHistory.js';
+
 // Global state variables
 let audioEnabled = window.audioEnabled || false;
 let interactivityEnabled = false;
@@ -11,14 +13,29 @@ let interactivityEnabled = false;
 /**
  * Main parameter update function - CRITICAL for all visualizers
  * Routes parameters to appropriate engine based on current system
+ * @param {string} source - Who changed it: 'control' (sliders), 'midi', or a transient source
+ *   ('reactivity', 'tilt', 'mouse', 'sync', 'history', 'timeline', 'modulation') that the undo history ignores
  */
-window.updateParameter = function(param, value) {
-    // CRITICAL: Store user's parameter choice for persistence
-    window.userParameterState[param] = parseFloat(value);
+window.updateParameter = function(param, value, source = 'control') {
+    // Undo history - drags coalesce, grouped actions (randomize, AI, gallery) are one step
+    if (window.parameterHistory) {
+        window.parameterHistory.record(param, value, source);
+    }
     
-    // GALLERY PERFORMANCE FIX: Reduce parameter logging spam in gallery context
-    if (!window.isGalleryPreview) {
-        console.log(`💾 User parameter: ${param} = ${value}`);
+    // Transient sources (reactivity, timeline...) drive the engine but are not the user's choice
+    if (!TRANSIENT_SOURCES.includes(source)) {
+        // CRITICAL: Store user's parameter choice for persistence
+        window.userParameterState[param] = parseFloat(value);
+        
+        // Announce the change (remote control broadcasts, other listeners)
+        window.dispatchEvent(new CustomEvent('vib34d:parameter', {
+            detail: { param, value: parseFloat(value), system: window.currentSystem || 'faceted' }
+        }));
+        
+        // GALLERY PERFORMANCE FIX: Reduce parameter logging spam in gallery context
+        if (!window.isGalleryPreview) {
+            console.log(`💾 User parameter: ${param} = ${value}`);
+        }
     }
     
     const displays = {
@@ -45,6 +62,12 @@ window.updateParameter = function(param, value) {
         }
     }
     
+    // Post-processing parameters belong to the shared effect chain, not to a system
+    if (window.postProcessor?.hasParameter(param)) {
+        window.postProcessor.setParameter(param, parseFloat(value));
+        return;
+    }
+    
     // SURGICAL FIX: Unified parameter router - eliminates scope confusion
     try {
         const activeSystem = window.currentSystem || 'faceted';
@@ -69,7 +92,7 @@ window.updateParameter = function(param, value) {
                 window.parameterRetryCount[retryKey] = currentRetries + 1;
                 console.log(`🔄 Retrying parameter ${param} = ${value} for ${activeSystem} (attempt ${currentRetries + 2})`);
                 setTimeout(() => {
-                    window.updateParameter(param, value);
+                    window.updateParameter(param, value, source);
                 }, 100);
             } else {
                 console.warn(`❌ Parameter ${param} = ${value} failed for ${activeSystem} - system not available, giving up after 2 attempts`);
@@ -102,12 +125,20 @@ window.updateParameter = function(param, value) {
     }
 };
 
+/**
+ * Run a batch of parameter changes as one undo step (randomizers, AI output, gallery loads)
+ * - action may return a promise; the step closes when it settles
+ */
+window.groupParameterChanges = function(label, source, action) {
+    return window.parameterHistory ? window.parameterHistory.group(label, action, { source }) : action();
+};
+
 /**
  * Randomize all parameters except hue and geometry
  */
 window.randomizeAll = function() {
     // Randomize ONLY parameters (NO hue, NO geometry)
-    randomizeParameters();
+    window.groupParameterChanges('Randomize all', 'randomize', randomizeParameters);
 };
 
 /**
@@ -115,8 +146,13 @@ window.randomizeAll = function() {
  */
 window.randomizeEverything = function() {
     // Full randomization: parameters + geometry + hue
-    randomizeParameters();
-    setTimeout(() => randomizeGeometryAndHue(), 10);
+    return window.groupParameterChanges('Randomize everything', 'randomize', () => {
+        randomizeParameters();
+        return new Promise(resolve => setTimeout(() => {
+            randomizeGeometryAndHue();
+            resolve();
+        }, 10));
+    });
 };
 
 /**
@@ -170,9 +206,14 @@ function randomizeGeometryAndHue() {
 window.resetAll = function() {
     // Reset all sliders to defaults
     const defaults = {
+        rot4dXY: 0,
+        rot4dXZ: 0,
+        rot4dYZ: 0,
         rot4dXW: 0,
         rot4dYW: 0,
         rot4dZW: 0,
+        projection: 0,
+        projectionDistance: 2.5,
         gridDensity: 15,
         morphFactor: 1,
         chaos: 0.2,
@@ -182,16 +223,630 @@ window.resetAll = function() {
         saturation: 0.8
     };
     
-    Object.entries(defaults).forEach(([id, value]) => {
+    window.groupParameterChanges('Reset all', 'reset', () => {
+        Object.entries(defaults).forEach(([id, value]) => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.value = value;
+                slider.oninput();
+            }
+        });
+    });
+    console.log('🔄 Reset all parameters');
+};
+
+/**
+ * Layer compositor controls - act on the layer role picked in the Layers panel
+ */
+let selectedLayerRole = 'content';
+
+window.selectLayerRole = function(role) {
+    selectedLayerRole = role;
+    syncLayerControls();
+};
+
+window.updateLayerSetting = function(key, value) {
+    if (!window.layerCompositor) return;
+    
+    try {
+        const settings = {};
+        settings[key] = key === 'blendMode' ? value : parseFloat(value);
+        window.layerCompositor.setLayer(selectedLayerRole, settings);
+        syncLayerControls();
+    } catch (error) {
+        console.error('❌ Layer setting failed:', error);
+    }
+};
+
+window.updateLayerOverride = function(param, value) {
+    if (!window.layerCompositor) return;
+    window.layerCompositor.setOverride(selectedLayerRole, param, parseFloat(value));
+    syncLayerControls();
+};
+
+window.clearLayerOverrides = function() {
+    if (!window.layerCompositor) return;
+    window.layerCompositor.clearOverrides(selectedLayerRole);
+    syncLayerControls();
+};
+
+/**
+ * Show the selected layer's settings in the Layers panel
+ */
+function syncLayerControls() {
+    if (!window.layerCompositor) return;
+    const layer = window.layerCompositor.getLayer(selectedLayerRole);
+    
+    const blendSelect = document.getElementById('layerBlendMode');
+    if (blendSelect) blendSelect.value = layer.blendMode;
+    
+    [['layerOpacity', layer.opacity], ['layerOffsetX', layer.offsetX], ['layerOffsetY', layer.offsetY]].forEach(([id, value]) => {
         const slider = document.getElementById(id);
-        if (slider) {
-            slider.value = value;
-            slider.oninput();
+        const display = document.getElementById(`${id}-display`);
+        if (slider) slider.value = value;
+        if (display) display.textContent = value.toFixed(2);
+    });
+    
+    const hue = layer.overrides.hue;
+    const hueSlider = document.getElementById('layerHue');
+    const hueDisplay = document.getElementById('layerHue-display');
+    if (hueSlider && hue !== undefined) hueSlider.value = hue;
+    if (hueDisplay) hueDisplay.textContent = hue !== undefined ? `${Math.round(hue)}°` : 'OFF';
+}
+
+window.syncLayerControls = syncLayerControls;
+
+/**
+ * Default transition used by switchSystem() and switchVariation()
+ */
+window.updateTransitionSetting = function(key, value) {
+    if (!window.transitionManager) return;
+    
+    try {
+        const settings = window.transitionManager.configure({ [key]: key === 'duration' ? parseFloat(value) : value });
+        const display = document.getElementById('transitionDuration-display');
+        if (display) display.textContent = `${(settings.duration / 1000).toFixed(2)}s`;
+    } catch (error) {
+        console.error('❌ Transition setting failed:', error);
+    }
+};
+
+/**
+ * Keyframe timeline - keys go in at the playhead with the slider values ("All" snapshots every parameter).
+ * A keyframe within 1% of the duration counts as being at the playhead.
+ */
+const TIMELINE_PLAYHEAD_TOLERANCE = 0.01;
+
+window.addTimelineKeyframe = function() {
+    const timeline = window.parameterTimeline;
+    if (!timeline) return;
+
+    const param = document.getElementById('timelineParam')?.value || 'all';
+    const easing = document.getElementById('timelineEasing')?.value || 'easeInOutSine';
+    const state = window.getCurrentUIParameterState ? window.getCurrentUIParameterState() : { ...window.userParameterState };
+
+    try {
+        if (param === 'all') {
+            timeline.captureKeyframe(timeline.currentTime, state, easing);
+        } else if (state[param] !== undefined) {
+            timeline.addKeyframe(param, timeline.currentTime, state[param], easing);
         }
+    } catch (error) {
+        console.error('❌ Adding keyframe failed:', error);
+    }
+};
+
+window.removeTimelineKeyframe = function() {
+    const timeline = window.parameterTimeline;
+    if (!timeline) return;
+
+    const param = document.getElementById('timelineParam')?.value || 'all';
+    const tolerance = timeline.duration * TIMELINE_PLAYHEAD_TOLERANCE;
+    const params = param === 'all' ? timeline.getTrackNames() : [param];
+    params.forEach(name => {
+        timeline.getKeyframes(name)
+            .filter(keyframe => Math.abs(keyframe.time - timeline.currentTime) <= tolerance)
+            .forEach(keyframe => timeline.removeKeyframe(name, keyframe.time));
     });
-    console.log('🔄 Reset all parameters');
 };
 
+window.clearTimeline = function() {
+    if (window.parameterTimeline) window.parameterTimeline.clear();
+};
+
+window.seekTimeline = function(fraction) {
+    const timeline = window.parameterTimeline;
+    if (!timeline) return;
+    timeline.seek(parseFloat(fraction) * timeline.duration);
+    syncTimelineControls();
+};
+
+window.timelineTransport = function(action) {
+    const timeline = window.parameterTimeline;
+    if (!timeline || !['play', 'pause', 'stop'].includes(action)) return;
+
+    timeline[action]();
+    // Stopping rewinds - show the first frame again
+    if (action === 'stop' && timeline.hasKeyframes()) {
+        timeline.seek(0);
+    }
+    syncTimelineControls();
+};
+
+window.setTimelineLoopMode = function(mode) {
+    if (window.parameterTimeline) window.parameterTimeline.setLoopMode(mode);
+};
+
+/**
+ * Show the playhead, duration and keyframe count in the Timeline panel
+ */
+function syncTimelineControls() {
+    const timeline = window.parameterTimeline;
+    if (!timeline) return;
+
+    const slider = document.getElementById('timelinePosition');
+    if (slider && document.activeElement !== slider) {
+        slider.value = timeline.duration > 0 ? Math.round((timeline.currentTime / timeline.duration) * 1000) : 0;
+    }
+
+    const display = document.getElementById('timelinePosition-display');
+    if (display) display.textContent = `${timeline.currentTime.toFixed(2)}s / ${timeline.duration.toFixed(2)}s`;
+
+    const count = document.getElementById('timelineKeyframeCount');
+    if (count) {
+        const tracks = timeline.getTrackNames();
+        const keyframes = tracks.reduce((total, name) => total + timeline.getKeyframes(name).length, 0);
+        count.textContent = keyframes
+            ? `${keyframes} keyframe${keyframes === 1 ? '' : 's'} · ${tracks.length} track${tracks.length === 1 ? '' : 's'}`
+            : 'No keyframes';
+    }
+
+    const loopSelect = document.getElementById('timelineLoopMode');
+    if (loopSelect) loopSelect.value = timeline.loopMode;
+
+    const playButton = document.getElementById('timelinePlayBtn');
+    if (playButton) playButton.classList.toggle('active', timeline.isPlaying);
+}
+
+window.syncTimelineControls = syncTimelineControls;
+
+/**
+ * Video export - renders the active system frame by frame at a fixed resolution and frame rate.
+ * Timeline keyframes drive the frames when there are any.
+ */
+const videoExportSettings = { encoder: 'webm', size: '1080x1920', fps: 30, duration: 10 };
+const VIDEO_EXPORT_SYSTEMS = ['faceted', 'quantum', 'holographic'];
+let videoExportRunning = false;
+
+window.updateVideoExportSetting = function(key, value) {
+    if (key === 'encoder' || key === 'size') {
+        videoExportSettings[key] = value;
+        return;
+    }
+    videoExportSettings[key] = parseFloat(value);
+
+    const display = document.getElementById('videoDuration-display');
+    if (key === 'duration' && display) display.textContent = `${videoExportSettings.duration}s`;
+};
+
+window.exportVideo = async function() {
+    const system = window.currentSystem || 'faceted';
+    const engine = window.currentEngine;
+    if (!VIDEO_EXPORT_SYSTEMS.includes(system) || !engine) {
+        console.warn('⚠️ Video export renders the faceted, quantum and holographic systems - switch to one first');
+        return null;
+    }
+    if (videoExportRunning) return null;
+
+    const button = document.getElementById('videoExportBtn');
+    const [width, height] = videoExportSettings.size.split('x').map(Number);
+    videoExportRunning = true;
+
+    try {
+        const { OfflineFrameRenderer } = await import('../../src/export/OfflineFrameRenderer.js');
+        const { downloadRenderResult } = await import('../../src/export/FrameEncoders.js');
+
+        const offline = new OfflineFrameRenderer(engine, {
+            timeline: window.parameterTimeline?.hasKeyframes() ? window.parameterTimeline : null,
+            encoder: videoExportSettings.encoder,
+            fps: videoExportSettings.fps,
+            duration: videoExportSettings.duration,
+            width,
+            height,
+            onProgress: progress => {
+                if (button) button.textContent = `RENDERING ${Math.round(progress * 100)}%`;
+            }
+        });
+        const result = await offline.render();
+        downloadRenderResult(result, `vib34d-${system}`);
+
+        console.log(`🎬 Exported ${offline.frameCount} ${system} frames (${videoExportSettings.encoder})`);
+        return result;
+    } catch (error) {
+        console.error('❌ Video export failed:', error);
+        return null;
+    } finally {
+        videoExportRunning = false;
+        if (button) button.textContent = 'EXPORT VIDEO';
+    }
+};
+
+/**
+ * Hyperplane slice - the polychora polytope's 3D cross-section instead of its projection.
+ * The offset runs from -1 to 1 across the polytope.
+ */
+function getSliceEngine() {
+    const engine = window.polychoraSystem || window.newPolychoraEngine;
+    return engine && engine.setSliceMode ? engine : null;
+}
+
+window.toggleSlice = function() {
+    const engine = getSliceEngine();
+    if (window.currentSystem !== 'polychora' || !engine) {
+        console.warn('⚠️ Slicing needs the polychora system - switch to it first');
+        return;
+    }
+
+    const offset = document.getElementById('sliceOffset');
+    if (offset) engine.setSlice({ position: offset.value });
+    const { enabled } = engine.setSliceMode(!engine.slice.enabled);
+    const button = document.getElementById('sliceToggleBtn');
+    if (button) button.textContent = `SLICE: ${enabled ? 'ON' : 'OFF'}`;
+};
+
+window.updateSliceOffset = function(value) {
+    const engine = getSliceEngine();
+    const position = engine ? engine.setSlice({ position: value }).position : parseFloat(value);
+    const display = document.getElementById('sliceOffset-display');
+    if (display) display.textContent = position.toFixed(2);
+};
+
+/**
+ * Mesh export - the polychora polytope in its current rotation and projection as OBJ, STL or glTF.
+ * polytope '' exports the current geometry, otherwise a getPolytope() index.
+ */
+const meshExportSettings = { format: 'obj', edgeRadius: 0.02, vertexRadius: 0.045, polytope: '' };
+
+// Fills the mesh export and sandbox spawn polytope lists
+async function populatePolytopeSelects() {
+    const { getPolytopeDefinitions } = await import('../../src/geometry/RegularPolychora.js');
+    const definitions = getPolytopeDefinitions();
+
+    const select = document.getElementById('meshPolytope');
+    if (select) {
+        select.length = 1; // Keep "Current Geometry"
+        definitions.forEach((polytope, index) => select.add(new Option(polytope.name, String(index))));
+        select.value = meshExportSettings.polytope;
+    }
+
+    const spawnSelect = document.getElementById('sandboxSpawnType');
+    if (spawnSelect) {
+        const value = spawnSelect.value || '0';
+        spawnSelect.length = 0;
+        definitions.forEach((polytope, index) => spawnSelect.add(new Option(polytope.name, String(index))));
+        spawnSelect.value = value;
+    }
+}
+
+populatePolytopeSelects().catch(error => console.warn('⚠️ Polytope list unavailable:', error));
+
+window.updateMeshExportSetting = function(key, value) {
+    if (key === 'format' || key === 'polytope') {
+        meshExportSettings[key] = value;
+        return;
+    }
+    meshExportSettings[key] = parseFloat(value);
+
+    const display = document.getElementById(`mesh${key.charAt(0).toUpperCase() + key.slice(1)}-display`);
+    if (display) display.textContent = meshExportSettings[key].toFixed(3);
+};
+
+window.exportMesh = async function(format = meshExportSettings.format) {
+    const engine = window.polychoraSystem || window.newPolychoraEngine;
+    if (window.currentSystem !== 'polychora' || !engine) {
+        console.warn('⚠️ Mesh export needs the polychora system - switch to it first');
+        return;
+    }
+
+    try {
+        const { exportPolytopeMesh } = await import('../../src/export/MeshExporter.js');
+
+        const state = {
+            ...(window.getCurrentUIParameterState ? window.getCurrentUIParameterState() : window.userParameterState),
+            ...(engine.getParameters ? engine.getParameters() : engine.parameters)
+        };
+        if (meshExportSettings.polytope !== '') state.polytope = meshExportSettings.polytope;
+        const { content, filename, mimeType, mesh } = exportPolytopeMesh(format, state, meshExportSettings);
+
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`📦 Exported ${mesh.name} mesh: ${filename} (${mesh.triangleCount} triangles)`);
+    } catch (error) {
+        console.error('❌ Mesh export failed:', error);
+    }
+};
+
+/**
+ * Build a uniform polytope from a Coxeter-Dynkin diagram (e.g. x4x3o3o) and add it to the polytope list
+ */
+window.addPolytopeDiagram = async function(diagram) {
+    if (!diagram || !diagram.trim()) return;
+
+    try {
+        const { addUniformPolytope, getPolytopeDefinition } = await import('../../src/geometry/RegularPolychora.js');
+        const index = addUniformPolytope(diagram.trim());
+        meshExportSettings.polytope = String(index);
+        await populatePolytopeSelects();
+
+        // The polychora engine draws it until another geometry is picked
+        const engine = window.polychoraSystem || window.newPolychoraEngine;
+        if (engine && engine.setPolytope) engine.setPolytope(index);
+
+        console.log(`🔷 Polytope ${index}: ${getPolytopeDefinition(index).name}`);
+    } catch (error) {
+        console.error('❌ Polytope diagram failed:', error);
+    }
+};
+
+/**
+ * Physics sandbox - spawn, drag, push, pin and tune polytope bodies and paint the fields.
+ * Needs a polychora system with physics (setSandboxMode).
+ */
+let sandboxInspectorFrame = null;
+
+function getSandboxEngine() {
+    const engine = window.polychoraSystem || window.newPolychoraEngine;
+    return engine && engine.setSandboxMode ? engine : null;
+}
+
+window.toggleSandbox = function() {
+    const engine = getSandboxEngine();
+    if (window.currentSystem !== 'polychora' || !engine) {
+        console.warn('⚠️ The physics sandbox needs the polychora physics system - switch to it first');
+        return;
+    }
+
+    const enabled = engine.setSandboxMode(!engine.sandboxMode);
+    const button = document.getElementById('sandboxToggleBtn');
+    if (button) button.textContent = `SANDBOX: ${enabled ? 'ON' : 'OFF'}`;
+
+    if (enabled && !sandboxInspectorFrame) {
+        syncSandboxInspector();
+    }
+};
+
+window.updateSandboxSetting = function(key, value) {
+    const engine = getSandboxEngine();
+    if (!engine) return;
+    const sandbox = engine.getSandbox();
+
+    try {
+        if (key === 'tool') {
+            sandbox.setTool(value);
+        } else if (key === 'spawnType') {
+            sandbox.spawnType = parseInt(value, 10);
+        } else if (key === 'fieldStrength') {
+            sandbox.fieldStrength = parseFloat(value);
+            const display = document.getElementById('sandboxFieldStrength-display');
+            if (display) display.textContent = sandbox.fieldStrength.toFixed(1);
+        }
+    } catch (error) {
+        console.error('❌ Sandbox setting failed:', error);
+    }
+};
+
+window.updateSandboxBody = function(key, value) {
+    const engine = getSandboxEngine();
+    if (!engine) return;
+    engine.getSandbox().setBodyProperty(key, parseFloat(value));
+};
+
+window.sandboxTogglePin = function() {
+    const engine = getSandboxEngine();
+    if (engine) engine.getSandbox().togglePin();
+};
+
+window.sandboxDeleteSelected = function() {
+    const engine = getSandboxEngine();
+    if (engine) engine.getSandbox().deleteBody();
+};
+
+window.sandboxClearBodies = function() {
+    const engine = getSandboxEngine();
+    if (engine) engine.physics.clearAllBodies();
+};
+
+/**
+ * Inspector readout and body sliders for the selected body - refreshed every frame while the sandbox is on
+ */
+function syncSandboxInspector() {
+    const engine = getSandboxEngine();
+    if (!engine || !engine.sandboxMode) {
+        sandboxInspectorFrame = null;
+        return;
+    }
+
+    const info = engine.getSandbox().inspect();
+    const readout = document.getElementById('sandboxInspector');
+    if (readout) {
+        const format = values => values.map(value => value.toFixed(2)).join(', ');
+        readout.textContent = info
+            ? [
+                `${info.name} (${info.id})${info.pinned ? ' · pinned' : ''}${info.sleeping ? ' · asleep' : ''}`,
+                `position  ${format(info.position)}`,
+                `velocity  ${format(info.velocity)}  |v| ${info.speed.toFixed(2)}`,
+                `spin      ${Object.entries(info.angularVelocity).map(([plane, value]) => `${plane} ${value.toFixed(2)}`).join('  ')}`
+            ].join('\n')
+            : 'No body selected';
+    }
+
+    if (info) {
+        ['mass', 'elasticity', 'magneticSusceptibility'].forEach(key => {
+            const id = `sandbox${key.charAt(0).toUpperCase() + key.slice(1)}`;
+            const slider = document.getElementById(id);
+            const display = document.getElementById(`${id}-display`);
+            if (slider && document.activeElement !== slider) slider.value = info[key];
+            if (display) display.textContent = info[key].toFixed(2);
+        });
+    }
+
+    sandboxInspectorFrame = requestAnimationFrame(syncSandboxInspector);
+}
+
+/**
+ * 4D particle controls - emitters sit on the current polychora polytope
+ */
+function getParticleEngine() {
+    const engine = window.polychoraSystem || window.newPolychoraEngine;
+    return engine && engine.setParticlesEnabled ? engine : null;
+}
+
+window.toggleParticles = function() {
+    const engine = getParticleEngine();
+    if (window.currentSystem !== 'polychora' || !engine) {
+        console.warn('⚠️ 4D particles need the polychora physics system - switch to it first');
+        return;
+    }
+
+    const enabled = engine.setParticlesEnabled(!engine.particlesEnabled);
+    const button = document.getElementById('particleToggleBtn');
+    if (button) button.textContent = `PARTICLES: ${enabled ? 'ON' : 'OFF'}`;
+};
+
+window.updateParticleSetting = function(key, value) {
+    const engine = getParticleEngine();
+    if (!engine) return;
+
+    try {
+        if (key === 'source') {
+            engine.setParticleEmitterSource(value);
+            return;
+        }
+        const parameters = engine.setParticleParameters({ [key]: value });
+        const display = document.getElementById(`particle${key.charAt(0).toUpperCase() + key.slice(1)}-display`);
+        if (display) {
+            const number = parameters[key];
+            display.textContent = Number.isInteger(number) ? String(number) : number.toFixed(number >= 10 ? 1 : 2);
+        }
+    } catch (error) {
+        console.error('❌ Particle setting failed:', error);
+    }
+};
+
+window.particleBurst = function() {
+    const engine = getParticleEngine();
+    if (engine && engine.particlesEnabled) engine.getParticles().burst(1);
+};
+
+/**
+ * Composite scene controls - act on the scene system picked in the Scene panel
+ */
+let selectedSceneLayer = 'primary';
+
+window.addSceneSystem = async function(system) {
+    if (!window.sceneManager) return;
+    
+    try {
+        await window.sceneManager.addSystem(system);
+        selectedSceneLayer = system;
+        syncSceneControls();
+    } catch (error) {
+        console.error('❌ Adding scene system failed:', error);
+    }
+};
+
+window.removeSceneSystem = function() {
+    if (!window.sceneManager || selectedSceneLayer === 'primary') return;
+    window.sceneManager.removeSystem(selectedSceneLayer);
+    selectedSceneLayer = 'primary';
+    syncSceneControls();
+};
+
+window.clearScene = function() {
+    if (!window.sceneManager) return;
+    window.sceneManager.clear();
+    selectedSceneLayer = 'primary';
+    syncSceneControls();
+};
+
+window.selectSceneLayer = function(id) {
+    selectedSceneLayer = id;
+    syncSceneControls();
+};
+
+window.updateSceneSetting = function(key, value) {
+    if (!window.sceneManager) return;
+    
+    try {
+        window.sceneManager.setLayer(selectedSceneLayer, { [key]: key === 'blendMode' ? value : parseFloat(value) });
+        syncSceneControls();
+    } catch (error) {
+        console.error('❌ Scene setting failed:', error);
+    }
+};
+
+window.toggleSceneReactive = function() {
+    if (!window.sceneManager) return;
+    const layer = window.sceneManager.getLayer(selectedSceneLayer);
+    window.sceneManager.setLayer(selectedSceneLayer, { reactive: !layer.reactive });
+    syncSceneControls();
+};
+
+window.updateSceneParameter = function(param, value) {
+    if (!window.sceneManager || selectedSceneLayer === 'primary') return;
+    window.sceneManager.setParameter(selectedSceneLayer, param, value);
+    syncSceneControls();
+};
+
+/**
+ * Show the scene systems and the selected one's settings in the Scene panel
+ */
+function syncSceneControls() {
+    if (!window.sceneManager) return;
+    if (selectedSceneLayer !== 'primary' && !window.sceneManager.hasSystem(selectedSceneLayer)) {
+        selectedSceneLayer = 'primary';
+    }
+    
+    const layerSelect = document.getElementById('sceneLayerSelect');
+    if (layerSelect) {
+        const options = ['primary', ...window.sceneManager.getSystems()];
+        layerSelect.innerHTML = options.map(id => {
+            const label = id === 'primary' ? `Primary (${window.currentSystem || 'faceted'})` : id.charAt(0).toUpperCase() + id.slice(1);
+            return `<option value="${id}">${label}</option>`;
+        }).join('');
+        layerSelect.value = selectedSceneLayer;
+    }
+    
+    const layer = window.sceneManager.getLayer(selectedSceneLayer);
+    const blendSelect = document.getElementById('sceneBlendMode');
+    if (blendSelect) blendSelect.value = layer.blendMode;
+    
+    const setControl = (id, value, text) => {
+        const slider = document.getElementById(id);
+        const display = document.getElementById(`${id}-display`);
+        if (slider && value !== undefined) slider.value = value;
+        if (display) display.textContent = text;
+    };
+    setControl('sceneZIndex', layer.zIndex, String(layer.zIndex));
+    setControl('sceneOpacity', layer.opacity, layer.opacity.toFixed(2));
+    
+    // The primary system's parameters live on the main sliders
+    const params = layer.parameters;
+    setControl('sceneHue', params?.hue, params ? `${Math.round(params.hue)}°` : '-');
+    setControl('sceneGridDensity', params?.gridDensity, params ? String(Math.round(params.gridDensity)) : '-');
+    
+    const reactiveBtn = document.getElementById('sceneReactiveBtn');
+    if (reactiveBtn) reactiveBtn.textContent = `REACTIVE: ${layer.reactive ? 'ON' : 'OFF'}`;
+}
+
+window.syncSceneControls = syncSceneControls;
+
 /**
  * Gallery Functions
  */
@@ -233,22 +888,27 @@ window.randomizeLite = function() {
     const currentGeometry = getCurrentGeometryIndex();
     const currentHue = document.getElementById('hue')?.value || 200;
     
-    // Randomize other parameters
-    updateParameter('rot4dXW', (Math.random() - 0.5) * 12.56);
-    updateParameter('rot4dYW', (Math.random() - 0.5) * 12.56);
-    updateParameter('rot4dZW', (Math.random() - 0.5) * 12.56);
-    updateParameter('gridDensity', 5 + Math.random() * 95);
-    updateParameter('morphFactor', Math.random() * 2);
-    updateParameter('chaos', Math.random());
-    updateParameter('speed', 0.1 + Math.random() * 2.9);
-    updateParameter('intensity', 0.2 + Math.random() * 0.8);
-    updateParameter('saturation', 0.3 + Math.random() * 0.7);
-    
-    // Keep current hue and geometry
-    updateParameter('hue', currentHue);
-    if (window.selectGeometry) {
-        window.selectGeometry(currentGeometry);
-    }
+    window.groupParameterChanges('Randomize lite', 'randomize', () => {
+        // Randomize other parameters
+        updateParameter('rot4dXY', (Math.random() - 0.5) * 12.56);
+        updateParameter('rot4dXZ', (Math.random() - 0.5) * 12.56);
+        updateParameter('rot4dYZ', (Math.random() - 0.5) * 12.56);
+        updateParameter('rot4dXW', (Math.random() - 0.5) * 12.56);
+        updateParameter('rot4dYW', (Math.random() - 0.5) * 12.56);
+        updateParameter('rot4dZW', (Math.random() - 0.5) * 12.56);
+        updateParameter('gridDensity', 5 + Math.random() * 95);
+        updateParameter('morphFactor', Math.random() * 2);
+        updateParameter('chaos', Math.random());
+        updateParameter('speed', 0.1 + Math.random() * 2.9);
+        updateParameter('intensity', 0.2 + Math.random() * 0.8);
+        updateParameter('saturation', 0.3 + Math.random() * 0.7);
+        
+        // Keep current hue and geometry
+        updateParameter('hue', currentHue);
+        if (window.selectGeometry) {
+            window.selectGeometry(currentGeometry);
+        }
+    });
     
     console.log('✅ Lite randomization complete - geometry and hue preserved');
 };
@@ -14,19 +14,40 @@ export class VIB34DApp {
     }
 
     setupGlobalFunctions() {
-        // System switching function
-        window.switchSystem = async (system) => {
+        // System switching function - options override the default transition ({ type, duration, direction, easing })
+        window.switchSystem = async (system, options = {}) => {
             console.log(`🎯 switchSystem called with: ${system}`);
             
             // SIMPLE CANVAS MANAGER: Destroy old, create new
             if (window.canvasManager) {
                 try {
                     console.log(`🔄 Switching to ${system} system...`);
-                    const newEngine = await window.canvasManager.switchToSystem(system, window.engineClasses);
+                    
+                    // Animated transitions keep the outgoing system running until they finish
+                    const transitions = window.transitionManager;
+                    transitions?.finish();
+                    const transition = transitions ? transitions.resolve(options) : null;
+                    const keepPrevious = !!transition && !transitions.isCut(transition);
+                    
+                    // A composite scene can't keep running the system that becomes primary
+                    if (window.sceneManager?.hasSystem(system)) {
+                        window.sceneManager.removeSystem(system);
+                    }
+                    
+                    const newEngine = await window.canvasManager.switchToSystem(system, window.engineClasses, { keepPrevious });
                     
                     if (newEngine) {
                         console.log(`✅ ${system} system ready with engine`);
                         
+                        const outgoing = window.canvasManager.outgoing;
+                        if (outgoing) {
+                            transitions.transitionSystems(outgoing, {
+                                system,
+                                engine: newEngine,
+                                container: window.canvasManager.getContainer(system)
+                            }, transition);
+                        }
+                        
                         // Update global state and UI
                         window.currentSystem = system;
                         this.currentSystem = system;
@@ -71,9 +92,12 @@ export class VIB34DApp {
                         const panelHeader = document.getElementById('panelHeader');
                         if (panelHeader) panelHeader.textContent = headers[system] || 'VIB34D SYSTEM';
                         
+                        window.dispatchEvent(new CustomEvent('vib34d:system', { detail: { system } }));
+                        
                         console.log(`✅ Switched to ${system} system successfully`);
                         return; // Success - exit early
                     } else if (system === 'polychora') {
+                        window.canvasManager.retireOutgoing?.();
                         console.log(`🔮 Polychora system not implemented yet`);
                         return; // Expected for polychora
                     } else {
@@ -88,6 +112,35 @@ export class VIB34DApp {
             console.error(`💥 CanvasManager failed for ${system} - system may not work properly`);
         };
 
+        // Variation switching with the default transition (or per-call overrides)
+        window.switchVariation = (index, options = {}) => {
+            const system = window.currentSystem || 'faceted';
+            let apply = null;
+            let engine = null;
+            if (system === 'faceted' && window.engine?.setVariation) {
+                engine = window.engine;
+                apply = () => engine.setVariation(index);
+            } else if (system === 'holographic' && window.holographicSystem?.setVariant) {
+                engine = window.holographicSystem;
+                apply = () => engine.setVariant(index);
+            } else {
+                throw new Error(`Variations are not available for ${system}`);
+            }
+            
+            if (!window.transitionManager) {
+                apply();
+                return Promise.resolve(true);
+            }
+            return window.transitionManager.transitionVariation(apply, {
+                ...options,
+                engine,
+                container: window.canvasManager?.getContainer?.(system)
+            }).catch(error => {
+                console.error('❌ Variation transition failed:', error);
+                return false;
+            });
+        };
+
         // Geometry selection function
         window.selectGeometry = (index) => {
             document.querySelectorAll('.geom-btn').forEach(btn => {
@@ -117,7 +170,9 @@ export class VIB34DApp {
         // Get all current UI parameter values (prefers user-stored values)
         window.getCurrentUIParameterState = () => {
             const parameterIds = [
+                'rot4dXY', 'rot4dXZ', 'rot4dYZ',
                 'rot4dXW', 'rot4dYW', 'rot4dZW', 
+                'projection', 'projectionDistance',
                 'gridDensity', 'morphFactor', 'chaos', 
                 'speed', 'hue', 'intensity', 'saturation'
             ];
@@ -181,7 +236,7 @@ export class VIB34DApp {
             // Apply each parameter to the visualizer
             Object.entries(currentParams).forEach(([param, value]) => {
                 if (window.updateParameter) {
-                    window.updateParameter(param, value);
+                    window.updateParameter(param, value, 'sync');
                     console.log(`✅ Applied ${param} = ${value} to ${systemName}`);
                 }
             });
@@ -208,7 +263,7 @@ export class VIB34DApp {
                 if (engine && currentParams) {
                     Object.entries(currentParams).forEach(([param, value]) => {
                         if (window.updateParameter && typeof value === 'number' && !isNaN(value)) {
-                            window.updateParameter(param, value);
+                            window.updateParameter(param, value, 'sync');
                         }
                     });
                 }
@@ -335,6 +390,106 @@ export class VIB34DApp {
                 }
             }
             
+            // Initialize animated system / variation transitions
+            if (!window.transitionManager) {
+                try {
+                    const { TransitionManager } = await import('../../src/transitions/TransitionManager.js');
+                    window.transitionManager = new TransitionManager();
+                    console.log('✅ TransitionManager initialized');
+                } catch (error) {
+                    console.warn('⚠️ TransitionManager not available:', error.message);
+                }
+            }
+            
+            // Initialize composite scenes (extra systems rendering next to the active one)
+            if (!window.sceneManager) {
+                try {
+                    const { SceneManager } = await import('../../src/scenes/SceneManager.js');
+                    const sceneManager = new SceneManager();
+                    window.sceneManager = sceneManager;
+                    
+                    // Switches and finished transitions restyle the primary container
+                    window.addEventListener('vib34d:system', () => {
+                        sceneManager.applyStyles();
+                        window.syncSceneControls?.();
+                    });
+                    window.transitionManager?.on('end', () => sceneManager.applyStyles());
+                    console.log('✅ SceneManager initialized');
+                } catch (error) {
+                    console.warn('⚠️ SceneManager not available:', error.message);
+                }
+            }
+            
+            // Initialize per-layer compositor (blend modes, opacity, offsets, overrides)
+            if (!window.layerCompositor) {
+                try {
+                    const { LayerCompositor } = await import('../../src/postfx/LayerCompositor.js');
+                    window.layerCompositor = new LayerCompositor();
+                    console.log('✅ LayerCompositor initialized');
+                } catch (error) {
+                    console.warn('⚠️ LayerCompositor not available:', error.message);
+                }
+            }
+            
+            // Initialize shared post-processing chain (runs after whichever system is active)
+            if (!window.postProcessor) {
+                try {
+                    const { PostProcessor } = await import('../../src/postfx/PostProcessor.js');
+                    window.postProcessor = new PostProcessor({ compositor: window.layerCompositor || null });
+                    console.log('✅ PostProcessor initialized');
+                } catch (error) {
+                    console.warn('⚠️ PostProcessor not available:', error.message);
+                }
+            }
+
+            // Initialize shared parameter timeline (drives whichever system is active)
+            if (!window.parameterTimeline) {
+                try {
+                    const { ParameterTimeline } = await import('../../src/timeline/ParameterTimeline.js');
+                    window.parameterTimeline = new ParameterTimeline();
+
+                    // Keep the Timeline panel's playhead and keyframe count in step
+                    ['change', 'update', 'play', 'pause', 'stop', 'complete'].forEach(event => {
+                        window.parameterTimeline.on(event, () => window.syncTimelineControls?.());
+                    });
+                    window.syncTimelineControls?.();
+                    console.log('✅ ParameterTimeline initialized');
+                } catch (error) {
+                    console.warn('⚠️ ParameterTimeline not available:', error.message);
+                }
+            }
+
+            // Initialize modulation matrix - routes mouse/scroll/tilt/audio/LFO/MIDI sources to parameters
+            if (!window.modulationMatrix) {
+                try {
+                    const { ModulationMatrix } = await import('../../src/interactivity/ModulationMatrix.js');
+                    const { InteractivityMenu } = await import('../../src/ui/InteractivityMenu.js');
+                    window.modulationMatrix = new ModulationMatrix();
+                    window.modulationMatrix.attach();
+                    window.modulationMatrix.start();
+                    window.interactivityMenu = new InteractivityMenu(window.modulationMatrix);
+                    console.log('✅ ModulationMatrix initialized');
+                } catch (error) {
+                    console.warn('⚠️ ModulationMatrix not available:', error.message);
+                }
+            }
+
+            // Initialize remote control client - connects only when opened with ?remote or ?remote=ws://host:port
+            if (!window.remoteControl) {
+                try {
+                    const { RemoteControl } = await import('../../src/remote/RemoteControl.js');
+                    window.remoteControl = new RemoteControl();
+                    window.remoteControl.attach();
+                    const remoteUrl = new URLSearchParams(window.location.search).get('remote');
+                    if (remoteUrl !== null) {
+                        window.remoteControl.connect(remoteUrl || null);
+                    }
+                    console.log('✅ RemoteControl initialized');
+                } catch (error) {
+                    console.warn('⚠️ RemoteControl not available:', error.message);
+                }
+            }
+
             this.isInitialized = true;
             console.log('✅ VIB34D Application initialized');
             
@@ -45,6 +45,31 @@ const restoreCriticalFunctions = () => {
     }
 };
 
+/**
+ * Shared UnifiedSaveManager - created on first save or load
+ */
+const getUnifiedSaveManager = async () => {
+    if (!unifiedSaveManager) {
+        console.log('🔧 Initializing UnifiedSaveManager...');
+        // Dynamic import to avoid circular dependencies
+        const { UnifiedSaveManager } = await import('../../src/core/UnifiedSaveManager.js');
+        
+        // Pass the appropriate engine based on current system, or null (it can handle null)
+        let currentEngine = null;
+        if (window.currentSystem === 'faceted' && window.engine) {
+            currentEngine = window.engine;
+        } else if (window.currentSystem === 'quantum' && window.quantumEngine) {
+            currentEngine = window.quantumEngine;
+        } else if (window.currentSystem === 'holographic' && window.holographicSystem) {
+            currentEngine = window.holographicSystem;
+        }
+        
+        console.log('🔧 Initializing UnifiedSaveManager with engine for:', window.currentSystem, !!currentEngine);
+        unifiedSaveManager = new UnifiedSaveManager(currentEngine);
+    }
+    return unifiedSaveManager;
+};
+
 /**
  * Save current visualization to gallery
  */
@@ -69,24 +94,7 @@ window.saveToGallery = async function() {
         });
         
         // CRITICAL FIX: Initialize UnifiedSaveManager if needed
-        if (!unifiedSaveManager) {
-            console.log('🔧 Initializing UnifiedSaveManager...');
-            // Dynamic import to avoid circular dependencies
-            const { UnifiedSaveManager } = await import('../../src/core/UnifiedSaveManager.js');
-            
-            // Pass the appropriate engine based on current system, or null (it can handle null)
-            let currentEngine = null;
-            if (window.currentSystem === 'faceted' && window.engine) {
-                currentEngine = window.engine;
-            } else if (window.currentSystem === 'quantum' && window.quantumEngine) {
-                currentEngine = window.quantumEngine;
-            } else if (window.currentSystem === 'holographic' && window.holographicSystem) {
-                currentEngine = window.holographicSystem;
-            }
-            
-            console.log('🔧 Initializing UnifiedSaveManager with engine for:', window.currentSystem, !!currentEngine);
-            unifiedSaveManager = new UnifiedSaveManager(currentEngine);
-        }
+        const saveManager = await getUnifiedSaveManager();
         
         // Ensure currentSystem is properly set
         if (!window.currentSystem) {
@@ -97,7 +105,7 @@ window.saveToGallery = async function() {
         console.log('🔵 Starting save process...');
         
         // Use the UnifiedSaveManager for all saves
-        const result = await unifiedSaveManager.save({ target: 'gallery' });
+        const result = await saveManager.save({ target: 'gallery' });
         
         console.log('🔵 Save result:', result);
         
@@ -160,9 +168,14 @@ window.createTradingCard = async function(format = 'classic') {
         const parameters = {
             system: window.currentSystem || 'faceted',
             geometry: getActiveGeometryIndex(),
+            rot4dXY: parseFloat(document.getElementById('rot4dXY').value),
+            rot4dXZ: parseFloat(document.getElementById('rot4dXZ').value),
+            rot4dYZ: parseFloat(document.getElementById('rot4dYZ').value),
             rot4dXW: parseFloat(document.getElementById('rot4dXW').value),
             rot4dYW: parseFloat(document.getElementById('rot4dYW').value),
             rot4dZW: parseFloat(document.getElementById('rot4dZW').value),
+            projection: parseFloat(document.getElementById('projection').value),
+            projectionDistance: parseFloat(document.getElementById('projectionDistance').value),
             gridDensity: parseFloat(document.getElementById('gridDensity').value),
             morphFactor: parseFloat(document.getElementById('morphFactor').value),
             chaos: parseFloat(document.getElementById('chaos').value),
@@ -261,7 +274,7 @@ window.showLLMInterface = async function() {
             window.llmUI = new LLMParameterUI(window.llmInterface);
             
             // Set parameter callback to update VIB34D
-            window.llmInterface.setParameterCallback((parameters) => {
+            window.llmInterface.setParameterCallback(async (parameters) => {
                 console.log('🤖 Applying AI-generated parameters:', parameters);
                 
                 // Smart system selection based on visual characteristics
@@ -280,21 +293,20 @@ window.showLLMInterface = async function() {
                 if (targetSystem !== window.currentSystem) {
                     console.log(`🎯 AI switching from ${window.currentSystem} to ${targetSystem} for optimal visual effect`);
                     if (window.switchSystem) {
-                        window.switchSystem(targetSystem);
+                        await window.switchSystem(targetSystem);
                     }
                 }
                 
-                // Apply each parameter with a small delay for smooth visual effect
-                Object.entries(parameters).forEach(([param, value], index) => {
-                    setTimeout(() => {
-                        // Use the existing updateParameter function that handles all systems
-                        if (window.updateParameter) {
-                            console.log(`🤖 Applying ${param} = ${value} to ${targetSystem} system`);
-                            window.updateParameter(param, value);
-                        } else {
-                            console.error('❌ window.updateParameter not available');
-                        }
-                    }, index * 50);
+                // Apply the response in one go as one undo step - the group stays shut while the system switches
+                if (!window.updateParameter) {
+                    console.error('❌ window.updateParameter not available');
+                    return;
+                }
+                window.groupParameterChanges('AI parameters', 'llm', () => {
+                    Object.entries(parameters).forEach(([param, value]) => {
+                        console.log(`🤖 Applying ${param} = ${value} to ${targetSystem} system`);
+                        window.updateParameter(param, value);
+                    });
                 });
             });
         }
@@ -383,9 +395,9 @@ function checkGalleryParameters() {
             
             // Switch to the appropriate system
             if (data.system && data.system !== window.currentSystem) {
-                window.switchSystem(data.system);
-                // Wait for system switch to complete
-                setTimeout(() => loadGalleryParameters(data), 20);
+                // Wait for system switch to complete - the new engine has to exist first
+                Promise.resolve(window.switchSystem(data.system))
+                    .then(() => loadGalleryParameters(data));
             } else {
                 loadGalleryParameters(data);
             }
@@ -452,23 +464,30 @@ function loadGalleryParameters(data) {
     if (currentEngine) {
         console.log(`🎯 Loading ${system} parameters with engine present`);
         
-        // Apply all parameters to the correct system
-        Object.entries(parameters).forEach(([param, value]) => {
-            if (param === 'geometry' && typeof value === 'number') {
-                if (window.selectGeometry) {
-                    window.selectGeometry(value);
-                    console.log(`🎯 Set ${system} geometry to ${value}`);
-                }
-            } else {
-                const slider = document.getElementById(param);
-                if (slider) {
-                    slider.value = value;
-                    window.updateParameter(param, value);
-                    console.log(`🎯 Applied ${system} ${param} = ${value}`);
+        // Apply all parameters to the correct system - one undo step
+        window.groupParameterChanges(`Gallery #${globalId}`, 'gallery', () => {
+            Object.entries(parameters).forEach(([param, value]) => {
+                if (param === 'geometry' && typeof value === 'number') {
+                    if (window.selectGeometry) {
+                        window.selectGeometry(value);
+                        console.log(`🎯 Set ${system} geometry to ${value}`);
+                    }
+                } else {
+                    const slider = document.getElementById(param);
+                    if (slider) {
+                        slider.value = value;
+                        window.updateParameter(param, value);
+                        console.log(`🎯 Applied ${system} ${param} = ${value}`);
+                    }
                 }
-            }
+            });
         });
         
+        // Timeline, routing, effects, composite scene and physics world saved alongside the parameters
+        getUnifiedSaveManager()
+            .then(saveManager => saveManager.restoreSavedState(system, data))
+            .catch(error => console.error('❌ Failed to restore saved state:', error));
+        
         console.log(`✅ Successfully loaded ${system} variation`);
     } else {
         console.error(`❌ ${system} engine not available:`, {
@@ -502,10 +521,10 @@ function applyMouseParameters() {
     const morphShift = intensity * 0.3; // 0-0.3 morph factor
     
     // Apply parameter updates smoothly
-    window.updateParameter('hue', (window.baseHue || 200) + hueShift);
-    window.updateParameter('gridDensity', Math.max(5, (window.baseDensity || 15) + densityShift));
-    window.updateParameter('morphFactor', Math.max(0, Math.min(2, (window.baseMorph || 1) + morphShift)));
-    window.updateParameter('intensity', Math.max(0, Math.min(1, intensity)));
+    window.updateParameter('hue', (window.baseHue || 200) + hueShift, 'mouse');
+    window.updateParameter('gridDensity', Math.max(5, (window.baseDensity || 15) + densityShift), 'mouse');
+    window.updateParameter('morphFactor', Math.max(0, Math.min(2, (window.baseMorph || 1) + morphShift)), 'mouse');
+    window.updateParameter('intensity', Math.max(0, Math.min(1, intensity)), 'mouse');
     
     pendingMouseData = null;
 }
@@ -535,8 +554,16 @@ window.addEventListener('message', (event) => {
 
 // Initialize gallery parameter checking
 if (typeof window !== 'undefined') {
-    // Check for gallery parameters on load
-    setTimeout(checkGalleryParameters, 100);
+    // Check for gallery parameters once the systems are up (moduleReady), or after 10s regardless
+    const waitStart = Date.now();
+    const checkWhenReady = () => {
+        if (window.moduleReady || Date.now() - waitStart > 10000) {
+            checkGalleryParameters();
+        } else {
+            setTimeout(checkWhenReady, 100);
+        }
+    };
+    setTimeout(checkWhenReady, 100);
     
     // Listen for storage events for cross-tab communication
     window.addEventListener('storage', (event) => {
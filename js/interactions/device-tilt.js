@@ -174,9 +174,9 @@ export class DeviceTiltHandler {
         
         // Reset to base rotation values
         if (window.updateParameter) {
-            window.updateParameter('rot4dXW', this.baseRotation.rot4dXW);
-            window.updateParameter('rot4dYW', this.baseRotation.rot4dYW);
-            window.updateParameter('rot4dZW', this.baseRotation.rot4dZW);
+            window.updateParameter('rot4dXW', this.baseRotation.rot4dXW, 'tilt');
+            window.updateParameter('rot4dYW', this.baseRotation.rot4dYW, 'tilt');
+            window.updateParameter('rot4dZW', this.baseRotation.rot4dZW, 'tilt');
         }
         
         console.log('🎯 DEVICE TILT: Disabled - reset to base rotation');
@@ -223,9 +223,9 @@ export class DeviceTiltHandler {
         
         // Apply to visualization system
         if (window.updateParameter) {
-            window.updateParameter('rot4dXW', this.smoothedRotation.rot4dXW);
-            window.updateParameter('rot4dYW', this.smoothedRotation.rot4dYW);
-            window.updateParameter('rot4dZW', this.smoothedRotation.rot4dZW);
+            window.updateParameter('rot4dXW', this.smoothedRotation.rot4dXW, 'tilt');
+            window.updateParameter('rot4dYW', this.smoothedRotation.rot4dYW, 'tilt');
+            window.updateParameter('rot4dZW', this.smoothedRotation.rot4dZW, 'tilt');
         }
         
         // Update UI display if available
@@ -0,0 +1,531 @@
+/**
+ * VIB34D MIDI CONTROLLER INPUT
+ * Web MIDI knobs/faders → parameter sliders (with MIDI learn) and pads/keys → variations
+ *
+ * - Learn mode: click MIDI, touch a slider, move a knob - the control is bound to that slider
+ * - Notes switch variations through Engine.setVariation (noteBase = variation 0, or learned per variation)
+ * - Every CC and note is also published to the modulation matrix as midi.cc.<n> / midi.note.<n>
+ * - Mappings persist in localStorage and can be stored as named presets
+ *
+ * requestMIDIAccess, storage and the variation/parameter hooks are injectable, so a mock MIDIAccess
+ * ({ inputs: Map<id, { id, name, onmidimessage }>, onstatechange }) drives it in tests.
+ */
+
+import { ParameterManager } from '../../src/core/Parameters.js';
+
+const STORAGE_KEY = 'vib34d-midi-mappings';
+const PRESETS_KEY = 'vib34d-midi-presets';
+
+// MIDI status bytes (upper nibble)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+
+export class MIDIController {
+    constructor(options = {}) {
+        this.requestAccess = options.requestMIDIAccess || (() => navigator.requestMIDIAccess({ sysex: false }));
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.setVariation = options.setVariation || ((index) => {
+            // Animated with the app's default transition when it is loaded
+            if (window.switchVariation) {
+                try {
+                    window.switchVariation(index);
+                } catch (error) {
+                    console.warn(`⚠️ MIDI variation ignored: ${error.message}`);
+                }
+            } else if (window.engine?.setVariation) {
+                window.engine.setVariation(index);
+            }
+        });
+        this.applyParameter = options.applyParameter || ((param, value) => {
+            if (window.updateParameter) {
+                window.updateParameter(param, value, 'midi');
+            }
+        });
+
+        this.access = null;
+        this.isEnabled = false;
+
+        // Control bindings: "<channel>:<cc>" -> { channel, control, target }
+        this.controlMappings = new Map();
+        // Note bindings: "<channel>:<note>" -> variation index (unbound notes use noteBase)
+        this.noteMappings = new Map();
+        this.noteBase = 36; // C1 - first pad on most controllers
+        this.totalVariations = options.totalVariations || 100;
+
+        // Parameter ranges for targets without a slider on the page
+        this.parameterDefs = new ParameterManager().parameterDefs;
+
+        // Learn mode: the slider/variation waiting for the next control or note
+        this.learnMode = false;
+        this.learnTarget = null;
+        this.learnListener = null;
+
+        this.listeners = new Map();
+
+        this.loadMappings();
+    }
+
+    /**
+     * Request MIDI access and listen to every input (also hot-plugged ones)
+     */
+    async enable() {
+        if (this.isEnabled) return true;
+
+        try {
+            this.access = await this.requestAccess();
+            this.bindInputs();
+            this.access.onstatechange = () => this.bindInputs();
+            this.isEnabled = true;
+
+            console.log(`🎹 MIDI enabled: ${this.getInputNames().join(', ') || 'no devices yet'}`);
+            this.emit('enabled', { inputs: this.getInputNames() });
+            return true;
+        } catch (error) {
+            console.error('❌ MIDI access failed:', error);
+            return false;
+        }
+    }
+
+    disable() {
+        if (this.access) {
+            this.access.inputs.forEach(input => {
+                input.onmidimessage = null;
+            });
+            this.access.onstatechange = null;
+        }
+        this.setLearnMode(false);
+        this.access = null;
+        this.isEnabled = false;
+        console.log('🎹 MIDI disabled');
+    }
+
+    bindInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data, input);
+        });
+    }
+
+    getInputNames() {
+        if (!this.access) return [];
+        return Array.from(this.access.inputs.values()).map(input => input.name || input.id);
+    }
+
+    /**
+     * Route one raw MIDI message
+     * @param {Uint8Array|number[]} data - [status, data1, data2]
+     */
+    handleMessage(data, input = null) {
+        if (!data || data.length < 2) return;
+
+        const type = data[0] & 0xF0;
+        const channel = (data[0] & 0x0F) + 1;
+        const number = data[1];
+        const value = data.length > 2 ? data[2] : 0;
+
+        if (type === CONTROL_CHANGE) {
+            this.handleControlChange(channel, number, value);
+        } else if (type === NOTE_ON && value > 0) {
+            this.handleNoteOn(channel, number, value);
+        } else if (type === NOTE_OFF || type === NOTE_ON) {
+            this.publishSource(`midi.note.${number}`, 0);
+        }
+
+        this.emit('message', { type, channel, number, value, input: input?.name || null });
+    }
+
+    handleControlChange(channel, control, value) {
+        this.publishSource(`midi.cc.${control}`, value / 127);
+
+        if (this.learnMode && this.learnTarget?.type === 'parameter') {
+            this.bindControl(channel, control, this.learnTarget.param);
+            return;
+        }
+
+        const mapping = this.controlMappings.get(`${channel}:${control}`);
+        if (mapping) {
+            this.applyControl(mapping.target, value / 127);
+        }
+    }
+
+    handleNoteOn(channel, note, velocity) {
+        this.publishSource(`midi.note.${note}`, velocity / 127);
+
+        if (this.learnMode && this.learnTarget?.type === 'variation') {
+            this.bindNote(channel, note, this.learnTarget.index);
+            return;
+        }
+
+        const index = this.getVariationForNote(channel, note);
+        if (index !== null) {
+            this.setVariation(index);
+            this.emit('variation', { channel, note, index });
+        }
+    }
+
+    getVariationForNote(channel, note) {
+        const key = `${channel}:${note}`;
+        if (this.noteMappings.has(key)) {
+            return this.noteMappings.get(key);
+        }
+
+        const index = note - this.noteBase;
+        return index >= 0 && index < this.totalVariations ? index : null;
+    }
+
+    /**
+     * Move a slider (and its parameter) to a normalized 0-1 position within the slider's range
+     */
+    applyControl(target, normalized) {
+        const slider = typeof document !== 'undefined' ? document.getElementById(target) : null;
+        const range = this.getTargetRange(target, slider);
+        let value = range.min + (range.max - range.min) * normalized;
+
+        if (range.step) {
+            value = Math.round(value / range.step) * range.step;
+        }
+        value = parseFloat(Math.max(range.min, Math.min(range.max, value)).toFixed(4));
+
+        if (slider) {
+            slider.value = value;
+        }
+
+        if (target === 'variationSlider') {
+            this.setVariation(Math.round(value));
+        } else {
+            this.applyParameter(target, value);
+        }
+    }
+
+    getTargetRange(target, slider) {
+        if (slider) {
+            return {
+                min: parseFloat(slider.min) || 0,
+                max: parseFloat(slider.max) || 1,
+                step: slider.step && slider.step !== 'any' ? parseFloat(slider.step) : 0
+            };
+        }
+        if (target === 'variationSlider') {
+            return { min: 0, max: this.totalVariations - 1, step: 1 };
+        }
+        const def = this.parameterDefs[target];
+        return def ? { min: def.min, max: def.max, step: def.step } : { min: 0, max: 1, step: 0 };
+    }
+
+    /**
+     * Sliders that can be learned - the parameter sliders ParameterManager.updateDisplayValues drives
+     */
+    getLearnableSliders() {
+        if (typeof document === 'undefined') return [];
+        return Array.from(document.querySelectorAll('input[type="range"].control-slider, input[type="range"]#variationSlider'));
+    }
+
+    /**
+     * Learn mode - the next touched slider waits for a control
+     */
+    setLearnMode(enabled) {
+        this.learnMode = !!enabled;
+        this.learnTarget = null;
+
+        if (typeof document !== 'undefined') {
+            document.body.classList.toggle('midi-learn', this.learnMode);
+            this.getLearnableSliders().forEach(slider => slider.classList.remove('midi-learn-target'));
+
+            if (this.learnMode && !this.learnListener) {
+                this.learnListener = (e) => {
+                    const slider = e.target.closest && e.target.closest('input[type="range"]');
+                    if (slider && this.getLearnableSliders().includes(slider)) {
+                        this.learn(slider.id);
+                    }
+                };
+                document.addEventListener('pointerdown', this.learnListener, true);
+            } else if (!this.learnMode && this.learnListener) {
+                document.removeEventListener('pointerdown', this.learnListener, true);
+                this.learnListener = null;
+            }
+        }
+
+        console.log(`🎹 MIDI learn: ${this.learnMode ? 'ON - touch a slider, then move a control' : 'OFF'}`);
+        this.emit('learn', { enabled: this.learnMode });
+    }
+
+    toggleLearnMode() {
+        this.setLearnMode(!this.learnMode);
+        return this.learnMode;
+    }
+
+    /**
+     * Wait for the next control change and bind it to a slider/parameter id
+     */
+    learn(param) {
+        if (!this.learnMode) {
+            this.setLearnMode(true);
+        }
+        this.learnTarget = { type: 'parameter', param };
+
+        if (typeof document !== 'undefined') {
+            this.getLearnableSliders().forEach(slider => {
+                slider.classList.toggle('midi-learn-target', slider.id === param);
+            });
+        }
+        console.log(`🎹 MIDI learn: move a control for ${param}`);
+    }
+
+    /**
+     * Wait for the next note and bind it to a variation index
+     */
+    learnVariation(index) {
+        if (!this.learnMode) {
+            this.setLearnMode(true);
+        }
+        this.learnTarget = { type: 'variation', index };
+        console.log(`🎹 MIDI learn: play a note for variation ${index + 1}`);
+    }
+
+    bindControl(channel, control, target) {
+        // One control per slider - learning again replaces the old binding
+        this.controlMappings.forEach((mapping, key) => {
+            if (mapping.target === target) {
+                this.controlMappings.delete(key);
+            }
+        });
+
+        this.controlMappings.set(`${channel}:${control}`, { channel, control, target });
+        this.finishLearn(`CC ${control} (ch ${channel}) → ${target}`);
+    }
+
+    bindNote(channel, note, index) {
+        this.noteMappings.set(`${channel}:${note}`, index);
+        this.finishLearn(`Note ${note} (ch ${channel}) → variation ${index + 1}`);
+    }
+
+    finishLearn(description) {
+        this.learnTarget = null;
+        if (typeof document !== 'undefined') {
+            this.getLearnableSliders().forEach(slider => slider.classList.remove('midi-learn-target'));
+        }
+        this.saveMappings();
+        this.updateSliderLabels();
+
+        console.log(`🎹 MIDI learned: ${description}`);
+        this.emit('change', { description });
+    }
+
+    clearMapping(target) {
+        let removed = false;
+        this.controlMappings.forEach((mapping, key) => {
+            if (mapping.target === target) {
+                this.controlMappings.delete(key);
+                removed = true;
+            }
+        });
+        if (removed) {
+            this.saveMappings();
+            this.updateSliderLabels();
+            this.emit('change', { cleared: target });
+        }
+        return removed;
+    }
+
+    clearAllMappings() {
+        this.controlMappings.clear();
+        this.noteMappings.clear();
+        this.saveMappings();
+        this.updateSliderLabels();
+        this.emit('change', { cleared: 'all' });
+    }
+
+    /**
+     * Show bound controls in slider tooltips
+     */
+    updateSliderLabels() {
+        if (typeof document === 'undefined') return;
+
+        this.getLearnableSliders().forEach(slider => {
+            delete slider.dataset.midi;
+        });
+        this.controlMappings.forEach(({ channel, control, target }) => {
+            const slider = document.getElementById(target);
+            if (slider) {
+                slider.dataset.midi = `CC ${control} ch ${channel}`;
+                slider.title = `MIDI: CC ${control} (channel ${channel})`;
+            }
+        });
+    }
+
+    publishSource(source, value) {
+        if (window.modulationMatrix?.setSourceValue) {
+            window.modulationMatrix.setSourceValue(source, value);
+        }
+    }
+
+    /**
+     * Serializable mapping set (what presets store)
+     */
+    getMappings() {
+        return {
+            controls: Array.from(this.controlMappings.values()).map(mapping => ({ ...mapping })),
+            notes: Array.from(this.noteMappings.entries()).map(([key, index]) => {
+                const [channel, note] = key.split(':').map(Number);
+                return { channel, note, index };
+            }),
+            noteBase: this.noteBase
+        };
+    }
+
+    setMappings(mappings = {}) {
+        this.controlMappings.clear();
+        this.noteMappings.clear();
+
+        (mappings.controls || []).forEach(({ channel, control, target }) => {
+            if (Number.isInteger(channel) && Number.isInteger(control) && typeof target === 'string') {
+                this.controlMappings.set(`${channel}:${control}`, { channel, control, target });
+            }
+        });
+        (mappings.notes || []).forEach(({ channel, note, index }) => {
+            if (Number.isInteger(channel) && Number.isInteger(note) && Number.isInteger(index)) {
+                this.noteMappings.set(`${channel}:${note}`, index);
+            }
+        });
+        if (Number.isInteger(mappings.noteBase)) {
+            this.noteBase = mappings.noteBase;
+        }
+
+        this.updateSliderLabels();
+    }
+
+    saveMappings() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.getMappings()));
+        } catch (error) {
+            console.warn('⚠️ Could not save MIDI mappings:', error.message);
+        }
+    }
+
+    loadMappings() {
+        if (!this.storage) return;
+        try {
+            const stored = this.storage.getItem(STORAGE_KEY);
+            if (stored) {
+                this.setMappings(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored MIDI mappings:', error.message);
+        }
+    }
+
+    /**
+     * Named presets (one per controller or per set)
+     */
+    getPresets() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(PRESETS_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored MIDI presets:', error.message);
+            return {};
+        }
+    }
+
+    getPresetNames() {
+        return Object.keys(this.getPresets());
+    }
+
+    savePreset(name) {
+        if (!name) {
+            throw new Error('MIDI preset needs a name');
+        }
+        const presets = this.getPresets();
+        presets[name] = { ...this.getMappings(), saved: new Date().toISOString() };
+        this.storage?.setItem(PRESETS_KEY, JSON.stringify(presets));
+        console.log(`🎹 MIDI preset saved: ${name}`);
+    }
+
+    loadPreset(name) {
+        const preset = this.getPresets()[name];
+        if (!preset) {
+            console.warn(`⚠️ MIDI preset not found: ${name}`);
+            return false;
+        }
+        this.setMappings(preset);
+        this.saveMappings();
+        this.emit('change', { preset: name });
+        console.log(`🎹 MIDI preset loaded: ${name}`);
+        return true;
+    }
+
+    deletePreset(name) {
+        const presets = this.getPresets();
+        if (!(name in presets)) return false;
+        delete presets[name];
+        this.storage?.setItem(PRESETS_KEY, JSON.stringify(presets));
+        return true;
+    }
+
+    /**
+     * Event subscription (enabled, message, learn, change, variation)
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ MIDI ${event} listener failed:`, error);
+            }
+        });
+    }
+}
+
+// Create global instance and UI functions
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    window.midiController = new MIDIController();
+
+    const updateMIDIButton = () => {
+        const midiBtn = document.getElementById('midiToggle');
+        if (!midiBtn) return;
+
+        const controller = window.midiController;
+        midiBtn.classList.toggle('active', controller.isEnabled);
+        midiBtn.classList.toggle('learning', controller.learnMode);
+        midiBtn.title = !controller.isEnabled
+            ? 'MIDI Controller (click to connect)'
+            : controller.learnMode
+                ? 'MIDI Learn: touch a slider, then move a knob (click to finish)'
+                : `MIDI: ${controller.getInputNames().join(', ') || 'no devices'} (click for learn mode)`;
+    };
+
+    // First click connects, later clicks toggle learn mode
+    window.toggleMIDI = async () => {
+        const controller = window.midiController;
+        if (!controller.isEnabled) {
+            if (!navigator.requestMIDIAccess) {
+                console.warn('⚠️ Web MIDI is not supported in this browser');
+                return false;
+            }
+            await controller.enable();
+        } else {
+            controller.toggleLearnMode();
+        }
+        updateMIDIButton();
+        return controller.isEnabled;
+    };
+
+    window.midiController.on('change', updateMIDIButton);
+    window.midiController.on('learn', updateMIDIButton);
+
+    document.addEventListener('DOMContentLoaded', () => window.midiController.updateSliderLabels());
+
+    console.log('🎹 MIDI: Controller module loaded');
+}
+
+export default MIDIController;
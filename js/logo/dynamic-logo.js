@@ -288,8 +288,9 @@ class DynamicLogoSystem {
         // Watch for system changes
         const originalSwitchSystem = window.switchSystem;
         if (originalSwitchSystem) {
-            window.switchSystem = (system) => {
-                const result = originalSwitchSystem.call(window, system);
+            window.switchSystem = (system, ...args) => {
+                // Pass transition options through
+                const result = originalSwitchSystem.call(window, system, ...args);
                 this.updateSystem(system);
                 return result;
             };
@@ -298,8 +299,9 @@ class DynamicLogoSystem {
         // Watch for parameter changes
         const originalUpdateParameter = window.updateParameter;
         if (originalUpdateParameter) {
-            window.updateParameter = (param, value) => {
-                const result = originalUpdateParameter.call(window, param, value);
+            window.updateParameter = (param, value, ...args) => {
+                // Pass the change's source through for the undo history
+                const result = originalUpdateParameter.call(window, param, value, ...args);
                 this.updateParameter(param, value);
                 return result;
             };
@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+/**
+ * VIB34D Remote Control Relay
+ * Small dependency-free Node server that lets external tools control and monitor the viewer.
+ *
+ *   WebSocket (JSON)  ws://localhost:8765   - viewer pages (?remote) and controller scripts
+ *   OSC over UDP      port 9000 (optional)  - TouchDesigner, Max/MSP, Ableton (via Max for Live)
+ *   OSC out           host:port (optional)  - viewer state broadcasts forwarded as OSC
+ *
+ * Every message is forwarded to every other client, stamped with the sender's id in `from`.
+ * Messages carrying `to` (replies such as /vib34d/error) only reach that client - 'osc' for
+ * OSC in senders, answered over OSC out. /vib34d/state/... broadcasts are cached so late
+ * joiners receive the current state on connect. GET / returns the cache.
+ * Protocol reference: DOCS/6-REMOTE-CONTROL.md
+ *
+ * There is no authentication, so the relay only listens on 127.0.0.1 unless --host says
+ * otherwise, and browsers may only connect from pages served by this machine (or --allow-origin).
+ *
+ * Usage: node server/remote-relay.js [--port 8765] [--host 0.0.0.0] [--allow-origin http://10.0.0.5:8145]
+ *                                    [--osc-in 9000] [--osc-out 127.0.0.1:9001]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const NAMESPACE = '/vib34d';
+const STATE_PREFIX = `${NAMESPACE}/state/`;
+const MAX_PAYLOAD = 1024 * 1024;       // Per message - all fragments together
+const OSC_CLIENT = 'osc';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+const CLOSE_CODES = {
+    protocolError: 1002,
+    messageTooBig: 1009
+};
+
+/**
+ * Broken framing - the connection is closed with closeCode
+ */
+class ProtocolError extends Error {
+    constructor(message, closeCode = CLOSE_CODES.protocolError) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.closeCode = closeCode;
+    }
+}
+
+/**
+ * WebSocket framing (RFC 6455) - server frames are never masked
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read one frame from the front of a buffer - returns null until the whole frame has arrived
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) {
+        throw new ProtocolError(`Frame too large: ${length} bytes`, CLOSE_CODES.messageTooBig);
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { fin, opcode, masked, payload, size: offset + length };
+}
+
+/**
+ * OSC 1.0 encoding - strings and blobs are null-padded to 4 bytes
+ */
+function padString(value) {
+    const bytes = Buffer.from(`${value}\0`, 'utf8');
+    const padded = Buffer.alloc(Math.ceil(bytes.length / 4) * 4);
+    bytes.copy(padded);
+    return padded;
+}
+
+function encodeOSC(message) {
+    let tags = ',';
+    const data = [];
+
+    (message.args || []).forEach(arg => {
+        if (typeof arg === 'number') {
+            const buffer = Buffer.alloc(4);
+            if (Number.isInteger(arg) && arg >= -2147483648 && arg <= 2147483647) {
+                tags += 'i';
+                buffer.writeInt32BE(arg);
+            } else {
+                tags += 'f';
+                buffer.writeFloatBE(arg);
+            }
+            data.push(buffer);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null || arg === undefined) {
+            tags += 'N';
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            data.push(padString(arg));
+        } else {
+            // Objects (snapshots) travel as JSON strings
+            tags += 's';
+            data.push(padString(JSON.stringify(arg)));
+        }
+    });
+
+    return Buffer.concat([padString(message.address), padString(tags), ...data]);
+}
+
+function readString(buffer, offset) {
+    let end = offset;
+    while (end < buffer.length && buffer[end] !== 0) end++;
+    const value = buffer.toString('utf8', offset, end);
+    return { value, offset: Math.ceil((end + 1) / 4) * 4 };
+}
+
+/**
+ * Decode an OSC packet (message or #bundle) into a flat list of { address, args }
+ */
+function decodeOSC(buffer) {
+    if (buffer.length >= 8 && buffer.toString('utf8', 0, 8) === '#bundle\0') {
+        const messages = [];
+        let offset = 16; // '#bundle\0' + 8-byte time tag - elements are applied immediately
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            offset += 4;
+            messages.push(...decodeOSC(buffer.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error('Invalid OSC packet');
+    }
+
+    const args = [];
+    let offset = address.offset;
+    if (offset >= buffer.length) {
+        return [{ address: address.value, args }];
+    }
+
+    const tags = readString(buffer, offset);
+    offset = tags.offset;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buffer.readFloatBE(offset)); offset += 4; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 's':
+            case 'S': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                offset += 4 + Math.ceil(size / 4) * 4;
+                args.push(null);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+    return [{ address: address.value, args }];
+}
+
+/**
+ * JSON wire text → flat message list (same shape as RemoteProtocol.decodeMessages)
+ */
+function decodeJSON(text) {
+    const messages = [];
+    const collect = (entry) => {
+        if (Array.isArray(entry)) {
+            entry.forEach(collect);
+        } else if (entry && Array.isArray(entry.bundle)) {
+            entry.bundle.forEach(collect);
+        } else if (entry && typeof entry.address === 'string') {
+            const args = entry.args === undefined ? [] : entry.args;
+            const message = { address: entry.address, args: Array.isArray(args) ? args : [args] };
+            if (entry.to !== undefined) message.to = entry.to;
+            messages.push(message);
+        } else {
+            throw new Error('Invalid remote message: missing address');
+        }
+    };
+    collect(JSON.parse(text));
+    return messages;
+}
+
+function parseHostPort(value, defaultHost = '127.0.0.1') {
+    const [host, port] = String(value).includes(':') ? String(value).split(':') : [defaultHost, value];
+    return { host: host || defaultHost, port: parseInt(port, 10) };
+}
+
+class RemoteRelay {
+    constructor(options = {}) {
+        this.port = options.port ?? 8765;
+        this.host = options.host || '127.0.0.1';
+        this.allowedOrigins = options.allowedOrigins || [];
+        this.oscInPort = options.oscIn ?? null;
+        this.oscOut = options.oscOut ? parseHostPort(options.oscOut) : null;
+        this.log = options.quiet ? () => {} : (...args) => console.log(...args);
+
+        this.clients = new Set();
+        this.state = new Map();
+        this.server = null;
+        this.udp = null;
+        this.nextClientId = 1;
+    }
+
+    async start() {
+        this.server = http.createServer((request, response) => this.handleHttp(request, response));
+        this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+        this.log(`📡 VIB34D relay listening on ws://${this.host}:${this.port}`);
+        if (!LOOPBACK_HOSTS.includes(this.host)) {
+            console.warn(`⚠️ Relay is reachable from the network on ${this.host} - anyone who can reach it can control the viewer`);
+        }
+
+        if (this.oscInPort !== null || this.oscOut) {
+            this.udp = dgram.createSocket('udp4');
+            this.udp.on('message', (packet) => this.handleOSC(packet));
+            this.udp.on('error', (error) => console.error('❌ OSC socket error:', error.message));
+            await new Promise((resolve, reject) => {
+                this.udp.once('error', reject);
+                this.udp.bind(this.oscInPort ?? 0, this.host, resolve);
+            });
+            this.oscInPort = this.udp.address().port;
+            this.log(`🎛️ OSC in on udp://${this.host}:${this.oscInPort}`);
+            if (this.oscOut) this.log(`🎛️ OSC out to udp://${this.oscOut.host}:${this.oscOut.port}`);
+        }
+        return this;
+    }
+
+    async stop() {
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+        if (this.udp) {
+            await new Promise(resolve => this.udp.close(resolve));
+            this.udp = null;
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Browsers send an Origin - only pages served from this machine or listed with --allow-origin
+     * get through. Clients without one (Node scripts, TouchDesigner) aren't browsers and are let in.
+     */
+    isOriginAllowed(origin) {
+        if (!origin) return true;
+        if (this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin)) return true;
+        try {
+            return LOOPBACK_HOSTS.includes(new URL(origin).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    handleHttp(request, response) {
+        const origin = request.headers.origin;
+        if (!this.isOriginAllowed(origin)) {
+            response.writeHead(403, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: `Origin not allowed: ${origin}` }));
+            return;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (origin) {
+            headers['Access-Control-Allow-Origin'] = origin;
+            headers.Vary = 'Origin';
+        }
+        response.writeHead(200, headers);
+        response.end(JSON.stringify({
+            name: 'vib34d-remote-relay',
+            clients: this.clients.size,
+            oscIn: this.udp ? this.oscInPort : null,
+            state: Object.fromEntries(Array.from(this.state, ([address, args]) => [address, args]))
+        }));
+    }
+
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        // Any web page open in the browser could otherwise drive the viewer
+        const origin = request.headers.origin;
+        if (!this.isOriginAllowed(origin)) {
+            this.log(`🚫 Rejected WebSocket from origin ${origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = {
+            id: this.nextClientId++,
+            socket,
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            fragmentOpcode: null,
+            fragmentSize: 0
+        };
+        this.clients.add(client);
+        this.log(`🔌 Client ${client.id} connected (${this.clients.size} total)`);
+
+        // Late joiners get the last known viewer state
+        if (this.state.size > 0) {
+            const bundle = Array.from(this.state, ([address, args]) => ({ address, args }));
+            this.sendTo(client, JSON.stringify({ bundle }));
+        }
+
+        socket.on('data', (chunk) => this.handleData(client, chunk));
+        socket.on('close', () => this.removeClient(client));
+        socket.on('error', () => this.removeClient(client));
+    }
+
+    removeClient(client) {
+        if (this.clients.delete(client)) {
+            this.log(`🔌 Client ${client.id} disconnected (${this.clients.size} total)`);
+        }
+    }
+
+    handleData(client, chunk) {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(client.buffer))) {
+                client.buffer = client.buffer.subarray(frame.size);
+                this.handleFrame(client, frame);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Client ${client.id} protocol error:`, error.message);
+            this.closeClient(client, error.closeCode ?? CLOSE_CODES.protocolError, error.message);
+        }
+    }
+
+    /**
+     * Close frame with a status code and (truncated) reason, then drop the client
+     */
+    closeClient(client, code, reason = '') {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        client.buffer = Buffer.alloc(0);
+        client.socket.end(encodeFrame(OPCODES.close, Buffer.concat([payload, Buffer.from(reason, 'utf8').subarray(0, 123)])));
+        this.removeClient(client);
+    }
+
+    handleFrame(client, frame) {
+        // RFC 6455 5.1 - every client frame is masked
+        if (!frame.masked) {
+            throw new ProtocolError('Unmasked client frame');
+        }
+
+        switch (frame.opcode) {
+            case OPCODES.ping:
+                client.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                client.socket.end(encodeFrame(OPCODES.close));
+                this.removeClient(client);
+                return;
+            case OPCODES.continuation:
+                if (client.fragmentOpcode === null) {
+                    throw new ProtocolError('Continuation frame without a message');
+                }
+                client.fragments.push(frame.payload);
+                client.fragmentSize += frame.payload.length;
+                break;
+            case OPCODES.text:
+            case OPCODES.binary:
+                if (client.fragmentOpcode !== null) {
+                    throw new ProtocolError('New message before the fragmented one finished');
+                }
+                client.fragments = [frame.payload];
+                client.fragmentOpcode = frame.opcode;
+                client.fragmentSize = frame.payload.length;
+                break;
+            default:
+                throw new ProtocolError(`Unsupported opcode ${frame.opcode}`);
+        }
+
+        // Each frame is capped by decodeFrame, fragments could otherwise add up without limit
+        if (client.fragmentSize > MAX_PAYLOAD) {
+            throw new ProtocolError(`Message too large: ${client.fragmentSize} bytes`, CLOSE_CODES.messageTooBig);
+        }
+
+        if (!frame.fin) return;
+        const payload = Buffer.concat(client.fragments);
+        const opcode = client.fragmentOpcode;
+        client.fragments = [];
+        client.fragmentOpcode = null;
+        client.fragmentSize = 0;
+
+        try {
+            // Binary frames carry raw OSC packets, text frames carry JSON
+            const messages = opcode === OPCODES.binary ? decodeOSC(payload) : decodeJSON(payload.toString('utf8'));
+            this.route(messages, client);
+        } catch (error) {
+            this.sendTo(client, JSON.stringify({ address: `${NAMESPACE}/error`, args: [error.message] }));
+        }
+    }
+
+    handleOSC(packet) {
+        try {
+            this.route(decodeOSC(packet), null);
+        } catch (error) {
+            console.warn('⚠️ Ignoring OSC packet:', error.message);
+        }
+    }
+
+    /**
+     * Forward messages to every other client, cache state broadcasts, mirror state to OSC out.
+     * Replies (messages with `to`) only go back to the client that sent the command.
+     */
+    route(messages, sender) {
+        const from = sender ? sender.id : OSC_CLIENT;
+        const accepted = [];
+        messages.forEach(message => {
+            if (!message.address.startsWith(`${NAMESPACE}/`)) return;
+            if (message.to !== undefined) {
+                this.reply(message);
+            } else {
+                accepted.push({ ...message, from });
+            }
+        });
+        if (accepted.length === 0) return;
+
+        accepted.forEach(message => {
+            if (message.address.startsWith(STATE_PREFIX)) {
+                this.state.set(message.address, message.args);
+                if (this.oscOut && this.udp) {
+                    const packet = encodeOSC(message);
+                    this.udp.send(packet, this.oscOut.port, this.oscOut.host);
+                }
+            }
+        });
+
+        const text = JSON.stringify(accepted.length === 1 ? accepted[0] : { bundle: accepted });
+        this.clients.forEach(client => {
+            if (client !== sender) this.sendTo(client, text);
+        });
+    }
+
+    reply({ to, ...message }) {
+        if (to === OSC_CLIENT) {
+            if (this.oscOut && this.udp) {
+                this.udp.send(encodeOSC(message), this.oscOut.port, this.oscOut.host);
+            }
+            return;
+        }
+
+        const client = Array.from(this.clients).find(candidate => candidate.id === to);
+        if (client) this.sendTo(client, JSON.stringify(message));
+    }
+
+    sendTo(client, text) {
+        if (!client.socket.destroyed) {
+            client.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+        }
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(value, 10); i++; break;
+            case '--host': options.host = value; i++; break;
+            case '--allow-origin': options.allowedOrigins = [...(options.allowedOrigins || []), value]; i++; break;
+            case '--osc-in': options.oscIn = parseInt(value, 10); i++; break;
+            case '--osc-out': options.oscOut = value; i++; break;
+            case '--quiet': options.quiet = true; break;
+            default:
+                console.warn(`⚠️ Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+async function createRelay(options = {}) {
+    return new RemoteRelay(options).start();
+}
+
+module.exports = { RemoteRelay, createRelay, encodeFrame, decodeFrame, encodeOSC, decodeOSC, decodeJSON, CLOSE_CODES };
+
+if (require.main === module) {
+    createRelay(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error('❌ Relay failed to start:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,280 @@
+/**
+ * VIB34D Audio Analyzer
+ * Shared analysis stage on top of the FFT spectrum - onsets, tempo (BPM), beat phase,
+ * spectral centroid and spectral flux - so every system reacts to the same beats
+ *
+ *   const analyzer = new AudioAnalyzer({ sampleRate: 44100, fftSize: 256 });
+ *   analyzer.on('beat', ({ index, bpm, downbeat }) => { ... });
+ *   const features = analyzer.process(byteFrequencyData, audioContext.currentTime);
+ *
+ * Feed one spectrum per frame with a monotonic clock (the audio context clock keeps beats in sync
+ * with file playback). A clock that jumps backwards (seek, loop region) restarts beat tracking.
+ */
+
+export class AudioAnalyzer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.fftSize = options.fftSize || 256;
+
+        // Tempo search range - detected tempos are folded into it (e.g. 240 → 120)
+        this.minBPM = options.minBPM || 70;
+        this.maxBPM = options.maxBPM || 180;
+
+        // Onset = flux above this multiple of the recent average flux
+        this.onsetThreshold = options.onsetThreshold || 1.6;
+        this.minOnsetInterval = options.minOnsetInterval || 0.1;   // seconds
+        this.fluxWindow = options.fluxWindow || 1.0;               // seconds of flux averaged for the threshold
+        this.tempoWindow = options.tempoWindow || 8.0;             // seconds of onsets used for the tempo
+
+        this.listeners = new Map();
+        this.reset();
+    }
+
+    /**
+     * Match the analyser the spectra come from
+     */
+    configure({ sampleRate, fftSize } = {}) {
+        if (sampleRate) this.sampleRate = sampleRate;
+        if (fftSize) this.fftSize = fftSize;
+        this.reset();
+    }
+
+    reset() {
+        this.previousSpectrum = null;
+        this.lastTime = null;
+        this.resetTiming();
+
+        this.features = {
+            onset: false,
+            onsetStrength: 0,
+            flux: 0,
+            centroid: 0,        // Hz
+            brightness: 0,      // centroid / Nyquist (0 → 1)
+            bpm: 0,
+            beatConfidence: 0,
+            beat: false,
+            beatPhase: 0,       // 0 on the beat → 1 just before the next one
+            beatIndex: 0
+        };
+    }
+
+    resetTiming() {
+        this.fluxHistory = [];
+        this.onsetTimes = [];
+        this.lastOnsetTime = -Infinity;
+        this.bpm = 0;
+        this.beatConfidence = 0;
+        this.beatAnchor = null;
+        this.lastBeatNumber = null;
+        this.lastBeatTime = -Infinity;
+        this.beatIndex = 0;
+        
+        if (this.features) {
+            Object.assign(this.features, { bpm: 0, beatConfidence: 0, beat: false, beatPhase: 0, beatIndex: 0 });
+        }
+    }
+
+    /**
+     * Analyse one spectrum frame
+     * @param {Uint8Array|Float32Array|number[]} spectrum - Magnitudes (0-255, e.g. getByteFrequencyData)
+     * @param {number} time - Clock time in seconds
+     * @returns {Object} Current features (same object as this.features)
+     */
+    process(spectrum, time) {
+        if (this.lastTime !== null && time < this.lastTime) {
+            this.resetTiming();
+        }
+        this.lastTime = time;
+
+        const { flux, centroid } = this.analyzeSpectrum(spectrum);
+        const features = this.features;
+        features.flux = flux;
+        features.centroid = centroid;
+        features.brightness = centroid / (this.sampleRate / 2);
+
+        // Onset detection against an adaptive threshold
+        this.fluxHistory.push({ time, flux });
+        while (this.fluxHistory.length > 0 && this.fluxHistory[0].time < time - this.fluxWindow) {
+            this.fluxHistory.shift();
+        }
+        const averageFlux = this.fluxHistory.reduce((sum, entry) => sum + entry.flux, 0) / this.fluxHistory.length;
+        const threshold = Math.max(averageFlux * this.onsetThreshold, 0.01);
+
+        features.onset = flux > threshold && time - this.lastOnsetTime >= this.minOnsetInterval;
+        features.onsetStrength = features.onset ? Math.min(1, flux / (threshold * 2)) : 0;
+
+        if (features.onset) {
+            this.lastOnsetTime = time;
+            this.onsetTimes.push(time);
+            while (this.onsetTimes.length > 0 && this.onsetTimes[0] < time - this.tempoWindow) {
+                this.onsetTimes.shift();
+            }
+            this.estimateTempo();
+            this.alignBeat(time);
+            this.emit('onset', { time, strength: features.onsetStrength, flux });
+        }
+
+        this.trackBeat(time);
+        return features;
+    }
+
+    /**
+     * Spectral flux (positive magnitude change per bin) and centroid (Hz)
+     */
+    analyzeSpectrum(spectrum) {
+        const length = spectrum.length;
+        const binWidth = this.sampleRate / this.fftSize;
+        const previous = this.previousSpectrum;
+
+        let flux = 0;
+        let weighted = 0;
+        let total = 0;
+
+        for (let i = 0; i < length; i++) {
+            const magnitude = spectrum[i] / 255;
+            if (previous) {
+                flux += Math.max(0, magnitude - previous[i]);
+            }
+            weighted += magnitude * i * binWidth;
+            total += magnitude;
+        }
+
+        if (!previous || previous.length !== length) {
+            this.previousSpectrum = new Float32Array(length);
+        }
+        for (let i = 0; i < length; i++) {
+            this.previousSpectrum[i] = spectrum[i] / 255;
+        }
+
+        return {
+            flux: length > 0 ? flux / length : 0,
+            centroid: total > 0 ? weighted / total : 0
+        };
+    }
+
+    /**
+     * Tempo from an inter-onset interval histogram (every onset pair, folded into the BPM range)
+     */
+    estimateTempo() {
+        if (this.onsetTimes.length < 4) return;
+
+        const histogram = new Float32Array(Math.ceil(this.maxBPM) + 2);
+        let totalWeight = 0;
+
+        for (let i = 0; i < this.onsetTimes.length; i++) {
+            for (let j = i + 1; j < this.onsetTimes.length; j++) {
+                const interval = this.onsetTimes[j] - this.onsetTimes[i];
+                if (interval > 2.0) break;
+                if (interval < 0.2) continue;
+
+                let bpm = 60 / interval;
+                while (bpm < this.minBPM) bpm *= 2;
+                while (bpm >= this.maxBPM) bpm /= 2;
+
+                // Closer onset pairs are more reliable than multiples
+                const weight = 1 / (j - i);
+                const bin = Math.round(bpm);
+                histogram[bin] += weight;
+                histogram[bin - 1] += weight * 0.5;
+                histogram[bin + 1] += weight * 0.5;
+                totalWeight += weight * 2;
+            }
+        }
+
+        if (totalWeight === 0) return;
+
+        let peak = 0;
+        for (let bin = Math.floor(this.minBPM); bin < histogram.length; bin++) {
+            if (histogram[bin] > histogram[peak]) peak = bin;
+        }
+
+        // Refine the peak with its neighbours
+        const low = histogram[peak - 1] || 0;
+        const high = histogram[peak + 1] || 0;
+        const estimate = (peak * histogram[peak] + (peak - 1) * low + (peak + 1) * high) / (histogram[peak] + low + high);
+
+        // Small drifts are smoothed, a different tempo replaces the old one
+        this.bpm = this.bpm > 0 && Math.abs(estimate - this.bpm) < 4
+            ? this.bpm * 0.8 + estimate * 0.2
+            : estimate;
+        this.beatConfidence = Math.min(1, (histogram[peak] + low + high) / totalWeight);
+        this.features.bpm = this.bpm;
+        this.features.beatConfidence = this.beatConfidence;
+    }
+
+    /**
+     * Pull the beat grid towards onsets that land near a predicted beat
+     */
+    alignBeat(time) {
+        if (this.bpm <= 0) return;
+
+        if (this.beatAnchor === null) {
+            this.beatAnchor = time;
+            return;
+        }
+
+        const period = 60 / this.bpm;
+        const position = (time - this.beatAnchor) / period;
+        const error = position - Math.round(position);
+        if (Math.abs(error) < 0.25) {
+            this.beatAnchor += error * period * 0.5;
+        }
+    }
+
+    /**
+     * Beat phase and beat events from the current tempo grid
+     */
+    trackBeat(time) {
+        const features = this.features;
+        features.beat = false;
+
+        if (this.bpm <= 0 || this.beatAnchor === null) {
+            features.beatPhase = 0;
+            return;
+        }
+
+        const period = 60 / this.bpm;
+        const position = (time - this.beatAnchor) / period;
+        const beatNumber = Math.floor(position);
+        features.beatPhase = position - beatNumber;
+
+        if (beatNumber !== this.lastBeatNumber && time - this.lastBeatTime >= period * 0.5) {
+            this.lastBeatTime = time;
+            features.beat = true;
+            features.beatIndex = this.beatIndex++;
+            this.emit('beat', {
+                time,
+                bpm: this.bpm,
+                index: features.beatIndex,
+                downbeat: features.beatIndex % 4 === 0,
+                confidence: this.beatConfidence
+            });
+        }
+        this.lastBeatNumber = beatNumber;
+    }
+
+    getFeatures() {
+        return { ...this.features };
+    }
+
+    /**
+     * Event listeners ('onset', 'beat') - returns an unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ Audio analyzer ${event} listener failed:`, error);
+            }
+        });
+    }
+}
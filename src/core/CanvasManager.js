@@ -1,15 +1,35 @@
 /**
  * Dead Simple Canvas Manager - Just hide/show containers + fresh engines
  * No canvas destruction - HTML canvases stay put, just switch visibility
+ *
+ * With { keepPrevious: true } the old system keeps running in its own container as
+ * `outgoing` (for animated transitions) until retireOutgoing() destroys it.
+ *
+ * Composite scenes run extra systems next to the current one through addSceneSystem(). Their
+ * containers and canvases are left alone by system switches until removeSceneSystem().
  */
 
 export class CanvasManager {
   constructor() {
     this.currentSystem = null;
     this.currentEngine = null;
+    this.outgoing = null;
+    this.sceneSystems = new Map();
   }
 
-  async switchToSystem(systemName, engineClasses) {
+  async switchToSystem(systemName, engineClasses, options = {}) {
+    // A previous transition that hasn't finished loses its outgoing system now
+    this.retireOutgoing();
+    
+    // A system can't be the current one and a scene system at once
+    if (this.sceneSystems.has(systemName)) {
+      this.removeSceneSystem(systemName);
+    }
+    
+    if (options.keepPrevious && this.currentEngine && this.currentSystem !== systemName) {
+      return this.switchKeepingPrevious(systemName, engineClasses);
+    }
+    
     console.log(`🔄 DESTROY OLD → CREATE NEW: ${systemName}`);
     
     // STEP 1: DESTROY current engine completely
@@ -43,11 +63,150 @@ export class CanvasManager {
     return engine;
   }
 
+  /**
+   * Start the new system next to the old one - the old engine and canvases stay alive as `outgoing`
+   */
+  async switchKeepingPrevious(systemName, engineClasses) {
+    console.log(`🔄 KEEP OLD → CREATE NEW: ${this.currentSystem} → ${systemName}`);
+    
+    this.outgoing = {
+      system: this.currentSystem,
+      engine: this.currentEngine,
+      container: this.getContainer(this.currentSystem),
+      retire: () => this.retireOutgoing()
+    };
+    
+    this.createSystemCanvases(systemName);
+    
+    const engine = await this.createFreshEngine(systemName, engineClasses);
+    if (engine && engine.setActive) {
+      engine.setActive(true);
+    }
+    
+    this.currentSystem = systemName;
+    this.currentEngine = engine;
+    console.log(`✅ KEEP → CREATE complete: ${systemName} ready, ${this.outgoing.system} still running`);
+    return engine;
+  }
+
+  /**
+   * Destroy the system kept alive by switchKeepingPrevious()
+   */
+  retireOutgoing() {
+    const outgoing = this.outgoing;
+    if (!outgoing) return;
+    this.outgoing = null;
+    
+    this.destroySystem(outgoing);
+    console.log(`💥 Outgoing ${outgoing.system} system retired`);
+  }
+
+  /**
+   * Run another system next to the current one for a composite scene
+   */
+  async addSceneSystem(systemName, engineClasses) {
+    if (systemName === this.currentSystem || this.sceneSystems.has(systemName)) {
+      console.error(`❌ ${systemName} is already running`);
+      return null;
+    }
+    if (this.outgoing && this.outgoing.system === systemName) {
+      this.retireOutgoing();
+    }
+    
+    this.createSystemCanvases(systemName);
+    const engine = await this.createFreshEngine(systemName, engineClasses, { scene: true });
+    if (!engine) {
+      this.destroySystem({ system: systemName, engine: null, container: this.getContainer(systemName) });
+      return null;
+    }
+    if (engine.setActive) {
+      engine.setActive(true);
+    }
+    
+    this.sceneSystems.set(systemName, {
+      system: systemName,
+      engine,
+      container: this.getContainer(systemName)
+    });
+    console.log(`✅ Scene system ${systemName} running next to ${this.currentSystem}`);
+    return engine;
+  }
+
+  removeSceneSystem(systemName) {
+    const sceneSystem = this.sceneSystems.get(systemName);
+    if (!sceneSystem) return;
+    this.sceneSystems.delete(systemName);
+    
+    this.destroySystem(sceneSystem);
+    console.log(`💥 Scene system ${systemName} removed`);
+  }
+
+  isSceneContainer(container) {
+    return [...this.sceneSystems.values()].some(sceneSystem => sceneSystem.container === container);
+  }
+
+  isSceneCanvas(canvas) {
+    for (const { container } of this.sceneSystems.values()) {
+      if (container && container.contains(canvas)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Stop an engine that isn't the current one and clear its container
+   */
+  destroySystem({ system, engine, container }) {
+    try {
+      if (engine) {
+        if (engine.setActive) {
+          engine.setActive(false);
+        }
+        if (engine.destroy) {
+          engine.destroy();
+        } else if (engine.cleanup) {
+          engine.cleanup();
+        }
+      }
+    } catch (error) {
+      console.error(`💥 Failed to destroy ${system} engine:`, error);
+    }
+    
+    if (container) {
+      this.destroyCanvases(container.querySelectorAll('canvas'));
+      container.innerHTML = '';
+      container.style.display = 'none';
+    }
+    
+    // Only clear the global reference if it still points at the destroyed engine
+    const globals = ['engine', 'quantumEngine', 'holographicSystem', 'polychoraSystem', 'newPolychoraEngine'];
+    globals.forEach(name => {
+      if (engine && window[name] === engine) {
+        window[name] = null;
+      }
+    });
+  }
+
+  /**
+   * Lose the WebGL contexts of the given canvases and remove them
+   */
+  destroyCanvases(canvases) {
+    canvases.forEach(canvas => {
+      const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+      gl?.getExtension('WEBGL_lose_context')?.loseContext();
+      canvas.remove();
+    });
+  }
+
+  getContainer(systemName) {
+    const containerId = systemName === 'faceted' ? 'vib34dLayers' : `${systemName}Layers`;
+    return document.getElementById(containerId);
+  }
+
   destroyOldWebGLContexts() {
     console.log('💥 COMPLETE DESTRUCTION: WebGL contexts + old system cleanup...');
     
     // STEP 1: Kill all WebGL contexts first
-    const allCanvases = document.querySelectorAll('canvas');
+    const allCanvases = [...document.querySelectorAll('canvas')].filter(canvas => !this.isSceneCanvas(canvas));
     let destroyedCount = 0;
     
     allCanvases.forEach(canvas => {
@@ -88,7 +247,7 @@ export class CanvasManager {
     console.log('💥 DESTROYING ALL CANVASES + CREATING 5 FRESH ONES');
     
     // STEP 1: DESTROY all existing canvases completely
-    const allCanvases = document.querySelectorAll('canvas');
+    const allCanvases = [...document.querySelectorAll('canvas')].filter(canvas => !this.isSceneCanvas(canvas));
     allCanvases.forEach(canvas => canvas.remove());
     console.log(`💥 Destroyed ${allCanvases.length} old canvases`);
     
@@ -96,20 +255,27 @@ export class CanvasManager {
     const containers = ['vib34dLayers', 'quantumLayers', 'holographicLayers', 'polychoraLayers'];
     containers.forEach(containerId => {
       const container = document.getElementById(containerId);
-      if (container) {
+      if (container && !this.isSceneContainer(container)) {
         container.innerHTML = '';
         container.style.display = 'none';
       }
     });
     
     // STEP 3: CREATE 5 fresh canvases for the new system
-    const targetId = systemName === 'faceted' ? 'vib34dLayers' : `${systemName}Layers`;
-    const targetContainer = document.getElementById(targetId);
+    this.createSystemCanvases(systemName);
+  }
+  
+  /**
+   * Fill the system's container with 5 fresh layer canvases and show it
+   */
+  createSystemCanvases(systemName) {
+    const targetContainer = this.getContainer(systemName);
     
     if (!targetContainer) {
-      console.error(`❌ Container ${targetId} not found`);
+      console.error(`❌ Container for ${systemName} not found`);
       return;
     }
+    targetContainer.innerHTML = '';
     
     // Create canvas IDs for this system
     const canvasIds = this.getCanvasIdsForSystem(systemName);
@@ -161,17 +327,21 @@ export class CanvasManager {
     }
   }
   
-  async createFreshEngine(systemName, engineClasses) {
+  /**
+   * @param {Object} options - { scene: true } for scene systems: no globals, no control panel bindings
+   */
+  async createFreshEngine(systemName, engineClasses, options = {}) {
     console.log(`🚀 Creating fresh ${systemName} engine`);
     
+    const register = !options.scene;
     let engine = null;
     
     try {
       switch(systemName) {
         case 'faceted':
           if (engineClasses.VIB34DIntegratedEngine) {
-            engine = new engineClasses.VIB34DIntegratedEngine();
-            window.engine = engine;
+            engine = new engineClasses.VIB34DIntegratedEngine({ controls: register });
+            if (register) window.engine = engine;
             console.log('✅ Fresh Faceted engine');
           }
           break;
@@ -179,7 +349,7 @@ export class CanvasManager {
         case 'quantum':
           if (engineClasses.QuantumEngine) {
             engine = new engineClasses.QuantumEngine();
-            window.quantumEngine = engine;
+            if (register) window.quantumEngine = engine;
             console.log('✅ Fresh Quantum engine');
           }
           break;
@@ -187,7 +357,7 @@ export class CanvasManager {
         case 'holographic':
           if (engineClasses.RealHolographicSystem) {
             engine = new engineClasses.RealHolographicSystem();
-            window.holographicSystem = engine;
+            if (register) window.holographicSystem = engine;
             console.log('✅ Fresh Holographic engine');
           }
           break;
@@ -195,7 +365,7 @@ export class CanvasManager {
         case 'polychora':
           if (engineClasses.NewPolychoraEngine) {
             engine = new engineClasses.NewPolychoraEngine();
-            window.newPolychoraEngine = engine;
+            if (register) window.newPolychoraEngine = engine;
             console.log('✅ Fresh TRUE 4D Polychora Engine with VIB34D DNA');
           }
           break;
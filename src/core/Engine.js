@@ -13,7 +13,12 @@ import { ExportManager } from '../export/ExportManager.js';
 import { StatusManager } from '../ui/StatusManager.js';
 
 export class VIB34DIntegratedEngine {
-    constructor() {
+    /**
+     * @param {Object} options - { controls: false } leaves the control panel alone (composite scene systems)
+     */
+    constructor(options = {}) {
+        this.controlsEnabled = options.controls !== false;
+        
         // Core system components
         this.visualizers = [];
         this.parameterManager = new ParameterManager();
@@ -54,10 +59,14 @@ export class VIB34DIntegratedEngine {
         
         try {
             this.createVisualizers();
-            this.setupControls();
+            if (this.controlsEnabled) {
+                this.setupControls();
+            }
             this.setupInteractions();
             this.loadCustomVariations();
-            this.populateVariationGrid();
+            if (this.controlsEnabled) {
+                this.populateVariationGrid();
+            }
             this.startRenderLoop();
             
             this.statusManager.setStatus('VIB34D Engine initialized successfully', 'success');
@@ -181,7 +190,12 @@ export class VIB34DIntegratedEngine {
             // This eliminates the "holographic override" problem and ensures proper audio reactivity
             // Audio reactivity now handled directly in visualizer render loops
             
-            this.updateVisualizers();
+            // Offline rendering drives the visualizers with explicit frame times instead
+            if (!this.offlineRendering) {
+                this.updateVisualizers();
+                // Post-processing reads the layers right after the system pass
+                window.postProcessor?.process('faceted', this.visualizers.map(v => v.canvas));
+            }
             this.animationId = requestAnimationFrame(render);
         };
         render();
@@ -205,8 +219,10 @@ export class VIB34DIntegratedEngine {
         params.clickIntensity = this.clickIntensity;
         params.time = this.time;
         
+        // Per-layer overrides from the layer compositor
+        const compositor = window.layerCompositor;
         this.visualizers.forEach(visualizer => {
-            visualizer.updateParameters(params);
+            visualizer.updateParameters(compositor ? compositor.getLayerParameters(visualizer.role, params) : params);
             visualizer.render();
         });
         
@@ -247,6 +263,10 @@ export class VIB34DIntegratedEngine {
             }
             
             this.statusManager.setStatus(`Variation ${index + 1} loaded`, 'info');
+            
+            window.dispatchEvent(new CustomEvent('vib34d:variation', {
+                detail: { system: 'faceted', index, parameters: this.parameterManager.getAllParameters() }
+            }));
         }
     }
     
@@ -325,6 +345,10 @@ export class VIB34DIntegratedEngine {
         this.exportManager.exportPNG();
     }
     
+    exportVideo(options) {
+        return this.exportManager.exportVideo(options);
+    }
+    
     /**
      * Import methods
      */
@@ -1,4 +1,9 @@
 // src/core/EnhancedPolychoraSystem.js
+import { REGULAR_POLYCHORA, getPolytope, getPolytopeDefinition } from '../geometry/RegularPolychora.js';
+
+// Keeps every vertex at w > -1 so the stereographic projection stays finite
+const POLYTOPE_RADIUS = 0.8;
+
 class EnhancedPolychoraSystem {
   constructor(gl, canvasManager) {
     this.gl = gl;
@@ -19,6 +24,7 @@ class EnhancedPolychoraSystem {
 
     this.parameters = {
       geometry: 0, // tesseract, 16-cell, 24-cell, 120-cell, 600-cell, 5-cell
+      polytope: null, // Overrides geometry - any getPolytope() index, id or Coxeter-Dynkin diagram
       glassRefraction: 1.5,
       holographicIntensity: 0.3,
       quantumParticleSize: 0.2,
@@ -301,254 +307,36 @@ class EnhancedPolychoraSystem {
   }
 
   initializePolytopes() {
-    this.polytopes.set('tesseract', this.createTesseract());
-    this.polytopes.set('16-cell', this.create16Cell());
-    this.polytopes.set('24-cell', this.create24Cell());
-    this.polytopes.set('120-cell', this.create120Cell());
-    this.polytopes.set('600-cell', this.create600Cell());
-    this.polytopes.set('5-cell', this.create5Cell());
+    REGULAR_POLYCHORA.forEach(({ id }) => {
+      this.polytopes.set(id, this.createPolytopeBuffers(id));
+    });
   }
 
-  createTesseract() {
-    const vertices = [];
-    const colors = [];
-    const indices = [];
-    
-    // Generate tesseract vertices (16 vertices)
-    for (let i = 0; i < 16; i++) {
-      vertices.push(
-        (i & 1) ? 1 : -1,    // x
-        (i & 2) ? 1 : -1,    // y
-        (i & 4) ? 1 : -1,    // z
-        (i & 8) ? 1 : -1     // w
-      );
+  /**
+   * Exact mesh from src/geometry/RegularPolychora.js as vertex, color and edge index arrays
+   */
+  createPolytopeBuffers(id) {
+    const mesh = getPolytope(id, { radius: POLYTOPE_RADIUS });
+    const vertices = new Float32Array(mesh.vertices.length * 4);
+    const colors = new Float32Array(mesh.vertices.length * 4);
+    
+    mesh.vertices.forEach((vertex, i) => {
+      vertices.set(vertex, i * 4);
       
       // Color based on 4D position
-      colors.push(
-        (i & 1) ? 1 : 0.5,
-        (i & 2) ? 1 : 0.5,
-        (i & 4) ? 1 : 0.5,
-        0.8
-      );
-    }
-    
-    // Generate edges (32 edges)
-    for (let i = 0; i < 16; i++) {
-      for (let j = i + 1; j < 16; j++) {
-        const diff = i ^ j;
-        // Connected if they differ in exactly one bit
-        if ((diff & (diff - 1)) === 0) {
-          indices.push(i, j);
-        }
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 4
-    };
-  }
-
-  create5Cell() {
-    // Regular 5-cell (4D simplex) - 5 vertices
-    const vertices = new Float32Array([
-      1, 1, 1, 1,
-      1, -1, -1, 1,
-      -1, 1, -1, 1,
-      -1, -1, 1, 1,
-      0, 0, 0, -1
-    ]);
-    
-    const colors = new Float32Array([
-      1, 0, 0, 0.9,
-      0, 1, 0, 0.9,
-      0, 0, 1, 0.9,
-      1, 1, 0, 0.9,
-      1, 0, 1, 0.9
-    ]);
-    
-    // Connect all pairs (complete graph)
-    const indices = [];
-    for (let i = 0; i < 5; i++) {
-      for (let j = i + 1; j < 5; j++) {
-        indices.push(i, j);
-      }
-    }
+      colors.set([
+        0.5 + 0.5 * vertex[0] / POLYTOPE_RADIUS,
+        0.5 + 0.5 * vertex[1] / POLYTOPE_RADIUS,
+        0.5 + 0.5 * vertex[2] / POLYTOPE_RADIUS,
+        0.7 + 0.2 * vertex[3] / POLYTOPE_RADIUS
+      ], i * 4);
+    });
     
     return {
       vertices,
       colors,
-      indices: new Uint16Array(indices),
-      vertexCount: 5
-    };
-  }
-
-  create16Cell() {
-    // 16-cell (regular cross-polytope in 4D)
-    const vertices = [];
-    const colors = [];
-    
-    // 8 vertices: ±(1,0,0,0), ±(0,1,0,0), ±(0,0,1,0), ±(0,0,0,1)
-    const coords = [[1,0,0,0], [0,1,0,0], [0,0,1,0], [0,0,0,1]];
-    
-    for (const coord of coords) {
-      // Positive vertex
-      vertices.push(...coord);
-      colors.push(0.8, 0.4, 1.0, 0.9);
-      
-      // Negative vertex
-      vertices.push(...coord.map(x => -x));
-      colors.push(0.4, 0.8, 1.0, 0.9);
-    }
-    
-    const indices = [];
-    // Connect vertices that are perpendicular
-    for (let i = 0; i < 8; i++) {
-      for (let j = i + 1; j < 8; j++) {
-        // Skip opposite vertices (they're antipodal)
-        if (Math.floor(i/2) !== Math.floor(j/2)) {
-          indices.push(i, j);
-        }
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 4
-    };
-  }
-
-  create24Cell() {
-    // 24-cell vertices (simplified version)
-    const vertices = [];
-    const colors = [];
-    
-    // Generate permutations of (±1, ±1, 0, 0)
-    const signs = [1, -1];
-    const positions = [0, 1, 2, 3];
-    
-    for (let i = 0; i < 4; i++) {
-      for (let j = i + 1; j < 4; j++) {
-        for (const s1 of signs) {
-          for (const s2 of signs) {
-            const vertex = [0, 0, 0, 0];
-            vertex[i] = s1;
-            vertex[j] = s2;
-            vertices.push(...vertex);
-            
-            colors.push(
-              Math.abs(vertex[0]),
-              Math.abs(vertex[1]) + Math.abs(vertex[2]),
-              Math.abs(vertex[3]),
-              0.8
-            );
-          }
-        }
-      }
-    }
-    
-    // Simplified connectivity
-    const indices = [];
-    const vertexCount = vertices.length / 4;
-    for (let i = 0; i < vertexCount; i++) {
-      for (let j = i + 1; j < Math.min(i + 8, vertexCount); j++) {
-        indices.push(i, j);
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount
-    };
-  }
-
-  create120Cell() {
-    // Simplified 120-cell (too complex for full implementation)
-    // Using golden ratio-based vertices
-    const phi = (1 + Math.sqrt(5)) / 2;
-    const vertices = [];
-    const colors = [];
-    
-    // Simplified set of vertices using golden ratio
-    const baseVertices = [
-      [1, 1, 1, 1],
-      [1, 1, -1, -1],
-      [1, -1, 1, -1],
-      [-1, 1, 1, -1],
-      [phi, 1/phi, 0, 0],
-      [1/phi, 0, 0, phi],
-      [0, phi, 1/phi, 0],
-      [0, 0, phi, 1/phi]
-    ];
-    
-    for (const vertex of baseVertices) {
-      vertices.push(...vertex);
-      colors.push(
-        0.9, 0.7 + 0.3 * Math.sin(vertex[3]),
-        0.5 + 0.5 * Math.cos(vertex[0] + vertex[1]),
-        0.9
-      );
-    }
-    
-    const indices = [];
-    for (let i = 0; i < 8; i++) {
-      for (let j = i + 1; j < 8; j++) {
-        indices.push(i, j);
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: 8
-    };
-  }
-
-  create600Cell() {
-    // Simplified 600-cell
-    const phi = (1 + Math.sqrt(5)) / 2;
-    const vertices = [];
-    const colors = [];
-    
-    // Use permutations of (±1, ±1, ±1, ±1) and golden ratio coordinates
-    for (let i = 0; i < 16; i++) {
-      vertices.push(
-        (i & 1) ? 1 : -1,
-        (i & 2) ? 1 : -1,
-        (i & 4) ? 1 : -1,
-        (i & 8) ? 1 : -1
-      );
-      
-      colors.push(
-        0.3 + 0.7 * ((i & 1) ? 1 : 0),
-        0.3 + 0.7 * ((i & 2) ? 1 : 0),
-        0.3 + 0.7 * ((i & 4) ? 1 : 0),
-        0.9
-      );
-    }
-    
-    const indices = [];
-    for (let i = 0; i < 16; i++) {
-      for (let j = i + 1; j < 16; j++) {
-        const diff = i ^ j;
-        if ((diff & (diff - 1)) === 0) { // One bit difference
-          indices.push(i, j);
-        }
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: 16
+      indices: new Uint16Array(mesh.edges.flat()),
+      vertexCount: mesh.vertices.length
     };
   }
 
@@ -587,6 +375,14 @@ class EnhancedPolychoraSystem {
     
     // Get current polytope
     const polytopeName = this.getPolytopeName();
+    if (!this.polytopes.has(polytopeName)) {
+      try {
+        this.polytopes.set(polytopeName, this.createPolytopeBuffers(polytopeName));
+      } catch (error) {
+        console.warn('⚠️ Polytope mesh unavailable, using geometry instead:', error.message);
+        this.parameters.polytope = null;
+      }
+    }
     const polytope = this.polytopes.get(polytopeName);
     
     if (polytope) {
@@ -671,6 +467,14 @@ class EnhancedPolychoraSystem {
   }
 
   getPolytopeName() {
+    if (this.parameters.polytope !== null) {
+      try {
+        return getPolytopeDefinition(this.parameters.polytope).id;
+      } catch (error) {
+        console.warn('⚠️ Unknown polytope, using geometry instead:', error.message);
+        this.parameters.polytope = null;
+      }
+    }
     const names = ['tesseract', '16-cell', '24-cell', '120-cell', '600-cell', '5-cell'];
     return names[this.parameters.geometry % names.length];
   }
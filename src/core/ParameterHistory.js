@@ -0,0 +1,273 @@
+/**
+ * VIB34D Parameter History
+ * Undo/redo for parameter changes - every change is a command holding each parameter's
+ * value before and after, so undo and redo simply re-apply one side
+ *
+ * - Slider drags coalesce: repeated changes to one parameter from one source within
+ *   coalesceWindow ms are one step (seal() ends a drag early - e.g. on slider release)
+ * - group() makes everything inside it one step (randomizers, LLM output, gallery loads)
+ * - Transient sources (reactivity, device tilt, timeline playback, modulation...) only move the known values,
+ *   they never become steps
+ *
+ * apply(param, value) and now() are injectable, so tests drive it without a page.
+ */
+
+// Sources whose changes are effects, not edits - never undoable
+export const TRANSIENT_SOURCES = ['reactivity', 'tilt', 'mouse', 'sync', 'history', 'timeline', 'modulation'];
+
+export class ParameterHistory {
+    /**
+     * @param {Object} options - { apply(param, value) } sets a parameter when undoing / redoing,
+     *   { limit } steps kept, { coalesceWindow } ms, { now() } clock
+     */
+    constructor(options = {}) {
+        this.applyParameter = options.apply || ((param, value) => {
+            if (window.updateParameter) window.updateParameter(param, value, 'history');
+        });
+        this.now = options.now || (() => Date.now());
+        this.limit = options.limit || 200;
+        this.coalesceWindow = options.coalesceWindow ?? 800;
+
+        this.commands = [];
+        this.index = 0;          // Commands applied - commands[index] onwards are redoable
+        this.values = {};        // Last known value of each parameter
+        this.openGroup = null;   // Open group command (see beginGroup)
+        this.groupDepth = 0;
+        this.sealed = true;      // Next change starts a new step
+        this.applying = false;   // Undo/redo in progress - its own changes aren't recorded
+        this.enabled = true;
+        this.nextId = 1;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Known starting values - changes to parameters without one can't be undone
+     */
+    setValues(values) {
+        Object.entries(values).forEach(([param, value]) => {
+            const number = parseFloat(value);
+            if (Number.isFinite(number)) this.values[param] = number;
+        });
+    }
+
+    /**
+     * Note a parameter change
+     * @param {string} source - 'control' (sliders), 'midi', ... or a TRANSIENT_SOURCES entry
+     * @returns {boolean} Whether it became (part of) an undo step
+     */
+    record(param, value, source = 'control') {
+        const to = parseFloat(value);
+        if (!Number.isFinite(to)) return false;
+        const from = this.values[param];
+        this.values[param] = to;
+
+        if (!this.enabled || this.applying || TRANSIENT_SOURCES.includes(source)) return false;
+        if (from === undefined || from === to) return false;
+
+        if (this.openGroup) {
+            this.addChange(this.openGroup, param, from, to);
+            return true;
+        }
+
+        const top = this.commands[this.index - 1];
+        const time = this.now();
+        const coalesce = !this.sealed && top && this.index === this.commands.length &&
+            top.source === source && top.params.length === 1 && top.params[0] === param &&
+            time - top.time <= this.coalesceWindow;
+
+        this.sealed = false;
+        if (coalesce) {
+            this.addChange(top, param, from, to);
+            top.time = time;
+            // Dragged back to where it started - nothing to undo
+            if (top.changes[param].from === top.changes[param].to) {
+                this.dropTop();
+                this.sealed = true;
+            }
+        } else {
+            this.push(this.createCommand(param, source));
+            this.addChange(this.commands[this.index - 1], param, from, to);
+        }
+        this.notify();
+        return true;
+    }
+
+    /**
+     * End the current slider drag - the next change starts a new step
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    /**
+     * Run action as a single undo step - it may return a promise, the step closes when it settles
+     * @param {string} label - Shown in the history panel ('Randomize all')
+     * @param {Object} options - { source } for the step ('randomize', 'llm', 'gallery')
+     */
+    group(label, action, options = {}) {
+        this.beginGroup(label, options.source);
+        let result;
+        try {
+            result = action();
+        } catch (error) {
+            this.endGroup();
+            throw error;
+        }
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => this.endGroup());
+        }
+        this.endGroup();
+        return result;
+    }
+
+    /**
+     * Open a group by hand - nested groups join the outermost one
+     */
+    beginGroup(label, source = 'group') {
+        if (this.groupDepth++ === 0) {
+            this.openGroup = this.createCommand(label, source);
+        }
+    }
+
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        if (--this.groupDepth > 0) return;
+
+        const command = this.openGroup;
+        this.openGroup = null;
+        this.sealed = true;
+        Object.keys(command.changes).forEach(param => {
+            if (command.changes[param].from === command.changes[param].to) delete command.changes[param];
+        });
+        command.params = Object.keys(command.changes);
+        if (command.params.length === 0) return;
+
+        command.time = this.now();
+        this.push(command);
+        this.notify();
+    }
+
+    createCommand(label, source) {
+        return { id: this.nextId++, label, source, changes: {}, params: [], time: this.now() };
+    }
+
+    addChange(command, param, from, to) {
+        if (command.changes[param]) {
+            command.changes[param].to = to;
+        } else {
+            command.changes[param] = { from, to };
+            command.params.push(param);
+        }
+    }
+
+    // New step - anything undone is no longer redoable
+    push(command) {
+        this.commands.splice(this.index);
+        this.commands.push(command);
+        if (this.commands.length > this.limit) {
+            this.commands.splice(0, this.commands.length - this.limit);
+        }
+        this.index = this.commands.length;
+    }
+
+    dropTop() {
+        this.commands.splice(this.index - 1, 1);
+        this.index--;
+    }
+
+    // === UNDO / REDO ===
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.commands.length;
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+        const command = this.commands[--this.index];
+        this.applyCommand(command, 'from');
+        console.log(`↩️ Undo: ${command.label}`);
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        const command = this.commands[this.index++];
+        this.applyCommand(command, 'to');
+        console.log(`↪️ Redo: ${command.label}`);
+        return command;
+    }
+
+    /**
+     * Undo or redo until `index` steps are applied (0 = before the first)
+     */
+    goTo(index) {
+        index = Math.max(0, Math.min(this.commands.length, index));
+        while (this.index > index) this.undo();
+        while (this.index < index) this.redo();
+        return this.index;
+    }
+
+    applyCommand(command, side) {
+        this.applying = true;
+        this.sealed = true;
+        try {
+            command.params.forEach(param => {
+                const value = command.changes[param][side];
+                this.values[param] = value;
+                try {
+                    this.applyParameter(param, value);
+                } catch (error) {
+                    console.error(`❌ History could not set ${param}:`, error);
+                }
+            });
+        } finally {
+            this.applying = false;
+        }
+        this.notify();
+    }
+
+    /**
+     * Steps for the history panel, oldest first
+     * @returns {Object[]} { id, label, source, params, changes: { param: { from, to } }, time, applied }
+     */
+    getEntries() {
+        return this.commands.map((command, i) => ({
+            id: command.id,
+            label: command.label,
+            source: command.source,
+            params: [...command.params],
+            changes: Object.fromEntries(command.params.map(param => [param, { ...command.changes[param] }])),
+            time: command.time,
+            applied: i < this.index
+        }));
+    }
+
+    clear() {
+        this.commands = [];
+        this.index = 0;
+        this.sealed = true;
+        this.notify();
+    }
+
+    /**
+     * Called with the history after every change, undo and redo - returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('❌ History listener failed:', error);
+            }
+        });
+    }
+}
@@ -13,9 +13,14 @@ export class ParameterMapper {
                     geometry: 'geometryType',
                     gridDensity: 'density',
                     morphFactor: 'morph',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
                     dimension: 'dimension',
                     chaos: 'chaos',
                     speed: 'speed',
@@ -25,9 +30,14 @@ export class ParameterMapper {
                     geometryType: 'geometry',
                     density: 'gridDensity',
                     morph: 'morphFactor',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
                     dimension: 'dimension',
                     chaos: 'chaos',
                     speed: 'speed',
@@ -45,7 +55,15 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    rot4dXW: 'rot4dXW',
+                    rot4dYW: 'rot4dYW',
+                    rot4dZW: 'rot4dZW',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance'
                 },
                 from: {
                     geometryType: 'geometryType',
@@ -55,7 +73,13 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    rot4dXY: 'rot4dXY',
+                    rot4dXZ: 'rot4dXZ',
+                    rot4dYZ: 'rot4dYZ',
+                    rot4dXW: 'rot4dXW',
+                    rot4dYW: 'rot4dYW',
+                    rot4dZW: 'rot4dZW'
                 }
             },
             
@@ -73,13 +97,16 @@ export class ParameterMapper {
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
                     dimension: 'dimension',
                     speed: 'speed',
                     hue: 'hue',
-                    // Future 4D rotations
                     rot4dXY: 'rot4dXY',
                     rot4dXZ: 'rot4dXZ',
-                    rot4dYZ: 'rot4dYZ'
+                    rot4dYZ: 'rot4dYZ',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance'
                 },
                 from: {
                     polytope: 'polytope',
@@ -93,6 +120,8 @@ export class ParameterMapper {
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
                     dimension: 'dimension',
                     speed: 'speed',
                     hue: 'hue',
@@ -117,15 +146,17 @@ export class ParameterMapper {
             morph: { min: 0, max: 2, default: 0, type: 'float' },
             morphFactor: { min: 0, max: 2, default: 0, type: 'float' },
             
-            // 4D rotation parameters (existing)
-            rot4dXW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dZW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
+            // 4D rotation parameters (all six planes, shared by every system)
+            rot4dXY: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
+            rot4dXZ: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
+            rot4dYZ: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
+            rot4dXW: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
+            rot4dYW: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
+            rot4dZW: { min: -Math.PI * 2, max: Math.PI * 2, default: 0, type: 'float' },
             
-            // 4D rotation parameters (new for Polychora)
-            rot4dXY: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dXZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
+            // 4D → 3D projection (shared by every system)
+            projection: { min: 0, max: 3, default: 0, type: 'integer' },
+            projectionDistance: { min: 1.5, max: 10, default: 2.5, type: 'float' },
             
             // Dimension and physics
             dimension: { min: 3.0, max: 4.5, default: 3.8, type: 'float' },
@@ -3,6 +3,11 @@
  * Unified parameter control for both holographic and polytopal systems
  */
 
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_MODES } from '../geometry/Projections.js';
+import { VariationSchema } from '../variations/VariationSchema.js';
+import { getPostParameterDefs } from '../postfx/PostEffects.js';
+
 export class ParameterManager {
     constructor() {
         // Default parameter set combining both systems
@@ -10,11 +15,16 @@ export class ParameterManager {
             // Current variation
             variation: 0,
             
-            // 4D Polytopal Mathematics
-            rot4dXW: 0.0,      // X-W plane rotation (-2 to 2)
-            rot4dYW: 0.0,      // Y-W plane rotation (-2 to 2) 
-            rot4dZW: 0.0,      // Z-W plane rotation (-2 to 2)
+            // 4D Polytopal Mathematics - all six rotation planes
+            rot4dXY: 0.0,      // X-Y plane rotation (-2π to 2π)
+            rot4dXZ: 0.0,      // X-Z plane rotation (-2π to 2π)
+            rot4dYZ: 0.0,      // Y-Z plane rotation (-2π to 2π)
+            rot4dXW: 0.0,      // X-W plane rotation (-2π to 2π)
+            rot4dYW: 0.0,      // Y-W plane rotation (-2π to 2π)
+            rot4dZW: 0.0,      // Z-W plane rotation (-2π to 2π)
             dimension: 3.5,    // Dimensional level (3.0 to 4.5)
+            projection: 0,     // 4D → 3D projection (0 perspective, 1 orthographic, 2 stereographic, 3 Schlegel)
+            projectionDistance: 2.5, // Perspective viewpoint distance (1.5 to 10)
             
             // Holographic Visualization
             gridDensity: 15,   // Geometric detail (4 to 30)
@@ -26,16 +36,21 @@ export class ParameterManager {
             saturation: 0.8,   // Color saturation (0 to 1)
             
             // Geometry selection
-            geometry: 0        // Current geometry type (0-7)
+            geometry: 0        // Current geometry type (index into GeometryRegistry)
         };
         
         // Parameter definitions for validation and UI
         this.parameterDefs = {
             variation: { min: 0, max: 99, step: 1, type: 'int' },
-            rot4dXW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dYW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dZW: { min: -2, max: 2, step: 0.01, type: 'float' },
+            rot4dXY: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
+            rot4dXZ: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
+            rot4dYZ: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
+            rot4dXW: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
+            rot4dYW: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
+            rot4dZW: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
             dimension: { min: 3.0, max: 4.5, step: 0.01, type: 'float' },
+            projection: { min: 0, max: PROJECTION_MODES.length - 1, step: 1, type: 'int' },
+            projectionDistance: { min: 1.5, max: 10, step: 0.1, type: 'float' },
             gridDensity: { min: 4, max: 100, step: 0.1, type: 'float' },
             morphFactor: { min: 0, max: 2, step: 0.01, type: 'float' },
             chaos: { min: 0, max: 1, step: 0.01, type: 'float' },
@@ -43,7 +58,10 @@ export class ParameterManager {
             hue: { min: 0, max: 360, step: 1, type: 'int' },
             intensity: { min: 0, max: 1, step: 0.01, type: 'float' },
             saturation: { min: 0, max: 1, step: 0.01, type: 'float' },
-            geometry: { min: 0, max: 7, step: 1, type: 'int' }
+            geometry: { min: 0, max: GeometryRegistry.getCount() - 1, step: 1, type: 'int' },
+            
+            // Post-processing effects - applied by the shared PostProcessor, not by the systems
+            ...getPostParameterDefs()
         };
         
         // Default parameter backup for reset
@@ -108,7 +126,9 @@ export class ParameterManager {
      */
     updateFromControls() {
         const controlIds = [
-            'variationSlider', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
+            'variationSlider', 'rot4dXY', 'rot4dXZ', 'rot4dYZ',
+            'rot4dXW', 'rot4dYW', 'rot4dZW', 'dimension',
+            'projection', 'projectionDistance',
             'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue'
         ];
         
@@ -134,10 +154,15 @@ export class ParameterManager {
     updateDisplayValues() {
         // Update slider values
         this.updateSliderValue('variationSlider', this.params.variation);
+        this.updateSliderValue('rot4dXY', this.params.rot4dXY);
+        this.updateSliderValue('rot4dXZ', this.params.rot4dXZ);
+        this.updateSliderValue('rot4dYZ', this.params.rot4dYZ);
         this.updateSliderValue('rot4dXW', this.params.rot4dXW);
         this.updateSliderValue('rot4dYW', this.params.rot4dYW);
         this.updateSliderValue('rot4dZW', this.params.rot4dZW);
         this.updateSliderValue('dimension', this.params.dimension);
+        this.updateSliderValue('projection', this.params.projection);
+        this.updateSliderValue('projectionDistance', this.params.projectionDistance);
         this.updateSliderValue('gridDensity', this.params.gridDensity);
         this.updateSliderValue('morphFactor', this.params.morphFactor);
         this.updateSliderValue('chaos', this.params.chaos);
@@ -145,10 +170,14 @@ export class ParameterManager {
         this.updateSliderValue('hue', this.params.hue);
         
         // Update display texts
+        this.updateDisplayText('rot4dXYDisplay', this.params.rot4dXY.toFixed(2));
+        this.updateDisplayText('rot4dXZDisplay', this.params.rot4dXZ.toFixed(2));
+        this.updateDisplayText('rot4dYZDisplay', this.params.rot4dYZ.toFixed(2));
         this.updateDisplayText('rot4dXWDisplay', this.params.rot4dXW.toFixed(2));
         this.updateDisplayText('rot4dYWDisplay', this.params.rot4dYW.toFixed(2));
         this.updateDisplayText('rot4dZWDisplay', this.params.rot4dZW.toFixed(2));
         this.updateDisplayText('dimensionDisplay', this.params.dimension.toFixed(2));
+        this.updateDisplayText('projectionDistanceDisplay', this.params.projectionDistance.toFixed(1));
         this.updateDisplayText('gridDensityDisplay', this.params.gridDensity.toFixed(1));
         this.updateDisplayText('morphFactorDisplay', this.params.morphFactor.toFixed(2));
         this.updateDisplayText('chaosDisplay', this.params.chaos.toFixed(2));
@@ -179,14 +208,10 @@ export class ParameterManager {
     updateVariationInfo() {
         const variationDisplay = document.getElementById('currentVariationDisplay');
         if (variationDisplay) {
-            const geometryNames = [
-                'TETRAHEDRON LATTICE', 'HYPERCUBE LATTICE', 'SPHERE LATTICE', 'TORUS LATTICE',
-                'KLEIN BOTTLE LATTICE', 'FRACTAL LATTICE', 'WAVE LATTICE', 'CRYSTAL LATTICE'
-            ];
-            
             const geometryType = Math.floor(this.params.variation / 4);
             const geometryLevel = (this.params.variation % 4) + 1;
-            const geometryName = geometryNames[geometryType] || 'CUSTOM VARIATION';
+            const geometry = GeometryRegistry.get(geometryType);
+            const geometryName = geometry ? `${geometry.name} LATTICE` : 'CUSTOM VARIATION';
             
             variationDisplay.textContent = `${this.params.variation + 1} - ${geometryName}`;
             
@@ -206,16 +231,18 @@ export class ParameterManager {
      * Randomize all parameters
      */
     randomizeAll() {
-        this.params.rot4dXW = Math.random() * 4 - 2;
-        this.params.rot4dYW = Math.random() * 4 - 2;
-        this.params.rot4dZW = Math.random() * 4 - 2;
+        // All six planes across their full validated range
+        ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'].forEach(plane => {
+            const { min, max } = this.parameterDefs[plane];
+            this.params[plane] = min + Math.random() * (max - min);
+        });
         this.params.dimension = 3.0 + Math.random() * 1.5;
         this.params.gridDensity = 4 + Math.random() * 26;
         this.params.morphFactor = Math.random() * 2;
         this.params.chaos = Math.random();
         this.params.speed = 0.1 + Math.random() * 2.9;
         this.params.hue = Math.random() * 360;
-        this.params.geometry = Math.floor(Math.random() * 8);
+        this.params.geometry = Math.floor(Math.random() * GeometryRegistry.getCount());
     }
     
     /**
@@ -245,13 +272,11 @@ export class ParameterManager {
      * Export current configuration
      */
     exportConfiguration() {
-        return {
-            type: 'vib34d-integrated-config',
-            version: '1.0.0',
-            timestamp: new Date().toISOString(),
-            name: `VIB34D Config ${new Date().toLocaleDateString()}`,
-            parameters: { ...this.params }
-        };
+        const name = `VIB34D Config ${new Date().toLocaleDateString()}`;
+        return VariationSchema.createDocument({
+            name,
+            variations: [{ id: this.params.variation, name, system: 'faceted', parameters: { ...this.params } }]
+        });
     }
     
     /**
@@ -341,31 +366,32 @@ export class ParameterManager {
     }
     
     /**
-     * Validate parameter configuration
+     * Validate parameter configuration (older formats are migrated first)
      */
     validateConfiguration(config) {
-        if (!config || typeof config !== 'object') {
-            return { valid: false, error: 'Configuration must be an object' };
+        let document;
+        try {
+            document = VariationSchema.migrate(config).document;
+        } catch (error) {
+            return { valid: false, error: error.report, errors: error.errors };
         }
         
-        if (config.type !== 'vib34d-integrated-config') {
-            return { valid: false, error: 'Invalid configuration type' };
-        }
-        
-        if (!config.parameters) {
-            return { valid: false, error: 'Missing parameters object' };
+        if (document.variations.length === 0) {
+            return { valid: false, error: 'Configuration contains no variations' };
         }
         
         // Validate individual parameters
-        for (const [key, value] of Object.entries(config.parameters)) {
-            if (this.parameterDefs[key]) {
-                const def = this.parameterDefs[key];
-                if (typeof value !== 'number' || value < def.min || value > def.max) {
-                    return { valid: false, error: `Invalid value for parameter ${key}: ${value}` };
+        for (const variation of document.variations) {
+            for (const [key, value] of Object.entries(variation.parameters)) {
+                if (this.parameterDefs[key]) {
+                    const def = this.parameterDefs[key];
+                    if (value < def.min || value > def.max) {
+                        return { valid: false, error: `Invalid value for parameter ${key}: ${value}` };
+                    }
                 }
             }
         }
         
-        return { valid: true };
+        return { valid: true, document };
     }
 }
\ No newline at end of file
@@ -7,6 +7,8 @@
  * - Glassmorphic line-based rendering with core/outline system
  * - Layer-specific scaling and translucency based on polytope geometry
  * - Unique color magnetism and glass effects
+ * - Slice mode: the true 3D cross-section where a movable hyperplane cuts the polytope
+ * - Shared 4D → 3D projection modes (perspective, orthographic, stereographic, Schlegel)
  */
 
 /**
@@ -23,6 +25,9 @@ class PolychoraVisualizer {
         this.program = null;
         this.time = 0;
         this.vertexBuffer = null;
+        this.sliceRenderer = null;
+        this.particleRenderer = null;
+        this.projection = new ProjectionBlender();
     }
     
     initialize() {
@@ -117,7 +122,9 @@ class PolychoraVisualizer {
             uniform float u_flowDirection;
             uniform float u_faceTransparency;
             uniform float u_edgeThickness;
-            uniform float u_projectionDistance;
+            
+            // 4D <-> 3D projection (perspective, orthographic, stereographic or Schlegel)
+            ${PROJECTION_GLSL}
             
             // COMPLETE 4D rotation matrices - All 6 possible rotations
             mat4 rotateXW(float angle) {
@@ -268,9 +275,8 @@ class PolychoraVisualizer {
                 vec2 uv = (gl_FragCoord.xy - 0.5 * u_resolution.xy) / min(u_resolution.x, u_resolution.y);
                 uv *= u_layerScale;
                 
-                // Create 4D point with enhanced projection distance
-                vec4 pos = vec4(uv, 
-                    sin(u_time * 0.3) * 0.5, 
+                // Create 4D point with enhanced projection distance - the point the selected projection maps onto this pixel
+                vec4 pos = unproject3Dto4D(vec3(uv, sin(u_time * 0.3) * 0.5), 
                     cos(u_time * 0.2) * 0.5 * u_projectionDistance * 0.1
                 );
                 
@@ -374,11 +380,17 @@ class PolychoraVisualizer {
         return shader;
     }
     
-    render(parameters = {}) {
+    render(parameters = {}, slice = null, particles = null) {
         if (!this.gl || !this.program || !this.vertexBuffer) return;
         
         this.time += 0.016;
         
+        if (slice) {
+            this.renderSlice(slice, parameters);
+            this.renderParticles(particles, parameters);
+            return;
+        }
+        
         this.gl.useProgram(this.program);
         this.gl.enable(this.gl.BLEND);
         this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
@@ -432,7 +444,8 @@ class PolychoraVisualizer {
             u_flowDirection: parameters.flowDirection || 180,
             u_faceTransparency: parameters.faceTransparency || 0.7,
             u_edgeThickness: parameters.edgeThickness || 2.0,
-            u_projectionDistance: parameters.projectionDistance || 5.0
+            u_projectionWeights: this.projection.update(parameters.projection || 0),
+            u_projectionDistance: getProjectionDistance(parameters.projectionDistance)
         };
         
         // Safely set uniforms with error checking
@@ -443,6 +456,7 @@ class PolychoraVisualizer {
                     if (Array.isArray(value)) {
                         if (value.length === 2) this.gl.uniform2fv(location, new Float32Array(value));
                         else if (value.length === 3) this.gl.uniform3fv(location, new Float32Array(value));
+                        else if (value.length === 4) this.gl.uniform4fv(location, new Float32Array(value));
                     } else {
                         this.gl.uniform1f(location, value);
                     }
@@ -461,6 +475,8 @@ class PolychoraVisualizer {
             
             this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
         }
+        
+        this.renderParticles(particles, parameters);
     }
     
     /**
@@ -494,15 +510,44 @@ class PolychoraVisualizer {
     // Audio reactivity now handled directly in render() loop
     
     /**
-     * Update cross-section navigation (4D scroll)
+     * Draw the hyperplane cross-section (or a projected uniform polytope) instead of the distance-field polytope
      */
-    updateCrossSection(velocity) {
-        this.crossSectionState = {
-            velocity: velocity,
-            position: (this.crossSectionState?.position || 0) + velocity * 0.01,
-            time: Date.now()
-        };
-        console.log(`🔮 ${this.canvasId}: Cross-section velocity: ${velocity}, position: ${this.crossSectionState.position.toFixed(3)}`);
+    renderSlice(slice, parameters) {
+        if (!this.sliceRenderer) {
+            this.sliceRenderer = new SliceRenderer(this.gl, this.role);
+        }
+        
+        this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        
+        // Same hue mix as the distance-field shader
+        const hue = ((parameters.hue || 280) % 360) / 360 * 6.28;
+        const tint = [Math.sin(hue), Math.cos(hue), 0.8];
+        const color = this.config.color.map((value, i) => Math.max(0, value + (tint[i] - value) * 0.4));
+        
+        this.sliceRenderer.render(slice, {
+            turn: this.time * 0.3 * (parameters.speed || 1),
+            scale: POLYTOPE_VIEW_RADIUS * (parameters.layerScale || 1.0),
+            color,
+            opacity: parameters.translucency || 1.0
+        });
+    }
+    
+    /**
+     * Draw 4D particles over the layer, on the same turntable as slices and meshes
+     */
+    renderParticles(particles, parameters) {
+        if (!particles || particles.count === 0) return;
+        if (!this.particleRenderer) {
+            this.particleRenderer = new ParticleRenderer(this.gl, this.role);
+        }
+        
+        this.particleRenderer.render(particles, {
+            parameters,
+            turn: this.time * 0.3 * (parameters.speed || 1),
+            scale: POLYTOPE_VIEW_RADIUS * (parameters.layerScale || 1.0),
+            opacity: parameters.translucency || 1.0
+        });
     }
     
     /**
@@ -512,10 +557,32 @@ class PolychoraVisualizer {
         this.cachedParameters = { ...newParams };
         console.log(`🔮 ${this.canvasId}: Parameters updated`);
     }
+    
+    destroy() {
+        if (this.sliceRenderer) {
+            this.sliceRenderer.destroy();
+            this.sliceRenderer = null;
+        }
+        if (this.particleRenderer) {
+            this.particleRenderer.destroy();
+            this.particleRenderer = null;
+        }
+    }
 }
 
 // Import 4D physics engine
 import { Polychora4DPhysics } from '../physics/Polychora4DPhysics.js';
+import { PhysicsSandbox } from '../physics/PhysicsSandbox.js';
+import { REGULAR_POLYCHORA, getPolytope, getPolytopeDefinitions, addUniformPolytope } from '../geometry/RegularPolychora.js';
+import { SliceController } from '../geometry/HyperplaneSlicer.js';
+import { SliceRenderer } from '../geometry/SliceRenderer.js';
+import { PROJECTION_GLSL, ProjectionBlender, DEFAULT_PROJECTION_DISTANCE, getProjectionDistance, getProjectionWeights, projectPoint } from '../geometry/Projections.js';
+import { rotate4D } from '../reference/ShaderMath.js';
+import { ParticleSystem4D } from '../particles/ParticleSystem4D.js';
+import { ParticleRenderer } from '../particles/ParticleRenderer.js';
+
+// Slices are cut from unit-circumradius meshes and drawn at this radius in clip space
+const POLYTOPE_VIEW_RADIUS = 0.8;
 
 export class PolychoraSystem {
     constructor() {
@@ -527,21 +594,25 @@ export class PolychoraSystem {
         // Initialize 4D physics engine
         this.physics = new Polychora4DPhysics();
         this.physicsEnabled = false;
-        this.physicsBodies = [];
-        
-        // 6 Real 4D Polytopes
-        this.polytopes = [
-            { name: '5-Cell', description: '4-Simplex with 5 tetrahedral cells' },
-            { name: 'Tesseract', description: '8-Cell hypercube with 8 cubic cells' },
-            { name: '16-Cell', description: '4-Orthoplex with 16 tetrahedral cells' },
-            { name: '24-Cell', description: 'Unique 4D polytope with 24 octahedral cells' },
-            { name: '600-Cell', description: 'Icosahedral symmetry with 600 tetrahedral cells' },
-            { name: '120-Cell', description: 'Largest regular 4D polytope with 120 dodecahedral cells' }
-        ];
+        
+        // Physics sandbox editor - drawn on its own canvas over the layers while on
+        this.sandbox = new PhysicsSandbox(this.physics);
+        this.sandboxMode = false;
+        this.sandboxCanvas = null;
+        this.sandboxListeners = null;
+        
+        // 4D particles - feel the physics world's fields, off until setParticlesEnabled(true)
+        this.particles = new ParticleSystem4D({ physics: this.physics });
+        this.particlesEnabled = false;
+        
+        // Hyperplane slice mode - off until setSliceMode(true)
+        this.slice = new SliceController();
+        this.currentSlice = null;
+        this.lastFrameTime = 0;
         
         // Polychora-specific parameters
         this.parameters = {
-            polytope: 0,        // Current polytope (0-5)
+            polytope: 0,        // Current polytope (0-5 regular, 6+ uniform)
             lineThickness: 2.5, // Core line thickness
             coreSize: 1.2,      // Inner core size
             outlineWidth: 1.8,  // Outline width
@@ -571,7 +642,8 @@ export class PolychoraSystem {
             // ADVANCED: Polytope-specific controls (NEW)
             faceTransparency: 0.7,     // 0-1 Face vs edge visibility
             edgeThickness: 2.0,        // 0.1-3.0 Variable edge rendering
-            projectionDistance: 5.0,   // 1-10 4D→3D projection depth
+            projection: 0,             // 0-3 perspective, orthographic, stereographic, Schlegel
+            projectionDistance: DEFAULT_PROJECTION_DISTANCE, // 1.5-10 perspective viewpoint distance
             
             // 4D PHYSICS PARAMETERS (NEW)
             physicsEnabled: false,     // Enable/disable physics simulation
@@ -744,41 +816,72 @@ export class PolychoraSystem {
             // This eliminates conflicts with holographic system and ensures proper audio reactivity
             // Audio reactivity now handled directly in visualizer render loops
             
-            // Step physics simulation if enabled
+            const now = performance.now();
+            const dt = this.lastFrameTime ? Math.min((now - this.lastFrameTime) / 1000, 0.1) : 0;
+            this.lastFrameTime = now;
+            
+            // Step physics simulation if enabled - fixed steps, however fast frames come
             if (this.parameters.physicsEnabled && this.physicsEnabled) {
-                this.physics.step();
-                this.updatePhysicsVisuals();
+                if (this.sandboxMode) this.sandbox.update();
+                if (this.physics.advance(dt) > 0) {
+                    this.updatePhysicsVisuals();
+                }
             }
             
+            // Slice mode: sweep the hyperplane, then cut the polytope once for all layers
+            this.slice.advance(dt);
+            this.currentSlice = this.computeSlice();
+            
+            // The distance-field shader only knows the regular polytopes - uniform ones are drawn as meshes
+            const shape = this.currentSlice || this.computeProjectedMesh();
+            let particles = null;
+            if (this.particlesEnabled) {
+                this.particles.step(dt);
+                particles = this.particles.getBuffers();
+            }
             this.visualizers.forEach(visualizer => {
-                visualizer.render(this.parameters);
+                visualizer.render(this.parameters, shape, particles);
             });
+            if (this.sandboxMode) this.drawSandbox();
             
             this.animationId = requestAnimationFrame(render);
         };
         render();
     }
     
+    /**
+     * 6 regular polychora followed by the Wythoff-generated uniform ones
+     * (exact meshes: getPolytope(index) in src/geometry/RegularPolychora.js)
+     */
+    get polytopes() {
+        return getPolytopeDefinitions().map(({ id, name, description }) => ({ id, name, description }));
+    }
+    
     /**
      * Enable/disable 4D physics simulation
+     * @param {Object} options - { spawn: false } starts from an empty world (sandbox)
      */
-    enablePhysics() {
+    enablePhysics({ spawn = true } = {}) {
         this.physicsEnabled = true;
         this.parameters.physicsEnabled = true;
         this.physics.enable();
         
         // Create physics bodies for polytopes
-        this.createPhysicsBodies();
+        if (spawn) {
+            this.createPhysicsBodies();
+        } else {
+            this.physics.clearAllBodies();
+        }
         
         console.log('🔮 Polychora physics simulation enabled');
     }
     
     disablePhysics() {
+        if (this.sandboxMode) this.setSandboxMode(false);
         this.physicsEnabled = false;
         this.parameters.physicsEnabled = false;
         this.physics.disable();
         this.physics.clearAllBodies();
-        this.physicsBodies = [];
         
         console.log('🔮 Polychora physics simulation disabled');
     }
@@ -789,16 +892,18 @@ export class PolychoraSystem {
     createPhysicsBodies() {
         // Clear existing bodies
         this.physics.clearAllBodies();
-        this.physicsBodies = [];
+        const random = () => this.physics.random.next();
         
-        // Create physics bodies for each polytope type
-        for (let i = 0; i < this.polytopes.length; i++) {
-            const body = this.physics.createRigidBody(i, 
+        // Create physics bodies for each regular polytope type, plus the current uniform one
+        const types = REGULAR_POLYCHORA.map((definition, i) => i);
+        if (this.parameters.polytope >= REGULAR_POLYCHORA.length) types.push(this.parameters.polytope);
+        types.forEach(type => {
+            this.physics.createRigidBody(type, 
                 [
-                    (Math.random() - 0.5) * 4, // X
-                    (Math.random() - 0.5) * 4, // Y  
-                    (Math.random() - 0.5) * 4, // Z
-                    (Math.random() - 0.5) * 2  // W
+                    (random() - 0.5) * 4, // X
+                    (random() - 0.5) * 4, // Y  
+                    (random() - 0.5) * 4, // Z
+                    (random() - 0.5) * 2  // W
                 ], 
                 {
                     mass: this.parameters.mass,
@@ -810,9 +915,7 @@ export class PolychoraSystem {
                     magnetic: this.parameters.magneticField
                 }
             );
-            
-            this.physicsBodies.push(body);
-        }
+        });
         
         // Set physics world properties
         this.physics.setGravity([0, 0, 0, this.parameters.gravity4D]);
@@ -820,6 +923,42 @@ export class PolychoraSystem {
         this.physics.setFluidFlow([this.parameters.fluidFlow, 0, 0, 0]);
     }
     
+    /**
+     * Bodies in the physics world (seeded spawns, so the same seed gives the same scene)
+     */
+    get physicsBodies() {
+        return this.physics.getAllBodies();
+    }
+    
+    /**
+     * Saveable physics world for gallery variations (null while physics is off)
+     */
+    getPhysicsState() {
+        return this.physicsEnabled ? this.physics.serialize() : null;
+    }
+    
+    /**
+     * Continue from a saved physics world - null turns physics off
+     */
+    loadPhysicsState(state) {
+        if (!state) {
+            if (this.physicsEnabled) this.disablePhysics();
+            return true;
+        }
+        
+        try {
+            this.physics.loadState(state);
+            this.physics.enable();
+            this.physicsEnabled = true;
+            this.parameters.physicsEnabled = true;
+            console.log('🔮 Polychora physics world restored');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load polychora physics:', error);
+            return false;
+        }
+    }
+    
     /**
      * Update visual parameters based on physics simulation
      */
@@ -895,8 +1034,91 @@ export class PolychoraSystem {
         });
         
         if (closestBody && closestDistance < 2.0) {
-            this.physics.addForce(closestBody, force4D);
+            this.physics.addExternalForce(closestBody, force4D);
+        }
+    }
+    
+    /**
+     * Turn the physics sandbox on or off - turning it on starts physics with an empty world
+     * if it isn't running, so bodies are spawned by hand
+     */
+    setSandboxMode(enabled) {
+        if (enabled && !this.sandboxMode) {
+            if (!this.physicsEnabled) this.enablePhysics({ spawn: false });
+            if (!this.createSandboxCanvas()) return false;
+            this.sandboxMode = true;
+            this.sandboxCanvas.style.display = 'block';
+        } else if (!enabled && this.sandboxMode) {
+            this.sandbox.release();
+            this.sandboxMode = false;
+            if (this.sandboxCanvas) this.sandboxCanvas.style.display = 'none';
+        }
+        console.log(`🔮 Polychora physics sandbox ${this.sandboxMode ? 'on' : 'off'}`);
+        return this.sandboxMode;
+    }
+    
+    getSandbox() {
+        return this.sandbox;
+    }
+    
+    /**
+     * Overlay canvas for the sandbox - takes the pointer while sandbox mode is on
+     */
+    createSandboxCanvas() {
+        if (this.sandboxCanvas) return true;
+        if (!this.canvasContainer) {
+            console.error('❌ Polychora sandbox needs the polychora canvas container');
+            return false;
         }
+        
+        const canvas = document.createElement('canvas');
+        canvas.id = 'polychora-sandbox-canvas';
+        canvas.className = 'visualization-canvas';
+        canvas.style.zIndex = 10;
+        canvas.style.touchAction = 'none';
+        this.canvasContainer.appendChild(canvas);
+        
+        const point = event => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (event.clientX - rect.left) * (canvas.width / Math.max(rect.width, 1)),
+                (event.clientY - rect.top) * (canvas.height / Math.max(rect.height, 1)),
+                event.timeStamp
+            ];
+        };
+        this.sandboxListeners = {
+            pointerdown: event => {
+                canvas.setPointerCapture(event.pointerId);
+                this.sandbox.pointerDown(...point(event));
+            },
+            pointermove: event => this.sandbox.pointerMove(...point(event)),
+            pointerup: event => this.sandbox.pointerUp(...point(event)),
+            pointercancel: () => this.sandbox.release()
+        };
+        Object.entries(this.sandboxListeners).forEach(([type, listener]) => canvas.addEventListener(type, listener));
+        
+        this.sandboxCanvas = canvas;
+        return true;
+    }
+    
+    /**
+     * Draw the sandbox overlay in the current projection
+     */
+    drawSandbox() {
+        const canvas = this.sandboxCanvas;
+        if (!canvas.isConnected) this.canvasContainer.appendChild(canvas); // System switches empty the container
+        const rect = canvas.getBoundingClientRect();
+        if (rect.width > 0 && (canvas.width !== Math.round(rect.width) || canvas.height !== Math.round(rect.height))) {
+            canvas.width = Math.round(rect.width);
+            canvas.height = Math.round(rect.height);
+        }
+        this.sandbox.setView({
+            width: canvas.width,
+            height: canvas.height,
+            projection: this.parameters.projection,
+            projectionDistance: this.parameters.projectionDistance
+        });
+        this.sandbox.draw(canvas.getContext('2d'));
     }
     
     /**
@@ -935,8 +1157,19 @@ export class PolychoraSystem {
     
     /**
      * Set current polytope
+     * @param {number|string} polytopeIndex - Index, polytope id or Coxeter-Dynkin diagram ('x3x3o4o')
      */
     setPolytope(polytopeIndex) {
+        if (typeof polytopeIndex === 'string') {
+            const index = this.polytopes.findIndex(p => p.id === polytopeIndex);
+            try {
+                polytopeIndex = index >= 0 ? index : addUniformPolytope(polytopeIndex);
+            } catch (error) {
+                console.warn('⚠️ Invalid polytope:', error.message);
+                return;
+            }
+        }
+        
         if (polytopeIndex < 0 || polytopeIndex >= this.polytopes.length) {
             console.warn('⚠️ Invalid polytope index:', polytopeIndex);
             return;
@@ -944,6 +1177,7 @@ export class PolychoraSystem {
         
         this.parameters.polytope = polytopeIndex;
         const polytope = this.polytopes[polytopeIndex];
+        if (this.particles.getEmitters().length > 0) this.setParticleEmitterSource();
         
         console.log(`🔮 Set polytope to ${polytope.name}: ${polytope.description}`);
         return polytope;
@@ -966,7 +1200,7 @@ export class PolychoraSystem {
         
         // Map geometry to polytope selection
         if (newParams.geometry !== undefined) {
-            this.parameters.polytope = Math.min(newParams.geometry, this.polytopes.length - 1);
+            this.parameters.polytope = Math.min(newParams.geometry, REGULAR_POLYCHORA.length - 1);
         }
         
         // Map speed to flow direction intensity
@@ -974,10 +1208,9 @@ export class PolychoraSystem {
             this.parameters.flowDirection = newParams.speed;
         }
         
-        // Map intensity to projection distance
-        if (newParams.intensity !== undefined) {
-            this.parameters.projectionDistance = 1.0 + (newParams.intensity * 4.0); // Scale 0-1 to 1-5
-        }
+        // Projection is shared with the other systems
+        if (newParams.projection !== undefined) this.parameters.projection = newParams.projection;
+        if (newParams.projectionDistance !== undefined) this.parameters.projectionDistance = newParams.projectionDistance;
         
         // Update all visualizers with new parameters
         this.visualizers.forEach(visualizer => {
@@ -1020,16 +1253,137 @@ export class PolychoraSystem {
     // Audio reactivity handled directly in visualizer render loops
     
     /**
-     * Update 4D scroll interaction (cross-section navigation)
+     * Update 4D scroll interaction (cross-section navigation) - moves the slicing hyperplane
      */
     updateScroll(velocity) {
-        this.visualizers.forEach(visualizer => {
-            if (visualizer.updateCrossSection) {
-                visualizer.updateCrossSection(velocity);
+        const position = this.slice.move(velocity * 0.01);
+        console.log(`🔮 Polychora cross-section position: ${position.toFixed(3)}`);
+    }
+    
+    /**
+     * Turn 4D particles on or off - the first time adds a vertex emitter on the current polytope.
+     * Audio bands and click bursts come from window.reactivityManager when the page has one.
+     */
+    setParticlesEnabled(enabled) {
+        this.particlesEnabled = !!enabled;
+        if (this.particlesEnabled) {
+            if (this.particles.getEmitters().length === 0) {
+                this.addParticleEmitter({ source: 'vertices' });
             }
+            this.particles.connectReactivity(window.reactivityManager || null);
+        } else {
+            this.particles.disconnectReactivity();
+            this.particles.clear();
+        }
+        console.log(`✨ Polychora particles ${this.particlesEnabled ? 'on' : 'off'}`);
+        return this.particlesEnabled;
+    }
+    
+    /**
+     * Emit particles from the current polytope (or options.polytope)
+     * @param {Object} options - ParticleSystem4D.addEmitter() options
+     */
+    addParticleEmitter(options = {}) {
+        try {
+            return this.particles.addEmitter({ polytope: this.parameters.polytope, ...options });
+        } catch (error) {
+            console.error('❌ Invalid particle emitter:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Rebuild the emitters on the current polytope - emitting from source ('vertices', 'edges', 'cells')
+     * when given, otherwise each from its own
+     */
+    setParticleEmitterSource(source) {
+        const emitters = [...this.particles.getEmitters()];
+        this.particles.clearEmitters();
+        (emitters.length ? emitters : [{}]).forEach(emitter => {
+            const { id, mesh, pending, ...options } = emitter;
+            this.addParticleEmitter({ ...options, polytope: this.parameters.polytope, source: source || options.source });
+        });
+        return this.particles.getEmitters();
+    }
+    
+    setParticleParameters(parameters) {
+        return this.particles.setParameters(parameters);
+    }
+    
+    getParticles() {
+        return this.particles;
+    }
+    
+    /**
+     * Turn hyperplane slice mode on or off
+     */
+    setSliceMode(enabled) {
+        this.slice.set({ enabled });
+        this.currentSlice = this.computeSlice();
+        console.log(`🔮 Polychora slice mode ${enabled ? 'on' : 'off'}`);
+        return this.slice.getState();
+    }
+    
+    /**
+     * Configure the slicing hyperplane
+     * @param {Object} options - { normal: [x, y, z, w], position: -1…1 across the polytope, sweepSpeed: 0 = manual }
+     */
+    setSlice(options = {}) {
+        try {
+            const state = this.slice.set(options);
+            this.currentSlice = this.computeSlice();
+            return state;
+        } catch (error) {
+            console.error('❌ Invalid polychora slice:', error);
+            return this.slice.getState();
+        }
+    }
+    
+    /**
+     * Cross-section of the current polytope at its current rotation (null with slice mode off)
+     */
+    computeSlice() {
+        const p = this.parameters;
+        return this.slice.compute(p.polytope, {
+            rot4dXY: p.rot4dXY,
+            rot4dXZ: p.rot4dXZ,
+            rot4dYZ: p.rot4dYZ,
+            rot4dXW: p.rot4dXW,
+            rot4dYW: p.rot4dYW,
+            rot4dZW: p.rot4dZW
         });
     }
     
+    getSlice() {
+        return this.currentSlice;
+    }
+    
+    /**
+     * Uniform polytope in its current rotation and projection, shaped like a slice for SliceRenderer
+     * (null for the regular polytopes, which the distance-field shader draws)
+     */
+    computeProjectedMesh() {
+        const p = this.parameters;
+        if (p.polytope < REGULAR_POLYCHORA.length) return null;
+        
+        try {
+            const mesh = getPolytope(p.polytope);
+            const projection = {
+                weights: getProjectionWeights(p.projection || 0),
+                distance: getProjectionDistance(p.projectionDistance)
+            };
+            return {
+                vertices: mesh.vertices.map(vertex => projectPoint(rotate4D([...vertex], p), projection)),
+                edges: mesh.edges,
+                faces: mesh.faces
+            };
+        } catch (error) {
+            console.warn('⚠️ Polychora mesh unavailable, falling back to the 5-cell:', error.message);
+            p.polytope = 0;
+            return null;
+        }
+    }
+    
     /**
      * Get current polytope information
      */
@@ -1049,6 +1403,16 @@ export class PolychoraSystem {
      */
     destroy() {
         this.stop();
+        this.particles.destroy();
+        if (this.sandboxCanvas) {
+            Object.entries(this.sandboxListeners).forEach(([type, listener]) => {
+                this.sandboxCanvas.removeEventListener(type, listener);
+            });
+            this.sandboxCanvas.remove();
+            this.sandboxCanvas = null;
+            this.sandboxListeners = null;
+            this.sandboxMode = false;
+        }
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
@@ -5,13 +5,28 @@
  * SYSTEM DNA:
  * ✅ ParameterManager integration
  * ✅ 5-layer WebGL system with role-based rendering
- * ✅ 8 VIB34D geometries with unique 4D implementations
+ * ✅ 8 VIB34D geometries - exact polytope meshes, distance fields for the hypersphere and duocylinder
  * ✅ Audio reactivity with bass/mid/high mapping
  * ✅ 4D rotation mathematics matching other systems
  * ✅ HSV color system integration
+ * ✅ Hyperplane slice mode - the true 3D cross-section of the polytope
+ * ✅ 4D physics world with the sandbox editor
+ * ✅ 4D particles emitted from the polytope, moved by the physics world's fields
  */
 
 import { ParameterManager } from './Parameters.js';
+import { PROJECTION_GLSL, ProjectionBlender, getProjectionDistance } from '../geometry/Projections.js';
+import { REGULAR_POLYCHORA, getPolytopeDefinition, getPolytopeDefinitions, addUniformPolytope } from '../geometry/RegularPolychora.js';
+import { SliceController } from '../geometry/HyperplaneSlicer.js';
+import { SliceRenderer } from '../geometry/SliceRenderer.js';
+import { POLYCHORA_GEOMETRY_POLYTOPES, hsvToRgb, projectPolytope } from '../export/MeshExporter.js';
+import { Polychora4DPhysics } from '../physics/Polychora4DPhysics.js';
+import { PhysicsSandbox } from '../physics/PhysicsSandbox.js';
+import { ParticleSystem4D } from '../particles/ParticleSystem4D.js';
+import { ParticleRenderer } from '../particles/ParticleRenderer.js';
+
+// Meshes are unit-circumradius and drawn at this radius in clip space (as in PolychoraSystem)
+const POLYTOPE_VIEW_RADIUS = 0.8;
 
 /**
  * True4DPolychoraVisualizer - Individual layer renderer for 4D polytopes
@@ -27,6 +42,9 @@ class True4DPolychoraVisualizer {
         this.program = null;
         this.time = 0;
         this.vertexBuffer = null;
+        this.sliceRenderer = null;
+        this.particleRenderer = null;
+        this.projection = new ProjectionBlender();
         
         // Layer-specific properties following DNA pattern
         this.layerIntensity = this.getLayerIntensity(role);
@@ -153,11 +171,8 @@ class True4DPolychoraVisualizer {
                 return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
             }
             
-            // 4D to 3D projection - EXACT DNA from other systems
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
+            // 4D <-> 3D projection (perspective, orthographic, stereographic or Schlegel) - shared with other systems
+            ${PROJECTION_GLSL}
             
             // HSV to RGB conversion - EXACT DNA from other systems
             vec3 hsv2rgb(vec3 c) {
@@ -166,70 +181,7 @@ class True4DPolychoraVisualizer {
                 return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
             }
             
-            // TRUE 4D POLYTOPE DISTANCE FUNCTIONS
-            
-            // 5-Cell (4D Tetrahedron) - Simplest regular 4D polytope
-            float polytope5Cell(vec4 p) {
-                vec4 vertices[5];
-                vertices[0] = vec4(1.0, 1.0, 1.0, 1.0);
-                vertices[1] = vec4(1.0, -1.0, -1.0, 1.0);
-                vertices[2] = vec4(-1.0, 1.0, -1.0, 1.0);
-                vertices[3] = vec4(-1.0, -1.0, 1.0, 1.0);
-                vertices[4] = vec4(0.0, 0.0, 0.0, -1.0);
-                
-                float minDist = 1000.0;
-                for(int i = 0; i < 5; i++) {
-                    minDist = min(minDist, distance(p, vertices[i]));
-                }
-                return minDist;
-            }
-            
-            // Tesseract (4D Hypercube) - Most famous 4D polytope
-            float polytopeTesseract(vec4 p) {
-                vec4 q = abs(p) - vec4(1.0);
-                return length(max(q, 0.0)) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
-            }
-            
-            // 16-Cell (4D Cross-polytope)
-            float polytope16Cell(vec4 p) {
-                return abs(p.x) + abs(p.y) + abs(p.z) + abs(p.w) - 2.0;
-            }
-            
-            // 24-Cell (Unique to 4D)
-            float polytope24Cell(vec4 p) {
-                vec4 q = abs(p);
-                vec4 sorted = q;
-                
-                // Sort coordinates for 24-cell symmetry
-                if(sorted.x < sorted.y) { float temp = sorted.x; sorted.x = sorted.y; sorted.y = temp; }
-                if(sorted.y < sorted.z) { float temp = sorted.y; sorted.y = sorted.z; sorted.z = temp; }
-                if(sorted.z < sorted.w) { float temp = sorted.z; sorted.z = sorted.w; sorted.w = temp; }
-                
-                return sorted.x + sorted.y - 2.0;
-            }
-            
-            // 600-Cell (4D Icosahedron analog)
-            float polytope600Cell(vec4 p) {
-                float phi = 1.618033988749895; // Golden ratio
-                vec4 q = abs(p);
-                
-                float d1 = max(max(max(q.x, q.y), q.z), q.w) - phi;
-                float d2 = (q.x + q.y + q.z + q.w) / phi - 2.0;
-                
-                return max(d1, d2);
-            }
-            
-            // 120-Cell (Most complex regular 4D polytope)
-            float polytope120Cell(vec4 p) {
-                float phi = 1.618033988749895; // Golden ratio
-                vec4 q = abs(p);
-                
-                // Approximate 120-cell using dodecahedral symmetry
-                float d1 = length(q) - 2.0;
-                float d2 = max(max(max(q.x/phi, q.y*phi), q.z/phi), q.w*phi) - 1.5;
-                
-                return max(d1, d2);
-            }
+            // 4D DISTANCE FUNCTIONS - curved shapes only, the polytopes are drawn from their exact meshes
             
             // Hypersphere (4D Sphere)
             float polytopeHypersphere(vec4 p) {
@@ -257,37 +209,13 @@ class True4DPolychoraVisualizer {
                 
                 float dist = 0.0;
                 
-                if (geomType == 0) {
-                    // 5-CELL (4D Tetrahedron)
-                    dist = polytope5Cell(tiledP);
-                }
-                else if (geomType == 1) {
-                    // TESSERACT (4D Hypercube) 
-                    dist = polytopeTesseract(tiledP);
-                }
-                else if (geomType == 2) {
-                    // HYPERSPHERE (4D Sphere)
-                    dist = polytopeHypersphere(tiledP);
-                }
-                else if (geomType == 3) {
+                if (geomType == 3) {
                     // DUOCYLINDER (4D Torus)
                     dist = polytopeDuocylinder(tiledP);
                 }
-                else if (geomType == 4) {
-                    // 16-CELL (4D Cross-polytope)
-                    dist = polytope16Cell(tiledP);
-                }
-                else if (geomType == 5) {
-                    // 24-CELL (Unique to 4D)
-                    dist = polytope24Cell(tiledP);
-                }
-                else if (geomType == 6) {
-                    // 600-CELL (4D Icosahedron)
-                    dist = polytope600Cell(tiledP);
-                }
-                else if (geomType == 7) {
-                    // 120-CELL (Most complex)
-                    dist = polytope120Cell(tiledP);
+                else {
+                    // HYPERSPHERE (4D Sphere)
+                    dist = polytopeHypersphere(tiledP);
                 }
                 
                 // Apply morphing and chaos - EXACT DNA pattern
@@ -304,8 +232,8 @@ class True4DPolychoraVisualizer {
                 vec2 uv = (v_uv - 0.5) * 2.0;
                 float time = u_time * 0.001 * u_speed;
                 
-                // Create 4D coordinate from 2D screen space
-                vec4 rayDir = vec4(uv * u_layerScale, 1.0, sin(time * 0.5));
+                // Create 4D coordinate from 2D screen space - the point the selected projection maps onto this pixel
+                vec4 rayDir = unproject3Dto4D(vec3(uv * u_layerScale, 1.0), sin(time * 0.5));
                 
                 // Audio reactivity - EXACT DNA pattern
                 vec4 audioOffset = vec4(u_bass * 0.3, u_mid * 0.2, u_high * 0.1, u_bass * 0.1);
@@ -400,11 +328,17 @@ class True4DPolychoraVisualizer {
         this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
     }
     
-    render(parameters = {}) {
+    render(parameters = {}, shape = null, particles = null) {
         if (!this.gl || !this.program || !this.vertexBuffer) return;
         
         this.time += 16; // ~60fps
         
+        if (shape) {
+            this.renderMesh(shape, parameters);
+            this.renderParticles(particles, parameters);
+            return;
+        }
+        
         this.gl.useProgram(this.program);
         this.gl.enable(this.gl.BLEND);
         this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
@@ -432,6 +366,8 @@ class True4DPolychoraVisualizer {
         this.setUniform('u_hue', parameters.hue || 280);
         this.setUniform('u_intensity', parameters.intensity || 0.8);
         this.setUniform('u_saturation', parameters.saturation || 0.9);
+        this.setUniform('u_projectionWeights', this.projection.update(parameters.projection || 0));
+        this.setUniform('u_projectionDistance', getProjectionDistance(parameters.projectionDistance));
         
         // Layer-specific uniforms
         this.setUniform('u_layerIntensity', this.layerIntensity);
@@ -445,6 +381,48 @@ class True4DPolychoraVisualizer {
         
         // Draw quad
         this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
+        
+        this.renderParticles(particles, parameters);
+    }
+    
+    /**
+     * Draw a projected polytope mesh (or slice) with this layer's part - faces, edges or vertices
+     */
+    renderMesh(shape, parameters) {
+        if (!this.sliceRenderer) {
+            this.sliceRenderer = new SliceRenderer(this.gl, this.role);
+        }
+        
+        this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        
+        // Same color as the distance-field shader: HSV mixed with the layer color
+        const color = hsvToRgb(parameters.hue ?? 280, parameters.saturation ?? 0.9, 1)
+            .map((value, i) => value + (this.layerColor[i] - value) * 0.3);
+        
+        this.sliceRenderer.render(shape, {
+            turn: this.time * 0.001 * 0.3 * (parameters.speed || 1.0),
+            scale: POLYTOPE_VIEW_RADIUS * this.layerScale,
+            color,
+            opacity: parameters.intensity ?? 0.8
+        });
+    }
+    
+    /**
+     * Draw 4D particles over the layer, on the same turntable as the meshes
+     */
+    renderParticles(particles, parameters) {
+        if (!particles || particles.count === 0) return;
+        if (!this.particleRenderer) {
+            this.particleRenderer = new ParticleRenderer(this.gl, this.role);
+        }
+        
+        this.particleRenderer.render(particles, {
+            parameters,
+            turn: this.time * 0.001 * 0.3 * (parameters.speed || 1.0),
+            scale: POLYTOPE_VIEW_RADIUS * this.layerScale,
+            opacity: parameters.intensity ?? 0.8
+        });
     }
     
     setUniform(name, value) {
@@ -474,6 +452,14 @@ class True4DPolychoraVisualizer {
                 this.gl.deleteBuffer(this.vertexBuffer);
                 this.vertexBuffer = null;
             }
+            if (this.sliceRenderer) {
+                this.sliceRenderer.destroy();
+                this.sliceRenderer = null;
+            }
+            if (this.particleRenderer) {
+                this.particleRenderer.destroy();
+                this.particleRenderer = null;
+            }
         }
     }
 }
@@ -501,6 +487,28 @@ export class NewPolychoraEngine {
         // Animation state - DNA pattern
         this.time = 0;
         this.animationId = null;
+        this.lastFrameTime = 0;
+        
+        // 4D physics world - off until enablePhysics() or the sandbox turns it on
+        this.physics = new Polychora4DPhysics();
+        this.physicsEnabled = false;
+        
+        // Physics sandbox editor - drawn on its own canvas over the layers while on
+        this.sandbox = new PhysicsSandbox(this.physics);
+        this.sandboxMode = false;
+        this.sandboxCanvas = null;
+        this.sandboxListeners = null;
+        
+        // 4D particles - feel the physics world's fields, off until setParticlesEnabled(true)
+        this.particles = new ParticleSystem4D({ physics: this.physics });
+        this.particlesEnabled = false;
+        
+        // Polytope picked with setPolytope() - null draws the one for the geometry
+        this.polytope = null;
+        
+        // Hyperplane slice mode - off until setSliceMode(true)
+        this.slice = new SliceController();
+        this.currentSlice = null;
         
         // Polychora-specific enhancement: 4D rotation velocity tracking
         this.rotation4DVelocity = { XW: 0, YW: 0, ZW: 0 };
@@ -594,9 +602,22 @@ export class NewPolychoraEngine {
             
             this.time += 16; // ~60fps
             
+            const now = performance.now();
+            const dt = this.lastFrameTime ? Math.min((now - this.lastFrameTime) / 1000, 0.1) : 0;
+            this.lastFrameTime = now;
+            
+            // Step the physics world - fixed steps, however fast frames come
+            if (this.physicsEnabled) {
+                if (this.sandboxMode) this.sandbox.update();
+                this.physics.advance(dt);
+            }
+            
             // Get current parameters - EXACT DNA pattern
             const params = {
                 geometry: this.parameters.getParameter('geometry'),
+                rot4dXY: this.parameters.getParameter('rot4dXY'),
+                rot4dXZ: this.parameters.getParameter('rot4dXZ'),
+                rot4dYZ: this.parameters.getParameter('rot4dYZ'),
                 rot4dXW: this.parameters.getParameter('rot4dXW'),
                 rot4dYW: this.parameters.getParameter('rot4dYW'),
                 rot4dZW: this.parameters.getParameter('rot4dZW'),
@@ -606,7 +627,9 @@ export class NewPolychoraEngine {
                 speed: this.parameters.getParameter('speed'),
                 hue: this.parameters.getParameter('hue'),
                 intensity: this.parameters.getParameter('intensity'),
-                saturation: this.parameters.getParameter('saturation')
+                saturation: this.parameters.getParameter('saturation'),
+                projection: this.parameters.getParameter('projection'),
+                projectionDistance: this.parameters.getParameter('projectionDistance')
             };
             
             // Audio-reactive 4D rotation enhancement
@@ -625,17 +648,371 @@ export class NewPolychoraEngine {
                 params.hue += (window.audioReactive.mid + window.audioReactive.high) * 30;
             }
             
-            // Render all layers - DNA pattern
+            // Slice mode: sweep the hyperplane, then cut the polytope once for all layers.
+            // Otherwise the polytopes are drawn from their exact meshes - projected once for all layers
+            this.slice.advance(dt);
+            this.currentSlice = this.computeSlice(params);
+            const shape = this.currentSlice || this.computeProjectedMesh(params);
+            let particles = null;
+            if (this.particlesEnabled) {
+                this.particles.step(dt);
+                particles = this.particles.getBuffers();
+            }
+            
+            // Render all layers - DNA pattern (with per-layer overrides from the layer compositor)
+            const compositor = window.layerCompositor;
             this.visualizers.forEach(visualizer => {
-                visualizer.render(params);
+                visualizer.render(compositor ? compositor.getLayerParameters(visualizer.role, params) : params, shape, particles);
             });
             
+            // Post-processing reads the layers right after the system pass
+            window.postProcessor?.process('polychora', this.visualizers.map(v => v.canvas));
+            if (this.sandboxMode) this.drawSandbox(params);
+            
             this.animationId = requestAnimationFrame(renderFrame);
         };
         
         renderFrame();
     }
     
+    /**
+     * Polytope id being drawn - the setPolytope() one, otherwise the geometry's
+     * (null for the hypersphere and duocylinder, which have no mesh)
+     */
+    getPolytopeId(params) {
+        if (this.polytope !== null) return getPolytopeDefinition(this.polytope).id;
+        return POLYCHORA_GEOMETRY_POLYTOPES[params.geometry] || null;
+    }
+    
+    /**
+     * 6 regular polychora followed by the Wythoff-generated uniform ones (PolychoraSystem index order)
+     */
+    get polytopes() {
+        return getPolytopeDefinitions().map(({ id, name, description }) => ({ id, name, description }));
+    }
+    
+    /**
+     * Draw a regular or uniform polytope instead of the geometry's - picking a geometry switches back
+     * @param {number|string|null} polytopeIndex - Index, polytope id or Coxeter-Dynkin diagram ('x3x3o4o'); null for the geometry's
+     */
+    setPolytope(polytopeIndex) {
+        if (polytopeIndex === null) {
+            this.polytope = null;
+            this.moveParticleEmitters();
+            return null;
+        }
+        if (typeof polytopeIndex === 'string' && polytopeIndex.trim() !== '' && !isNaN(polytopeIndex)) {
+            polytopeIndex = Number(polytopeIndex); // Saved indices can come back as strings
+        }
+        if (typeof polytopeIndex === 'string') {
+            const index = this.polytopes.findIndex(p => p.id === polytopeIndex);
+            try {
+                polytopeIndex = index >= 0 ? index : addUniformPolytope(polytopeIndex);
+            } catch (error) {
+                console.warn('⚠️ Invalid polytope:', error.message);
+                return;
+            }
+        }
+        
+        if (!Number.isInteger(polytopeIndex) || polytopeIndex < 0 || polytopeIndex >= this.polytopes.length) {
+            console.warn('⚠️ Invalid polytope index:', polytopeIndex);
+            return;
+        }
+        
+        this.polytope = polytopeIndex;
+        const polytope = this.polytopes[polytopeIndex];
+        this.moveParticleEmitters();
+        console.log(`🔮 4D Polytope set to ${polytope.name}: ${polytope.description}`);
+        return polytope;
+    }
+    
+    /**
+     * Polytope being drawn (null for the hypersphere and duocylinder)
+     */
+    getCurrentPolytope() {
+        const id = this.getPolytopeId(this.parameters.getAllParameters());
+        return id ? this.polytopes.find(polytope => polytope.id === id) || null : null;
+    }
+    
+    getPolytopeNames() {
+        return this.polytopes.map(p => p.name);
+    }
+    
+    /**
+     * Current polytope in its rotation and projection, ready for SliceRenderer
+     * (null for the hypersphere and duocylinder, which the distance-field shader draws)
+     */
+    computeProjectedMesh(params) {
+        const polytope = this.getPolytopeId(params);
+        return polytope ? projectPolytope({ ...params, polytope }) : null;
+    }
+    
+    /**
+     * Turn hyperplane slice mode on or off
+     */
+    setSliceMode(enabled) {
+        this.slice.set({ enabled });
+        this.currentSlice = this.computeSlice();
+        console.log(`🔮 4D Polychora slice mode ${enabled ? 'on' : 'off'}`);
+        return this.slice.getState();
+    }
+    
+    /**
+     * Configure the slicing hyperplane
+     * @param {Object} options - { normal: [x, y, z, w], position: -1…1 across the polytope, sweepSpeed: 0 = manual }
+     */
+    setSlice(options = {}) {
+        try {
+            const state = this.slice.set(options);
+            this.currentSlice = this.computeSlice();
+            return state;
+        } catch (error) {
+            console.error('❌ Invalid polychora slice:', error);
+            return this.slice.getState();
+        }
+    }
+    
+    /**
+     * Cross-section of the current polytope at its current rotation
+     * (null with slice mode off, and for the hypersphere and duocylinder)
+     */
+    computeSlice(params = this.parameters.getAllParameters()) {
+        const polytope = this.getPolytopeId(params);
+        return polytope ? this.slice.compute(polytope, params) : null;
+    }
+    
+    getSlice() {
+        return this.currentSlice;
+    }
+    
+    /**
+     * Start the physics world
+     * @param {Object} options - { spawn: false } starts from an empty world (sandbox)
+     */
+    enablePhysics({ spawn = true } = {}) {
+        this.physicsEnabled = true;
+        this.physics.enable();
+        
+        if (spawn) {
+            this.createPhysicsBodies();
+        } else {
+            this.physics.clearAllBodies();
+        }
+        
+        console.log('🔮 4D Polychora physics enabled');
+    }
+    
+    disablePhysics() {
+        if (this.sandboxMode) this.setSandboxMode(false);
+        this.physicsEnabled = false;
+        this.physics.disable();
+        this.physics.clearAllBodies();
+        
+        console.log('🔮 4D Polychora physics disabled');
+    }
+    
+    /**
+     * One body for each regular polytope, plus the picked uniform one (seeded positions)
+     */
+    createPhysicsBodies() {
+        this.physics.clearAllBodies();
+        const random = () => this.physics.random.next();
+        
+        const types = REGULAR_POLYCHORA.map((definition, i) => i);
+        if (this.polytope !== null && this.polytope >= REGULAR_POLYCHORA.length) types.push(this.polytope);
+        types.forEach(type => {
+            this.physics.createRigidBody(type, [
+                (random() - 0.5) * 4,
+                (random() - 0.5) * 4,
+                (random() - 0.5) * 4,
+                (random() - 0.5) * 2
+            ]);
+        });
+        
+        // Same world as PolychoraSystem: gravity along -W, no magnetic field, a gentle X current
+        this.physics.setGravity([0, 0, 0, -2.5]);
+        this.physics.setMagneticField([0, 0, 0, 0]);
+        this.physics.setFluidFlow([0.5, 0, 0, 0]);
+    }
+    
+    /**
+     * Saveable physics world for gallery variations (null while physics is off)
+     */
+    getPhysicsState() {
+        return this.physicsEnabled ? this.physics.serialize() : null;
+    }
+    
+    /**
+     * Continue from a saved physics world - null turns physics off
+     */
+    loadPhysicsState(state) {
+        if (!state) {
+            if (this.physicsEnabled) this.disablePhysics();
+            return true;
+        }
+        
+        try {
+            this.physics.loadState(state);
+            this.physics.enable();
+            this.physicsEnabled = true;
+            console.log('🔮 4D Polychora physics world restored');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load polychora physics:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Turn the physics sandbox on or off - turning it on starts physics with an empty world
+     * if it isn't running, so bodies are spawned by hand
+     */
+    setSandboxMode(enabled) {
+        if (enabled && !this.sandboxMode) {
+            if (!this.createSandboxCanvas()) return false;
+            if (!this.physicsEnabled) this.enablePhysics({ spawn: false });
+            this.sandboxMode = true;
+            this.sandboxCanvas.style.display = 'block';
+        } else if (!enabled && this.sandboxMode) {
+            this.sandbox.release();
+            this.sandboxMode = false;
+            if (this.sandboxCanvas) this.sandboxCanvas.style.display = 'none';
+        }
+        console.log(`🔮 4D Polychora physics sandbox ${this.sandboxMode ? 'on' : 'off'}`);
+        return this.sandboxMode;
+    }
+    
+    getSandbox() {
+        return this.sandbox;
+    }
+    
+    /**
+     * Overlay canvas for the sandbox, in the layers' container - takes the pointer while sandbox mode is on
+     */
+    createSandboxCanvas() {
+        if (this.sandboxCanvas) return true;
+        const container = this.visualizers[0]?.canvas?.parentElement;
+        if (!container) {
+            console.error('❌ 4D Polychora sandbox needs the polychora layer canvases');
+            return false;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.id = 'polychora-sandbox-canvas';
+        canvas.className = 'visualization-canvas';
+        canvas.style.zIndex = 10;
+        canvas.style.touchAction = 'none';
+        container.appendChild(canvas);
+        
+        const point = event => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (event.clientX - rect.left) * (canvas.width / Math.max(rect.width, 1)),
+                (event.clientY - rect.top) * (canvas.height / Math.max(rect.height, 1)),
+                event.timeStamp
+            ];
+        };
+        this.sandboxListeners = {
+            pointerdown: event => {
+                canvas.setPointerCapture(event.pointerId);
+                this.sandbox.pointerDown(...point(event));
+            },
+            pointermove: event => this.sandbox.pointerMove(...point(event)),
+            pointerup: event => this.sandbox.pointerUp(...point(event)),
+            pointercancel: () => this.sandbox.release()
+        };
+        Object.entries(this.sandboxListeners).forEach(([type, listener]) => canvas.addEventListener(type, listener));
+        
+        this.sandboxCanvas = canvas;
+        return true;
+    }
+    
+    /**
+     * Draw the sandbox overlay in the current projection
+     */
+    drawSandbox(params) {
+        const canvas = this.sandboxCanvas;
+        const rect = canvas.getBoundingClientRect();
+        if (rect.width > 0 && (canvas.width !== Math.round(rect.width) || canvas.height !== Math.round(rect.height))) {
+            canvas.width = Math.round(rect.width);
+            canvas.height = Math.round(rect.height);
+        }
+        this.sandbox.setView({
+            width: canvas.width,
+            height: canvas.height,
+            projection: params.projection,
+            projectionDistance: params.projectionDistance
+        });
+        this.sandbox.draw(canvas.getContext('2d'));
+    }
+    
+    /**
+     * Turn 4D particles on or off - the first time adds a vertex emitter on the current polytope.
+     * Audio bands and click bursts come from window.reactivityManager when the page has one.
+     */
+    setParticlesEnabled(enabled) {
+        this.particlesEnabled = !!enabled;
+        if (this.particlesEnabled) {
+            if (this.particles.getEmitters().length === 0) {
+                this.addParticleEmitter({ source: 'vertices' });
+            }
+            this.particles.connectReactivity(window.reactivityManager || null);
+        } else {
+            this.particles.disconnectReactivity();
+            this.particles.clear();
+        }
+        console.log(`✨ 4D Polychora particles ${this.particlesEnabled ? 'on' : 'off'}`);
+        return this.particlesEnabled;
+    }
+    
+    /**
+     * Polytope the emitters sit on - the hypersphere and duocylinder have no mesh, so they keep
+     * the emitter's polytope (the tesseract at first)
+     */
+    getEmitterPolytope(current) {
+        return this.getPolytopeId(this.parameters.getAllParameters()) || current || 'tesseract';
+    }
+    
+    /**
+     * Emit particles from the current polytope (or options.polytope)
+     * @param {Object} options - ParticleSystem4D.addEmitter() options
+     */
+    addParticleEmitter(options = {}) {
+        try {
+            return this.particles.addEmitter({ polytope: this.getEmitterPolytope(), ...options });
+        } catch (error) {
+            console.error('❌ Invalid particle emitter:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Rebuild the emitters on the current polytope - emitting from source ('vertices', 'edges', 'cells')
+     * when given, otherwise each from its own
+     */
+    setParticleEmitterSource(source) {
+        const emitters = [...this.particles.getEmitters()];
+        this.particles.clearEmitters();
+        (emitters.length ? emitters : [{}]).forEach(emitter => {
+            const { id, mesh, pending, ...options } = emitter;
+            this.addParticleEmitter({ ...options, polytope: this.getEmitterPolytope(options.polytope), source: source || options.source });
+        });
+        return this.particles.getEmitters();
+    }
+    
+    // Changing polytope moves the emitters onto the new one
+    moveParticleEmitters() {
+        if (this.particles.getEmitters().length > 0) this.setParticleEmitterSource();
+    }
+    
+    setParticleParameters(parameters) {
+        return this.particles.setParameters(parameters);
+    }
+    
+    getParticles() {
+        return this.particles;
+    }
+    
     activate() {
         console.log('🔮 Activating TRUE 4D Polychora Engine...');
         this.isActive = true;
@@ -645,6 +1022,7 @@ export class NewPolychoraEngine {
         allCanvases.forEach(canvas => {
             canvas.style.display = canvas.id.includes('polychora') ? 'block' : 'none';
         });
+        if (this.sandboxCanvas) this.sandboxCanvas.style.display = this.sandboxMode ? 'block' : 'none';
         
         this.startRenderLoop();
         
@@ -675,11 +1053,19 @@ export class NewPolychoraEngine {
     }
     
     updateParameter(param, value) {
+        // Saved polytope picks come back through here too
+        if (param === 'polytope') {
+            this.setPolytope(value);
+            return;
+        }
+        
         // EXACT DNA pattern from other systems
         this.parameters.setParameter(param, value);
         
         // Special 4D polytope parameter handling
         if (param === 'geometry') {
+            this.polytope = null;
+            this.moveParticleEmitters();
             const polytopes = ['5-CELL', 'TESSERACT', 'HYPERSPHERE', 'DUOCYLINDER', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
             console.log(`🔮 4D Polytope changed to: ${polytopes[Math.floor(value)] || 'UNKNOWN'}`);
         }
@@ -687,13 +1073,15 @@ export class NewPolychoraEngine {
     
     // CRITICAL: Add getParameters method for save system compatibility
     getParameters() {
+        // A setPolytope() pick is saved with the geometry, so loads and exports show the same polytope
+        const polytope = this.polytope !== null ? { polytope: this.polytope } : {};
         if (this.parameters && typeof this.parameters.getAllParameters === 'function') {
-            return this.parameters.getAllParameters();
+            return { ...this.parameters.getAllParameters(), ...polytope };
         }
         
         // Fallback parameter extraction
-        const params = {};
-        const paramNames = ['geometry', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation'];
+        const params = { ...polytope };
+        const paramNames = ['geometry', 'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation', 'projection', 'projectionDistance'];
         
         paramNames.forEach(name => {
             if (this.parameters && typeof this.parameters.getParameter === 'function') {
@@ -709,11 +1097,20 @@ export class NewPolychoraEngine {
         if (!params) return;
         
         Object.keys(params).forEach(key => {
+            if (key === 'polytope') return;
             if (this.parameters && typeof this.parameters.setParameter === 'function') {
                 this.parameters.setParameter(key, params[key]);
             }
         });
         
+        // A saved polytope pick comes back; a geometry without one shows the geometry's polytope
+        if (params.polytope !== undefined) {
+            this.setPolytope(params.polytope);
+        } else if (params.geometry !== undefined) {
+            this.polytope = null;
+            this.moveParticleEmitters();
+        }
+        
         console.log('🔮 4D Polychora parameters updated from load');
     }
     
@@ -735,6 +1132,18 @@ export class NewPolychoraEngine {
     cleanup() {
         this.deactivate();
         
+        // Particles, physics and the sandbox overlay
+        this.particles.destroy();
+        if (this.physicsEnabled) this.disablePhysics();
+        if (this.sandboxCanvas) {
+            Object.entries(this.sandboxListeners).forEach(([type, listener]) => {
+                this.sandboxCanvas.removeEventListener(type, listener);
+            });
+            this.sandboxCanvas.remove();
+            this.sandboxCanvas = null;
+            this.sandboxListeners = null;
+        }
+        
         // Cleanup all visualizers - DNA pattern
         this.visualizers.forEach(visualizer => {
             visualizer.cleanup();
@@ -15,6 +15,12 @@ export class ReactivityManager {
         this.clickEnabled = true;
         this.scrollEnabled = true;
         
+        // Audio beats fire the current click mode (off by default - opt in from the UI)
+        this.beatEnabled = false;
+        
+        // Subscribers to clicks, taps and beats ('click' events - see on())
+        this.listeners = new Map();
+        
         // Current active system (receives parameter updates)
         this.activeSystem = null;
         this.activeSystemName = 'faceted';
@@ -123,6 +129,9 @@ export class ReactivityManager {
         document.addEventListener('touchmove', (e) => this.handleGlobalTouchMove(e));
         document.addEventListener('touchend', (e) => this.handleGlobalTouchEnd(e));
         document.addEventListener('wheel', (e) => this.handleGlobalWheel(e), {passive: false});
+        
+        // Beats from the shared audio analysis (see src/audio/AudioAnalyzer.js)
+        window.addEventListener('vib34d:beat', (e) => this.handleBeat(e.detail));
     }
     
     /**
@@ -149,6 +158,7 @@ export class ReactivityManager {
         
         const coords = this.getEventCoords(e);
         if (!coords) return;
+        this.emit('click', { x: coords.x, y: coords.y, intensity: 1.0, source: 'click' });
         
         // Route to current click mode (check if modes are initialized)
         const mode = this.clickModes && this.clickModes[this.currentClickMode];
@@ -157,6 +167,24 @@ export class ReactivityManager {
         }
     }
     
+    /**
+     * Audio beat handler - triggers the current click mode as if the canvas was clicked.
+     * Downbeats hit the centre, the other beats circle around it.
+     */
+    handleBeat(beat) {
+        if (!this.enabled || !this.beatEnabled || !beat) return;
+        
+        const angle = (beat.index % 4) * Math.PI / 2;
+        const radius = beat.downbeat ? 0 : 0.25;
+        const x = 0.5 + Math.cos(angle) * radius;
+        const y = 0.5 + Math.sin(angle) * radius;
+        this.emit('click', { x, y, intensity: beat.downbeat ? 1.0 : 0.6, source: 'beat' });
+        
+        const mode = this.clickModes && this.clickModes[this.currentClickMode];
+        if (!mode || !mode.handleClick) return;
+        mode.handleClick(x, y, this.updateParameter.bind(this));
+    }
+    
     /**
      * Global wheel handler  
      */
@@ -222,6 +250,7 @@ export class ReactivityManager {
             const rect = e.target.getBoundingClientRect();
             const x = (touch.clientX - rect.left) / rect.width;
             const y = (touch.clientY - rect.top) / rect.height;
+            this.emit('click', { x, y, intensity: 1.0, source: 'touch' });
             
             const mode = this.clickModes && this.clickModes[this.currentClickMode];
             if (mode && mode.handleClick) {
@@ -230,15 +259,58 @@ export class ReactivityManager {
         }
     }
     
+    /**
+     * Listen to reactivity events - 'click' fires for canvas clicks, taps and (with beat
+     * reactivity on) audio beats with { x, y (0-1 across the canvas), intensity, source }.
+     * Returns an unsubscribe function.
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+    
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ Reactivity ${event} listener failed:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Current audio bands { bass, mid, high, energy } (0-1) - all zero while audio is off
+     */
+    getAudioBands() {
+        const audio = window.audioEnabled && window.audioReactive;
+        return {
+            bass: audio ? audio.bass || 0 : 0,
+            mid: audio ? audio.mid || 0 : 0,
+            high: audio ? audio.high || 0 : 0,
+            energy: audio ? audio.energy || 0 : 0
+        };
+    }
+    
     /**
      * Update parameter on active system (conflict resolution: active system wins)
      */
     updateParameter(param, value) {
         // Active system takes control - simple conflict resolution
-        if (window.updateParameter) {
-            window.updateParameter(param, value);
+        // (a composite scene can take the primary system out of reactivity)
+        const scene = window.sceneManager;
+        if (window.updateParameter && (!scene || scene.isPrimaryReactive())) {
+            window.updateParameter(param, value, 'reactivity');
         }
         
+        // Reactive scene systems follow the same gestures
+        if (scene) {
+            scene.routeReactivity(param, value);
+        }
+
         console.log(`⚡ ${this.activeSystemName} reactivity: ${param} = ${value}`);
     }
     
@@ -260,6 +332,11 @@ export class ReactivityManager {
         console.log(`⚡ Scroll reactivity: ${enabled ? 'ON' : 'OFF'}`);
     }
     
+    toggleBeat(enabled) {
+        this.beatEnabled = enabled;
+        console.log(`⚡ Beat reactivity: ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
     /**
      * Mode selection methods for UI
      */
@@ -85,7 +85,7 @@ export class UnifiedSaveManager {
         } else {
             // Even if we got some parameters, ensure we have all the core ones
             const manualParams = this.captureManualParameters();
-            const coreParams = ['geometry', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation'];
+            const coreParams = ['geometry', 'rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'projection', 'projectionDistance', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation'];
             
             let missingCount = 0;
             coreParams.forEach(param => {
@@ -117,6 +117,44 @@ export class UnifiedSaveManager {
             }
         };
         
+        // Keyframe choreography travels with the variation when one is authored
+        const timeline = this.captureTimeline();
+        if (timeline) {
+            state.timeline = timeline;
+        }
+        
+        // Modulation routing is part of the variation as well
+        const modulation = this.captureModulation();
+        if (modulation) {
+            state.modulation = modulation;
+            // Store the unmodulated values - the routes modulate them again on load
+            Object.assign(state.parameters, window.modulationMatrix.getBaseValues());
+        }
+        
+        // The post-processing chain applies on top of any system
+        const postProcessing = this.capturePostProcessing();
+        if (postProcessing) {
+            state.postProcessing = postProcessing;
+        }
+        
+        // Per-layer blend modes, opacity, offsets and overrides
+        const compositor = this.captureCompositor();
+        if (compositor) {
+            state.compositor = compositor;
+        }
+        
+        // Other systems rendering next to this one make the entry a composite scene
+        const scene = this.captureScene();
+        if (scene) {
+            state.scene = scene;
+        }
+        
+        // A running polychora physics world is saved whole, so the scene plays on from the same state
+        const physics = currentSys === 'polychora' ? this.capturePhysics() : null;
+        if (physics) {
+            state.physics = physics;
+        }
+        
         console.log('🔵 Final captured state:', state);
         console.log(`🔍 Final parameter count: ${Object.keys(state.parameters).length} parameters`);
         return state;
@@ -244,6 +282,7 @@ export class UnifiedSaveManager {
             // Enhanced slider parameter capture with validation
             const sliderIds = [
                 'rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ',
+                'projection', 'projectionDistance',
                 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation',
                 'dimension'
             ];
@@ -269,9 +308,14 @@ export class UnifiedSaveManager {
             const defaults = {
                 geometry: 0,
                 geometryType: 0,
+                rot4dXY: 0,
+                rot4dXZ: 0,
+                rot4dYZ: 0,
                 rot4dXW: 0,
                 rot4dYW: 0,
                 rot4dZW: 0,
+                projection: 0,
+                projectionDistance: 2.5,
                 gridDensity: 20,
                 morphFactor: 1,
                 chaos: 0.2,
@@ -301,9 +345,14 @@ export class UnifiedSaveManager {
             Object.assign(params, {
                 geometry: 0,
                 geometryType: 0,
+                rot4dXY: 0,
+                rot4dXZ: 0,
+                rot4dYZ: 0,
                 rot4dXW: 0,
                 rot4dYW: 0,
                 rot4dZW: 0,
+                projection: 0,
+                projectionDistance: 2.5,
                 gridDensity: 20,
                 morphFactor: 1,
                 chaos: 0.2,
@@ -320,10 +369,191 @@ export class UnifiedSaveManager {
         return params;
     }
     
+    /**
+     * Capture the parameter timeline (null when no keyframes exist)
+     */
+    captureTimeline() {
+        const timeline = window.parameterTimeline;
+        if (timeline?.hasKeyframes && timeline.hasKeyframes()) {
+            return timeline.serialize();
+        }
+        return null;
+    }
+    
+    /**
+     * Restore a saved parameter timeline into the shared timeline instance
+     */
+    restoreTimeline(timelineData) {
+        if (!timelineData || !window.parameterTimeline) {
+            return false;
+        }
+        
+        const loaded = window.parameterTimeline.load(timelineData);
+        if (loaded) {
+            console.log('🎞️ Restored saved timeline');
+        }
+        return loaded;
+    }
+    
+    /**
+     * Capture modulation routes (null when nothing is routed)
+     */
+    captureModulation() {
+        const matrix = window.modulationMatrix;
+        if (matrix?.hasRoutes && matrix.hasRoutes()) {
+            return matrix.serialize();
+        }
+        return null;
+    }
+    
+    /**
+     * Restore saved modulation routes - a variation without routes clears the current ones
+     */
+    restoreModulation(modulationData) {
+        const matrix = window.modulationMatrix;
+        if (!matrix) {
+            return false;
+        }
+        
+        if (!modulationData) {
+            matrix.clearRoutes();
+            return true;
+        }
+        
+        const loaded = matrix.load(modulationData);
+        if (loaded) {
+            console.log('🎛️ Restored saved modulation routes');
+        }
+        return loaded;
+    }
+    
+    /**
+     * Capture the post-processing chain (null when every effect is off)
+     */
+    capturePostProcessing() {
+        return window.postProcessor?.serialize() || null;
+    }
+    
+    /**
+     * Restore the saved effect chain - a variation without one turns all effects off
+     */
+    restorePostProcessing(postProcessingData) {
+        if (!window.postProcessor) {
+            return false;
+        }
+        
+        const loaded = window.postProcessor.load(postProcessingData);
+        if (loaded && postProcessingData) {
+            console.log('✨ Restored saved post-processing chain');
+        }
+        return loaded;
+    }
+    
+    /**
+     * Capture the layer compositor settings (null when every layer is at the defaults)
+     */
+    captureCompositor() {
+        return window.layerCompositor?.serialize() || null;
+    }
+    
+    /**
+     * Restore saved layer settings - a variation without them stacks the layers plainly
+     */
+    restoreCompositor(compositorData) {
+        if (!window.layerCompositor) {
+            return false;
+        }
+        
+        const loaded = window.layerCompositor.load(compositorData);
+        if (loaded && compositorData) {
+            console.log('🎚️ Restored saved layer compositing');
+        }
+        if (window.syncLayerControls) {
+            window.syncLayerControls();
+        }
+        return loaded;
+    }
+    
+    /**
+     * Capture the composite scene (null when only the primary system is showing)
+     */
+    captureScene() {
+        return window.sceneManager?.serialize() || null;
+    }
+    
+    /**
+     * Rebuild a saved scene around the restored system - a variation without one clears the scene
+     */
+    async restoreScene(sceneData) {
+        if (!window.sceneManager) {
+            return false;
+        }
+        
+        const loaded = await window.sceneManager.load(sceneData);
+        if (loaded && sceneData) {
+            console.log(`🎬 Restored composite scene with ${sceneData.layers?.length || 0} extra systems`);
+        }
+        if (window.syncSceneControls) {
+            window.syncSceneControls();
+        }
+        return loaded;
+    }
+    
+    /**
+     * Capture the polychora physics world (null while physics is off)
+     */
+    capturePhysics() {
+        return window.polychoraSystem?.getPhysicsState?.() || null;
+    }
+    
+    /**
+     * Restore a saved physics world - a variation without one turns physics off
+     */
+    restorePhysics(physicsData) {
+        if (!window.polychoraSystem?.loadPhysicsState) {
+            return false;
+        }
+        
+        const loaded = window.polychoraSystem.loadPhysicsState(physicsData);
+        if (loaded && physicsData) {
+            console.log(`🔮 Restored physics world with ${physicsData.bodies?.length || 0} bodies`);
+        }
+        return loaded;
+    }
+    
+    /**
+     * Restore what a variation saves alongside its parameters - every load path calls this
+     * once the parameters are applied
+     * @param {Object} saved - Variation or gallery handoff ({ timeline, ... })
+     */
+    restoreSavedState(systemName, saved = {}) {
+        // Keyframe choreography saved with the variation
+        if (saved.timeline) {
+            this.restoreTimeline(saved.timeline);
+        }
+        
+        // Modulation routing - after the base parameters are in place
+        this.restoreModulation(saved.modulation);
+        
+        // Post-processing chain and per-layer compositing
+        this.restorePostProcessing(saved.postProcessing);
+        this.restoreCompositor(saved.compositor);
+        
+        // Rebuild the composite scene around the system
+        this.restoreScene(saved.scene).catch(error => {
+            console.error('❌ Failed to restore composite scene:', error);
+        });
+        
+        // Physics scenes continue from the saved world
+        if (systemName === 'polychora') {
+            this.restorePhysics(saved.physics);
+        }
+    }
+    
     /**
      * ENHANCED: Initialize system with proper parameter injection
      */
-    initializeSystemWithParameters(systemName, parameters) {
+    initializeSystemWithParameters(systemName, parameters, timeline = null, modulation = null, postProcessing = null, compositor = null, scene = null, physics = null) {
         console.log(`🔵 Initializing ${systemName} system with parameters:`, parameters);
         
         try {
@@ -377,6 +607,9 @@ export class UnifiedSaveManager {
                 }
             }, 250);
             
+            // 6. Restore everything saved alongside the parameters once they are applied
+            setTimeout(() => this.restoreSavedState(systemName, { timeline, modulation, postProcessing, compositor, scene, physics }), 300);
+            
             return true;
             
         } catch (error) {
@@ -479,6 +712,25 @@ export class UnifiedSaveManager {
             parameters: this.normalizeParameters(variation.parameters)
         };
         
+        if (variation.timeline) {
+            variationInCollection.timeline = variation.timeline;
+        }
+        if (variation.modulation) {
+            variationInCollection.modulation = variation.modulation;
+        }
+        if (variation.postProcessing) {
+            variationInCollection.postProcessing = variation.postProcessing;
+        }
+        if (variation.compositor) {
+            variationInCollection.compositor = variation.compositor;
+        }
+        if (variation.scene) {
+            variationInCollection.scene = variation.scene;
+        }
+        if (variation.physics) {
+            variationInCollection.physics = variation.physics;
+        }
+        
         todaysCollection.variations.push(variationInCollection);
         todaysCollection.totalVariations = todaysCollection.variations.length;
         todaysCollection.updated = new Date().toISOString();
@@ -557,14 +809,35 @@ export class UnifiedSaveManager {
         }
         
         // Add variation to collection
-        collection.variations.push({
+        const variationInCollection = {
             id: collection.variations.length,
             name: variation.name,
             isCustom: true,
             globalId: variation.id,
             system: variation.system,
             parameters: this.normalizeParameters(variation.parameters)
-        });
+        };
+        
+        if (variation.timeline) {
+            variationInCollection.timeline = variation.timeline;
+        }
+        if (variation.modulation) {
+            variationInCollection.modulation = variation.modulation;
+        }
+        if (variation.postProcessing) {
+            variationInCollection.postProcessing = variation.postProcessing;
+        }
+        if (variation.compositor) {
+            variationInCollection.compositor = variation.compositor;
+        }
+        if (variation.scene) {
+            variationInCollection.scene = variation.scene;
+        }
+        if (variation.physics) {
+            variationInCollection.physics = variation.physics;
+        }
+        
+        collection.variations.push(variationInCollection);
         
         collection.totalVariations = collection.variations.length;
         collection.updated = new Date().toISOString();
@@ -667,7 +940,13 @@ export class UnifiedSaveManager {
                 isCustom: true,
                 globalId: v.id || this.generateUniqueId(),
                 system: v.system,
-                parameters: this.normalizeParameters(v.parameters || {})
+                parameters: this.normalizeParameters(v.parameters || {}),
+                ...(v.timeline ? { timeline: v.timeline } : {}),
+                ...(v.modulation ? { modulation: v.modulation } : {}),
+                ...(v.postProcessing ? { postProcessing: v.postProcessing } : {}),
+                ...(v.compositor ? { compositor: v.compositor } : {}),
+                ...(v.scene ? { scene: v.scene } : {}),
+                ...(v.physics ? { physics: v.physics } : {})
             }))
         };
     }
@@ -2,6 +2,9 @@
  * Base class for all VIB34D trading card generators
  * Provides shared utilities while allowing system-specific implementations
  */
+
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+
 export class CardGeneratorBase {
     constructor(systemName) {
         this.systemName = systemName;
@@ -272,8 +275,7 @@ export class CardGeneratorBase {
     
     getGeometryName(parameters) {
         // Default implementation - systems can override
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
         const geomIndex = parameters.geometry || parameters.geometryType || 0;
-        return geometryNames[geomIndex] || 'GEOMETRY';
+        return GeometryRegistry.get(geomIndex)?.name || 'GEOMETRY';
     }
 }
\ No newline at end of file
@@ -3,6 +3,12 @@
  * Handles all export and import functionality for configurations and media
  */
 
+import { OfflineFrameRenderer } from './OfflineFrameRenderer.js';
+import { downloadRenderResult } from './FrameEncoders.js';
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { VariationSchema } from '../variations/VariationSchema.js';
+import { UnifiedSaveManager } from '../core/UnifiedSaveManager.js';
+
 export class ExportManager {
     constructor(engine) {
         this.engine = engine;
@@ -36,20 +42,25 @@ export class ExportManager {
      * Export current configuration as JSON
      */
     exportJSON() {
-        const config = {
-            version: "2.0",
-            type: "vib34d-integrated-config",
-            name: `${this.engine.variationManager.getVariationName(this.engine.currentVariation)} - ${new Date().toLocaleDateString()}`,
-            variation: this.engine.currentVariation,
-            parameters: this.engine.parameterManager.getAllParameters(),
-            timestamp: Date.now(),
+        const name = `${this.engine.variationManager.getVariationName(this.engine.currentVariation)} - ${new Date().toLocaleDateString()}`;
+        const config = VariationSchema.createDocument({
+            name,
+            variations: [{
+                id: this.engine.currentVariation,
+                name,
+                system: 'faceted',
+                parameters: {
+                    ...this.engine.parameterManager.getAllParameters(),
+                    variation: this.engine.currentVariation
+                }
+            }],
             metadata: {
                 engine: "VIB34D Integrated",
                 features: ["5-layer holographic", "100 variations", "4D mathematics", "agent-ready"],
                 author: "Paul Phillips (domusgpt)",
                 email: "phillips.paul.email@gmail.com"
             }
-        };
+        });
         
         const json = JSON.stringify(config, null, 2);
         this.downloadFile(json, 'vib34d-config.json', 'application/json');
@@ -439,6 +450,33 @@ window.addEventListener('load', () => {
         }
     }
     
+    /**
+     * Export a deterministic frame sequence (PNG frames or WebM) rendered offline
+     * Options are passed to OfflineFrameRenderer (fps, width, height, duration, encoder, timeline)
+     */
+    async exportVideo(options = {}) {
+        const encoder = options.encoder || 'webm';
+        
+        try {
+            const offline = new OfflineFrameRenderer(this.engine, {
+                timeline: window.parameterTimeline?.hasKeyframes() ? window.parameterTimeline : null,
+                ...options,
+                encoder
+            });
+            
+            this.engine.statusManager.info(`Rendering ${offline.frameCount} frames...`);
+            const result = await offline.render();
+            
+            downloadRenderResult(result, `vib34d-variation-${this.engine.currentVariation + 1}`);
+            
+            this.engine.statusManager.success(`Video export complete (${offline.frameCount} frames)`);
+            return result;
+        } catch (error) {
+            this.engine.statusManager.error('Video export failed: ' + error.message);
+            return null;
+        }
+    }
+    
     /**
      * Trigger JSON import file dialog
      */
@@ -462,16 +500,19 @@ window.addEventListener('load', () => {
         
         try {
             const text = await file.text();
-            const config = JSON.parse(text);
+            const config = this.validateConfiguration(JSON.parse(text), file.name);
+            const [variation] = config.variations;
             
-            if (this.validateConfiguration(config)) {
-                this.loadConfiguration(config);
-                this.engine.statusManager.success(`Configuration imported: ${config.name || 'Unnamed'}`);
+            if (variation) {
+                this.loadConfiguration(variation);
+                const extra = config.variations.length > 1 ? ` (first of ${config.variations.length} variations)` : '';
+                this.engine.statusManager.success(`Configuration imported: ${variation.name || config.name}${extra}`);
             } else {
-                this.engine.statusManager.error('Invalid configuration file');
+                this.engine.statusManager.error(`${file.name} contains no variations`);
             }
         } catch (error) {
-            this.engine.statusManager.error('Failed to import configuration: ' + error.message);
+            console.error('Failed to import configuration:', error.report || error);
+            this.engine.statusManager.error('Failed to import configuration: ' + this.formatImportError(error));
         }
         
         // Reset input
@@ -494,27 +535,30 @@ window.addEventListener('load', () => {
         }
         
         let loadedCount = 0;
+        const failures = [];
         
         for (const file of jsonFiles) {
             try {
                 const text = await file.text();
-                const config = JSON.parse(text);
+                const config = this.validateConfiguration(JSON.parse(text), file.name);
                 
-                if (this.validateConfiguration(config)) {
-                    // For folder import, save as custom variation
-                    this.saveAsCustomVariation(config);
-                    loadedCount++;
-                }
+                // For folder import, save as custom variation
+                this.saveAsCustomVariation(config);
+                loadedCount++;
             } catch (error) {
-                console.warn(`Failed to load ${file.name}:`, error);
+                console.warn(`Failed to load ${file.name}:`, error.report || error);
+                failures.push(`${file.name}: ${error.message}`);
             }
         }
         
         if (loadedCount > 0) {
             this.engine.statusManager.success(`Imported ${loadedCount} configurations from folder`);
             this.engine.variationManager.populateGrid();
+            if (failures.length > 0) {
+                this.engine.statusManager.warning(`Skipped ${failures.length} file(s):<br>${failures.join('<br>')}`, 8000);
+            }
         } else {
-            this.engine.statusManager.error('No valid configurations found in folder');
+            this.engine.statusManager.error(`No valid configurations found in folder<br>${failures.join('<br>')}`);
         }
         
         // Reset input
@@ -522,29 +566,44 @@ window.addEventListener('load', () => {
     }
     
     /**
-     * Validate configuration file
+     * Validate a configuration file, upgrading older formats to the current variation schema
+     * @returns {Object} Current-schema document
+     * @throws {VariationSchemaError} When the file can't be migrated
      */
-    validateConfiguration(config) {
-        return config && 
-               config.type === 'vib34d-integrated-config' && 
-               config.parameters && 
-               typeof config.parameters === 'object';
+    validateConfiguration(config, source = null) {
+        const { document, fromVersion, applied } = VariationSchema.migrate(config, { source });
+        if (applied.length > 0) {
+            console.log(`🔄 Migrated ${source || 'configuration'} from schema v${fromVersion}:`, applied);
+        }
+        return document;
     }
     
     /**
-     * Load configuration into engine
+     * Status message for a failed import (schema errors list every problem found)
      */
-    loadConfiguration(config) {
-        if (config.parameters) {
-            this.engine.parameterManager.setParameters(config.parameters);
-            
-            if (typeof config.variation === 'number') {
-                this.engine.setVariation(config.variation);
-            }
-            
-            this.engine.updateDisplayValues();
-            this.engine.updateVisualizers();
+    formatImportError(error) {
+        const details = (error.errors || []).filter(detail => detail !== error.message);
+        return [error.message, ...details].join('<br>');
+    }
+    
+    /**
+     * Load a variation (current schema) into the engine
+     */
+    loadConfiguration(variation) {
+        const { parameters } = variation;
+        
+        // Restore the variation index without re-applying its preset over the imported parameters
+        if (typeof parameters.variation === 'number') {
+            this.engine.currentVariation = parameters.variation;
         }
+        
+        this.engine.parameterManager.setParameters(parameters);
+        this.engine.updateDisplayValues();
+        this.engine.updateVisualizers();
+        
+        // Timeline and the rest of the state saved alongside the parameters
+        this.saveManager = this.saveManager || new UnifiedSaveManager(this.engine);
+        this.saveManager.restoreSavedState(variation.system || 'faceted', variation);
     }
     
     /**
@@ -574,7 +633,6 @@ window.addEventListener('load', () => {
      * Get geometry name helper
      */
     getGeometryName(index) {
-        const names = ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'];
-        return names[index] || 'Unknown';
+        return GeometryRegistry.getDisplayName(index);
     }
-}
\ No newline at end of file
+}
@@ -3,14 +3,12 @@
  * Uses the exact same shader code from src/core/Visualizer.js lines 64-222
  */
 
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_GLSL, getProjectionDistance, getProjectionWeights } from '../geometry/Projections.js';
+
 export class FacetedCardGeneratorExact {
     static generateCard(params, canvasId = 'trading-card-canvas') {
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = GeometryRegistry.get(params.geometry)?.id || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         // Use EXACT shader from IntegratedHolographicVisualizer (lines 64-222)
@@ -28,6 +26,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -36,6 +37,24 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
+mat4 rotateXY(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateYZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
 mat4 rotateXW(float theta) {
     float c = cos(theta);
     float s = sin(theta);
@@ -54,82 +73,10 @@ mat4 rotateZW(float theta) {
     return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
 }
 
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
+${PROJECTION_GLSL}
 
-// Simplified geometry functions for WebGL 1.0 compatibility (ORIGINAL FACETED)
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
-    if (geomType == 0) {
-        // Tetrahedron lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        // Hypercube lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
-        return minDist * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        // Sphere lattice - UNIFORM GRID DENSITY
-        float r = length(p);
-        float density = u_gridDensity * 0.08;
-        float spheres = abs(fract(r * density) - 0.5) * 2.0;
-        float theta = atan(p.y, p.x);
-        float harmonics = sin(theta * 3.0) * 0.2;
-        return (spheres + harmonics) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        // Torus lattice - UNIFORM GRID DENSITY
-        float r1 = length(p.xy) - 2.0;
-        float torus = length(vec2(r1, p.z)) - 0.8;
-        float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
-        return (torus + lattice * 0.3) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        // Klein bottle lattice - UNIFORM GRID DENSITY
-        float u = atan(p.y, p.x);
-        float v = atan(p.w, p.z);
-        float dist = length(p) - 2.0;
-        float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
-        return (dist + lattice * 0.4) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        // Fractal lattice - NOW WITH UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        pos = abs(pos * 2.0 - 1.0);
-        float dist = length(max(abs(pos) - 1.0, 0.0));
-        return dist * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        // Wave lattice - UNIFORM GRID DENSITY
-        float freq = u_gridDensity * 0.08;
-        float time = u_time * 0.001 * u_speed;
-        float wave1 = sin(p.x * freq + time);
-        float wave2 = sin(p.y * freq + time * 1.3);
-        float wave3 = sin(p.z * freq * 0.8 + time * 0.7); // Add Z-dimension waves
-        float interference = wave1 * wave2 * wave3;
-        return interference * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        // Crystal lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
-        float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
-        return cube * u_morphFactor;
-    }
-    else {
-        // Default hypercube - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-}
+// Geometry functions assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('faceted')}
 
 void main() {
     vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
@@ -140,6 +87,9 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
@@ -292,9 +242,14 @@ void main() {
             intensity: gl.getUniformLocation(program, 'u_intensity'),
             saturation: gl.getUniformLocation(program, 'u_saturation'),
             dimension: gl.getUniformLocation(program, 'u_dimension'),
+            rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+            rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+            rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
             rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
             rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
             rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+            projectionWeights: gl.getUniformLocation(program, 'u_projectionWeights'),
+            projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance'),
             mouseIntensity: gl.getUniformLocation(program, 'u_mouseIntensity'),
             clickIntensity: gl.getUniformLocation(program, 'u_clickIntensity'),
             roleIntensity: gl.getUniformLocation(program, 'u_roleIntensity')
@@ -311,9 +266,14 @@ void main() {
             intensity: ${params.intensity || 0.5},
             saturation: ${params.saturation || 0.8},
             dimension: ${params.dimension || 3.5},
+            rot4dXY: ${params.rot4dXY || 0.0},
+            rot4dXZ: ${params.rot4dXZ || 0.0},
+            rot4dYZ: ${params.rot4dYZ || 0.0},
             rot4dXW: ${params.rot4dXW || 0.0},
             rot4dYW: ${params.rot4dYW || 0.0},
-            rot4dZW: ${params.rot4dZW || 0.0}
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projectionWeights: [${getProjectionWeights(params.projection).join(', ')}],
+            projectionDistance: ${getProjectionDistance(params.projectionDistance)}
         };
         
         const startTime = Date.now();
@@ -337,9 +297,14 @@ void main() {
             gl.uniform1f(uniforms.intensity, parameters.intensity);
             gl.uniform1f(uniforms.saturation, parameters.saturation);
             gl.uniform1f(uniforms.dimension, parameters.dimension);
+            gl.uniform1f(uniforms.rot4dXY, parameters.rot4dXY);
+            gl.uniform1f(uniforms.rot4dXZ, parameters.rot4dXZ);
+            gl.uniform1f(uniforms.rot4dYZ, parameters.rot4dYZ);
             gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
             gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
             gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+            gl.uniform4fv(uniforms.projectionWeights, parameters.projectionWeights);
+            gl.uniform1f(uniforms.projectionDistance, parameters.projectionDistance);
             gl.uniform1f(uniforms.mouseIntensity, 0.0);
             gl.uniform1f(uniforms.clickIntensity, 0.0);
             gl.uniform1f(uniforms.roleIntensity, 0.8); // Content layer intensity
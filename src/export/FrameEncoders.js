@@ -0,0 +1,170 @@
+/**
+ * VIB34D Frame Encoders
+ * Pluggable encoders for the offline frame renderer
+ *
+ * Encoder interface:
+ *   begin({ width, height, fps, frameCount, canvas }) - called once before the first frame
+ *   addFrame(canvas, index, timeMs)                   - called once per rendered frame (may be async)
+ *   finish()                                          - returns the encoded result
+ */
+
+/**
+ * Numbered PNG sequence (frame_00001.png, frame_00002.png, ...)
+ */
+export class PNGSequenceEncoder {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'frame_';
+        this.padding = options.padding || 5;
+        this.frames = [];
+    }
+
+    begin() {
+        this.frames = [];
+    }
+
+    getFrameName(index) {
+        return `${this.prefix}${String(index + 1).padStart(this.padding, '0')}.png`;
+    }
+
+    addFrame(canvas, index) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error(`Failed to encode frame ${index + 1}`));
+                    return;
+                }
+                this.frames.push({ name: this.getFrameName(index), blob });
+                resolve();
+            }, 'image/png');
+        });
+    }
+
+    finish() {
+        return { type: 'png-sequence', frames: this.frames };
+    }
+
+    /**
+     * Trigger a download for every frame (browsers may ask to allow multiple downloads)
+     */
+    static download(result) {
+        result.frames.forEach(({ name, blob }) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        });
+    }
+}
+
+/**
+ * WebM via MediaRecorder on a manually-clocked canvas stream
+ * Frames are pushed explicitly with requestFrame(), and each frame is held for exactly 1/fps
+ * so the video timing matches the render clock even though encoding happens in real time.
+ */
+export class WebMEncoder {
+    constructor(options = {}) {
+        this.mimeType = options.mimeType || WebMEncoder.getSupportedMimeType();
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.chunks = [];
+        this.recorder = null;
+        this.track = null;
+        this.frameDuration = 1000 / 30;
+    }
+
+    static getSupportedMimeType() {
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        if (typeof MediaRecorder === 'undefined') return null;
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    begin({ canvas, fps }) {
+        if (!this.mimeType || !canvas.captureStream) {
+            throw new Error('WebM encoding is not supported in this browser');
+        }
+
+        this.frameDuration = 1000 / fps;
+        this.chunks = [];
+
+        // Frame rate 0 = frames are only captured when requestFrame() is called
+        const stream = canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+
+        this.recorder = new MediaRecorder(stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+        this.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.start();
+    }
+
+    async addFrame() {
+        if (this.track.requestFrame) {
+            this.track.requestFrame();
+        }
+        await new Promise(resolve => setTimeout(resolve, this.frameDuration));
+    }
+
+    finish() {
+        return new Promise(resolve => {
+            this.recorder.onstop = () => {
+                this.track.stop();
+                resolve({ type: 'webm', blob: new Blob(this.chunks, { type: 'video/webm' }) });
+            };
+            this.recorder.stop();
+        });
+    }
+
+    static download(result, filename = 'vib34d-render.webm') {
+        const url = URL.createObjectURL(result.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Encoder registry - add custom encoders (e.g. a WebCodecs/MP4 muxer) without touching the renderer
+ */
+const encoderFactories = {
+    png: (options) => new PNGSequenceEncoder(options),
+    webm: (options) => new WebMEncoder(options)
+};
+
+export function registerEncoder(name, factory) {
+    encoderFactories[name] = factory;
+}
+
+export function createEncoder(name, options = {}) {
+    const factory = encoderFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown frame encoder: ${name}`);
+    }
+    return factory(options);
+}
+
+export function getEncoderNames() {
+    return Object.keys(encoderFactories);
+}
+
+/**
+ * Save a finished render - PNG frames one file each, WebM as `${basename}.webm`
+ */
+export function downloadRenderResult(result, basename = 'vib34d-render') {
+    if (result.type === 'png-sequence') {
+        PNGSequenceEncoder.download(result);
+    } else if (result.type === 'webm') {
+        WebMEncoder.download(result, `${basename}.webm`);
+    }
+}
@@ -3,16 +3,14 @@
  * Creates 5 separate canvas layers and composites them like the real engine
  */
 
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_GLSL, getProjectionDistance, getProjectionWeights } from '../geometry/Projections.js';
+
 export class HolographicCardGeneratorMultiLayer {
     static generateCard(params, canvasId = 'trading-card-canvas') {
         console.log('🌌 HolographicCardGeneratorMultiLayer received parameters:', params);
         
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = GeometryRegistry.get(params.geometry)?.id || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         console.log('🌌 Using geometry:', params.geometry, '→', geometryName);
@@ -25,6 +23,9 @@ export class HolographicCardGeneratorMultiLayer {
         console.log('   saturation:', params.saturation || 0.8);
         console.log('   morphFactor:', params.morphFactor || 1.0);
         console.log('   chaos:', params.chaos || 0.2);
+        console.log('   rot4dXY:', params.rot4dXY || 0.0);
+        console.log('   rot4dXZ:', params.rot4dXZ || 0.0);
+        console.log('   rot4dYZ:', params.rot4dYZ || 0.0);
         console.log('   rot4dXW:', params.rot4dXW || 0.0);
         console.log('   rot4dYW:', params.rot4dYW || 0.0);
         console.log('   rot4dZW:', params.rot4dZW || 0.0);
@@ -60,160 +61,55 @@ export class HolographicCardGeneratorMultiLayer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
+            mat4 rotateXY(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
+                return mat4(c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
             }
             
-            mat4 rotateYW(float theta) {
+            mat4 rotateXZ(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
+                return mat4(c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1);
             }
             
-            mat4 rotateZW(float theta) {
+            mat4 rotateYZ(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
+                return mat4(1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1);
             }
             
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
-            
-            // Enhanced VIB3 Geometry Library - Higher Fidelity
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                
-                // Enhanced tetrahedron vertices with holographic shimmer
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.35, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.35, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.35));
-                float d5 = length(q - vec3(0.2, 0.2, 0.0));
-                float d6 = length(q - vec3(0.2, 0.0, 0.2));
-                float d7 = length(q - vec3(0.0, 0.2, 0.2));
-                
-                float vertices = 1.0 - smoothstep(0.0, 0.03, min(min(min(d1, d2), min(d3, d4)), min(min(d5, d6), d7)));
-                
-                // Enhanced edge network with interference patterns
-                float edges = 0.0;
-                float shimmer = sin(u_time * 0.002) * 0.02;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xy) - (0.18 + shimmer))));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.yz) - (0.18 + shimmer * 0.8))));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xz) - (0.18 + shimmer * 1.2))));
-                
-                // Add interference patterns between vertices
-                float interference = sin(d1 * 25.0 + u_time * 0.003) * sin(d2 * 22.0 + u_time * 0.0025) * 0.1;
-                
-                // Volumetric density based on distance field
-                float volume = exp(-length(q) * 3.0) * 0.15;
-                
-                return max(vertices, edges * 0.7) + interference + volume;
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 q = grid - 0.5;
-                
-                // Enhanced hypercube with 4D projection effects
-                vec3 edges = 1.0 - smoothstep(0.0, 0.025, abs(q));
-                float wireframe = max(max(edges.x, edges.y), edges.z);
-                
-                // Add 4D hypercube vertices (8 corners + 8 hypervertices)
-                float vertices = 0.0;
-                for(int i = 0; i < 8; i++) {
-                    // WebGL 1.0 compatible modulus replacement
-                    float iFloat = float(i);
-                    vec3 corner = vec3(
-                        floor(iFloat - floor(iFloat / 2.0) * 2.0) - 0.5,
-                        floor((iFloat / 2.0) - floor((iFloat / 2.0) / 2.0) * 2.0) - 0.5,
-                        float(i / 4) - 0.5
-                    );
-                    float dist = length(q - corner * 0.4);
-                    vertices = max(vertices, 1.0 - smoothstep(0.0, 0.04, dist));
-                }
-                
-                // Holographic interference patterns
-                float interference = sin(length(q) * 20.0 + u_time * 0.002) * 0.08;
-                
-                // Cross-dimensional glow
-                float glow = exp(-length(q) * 2.5) * 0.12;
-                
-                return wireframe * 0.8 + vertices + interference + glow;
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
+            mat4 rotateXW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
             }
             
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
+            mat4 rotateYW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
             }
             
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
+            mat4 rotateZW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
             }
             
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
-            }
+            // 4D to 3D projection (perspective, orthographic, stereographic or Schlegel)
+            ${PROJECTION_GLSL}
             
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                // WebGL 1.0 compatible modulus replacement
-                float baseGeomFloat = geometryType - floor(geometryType / 8.0) * 8.0;
-                int baseGeom = int(baseGeomFloat);
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
+            // Enhanced VIB3 geometry library assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('holographic')}
             
             vec3 hsv2rgb(vec3 c) {
                 vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -269,6 +165,9 @@ export class HolographicCardGeneratorMultiLayer {
                 float touchRotation = u_touchMorph * 0.2;
                 
                 // Combine manual rotation with automatic/interactive rotation
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
@@ -545,9 +444,14 @@ export class HolographicCardGeneratorMultiLayer {
                 audioSpeedBoost: gl.getUniformLocation(program, 'u_audioSpeedBoost'),
                 audioChaosBoost: gl.getUniformLocation(program, 'u_audioChaosBoost'),
                 audioColorShift: gl.getUniformLocation(program, 'u_audioColorShift'),
+                rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+                rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+                rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
                 rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
                 rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
-                rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW')
+                rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+                projectionWeights: gl.getUniformLocation(program, 'u_projectionWeights'),
+                projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance')
             };
             
             // Layer-specific color with hue shift
@@ -602,9 +506,14 @@ export class HolographicCardGeneratorMultiLayer {
                 gl.uniform1f(uniforms.audioSpeedBoost, 0.0);
                 gl.uniform1f(uniforms.audioChaosBoost, 0.0);
                 gl.uniform1f(uniforms.audioColorShift, 0.0);
+                gl.uniform1f(uniforms.rot4dXY, ${params.rot4dXY || 0.0});
+                gl.uniform1f(uniforms.rot4dXZ, ${params.rot4dXZ || 0.0});
+                gl.uniform1f(uniforms.rot4dYZ, ${params.rot4dYZ || 0.0});
                 gl.uniform1f(uniforms.rot4dXW, ${params.rot4dXW || 0.0});
                 gl.uniform1f(uniforms.rot4dYW, ${params.rot4dYW || 0.0});
                 gl.uniform1f(uniforms.rot4dZW, ${params.rot4dZW || 0.0});
+                gl.uniform4fv(uniforms.projectionWeights, [${getProjectionWeights(params.projection).join(', ')}]);
+                gl.uniform1f(uniforms.projectionDistance, ${getProjectionDistance(params.projectionDistance)});
                 
                 // Enable blending for layer composition
                 gl.enable(gl.BLEND);
@@ -0,0 +1,432 @@
+/**
+ * VIB34D Mesh Exporter
+ * The current polytope as a printable / importable 3D mesh - OBJ, STL and glTF
+ *
+ * The polytope is rotated with the six rot4d* planes and brought into 3D with the current
+ * projection, exactly like on screen. Edges become capped tubes and vertices spheres, so
+ * every piece is a closed shell that slicers and Blender accept. Edges are sampled in 4D
+ * before projecting, so stereographic edges come out curved.
+ *
+ * Vertex colors follow the current hue; the near side of the w-axis is brighter, like the renderers.
+ */
+
+import { getPolytope, getPolytopeDefinition } from '../geometry/RegularPolychora.js';
+import { getProjectionDistance, getProjectionIndex, getProjectionWeights, projectPoint } from '../geometry/Projections.js';
+import { rotate4D } from '../reference/ShaderMath.js';
+
+export const MESH_FORMATS = ['obj', 'stl', 'gltf'];
+
+export const DEFAULT_MESH_OPTIONS = {
+    scale: 1,            // Multiplies the projected polytope (unit circumradius before projecting)
+    edgeRadius: 0.02,    // Tube radius, in projected units
+    vertexRadius: 0.045, // Sphere radius, in projected units
+    segments: 12,        // Sides of each tube and sphere
+    edgeSamples: null    // Points per edge - null uses 1 segment, or 8 for curving projections
+};
+
+// Polychora engine geometry index → polytope (hypersphere and duocylinder have no mesh)
+export const POLYCHORA_GEOMETRY_POLYTOPES = ['5-cell', 'tesseract', null, null, '16-cell', '24-cell', '600-cell', '120-cell'];
+
+const MIME_TYPES = {
+    obj: 'text/plain',
+    stl: 'model/stl',
+    gltf: 'model/gltf+json'
+};
+
+const CURVED_EDGE_SAMPLES = 8;
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+}
+
+/**
+ * HSV → RGB, hue in degrees, channels 0-1
+ */
+export function hsvToRgb(h, s, v) {
+    const hue = (((h % 360) + 360) % 360) / 60;
+    const c = v * s;
+    const x = c * (1 - Math.abs((hue % 2) - 1));
+    const m = v - c;
+    const [r, g, b] = hue < 1 ? [c, x, 0] : hue < 2 ? [x, c, 0] : hue < 3 ? [0, c, x]
+        : hue < 4 ? [0, x, c] : hue < 5 ? [x, 0, c] : [c, 0, x];
+    return [r + m, g + m, b + m];
+}
+
+/**
+ * Polytope for a parameter state - an explicit polytope (id or PolychoraSystem index) wins,
+ * otherwise the polychora engine's geometry index
+ */
+export function resolvePolytope(state = {}) {
+    if (state.polytope !== undefined && state.polytope !== null) {
+        const polytope = isNaN(Number(state.polytope)) ? state.polytope : Math.round(Number(state.polytope));
+        return getPolytopeDefinition(polytope).id;
+    }
+    const geometry = Math.trunc(Number(state.geometry) || 0);
+    const id = POLYCHORA_GEOMETRY_POLYTOPES[geometry];
+    if (!id) {
+        throw new Error(`Geometry ${geometry} has no polytope mesh - choose the 5-cell, tesseract, 16-cell, 24-cell, 600-cell or 120-cell`);
+    }
+    return id;
+}
+
+/**
+ * Mesh options merged over the defaults, with the radii checked
+ */
+function resolveOptions(options, projection) {
+    const resolved = { ...DEFAULT_MESH_OPTIONS, ...options };
+    ['scale', 'edgeRadius', 'vertexRadius'].forEach(key => {
+        resolved[key] = Number(resolved[key]);
+        if (!(resolved[key] > 0)) {
+            throw new Error(`Mesh ${key} must be a positive number`);
+        }
+    });
+    resolved.segments = Math.max(3, Math.round(Number(resolved.segments) || DEFAULT_MESH_OPTIONS.segments));
+    if (resolved.edgeSamples === null || resolved.edgeSamples === undefined) {
+        // Perspective, orthographic and Schlegel map straight edges to straight lines
+        resolved.edgeSamples = getProjectionIndex(projection) === 2 ? CURVED_EDGE_SAMPLES : 1;
+    }
+    resolved.edgeSamples = Math.max(1, Math.round(Number(resolved.edgeSamples)));
+    return resolved;
+}
+
+/**
+ * Collects vertices and triangles
+ */
+class MeshBuilder {
+    constructor() {
+        this.positions = [];
+        this.normals = [];
+        this.colors = [];
+        this.indices = [];
+    }
+
+    addVertex(position, normal, color) {
+        this.positions.push(position[0], position[1], position[2]);
+        this.normals.push(normal[0], normal[1], normal[2]);
+        this.colors.push(color[0], color[1], color[2]);
+        return this.positions.length / 3 - 1;
+    }
+
+    addTriangle(a, b, c) {
+        this.indices.push(a, b, c);
+    }
+
+    /**
+     * Capped tube along a polyline - rings are carried along the path so they don't twist
+     */
+    addTube(points, colors, radius, segments) {
+        const tangents = points.map((point, i) => normalize(sub(points[Math.min(i + 1, points.length - 1)], points[Math.max(i - 1, 0)])));
+        if (tangents.some(tangent => tangent[0] === 0 && tangent[1] === 0 && tangent[2] === 0)) return;
+
+        const first = tangents[0];
+        let u = normalize(cross(first, Math.abs(first[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+        const rings = points.map((point, i) => {
+            const t = tangents[i];
+            u = normalize(sub(u, t.map(value => value * dot3(u, t))));
+            const v = cross(t, u);
+            const ring = [];
+            for (let s = 0; s < segments; s++) {
+                const angle = (s / segments) * Math.PI * 2;
+                const normal = [0, 1, 2].map(axis => Math.cos(angle) * u[axis] + Math.sin(angle) * v[axis]);
+                ring.push(this.addVertex(point.map((value, axis) => value + normal[axis] * radius), normal, colors[i]));
+            }
+            return ring;
+        });
+
+        for (let i = 0; i < rings.length - 1; i++) {
+            for (let s = 0; s < segments; s++) {
+                const next = (s + 1) % segments;
+                this.addTriangle(rings[i][s], rings[i + 1][next], rings[i + 1][s]);
+                this.addTriangle(rings[i][s], rings[i][next], rings[i + 1][next]);
+            }
+        }
+
+        // End caps, facing out along the tube
+        [[0, -1], [rings.length - 1, 1]].forEach(([i, direction]) => {
+            const normal = tangents[i].map(value => value * direction);
+            const center = this.addVertex(points[i], normal, colors[i]);
+            const ring = rings[i].map(index => this.addVertex(
+                this.positions.slice(index * 3, index * 3 + 3), normal, colors[i]));
+            for (let s = 0; s < segments; s++) {
+                const next = (s + 1) % segments;
+                if (direction > 0) this.addTriangle(center, ring[s], ring[next]);
+                else this.addTriangle(center, ring[next], ring[s]);
+            }
+        });
+    }
+
+    /**
+     * UV sphere with single-vertex poles
+     */
+    addSphere(center, radius, color, segments) {
+        const bands = Math.max(2, Math.round(segments / 2));
+        const top = this.addVertex([center[0], center[1] + radius, center[2]], [0, 1, 0], color);
+        const rings = [];
+        for (let band = 1; band < bands; band++) {
+            const polar = (band / bands) * Math.PI;
+            const ring = [];
+            for (let s = 0; s < segments; s++) {
+                const azimuth = (s / segments) * Math.PI * 2;
+                const normal = [Math.sin(polar) * Math.cos(azimuth), Math.cos(polar), -Math.sin(polar) * Math.sin(azimuth)];
+                ring.push(this.addVertex(center.map((value, axis) => value + normal[axis] * radius), normal, color));
+            }
+            rings.push(ring);
+        }
+        const bottom = this.addVertex([center[0], center[1] - radius, center[2]], [0, -1, 0], color);
+
+        for (let s = 0; s < segments; s++) {
+            const next = (s + 1) % segments;
+            this.addTriangle(top, rings[0][s], rings[0][next]);
+            for (let band = 0; band < rings.length - 1; band++) {
+                this.addTriangle(rings[band][s], rings[band + 1][s], rings[band + 1][next]);
+                this.addTriangle(rings[band][s], rings[band + 1][next], rings[band][next]);
+            }
+            const last = rings[rings.length - 1];
+            this.addTriangle(bottom, last[next], last[s]);
+        }
+    }
+
+    finish(name) {
+        const positions = new Float32Array(this.positions);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], positions[i + axis]);
+                max[axis] = Math.max(max[axis], positions[i + axis]);
+            }
+        }
+        return {
+            name,
+            positions,
+            normals: new Float32Array(this.normals),
+            colors: new Float32Array(this.colors),
+            indices: new Uint32Array(this.indices),
+            vertexCount: positions.length / 3,
+            triangleCount: this.indices.length / 3,
+            bounds: { min, max }
+        };
+    }
+}
+
+/**
+ * Wireframe of a polytope in its current rotation and projection, shaped like a slice for SliceRenderer
+ * @param {Object} state - Parameters: polytope or geometry, rot4dXY…rot4dZW, projection, projectionDistance
+ * @returns {Object} { id, vertices: [x, y, z][], edges, faces } - topology shared with the cached mesh
+ */
+export function projectPolytope(state = {}) {
+    const mesh = getPolytope(resolvePolytope(state));
+    const projection = {
+        weights: getProjectionWeights(state.projection ?? 0),
+        distance: getProjectionDistance(state.projectionDistance)
+    };
+    return {
+        id: mesh.id,
+        vertices: mesh.vertices.map(vertex => projectPoint(rotate4D([...vertex], state), projection)),
+        edges: mesh.edges,
+        faces: mesh.faces
+    };
+}
+
+/**
+ * Tube-and-sphere mesh of a polytope in its current rotation and projection
+ * @param {Object} state - Parameters: polytope or geometry, rot4dXY…rot4dZW, projection, projectionDistance, hue, saturation, intensity
+ * @param {Object} options - DEFAULT_MESH_OPTIONS overrides
+ * @returns {Object} { name, positions, normals, colors, indices, vertexCount, triangleCount, bounds }
+ */
+export function buildPolytopeMesh(state = {}, options = {}) {
+    const mesh = getPolytope(resolvePolytope(state));
+    const settings = resolveOptions(options, state.projection);
+    const projection = {
+        weights: getProjectionWeights(state.projection ?? 0),
+        distance: getProjectionDistance(state.projectionDistance)
+    };
+
+    const hue = Number(state.hue ?? 200);
+    const saturation = Math.min(1, Math.max(0, Number(state.saturation ?? 0.8)));
+    const brightness = 0.6 + 0.4 * Math.min(1, Math.max(0, Number(state.intensity ?? 0.5)));
+
+    // Rotate in 4D, then project - w is kept for the depth shading
+    const place = point => {
+        const rotated = rotate4D([...point], state);
+        const depth = (1 - Math.max(-1, Math.min(1, rotated[3] / mesh.circumradius))) / 2;
+        return {
+            position: projectPoint(rotated, projection).map(value => value * settings.scale),
+            color: hsvToRgb(hue, saturation, brightness * (0.55 + 0.45 * depth))
+        };
+    };
+
+    const builder = new MeshBuilder();
+    const vertices = mesh.vertices.map(place);
+
+    mesh.edges.forEach(([a, b]) => {
+        const samples = [];
+        for (let i = 0; i <= settings.edgeSamples; i++) {
+            const t = i / settings.edgeSamples;
+            samples.push(i === 0 ? vertices[a] : i === settings.edgeSamples ? vertices[b]
+                : place(mesh.vertices[a].map((value, axis) => value + (mesh.vertices[b][axis] - value) * t)));
+        }
+        builder.addTube(samples.map(sample => sample.position), samples.map(sample => sample.color),
+            settings.edgeRadius * settings.scale, settings.segments);
+    });
+
+    vertices.forEach(vertex => {
+        builder.addSphere(vertex.position, settings.vertexRadius * settings.scale, vertex.color, settings.segments);
+    });
+
+    return builder.finish(mesh.name);
+}
+
+/**
+ * Wavefront OBJ with normals and per-vertex colors (v x y z r g b, read by Blender and MeshLab)
+ */
+export function toOBJ(mesh) {
+    const lines = [`# VIB34D ${mesh.name} - ${mesh.vertexCount} vertices, ${mesh.triangleCount} triangles`, `o ${mesh.name.replace(/\s+/g, '_')}`];
+    for (let i = 0; i < mesh.vertexCount; i++) {
+        const p = mesh.positions.subarray(i * 3, i * 3 + 3);
+        const c = mesh.colors.subarray(i * 3, i * 3 + 3);
+        lines.push(`v ${p[0].toFixed(6)} ${p[1].toFixed(6)} ${p[2].toFixed(6)} ${c[0].toFixed(4)} ${c[1].toFixed(4)} ${c[2].toFixed(4)}`);
+    }
+    for (let i = 0; i < mesh.vertexCount; i++) {
+        const n = mesh.normals.subarray(i * 3, i * 3 + 3);
+        lines.push(`vn ${n[0].toFixed(5)} ${n[1].toFixed(5)} ${n[2].toFixed(5)}`);
+    }
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+        const [a, b, c] = [mesh.indices[i] + 1, mesh.indices[i + 1] + 1, mesh.indices[i + 2] + 1];
+        lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function faceNormal(mesh, i) {
+    const vertex = index => Array.from(mesh.positions.subarray(index * 3, index * 3 + 3));
+    const a = vertex(mesh.indices[i]);
+    return normalize(cross(sub(vertex(mesh.indices[i + 1]), a), sub(vertex(mesh.indices[i + 2]), a)));
+}
+
+/**
+ * STL - binary by default (an ArrayBuffer), or ASCII text with { binary: false }
+ */
+export function toSTL(mesh, options = {}) {
+    const name = mesh.name.replace(/\s+/g, '_');
+
+    if (options.binary === false) {
+        const lines = [`solid ${name}`];
+        for (let i = 0; i < mesh.indices.length; i += 3) {
+            lines.push(`  facet normal ${faceNormal(mesh, i).map(value => value.toExponential(6)).join(' ')}`, '    outer loop');
+            for (let k = 0; k < 3; k++) {
+                const p = mesh.positions.subarray(mesh.indices[i + k] * 3, mesh.indices[i + k] * 3 + 3);
+                lines.push(`      vertex ${p[0].toExponential(6)} ${p[1].toExponential(6)} ${p[2].toExponential(6)}`);
+            }
+            lines.push('    endloop', '  endfacet');
+        }
+        lines.push(`endsolid ${name}`);
+        return lines.join('\n') + '\n';
+    }
+
+    // 80-byte header, triangle count, then 50 bytes per triangle
+    const buffer = new ArrayBuffer(84 + mesh.triangleCount * 50);
+    const view = new DataView(buffer);
+    const header = `VIB34D ${mesh.name}`.slice(0, 80);
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    view.setUint32(80, mesh.triangleCount, true);
+
+    let offset = 84;
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+        faceNormal(mesh, i).forEach(value => {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        });
+        for (let k = 0; k < 3; k++) {
+            const base = mesh.indices[i + k] * 3;
+            for (let axis = 0; axis < 3; axis++) {
+                view.setFloat32(offset, mesh.positions[base + axis], true);
+                offset += 4;
+            }
+        }
+        view.setUint16(offset, 0, true);
+        offset += 2;
+    }
+    return buffer;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * glTF 2.0 (.gltf JSON with the buffer embedded) - positions, normals, COLOR_0 and 32-bit indices
+ */
+export function toGLTF(mesh) {
+    const arrays = [mesh.positions, mesh.normals, mesh.colors, mesh.indices];
+    const byteLength = arrays.reduce((total, array) => total + array.byteLength, 0);
+    const bytes = new Uint8Array(byteLength);
+    const bufferViews = [];
+    let byteOffset = 0;
+    arrays.forEach((array, i) => {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset);
+        bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength, target: i < 3 ? 34962 : 34963 });
+        byteOffset += array.byteLength;
+    });
+
+    const FLOAT = 5126;
+    const UNSIGNED_INT = 5125;
+    return {
+        asset: { version: '2.0', generator: 'VIB34D MeshExporter' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: mesh.name }],
+        meshes: [{
+            name: mesh.name,
+            primitives: [{ attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 }, indices: 3, material: 0, mode: 4 }]
+        }],
+        materials: [{
+            name: 'VIB34D',
+            pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0.1, roughnessFactor: 0.4 }
+        }],
+        accessors: [
+            { bufferView: 0, componentType: FLOAT, count: mesh.vertexCount, type: 'VEC3', min: mesh.bounds.min, max: mesh.bounds.max },
+            { bufferView: 1, componentType: FLOAT, count: mesh.vertexCount, type: 'VEC3' },
+            { bufferView: 2, componentType: FLOAT, count: mesh.vertexCount, type: 'VEC3' },
+            { bufferView: 3, componentType: UNSIGNED_INT, count: mesh.indices.length, type: 'SCALAR' }
+        ],
+        bufferViews,
+        buffers: [{ byteLength, uri: `data:application/octet-stream;base64,${toBase64(bytes)}` }]
+    };
+}
+
+/**
+ * Build and encode in one step
+ * @param {string} format - obj | stl | gltf
+ * @returns {Object} { content (string or ArrayBuffer), filename, mimeType, mesh }
+ */
+export function exportPolytopeMesh(format, state = {}, options = {}) {
+    const type = String(format).toLowerCase();
+    if (!MESH_FORMATS.includes(type)) {
+        throw new Error(`Unknown mesh format: ${format} (expected ${MESH_FORMATS.join(', ')})`);
+    }
+
+    const mesh = buildPolytopeMesh(state, options);
+    const content = type === 'obj' ? toOBJ(mesh)
+        : type === 'stl' ? toSTL(mesh, options)
+            : JSON.stringify(toGLTF(mesh));
+    const filename = `vib34d-${resolvePolytope(state)}.${type}`;
+    return { content, filename, mimeType: MIME_TYPES[type], mesh };
+}
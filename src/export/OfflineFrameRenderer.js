@@ -0,0 +1,188 @@
+/**
+ * VIB34D Offline Frame Renderer
+ * Deterministic frame-by-frame rendering for video export
+ *
+ * Instead of sampling the live render loop against the wall clock, every frame is rendered
+ * with an explicit shader time (frameIndex / fps), composited at a fixed resolution and
+ * handed to a pluggable encoder. The same settings always produce the same frames
+ * (live inputs such as audio and mouse should be disabled while exporting).
+ */
+
+import { createEncoder } from './FrameEncoders.js';
+
+/**
+ * Wrap a system engine (faceted, quantum, holographic) as a render target
+ */
+export function createEngineRenderTarget(engine) {
+    const visualizers = () => (engine.visualizers || []).filter(v => v && v.canvas && v.render);
+
+    // Faceted and quantum engines push parameters into visualizers each frame from their loops
+    let getParameters = null;
+    if (engine.parameterManager?.getAllParameters) {
+        getParameters = () => engine.parameterManager.getAllParameters();
+    } else if (engine.parameters?.getAllParameters) {
+        getParameters = () => engine.parameters.getAllParameters();
+    }
+
+    let lastFrameTime = 0;
+
+    return {
+        begin() {
+            // Live loops skip rendering while an offline render owns the canvases
+            engine.offlineRendering = true;
+        },
+        end() {
+            engine.offlineRendering = false;
+            visualizers().forEach(v => v.setRenderSize?.(null));
+        },
+        setRenderSize(width, height) {
+            visualizers().forEach(v => v.setRenderSize?.(width, height));
+        },
+        getCanvases() {
+            // With effects enabled the post-processed composite replaces the raw layers
+            const canvases = visualizers().map(v => v.canvas);
+            const processed = window.postProcessor?.process(null, canvases, lastFrameTime);
+            return processed ? [processed] : canvases;
+        },
+        renderFrame(timeMs) {
+            lastFrameTime = timeMs;
+            const params = getParameters ? getParameters() : null;
+            const compositor = window.layerCompositor;
+            visualizers().forEach(visualizer => {
+                if (params && visualizer.updateParameters) {
+                    visualizer.updateParameters(compositor ? compositor.getLayerParameters(visualizer.role, params) : params);
+                }
+                visualizer.render(timeMs);
+            });
+        }
+    };
+}
+
+export class OfflineFrameRenderer {
+    /**
+     * @param {Object} target - Render target ({ renderFrame(timeMs), getCanvases() } or an engine with visualizers)
+     * @param {Object} options
+     * @param {number} options.fps - Frames per second (default 30)
+     * @param {number} options.width - Output width in pixels (default 1080)
+     * @param {number} options.height - Output height in pixels (default 1920)
+     * @param {number} options.duration - Length in seconds (ignored when frameCount is set)
+     * @param {number} options.frameCount - Exact number of frames to render
+     * @param {number} options.startTime - Time offset in seconds
+     * @param {string|Object} options.encoder - Encoder name ('png', 'webm') or encoder instance
+     * @param {Object} options.timeline - Optional ParameterTimeline seeked before every frame
+     * @param {Function} options.onFrame - Optional per-frame hook (index, timeSeconds)
+     * @param {Function} options.onProgress - Progress callback (0 → 1)
+     * @param {string} options.background - Fill color behind the layers (null for transparent)
+     */
+    constructor(target, options = {}) {
+        this.target = typeof target?.renderFrame === 'function' ? target : createEngineRenderTarget(target);
+        this.fps = options.fps || 30;
+        this.width = options.width || 1080;
+        this.height = options.height || 1920;
+        this.startTime = options.startTime || 0;
+        this.frameCount = options.frameCount || Math.max(1, Math.round((options.duration || 10) * this.fps));
+        this.encoder = typeof options.encoder === 'object' ? options.encoder : createEncoder(options.encoder || 'png', options.encoderOptions);
+        this.timeline = options.timeline || null;
+        this.onFrame = options.onFrame || null;
+        this.onProgress = options.onProgress || null;
+        this.background = options.background !== undefined ? options.background : '#000000';
+
+        this.isRendering = false;
+        this.cancelled = false;
+
+        // Composite canvas that layers are flattened into
+        this.outputCanvas = document.createElement('canvas');
+        this.outputCanvas.width = this.width;
+        this.outputCanvas.height = this.height;
+        this.outputContext = this.outputCanvas.getContext('2d');
+    }
+
+    /**
+     * Explicit time (seconds) of a frame - the only clock used during offline rendering
+     */
+    getFrameTime(index) {
+        return this.startTime + index / this.fps;
+    }
+
+    /**
+     * Render and composite a single frame at an explicit time
+     */
+    renderFrame(index) {
+        const timeSeconds = this.getFrameTime(index);
+
+        if (this.timeline) {
+            this.timeline.seek(timeSeconds);
+        }
+        if (this.onFrame) {
+            this.onFrame(index, timeSeconds);
+        }
+
+        this.target.renderFrame(timeSeconds * 1000);
+
+        // Flatten layers immediately (WebGL buffers are not preserved past this task)
+        const ctx = this.outputContext;
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (this.background) {
+            ctx.fillStyle = this.background;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+        this.target.getCanvases().forEach(canvas => {
+            if (canvas.width > 0 && canvas.height > 0) {
+                ctx.drawImage(canvas, 0, 0, this.width, this.height);
+            }
+        });
+
+        return this.outputCanvas;
+    }
+
+    /**
+     * Render the whole sequence through the encoder
+     */
+    async render() {
+        if (this.isRendering) {
+            throw new Error('Offline render already in progress');
+        }
+
+        this.isRendering = true;
+        this.cancelled = false;
+        console.log(`🎬 Offline render: ${this.frameCount} frames @ ${this.fps}fps, ${this.width}x${this.height}`);
+
+        this.target.begin?.();
+        this.target.setRenderSize?.(this.width, this.height);
+
+        try {
+            await this.encoder.begin({
+                width: this.width,
+                height: this.height,
+                fps: this.fps,
+                frameCount: this.frameCount,
+                canvas: this.outputCanvas
+            });
+
+            for (let i = 0; i < this.frameCount; i++) {
+                if (this.cancelled) {
+                    console.log(`⏹️ Offline render cancelled at frame ${i}`);
+                    break;
+                }
+
+                const frame = this.renderFrame(i);
+                await this.encoder.addFrame(frame, i, this.getFrameTime(i) * 1000);
+
+                if (this.onProgress) {
+                    this.onProgress((i + 1) / this.frameCount, i);
+                }
+            }
+
+            const result = await this.encoder.finish();
+            console.log('✅ Offline render complete');
+            return result;
+        } finally {
+            this.target.end?.();
+            this.isRendering = false;
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
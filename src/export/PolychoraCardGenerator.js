@@ -3,6 +3,7 @@
  * Specializes in 4D polytope mathematics with glassmorphic rendering
  */
 import { CardGeneratorBase } from './CardGeneratorBase.js';
+import { PROJECTION_GLSL, PROJECTION_MODES, DEFAULT_PROJECTION_DISTANCE } from '../geometry/Projections.js';
 
 export class PolychoraCardGenerator extends CardGeneratorBase {
     constructor() {
@@ -28,11 +29,32 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                 uniform float u_intensity;
                 uniform float u_morphFactor;
                 uniform float u_chaos;
+                uniform float u_rot4dXY;
+                uniform float u_rot4dXZ;
+                uniform float u_rot4dYZ;
                 uniform float u_rot4dXW;
                 uniform float u_rot4dYW;
                 uniform float u_rot4dZW;
                 
                 // 4D rotation matrices for polytopes
+                mat4 rotateXY(float theta) {
+                    float c = cos(theta);
+                    float s = sin(theta);
+                    return mat4(c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+                }
+                
+                mat4 rotateXZ(float theta) {
+                    float c = cos(theta);
+                    float s = sin(theta);
+                    return mat4(c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1);
+                }
+                
+                mat4 rotateYZ(float theta) {
+                    float c = cos(theta);
+                    float s = sin(theta);
+                    return mat4(1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1);
+                }
+                
                 mat4 rotateXW(float theta) {
                     float c = cos(theta);
                     float s = sin(theta);
@@ -51,11 +73,8 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
                 }
                 
-                // 4D to 3D projection with perspective
-                vec3 project4Dto3D(vec4 p) {
-                    float perspective = 3.0 / (3.0 + p.w);
-                    return vec3(p.x * perspective, p.y * perspective, p.z * perspective);
-                }
+                // 4D to 3D projection (perspective, orthographic, stereographic or Schlegel)
+                ${PROJECTION_GLSL}
                 
                 // 4D polytope distance functions
                 float polytope5Cell(vec4 p) {
@@ -117,6 +136,9 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                                    cos(time * 0.5) * 0.25);
                     
                     // Apply 4D rotations
+                    p4d = rotateXY(u_rot4dXY) * p4d;
+                    p4d = rotateXZ(u_rot4dXZ) * p4d;
+                    p4d = rotateYZ(u_rot4dYZ) * p4d;
                     p4d = rotateXW(u_rot4dXW + time * 0.3) * p4d;
                     p4d = rotateYW(u_rot4dYW + time * 0.4) * p4d;
                     p4d = rotateZW(u_rot4dZW + time * 0.5) * p4d;
@@ -265,11 +287,20 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     intensity: gl.getUniformLocation(program, 'u_intensity'),
                     morphFactor: gl.getUniformLocation(program, 'u_morphFactor'),
                     chaos: gl.getUniformLocation(program, 'u_chaos'),
+                    rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+                    rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+                    rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
                     rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
                     rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
-                    rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW')
+                    rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+                    projectionWeights: gl.getUniformLocation(program, 'u_projectionWeights'),
+                    projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance')
                 };
                 
+                // One-hot projection weights - the card shows a single projection, no blending
+                const projectionWeights = [0, 0, 0, 0];
+                projectionWeights[Math.min(${PROJECTION_MODES.length - 1}, Math.max(0, Math.round(parseFloat(params.projection) || 0)))] = 1;
+                
                 // Animation loop
                 const startTime = Date.now();
                 
@@ -287,9 +318,14 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     gl.uniform1f(uniforms.intensity, parseFloat(params.intensity) || 0.6);
                     gl.uniform1f(uniforms.morphFactor, parseFloat(params.morphFactor) || 1.0);
                     gl.uniform1f(uniforms.chaos, parseFloat(params.chaos) || 0.1); // Lower chaos for mathematical precision
+                    gl.uniform1f(uniforms.rot4dXY, parseFloat(params.rot4dXY) || 0);
+                    gl.uniform1f(uniforms.rot4dXZ, parseFloat(params.rot4dXZ) || 0);
+                    gl.uniform1f(uniforms.rot4dYZ, parseFloat(params.rot4dYZ) || 0);
                     gl.uniform1f(uniforms.rot4dXW, parseFloat(params.rot4dXW) || 0);
                     gl.uniform1f(uniforms.rot4dYW, parseFloat(params.rot4dYW) || 0);
                     gl.uniform1f(uniforms.rot4dZW, parseFloat(params.rot4dZW) || 0);
+                    gl.uniform4fv(uniforms.projectionWeights, projectionWeights);
+                    gl.uniform1f(uniforms.projectionDistance, parseFloat(params.projectionDistance) || ${DEFAULT_PROJECTION_DISTANCE});
                     
                     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
                     
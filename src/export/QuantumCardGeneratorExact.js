@@ -3,14 +3,12 @@
  * Uses the exact same shader code from src/quantum/QuantumVisualizer.js lines 65-340
  */
 
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_GLSL, getProjectionDistance, getProjectionWeights } from '../geometry/Projections.js';
+
 export class QuantumCardGeneratorExact {
     static generateCard(params, canvasId = 'trading-card-canvas') {
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = GeometryRegistry.get(params.geometry)?.id || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         // Use EXACT shader from QuantumHolographicVisualizer (lines 65-340)
@@ -28,6 +26,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -36,179 +37,46 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
+mat4 rotateXY(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-mat4 rotateYW(float theta) {
+mat4 rotateXZ(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-mat4 rotateZW(float theta) {
+mat4 rotateYZ(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
-
-// Complex 3D Lattice Functions - Superior Quantum Shaders
-float tetrahedronLattice(vec3 p, float gridSize) {
-    vec3 q = fract(p * gridSize) - 0.5;
-    float d1 = length(q);
-    float d2 = length(q - vec3(0.4, 0.0, 0.0));
-    float d3 = length(q - vec3(0.0, 0.4, 0.0));
-    float d4 = length(q - vec3(0.0, 0.0, 0.4));
-    float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-    float edges = 0.0;
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-    return max(vertices, edges * 0.5);
-}
-
-float hypercubeLattice(vec3 p, float gridSize) {
-    vec3 grid = fract(p * gridSize);
-    vec3 edges = min(grid, 1.0 - grid);
-    float minEdge = min(min(edges.x, edges.y), edges.z);
-    float lattice = 1.0 - smoothstep(0.0, 0.03, minEdge);
-    
-    vec3 centers = abs(grid - 0.5);
-    float maxCenter = max(max(centers.x, centers.y), centers.z);
-    float vertices = 1.0 - smoothstep(0.45, 0.5, maxCenter);
-    
-    return max(lattice * 0.7, vertices);
-}
-
-float sphereLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float sphere = 1.0 - smoothstep(0.15, 0.25, length(cell));
-    
-    float rings = 0.0;
-    float ringRadius = length(cell.xy);
-    rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.3)));
-    rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.2)));
-    
-    return max(sphere, rings * 0.6);
-}
-
-float torusLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float majorRadius = 0.3;
-    float minorRadius = 0.1;
-    
-    float toroidalDist = length(vec2(length(cell.xy) - majorRadius, cell.z));
-    float torus = 1.0 - smoothstep(minorRadius - 0.02, minorRadius + 0.02, toroidalDist);
-    
-    float rings = 0.0;
-    float angle = atan(cell.y, cell.x);
-    rings = sin(angle * 8.0) * 0.02;
-    
-    return max(torus, 0.0) + rings;
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-float kleinLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float u = atan(cell.y, cell.x) / 3.14159 + 1.0;
-    float v = cell.z + 0.5;
-    
-    float x = (2.0 + cos(u * 0.5)) * cos(u);
-    float y = (2.0 + cos(u * 0.5)) * sin(u);
-    float z = sin(u * 0.5) + v;
-    
-    vec3 kleinPoint = vec3(x, y, z) * 0.1;
-    float dist = length(cell - kleinPoint);
-    
-    return 1.0 - smoothstep(0.1, 0.15, dist);
+mat4 rotateXW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
 }
 
-float fractalLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize);
-    cell = abs(cell * 2.0 - 1.0);
-    
-    float dist = length(max(abs(cell) - 0.3, 0.0));
-    
-    // Recursive subdivision
-    for(int i = 0; i < 3; i++) {
-        cell = abs(cell * 2.0 - 1.0);
-        float subdist = length(max(abs(cell) - 0.3, 0.0)) / pow(2.0, float(i + 1));
-        dist = min(dist, subdist);
-    }
-    
-    return 1.0 - smoothstep(0.0, 0.05, dist);
+mat4 rotateYW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
 }
 
-float waveLattice(vec3 p, float gridSize) {
-    float time = u_time * 0.001 * u_speed;
-    vec3 cell = fract(p * gridSize) - 0.5;
-    
-    float wave1 = sin(p.x * gridSize * 2.0 + time * 2.0);
-    float wave2 = sin(p.y * gridSize * 1.8 + time * 1.5);
-    float wave3 = sin(p.z * gridSize * 2.2 + time * 1.8);
-    
-    float interference = (wave1 + wave2 + wave3) / 3.0;
-    float amplitude = 1.0 - length(cell) * 2.0;
-    
-    return max(0.0, interference * amplitude);
+mat4 rotateZW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
 }
 
-float crystalLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    
-    // Octahedral crystal structure
-    float crystal = max(max(abs(cell.x) + abs(cell.y), abs(cell.y) + abs(cell.z)), abs(cell.x) + abs(cell.z));
-    crystal = 1.0 - smoothstep(0.3, 0.4, crystal);
-    
-    // Add crystalline faces
-    float faces = 0.0;
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.x) - 0.35)));
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.y) - 0.35)));
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.z) - 0.35)));
-    
-    return max(crystal, faces * 0.5);
-}
+${PROJECTION_GLSL}
 
-// Enhanced geometry function with holographic effects
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    vec3 p3d = project4Dto3D(p);
-    float gridSize = u_gridDensity * 0.08;
-    
-    if (geomType == 0) {
-        return tetrahedronLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        return sphereLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        return torusLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        return kleinLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        return fractalLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        return waveLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        return crystalLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else {
-        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-    }
-}
+// Complex 3D lattice functions assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('quantum')}
 
 // HSV to RGB conversion for better color control
 vec3 hsv2rgb(vec3 c) {
@@ -235,6 +103,9 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
     // Apply 4D rotations
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
@@ -410,9 +281,14 @@ void main() {
             intensity: gl.getUniformLocation(program, 'u_intensity'),
             saturation: gl.getUniformLocation(program, 'u_saturation'),
             dimension: gl.getUniformLocation(program, 'u_dimension'),
+            rot4dXY: gl.getUniformLocation(program, 'u_rot4dXY'),
+            rot4dXZ: gl.getUniformLocation(program, 'u_rot4dXZ'),
+            rot4dYZ: gl.getUniformLocation(program, 'u_rot4dYZ'),
             rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
             rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
             rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+            projectionWeights: gl.getUniformLocation(program, 'u_projectionWeights'),
+            projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance'),
             mouseIntensity: gl.getUniformLocation(program, 'u_mouseIntensity'),
             clickIntensity: gl.getUniformLocation(program, 'u_clickIntensity'),
             roleIntensity: gl.getUniformLocation(program, 'u_roleIntensity')
@@ -429,9 +305,14 @@ void main() {
             intensity: ${params.intensity || 0.7},
             saturation: ${params.saturation || 0.9},
             dimension: ${params.dimension || 3.5},
+            rot4dXY: ${params.rot4dXY || 0.0},
+            rot4dXZ: ${params.rot4dXZ || 0.0},
+            rot4dYZ: ${params.rot4dYZ || 0.0},
             rot4dXW: ${params.rot4dXW || 0.0},
             rot4dYW: ${params.rot4dYW || 0.0},
-            rot4dZW: ${params.rot4dZW || 0.0}
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projectionWeights: [${getProjectionWeights(params.projection).join(', ')}],
+            projectionDistance: ${getProjectionDistance(params.projectionDistance)}
         };
         
         const startTime = Date.now();
@@ -455,9 +336,14 @@ void main() {
             gl.uniform1f(uniforms.intensity, parameters.intensity);
             gl.uniform1f(uniforms.saturation, parameters.saturation);
             gl.uniform1f(uniforms.dimension, parameters.dimension);
+            gl.uniform1f(uniforms.rot4dXY, parameters.rot4dXY);
+            gl.uniform1f(uniforms.rot4dXZ, parameters.rot4dXZ);
+            gl.uniform1f(uniforms.rot4dYZ, parameters.rot4dYZ);
             gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
             gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
             gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+            gl.uniform4fv(uniforms.projectionWeights, parameters.projectionWeights);
+            gl.uniform1f(uniforms.projectionDistance, parameters.projectionDistance);
             gl.uniform1f(uniforms.mouseIntensity, 0.0);
             gl.uniform1f(uniforms.clickIntensity, 0.0);
             gl.uniform1f(uniforms.roleIntensity, 1.0); // Content layer intensity
@@ -0,0 +1,34 @@
+/**
+ * VIB34D Render Size Lock
+ * Shared by every WebGL visualizer: offline rendering locks the drawing buffer to the export
+ * resolution, otherwise the canvas follows its layout size
+ */
+
+/**
+ * Lock a visualizer's drawing buffer to an explicit size; pass null to restore layout sizing
+ */
+export function setFixedRenderSize(visualizer, width, height) {
+    visualizer.fixedRenderSize = width && height ? { width, height } : null;
+    if (visualizer.gl) {
+        visualizer.resize();
+    }
+}
+
+/**
+ * Apply a locked size to the canvas and viewport
+ * @returns {boolean} true while the size is locked (the caller skips layout sizing)
+ */
+export function applyFixedRenderSize(visualizer) {
+    const size = visualizer.fixedRenderSize;
+    if (!size) {
+        return false;
+    }
+
+    const { canvas, gl } = visualizer;
+    if (canvas.width !== size.width || canvas.height !== size.height) {
+        canvas.width = size.width;
+        canvas.height = size.height;
+        gl.viewport(0, 0, canvas.width, canvas.height);
+    }
+    return true;
+}
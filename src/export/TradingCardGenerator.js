@@ -8,6 +8,7 @@
 import { TradingCardSystemFaceted } from './systems/TradingCardSystemFaceted.js';
 import { TradingCardSystemQuantum } from './systems/TradingCardSystemQuantum.js';
 import { TradingCardSystemHolographic } from './systems/TradingCardSystemHolographic.js';
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
 
 export class TradingCardGenerator {
     constructor(engine) {
@@ -243,9 +244,14 @@ export class TradingCardGenerator {
                 hue: parseFloat(document.getElementById('hue')?.value || 320), // Match holographic default
                 intensity: parseFloat(document.getElementById('intensity')?.value || 0.6), // Match holographic default
                 saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+                rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0),
+                rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0),
+                rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0),
                 rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0),
                 rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0),
-                rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0)
+                rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0),
+                projection: parseFloat(document.getElementById('projection')?.value || 0),
+                projectionDistance: parseFloat(document.getElementById('projectionDistance')?.value || 2.5)
             };
             geometryType = params.geometry;
         } else if (this.currentSystem === 'polychora') {
@@ -259,14 +265,19 @@ export class TradingCardGenerator {
                 hue: parseFloat(document.getElementById('hue')?.value || 200),
                 intensity: parseFloat(document.getElementById('intensity')?.value || 0.5),
                 saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+                rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0),
+                rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0),
+                rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0),
                 rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0),
                 rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0),
-                rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0)
+                rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0),
+                projection: parseFloat(document.getElementById('projection')?.value || 0),
+                projectionDistance: parseFloat(document.getElementById('projectionDistance')?.value || 2.5)
             };
             geometryType = params.polytope;
         }
         
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
+        const geometryNames = GeometryRegistry.getNames();
         const systemNames = {
             faceted: 'FACETED',
             holographic: 'HOLOGRAPHIC',
@@ -1126,67 +1137,8 @@ vec3 project4Dto3D(vec4 p) {
     return vec3(p.x * w, p.y * w, p.z * w);
 }
 
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
-    if (geomType == 0) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
-        return minDist * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        float r = length(p);
-        float density = u_gridDensity * 0.08;
-        float spheres = abs(fract(r * density) - 0.5) * 2.0;
-        float theta = atan(p.y, p.x);
-        float harmonics = sin(theta * 3.0) * 0.2;
-        return (spheres + harmonics) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        float r1 = length(p.xy) - 2.0;
-        float torus = length(vec2(r1, p.z)) - 0.8;
-        float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
-        return (torus + lattice * 0.3) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        float u = atan(p.y, p.x);
-        float v = atan(p.w, p.z);
-        float dist = length(p) - 2.0;
-        float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
-        return (dist + lattice * 0.4) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        pos = abs(pos * 2.0 - 1.0);
-        float dist = length(max(abs(pos) - 1.0, 0.0));
-        return dist * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        float freq = u_gridDensity * 0.08;
-        float time = u_time * 0.001 * u_speed;
-        float wave1 = sin(p.x * freq + time);
-        float wave2 = sin(p.y * freq + time * 1.3);
-        float wave3 = sin(p.z * freq * 0.8 + time * 0.7);
-        float interference = wave1 * wave2 * wave3;
-        return interference * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
-        float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
-        return cube * u_morphFactor;
-    }
-    else {
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-}
+// Geometry functions assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('faceted')}
 
 void main() {
     vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
@@ -1572,48 +1524,8 @@ void main() {
                     return vec3(p.x * w, p.y * w, p.z * w);
                 }
                 
-                // COMPLEX 3D LATTICE FUNCTIONS - QUANTUM ENHANCED
-                float tetrahedronLattice(vec3 p, float gridSize) {
-                    vec3 q = fract(p * gridSize) - 0.5;
-                    float d1 = length(q);
-                    float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                    float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                    float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                    float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                    float edges = 0.0;
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                    return max(vertices, edges * 0.5);
-                }
-                
-                float hypercubeLattice(vec3 p, float gridSize) {
-                    vec3 grid = fract(p * gridSize);
-                    vec3 edges = min(grid, 1.0 - grid);
-                    float minEdge = min(min(edges.x, edges.y), edges.z);
-                    float lattice = 1.0 - smoothstep(0.0, 0.03, minEdge);
-                    
-                    vec3 centers = abs(grid - 0.5);
-                    float maxCenter = max(max(centers.x, centers.y), centers.z);
-                    float vertices = 1.0 - smoothstep(0.45, 0.5, maxCenter);
-                    
-                    return max(lattice * 0.7, vertices);
-                }
-                
-                // ENHANCED GEOMETRY FUNCTION WITH QUANTUM EFFECTS
-                float quantumGeometry(vec4 p) {
-                    int geomType = int(u_geometry);
-                    vec3 p3d = project4Dto3D(p);
-                    float gridSize = u_gridDensity * 0.08;
-                    
-                    if (geomType == 0) {
-                        return tetrahedronLattice(p3d, gridSize) * u_morphFactor;
-                    } else if (geomType == 1) {
-                        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-                    } else {
-                        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-                    }
-                }
+                // COMPLEX 3D LATTICE FUNCTIONS - assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('quantum')}
                 
                 // HSV to RGB conversion
                 vec3 hsv2rgb(vec3 c) {
@@ -1644,7 +1556,7 @@ void main() {
                     pos = rotateZW(u_rot4dZW) * pos;
                     
                     // Calculate quantum geometry value
-                    float value = quantumGeometry(pos);
+                    float value = geometryFunction(pos);
                     
                     // Enhanced chaos with quantum noise
                     float noise = sin(pos.x * 7.0) * cos(pos.y * 11.0) * sin(pos.z * 13.0);
@@ -1965,88 +1877,8 @@ void main() {
                 return vec3(p.x * w, p.y * w, p.z * w);
             }
             
-            // Complete VIB3 Geometry Library
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                float edges = 0.0;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                return max(vertices, edges * 0.5);
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
-                return max(max(edges.x, edges.y), edges.z);
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
-            }
-            
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
-            }
-            
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
-            }
-            
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
-            }
-            
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                int baseGeom = int(mod(geometryType, 8.0));
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
+            // Complete VIB3 geometry library assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('holographic')}
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -2361,77 +2193,8 @@ vec3 project4Dto3D(vec4 p) {
     float w = 2.5 / (2.5 + p.w);
     return vec3(p.x * w, p.y * w, p.z * w);
 }
-// Simplified geometry functions for WebGL 1.0 compatibility
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    
-    if (geomType == 0) {
-        // Tetrahedron lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        // Hypercube lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
-        return minDist * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        // Sphere lattice - UNIFORM GRID DENSITY
-        float r = length(p);
-        float density = u_gridDensity * 0.08;
-        float spheres = abs(fract(r * density) - 0.5) * 2.0;
-        float theta = atan(p.y, p.x);
-        float harmonics = sin(theta * 3.0) * 0.2;
-        return (spheres + harmonics) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        // Torus lattice - UNIFORM GRID DENSITY
-        float r1 = length(p.xy) - 2.0;
-        float torus = length(vec2(r1, p.z)) - 0.8;
-        float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
-        return (torus + lattice * 0.3) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        // Klein bottle lattice - UNIFORM GRID DENSITY
-        float u = atan(p.y, p.x);
-        float v = atan(p.w, p.z);
-        float dist = length(p) - 2.0;
-        float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
-        return (dist + lattice * 0.4) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        // Fractal lattice - NOW WITH UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        pos = abs(pos * 2.0 - 1.0);
-        float dist = length(max(abs(pos) - 1.0, 0.0));
-        return dist * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        // Wave lattice - UNIFORM GRID DENSITY
-        float freq = u_gridDensity * 0.08;
-        float time = u_time * 0.001 * u_speed;
-        float wave1 = sin(p.x * freq + time);
-        float wave2 = sin(p.y * freq + time * 1.3);
-        float wave3 = sin(p.z * freq * 0.8 + time * 0.7); // Add Z-dimension waves
-        float interference = wave1 * wave2 * wave3;
-        return interference * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        // Crystal lattice - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
-        float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
-        return cube * u_morphFactor;
-    }
-    else {
-        // Default hypercube - UNIFORM GRID DENSITY
-        vec4 pos = fract(p * u_gridDensity * 0.08);
-        vec4 dist = min(pos, 1.0 - pos);
-        return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;
-    }
-}
+// Geometry functions assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('faceted')}
 void main() {
     vec2 uv = (gl_FragCoord.xy - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
     
@@ -2671,88 +2434,8 @@ void main() {
                 return vec3(p.x * w, p.y * w, p.z * w);
             }
             
-            // VIB3 Geometry Library
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.4, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.4, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.4));
-                float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-                float edges = 0.0;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-                return max(vertices, edges * 0.5);
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
-                return max(max(edges.x, edges.y), edges.z);
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
-            }
-            
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
-            }
-            
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
-            }
-            
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
-            }
-            
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                int baseGeom = int(mod(geometryType, 8.0));
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
+            // VIB3 geometry library assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('holographic')}
             
             vec3 hsv2rgb(vec3 c) {
                 vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
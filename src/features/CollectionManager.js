@@ -1,7 +1,10 @@
 /**
  * Collection Manager - Auto-discovery system for JSON collections
  * Scans collections/ folder for JSON files and loads them automatically
+ * Every file is upgraded to the current variation schema on load (see VariationSchema)
  */
+import { VariationSchema, VariationSchemaError } from '../variations/VariationSchema.js';
+
 export class CollectionManager {
     constructor() {
         this.collections = new Map();
@@ -66,7 +69,11 @@ export class CollectionManager {
             console.log(`📋 Loaded collection: ${collection.name} (${collection.variations.length} variations)`);
             return collection;
         } catch (error) {
-            console.log(`📁 Collection ${filename} not available (this is normal for user files)`);
+            if (error instanceof VariationSchemaError) {
+                console.error(`❌ Collection ${filename} could not be loaded:\n${error.report}`);
+            } else {
+                console.log(`📁 Collection ${filename} not available (this is normal for user files)`);
+            }
             this.loadingPromises.delete(filename);
             throw error;
         }
@@ -83,20 +90,17 @@ export class CollectionManager {
         
         const data = await response.json();
         
-        // Validate collection format
-        if (!data.type || data.type !== 'holographic-collection') {
-            throw new Error('Invalid collection format: missing type');
-        }
-        
-        if (!data.variations || !Array.isArray(data.variations)) {
-            throw new Error('Invalid collection format: missing variations array');
+        // Upgrade older formats (throws VariationSchemaError with a report if it can't)
+        const { document, fromVersion, applied } = VariationSchema.migrate(data, { source: filename });
+        if (applied.length > 0) {
+            console.log(`🔄 Migrated ${filename} from schema v${fromVersion}:`, applied);
         }
         
         // Add metadata
-        data.filename = filename;
-        data.loadedAt = new Date().toISOString();
+        document.filename = filename;
+        document.loadedAt = new Date().toISOString();
         
-        return data;
+        return document;
     }
     
     /**
@@ -167,16 +171,13 @@ export class CollectionManager {
             console.log(`📝 Appending to existing collection: ${existingCollection.name}`);
         } else {
             // Create new collection
-            formattedCollection = {
+            formattedCollection = VariationSchema.createDocument({
                 name: collection.name || 'Unnamed Collection',
                 description: collection.description || '',
-                version: '1.0',
-                type: 'holographic-collection',
                 profileName: collection.profileName || 'VIB34D System',
                 totalVariations: collection.variations.length,
-                created: new Date().toISOString(),
                 variations: collection.variations
-            };
+            });
         }
         
         // Convert to JSON
@@ -208,30 +209,20 @@ export class CollectionManager {
      * Create a collection from custom variations
      */
     createCustomCollection(customVariations, name) {
-        const collection = {
+        // Holographic custom variants use the legacy keys - createDocument migrates them
+        const collection = VariationSchema.createDocument({
             name: name || `Custom Collection ${new Date().toLocaleDateString()}`,
             description: 'User-created custom holographic variations',
-            version: '1.0',
-            type: 'holographic-collection',
             profileName: 'Active Holographic Systems',
             totalVariations: customVariations.length,
-            created: new Date().toISOString(),
             variations: customVariations.map((cv, index) => ({
                 id: index,
                 name: cv.name || `Custom Variation ${index + 1}`,
                 isCustom: true,
-                parameters: {
-                    geometryType: cv.params.geometry,
-                    density: cv.params.density,
-                    speed: cv.params.speed,
-                    chaos: cv.params.chaos,
-                    morph: cv.params.morph,
-                    hue: cv.params.hue,
-                    saturation: cv.params.saturation,
-                    intensity: cv.params.intensity
-                }
+                system: 'holographic',
+                parameters: { ...cv.params }
             }))
-        };
+        });
         
         return collection;
     }
@@ -357,8 +348,16 @@ export class CollectionManager {
                     const collectionsArray = JSON.parse(storedCollections);
                     console.log(`🔵 Found ${collectionsArray.length} user collections in localStorage`);
                     
-                    collectionsArray.forEach(([filename, collection]) => {
-                        if (collection && collection.variations) {
+                    collectionsArray.forEach(([filename, storedCollection]) => {
+                        if (storedCollection && storedCollection.variations) {
+                            let collection;
+                            try {
+                                collection = VariationSchema.migrate(storedCollection, { source: filename }).document;
+                            } catch (migrationError) {
+                                console.warn(`⚠️ Skipping stored collection:\n${migrationError.report || migrationError.message}`);
+                                return;
+                            }
+
                             // Ensure proper formatting
                             collection.filename = filename;
                             collection.loadedAt = new Date().toISOString();
@@ -1,7 +1,10 @@
 /**
  * Collection Manager - Auto-discovery system for JSON collections
  * Scans collections/ folder for JSON files and loads them automatically
+ * Every file is upgraded to the current variation schema on load (see VariationSchema)
  */
+import { VariationSchema } from '../variations/VariationSchema.js';
+
 export class CollectionManager {
     constructor() {
         this.collections = new Map();
@@ -75,7 +78,7 @@ export class CollectionManager {
             console.log(`📋 Loaded collection: ${collection.name} (${collection.variations.length} variations)`);
             return collection;
         } catch (error) {
-            console.warn(`❌ Failed to load collection ${filename}:`, error.message);
+            console.warn(`❌ Failed to load collection ${filename}:`, error.report || error.message);
             this.loadingPromises.delete(filename);
             throw error;
         }
@@ -92,20 +95,17 @@ export class CollectionManager {
         
         const data = await response.json();
         
-        // Validate collection format
-        if (!data.type || data.type !== 'holographic-collection') {
-            throw new Error('Invalid collection format: missing type');
-        }
-        
-        if (!data.variations || !Array.isArray(data.variations)) {
-            throw new Error('Invalid collection format: missing variations array');
+        // Upgrade older formats (throws VariationSchemaError with a report if it can't)
+        const { document, fromVersion, applied } = VariationSchema.migrate(data, { source: filename });
+        if (applied.length > 0) {
+            console.log(`🔄 Migrated ${filename} from schema v${fromVersion}:`, applied);
         }
         
         // Add metadata
-        data.filename = filename;
-        data.loadedAt = new Date().toISOString();
+        document.filename = filename;
+        document.loadedAt = new Date().toISOString();
         
-        return data;
+        return document;
     }
     
     /**
@@ -154,16 +154,13 @@ export class CollectionManager {
         }
         
         // Ensure proper collection format
-        const formattedCollection = {
+        const formattedCollection = VariationSchema.createDocument({
             name: collection.name || 'Unnamed Collection',
             description: collection.description || '',
-            version: '1.0',
-            type: 'holographic-collection',
             profileName: collection.profileName || 'Active Holographic Systems',
             totalVariations: collection.variations.length,
-            created: new Date().toISOString(),
             variations: collection.variations
-        };
+        });
         
         // Convert to JSON
         const jsonData = JSON.stringify(formattedCollection, null, 2);
@@ -189,30 +186,20 @@ export class CollectionManager {
      * Create a collection from custom variations
      */
     createCustomCollection(customVariations, name) {
-        const collection = {
+        // Holographic custom variants use the legacy keys - createDocument migrates them
+        const collection = VariationSchema.createDocument({
             name: name || `Custom Collection ${new Date().toLocaleDateString()}`,
             description: 'User-created custom holographic variations',
-            version: '1.0',
-            type: 'holographic-collection',
             profileName: 'Active Holographic Systems',
             totalVariations: customVariations.length,
-            created: new Date().toISOString(),
             variations: customVariations.map((cv, index) => ({
                 id: index,
                 name: cv.name || `Custom Variation ${index + 1}`,
                 isCustom: true,
-                parameters: {
-                    geometryType: cv.params.geometry,
-                    density: cv.params.density,
-                    speed: cv.params.speed,
-                    chaos: cv.params.chaos,
-                    morph: cv.params.morph,
-                    hue: cv.params.hue,
-                    saturation: cv.params.saturation,
-                    intensity: cv.params.intensity
-                }
+                system: 'holographic',
+                parameters: { ...cv.params }
             }))
-        };
+        });
         
         return collection;
     }
@@ -3,6 +3,8 @@
  * Portfolio view with live hover previews and variation browsing
  */
 
+import { ReferenceRenderer } from '../reference/ReferenceRenderer.js';
+
 export class GallerySystem {
     constructor(engine) {
         this.engine = engine;
@@ -12,6 +14,12 @@ export class GallerySystem {
         this.currentPreview = -1;
         this.previewTimeout = null;
         
+        // Thumbnails are rendered on the CPU one per tick so opening the gallery stays responsive
+        this.thumbnailRenderer = new ReferenceRenderer({ width: 64, height: 48 });
+        this.thumbnailCache = new Map();
+        this.thumbnailQueue = [];
+        this.thumbnailTimer = null;
+        
         this.init();
     }
     
@@ -310,7 +318,7 @@ export class GallerySystem {
         thumbnail.innerHTML = `
             <div class="thumbnail-preview">
                 <div class="variation-number">${index + 1}</div>
-                <div class="preview-placeholder"></div>
+                <canvas class="preview-placeholder" width="64" height="48"></canvas>
             </div>
             <div class="thumbnail-info">
                 <div class="variation-name">${name}</div>
@@ -331,9 +339,49 @@ export class GallerySystem {
             this.selectVariation(index);
         });
         
+        this.queueThumbnail(thumbnail.querySelector('canvas'), index);
+        
         return thumbnail;
     }
     
+    /**
+     * Queue a CPU reference render of a variation into a thumbnail canvas
+     */
+    queueThumbnail(canvas, index) {
+        this.thumbnailQueue.push({ canvas, index });
+        if (!this.thumbnailTimer) {
+            this.thumbnailTimer = setTimeout(() => this.renderNextThumbnail(), 0);
+        }
+    }
+    
+    renderNextThumbnail() {
+        this.thumbnailTimer = null;
+        
+        // Thumbnails of a gallery that was repopulated or closed are dropped
+        let job = this.thumbnailQueue.shift();
+        while (job && !job.canvas.isConnected) {
+            job = this.thumbnailQueue.shift();
+        }
+        if (!job) return;
+        
+        try {
+            const params = this.getVariationParameters(job.index);
+            const key = JSON.stringify(params);
+            let image = this.thumbnailCache.get(key);
+            if (!image) {
+                image = this.thumbnailRenderer.render('faceted', params, { time: 1000 });
+                this.thumbnailCache.set(key, image);
+            }
+            ReferenceRenderer.drawToCanvas(job.canvas, image);
+        } catch (error) {
+            console.warn(`⚠️ Thumbnail for variation ${job.index + 1} failed:`, error);
+        }
+        
+        if (this.thumbnailQueue.length > 0) {
+            this.thumbnailTimer = setTimeout(() => this.renderNextThumbnail(), 0);
+        }
+    }
+    
     /**
      * Show preview for variation
      */
@@ -0,0 +1,559 @@
+/**
+ * VIB34D Built-in Geometries
+ * The 8 original geometry types, registered with GeometryRegistry at load time
+ *
+ * Each system renders a geometry with its own look, so the built-ins carry one GLSL body per system:
+ *   faceted     - float fn(vec4 p)                  (4D point, may use u_gridDensity / u_morphFactor)
+ *   quantum     - float fn(vec3 p, float gridSize)  (projected 3D lattice)
+ *   holographic - float fn(vec3 p, float gridSize)  (projected 3D lattice)
+ *
+ * The cpu ports mirror each GLSL body line for line for the reference renderer (src/reference/)
+ */
+
+import { fract, length2, length3, length4, smoothstep } from '../reference/ShaderMath.js';
+
+export const BUILT_IN_GEOMETRIES = [
+    {
+        id: 'tetrahedron',
+        name: 'TETRAHEDRON',
+        label: 'Tetra',
+        variation: { gridDensity: 1.2 },
+        glsl: {
+            faceted: `
+            vec4 pos = fract(p * u_gridDensity * 0.08);
+            vec4 dist = min(pos, 1.0 - pos);
+            return min(min(dist.x, dist.y), min(dist.z, dist.w)) * u_morphFactor;`,
+            quantum: `
+            vec3 q = fract(p * gridSize) - 0.5;
+            float d1 = length(q);
+            float d2 = length(q - vec3(0.4, 0.0, 0.0));
+            float d3 = length(q - vec3(0.0, 0.4, 0.0));
+            float d4 = length(q - vec3(0.0, 0.0, 0.4));
+            float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
+            float edges = 0.0;
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
+            return max(vertices, edges * 0.5);`,
+            holographic: `
+            vec3 q = fract(p * gridSize) - 0.5;
+
+            // Enhanced tetrahedron vertices with holographic shimmer
+            float d1 = length(q);
+            float d2 = length(q - vec3(0.35, 0.0, 0.0));
+            float d3 = length(q - vec3(0.0, 0.35, 0.0));
+            float d4 = length(q - vec3(0.0, 0.0, 0.35));
+            float d5 = length(q - vec3(0.2, 0.2, 0.0));
+            float d6 = length(q - vec3(0.2, 0.0, 0.2));
+            float d7 = length(q - vec3(0.0, 0.2, 0.2));
+
+            float vertices = 1.0 - smoothstep(0.0, 0.03, min(min(min(d1, d2), min(d3, d4)), min(min(d5, d6), d7)));
+
+            // Enhanced edge network with interference patterns
+            float edges = 0.0;
+            float shimmer = sin(u_time * 0.002) * 0.02;
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xy) - (0.18 + shimmer))));
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.yz) - (0.18 + shimmer * 0.8))));
+            edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xz) - (0.18 + shimmer * 1.2))));
+
+            // Add interference patterns between vertices
+            float interference = sin(d1 * 25.0 + u_time * 0.003) * sin(d2 * 22.0 + u_time * 0.0025) * 0.1;
+
+            // Volumetric density based on distance field
+            float volume = exp(-length(q) * 3.0) * 0.15;
+
+            return max(vertices, edges * 0.7) + interference + volume;`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                let dist = Infinity;
+                for (let i = 0; i < 4; i++) {
+                    const f = fract(p[i] * g);
+                    dist = Math.min(dist, f, 1 - f);
+                }
+                return dist * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const d1 = length3(x, y, z);
+                const d2 = length3(x - 0.4, y, z);
+                const d3 = length3(x, y - 0.4, z);
+                const d4 = length3(x, y, z - 0.4);
+                const vertices = 1 - smoothstep(0, 0.04, Math.min(d1, d2, d3, d4));
+                const edges = Math.max(0,
+                    1 - smoothstep(0, 0.02, Math.abs(length2(x, y) - 0.2)),
+                    1 - smoothstep(0, 0.02, Math.abs(length2(y, z) - 0.2)),
+                    1 - smoothstep(0, 0.02, Math.abs(length2(x, z) - 0.2)));
+                return Math.max(vertices, edges * 0.5);
+            },
+            holographic: (p, gridSize, u) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const d1 = length3(x, y, z);
+                const d2 = length3(x - 0.35, y, z);
+                const d3 = length3(x, y - 0.35, z);
+                const d4 = length3(x, y, z - 0.35);
+                const d5 = length3(x - 0.2, y - 0.2, z);
+                const d6 = length3(x - 0.2, y, z - 0.2);
+                const d7 = length3(x, y - 0.2, z - 0.2);
+                const vertices = 1 - smoothstep(0, 0.03, Math.min(d1, d2, d3, d4, d5, d6, d7));
+
+                const shimmer = Math.sin(u.time * 0.002) * 0.02;
+                const edges = Math.max(0,
+                    1 - smoothstep(0, 0.015, Math.abs(length2(x, y) - (0.18 + shimmer))),
+                    1 - smoothstep(0, 0.015, Math.abs(length2(y, z) - (0.18 + shimmer * 0.8))),
+                    1 - smoothstep(0, 0.015, Math.abs(length2(x, z) - (0.18 + shimmer * 1.2))));
+                const interference = Math.sin(d1 * 25 + u.time * 0.003) * Math.sin(d2 * 22 + u.time * 0.0025) * 0.1;
+                const volume = Math.exp(-d1 * 3) * 0.15;
+                return Math.max(vertices, edges * 0.7) + interference + volume;
+            }
+        }
+    },
+    {
+        id: 'hypercube',
+        name: 'HYPERCUBE',
+        label: 'Cube',
+        variation: { morphFactor: 0.8 },
+        glsl: {
+            faceted: `
+            vec4 pos = fract(p * u_gridDensity * 0.08);
+            vec4 dist = min(pos, 1.0 - pos);
+            float minDist = min(min(dist.x, dist.y), min(dist.z, dist.w));
+            return minDist * u_morphFactor;`,
+            quantum: `
+            vec3 grid = fract(p * gridSize);
+            vec3 edges = min(grid, 1.0 - grid);
+            float minEdge = min(min(edges.x, edges.y), edges.z);
+            float lattice = 1.0 - smoothstep(0.0, 0.03, minEdge);
+
+            vec3 centers = abs(grid - 0.5);
+            float maxCenter = max(max(centers.x, centers.y), centers.z);
+            float vertices = 1.0 - smoothstep(0.45, 0.5, maxCenter);
+
+            return max(lattice * 0.7, vertices);`,
+            holographic: `
+            vec3 grid = fract(p * gridSize);
+            vec3 q = grid - 0.5;
+
+            // Enhanced hypercube with 4D projection effects
+            vec3 edges = 1.0 - smoothstep(0.0, 0.025, abs(q));
+            float wireframe = max(max(edges.x, edges.y), edges.z);
+
+            // Add 4D hypercube vertices (8 corners + 8 hypervertices)
+            float vertices = 0.0;
+            for(int i = 0; i < 8; i++) {
+                // WebGL 1.0 compatible modulus replacement
+                float iFloat = float(i);
+                vec3 corner = vec3(
+                    floor(iFloat - floor(iFloat / 2.0) * 2.0) - 0.5,
+                    floor((iFloat / 2.0) - floor((iFloat / 2.0) / 2.0) * 2.0) - 0.5,
+                    float(i / 4) - 0.5
+                );
+                float dist = length(q - corner * 0.4);
+                vertices = max(vertices, 1.0 - smoothstep(0.0, 0.04, dist));
+            }
+
+            // Holographic interference patterns
+            float interference = sin(length(q) * 20.0 + u_time * 0.002) * 0.08;
+
+            // Cross-dimensional glow
+            float glow = exp(-length(q) * 2.5) * 0.12;
+
+            return wireframe * 0.8 + vertices + interference + glow;`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                let minDist = Infinity;
+                for (let i = 0; i < 4; i++) {
+                    const f = fract(p[i] * g);
+                    minDist = Math.min(minDist, f, 1 - f);
+                }
+                return minDist * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                let minEdge = Infinity;
+                let maxCenter = 0;
+                for (let i = 0; i < 3; i++) {
+                    const g = fract(p[i] * gridSize);
+                    minEdge = Math.min(minEdge, g, 1 - g);
+                    maxCenter = Math.max(maxCenter, Math.abs(g - 0.5));
+                }
+                const lattice = 1 - smoothstep(0, 0.03, minEdge);
+                const vertices = 1 - smoothstep(0.45, 0.5, maxCenter);
+                return Math.max(lattice * 0.7, vertices);
+            },
+            holographic: (p, gridSize, u) => {
+                const q = [0, 1, 2].map(i => fract(p[i] * gridSize) - 0.5);
+                const wireframe = Math.max(...q.map(c => 1 - smoothstep(0, 0.025, Math.abs(c))));
+
+                let vertices = 0;
+                for (let i = 0; i < 8; i++) {
+                    const cx = Math.floor(i - Math.floor(i / 2) * 2) - 0.5;
+                    const cy = Math.floor(i / 2 - Math.floor(i / 2 / 2) * 2) - 0.5;
+                    const cz = Math.trunc(i / 4) - 0.5;
+                    const dist = length3(q[0] - cx * 0.4, q[1] - cy * 0.4, q[2] - cz * 0.4);
+                    vertices = Math.max(vertices, 1 - smoothstep(0, 0.04, dist));
+                }
+
+                const r = length3(q[0], q[1], q[2]);
+                const interference = Math.sin(r * 20 + u.time * 0.002) * 0.08;
+                const glow = Math.exp(-r * 2.5) * 0.12;
+                return wireframe * 0.8 + vertices + interference + glow;
+            }
+        }
+    },
+    {
+        id: 'sphere',
+        name: 'SPHERE',
+        label: 'Sphere',
+        variation: { chaos: 1.5 },
+        glsl: {
+            faceted: `
+            float r = length(p);
+            float density = u_gridDensity * 0.08;
+            float spheres = abs(fract(r * density) - 0.5) * 2.0;
+            float theta = atan(p.y, p.x);
+            float harmonics = sin(theta * 3.0) * 0.2;
+            return (spheres + harmonics) * u_morphFactor;`,
+            quantum: `
+            vec3 cell = fract(p * gridSize) - 0.5;
+            float sphere = 1.0 - smoothstep(0.15, 0.25, length(cell));
+
+            float rings = 0.0;
+            float ringRadius = length(cell.xy);
+            rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.3)));
+            rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.2)));
+
+            return max(sphere, rings * 0.6);`,
+            holographic: `
+            vec3 q = fract(p * gridSize) - 0.5;
+            float r = length(q);
+            return 1.0 - smoothstep(0.2, 0.5, r);`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const r = length4(p[0], p[1], p[2], p[3]);
+                const spheres = Math.abs(fract(r * u.gridDensity * 0.08) - 0.5) * 2;
+                const harmonics = Math.sin(Math.atan2(p[1], p[0]) * 3) * 0.2;
+                return (spheres + harmonics) * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const sphere = 1 - smoothstep(0.15, 0.25, length3(x, y, z));
+                const ringRadius = length2(x, y);
+                const rings = Math.max(0,
+                    1 - smoothstep(0, 0.02, Math.abs(ringRadius - 0.3)),
+                    1 - smoothstep(0, 0.02, Math.abs(ringRadius - 0.2)));
+                return Math.max(sphere, rings * 0.6);
+            },
+            holographic: (p, gridSize) => {
+                const r = length3(fract(p[0] * gridSize) - 0.5, fract(p[1] * gridSize) - 0.5, fract(p[2] * gridSize) - 0.5);
+                return 1 - smoothstep(0.2, 0.5, r);
+            }
+        }
+    },
+    {
+        id: 'torus',
+        name: 'TORUS',
+        label: 'Torus',
+        variation: { speed: 1.3 },
+        glsl: {
+            faceted: `
+            float r1 = length(p.xy) - 2.0;
+            float torus = length(vec2(r1, p.z)) - 0.8;
+            float lattice = sin(p.x * u_gridDensity * 0.08) * sin(p.y * u_gridDensity * 0.08);
+            return (torus + lattice * 0.3) * u_morphFactor;`,
+            quantum: `
+            vec3 cell = fract(p * gridSize) - 0.5;
+            float majorRadius = 0.3;
+            float minorRadius = 0.1;
+
+            float toroidalDist = length(vec2(length(cell.xy) - majorRadius, cell.z));
+            float torus = 1.0 - smoothstep(minorRadius - 0.02, minorRadius + 0.02, toroidalDist);
+
+            float rings = 0.0;
+            float angle = atan(cell.y, cell.x);
+            rings = sin(angle * 8.0) * 0.02;
+
+            return max(torus, 0.0) + rings;`,
+            holographic: `
+            vec3 q = fract(p * gridSize) - 0.5;
+            float r1 = sqrt(q.x*q.x + q.y*q.y);
+            float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
+            return 1.0 - smoothstep(0.0, 0.1, r2);`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                const r1 = length2(p[0], p[1]) - 2;
+                const torus = length2(r1, p[2]) - 0.8;
+                const lattice = Math.sin(p[0] * g) * Math.sin(p[1] * g);
+                return (torus + lattice * 0.3) * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const toroidalDist = length2(length2(x, y) - 0.3, z);
+                const torus = 1 - smoothstep(0.1 - 0.02, 0.1 + 0.02, toroidalDist);
+                const rings = Math.sin(Math.atan2(y, x) * 8) * 0.02;
+                return Math.max(torus, 0) + rings;
+            },
+            holographic: (p, gridSize) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const r2 = length2(length2(x, y) - 0.3, z);
+                return 1 - smoothstep(0, 0.1, r2);
+            }
+        }
+    },
+    {
+        id: 'klein',
+        name: 'KLEIN BOTTLE',
+        label: 'Klein',
+        variation: { gridDensity: 0.7, morphFactor: 1.4 },
+        glsl: {
+            faceted: `
+            float u = atan(p.y, p.x);
+            float v = atan(p.w, p.z);
+            float dist = length(p) - 2.0;
+            float lattice = sin(u * u_gridDensity * 0.08) * sin(v * u_gridDensity * 0.08);
+            return (dist + lattice * 0.4) * u_morphFactor;`,
+            quantum: `
+            vec3 cell = fract(p * gridSize) - 0.5;
+            float u = atan(cell.y, cell.x) / 3.14159 + 1.0;
+            float v = cell.z + 0.5;
+
+            float x = (2.0 + cos(u * 0.5)) * cos(u);
+            float y = (2.0 + cos(u * 0.5)) * sin(u);
+            float z = sin(u * 0.5) + v;
+
+            vec3 kleinPoint = vec3(x, y, z) * 0.1;
+            float dist = length(cell - kleinPoint);
+
+            return 1.0 - smoothstep(0.1, 0.15, dist);`,
+            holographic: `
+            vec3 q = fract(p * gridSize);
+            float u = q.x * 2.0 * 3.14159;
+            float v = q.y * 2.0 * 3.14159;
+            float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
+            float klein = length(vec2(x, q.z)) - 0.1;
+            return 1.0 - smoothstep(0.0, 0.05, abs(klein));`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                const uAngle = Math.atan2(p[1], p[0]);
+                const vAngle = Math.atan2(p[3], p[2]);
+                const dist = length4(p[0], p[1], p[2], p[3]) - 2;
+                const lattice = Math.sin(uAngle * g) * Math.sin(vAngle * g);
+                return (dist + lattice * 0.4) * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                const x = fract(p[0] * gridSize) - 0.5;
+                const y = fract(p[1] * gridSize) - 0.5;
+                const z = fract(p[2] * gridSize) - 0.5;
+                const uAngle = Math.atan2(y, x) / 3.14159 + 1;
+                const v = z + 0.5;
+                const kx = (2 + Math.cos(uAngle * 0.5)) * Math.cos(uAngle) * 0.1;
+                const ky = (2 + Math.cos(uAngle * 0.5)) * Math.sin(uAngle) * 0.1;
+                const kz = (Math.sin(uAngle * 0.5) + v) * 0.1;
+                return 1 - smoothstep(0.1, 0.15, length3(x - kx, y - ky, z - kz));
+            },
+            holographic: (p, gridSize) => {
+                const uAngle = fract(p[0] * gridSize) * 2 * 3.14159;
+                const vAngle = fract(p[1] * gridSize) * 2 * 3.14159;
+                const qz = fract(p[2] * gridSize);
+                const x = Math.cos(uAngle) * (3 + Math.cos(uAngle / 2) * Math.sin(vAngle) - Math.sin(uAngle / 2) * Math.sin(2 * vAngle));
+                const klein = length2(x, qz) - 0.1;
+                return 1 - smoothstep(0, 0.05, Math.abs(klein));
+            }
+        }
+    },
+    {
+        id: 'fractal',
+        name: 'FRACTAL',
+        label: 'Fractal',
+        variation: { gridDensity: 0.5, chaos: 2.0 },
+        glsl: {
+            faceted: `
+            vec4 pos = fract(p * u_gridDensity * 0.08);
+            pos = abs(pos * 2.0 - 1.0);
+            float dist = length(max(abs(pos) - 1.0, 0.0));
+            return dist * u_morphFactor;`,
+            quantum: `
+            vec3 cell = fract(p * gridSize);
+            cell = abs(cell * 2.0 - 1.0);
+
+            float dist = length(max(abs(cell) - 0.3, 0.0));
+
+            // Recursive subdivision
+            for(int i = 0; i < 3; i++) {
+                cell = abs(cell * 2.0 - 1.0);
+                float subdist = length(max(abs(cell) - 0.3, 0.0)) / pow(2.0, float(i + 1));
+                dist = min(dist, subdist);
+            }
+
+            return 1.0 - smoothstep(0.0, 0.05, dist);`,
+            holographic: `
+            vec3 q = p * gridSize;
+            float scale = 1.0;
+            float fractal = 0.0;
+            for(int i = 0; i < 4; i++) {
+              q = fract(q) - 0.5;
+              fractal += abs(length(q)) / scale;
+              scale *= 2.0;
+              q *= 2.0;
+            }
+            return 1.0 - smoothstep(0.0, 1.0, fractal);`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                const d = p.map(c => Math.max(Math.abs(Math.abs(fract(c * g) * 2 - 1)) - 1, 0));
+                return length4(d[0], d[1], d[2], d[3]) * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                let cell = [0, 1, 2].map(i => Math.abs(fract(p[i] * gridSize) * 2 - 1));
+                const boxDist = (c) => length3(...c.map(v => Math.max(Math.abs(v) - 0.3, 0)));
+                let dist = boxDist(cell);
+
+                // Recursive subdivision
+                for (let i = 0; i < 3; i++) {
+                    cell = cell.map(v => Math.abs(v * 2 - 1));
+                    dist = Math.min(dist, boxDist(cell) / Math.pow(2, i + 1));
+                }
+                return 1 - smoothstep(0, 0.05, dist);
+            },
+            holographic: (p, gridSize) => {
+                let q = [p[0] * gridSize, p[1] * gridSize, p[2] * gridSize];
+                let scale = 1;
+                let fractal = 0;
+                for (let i = 0; i < 4; i++) {
+                    q = q.map(v => fract(v) - 0.5);
+                    fractal += Math.abs(length3(q[0], q[1], q[2])) / scale;
+                    scale *= 2;
+                    q = q.map(v => v * 2);
+                }
+                return 1 - smoothstep(0, 1, fractal);
+            }
+        }
+    },
+    {
+        id: 'wave',
+        name: 'WAVE',
+        label: 'Wave',
+        variation: { speed: 1.8, chaos: 0.5 },
+        glsl: {
+            faceted: `
+            float freq = u_gridDensity * 0.08;
+            float time = u_time * 0.001 * u_speed;
+            float wave1 = sin(p.x * freq + time);
+            float wave2 = sin(p.y * freq + time * 1.3);
+            float wave3 = sin(p.z * freq * 0.8 + time * 0.7);
+            float interference = wave1 * wave2 * wave3;
+            return interference * u_morphFactor;`,
+            quantum: `
+            float time = u_time * 0.001 * u_speed;
+            vec3 cell = fract(p * gridSize) - 0.5;
+
+            float wave1 = sin(p.x * gridSize * 2.0 + time * 2.0);
+            float wave2 = sin(p.y * gridSize * 1.8 + time * 1.5);
+            float wave3 = sin(p.z * gridSize * 2.2 + time * 1.8);
+
+            float interference = (wave1 + wave2 + wave3) / 3.0;
+            float amplitude = 1.0 - length(cell) * 2.0;
+
+            return max(0.0, interference * amplitude);`,
+            holographic: `
+            vec3 q = p * gridSize;
+            float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
+            return smoothstep(-0.5, 0.5, wave);`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const freq = u.gridDensity * 0.08;
+                const time = u.time * 0.001 * u.speed;
+                const wave1 = Math.sin(p[0] * freq + time);
+                const wave2 = Math.sin(p[1] * freq + time * 1.3);
+                const wave3 = Math.sin(p[2] * freq * 0.8 + time * 0.7);
+                return wave1 * wave2 * wave3 * u.morphFactor;
+            },
+            quantum: (p, gridSize, u) => {
+                const time = u.time * 0.001 * u.speed;
+                const cell = length3(fract(p[0] * gridSize) - 0.5, fract(p[1] * gridSize) - 0.5, fract(p[2] * gridSize) - 0.5);
+                const wave1 = Math.sin(p[0] * gridSize * 2 + time * 2);
+                const wave2 = Math.sin(p[1] * gridSize * 1.8 + time * 1.5);
+                const wave3 = Math.sin(p[2] * gridSize * 2.2 + time * 1.8);
+                const interference = (wave1 + wave2 + wave3) / 3;
+                return Math.max(0, interference * (1 - cell * 2));
+            },
+            holographic: (p, gridSize, u) => {
+                const wave = Math.sin(p[0] * gridSize * 2) * Math.sin(p[1] * gridSize * 2) * Math.sin(p[2] * gridSize * 2 + u.time);
+                return smoothstep(-0.5, 0.5, wave);
+            }
+        }
+    },
+    {
+        id: 'crystal',
+        name: 'CRYSTAL',
+        label: 'Crystal',
+        variation: { gridDensity: 1.5, morphFactor: 0.6 },
+        glsl: {
+            faceted: `
+            vec4 pos = fract(p * u_gridDensity * 0.08) - 0.5;
+            float cube = max(max(abs(pos.x), abs(pos.y)), max(abs(pos.z), abs(pos.w)));
+            return cube * u_morphFactor;`,
+            quantum: `
+            vec3 cell = fract(p * gridSize) - 0.5;
+
+            // Octahedral crystal structure
+            float crystal = max(max(abs(cell.x) + abs(cell.y), abs(cell.y) + abs(cell.z)), abs(cell.x) + abs(cell.z));
+            crystal = 1.0 - smoothstep(0.3, 0.4, crystal);
+
+            // Add crystalline faces
+            float faces = 0.0;
+            faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.x) - 0.35)));
+            faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.y) - 0.35)));
+            faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.z) - 0.35)));
+
+            return max(crystal, faces * 0.5);`,
+            holographic: `
+            vec3 q = fract(p * gridSize) - 0.5;
+            float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
+            return 1.0 - smoothstep(0.3, 0.5, d);`
+        },
+        cpu: {
+            faceted: (p, u) => {
+                const g = u.gridDensity * 0.08;
+                return Math.max(...p.map(c => Math.abs(fract(c * g) - 0.5))) * u.morphFactor;
+            },
+            quantum: (p, gridSize) => {
+                const x = Math.abs(fract(p[0] * gridSize) - 0.5);
+                const y = Math.abs(fract(p[1] * gridSize) - 0.5);
+                const z = Math.abs(fract(p[2] * gridSize) - 0.5);
+                const crystal = 1 - smoothstep(0.3, 0.4, Math.max(x + y, y + z, x + z));
+                const faces = Math.max(0,
+                    1 - smoothstep(0, 0.02, Math.abs(x - 0.35)),
+                    1 - smoothstep(0, 0.02, Math.abs(y - 0.35)),
+                    1 - smoothstep(0, 0.02, Math.abs(z - 0.35)));
+                return Math.max(crystal, faces * 0.5);
+            },
+            holographic: (p, gridSize) => {
+                const d = Math.max(
+                    Math.abs(fract(p[0] * gridSize) - 0.5),
+                    Math.abs(fract(p[1] * gridSize) - 0.5),
+                    Math.abs(fract(p[2] * gridSize) - 0.5));
+                return 1 - smoothstep(0.3, 0.5, d);
+            }
+        }
+    }
+];
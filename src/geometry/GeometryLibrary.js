@@ -1,21 +1,15 @@
 /**
  * VIB3 Geometry Library
- * 8 geometric types with 4D polytopal mathematics integration
+ * Geometric types with 4D polytopal mathematics integration
  * WebGL 1.0 compatible shaders only
+ * Geometry definitions live in GeometryRegistry
  */
 
+import { GeometryRegistry } from './GeometryRegistry.js';
+
 export class GeometryLibrary {
     static getGeometryNames() {
-        return [
-            'TETRAHEDRON',
-            'HYPERCUBE', 
-            'SPHERE',
-            'TORUS',
-            'KLEIN BOTTLE',
-            'FRACTAL',
-            'WAVE',
-            'CRYSTAL'
-        ];
+        return GeometryRegistry.getNames();
     }
     
     static getGeometryName(type) {
@@ -35,37 +29,13 @@ export class GeometryLibrary {
             hue: (geometryType * 45 + level * 15) % 360
         };
         
-        // Geometry-specific adjustments
-        switch (geometryType) {
-            case 0: // Tetrahedron
-                baseParams.gridDensity *= 1.2;
-                break;
-            case 1: // Hypercube
-                baseParams.morphFactor *= 0.8;
-                break;
-            case 2: // Sphere
-                baseParams.chaos *= 1.5;
-                break;
-            case 3: // Torus
-                baseParams.speed *= 1.3;
-                break;
-            case 4: // Klein Bottle
-                baseParams.gridDensity *= 0.7;
-                baseParams.morphFactor *= 1.4;
-                break;
-            case 5: // Fractal
-                baseParams.gridDensity *= 0.5;
-                baseParams.chaos *= 2.0;
-                break;
-            case 6: // Wave
-                baseParams.speed *= 1.8;
-                baseParams.chaos *= 0.5;
-                break;
-            case 7: // Crystal
-                baseParams.gridDensity *= 1.5;
-                baseParams.morphFactor *= 0.6;
-                break;
-        }
+        // Geometry-specific adjustments (multipliers from the registry)
+        const adjustments = GeometryRegistry.getVariationDefaults(geometryType);
+        Object.entries(adjustments).forEach(([param, factor]) => {
+            if (baseParams[param] !== undefined) {
+                baseParams[param] *= factor;
+            }
+        });
         
         return baseParams;
     }
@@ -0,0 +1,301 @@
+/**
+ * VIB34D Geometry Registry
+ * Single source of truth for geometry types - names, variation defaults and GLSL
+ *
+ * Shaders (faceted, quantum, holographic) and exporters assemble their geometry code from here,
+ * so a new geometry only has to be registered once:
+ *
+ *   GeometryRegistry.register({
+ *       id: 'gyroid',                       // GLSL-safe identifier
+ *       name: 'GYROID',
+ *       label: 'Gyroid',                    // short button label (optional)
+ *       variation: { gridDensity: 0.9 },    // multipliers applied to the base variation parameters
+ *       glsl: {
+ *           lattice: `vec3 q = p * gridSize * 6.28;
+ *                     float g = dot(sin(q), cos(q.yzx));
+ *                     return 1.0 - smoothstep(0.0, 0.3, abs(g));`
+ *       }
+ *   });
+ *
+ * GLSL bodies (all may use u_time and u_speed):
+ *   lattice     - float fn(vec3 p, float gridSize), used by every system unless overridden
+ *   faceted     - float fn(vec4 p), may also use u_gridDensity / u_morphFactor
+ *   quantum     - float fn(vec3 p, float gridSize)
+ *   holographic - float fn(vec3 p, float gridSize)
+ *
+ * Shaders have to be (re)compiled after registering - register before engines are created.
+ *
+ * Optional `cpu` functions with the same keys port the GLSL bodies to JavaScript for the CPU
+ * reference renderer (thumbnails, golden tests, no-WebGL fallback):
+ *   lattice/quantum/holographic - (p: [x, y, z], gridSize, u) => number
+ *   faceted                     - (p: [x, y, z, w], u) => number
+ * where u = { time, speed, gridDensity, morphFactor }. Geometries without them render as the
+ * fallback geometry on the CPU.
+ */
+
+import { BUILT_IN_GEOMETRIES } from './BuiltInGeometries.js';
+import { project4Dto3D } from '../reference/ShaderMath.js';
+
+const geometries = [];
+let builtInsLoaded = false;
+
+// Geometry used when a shader receives an out-of-range index (hypercube)
+const DEFAULT_GEOMETRY = 1;
+
+export const SHADER_STYLES = ['faceted', 'quantum', 'holographic'];
+
+export class GeometryRegistry {
+    /**
+     * Register a geometry (replaces an existing geometry with the same id)
+     * @returns {number} Geometry index
+     */
+    static register(definition) {
+        if (!definition || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(definition.id || '')) {
+            throw new Error(`Invalid geometry id: ${definition?.id}`);
+        }
+        if (!definition.name) {
+            throw new Error(`Geometry ${definition.id} needs a display name`);
+        }
+
+        const glsl = definition.glsl || {};
+        if (!glsl.lattice && !(glsl.quantum && glsl.holographic)) {
+            throw new Error(`Geometry ${definition.id} needs a GLSL lattice function`);
+        }
+
+        const cpu = definition.cpu || {};
+        Object.entries(cpu).forEach(([style, fn]) => {
+            if (typeof fn !== 'function') {
+                throw new Error(`Geometry ${definition.id} cpu.${style} must be a function`);
+            }
+        });
+
+        const geometry = {
+            id: definition.id,
+            name: definition.name,
+            label: definition.label || toTitleCase(definition.name),
+            variation: { ...(definition.variation || {}) },
+            glsl: { ...glsl },
+            cpu: { ...cpu }
+        };
+
+        const existing = geometries.findIndex(g => g.id === geometry.id);
+        if (existing >= 0) {
+            geometries[existing] = geometry;
+            return existing;
+        }
+
+        geometries.push(geometry);
+        if (builtInsLoaded) {
+            console.log(`🔷 Registered geometry ${geometries.length - 1}: ${geometry.name}`);
+        }
+        return geometries.length - 1;
+    }
+
+    static get(index) {
+        return geometries[index] || null;
+    }
+
+    static getById(id) {
+        return geometries.find(g => g.id === id) || null;
+    }
+
+    static indexOf(id) {
+        return geometries.findIndex(g => g.id === id);
+    }
+
+    static getAll() {
+        return [...geometries];
+    }
+
+    static getCount() {
+        return geometries.length;
+    }
+
+    static getNames() {
+        return geometries.map(g => g.name);
+    }
+
+    static getName(index) {
+        return geometries[index]?.name || 'UNKNOWN';
+    }
+
+    /**
+     * Display name in title case (e.g. 'Klein Bottle')
+     */
+    static getDisplayName(index) {
+        return geometries[index] ? toTitleCase(geometries[index].name) : 'Unknown';
+    }
+
+    /**
+     * Variation multipliers for a geometry (e.g. { gridDensity: 1.2 })
+     */
+    static getVariationDefaults(index) {
+        return { ...(geometries[index]?.variation || {}) };
+    }
+
+    /**
+     * Assemble the geometry GLSL for a shader style
+     *
+     * faceted     → float geometryFunction(vec4 p)              (needs project4Dto3D for lattice fallbacks)
+     * quantum     → float geometryFunction(vec4 p)              (needs project4Dto3D)
+     * holographic → float getDynamicGeometry(vec3 p, float gridSize, float geometryType)
+     */
+    static getShaderFunctions(style) {
+        if (!SHADER_STYLES.includes(style)) {
+            throw new Error(`Unknown geometry shader style: ${style}`);
+        }
+        if (geometries.length === 0) {
+            throw new Error('No geometries registered');
+        }
+
+        if (style === 'faceted') {
+            return this.buildFacetedFunctions();
+        }
+        return style === 'quantum' ? this.buildQuantumFunctions() : this.buildHolographicFunctions();
+    }
+
+    static buildFacetedFunctions() {
+        const functions = geometries.map(geometry => {
+            if (geometry.glsl.faceted) {
+                return glslFunction(`${geometry.id}Geometry`, 'vec4 p', geometry.glsl.faceted);
+            }
+            // Lattice-only geometries are sampled in projected 3D, like the quantum system
+            return glslFunction(`${geometry.id}Lattice`, 'vec3 p, float gridSize', getLatticeBody(geometry, 'faceted')) + '\n\n' +
+                glslFunction(`${geometry.id}Geometry`, 'vec4 p',
+                    `return ${geometry.id}Lattice(project4Dto3D(p), u_gridDensity * 0.08) * u_morphFactor;`);
+        });
+
+        const branches = geometries.map((geometry, index) =>
+            `    if (geomType == ${index}) return ${geometry.id}Geometry(p);`);
+
+        return `${functions.join('\n\n')}
+
+float geometryFunction(vec4 p) {
+    int geomType = int(u_geometry);
+${branches.join('\n')}
+    return ${getFallback().id}Geometry(p);
+}`;
+    }
+
+    static buildQuantumFunctions() {
+        const functions = geometries.map(geometry =>
+            glslFunction(`${geometry.id}Lattice`, 'vec3 p, float gridSize', getLatticeBody(geometry, 'quantum')));
+
+        const branches = geometries.map((geometry, index) =>
+            `    if (geomType == ${index}) return ${geometry.id}Lattice(p3d, gridSize) * u_morphFactor;`);
+
+        return `${functions.join('\n\n')}
+
+float geometryFunction(vec4 p) {
+    int geomType = int(u_geometry);
+    vec3 p3d = project4Dto3D(p);
+    float gridSize = u_gridDensity * 0.08;
+${branches.join('\n')}
+    return ${getFallback().id}Lattice(p3d, gridSize) * u_morphFactor;
+}`;
+    }
+
+    static buildHolographicFunctions() {
+        const count = `${geometries.length}.0`;
+        const functions = geometries.map(geometry =>
+            glslFunction(`${geometry.id}Lattice`, 'vec3 p, float gridSize', getLatticeBody(geometry, 'holographic')));
+
+        const last = geometries.length - 1;
+        const branches = geometries.slice(0, last).map((geometry, index) =>
+            `    if (baseGeom == ${index}) return ${geometry.id}Lattice(p, variedGridSize);`);
+
+        return `${functions.join('\n\n')}
+
+float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
+    // WebGL 1.0 compatible modulus replacement
+    float baseGeomFloat = geometryType - floor(geometryType / ${count}) * ${count};
+    int baseGeom = int(baseGeomFloat);
+    float variation = floor(geometryType / ${count}) / 4.0;
+    float variedGridSize = gridSize * (0.5 + variation * 1.5);
+${branches.join('\n')}
+    return ${geometries[last].id}Lattice(p, variedGridSize);
+}`;
+    }
+
+    /**
+     * JavaScript equivalents of getShaderFunctions for the CPU reference renderer
+     *
+     * faceted     → (p4, u) => value                          (geometryFunction)
+     * quantum     → (p4, u) => value                          (geometryFunction)
+     * holographic → (p3, gridSize, geometryType, u) => value  (getDynamicGeometry)
+     * u carries geometry (index), time, speed, gridDensity and morphFactor.
+     */
+    static getCpuFunctions(style) {
+        if (!SHADER_STYLES.includes(style)) {
+            throw new Error(`Unknown geometry shader style: ${style}`);
+        }
+        if (geometries.length === 0) {
+            throw new Error('No geometries registered');
+        }
+
+        if (style === 'faceted') {
+            const functions = geometries.map(geometry => {
+                if (geometry.cpu.faceted) return geometry.cpu.faceted;
+                const lattice = getCpuLattice(geometry, 'faceted');
+                return lattice ? (p, u) => lattice(project4Dto3D(p, u.projection), u.gridDensity * 0.08, u) * u.morphFactor : null;
+            });
+            return (p, u) => (functions[Math.trunc(u.geometry)] || getCpuFallback(functions))(p, u);
+        }
+
+        if (style === 'quantum') {
+            const functions = geometries.map(geometry => getCpuLattice(geometry, 'quantum'));
+            return (p, u) => {
+                const lattice = functions[Math.trunc(u.geometry)] || getCpuFallback(functions);
+                return lattice(project4Dto3D(p, u.projection), u.gridDensity * 0.08, u) * u.morphFactor;
+            };
+        }
+
+        const count = geometries.length;
+        const functions = geometries.map(geometry => getCpuLattice(geometry, 'holographic'));
+        return (p, gridSize, geometryType, u) => {
+            const baseGeom = Math.trunc(geometryType - Math.floor(geometryType / count) * count);
+            const variation = Math.floor(geometryType / count) / 4;
+            const variedGridSize = gridSize * (0.5 + variation * 1.5);
+            const lattice = functions[Math.min(baseGeom, count - 1)] || getCpuFallback(functions);
+            return lattice(p, variedGridSize, u);
+        };
+    }
+}
+
+function getCpuLattice(geometry, style) {
+    const { cpu } = geometry;
+    if (style === 'quantum') return cpu.quantum || cpu.lattice || cpu.holographic || null;
+    if (style === 'holographic') return cpu.holographic || cpu.lattice || cpu.quantum || null;
+    return cpu.lattice || cpu.quantum || cpu.holographic || null;
+}
+
+// Out-of-range indices and geometries without CPU ports use the fallback geometry
+function getCpuFallback(functions) {
+    return functions[geometries.indexOf(getFallback())] || functions.find(Boolean);
+}
+
+function getLatticeBody(geometry, style) {
+    const { glsl } = geometry;
+    if (style === 'quantum') return glsl.quantum || glsl.lattice || glsl.holographic;
+    if (style === 'holographic') return glsl.holographic || glsl.lattice || glsl.quantum;
+    return glsl.lattice || glsl.quantum || glsl.holographic;
+}
+
+function toTitleCase(name) {
+    return name.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function getFallback() {
+    return geometries[DEFAULT_GEOMETRY] || geometries[0];
+}
+
+function glslFunction(name, signature, body) {
+    const lines = body.replace(/^\n+|\s+$/g, '').split('\n');
+    const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+    const base = Math.min(...indents);
+    const indented = lines.map(line => line.trim() ? '    ' + line.slice(Math.min(base, line.match(/^\s*/)[0].length)) : '');
+    return `float ${name}(${signature}) {\n${indented.join('\n')}\n}`;
+}
+
+BUILT_IN_GEOMETRIES.forEach(definition => GeometryRegistry.register(definition));
+builtInsLoaded = true;
@@ -0,0 +1,314 @@
+/**
+ * VIB34D Hyperplane Slicer
+ * Cross-sections of the regular polychora - the 3D polyhedron where a hyperplane n·p = k cuts a 4D mesh
+ *
+ * Works on getPolytope() meshes:
+ *   vertices - edges crossing the hyperplane, plus mesh vertices lying on it
+ *   edges    - one segment per 2-face the hyperplane cuts (faces lying in it keep their own edges)
+ *   faces    - one polygon per cell the hyperplane cuts
+ *
+ * Slice vertices are expressed in an orthonormal basis of the hyperplane, so w = k slices come
+ * out in plain x, y, z. The default normal (0, 0, 0, 1) is the classic "tesseract passing
+ * through 3D space"; rotating the polytope first (rot4dXY…rot4dZW) tilts the slice.
+ */
+
+import { rotate4D } from '../reference/ShaderMath.js';
+import { getPolytope } from './RegularPolychora.js';
+
+export const DEFAULT_SLICE_NORMAL = [0, 0, 0, 1];
+
+const EPSILON = 1e-9;
+
+// Seconds for one sweep through the polytope and back at sweep speed 1
+const SWEEP_PERIOD = 8;
+
+// Face and cell incidence per mesh topology (shared between scaled copies of a mesh)
+const incidenceCache = new WeakMap();
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Unit-length copy of a 4D normal
+ */
+export function normalizeNormal(normal = DEFAULT_SLICE_NORMAL) {
+    const length = Array.isArray(normal) && normal.length === 4 ? Math.hypot(...normal) : NaN;
+    if (!(length > EPSILON)) {
+        throw new Error('Slice normal must be a non-zero 4D vector');
+    }
+    return normal.map(value => value / length);
+}
+
+/**
+ * Three orthonormal 4D vectors spanning the hyperplane - the coordinate axis most aligned with
+ * the normal is dropped and the other three are orthogonalized (w-normals give x, y, z)
+ */
+export function getHyperplaneBasis(normal = DEFAULT_SLICE_NORMAL) {
+    const n = normalizeNormal(normal);
+    let dropped = 0;
+    n.forEach((value, axis) => {
+        if (Math.abs(value) > Math.abs(n[dropped])) dropped = axis;
+    });
+
+    const basis = [];
+    [0, 1, 2, 3].filter(axis => axis !== dropped).forEach(axis => {
+        const v = [0, 0, 0, 0];
+        v[axis] = 1;
+        [n, ...basis].forEach(u => {
+            const d = dot(v, u);
+            for (let i = 0; i < 4; i++) v[i] -= d * u[i];
+        });
+        const length = Math.hypot(...v);
+        basis.push(v.map(value => value / length));
+    });
+    return basis;
+}
+
+/**
+ * Mesh vertices after the optional six-plane rotation
+ */
+function transformVertices(mesh, rotation) {
+    if (!rotation) return mesh.vertices;
+    return mesh.vertices.map(vertex => rotate4D([...vertex], rotation));
+}
+
+/**
+ * Extent of a mesh along a normal - the offsets where the hyperplane first and last touches it
+ * @param {Object} options - { normal, rotation }
+ * @returns {Object} { min, max }
+ */
+export function getSliceRange(mesh, options = {}) {
+    const n = normalizeNormal(options.normal);
+    let min = Infinity;
+    let max = -Infinity;
+    transformVertices(mesh, options.rotation).forEach(vertex => {
+        const d = dot(vertex, n);
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+    });
+    return { min, max };
+}
+
+/**
+ * Faces of each cell, as indices into mesh.faces
+ */
+function getCellFaces(mesh) {
+    let cellFaces = incidenceCache.get(mesh.cells);
+    if (!cellFaces) {
+        cellFaces = mesh.cells.map(cell => {
+            const inCell = new Set(cell);
+            const faces = [];
+            mesh.faces.forEach((face, index) => {
+                if (face.every(vertex => inCell.has(vertex))) faces.push(index);
+            });
+            return faces;
+        });
+        incidenceCache.set(mesh.cells, cellFaces);
+    }
+    return cellFaces;
+}
+
+/**
+ * Walk a set of edges as one closed polygon - null unless they form exactly one cycle
+ */
+function edgesToPolygon(edgeList) {
+    const neighbours = new Map();
+    edgeList.forEach(([a, b]) => {
+        if (!neighbours.has(a)) neighbours.set(a, []);
+        if (!neighbours.has(b)) neighbours.set(b, []);
+        neighbours.get(a).push(b);
+        neighbours.get(b).push(a);
+    });
+    if (neighbours.size < 3 || edgeList.length !== neighbours.size) return null;
+    if ([...neighbours.values()].some(list => list.length !== 2)) return null;
+
+    const start = edgeList[0][0];
+    const polygon = [start];
+    let previous = start;
+    let current = neighbours.get(start)[0];
+    while (current !== start) {
+        polygon.push(current);
+        const [a, b] = neighbours.get(current);
+        const next = a === previous ? b : a;
+        previous = current;
+        current = next;
+    }
+    return polygon.length === neighbours.size ? polygon : null;
+}
+
+/**
+ * Intersect a polytope mesh with the hyperplane n·p = offset
+ * @param {Object|string|number} meshOrId - getPolytope() mesh, or a polytope id/index
+ * @param {Object} options - { normal, offset, rotation } (rotation uses the rot4d* parameter names)
+ * @returns {Object} { vertices: [x, y, z][], edges: [a, b][], faces: number[][], normal, offset, basis }
+ */
+export function slicePolytope(meshOrId, options = {}) {
+    const mesh = typeof meshOrId === 'object' ? meshOrId : getPolytope(meshOrId);
+    const normal = normalizeNormal(options.normal);
+    const offset = Number.isFinite(options.offset) ? options.offset : 0;
+    const basis = getHyperplaneBasis(normal);
+    const positions = transformVertices(mesh, options.rotation);
+
+    // Signed distance of every vertex - vertices within tolerance lie on the hyperplane
+    const tolerance = EPSILON * Math.max(1, mesh.circumradius || 1) * 1e3;
+    const distances = positions.map(vertex => {
+        const d = dot(vertex, normal) - offset;
+        return Math.abs(d) <= tolerance ? 0 : d;
+    });
+
+    const vertices = [];
+    const vertexKeys = new Map();
+    const addVertex = (key, point) => {
+        if (!vertexKeys.has(key)) {
+            vertexKeys.set(key, vertices.length);
+            vertices.push(basis.map(axis => dot(point, axis)));
+        }
+        return vertexKeys.get(key);
+    };
+    const onPlane = index => addVertex(`v${index}`, positions[index]);
+    const crossing = (a, b) => {
+        const [i, j] = a < b ? [a, b] : [b, a];
+        const t = distances[i] / (distances[i] - distances[j]);
+        const point = positions[i].map((value, axis) => value + (positions[j][axis] - value) * t);
+        return addVertex(`e${i}-${j}`, point);
+    };
+
+    // Each 2-face contributes the segment where the hyperplane cuts it
+    const edges = [];
+    const edgeKeys = new Map();
+    const addEdge = (a, b) => {
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (!edgeKeys.has(key)) {
+            edgeKeys.set(key, edges.length);
+            edges.push([a, b]);
+        }
+        return edgeKeys.get(key);
+    };
+
+    const faces = [];
+    const faceKeys = new Set();
+    const addFace = polygon => {
+        const key = [...polygon].sort((a, b) => a - b).join(',');
+        if (!faceKeys.has(key)) {
+            faceKeys.add(key);
+            faces.push(polygon);
+        }
+    };
+
+    const faceEdges = mesh.faces.map(face => {
+        if (face.every(vertex => distances[vertex] === 0)) {
+            // Face lies in the hyperplane - it is a face of the slice
+            const polygon = face.map(onPlane);
+            addFace(polygon);
+            return polygon.map((a, i) => addEdge(a, polygon[(i + 1) % polygon.length]));
+        }
+
+        const points = [];
+        face.forEach((a, i) => {
+            const b = face[(i + 1) % face.length];
+            if (distances[a] === 0) points.push(onPlane(a));
+            if (distances[a] * distances[b] < 0) points.push(crossing(a, b));
+        });
+        const unique = [...new Set(points)];
+        return unique.length === 2 ? [addEdge(unique[0], unique[1])] : [];
+    });
+
+    // Each cell the hyperplane cuts contributes the polygon closed by its faces' segments
+    getCellFaces(mesh).forEach((cellFaces, cellIndex) => {
+        if (mesh.cells[cellIndex].every(vertex => distances[vertex] === 0)) return;
+        const cellEdges = [...new Set(cellFaces.flatMap(face => faceEdges[face]))];
+        if (cellEdges.length < 3) return;
+        const polygon = edgesToPolygon(cellEdges.map(index => edges[index]));
+        if (polygon) addFace(polygon);
+    });
+
+    return { vertices, edges, faces, normal, offset, basis };
+}
+
+/**
+ * Ping-pong sweep position in [-1, 1] - starts at -1 and takes one period to get there and back
+ */
+export function sweepPosition(time, period = SWEEP_PERIOD) {
+    if (!(period > 0)) return -1;
+    return -Math.cos((time / period) * Math.PI * 2);
+}
+
+/**
+ * Slice mode state shared by the polychora renderers - which hyperplane, where it sits between
+ * the polytope's extremes (position -1…1), and how fast it sweeps
+ */
+export class SliceController {
+    constructor(options = {}) {
+        this.enabled = false;
+        this.normal = [...DEFAULT_SLICE_NORMAL];
+        this.position = 0;
+        this.sweepSpeed = 0;
+        this.sweepTime = SWEEP_PERIOD / 4;
+        this.set(options);
+    }
+
+    /**
+     * Update any of { enabled, normal, position, sweepSpeed } - sweepSpeed 1 sweeps through and back in 8 seconds
+     */
+    set(options = {}) {
+        if (options.enabled !== undefined) this.enabled = !!options.enabled;
+        if (options.normal !== undefined) this.normal = normalizeNormal(options.normal);
+        if (options.position !== undefined) this.setPosition(options.position);
+        if (options.sweepSpeed !== undefined) {
+            const speed = parseFloat(options.sweepSpeed);
+            this.sweepSpeed = isNaN(speed) ? 0 : Math.max(0, speed);
+        }
+        return this.getState();
+    }
+
+    setPosition(position) {
+        const value = parseFloat(position);
+        if (!isNaN(value)) {
+            this.position = Math.max(-1, Math.min(1, value));
+            // A running sweep continues from wherever the hyperplane was put
+            this.sweepTime = (Math.acos(-this.position) / (Math.PI * 2)) * SWEEP_PERIOD;
+        }
+        return this.position;
+    }
+
+    /**
+     * Nudge the hyperplane, e.g. from scroll velocity
+     */
+    move(delta) {
+        return this.setPosition(this.position + delta);
+    }
+
+    /**
+     * Advance a running sweep by dt seconds
+     */
+    advance(dt) {
+        if (!this.enabled || this.sweepSpeed <= 0) return this.position;
+        this.sweepTime += dt * this.sweepSpeed;
+        this.position = sweepPosition(this.sweepTime, SWEEP_PERIOD);
+        return this.position;
+    }
+
+    /**
+     * Current cross-section of a polytope, or null while slice mode is off
+     * @param {string|number} polytope - Polytope id or index
+     * @param {Object} rotation - rot4d* angles applied before slicing
+     * @param {Object} meshOptions - getPolytope() size options
+     */
+    compute(polytope, rotation, meshOptions = {}) {
+        if (!this.enabled) return null;
+        const mesh = getPolytope(polytope, meshOptions);
+        const { min, max } = getSliceRange(mesh, { normal: this.normal, rotation });
+        const offset = min + (max - min) * (this.position + 1) / 2;
+        return { ...slicePolytope(mesh, { normal: this.normal, offset, rotation }), position: this.position, range: { min, max } };
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            normal: [...this.normal],
+            position: this.position,
+            sweepSpeed: this.sweepSpeed
+        };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * VIB34D Polytope Topology
+ * Shared helpers for building 4-polytope meshes - vector maths, edge adjacency and 2-faces
+ */
+
+export const EPSILON = 1e-6;
+
+export function normalize(v) {
+    const length = Math.hypot(...v);
+    return v.map(x => x / length);
+}
+
+export function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+export function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]);
+}
+
+export function buildAdjacency(vertexCount, edges) {
+    const adjacency = Array.from({ length: vertexCount }, () => new Set());
+    edges.forEach(([a, b]) => {
+        adjacency[a].add(b);
+        adjacency[b].add(a);
+    });
+    return adjacency;
+}
+
+/**
+ * 2-faces - polygons shared by two cells, ordered around their edges
+ */
+export function findFaces(vertexCount, cells, adjacency) {
+    const cellsByVertex = Array.from({ length: vertexCount }, () => []);
+    cells.forEach((cell, index) => cell.forEach(vertex => cellsByVertex[vertex].push(index)));
+    const cellSets = cells.map(cell => new Set(cell));
+
+    const faces = new Map();
+    cells.forEach((cell, index) => {
+        const candidates = new Set(cell.flatMap(vertex => cellsByVertex[vertex]));
+        candidates.forEach(other => {
+            if (other <= index) return;
+            const shared = cell.filter(vertex => cellSets[other].has(vertex));
+            if (shared.length < 3) return;
+            const key = [...shared].sort((a, b) => a - b).join(',');
+            if (!faces.has(key)) {
+                faces.set(key, orderPolygon(shared, adjacency));
+            }
+        });
+    });
+    return [...faces.values()];
+}
+
+export function orderPolygon(vertices, adjacency) {
+    const remaining = new Set(vertices.slice(1));
+    const ordered = [vertices[0]];
+    while (remaining.size > 0) {
+        const last = ordered[ordered.length - 1];
+        const next = [...remaining].find(vertex => adjacency[last].has(vertex));
+        if (next === undefined) break;
+        ordered.push(next);
+        remaining.delete(next);
+    }
+    return ordered;
+}
@@ -0,0 +1,174 @@
+/**
+ * VIB34D 4D → 3D Projections
+ * The projection every system uses to bring its rotated 4D points into 3D
+ *
+ *   0 perspective   - from a viewpoint at distance d along -w: p.xyz · d / (d + p.w)
+ *   1 orthographic  - drop w: p.xyz
+ *   2 stereographic - from the pole of the 3-sphere through each point: p.xyz / (1 + p.w / |p|)
+ *   3 schlegel      - perspective from just outside the near cell of a unit polytope, so that cell
+ *                     becomes the outer boundary and the rest nests inside it
+ *
+ * Shaders get all four as weights (u_projectionWeights) so switching modes can blend smoothly.
+ * Perspective at the default distance 2.5 is the projection every shader used to hard-code.
+ * Shaders that evaluate distance fields in 4D (polychora) go the other way with unproject3Dto4D().
+ */
+
+export const PROJECTION_MODES = [
+    { id: 'perspective', name: 'Perspective' },
+    { id: 'orthographic', name: 'Orthographic' },
+    { id: 'stereographic', name: 'Stereographic' },
+    { id: 'schlegel', name: 'Schlegel Diagram' }
+];
+
+export const DEFAULT_PROJECTION_DISTANCE = 2.5;
+
+// Schlegel viewpoint along -w - just outside the cells of a unit-circumradius polytope
+export const SCHLEGEL_EYE = 1.2;
+
+// Smallest denominator, so points behind the viewpoint don't flip or explode
+const MIN_DENOMINATOR = 0.05;
+
+const BLEND_DURATION = 600;
+
+const PERSPECTIVE_WEIGHTS = [1, 0, 0, 0];
+
+// Fixed-point steps when lifting a 3D point back into 4D - perspective, orthographic and Schlegel
+// are exact after one, stereographic converges for w >= 0 (nearer the pole a point may have no preimage)
+const UNPROJECT_ITERATIONS = 6;
+
+/**
+ * GLSL project4Dto3D() and unproject3Dto4D() - include in any shader that sets u_projectionWeights
+ * and u_projectionDistance
+ */
+export const PROJECTION_GLSL = `
+uniform vec4 u_projectionWeights;
+uniform float u_projectionDistance;
+
+// Blended projection scale of a 4D point - project4Dto3D(p) = p.xyz * projectionScale(p)
+float projectionScale(vec4 p) {
+    float perspective = u_projectionDistance / max(u_projectionDistance + p.w, ${MIN_DENOMINATOR.toFixed(2)});
+    float stereographic = 1.0 / max(1.0 + p.w / max(length(p), 0.0001), ${MIN_DENOMINATOR.toFixed(2)});
+    float schlegel = ${SCHLEGEL_EYE.toFixed(2)} / max(${SCHLEGEL_EYE.toFixed(2)} + p.w, ${MIN_DENOMINATOR.toFixed(2)});
+    return dot(u_projectionWeights, vec4(perspective, 1.0, stereographic, schlegel));
+}
+
+vec3 project4Dto3D(vec4 p) {
+    return p.xyz * projectionScale(p);
+}
+
+// The 4D point at depth w that projects onto q - for shaders that sample 4D space directly
+vec4 unproject3Dto4D(vec3 q, float w) {
+    vec4 p = vec4(q, w);
+    for (int i = 0; i < ${UNPROJECT_ITERATIONS}; i++) {
+        p.xyz = q / projectionScale(p);
+    }
+    return p;
+}
+`;
+
+/**
+ * Projection index from an index or id ('stereographic') - unknown values fall back to perspective
+ */
+export function getProjectionIndex(mode) {
+    if (typeof mode === 'string' && isNaN(parseFloat(mode))) {
+        const index = PROJECTION_MODES.findIndex(projection => projection.id === mode);
+        return index === -1 ? 0 : index;
+    }
+    const index = Math.round(parseFloat(mode));
+    return index >= 0 && index < PROJECTION_MODES.length ? index : 0;
+}
+
+/**
+ * One-hot weights [perspective, orthographic, stereographic, schlegel] for a mode
+ */
+export function getProjectionWeights(mode) {
+    const weights = [0, 0, 0, 0];
+    weights[getProjectionIndex(mode)] = 1;
+    return weights;
+}
+
+export function getProjectionDistance(distance) {
+    const value = parseFloat(distance);
+    return value > 0 ? value : DEFAULT_PROJECTION_DISTANCE;
+}
+
+/**
+ * JavaScript projectionScale() - same maths as PROJECTION_GLSL
+ * @param {number[]} p - [x, y, z, w]
+ * @param {Object} projection - { weights, distance } (defaults to perspective at 2.5)
+ */
+export function projectionScale(p, projection = {}) {
+    const weights = projection.weights || PERSPECTIVE_WEIGHTS;
+    const distance = getProjectionDistance(projection.distance);
+
+    let scale = weights[1];
+    if (weights[0]) scale += weights[0] * (distance / Math.max(distance + p[3], MIN_DENOMINATOR));
+    if (weights[2]) {
+        const radius = Math.max(Math.hypot(p[0], p[1], p[2], p[3]), 0.0001);
+        scale += weights[2] / Math.max(1 + p[3] / radius, MIN_DENOMINATOR);
+    }
+    if (weights[3]) scale += weights[3] * (SCHLEGEL_EYE / Math.max(SCHLEGEL_EYE + p[3], MIN_DENOMINATOR));
+    return scale;
+}
+
+// JavaScript project4Dto3D()
+export function projectPoint(p, projection) {
+    const scale = projectionScale(p, projection);
+    return [p[0] * scale, p[1] * scale, p[2] * scale];
+}
+
+// JavaScript unproject3Dto4D()
+export function unprojectPoint(q, w, projection) {
+    const p = [q[0], q[1], q[2], w];
+    for (let i = 0; i < UNPROJECT_ITERATIONS; i++) {
+        const scale = projectionScale(p, projection);
+        p[0] = q[0] / scale;
+        p[1] = q[1] / scale;
+        p[2] = q[2] / scale;
+    }
+    return p;
+}
+
+/**
+ * Eases projection weights from the old mode to a newly selected one.
+ * Each visualizer keeps its own - call update() with the projection parameter every frame.
+ */
+export class ProjectionBlender {
+    /**
+     * @param {Object} options - { duration } in ms, { now } clock (defaults to performance.now)
+     */
+    constructor(options = {}) {
+        this.duration = options.duration ?? BLEND_DURATION;
+        this.now = options.now || (() => performance.now());
+        this.mode = null;
+        this.from = getProjectionWeights(0);
+        this.to = this.from;
+        this.start = 0;
+    }
+
+    /**
+     * Weights for this frame
+     * @param {number|string} mode - Projection index or id
+     * @param {boolean} immediate - Jump straight to the mode (offline rendering, first frame)
+     */
+    update(mode, immediate = false) {
+        const index = getProjectionIndex(mode);
+        const now = this.now();
+        if (this.mode === null || immediate) {
+            this.mode = index;
+            this.from = this.to = getProjectionWeights(index);
+        } else if (index !== this.mode) {
+            this.from = this.getWeights(now);
+            this.to = getProjectionWeights(index);
+            this.mode = index;
+            this.start = now;
+        }
+        return this.getWeights(now);
+    }
+
+    getWeights(now = this.now()) {
+        const t = this.duration > 0 ? Math.min(1, Math.max(0, (now - this.start) / this.duration)) : 1;
+        const eased = t * t * (3 - 2 * t);
+        return this.from.map((weight, i) => weight + (this.to[i] - weight) * eased);
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * VIB34D Regular Polychora
+ * Exact vertex, edge, face and cell meshes for the six regular convex 4-polytopes
+ *
+ * Vertices come from the classical coordinates (the 120-cell is built as the dual of the 600-cell).
+ * The rest of the mesh is derived from them:
+ *   edges - vertex pairs at the minimum distance
+ *   cells - vertices on each facet hyperplane (facet normals point at the dual's vertices), or the
+ *           tetrahedra of the edge graph when the dual isn't known yet (600-cell)
+ *   faces - polygons shared by two cells, vertices in cyclic order
+ *
+ * Uniform polychora from the Wythoff construction (WythoffConstruction.js) share the same API. The
+ * named ones follow the regular ones in the index order; any other diagram works by itself as an id.
+ *
+ * Meshes are built once and cached at unit circumradius. Topology arrays are shared between
+ * calls - treat them as read-only.
+ */
+
+import { EPSILON, buildAdjacency, distance, dot, findFaces, normalize } from './PolytopeTopology.js';
+import { UNIFORM_POLYCHORA, buildWythoffPolytope, isCoxeterDiagram, parseCoxeterDiagram } from './WythoffConstruction.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * Index = polytope index used by PolychoraSystem and Polychora4DPhysics (uniform polychora continue from 6)
+ */
+export const REGULAR_POLYCHORA = [
+    {
+        id: '5-cell',
+        name: '5-Cell',
+        schlafli: '{3,3,3}',
+        description: '4-Simplex with 5 tetrahedral cells',
+        cell: 'tetrahedron',
+        counts: { vertices: 5, edges: 10, faces: 10, cells: 5 }
+    },
+    {
+        id: 'tesseract',
+        name: 'Tesseract',
+        schlafli: '{4,3,3}',
+        description: '8-Cell hypercube with 8 cubic cells',
+        cell: 'cube',
+        counts: { vertices: 16, edges: 32, faces: 24, cells: 8 }
+    },
+    {
+        id: '16-cell',
+        name: '16-Cell',
+        schlafli: '{3,3,4}',
+        description: '4-Orthoplex with 16 tetrahedral cells',
+        cell: 'tetrahedron',
+        counts: { vertices: 8, edges: 24, faces: 32, cells: 16 }
+    },
+    {
+        id: '24-cell',
+        name: '24-Cell',
+        schlafli: '{3,4,3}',
+        description: 'Unique 4D polytope with 24 octahedral cells',
+        cell: 'octahedron',
+        counts: { vertices: 24, edges: 96, faces: 96, cells: 24 }
+    },
+    {
+        id: '600-cell',
+        name: '600-Cell',
+        schlafli: '{3,3,5}',
+        description: 'Icosahedral symmetry with 600 tetrahedral cells',
+        cell: 'tetrahedron',
+        counts: { vertices: 120, edges: 720, faces: 1200, cells: 600 }
+    },
+    {
+        id: '120-cell',
+        name: '120-Cell',
+        schlafli: '{5,3,3}',
+        description: 'Largest regular 4D polytope with 120 dodecahedral cells',
+        cell: 'dodecahedron',
+        counts: { vertices: 600, edges: 1200, faces: 720, cells: 120 }
+    }
+];
+
+const CELL_VERTEX_COUNTS = { tetrahedron: 4, cube: 8, octahedron: 6, dodecahedron: 20 };
+
+const meshCache = new Map();
+
+/**
+ * Every sign combination of the non-zero coordinates
+ */
+function signVariants(base) {
+    let variants = [[]];
+    base.forEach(value => {
+        const options = value === 0 ? [0] : [value, -value];
+        variants = variants.flatMap(prefix => options.map(option => [...prefix, option]));
+    });
+    return variants;
+}
+
+/**
+ * All permutations of four coordinates (only the even ones with evenOnly), duplicates removed
+ */
+function permutations(base, evenOnly = false) {
+    const results = new Map();
+    const permute = (items, used, parity) => {
+        if (items.length === base.length) {
+            if (!evenOnly || parity === 0) {
+                results.set(items.join(','), items);
+            }
+            return;
+        }
+        base.forEach((value, index) => {
+            if (used.includes(index)) return;
+            // Each index placed before a smaller unused one adds an inversion
+            const inversions = base.filter((_, other) => other < index && !used.includes(other)).length;
+            permute([...items, value], [...used, index], (parity + inversions) % 2);
+        });
+    };
+    permute([], [], 0);
+    return [...results.values()];
+}
+
+function signedPermutations(base, evenOnly = false) {
+    const unique = new Map();
+    signVariants(base).forEach(variant => {
+        permutations(variant, evenOnly).forEach(vertex => unique.set(vertex.join(','), vertex));
+    });
+    return [...unique.values()];
+}
+
+/**
+ * Vertex coordinates (any scale) and facet normals (dual vertex directions) per polytope
+ */
+const BUILDERS = {
+    '5-cell': () => {
+        const vertices = [
+            [1, 1, 1, -1 / Math.sqrt(5)],
+            [1, -1, -1, -1 / Math.sqrt(5)],
+            [-1, 1, -1, -1 / Math.sqrt(5)],
+            [-1, -1, 1, -1 / Math.sqrt(5)],
+            [0, 0, 0, 4 / Math.sqrt(5)]
+        ];
+        // Self-dual - each facet faces away from the opposite vertex
+        return { vertices, normals: vertices.map(v => v.map(x => -x)) };
+    },
+    'tesseract': () => ({
+        vertices: signVariants([1, 1, 1, 1]),
+        normals: signedPermutations([1, 0, 0, 0])
+    }),
+    '16-cell': () => ({
+        vertices: signedPermutations([1, 0, 0, 0]),
+        normals: signVariants([1, 1, 1, 1])
+    }),
+    '24-cell': () => ({
+        vertices: signedPermutations([1, 1, 0, 0]),
+        normals: [...signedPermutations([1, 0, 0, 0]), ...signVariants([0.5, 0.5, 0.5, 0.5])]
+    }),
+    '600-cell': () => ({
+        vertices: [
+            ...signedPermutations([1, 0, 0, 0]),
+            ...signVariants([0.5, 0.5, 0.5, 0.5]),
+            ...signedPermutations([PHI / 2, 0.5, 1 / (2 * PHI), 0], true)
+        ]
+        // Cells are the tetrahedra of the edge graph
+    }),
+    '120-cell': () => {
+        // Dual of the 600-cell: one vertex per tetrahedral cell, one dodecahedral cell per vertex
+        const dual = buildMesh('600-cell');
+        return {
+            vertices: dual.cells.map(cell => {
+                const centroid = [0, 0, 0, 0];
+                cell.forEach(index => dual.vertices[index].forEach((x, axis) => { centroid[axis] += x; }));
+                return centroid;
+            }),
+            normals: dual.vertices
+        };
+    }
+};
+
+function findEdges(vertices) {
+    let minimum = Infinity;
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            minimum = Math.min(minimum, distance(vertices[i], vertices[j]));
+        }
+    }
+
+    const edges = [];
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (distance(vertices[i], vertices[j]) - minimum < EPSILON) {
+                edges.push([i, j]);
+            }
+        }
+    }
+    return { edges, edgeLength: minimum };
+}
+
+/**
+ * Cells as the vertices lying on each facet hyperplane
+ */
+function findCellsOnFacets(vertices, normals) {
+    return normals.map(normal => {
+        const direction = normalize(normal);
+        const support = Math.max(...vertices.map(v => dot(v, direction)));
+        return vertices
+            .map((v, index) => (support - dot(v, direction) < EPSILON ? index : -1))
+            .filter(index => index >= 0);
+    });
+}
+
+/**
+ * Cells of a polytope whose facets are tetrahedra - the 4-cliques of the edge graph
+ */
+function findTetrahedra(adjacency) {
+    const cells = [];
+    adjacency.forEach((neighbors, a) => {
+        neighbors.forEach(b => {
+            if (b <= a) return;
+            neighbors.forEach(c => {
+                if (c <= b || !adjacency[b].has(c)) return;
+                neighbors.forEach(d => {
+                    if (d <= c || !adjacency[b].has(d) || !adjacency[c].has(d)) return;
+                    cells.push([a, b, c, d]);
+                });
+            });
+        });
+    });
+    return cells;
+}
+
+function buildMesh(id) {
+    if (meshCache.has(id)) return meshCache.get(id);
+
+    const definition = getPolytopeDefinition(id);
+    if (definition.diagram) {
+        const mesh = { id, name: definition.name, ...buildWythoffPolytope(definition.diagram) };
+        meshCache.set(id, mesh);
+        return mesh;
+    }
+
+    const { vertices: raw, normals } = BUILDERS[id]();
+    const vertices = raw.map(normalize);
+    const { edges, edgeLength } = findEdges(vertices);
+    const adjacency = buildAdjacency(vertices.length, edges);
+    const cells = normals ? findCellsOnFacets(vertices, normals) : findTetrahedra(adjacency);
+    const faces = findFaces(vertices.length, cells, adjacency);
+
+    const mesh = {
+        id,
+        name: definition.name,
+        schlafli: definition.schlafli,
+        vertices,
+        edges,
+        faces,
+        cells,
+        circumradius: 1,
+        edgeLength
+    };
+    meshCache.set(id, mesh);
+    return mesh;
+}
+
+/**
+ * Every named polytope in index order - the six regular ones, then the uniform ones
+ */
+export function getPolytopeDefinitions() {
+    return [...REGULAR_POLYCHORA, ...UNIFORM_POLYCHORA];
+}
+
+/**
+ * Polytope definition by id ('600-cell'), index (PolychoraSystem order) or Coxeter-Dynkin diagram ('x4x3o3o')
+ */
+export function getPolytopeDefinition(idOrIndex) {
+    const definitions = getPolytopeDefinitions();
+    let definition = typeof idOrIndex === 'number'
+        ? definitions[idOrIndex]
+        : definitions.find(polytope => polytope.id === idOrIndex);
+
+    if (!definition && isCoxeterDiagram(idOrIndex)) {
+        const { diagram } = parseCoxeterDiagram(idOrIndex);
+        definition = definitions.find(polytope => polytope.diagram === diagram)
+            || { id: diagram, name: diagram, diagram, description: `Wythoff construction of ${diagram}` };
+    }
+    if (!definition) {
+        throw new Error(`Unknown polytope: ${idOrIndex}`);
+    }
+    return definition;
+}
+
+/**
+ * Add a diagram to the named uniform polychora, so it gets an index and appears in getPolytopeNames()
+ * @param {string} diagram - Linear Coxeter-Dynkin diagram, e.g. 'x5x3o3o'
+ * @param {Object} options - { id, name, description }
+ * @returns {number} The polytope index
+ */
+export function addUniformPolytope(diagram, options = {}) {
+    const parsed = parseCoxeterDiagram(diagram);
+    const definitions = getPolytopeDefinitions();
+    const existing = definitions.findIndex(polytope => polytope.diagram === parsed.diagram);
+    if (existing >= 0) return existing;
+
+    const id = options.id || parsed.diagram;
+    if (definitions.some(polytope => polytope.id === id)) {
+        throw new Error(`Polytope id already in use: ${id}`);
+    }
+    // Build before adding, so a diagram without a uniform polytope is rejected
+    meshCache.set(id, { id, name: options.name || parsed.diagram, ...buildWythoffPolytope(parsed.diagram) });
+    UNIFORM_POLYCHORA.push({
+        id,
+        name: options.name || parsed.diagram,
+        diagram: parsed.diagram,
+        description: options.description || `Wythoff construction of ${parsed.diagram}`
+    });
+    return definitions.length;
+}
+
+/**
+ * Exact mesh of a regular or uniform polychoron
+ * @param {string|number} idOrIndex - Polytope id, index or Coxeter-Dynkin diagram
+ * @param {Object} options - { radius } circumradius or { edgeLength } (default unit circumradius)
+ * @returns {Object} { id, name, schlafli or diagram, vertices: [x, y, z, w][], edges: [a, b][], faces, cells, circumradius, edgeLength }
+ */
+export function getPolytope(idOrIndex, options = {}) {
+    const mesh = buildMesh(getPolytopeDefinition(idOrIndex).id);
+
+    let scale = 1;
+    if (options.edgeLength !== undefined) {
+        scale = options.edgeLength / mesh.edgeLength;
+    } else if (options.radius !== undefined) {
+        scale = options.radius;
+    }
+    if (scale === 1) return mesh;
+
+    return {
+        ...mesh,
+        vertices: mesh.vertices.map(v => v.map(x => x * scale)),
+        circumradius: scale,
+        edgeLength: mesh.edgeLength * scale
+    };
+}
+
+/**
+ * Check a mesh against the known counts and regularity of its polytope
+ * (uniform polychora have no listed counts or cell shapes - the generic checks still apply)
+ * @returns {Object} { valid, errors }
+ */
+export function verifyPolytope(mesh) {
+    const errors = [];
+    const definition = getPolytopeDefinition(mesh.id);
+
+    Object.entries(definition.counts || {}).forEach(([element, expected]) => {
+        if (mesh[element].length !== expected) {
+            errors.push(`${definition.name} has ${mesh[element].length} ${element}, expected ${expected}`);
+        }
+    });
+
+    // Euler characteristic of a convex 4-polytope
+    const euler = mesh.vertices.length - mesh.edges.length + mesh.faces.length - mesh.cells.length;
+    if (euler !== 0) {
+        errors.push(`${definition.name} Euler characteristic is ${euler}, expected 0`);
+    }
+
+    if (mesh.vertices.some(v => Math.abs(Math.hypot(...v) - mesh.circumradius) > EPSILON)) {
+        errors.push(`${definition.name} vertices are not on the circumsphere`);
+    }
+    if (mesh.edges.some(([a, b]) => Math.abs(distance(mesh.vertices[a], mesh.vertices[b]) - mesh.edgeLength) > EPSILON)) {
+        errors.push(`${definition.name} edges differ in length`);
+    }
+
+    if (definition.schlafli) {
+        const cellSize = CELL_VERTEX_COUNTS[definition.cell];
+        if (mesh.cells.some(cell => cell.length !== cellSize)) {
+            errors.push(`${definition.name} cells are not all ${definition.cell}s`);
+        }
+        const faceSides = Number(definition.schlafli[1]);
+        if (mesh.faces.some(face => face.length !== faceSides)) {
+            errors.push(`${definition.name} faces are not all ${faceSides}-gons`);
+        }
+    }
+    const edgeKeys = new Set(mesh.edges.map(([a, b]) => `${Math.min(a, b)},${Math.max(a, b)}`));
+    const closed = face => face.every((vertex, i) => {
+        const next = face[(i + 1) % face.length];
+        return edgeKeys.has(`${Math.min(vertex, next)},${Math.max(vertex, next)}`);
+    });
+    if (!mesh.faces.every(closed)) {
+        errors.push(`${definition.name} faces are not closed edge cycles`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+export function getPolytopeNames() {
+    return getPolytopeDefinitions().map(polytope => polytope.name);
+}
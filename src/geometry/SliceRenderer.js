@@ -0,0 +1,173 @@
+/**
+ * VIB34D Slice Renderer
+ * Draws a hyperplane cross-section (slicePolytope() output) into one layer's WebGL context
+ *
+ * The slice is a 3D polyhedron, so it is shown the way a 3D object would be: slowly turning
+ * on a turntable, in perspective. Each layer role draws one part of it - translucent faces
+ * behind, edges in the content layer, vertices as highlights.
+ */
+
+const VERTEX_SHADER = `
+    attribute vec3 a_position;
+    uniform float u_turn;
+    uniform float u_tilt;
+    uniform float u_scale;
+    uniform float u_aspect;
+    uniform float u_pointSize;
+    varying float v_depth;
+
+    void main() {
+        vec3 p = a_position * u_scale;
+        float c = cos(u_turn);
+        float s = sin(u_turn);
+        p = vec3(c * p.x + s * p.z, p.y, c * p.z - s * p.x);
+        c = cos(u_tilt);
+        s = sin(u_tilt);
+        p = vec3(p.x, c * p.y - s * p.z, s * p.y + c * p.z);
+
+        float perspective = 2.5 / (2.5 + p.z);
+        v_depth = clamp(0.5 - p.z * 0.5, 0.2, 1.0);
+        gl_Position = vec4(p.x * perspective / u_aspect, p.y * perspective, 0.0, 1.0);
+        gl_PointSize = u_pointSize * perspective;
+    }
+`;
+
+const FRAGMENT_SHADER = `
+    precision mediump float;
+    uniform vec3 u_color;
+    uniform float u_alpha;
+    varying float v_depth;
+
+    void main() {
+        gl_FragColor = vec4(u_color * (0.5 + 0.5 * v_depth), u_alpha * v_depth);
+    }
+`;
+
+// What each layer draws - faces and their opacity, edges, vertices
+export const SLICE_LAYER_STYLES = {
+    background: { faces: 0.25 },
+    shadow: { faces: 0.12 },
+    content: { edges: 1.0 },
+    highlight: { points: 0.9 },
+    accent: {}
+};
+
+export class SliceRenderer {
+    /**
+     * @param {WebGLRenderingContext} gl - The layer's context
+     * @param {string} role - Layer role (background, shadow, content, highlight, accent)
+     */
+    constructor(gl, role) {
+        this.gl = gl;
+        this.style = SLICE_LAYER_STYLES[role] || SLICE_LAYER_STYLES.content;
+        this.program = null;
+        this.buffers = null;
+        this.uniforms = {};
+    }
+
+    init() {
+        if (this.program) return true;
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('❌ Slice shader compile error:', gl.getShaderInfoLog(shader));
+                gl.deleteShader(shader);
+                return null;
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+        if (!vertexShader || !fragmentShader) return false;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('❌ Slice program link error:', gl.getProgramInfoLog(program));
+            gl.deleteProgram(program);
+            return false;
+        }
+
+        this.program = program;
+        this.position = gl.getAttribLocation(program, 'a_position');
+        ['u_turn', 'u_tilt', 'u_scale', 'u_aspect', 'u_pointSize', 'u_color', 'u_alpha'].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(program, name);
+        });
+        this.buffers = {
+            vertices: gl.createBuffer(),
+            faces: gl.createBuffer(),
+            edges: gl.createBuffer()
+        };
+        return true;
+    }
+
+    /**
+     * Draw a slice over whatever the layer already holds
+     * @param {Object} slice - slicePolytope() result
+     * @param {Object} view - { turn, tilt, scale, color: [r, g, b], opacity }
+     */
+    render(slice, view = {}) {
+        if (!slice || slice.vertices.length === 0 || !this.init()) return;
+        const gl = this.gl;
+        const style = this.style;
+        if (!style.faces && !style.edges && !style.points) return;
+
+        gl.useProgram(this.program);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.vertices);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(slice.vertices.flat()), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(this.position);
+        gl.vertexAttribPointer(this.position, 3, gl.FLOAT, false, 0, 0);
+
+        const opacity = view.opacity ?? 1;
+        gl.uniform1f(this.uniforms.u_turn, view.turn || 0);
+        gl.uniform1f(this.uniforms.u_tilt, view.tilt ?? 0.35);
+        gl.uniform1f(this.uniforms.u_scale, view.scale || 1);
+        gl.uniform1f(this.uniforms.u_aspect, gl.drawingBufferWidth / Math.max(1, gl.drawingBufferHeight));
+        gl.uniform1f(this.uniforms.u_pointSize, view.pointSize || 6);
+        gl.uniform3fv(this.uniforms.u_color, view.color || [0, 0.8, 1]);
+
+        if (style.faces) {
+            // Faces are convex polygons - fan-triangulate them
+            const triangles = [];
+            slice.faces.forEach(face => {
+                for (let i = 1; i < face.length - 1; i++) triangles.push(face[0], face[i], face[i + 1]);
+            });
+            this.drawElements(gl.TRIANGLES, this.buffers.faces, triangles, style.faces * opacity);
+        }
+        if (style.edges) {
+            this.drawElements(gl.LINES, this.buffers.edges, slice.edges.flat(), style.edges * opacity);
+        }
+        if (style.points) {
+            gl.uniform1f(this.uniforms.u_alpha, style.points * opacity);
+            gl.drawArrays(gl.POINTS, 0, slice.vertices.length);
+        }
+    }
+
+    drawElements(mode, buffer, indices, alpha) {
+        if (indices.length === 0) return;
+        const gl = this.gl;
+        gl.uniform1f(this.uniforms.u_alpha, alpha);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.DYNAMIC_DRAW);
+        gl.drawElements(mode, indices.length, gl.UNSIGNED_SHORT, 0);
+    }
+
+    destroy() {
+        if (!this.program) return;
+        Object.values(this.buffers).forEach(buffer => this.gl.deleteBuffer(buffer));
+        this.gl.deleteProgram(this.program);
+        this.program = null;
+        this.buffers = null;
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * VIB34D Wythoff Construction
+ * Uniform 4-polytopes from Coxeter-Dynkin diagrams
+ *
+ * Diagrams use linear notation - four nodes with the branch order between each pair of neighbours:
+ *   x4x3o3o    truncated tesseract           x ringed node, o plain node
+ *   x3o2x5o    3,5-duoprism                  2 = no branch, the diagram splits into a product
+ *   s3s4o3o    snub 24-cell                  s alternated (snub) node
+ *   s2s8o2x    square antiprismatic prism
+ *
+ * Each node is a mirror of the symmetry group. The generator point lies on every o mirror and at
+ * distance ½ from every ringed one, so all edges have length 1. Its orbit under the group gives the
+ * vertices. Alternated (s) nodes keep the vertices an even number of s-reflections away, with the
+ * ring distances solved numerically so that every edge still has the same length.
+ *
+ * The rest of the mesh follows from the symmetry: edges and cells found around the generator are
+ * carried to every other vertex by the reflections that reach it.
+ */
+
+import { EPSILON, buildAdjacency, distance, dot, findFaces, normalize } from './PolytopeTopology.js';
+
+/**
+ * Named uniform polychora - getPolytope() indexes them after the six regular ones
+ */
+export const UNIFORM_POLYCHORA = [
+    { id: 'rectified-5-cell', name: 'Rectified 5-Cell', diagram: 'o3x3o3o', description: '5 octahedra and 5 tetrahedra' },
+    { id: 'truncated-5-cell', name: 'Truncated 5-Cell', diagram: 'x3x3o3o', description: '5 truncated tetrahedra and 5 tetrahedra' },
+    { id: 'runcinated-5-cell', name: 'Runcinated 5-Cell', diagram: 'x3o3o3x', description: '10 tetrahedra and 20 triangular prisms' },
+    { id: 'omnitruncated-5-cell', name: 'Omnitruncated 5-Cell', diagram: 'x3x3x3x', description: '10 truncated octahedra and 20 hexagonal prisms' },
+    { id: 'rectified-tesseract', name: 'Rectified Tesseract', diagram: 'o4x3o3o', description: '8 cuboctahedra and 16 tetrahedra' },
+    { id: 'truncated-tesseract', name: 'Truncated Tesseract', diagram: 'x4x3o3o', description: '8 truncated cubes and 16 tetrahedra' },
+    { id: 'cantellated-tesseract', name: 'Cantellated Tesseract', diagram: 'x4o3x3o', description: '8 rhombicuboctahedra, 16 octahedra and 32 triangular prisms' },
+    { id: 'runcinated-tesseract', name: 'Runcinated Tesseract', diagram: 'x4o3o3x', description: '16 tetrahedra, 32 cubes and 32 triangular prisms' },
+    { id: 'bitruncated-tesseract', name: 'Bitruncated Tesseract', diagram: 'o4x3x3o', description: '8 truncated octahedra and 16 truncated tetrahedra' },
+    { id: 'omnitruncated-tesseract', name: 'Omnitruncated Tesseract', diagram: 'x4x3x3x', description: '8 truncated cuboctahedra, 16 truncated octahedra, 24 octagonal and 32 hexagonal prisms' },
+    { id: 'truncated-16-cell', name: 'Truncated 16-Cell', diagram: 'o4o3x3x', description: '8 octahedra and 16 truncated tetrahedra' },
+    { id: 'rectified-24-cell', name: 'Rectified 24-Cell', diagram: 'o3x4o3o', description: '24 cuboctahedra and 24 cubes' },
+    { id: 'truncated-24-cell', name: 'Truncated 24-Cell', diagram: 'x3x4o3o', description: '24 truncated octahedra and 24 cubes' },
+    { id: 'snub-24-cell', name: 'Snub 24-Cell', diagram: 's3s4o3o', description: '24 icosahedra and 120 tetrahedra' },
+    { id: 'rectified-600-cell', name: 'Rectified 600-Cell', diagram: 'o3x3o5o', description: '600 octahedra and 120 icosahedra' },
+    { id: 'rectified-120-cell', name: 'Rectified 120-Cell', diagram: 'o5x3o3o', description: '120 icosidodecahedra and 600 tetrahedra' },
+    { id: 'tetrahedral-prism', name: 'Tetrahedral Prism', diagram: 'x3o3o2x', description: '2 tetrahedra and 4 triangular prisms' },
+    { id: 'dodecahedral-prism', name: 'Dodecahedral Prism', diagram: 'x5o3o2x', description: '2 dodecahedra and 12 pentagonal prisms' },
+    { id: '3-3-duoprism', name: '3,3-Duoprism', diagram: 'x3o2x3o', description: '6 triangular prisms' },
+    { id: '3-5-duoprism', name: '3,5-Duoprism', diagram: 'x3o2x5o', description: '5 triangular prisms and 3 pentagonal prisms' },
+    { id: '6-8-duoprism', name: '6,8-Duoprism', diagram: 'x6o2x8o', description: '8 hexagonal prisms and 6 octagonal prisms' },
+    { id: 'square-antiprismatic-prism', name: 'Square Antiprismatic Prism', diagram: 's2s8o2x', description: '2 square antiprisms, 2 cubes and 8 triangular prisms' },
+    { id: 'pentagonal-antiprismatic-prism', name: 'Pentagonal Antiprismatic Prism', diagram: 's2s10o2x', description: '2 pentagonal antiprisms, 2 pentagonal prisms and 10 triangular prisms' }
+];
+
+const DIAGRAM_PATTERN = /^([xos])(\d+)([xos])(\d+)([xos])(\d+)([xos])$/;
+
+// Coordinates are rounded to this for vertex lookups
+const KEY_PRECISION = 1e5;
+
+// Iterations of the ring distance solver for alternated diagrams
+const SOLVER_ITERATIONS = 60;
+
+/**
+ * Parse a linear Coxeter-Dynkin diagram
+ * @param {string} diagram - e.g. 'x4x3o3o'
+ * @returns {Object} { diagram (normalized), nodes: ['x', 'x', 'o', 'o'], branches: [4, 3, 3] }
+ */
+export function parseCoxeterDiagram(diagram) {
+    const match = String(diagram).trim().toLowerCase().match(DIAGRAM_PATTERN);
+    if (!match) {
+        throw new Error(`Invalid Coxeter-Dynkin diagram: ${diagram} (expected four x/o/s nodes joined by branch orders, e.g. x4x3o3o)`);
+    }
+
+    const nodes = [match[1], match[3], match[5], match[7]];
+    const branches = [match[2], match[4], match[6]].map(Number);
+    const normalized = nodes.map((node, i) => (i < 3 ? `${node}${branches[i]}` : node)).join('');
+
+    if (branches.some(order => order < 2)) {
+        throw new Error(`Invalid Coxeter-Dynkin diagram: ${diagram} (branch orders start at 2)`);
+    }
+    if (nodes.every(node => node === 'o')) {
+        throw new Error(`Diagram ${normalized} has no ringed node`);
+    }
+    // Alternation keeps a symmetry subgroup only if every s-to-plain branch has an even order
+    nodes.forEach((node, i) => {
+        if (node !== 's') return;
+        nodes.forEach((other, j) => {
+            if (other !== 's' && branchOrder(branches, i, j) % 2 === 1) {
+                throw new Error(`Diagram ${normalized} can't be alternated - the branch between nodes ${Math.min(i, j) + 1} and ${Math.max(i, j) + 1} must have an even order`);
+            }
+        });
+    });
+
+    return { diagram: normalized, nodes, branches };
+}
+
+export function isCoxeterDiagram(value) {
+    return typeof value === 'string' && DIAGRAM_PATTERN.test(value.trim().toLowerCase());
+}
+
+function branchOrder(branches, i, j) {
+    return Math.abs(i - j) === 1 ? branches[Math.min(i, j)] : 2;
+}
+
+/**
+ * Unit mirror normals with n_i · n_j = -cos(π / m_ij) - the Cholesky factor of the Gram matrix,
+ * which is positive definite exactly when the group is finite
+ */
+function mirrorNormals(branches, diagram) {
+    const normals = [];
+    for (let i = 0; i < 4; i++) {
+        const row = [0, 0, 0, 0];
+        for (let j = 0; j <= i; j++) {
+            let sum = i === j ? 1 : -Math.cos(Math.PI / branchOrder(branches, i, j));
+            const other = i === j ? row : normals[j];
+            for (let k = 0; k < j; k++) sum -= row[k] * other[k];
+            if (i === j) {
+                if (sum < EPSILON) {
+                    throw new Error(`Diagram ${diagram} has no finite symmetry group, so it describes no convex polytope`);
+                }
+                row[j] = Math.sqrt(sum);
+            } else {
+                row[j] = sum / normals[j][j];
+            }
+        }
+        normals.push(row);
+    }
+    return normals;
+}
+
+function reflect(v, normal) {
+    const projection = 2 * dot(v, normal);
+    return v.map((x, axis) => x - projection * normal[axis]);
+}
+
+function reflectionMatrix(normal) {
+    return normal.flatMap((a, row) => normal.map((b, column) => (row === column ? 1 : 0) - 2 * a * b));
+}
+
+function multiply(a, b) {
+    const result = new Array(16).fill(0);
+    for (let row = 0; row < 4; row++) {
+        for (let column = 0; column < 4; column++) {
+            for (let k = 0; k < 4; k++) result[row * 4 + column] += a[row * 4 + k] * b[k * 4 + column];
+        }
+    }
+    return result;
+}
+
+function transform(matrix, v) {
+    return [0, 1, 2, 3].map(row => matrix[row * 4] * v[0] + matrix[row * 4 + 1] * v[1] + matrix[row * 4 + 2] * v[2] + matrix[row * 4 + 3] * v[3]);
+}
+
+function pointKey(v) {
+    return v.map(x => Math.round(x * KEY_PRECISION)).join(',');
+}
+
+/**
+ * The point at distance d_i from each mirror (normals are lower triangular)
+ */
+function generatorPoint(normals, distances) {
+    const point = [0, 0, 0, 0];
+    for (let i = 0; i < 4; i++) {
+        let value = distances[i];
+        for (let k = 0; k < i; k++) value -= normals[i][k] * point[k];
+        point[i] = value / normals[i][i];
+    }
+    return point;
+}
+
+/**
+ * Generator distances from the mirrors - ½ for ringed nodes, and for alternated diagrams the
+ * distances that make every kind of edge the same length
+ */
+function ringDistances({ diagram, nodes, branches }, normals) {
+    if (!nodes.includes('s')) {
+        return nodes.map(node => (node === 'x' ? 0.5 : 0));
+    }
+
+    // Reflection words that take the generator to a neighbour in the alternated polytope
+    const words = [];
+    nodes.forEach((node, i) => {
+        if (node === 'x') words.push([i]);
+        if (node !== 's') return;
+        nodes.forEach((other, j) => {
+            if (other === 's' && j > i) words.push([i, j]);
+            if (other !== 's' && branchOrder(branches, i, j) > 2) words.push([i, j, i]);
+        });
+    });
+
+    const ringed = nodes.map((node, i) => (node === 'o' ? -1 : i)).filter(i => i >= 0);
+    const distancesFor = free => nodes.map((_, i) => {
+        const k = ringed.indexOf(i);
+        return k < 0 ? 0 : k === 0 ? 0.5 : free[k - 1];
+    });
+    const residuals = free => {
+        const point = generatorPoint(normals, distancesFor(free));
+        const lengths = words.map(word => distance(point, word.reduceRight((v, mirror) => reflect(v, normals[mirror]), point)));
+        return lengths.slice(1).map(length => length - lengths[0]);
+    };
+
+    // Damped Gauss-Newton with a numerical Jacobian
+    let free = ringed.slice(1).map(() => 0.5);
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS && free.length > 0; iteration++) {
+        const r = residuals(free);
+        if (Math.max(...r.map(Math.abs)) < 1e-12) break;
+        const jacobian = r.map(() => []);
+        free.forEach((value, k) => {
+            const shifted = [...free];
+            shifted[k] = value + 1e-7;
+            residuals(shifted).forEach((shiftedResidual, row) => { jacobian[row][k] = (shiftedResidual - r[row]) / 1e-7; });
+        });
+        const normal = free.map((_, a) => free.map((_, b) => jacobian.reduce((sum, row) => sum + row[a] * row[b], 0) + (a === b ? 1e-9 : 0)));
+        const gradient = free.map((_, a) => jacobian.reduce((sum, row, i) => sum + row[a] * r[i], 0));
+        free = free.map((value, k) => value - solveLinear(normal, gradient)[k]);
+    }
+
+    if (words.length > 1 && Math.max(...residuals(free).map(Math.abs)) > 1e-9) {
+        throw new Error(`Diagram ${diagram} has no uniform alternation`);
+    }
+    return distancesFor(free).map(Math.abs);
+}
+
+/**
+ * Gaussian elimination with partial pivoting for the small solver systems
+ */
+function solveLinear(matrix, vector) {
+    const n = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        for (let row = column + 1; row < n; row++) {
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= n; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let value = rows[row][n];
+        for (let k = row + 1; k < n; k++) value -= rows[row][k] * solution[k];
+        solution[row] = value / rows[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Orbit of the generator, keeping for every vertex a symmetry that maps the generator onto it
+ */
+function buildOrbit(generator, normals, alternated) {
+    const mirrors = normals.map(reflectionMatrix);
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const points = [generator];
+    const transforms = [identity];
+    const parities = [0];
+    const seen = new Set([pointKey(generator)]);
+
+    for (let head = 0; head < points.length; head++) {
+        normals.forEach((normal, mirror) => {
+            const point = reflect(points[head], normal);
+            const key = pointKey(point);
+            if (seen.has(key)) return;
+            seen.add(key);
+            points.push(point);
+            transforms.push(multiply(mirrors[mirror], transforms[head]));
+            parities.push((parities[head] + (alternated[mirror] ? 1 : 0)) % 2);
+        });
+    }
+
+    // The generator's stabilizer is generated by plain mirrors, so every vertex has one parity
+    const kept = points.map((_, i) => i).filter(i => parities[i] === 0);
+    return { points: kept.map(i => points[i]), transforms: kept.map(i => transforms[i]) };
+}
+
+/**
+ * Normal of the hyperplane through four points
+ */
+function hyperplaneNormal(origin, a, b, c) {
+    const [u, v, w] = [a, b, c].map(p => p.map((x, axis) => x - origin[axis]));
+    const minor = (i, j, k) => u[i] * (v[j] * w[k] - v[k] * w[j]) - u[j] * (v[i] * w[k] - v[k] * w[i]) + u[k] * (v[i] * w[j] - v[j] * w[i]);
+    return [minor(1, 2, 3), -minor(0, 2, 3), minor(0, 1, 3), -minor(0, 1, 2)];
+}
+
+/**
+ * Build the mesh of the uniform polytope a diagram describes
+ * @param {string} diagram - Linear Coxeter-Dynkin diagram, e.g. 'x4x3o3o'
+ * @returns {Object} { diagram, vertices, edges, faces, cells, circumradius: 1, edgeLength }
+ */
+export function buildWythoffPolytope(diagram) {
+    const parsed = parseCoxeterDiagram(diagram);
+    const normals = mirrorNormals(parsed.branches, parsed.diagram);
+    const generator = generatorPoint(normals, ringDistances(parsed, normals));
+    const { points, transforms } = buildOrbit(generator, normals, parsed.nodes.map(node => node === 's'));
+
+    const indexByKey = new Map(points.map((point, i) => [pointKey(point), i]));
+    const lookup = point => {
+        const index = indexByKey.get(pointKey(point));
+        if (index === undefined) {
+            throw new Error(`Diagram ${parsed.diagram}: symmetry produced a point outside the vertex set`);
+        }
+        return index;
+    };
+
+    // Neighbours of the generator are its nearest vertices - every vertex looks the same
+    const distances = points.map(point => distance(point, generator));
+    const edgeLength = Math.min(...distances.slice(1));
+    const neighbors = distances.map((d, i) => (i > 0 && d - edgeLength < EPSILON * edgeLength ? i : -1)).filter(i => i >= 0);
+
+    const edgeKeys = new Set();
+    const edges = [];
+    transforms.forEach((matrix, vertex) => {
+        neighbors.forEach(neighbor => {
+            const other = lookup(transform(matrix, points[neighbor]));
+            const key = vertex < other ? `${vertex},${other}` : `${other},${vertex}`;
+            if (edgeKeys.has(key)) return;
+            edgeKeys.add(key);
+            edges.push(vertex < other ? [vertex, other] : [other, vertex]);
+        });
+    });
+
+    const radius = Math.hypot(...generator);
+    const vertices = points.map(point => point.map(x => x / radius));
+
+    // Cells through the generator: hyperplanes through it and three neighbours with every vertex on one side
+    const baseNormals = new Map();
+    for (let a = 0; a < neighbors.length; a++) {
+        for (let b = a + 1; b < neighbors.length; b++) {
+            for (let c = b + 1; c < neighbors.length; c++) {
+                const raw = hyperplaneNormal(vertices[0], vertices[neighbors[a]], vertices[neighbors[b]], vertices[neighbors[c]]);
+                if (Math.hypot(...raw) < EPSILON) continue;
+                let normal = normalize(raw);
+                if (dot(normal, vertices[0]) < 0) normal = normal.map(x => -x);
+                const support = dot(normal, vertices[0]);
+                if (vertices.every(v => dot(normal, v) - support < EPSILON)) {
+                    baseNormals.set(pointKey(normal), { normal, support });
+                }
+            }
+        }
+    }
+
+    // Symmetries keep the distance of each cell from the centre
+    const facets = new Map();
+    transforms.forEach(matrix => {
+        baseNormals.forEach(({ normal, support }) => {
+            const moved = transform(matrix, normal);
+            facets.set(pointKey(moved), { normal: moved, support });
+        });
+    });
+    const cells = [...facets.values()].map(({ normal, support }) => (
+        vertices.map((v, i) => (support - dot(normal, v) < EPSILON ? i : -1)).filter(i => i >= 0)
+    ));
+
+    const adjacency = buildAdjacency(vertices.length, edges);
+    return {
+        diagram: parsed.diagram,
+        vertices,
+        edges,
+        faces: findFaces(vertices.length, cells, adjacency),
+        cells,
+        circumradius: 1,
+        edgeLength: edgeLength / radius
+    };
+}
@@ -3,7 +3,9 @@
  * Clean implementation without nested JavaScript execution
  * Version: 2025-07-08-v3 (Collection Manager Integration)
  */
-import { CollectionManager } from './CollectionManager.js';
+import { CollectionManager } from '../features/CollectionManager.js';
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { VariationSchema } from '../variations/VariationSchema.js';
 
 export class ExportSystem {
     constructor(holographicSystem) {
@@ -152,18 +154,24 @@ export class ExportSystem {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const data = JSON.parse(e.target.result);
-                if (data.type === 'holographic-collection') {
-                    this.system.customVariants = data.customVariations || [];
-                    this.system.totalVariants = this.system.baseVariants + this.system.customVariants.length;
-                    this.system.saveVariations();
-                    console.log(`Imported ${this.system.customVariants.length} custom variations`);
-                } else {
-                    throw new Error('Invalid file format');
-                }
+                // Any supported format is upgraded to the current variation schema first
+                const { document } = VariationSchema.migrate(JSON.parse(e.target.result), { source: file.name });
+                
+                // Custom variants keep the holographic parameter names (geometryType, density, morph)
+                this.system.customVariants = document.variations.map((variation, index) => ({
+                    id: this.system.baseVariants + index,
+                    name: variation.name,
+                    params: VariationSchema.toSystemParameters(variation.parameters, 'holographic')
+                }));
+                this.system.totalVariants = this.system.baseVariants + this.system.customVariants.length;
+                this.system.customVariants.forEach(cv => {
+                    this.system.variantNames[cv.id] = cv.name;
+                });
+                this.system.saveVariations();
+                console.log(`Imported ${this.system.customVariants.length} custom variations`);
             } catch (error) {
-                console.error('Failed to import JSON:', error);
-                alert('Failed to import variations. Please check the file format.');
+                console.error('Failed to import JSON:', error.report || error);
+                alert(`Failed to import variations.\n\n${error.report || error.message}`);
             }
         };
         reader.readAsText(file);
@@ -643,17 +651,7 @@ export class ExportSystem {
      * Helper method to get geometry name
      */
     getGeometryName(geometryType) {
-        const geometryNames = [
-            'TETRAHEDRON', 'TETRAHEDRON', 'TETRAHEDRON', 'TETRAHEDRON',
-            'HYPERCUBE', 'HYPERCUBE', 'HYPERCUBE', 'HYPERCUBE', 
-            'SPHERE', 'SPHERE', 'SPHERE', 'SPHERE',
-            'TORUS', 'TORUS', 'TORUS', 'TORUS',
-            'KLEIN BOTTLE', 'KLEIN BOTTLE', 'KLEIN BOTTLE', 'KLEIN BOTTLE',
-            'FRACTAL', 'FRACTAL', 'FRACTAL',
-            'WAVE', 'WAVE', 'WAVE',
-            'CRYSTAL', 'CRYSTAL', 'CRYSTAL', 'CRYSTAL'
-        ];
-        return geometryNames[geometryType] || 'UNKNOWN';
+        return GeometryRegistry.getName(geometryType);
     }
     
     /**
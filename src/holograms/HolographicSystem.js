@@ -3,7 +3,8 @@
  * Clean implementation without debugging mess
  */
 import { HolographicVisualizer } from './HolographicVisualizer.js';
-import { ExportSystem } from '../features/ExportSystem.js';
+import { ExportSystem } from './ExportSystem.js';
+import { AudioAnalyzer } from '../audio/AudioAnalyzer.js';
 
 export class HolographicSystem {
     constructor() {
@@ -24,6 +25,7 @@ export class HolographicSystem {
         this.audioContext = null;
         this.analyser = null;
         this.frequencyData = null;
+        this.audioAnalyzer = new AudioAnalyzer();
         this.audioData = { bass: 0, mid: 0, high: 0 };
         
         // Variant names for display - SEQUENTIAL ORDER
@@ -268,6 +270,7 @@ export class HolographicSystem {
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
             this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.audioAnalyzer.configure({ sampleRate: this.audioContext.sampleRate, fftSize: this.analyser.fftSize });
             
             const constraints = {
                 audio: {
@@ -334,6 +337,8 @@ export class HolographicSystem {
         }
         high /= ((this.frequencyData.length - midEnd) * 255);
         
+        const features = this.audioAnalyzer.process(this.frequencyData, this.audioContext.currentTime);
+        
         // Smooth and musical audio processing
         const smoothedAudio = {
             bass: this.smoothAudioValue(bass, 'bass'),
@@ -341,8 +346,10 @@ export class HolographicSystem {
             high: this.smoothAudioValue(high, 'high'),
             // Add musical features
             energy: (bass + mid + high) / 3,
-            rhythm: this.detectRhythm(bass),
-            melody: this.detectMelody(mid, high)
+            rhythm: this.detectRhythm(features),
+            melody: this.detectMelody(mid, high, features),
+            beatPhase: features.beatPhase,
+            bpm: features.bpm
         };
         
         this.audioData = smoothedAudio;
@@ -369,18 +376,16 @@ export class HolographicSystem {
         return this.audioSmoothing[type] > threshold ? this.audioSmoothing[type] : 0;
     }
     
-    detectRhythm(bassLevel) {
-        // Simple beat detection based on bass changes
-        if (!this.previousBass) this.previousBass = 0;
-        const beatDetected = bassLevel > this.previousBass + 0.2;
-        this.previousBass = bassLevel;
-        return beatDetected ? 1.0 : 0.0;
+    detectRhythm(features) {
+        // Full pulse on tracked beats, onset strength between them
+        return features.beat ? 1.0 : features.onsetStrength;
     }
     
-    detectMelody(midLevel, highLevel) {
-        // Detect melodic movement in mid/high frequencies
+    detectMelody(midLevel, highLevel, features) {
+        // Sustained mid/high content - percussive onsets aren't melody, brighter spectra count more
+        if (features.onset) return 0.0;
         const melodicActivity = (midLevel + highLevel) / 2;
-        return melodicActivity > 0.3 ? melodicActivity : 0.0;
+        return melodicActivity > 0.3 ? Math.min(1.0, melodicActivity * (0.5 + features.brightness)) : 0.0;
     }
 
     toggleAudio() {
@@ -2,6 +2,11 @@
  * Core Holographic Visualizer - Clean WebGL rendering engine
  * Extracted from working system, no debugging mess
  */
+
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_GLSL, ProjectionBlender, getProjectionDistance } from '../geometry/Projections.js';
+import { setFixedRenderSize, applyFixedRenderSize } from '../export/RenderSize.js';
+
 export class HolographicVisualizer {
     constructor(canvasId, role = 'content', reactivity = 1.0, variant = 0) {
         this.canvas = document.getElementById(canvasId);
@@ -77,6 +82,9 @@ export class HolographicVisualizer {
         this.audioChaosBoost = 0.0;
         this.audioColorShift = 0.0;
         
+        // Eases between projection modes when the projection parameter changes
+        this.projection = new ProjectionBlender();
+        
         this.startTime = Date.now();
         this.initShaders();
         this.initBuffers();
@@ -84,11 +92,6 @@ export class HolographicVisualizer {
     }
     
     generateVariantParams(variant) {
-        const vib3Geometries = [
-            'TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 
-            'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'
-        ];
-        
         const geometryMap = [
             0, 0, 0, 0,  // 0-3: TETRAHEDRON variations
             1, 1, 1, 1,  // 4-7: HYPERCUBE variations
@@ -102,7 +105,7 @@ export class HolographicVisualizer {
         
         const baseGeometry = geometryMap[variant] || 0;
         const variationLevel = variant % 4;
-        const geometryName = vib3Geometries[baseGeometry];
+        const geometryName = GeometryRegistry.getName(baseGeometry);
         
         const suffixes = [' LATTICE', ' FIELD', ' MATRIX', ' RESONANCE'];
         const finalName = geometryName + suffixes[variationLevel];
@@ -207,160 +210,54 @@ export class HolographicVisualizer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
+            uniform float u_rot4dXY;
+            uniform float u_rot4dXZ;
+            uniform float u_rot4dYZ;
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
             
-            // 4D rotation matrices
-            mat4 rotateXW(float theta) {
+            // 4D rotation matrices (all six planes)
+            mat4 rotateXY(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
+                return mat4(c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
             }
             
-            mat4 rotateYW(float theta) {
+            mat4 rotateXZ(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
+                return mat4(c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1);
             }
             
-            mat4 rotateZW(float theta) {
+            mat4 rotateYZ(float theta) {
                 float c = cos(theta);
                 float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
-            
-            // Enhanced VIB3 Geometry Library - Higher Fidelity
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                
-                // Enhanced tetrahedron vertices with holographic shimmer
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.35, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.35, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.35));
-                float d5 = length(q - vec3(0.2, 0.2, 0.0));
-                float d6 = length(q - vec3(0.2, 0.0, 0.2));
-                float d7 = length(q - vec3(0.0, 0.2, 0.2));
-                
-                float vertices = 1.0 - smoothstep(0.0, 0.03, min(min(min(d1, d2), min(d3, d4)), min(min(d5, d6), d7)));
-                
-                // Enhanced edge network with interference patterns
-                float edges = 0.0;
-                float shimmer = sin(u_time * 0.002) * 0.02;
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xy) - (0.18 + shimmer))));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.yz) - (0.18 + shimmer * 0.8))));
-                edges = max(edges, 1.0 - smoothstep(0.0, 0.015, abs(length(q.xz) - (0.18 + shimmer * 1.2))));
-                
-                // Add interference patterns between vertices
-                float interference = sin(d1 * 25.0 + u_time * 0.003) * sin(d2 * 22.0 + u_time * 0.0025) * 0.1;
-                
-                // Volumetric density based on distance field
-                float volume = exp(-length(q) * 3.0) * 0.15;
-                
-                return max(vertices, edges * 0.7) + interference + volume;
-            }
-            
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 q = grid - 0.5;
-                
-                // Enhanced hypercube with 4D projection effects
-                vec3 edges = 1.0 - smoothstep(0.0, 0.025, abs(q));
-                float wireframe = max(max(edges.x, edges.y), edges.z);
-                
-                // Add 4D hypercube vertices (8 corners + 8 hypervertices)
-                float vertices = 0.0;
-                for(int i = 0; i < 8; i++) {
-                    // WebGL 1.0 compatible modulus replacement
-                    float iFloat = float(i);
-                    vec3 corner = vec3(
-                        floor(iFloat - floor(iFloat / 2.0) * 2.0) - 0.5,
-                        floor((iFloat / 2.0) - floor((iFloat / 2.0) / 2.0) * 2.0) - 0.5,
-                        float(i / 4) - 0.5
-                    );
-                    float dist = length(q - corner * 0.4);
-                    vertices = max(vertices, 1.0 - smoothstep(0.0, 0.04, dist));
-                }
-                
-                // Holographic interference patterns
-                float interference = sin(length(q) * 20.0 + u_time * 0.002) * 0.08;
-                
-                // Cross-dimensional glow
-                float glow = exp(-length(q) * 2.5) * 0.12;
-                
-                return wireframe * 0.8 + vertices + interference + glow;
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize);
-                float u = q.x * 2.0 * 3.14159;
-                float v = q.y * 2.0 * 3.14159;
-                float x = cos(u) * (3.0 + cos(u/2.0) * sin(v) - sin(u/2.0) * sin(2.0*v));
-                float klein = length(vec2(x, q.z)) - 0.1;
-                return 1.0 - smoothstep(0.0, 0.05, abs(klein));
+                return mat4(1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1);
             }
             
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                  q = fract(q) - 0.5;
-                  fractal += abs(length(q)) / scale;
-                  scale *= 2.0;
-                  q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
+            mat4 rotateXW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
             }
             
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0) * sin(q.y * 2.0) * sin(q.z * 2.0 + u_time);
-                return smoothstep(-0.5, 0.5, wave);
+            mat4 rotateYW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
             }
             
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d = max(max(abs(q.x), abs(q.y)), abs(q.z));
-                return 1.0 - smoothstep(0.3, 0.5, d);
+            mat4 rotateZW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
             }
             
-            float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                // WebGL 1.0 compatible modulus replacement
-                float baseGeomFloat = geometryType - floor(geometryType / 8.0) * 8.0;
-                int baseGeom = int(baseGeomFloat);
-                float variation = floor(geometryType / 8.0) / 4.0;
-                float variedGridSize = gridSize * (0.5 + variation * 1.5);
-                
-                if (baseGeom == 0) return tetrahedronLattice(p, variedGridSize);
-                else if (baseGeom == 1) return hypercubeLattice(p, variedGridSize);
-                else if (baseGeom == 2) return sphereLattice(p, variedGridSize);
-                else if (baseGeom == 3) return torusLattice(p, variedGridSize);
-                else if (baseGeom == 4) return kleinLattice(p, variedGridSize);
-                else if (baseGeom == 5) return fractalLattice(p, variedGridSize);
-                else if (baseGeom == 6) return waveLattice(p, variedGridSize);
-                else return crystalLattice(p, variedGridSize);
-            }
+            // 4D to 3D projection (perspective, orthographic, stereographic or Schlegel)
+${PROJECTION_GLSL}            
+            // Enhanced VIB3 geometry library assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('holographic')}
             
             vec3 hsv2rgb(vec3 c) {
                 vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -415,7 +312,10 @@ export class HolographicVisualizer {
                 float scrollRotation = u_scrollParallax * 0.1;
                 float touchRotation = u_touchMorph * 0.2;
                 
-                // Combine manual rotation with automatic/interactive rotation
+                // Static rotation in the 3D planes, then manual + automatic/interactive W-plane rotation
+                p4d = rotateXY(u_rot4dXY) * p4d;
+                p4d = rotateXZ(u_rot4dXZ) * p4d;
+                p4d = rotateYZ(u_rot4dYZ) * p4d;
                 p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
                 p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
                 p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
@@ -515,9 +415,14 @@ export class HolographicVisualizer {
             audioSpeedBoost: this.gl.getUniformLocation(this.program, 'u_audioSpeedBoost'),
             audioChaosBoost: this.gl.getUniformLocation(this.program, 'u_audioChaosBoost'),
             audioColorShift: this.gl.getUniformLocation(this.program, 'u_audioColorShift'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
+            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            projectionWeights: this.gl.getUniformLocation(this.program, 'u_projectionWeights'),
+            projectionDistance: this.gl.getUniformLocation(this.program, 'u_projectionDistance')
         };
     }
     
@@ -593,7 +498,19 @@ export class HolographicVisualizer {
         this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
     
+    /**
+     * Lock the drawing buffer to an explicit size (offline rendering); pass null to restore layout sizing
+     */
+    setRenderSize(width, height) {
+        setFixedRenderSize(this, width, height);
+    }
+    
     resize() {
+        // Offline rendering locks the drawing buffer to the export resolution
+        if (applyFixedRenderSize(this)) {
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -623,6 +540,14 @@ export class HolographicVisualizer {
             ctx.fillStyle = '#888';
             ctx.font = '12px Orbitron, monospace';
             ctx.fillText('Please enable WebGL in your browser', this.canvas.width / 2, this.canvas.height / 2 + 25);
+            
+            // Replace the message with a static CPU render of this layer when possible
+            import('../reference/ReferenceRenderer.js')
+                .then(({ ReferenceRenderer }) => ReferenceRenderer.drawFallback(this.canvas, 'holographic', this.role, {}, {
+                    variant: this.variant,
+                    caption: 'WebGL unavailable - static preview'
+                }))
+                .catch(error => console.warn('⚠️ Reference fallback failed:', error));
         }
     }
     
@@ -710,7 +635,11 @@ export class HolographicVisualizer {
         this.colorScrollShift = (this.scrollPosition * 0.02) % (Math.PI * 2);
     }
     
-    render() {
+    /**
+     * Render frame
+     * @param {number|null} timeOverride - Explicit shader time in ms (offline rendering); wall clock when null
+     */
+    render(timeOverride = null) {
         if (!this.program) return;
         
         this.resize();
@@ -720,7 +649,8 @@ export class HolographicVisualizer {
         this.clickIntensity *= this.clickDecay;
         this.updateScrollPhysics();
         
-        const time = Date.now() - this.startTime;
+        // Explicit time (offline rendering) wins over the wall clock
+        const time = timeOverride !== null ? timeOverride : Date.now() - this.startTime;
         
         // Convert HSL to RGB for color uniform
         const hue = (this.variantParams.hue || 0) / 360; // Convert to 0-1 range
@@ -806,10 +736,17 @@ export class HolographicVisualizer {
         this.gl.uniform1f(this.uniforms.audioColorShift, audioColor);
         
         // 4D rotation uniforms
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.variantParams.rot4dXY || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.variantParams.rot4dXZ || 0.0);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.variantParams.rot4dYZ || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.variantParams.rot4dXW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.variantParams.rot4dYW || 0.0);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.variantParams.rot4dZW || 0.0);
         
+        // 4D → 3D projection
+        this.gl.uniform4fv(this.uniforms.projectionWeights, this.projection.update(this.variantParams.projection || 0, timeOverride !== null));
+        this.gl.uniform1f(this.uniforms.projectionDistance, getProjectionDistance(this.variantParams.projectionDistance));
+        
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
     
@@ -896,6 +833,9 @@ export class HolographicVisualizer {
         const paramMap = {
             'gridDensity': 'density',
             'morphFactor': 'morph',
+            'rot4dXY': 'rot4dXY',
+            'rot4dXZ': 'rot4dXZ',
+            'rot4dYZ': 'rot4dYZ',
             'rot4dXW': 'rot4dXW',
             'rot4dYW': 'rot4dYW', 
             'rot4dZW': 'rot4dZW',
@@ -4,6 +4,7 @@
  * Audio reactive only - no mouse/touch/scroll interference
  */
 import { HolographicVisualizer } from './HolographicVisualizer.js';
+import { AudioAnalyzer } from '../audio/AudioAnalyzer.js';
 
 export class RealHolographicSystem {
     constructor() {
@@ -12,6 +13,8 @@ export class RealHolographicSystem {
         this.baseVariants = 30; // Original 30 variations
         this.totalVariants = 30;
         this.isActive = false;
+        // Layer compositor revision whose overrides the visualizers currently hold
+        this.layerRevision = 0;
         
         // REMOVED: Built-in reactivity - ReactivityManager handles all interactions now
         
@@ -20,6 +23,7 @@ export class RealHolographicSystem {
         this.audioContext = null;
         this.analyser = null;
         this.frequencyData = null;
+        this.audioAnalyzer = new AudioAnalyzer();
         this.audioData = { bass: 0, mid: 0, high: 0 };
         
         // Variant names for display - SEQUENTIAL ORDER
@@ -162,8 +166,10 @@ export class RealHolographicSystem {
             try {
                 if (visualizer.updateParameters) {
                     // Use new updateParameters method with proper parameter mapping
+                    // (a layer override from the layer compositor wins over the shared value)
                     const params = {};
-                    params[param] = value;
+                    const layerValue = window.layerCompositor?.getLayer(visualizer.role).overrides[param];
+                    params[param] = layerValue ?? value;
                     visualizer.updateParameters(params);
                     console.log(`✅ Updated holographic layer ${index} (${visualizer.role}) with ${param}=${value}`);
                 } else {
@@ -210,12 +216,40 @@ export class RealHolographicSystem {
                     visualizer.variantParams[param] = this.customParams[param];
                 });
             }
+            
+            this.applyLayerOverrides(visualizer);
         });
         
         this.updateVariantDisplay();
         console.log(`🔄 REAL Holograms switched to variant ${this.currentVariant + 1}: ${this.variantNames[this.currentVariant]}`);
     }
     
+    /**
+     * Apply the layer compositor's overrides for one visualizer's role
+     */
+    applyLayerOverrides(visualizer) {
+        const overrides = window.layerCompositor?.getLayer(visualizer.role).overrides;
+        if (overrides && Object.keys(overrides).length > 0) {
+            visualizer.updateParameters(overrides);
+        }
+    }
+    
+    /**
+     * Rebuild every layer's parameters after the layer overrides changed, so cleared
+     * overrides fall back to the variant and custom parameters
+     */
+    syncLayerOverrides() {
+        this.layerRevision = window.layerCompositor?.revision ?? 0;
+        this.visualizers.forEach(visualizer => {
+            visualizer.variantParams = visualizer.generateVariantParams(this.currentVariant);
+            visualizer.roleParams = visualizer.generateRoleParams(visualizer.role);
+            if (this.customParams) {
+                visualizer.updateParameters(this.customParams);
+            }
+            this.applyLayerOverrides(visualizer);
+        });
+    }
+    
     getCurrentVariantInfo() {
         return {
             variant: this.currentVariant,
@@ -238,9 +272,14 @@ export class RealHolographicSystem {
             hue: parseFloat(document.getElementById('hue')?.value || 320),
             intensity: parseFloat(document.getElementById('intensity')?.value || 0.6),
             saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
+            rot4dXY: parseFloat(document.getElementById('rot4dXY')?.value || 0.0),
+            rot4dXZ: parseFloat(document.getElementById('rot4dXZ')?.value || 0.0),
+            rot4dYZ: parseFloat(document.getElementById('rot4dYZ')?.value || 0.0),
             rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0.0),
             rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0.0),
             rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0.0),
+            projection: parseFloat(document.getElementById('projection')?.value || 0),
+            projectionDistance: parseFloat(document.getElementById('projectionDistance')?.value || 2.5),
             variant: this.currentVariant
         };
         
@@ -264,6 +303,7 @@ export class RealHolographicSystem {
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
             this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.audioAnalyzer.configure({ sampleRate: this.audioContext.sampleRate, fftSize: this.analyser.fftSize });
             
             const constraints = {
                 audio: {
@@ -295,6 +335,7 @@ export class RealHolographicSystem {
             }
             this.analyser = null;
             this.frequencyData = null;
+            this.audioAnalyzer.reset();
             this.audioData = { bass: 0, mid: 0, high: 0 };
             console.log('🎵 REAL Holograms audio reactivity disabled');
         }
@@ -325,14 +366,18 @@ export class RealHolographicSystem {
         }
         high /= ((this.frequencyData.length - midEnd) * 255);
         
+        const features = this.audioAnalyzer.process(this.frequencyData, this.audioContext.currentTime);
+        
         // Enhanced audio processing for better visual response
         const smoothedAudio = {
             bass: this.smoothAudioValue(bass, 'bass'),
             mid: this.smoothAudioValue(mid, 'mid'), 
             high: this.smoothAudioValue(high, 'high'),
             energy: (bass + mid + high) / 3,
-            rhythm: this.detectRhythm(bass),
-            melody: this.detectMelody(mid, high)
+            rhythm: this.detectRhythm(features),
+            melody: this.detectMelody(mid, high, features),
+            beatPhase: features.beatPhase,
+            bpm: features.bpm
         };
         
         this.audioData = smoothedAudio;
@@ -360,16 +405,16 @@ export class RealHolographicSystem {
         return this.audioSmoothing[type] > threshold ? this.audioSmoothing[type] : 0;
     }
     
-    detectRhythm(bassLevel) {
-        if (!this.previousBass) this.previousBass = 0;
-        const beatDetected = bassLevel > this.previousBass + 0.2;
-        this.previousBass = bassLevel;
-        return beatDetected ? 1.0 : 0.0;
+    detectRhythm(features) {
+        // Full pulse on tracked beats, onset strength between them
+        return features.beat ? 1.0 : features.onsetStrength;
     }
     
-    detectMelody(midLevel, highLevel) {
+    detectMelody(midLevel, highLevel, features) {
+        // Sustained mid/high content - percussive onsets aren't melody, brighter spectra count more
+        if (features.onset) return 0.0;
         const melodicActivity = (midLevel + highLevel) / 2;
-        return melodicActivity > 0.3 ? melodicActivity : 0.0;
+        return melodicActivity > 0.3 ? Math.min(1.0, melodicActivity * (0.5 + features.brightness)) : 0.0;
     }
     
     applyAudioReactivityGrid(audioData) {
@@ -456,7 +501,7 @@ export class RealHolographicSystem {
                 
                 // Apply the parameter change
                 if (window.updateParameter && currentValue !== undefined) {
-                    window.updateParameter(param, currentValue.toFixed(2));
+                    window.updateParameter(param, currentValue.toFixed(2), 'reactivity');
                 }
             });
         });
@@ -573,10 +618,10 @@ export class RealHolographicSystem {
         
         // Update holographic shimmer parameters
         if (window.updateParameter) {
-            window.updateParameter('hue', Math.round(shimmerHue));
-            window.updateParameter('intensity', shimmerIntensity.toFixed(2));
-            window.updateParameter('saturation', saturationPulse.toFixed(2));
-            window.updateParameter('morphFactor', depthMorph.toFixed(2));
+            window.updateParameter('hue', Math.round(shimmerHue), 'mouse');
+            window.updateParameter('intensity', shimmerIntensity.toFixed(2), 'mouse');
+            window.updateParameter('saturation', saturationPulse.toFixed(2), 'mouse');
+            window.updateParameter('morphFactor', depthMorph.toFixed(2), 'mouse');
         }
         
         console.log(`✨ Holographic shimmer: angle=(${angleX.toFixed(2)}, ${angleY.toFixed(2)}) → Hue=${Math.round(shimmerHue)}, Intensity=${shimmerIntensity.toFixed(2)}`);
@@ -622,7 +667,7 @@ export class RealHolographicSystem {
                     const burstHue = (baseHue + currentHueShift) % 360;
                     
                     if (window.updateParameter) {
-                        window.updateParameter('hue', Math.round(burstHue));
+                        window.updateParameter('hue', Math.round(burstHue), 'reactivity');
                     }
                     this.burstHueShift *= 0.93; // Smooth decay
                 }
@@ -633,7 +678,7 @@ export class RealHolographicSystem {
                     const burstIntensity = Math.min(1.0, baseIntensity + this.burstIntensityBoost * burstPhase);
                     
                     if (window.updateParameter) {
-                        window.updateParameter('intensity', burstIntensity.toFixed(2));
+                        window.updateParameter('intensity', burstIntensity.toFixed(2), 'reactivity');
                     }
                     this.burstIntensityBoost *= 0.92;
                 }
@@ -644,7 +689,7 @@ export class RealHolographicSystem {
                     const burstSaturation = Math.min(1.0, baseSaturation + this.burstSaturationSpike * burstPhase);
                     
                     if (window.updateParameter) {
-                        window.updateParameter('saturation', burstSaturation.toFixed(2));
+                        window.updateParameter('saturation', burstSaturation.toFixed(2), 'reactivity');
                     }
                     this.burstSaturationSpike *= 0.91;
                 }
@@ -655,7 +700,7 @@ export class RealHolographicSystem {
                     const burstChaos = baseChaos + this.burstChaosEffect * burstPhase;
                     
                     if (window.updateParameter) {
-                        window.updateParameter('chaos', burstChaos.toFixed(2));
+                        window.updateParameter('chaos', burstChaos.toFixed(2), 'reactivity');
                     }
                     this.burstChaosEffect *= 0.90;
                 }
@@ -666,7 +711,7 @@ export class RealHolographicSystem {
                     const burstSpeed = baseSpeed + this.burstSpeedBoost * burstPhase;
                     
                     if (window.updateParameter) {
-                        window.updateParameter('speed', burstSpeed.toFixed(2));
+                        window.updateParameter('speed', burstSpeed.toFixed(2), 'reactivity');
                     }
                     this.burstSpeedBoost *= 0.89;
                 }
@@ -685,14 +730,23 @@ export class RealHolographicSystem {
     
     startRenderLoop() {
         const render = () => {
-            if (this.isActive) {
+            // Offline rendering drives the visualizers with explicit frame times instead
+            if (this.isActive && !this.offlineRendering) {
                 // Update audio reactivity
                 this.updateAudio();
                 
+                // Pick up layer overrides changed since the last frame
+                if (window.layerCompositor && window.layerCompositor.revision !== this.layerRevision) {
+                    this.syncLayerOverrides();
+                }
+                
                 // Render all visualizers
                 this.visualizers.forEach(visualizer => {
                     visualizer.render();
                 });
+                
+                // Post-processing reads the layers right after the system pass
+                window.postProcessor?.process('holographic', this.visualizers.map(v => v.canvas));
             }
             
             requestAnimationFrame(render);
@@ -0,0 +1,668 @@
+/**
+ * VIB34D Modulation Matrix
+ * The Universal Interactivity Engine behind InteractivityMenu - routes any input source
+ * (mouse, scroll, device tilt, audio bands, LFOs, MIDI) to any parameter of the active system
+ *
+ *   const matrix = new ModulationMatrix();
+ *   matrix.attach();
+ *   matrix.addRoute({ source: 'audio.bass', target: 'morphFactor', range: [0.5, 1.5], curve: 'exponential', smoothing: 0.6 });
+ *   matrix.addRoute({ source: 'lfo.1', target: 'hue', amount: 0.5 });
+ *   matrix.start();
+ *
+ * Every source is normalized to 0-1. A route maps it through its curve into its range, and `amount`
+ * blends between the parameter's own (base) value and that target. Several routes on one parameter add up.
+ * Moving a slider while routes are active moves the base value, so manual control is never lost.
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { ParameterMapper } from '../core/ParameterMapper.js';
+import { Easing, getEasing } from '../timeline/Easing.js';
+
+// Built-in sources (lfo.<id> and midi.* are added dynamically)
+export const MODULATION_SOURCES = {
+    mouse: ['mouse.x', 'mouse.y', 'mouse.velocity'],
+    scroll: ['scroll.position', 'scroll.velocity'],
+    tilt: ['tilt.alpha', 'tilt.beta', 'tilt.gamma'],
+    audio: ['audio.bass', 'audio.mid', 'audio.high', 'audio.energy', 'audio.beat', 'audio.beatPhase', 'audio.flux', 'audio.brightness']
+};
+
+// Response curves - any easing name from Easing.js is accepted as well
+export const MODULATION_CURVES = {
+    linear: t => t,
+    exponential: t => t * t,
+    logarithmic: t => Math.sqrt(t),
+    sCurve: t => t * t * (3 - 2 * t),
+    inverted: t => 1 - t,
+    step: t => (t < 0.5 ? 0 : 1)
+};
+
+export const LFO_SHAPES = ['sine', 'triangle', 'saw', 'square', 'random'];
+
+// Parameters that switch between discrete states instead of interpolating
+const DISCRETE_PARAMETERS = ['geometry', 'variation', 'polytope'];
+
+export class ModulationMatrix {
+    constructor(options = {}) {
+        // Routes: id -> { id, source, target, range, curve, smoothing, amount, enabled }
+        this.routes = new Map();
+        this.nextRouteId = 1;
+
+        // LFOs: id -> { id, shape, rate (Hz), phase (0-1) }
+        this.lfos = new Map();
+        this.lfoTime = 0;
+        this.lfoHold = new Map();
+
+        // Latest normalized value of every source
+        this.sourceValues = {};
+        this.activeInputs = new Set();
+
+        // Parameter base values (what the parameter would be without modulation) and last written outputs
+        this.baseValues = new Map();
+        this.lastOutputs = new Map();
+        this.smoothedValues = new Map();
+
+        // Where modulated values go / where current values come from - the global router covers every system
+        this.applyParameter = options.applyParameter || ((param, value) => {
+            if (window.updateParameter) {
+                window.updateParameter(param, value, 'modulation');
+            }
+        });
+        this.readParameter = options.readParameter || ((param) => {
+            const value = window.userParameterState?.[param];
+            return typeof value === 'number' && !isNaN(value) ? value : null;
+        });
+
+        // Validation sources: ParameterManager for shared params, ParameterMapper for system-specific ones
+        const parameterManager = new ParameterManager();
+        this.parameterDefs = parameterManager.parameterDefs;
+        this.parameterDefaults = parameterManager.getAllParameters();
+        this.mapper = new ParameterMapper();
+
+        // Input tracking
+        this.lastPointer = null;
+        this.lastInputTime = null;
+        this.domListeners = [];
+
+        // Loop and performance bookkeeping
+        this.isRunning = false;
+        this.animationId = null;
+        this.lastFrameTime = null;
+        this.stats = { updateRate: 0, processingTime: 0, inputLatency: 0 };
+
+        this.listeners = new Map();
+
+        this.resetSources();
+        this.addLFO({ id: '1', shape: 'sine', rate: 0.25 });
+        this.addLFO({ id: '2', shape: 'triangle', rate: 0.1 });
+    }
+
+    resetSources() {
+        Object.values(MODULATION_SOURCES).flat().forEach(source => {
+            this.sourceValues[source] = 0;
+        });
+        // Centered defaults so routes don't jump before the first event
+        this.sourceValues['mouse.x'] = 0.5;
+        this.sourceValues['mouse.y'] = 0.5;
+        this.sourceValues['tilt.beta'] = 0.5;
+        this.sourceValues['tilt.gamma'] = 0.5;
+    }
+
+    /**
+     * Resolve legacy names (density, morph, geometryType) to the shared parameter names
+     */
+    resolveParameterName(param) {
+        return this.mapper.mappings.vib34d.from[param] || param;
+    }
+
+    getParameterRange(param) {
+        return this.parameterDefs[param] || this.mapper.unifiedSchema[param] || null;
+    }
+
+    /**
+     * Whether a source path can be routed (built-in, a defined LFO or any midi.* control)
+     */
+    isValidSource(source) {
+        if (typeof source !== 'string') return false;
+        if (source.startsWith('midi.')) return source.length > 'midi.'.length;
+        if (source.startsWith('lfo.')) return this.lfos.has(source.slice(4));
+        return source in this.sourceValues;
+    }
+
+    getSourceNames() {
+        const names = [
+            ...Object.values(MODULATION_SOURCES).flat(),
+            ...Array.from(this.lfos.keys()).map(id => `lfo.${id}`)
+        ];
+        Object.keys(this.sourceValues).forEach(source => {
+            if (source.startsWith('midi.')) names.push(source);
+        });
+        return names;
+    }
+
+    getCurveNames() {
+        return Object.keys(MODULATION_CURVES);
+    }
+
+    /**
+     * Add a route from a source to a parameter
+     * @param {Object} route
+     * @param {string} route.source - Source path (e.g. 'mouse.x', 'audio.bass', 'lfo.1', 'midi.cc.1')
+     * @param {string} route.target - Parameter name
+     * @param {number[]} route.range - [min, max] the source sweeps (defaults to the full parameter range, may be reversed)
+     * @param {string} route.curve - Response curve (MODULATION_CURVES or an easing name)
+     * @param {number} route.smoothing - 0 (instant) → 0.99 (very slow)
+     * @param {number} route.amount - 0 (base value only) → 1 (source fully in control)
+     * @returns {Object} The stored route
+     */
+    addRoute({ source, target, range = null, curve = 'linear', smoothing = 0, amount = 1, enabled = true, id = null } = {}) {
+        const param = this.resolveParameterName(target);
+        const paramRange = this.getParameterRange(param);
+
+        if (!paramRange) {
+            throw new Error(`Unknown modulation target: ${target}`);
+        }
+        if (!this.isValidSource(source)) {
+            throw new Error(`Unknown modulation source: ${source}`);
+        }
+
+        const [rangeMin, rangeMax] = Array.isArray(range) ? range.map(parseFloat) : [paramRange.min, paramRange.max];
+        if (isNaN(rangeMin) || isNaN(rangeMax)) {
+            throw new Error(`Invalid modulation range for ${param}: ${JSON.stringify(range)}`);
+        }
+
+        const clampToParam = value => Math.max(paramRange.min, Math.min(paramRange.max, value));
+        const route = {
+            id: id || `route${this.nextRouteId++}`,
+            source,
+            target: param,
+            range: [clampToParam(rangeMin), clampToParam(rangeMax)],
+            curve: MODULATION_CURVES[curve] || Easing[curve] ? curve : 'linear',
+            smoothing: Math.max(0, Math.min(0.99, parseFloat(smoothing) || 0)),
+            amount: isNaN(parseFloat(amount)) ? 1 : Math.max(0, Math.min(1, parseFloat(amount))),
+            enabled: enabled !== false
+        };
+
+        this.routes.set(route.id, route);
+        this.emit('change', { action: 'add', route });
+        console.log(`🎛️ Modulation route: ${route.source} → ${route.target} [${route.range.join(', ')}] ${route.curve}`);
+        return route;
+    }
+
+    /**
+     * Change a route's settings (same fields as addRoute)
+     */
+    updateRoute(id, changes) {
+        const existing = this.routes.get(id);
+        if (!existing) return null;
+
+        this.routes.delete(id);
+        try {
+            return this.addRoute({ ...existing, ...changes, id });
+        } catch (error) {
+            this.routes.set(id, existing);
+            throw error;
+        }
+    }
+
+    removeRoute(id) {
+        const route = this.routes.get(id);
+        if (!route) return false;
+
+        this.routes.delete(id);
+        this.smoothedValues.delete(id);
+        this.releaseTarget(route.target);
+        this.emit('change', { action: 'remove', route });
+        return true;
+    }
+
+    /**
+     * Remove every route on a parameter (optionally only those from one source)
+     */
+    removeRoutesFor(target, source = null) {
+        const param = this.resolveParameterName(target);
+        let removed = 0;
+        Array.from(this.routes.values()).forEach(route => {
+            if (route.target === param && (!source || route.source === source)) {
+                this.removeRoute(route.id);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    clearRoutes() {
+        Array.from(this.routes.keys()).forEach(id => this.removeRoute(id));
+    }
+
+    getRoutes() {
+        return Array.from(this.routes.values()).map(route => ({ ...route, range: [...route.range] }));
+    }
+
+    hasRoutes() {
+        return this.routes.size > 0;
+    }
+
+    /**
+     * Put a parameter back on its base value once nothing modulates it
+     */
+    releaseTarget(param) {
+        const stillRouted = Array.from(this.routes.values()).some(route => route.target === param);
+        if (stillRouted) return;
+
+        if (this.baseValues.has(param)) {
+            this.applyParameter(param, this.baseValues.get(param));
+        }
+        this.baseValues.delete(param);
+        this.lastOutputs.delete(param);
+    }
+
+    /**
+     * Define (or replace) a low-frequency oscillator - routable as lfo.<id>
+     */
+    addLFO({ id = null, shape = 'sine', rate = 1, phase = 0 } = {}) {
+        const lfoId = String(id || this.lfos.size + 1);
+        if (!LFO_SHAPES.includes(shape)) {
+            throw new Error(`Unknown LFO shape: ${shape} (expected ${LFO_SHAPES.join(', ')})`);
+        }
+
+        const lfo = {
+            id: lfoId,
+            shape,
+            rate: Math.max(0.001, parseFloat(rate) || 1),
+            phase: ((parseFloat(phase) || 0) % 1 + 1) % 1
+        };
+        this.lfos.set(lfoId, lfo);
+        this.sourceValues[`lfo.${lfoId}`] = this.evaluateLFO(lfo, this.lfoTime);
+        return lfo;
+    }
+
+    removeLFO(id) {
+        const lfoId = String(id);
+        if (!this.lfos.delete(lfoId)) return false;
+
+        delete this.sourceValues[`lfo.${lfoId}`];
+        Array.from(this.routes.values())
+            .filter(route => route.source === `lfo.${lfoId}`)
+            .forEach(route => this.removeRoute(route.id));
+        return true;
+    }
+
+    evaluateLFO(lfo, time) {
+        const cycles = time * lfo.rate + lfo.phase;
+        const position = cycles - Math.floor(cycles);
+
+        switch (lfo.shape) {
+            case 'triangle':
+                return position < 0.5 ? position * 2 : 2 - position * 2;
+            case 'saw':
+                return position;
+            case 'square':
+                return position < 0.5 ? 1 : 0;
+            case 'random': {
+                // Sample & hold - a new value every cycle
+                const cycle = Math.floor(cycles);
+                const held = this.lfoHold.get(lfo.id);
+                if (!held || held.cycle !== cycle) {
+                    this.lfoHold.set(lfo.id, { cycle, value: Math.random() });
+                }
+                return this.lfoHold.get(lfo.id).value;
+            }
+            case 'sine':
+            default:
+                return 0.5 + 0.5 * Math.sin(position * Math.PI * 2);
+        }
+    }
+
+    /**
+     * Feed a source value from outside (MIDI controllers, OSC, tests) - clamped to 0-1
+     */
+    setSourceValue(source, value) {
+        const numValue = parseFloat(value);
+        if (typeof source !== 'string' || isNaN(numValue)) return;
+
+        this.sourceValues[source] = Math.max(0, Math.min(1, numValue));
+        if (source.startsWith('midi.')) {
+            this.activeInputs.add('midi');
+        }
+        this.lastInputTime = this.now();
+    }
+
+    getSourceValue(source) {
+        return this.sourceValues[source] ?? 0;
+    }
+
+    /**
+     * Listen to pointer, wheel and device orientation events
+     */
+    attach(target = window) {
+        if (this.domListeners.length > 0) return;
+
+        const listen = (type, handler, options) => {
+            target.addEventListener(type, handler, options);
+            this.domListeners.push({ target, type, handler, options });
+        };
+
+        listen('mousemove', (e) => this.handlePointer(e.clientX, e.clientY));
+        listen('touchmove', (e) => {
+            if (e.touches && e.touches.length > 0) {
+                this.handlePointer(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: true });
+        listen('wheel', (e) => this.handleWheel(e.deltaY), { passive: true });
+        listen('deviceorientation', (e) => this.handleOrientation(e));
+
+        console.log('🎛️ Modulation matrix listening for input');
+    }
+
+    detach() {
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+    }
+
+    handlePointer(clientX, clientY) {
+        const width = window.innerWidth || 1;
+        const height = window.innerHeight || 1;
+        const x = Math.max(0, Math.min(1, clientX / width));
+        const y = Math.max(0, Math.min(1, clientY / height));
+        const now = this.now();
+
+        if (this.lastPointer) {
+            const dt = Math.max(1, now - this.lastPointer.time);
+            // Full screen width per 250ms reads as full velocity
+            const speed = Math.hypot(x - this.lastPointer.x, y - this.lastPointer.y) / dt * 250;
+            this.sourceValues['mouse.velocity'] = Math.max(this.sourceValues['mouse.velocity'], Math.min(1, speed));
+        }
+
+        this.lastPointer = { x, y, time: now };
+        this.sourceValues['mouse.x'] = x;
+        this.sourceValues['mouse.y'] = y;
+        this.activeInputs.add('mouse');
+        this.lastInputTime = now;
+    }
+
+    handleWheel(deltaY) {
+        const position = this.sourceValues['scroll.position'] + deltaY * 0.001;
+        this.sourceValues['scroll.position'] = Math.max(0, Math.min(1, position));
+        this.sourceValues['scroll.velocity'] = Math.min(1, this.sourceValues['scroll.velocity'] + Math.abs(deltaY) / 300);
+        this.activeInputs.add('scroll');
+        this.lastInputTime = this.now();
+    }
+
+    handleOrientation(event) {
+        if (event.alpha === null && event.beta === null && event.gamma === null) return;
+
+        // Same clamping as DeviceTiltHandler - beta/gamma are centered at 0.5
+        this.sourceValues['tilt.alpha'] = ((event.alpha || 0) % 360 + 360) % 360 / 360;
+        this.sourceValues['tilt.beta'] = (Math.max(-90, Math.min(90, event.beta || 0)) + 90) / 180;
+        this.sourceValues['tilt.gamma'] = (Math.max(-90, Math.min(90, event.gamma || 0)) + 90) / 180;
+        this.activeInputs.add('tilt');
+        this.lastInputTime = this.now();
+    }
+
+    /**
+     * Read the shared audio analysis (window.audioReactive from the audio engine)
+     */
+    readAudio(deltaSeconds) {
+        const audio = window.audioReactive;
+        if (!audio || window.audioEnabled === false) {
+            this.activeInputs.delete('audio');
+            return;
+        }
+
+        this.activeInputs.add('audio');
+        this.sourceValues['audio.bass'] = audio.bass || 0;
+        this.sourceValues['audio.mid'] = audio.mid || 0;
+        this.sourceValues['audio.high'] = audio.high || 0;
+        this.sourceValues['audio.energy'] = audio.energy || 0;
+        this.sourceValues['audio.beatPhase'] = audio.beatPhase || 0;
+        this.sourceValues['audio.flux'] = Math.min(1, (audio.flux || 0) * 10);
+        this.sourceValues['audio.brightness'] = Math.min(1, audio.brightness || 0);
+
+        // Beats are single frames - hold them as a decaying pulse so routes can see them
+        this.sourceValues['audio.beat'] = audio.beat
+            ? 1
+            : this.sourceValues['audio.beat'] * Math.exp(-deltaSeconds * 8);
+    }
+
+    /**
+     * Advance LFOs, sample every source and write modulated parameter values
+     * @param {number} deltaSeconds - Time since the previous update
+     */
+    update(deltaSeconds = 1 / 60) {
+        const started = this.now();
+        const dt = Math.max(0, deltaSeconds);
+
+        // Sources that decay or run on their own clock
+        this.readAudio(dt);
+        this.lfoTime += dt;
+        this.lfos.forEach(lfo => {
+            this.sourceValues[`lfo.${lfo.id}`] = this.evaluateLFO(lfo, this.lfoTime);
+        });
+        if (this.lfos.size > 0) this.activeInputs.add('lfo');
+        this.sourceValues['mouse.velocity'] *= Math.exp(-dt * 6);
+        this.sourceValues['scroll.velocity'] *= Math.exp(-dt * 4);
+
+        // Sum each route's offset from the base value of its parameter
+        const offsets = new Map();
+        this.routes.forEach(route => {
+            if (!route.enabled) return;
+
+            const base = this.getBaseValue(route.target);
+            const raw = this.getSourceValue(route.source);
+
+            // Frame-rate independent one-pole smoothing
+            const previous = this.smoothedValues.has(route.id) ? this.smoothedValues.get(route.id) : raw;
+            const alpha = route.smoothing > 0 ? 1 - Math.pow(route.smoothing, dt * 60) : 1;
+            const smoothed = previous + (raw - previous) * alpha;
+            this.smoothedValues.set(route.id, smoothed);
+
+            const shaped = this.applyCurve(route.curve, smoothed);
+            const value = route.range[0] + (route.range[1] - route.range[0]) * shaped;
+            offsets.set(route.target, (offsets.get(route.target) || 0) + (value - base) * route.amount);
+        });
+
+        offsets.forEach((offset, param) => {
+            const range = this.getParameterRange(param);
+            let value = Math.max(range.min, Math.min(range.max, this.getBaseValue(param) + offset));
+            if (DISCRETE_PARAMETERS.includes(param)) {
+                value = Math.round(value);
+            }
+
+            if (this.lastOutputs.get(param) !== value) {
+                this.lastOutputs.set(param, value);
+                this.applyParameter(param, value);
+            }
+        });
+
+        if (this.lastInputTime !== null) {
+            this.stats.inputLatency = this.stats.inputLatency * 0.9 + (started - this.lastInputTime) * 0.1;
+            this.lastInputTime = null;
+        }
+        this.stats.processingTime = this.stats.processingTime * 0.9 + (this.now() - started) * 0.1;
+        if (dt > 0) {
+            this.stats.updateRate = this.stats.updateRate * 0.9 + (1 / dt) * 0.1;
+        }
+    }
+
+    /**
+     * Value the parameter has without modulation - follows manual changes made while routed
+     */
+    getBaseValue(param) {
+        const current = this.readParameter(param);
+        const lastOutput = this.lastOutputs.get(param);
+
+        if (current !== null && (lastOutput === undefined || Math.abs(current - lastOutput) > 1e-6)) {
+            this.baseValues.set(param, current);
+        }
+        if (!this.baseValues.has(param)) {
+            const fallback = this.parameterDefaults[param] ?? this.mapper.unifiedSchema[param]?.default ?? this.getParameterRange(param).min;
+            this.baseValues.set(param, fallback);
+        }
+        return this.baseValues.get(param);
+    }
+
+    /**
+     * Unmodulated values of every routed parameter (what a save should store)
+     */
+    getBaseValues() {
+        const values = {};
+        this.routes.forEach(route => {
+            values[route.target] = this.getBaseValue(route.target);
+        });
+        return values;
+    }
+
+    applyCurve(name, t) {
+        const clamped = Math.max(0, Math.min(1, t));
+        const curve = MODULATION_CURVES[name] || getEasing(name);
+        return curve(clamped);
+    }
+
+    /**
+     * Run update() every animation frame
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.lastFrameTime = null;
+
+        const tick = (timestamp) => {
+            if (!this.isRunning) return;
+
+            if (this.lastFrameTime !== null) {
+                // Cap the step so a backgrounded tab doesn't jump the LFOs
+                this.update(Math.min(0.1, (timestamp - this.lastFrameTime) / 1000));
+            }
+            this.lastFrameTime = timestamp;
+            this.animationId = requestAnimationFrame(tick);
+        };
+
+        this.animationId = requestAnimationFrame(tick);
+        console.log('🎛️ Modulation matrix running');
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Current value of a parameter (null when the active system hasn't set it)
+     */
+    getParameterValue(param) {
+        return this.readParameter(this.resolveParameterName(param));
+    }
+
+    /**
+     * Live source values grouped for display
+     */
+    getSourceGroups() {
+        const groups = [
+            { id: 'mouse', label: '🖱️ Mouse/Touch', sources: MODULATION_SOURCES.mouse },
+            { id: 'scroll', label: '📜 Scroll', sources: MODULATION_SOURCES.scroll },
+            { id: 'tilt', label: '📱 Device Tilt', sources: MODULATION_SOURCES.tilt },
+            { id: 'audio', label: '🎵 Audio', sources: MODULATION_SOURCES.audio },
+            { id: 'lfo', label: '〰️ LFOs', sources: Array.from(this.lfos.keys()).map(id => `lfo.${id}`) },
+            { id: 'midi', label: '🎹 MIDI', sources: Object.keys(this.sourceValues).filter(source => source.startsWith('midi.')) }
+        ];
+
+        return groups.map(group => ({
+            ...group,
+            active: this.activeInputs.has(group.id),
+            values: Object.fromEntries(group.sources.map(source => [source, this.getSourceValue(source)]))
+        }));
+    }
+
+    getPerformanceStats() {
+        return {
+            updateRate: this.stats.updateRate,
+            processingTime: this.stats.processingTime,
+            inputLatency: this.stats.inputLatency,
+            totalSources: this.activeInputs.size,
+            totalRoutes: this.routes.size
+        };
+    }
+
+    /**
+     * Serialize for saving alongside a variation
+     */
+    serialize() {
+        return {
+            type: 'vib34d-modulation',
+            version: '1.0',
+            routes: this.getRoutes().map(({ id, ...route }) => route),
+            lfos: Array.from(this.lfos.values()).map(lfo => ({ ...lfo }))
+        };
+    }
+
+    /**
+     * Load saved routing - also accepts the legacy { parameterMappings } interactivity config
+     */
+    load(data) {
+        if (data && data.parameterMappings && !data.routes) {
+            data = {
+                type: 'vib34d-modulation',
+                routes: Object.entries(data.parameterMappings).flatMap(([target, mapping]) =>
+                    (mapping.sources || []).map(source => ({ source, target, range: mapping.range, smoothing: mapping.smoothing })))
+            };
+        }
+
+        if (!data || data.type !== 'vib34d-modulation' || !Array.isArray(data.routes)) {
+            console.warn('⚠️ Invalid modulation data - ignoring');
+            return false;
+        }
+
+        this.clearRoutes();
+        if (Array.isArray(data.lfos)) {
+            this.lfos.clear();
+            data.lfos.forEach(lfo => {
+                try {
+                    this.addLFO(lfo);
+                } catch (error) {
+                    console.warn('⚠️ Skipping LFO:', error.message);
+                }
+            });
+        }
+
+        data.routes.forEach(route => {
+            try {
+                this.addRoute(route);
+            } catch (error) {
+                console.warn('⚠️ Skipping modulation route:', error.message);
+            }
+        });
+
+        console.log(`🎛️ Modulation loaded: ${this.routes.size} routes, ${this.lfos.size} LFOs`);
+        return true;
+    }
+
+    /**
+     * Event subscription (change)
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ Modulation ${event} listener failed:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * VIB34D Particle Renderer
+ * Draws ParticleSystem4D buffers into one layer's WebGL context as soft additive points
+ *
+ * All the 4D work happens on the GPU: each particle is rotated by the six rotation parameters,
+ * projected with the shared PROJECTION_GLSL, then shown on the same turntable as SliceRenderer,
+ * so particles sit where the polytope meshes are drawn.
+ */
+
+import { PROJECTION_GLSL, getProjectionDistance, getProjectionWeights } from '../geometry/Projections.js';
+
+const VERTEX_SHADER = `
+    attribute vec4 a_position;
+    attribute vec4 a_color;
+    attribute float a_size;
+    uniform float u_rotations[6];
+    uniform float u_turn;
+    uniform float u_tilt;
+    uniform float u_scale;
+    uniform float u_aspect;
+    uniform float u_sizeScale;
+    varying vec4 v_color;
+
+    ${PROJECTION_GLSL}
+
+    // Same plane order and sign as rotate4D() in ShaderMath.js
+    vec4 rotatePlane(vec4 p, int a, int b, float theta) {
+        float c = cos(theta);
+        float s = sin(theta);
+        vec4 q = p;
+        if (a == 0 && b == 1) { q.x = c * p.x + s * p.y; q.y = c * p.y - s * p.x; }
+        if (a == 0 && b == 2) { q.x = c * p.x + s * p.z; q.z = c * p.z - s * p.x; }
+        if (a == 1 && b == 2) { q.y = c * p.y + s * p.z; q.z = c * p.z - s * p.y; }
+        if (a == 0 && b == 3) { q.x = c * p.x + s * p.w; q.w = c * p.w - s * p.x; }
+        if (a == 1 && b == 3) { q.y = c * p.y + s * p.w; q.w = c * p.w - s * p.y; }
+        if (a == 2 && b == 3) { q.z = c * p.z + s * p.w; q.w = c * p.w - s * p.z; }
+        return q;
+    }
+
+    void main() {
+        vec4 p4 = a_position;
+        p4 = rotatePlane(p4, 0, 1, u_rotations[0]);
+        p4 = rotatePlane(p4, 0, 2, u_rotations[1]);
+        p4 = rotatePlane(p4, 1, 2, u_rotations[2]);
+        p4 = rotatePlane(p4, 0, 3, u_rotations[3]);
+        p4 = rotatePlane(p4, 1, 3, u_rotations[4]);
+        p4 = rotatePlane(p4, 2, 3, u_rotations[5]);
+
+        vec3 p = project4Dto3D(p4) * u_scale;
+        float c = cos(u_turn);
+        float s = sin(u_turn);
+        p = vec3(c * p.x + s * p.z, p.y, c * p.z - s * p.x);
+        c = cos(u_tilt);
+        s = sin(u_tilt);
+        p = vec3(p.x, c * p.y - s * p.z, s * p.y + c * p.z);
+
+        float perspective = 2.5 / max(2.5 + p.z, 0.1);
+        v_color = a_color;
+        gl_Position = vec4(p.x * perspective / u_aspect, p.y * perspective, 0.0, 1.0);
+        gl_PointSize = a_size * u_sizeScale * perspective;
+    }
+`;
+
+const FRAGMENT_SHADER = `
+    precision mediump float;
+    uniform float u_alpha;
+    varying vec4 v_color;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5) * 2.0;
+        if (d > 1.0) discard;
+        float glow = 1.0 - d * d;
+        gl_FragColor = vec4(v_color.rgb, v_color.a * glow * u_alpha);
+    }
+`;
+
+// What each layer draws - point size multiplier and opacity (a wide faint glow behind sharp points)
+export const PARTICLE_LAYER_STYLES = {
+    background: {},
+    shadow: {},
+    content: { size: 1.0, alpha: 1.0 },
+    highlight: { size: 3.0, alpha: 0.25 },
+    accent: {}
+};
+
+export class ParticleRenderer {
+    /**
+     * @param {WebGLRenderingContext} gl - The layer's context
+     * @param {string} role - Layer role (background, shadow, content, highlight, accent)
+     */
+    constructor(gl, role) {
+        this.gl = gl;
+        this.style = PARTICLE_LAYER_STYLES[role] || PARTICLE_LAYER_STYLES.content;
+        this.program = null;
+        this.buffers = null;
+        this.attributes = {};
+        this.uniforms = {};
+    }
+
+    init() {
+        if (this.program) return true;
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('❌ Particle shader compile error:', gl.getShaderInfoLog(shader));
+                gl.deleteShader(shader);
+                return null;
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+        if (!vertexShader || !fragmentShader) return false;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('❌ Particle program link error:', gl.getProgramInfoLog(program));
+            gl.deleteProgram(program);
+            return false;
+        }
+
+        this.program = program;
+        ['a_position', 'a_color', 'a_size'].forEach(name => {
+            this.attributes[name] = gl.getAttribLocation(program, name);
+        });
+        ['u_rotations', 'u_turn', 'u_tilt', 'u_scale', 'u_aspect', 'u_sizeScale', 'u_alpha',
+            'u_projectionWeights', 'u_projectionDistance'].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(program, name);
+        });
+        this.buffers = {
+            positions: gl.createBuffer(),
+            colors: gl.createBuffer(),
+            sizes: gl.createBuffer()
+        };
+        return true;
+    }
+
+    /**
+     * Draw the particles over whatever the layer already holds
+     * @param {Object} buffers - ParticleSystem4D.getBuffers() result
+     * @param {Object} view - { parameters } for rotation and projection, { turn, tilt, scale, opacity }
+     */
+    render(buffers, view = {}) {
+        const style = this.style;
+        if (!buffers || buffers.count === 0 || !style.alpha || !this.init()) return;
+        const gl = this.gl;
+        const p = view.parameters || {};
+
+        gl.useProgram(this.program);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+
+        this.upload('a_position', this.buffers.positions, buffers.positions, 4);
+        this.upload('a_color', this.buffers.colors, buffers.colors, 4);
+        this.upload('a_size', this.buffers.sizes, buffers.sizes, 1);
+
+        gl.uniform1fv(this.uniforms.u_rotations, [p.rot4dXY, p.rot4dXZ, p.rot4dYZ, p.rot4dXW, p.rot4dYW, p.rot4dZW].map(angle => angle || 0));
+        gl.uniform1f(this.uniforms.u_turn, view.turn || 0);
+        gl.uniform1f(this.uniforms.u_tilt, view.tilt ?? 0.35);
+        gl.uniform1f(this.uniforms.u_scale, view.scale || 1);
+        gl.uniform1f(this.uniforms.u_aspect, gl.drawingBufferWidth / Math.max(1, gl.drawingBufferHeight));
+        gl.uniform1f(this.uniforms.u_sizeScale, style.size * (window.devicePixelRatio || 1));
+        gl.uniform1f(this.uniforms.u_alpha, style.alpha * (view.opacity ?? 1));
+        gl.uniform4fv(this.uniforms.u_projectionWeights, getProjectionWeights(p.projection || 0));
+        gl.uniform1f(this.uniforms.u_projectionDistance, getProjectionDistance(p.projectionDistance));
+
+        gl.drawArrays(gl.POINTS, 0, buffers.count);
+
+        // Leave the layer's usual blending for the next frame's main pass
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        Object.values(this.attributes).forEach(location => {
+            if (location !== -1) gl.disableVertexAttribArray(location);
+        });
+    }
+
+    upload(name, buffer, data, size) {
+        const location = this.attributes[name];
+        if (location === -1) return;
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    }
+
+    destroy() {
+        if (!this.program) return;
+        Object.values(this.buffers).forEach(buffer => this.gl.deleteBuffer(buffer));
+        this.gl.deleteProgram(this.program);
+        this.program = null;
+        this.buffers = null;
+    }
+}
@@ -0,0 +1,440 @@
+/**
+ * VIB34D 4D Particle System
+ * Particles emitted from polytope vertices, edges and cells, moved by the physics world's
+ * gravity, magnetic and fluid fields plus local force fields, and stirred by audio and clicks
+ *
+ * GPU-friendly: particles live in fixed-size typed arrays (position and color as vec4, size as
+ * float), kept packed so the first `count` entries upload straight into vertex buffers.
+ * Seeded randomness keeps runs reproducible.
+ */
+
+import { getPolytope } from '../geometry/RegularPolychora.js';
+import { ROTATION_PLANES } from '../physics/ConvexCollision4D.js';
+import { SeededRandom } from '../physics/SeededRandom.js';
+
+export const EMITTER_SOURCES = ['vertices', 'edges', 'cells'];
+
+export const FORCE_FIELD_TYPES = ['attractor', 'repulsor', 'vortex'];
+
+// Parameters every particle follows - emitters may override the emission ones
+export const DEFAULT_PARTICLE_PARAMETERS = {
+    emissionRate: 60,       // Particles per second per emitter
+    lifetime: 2.0,          // Seconds
+    lifetimeVariance: 0.3,  // ± share of the lifetime
+    speed: 0.4,             // Launch speed away from the polytope centre
+    spread: 0.15,           // Random launch velocity
+    size: 6.0,              // Point size in pixels at birth
+    sizeEnd: 1.0,           // … and at death
+    hue: 280,               // Birth hue (degrees)
+    hueShift: 60,           // Hue change over a lifetime
+    saturation: 0.8,
+    intensity: 1.0,         // Alpha at birth, fading to 0
+    gravityScale: 0.2,      // Share of the world's gravity
+    charge: 1.0,            // Magnetic response
+    drag: 0.5,              // Coupling to the fluid flow
+    audioReactivity: 1.0,   // Bass → rate, mid → speed, high → size and hue
+    burstCount: 80          // Particles per emitter in a full-strength click burst
+};
+
+const EMISSION_OVERRIDES = ['emissionRate', 'lifetime', 'speed', 'spread', 'hue'];
+
+// Bursts launch this much faster than steady emission
+const BURST_SPEED = 3;
+
+// Largest step - a stalled tab doesn't fling every particle out of view
+const MAX_STEP = 0.1;
+
+export class ParticleSystem4D {
+    /**
+     * @param {Object} options - { capacity }, { seed }, { physics } world whose fields act on the particles,
+     *   { parameters } overriding DEFAULT_PARTICLE_PARAMETERS
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 4096;
+        this.count = 0;
+
+        // Packed particle data - the first `count` of each are alive
+        this.positions = new Float32Array(this.capacity * 4);
+        this.velocities = new Float32Array(this.capacity * 4);
+        this.colors = new Float32Array(this.capacity * 4);
+        this.sizes = new Float32Array(this.capacity);
+        this.ages = new Float32Array(this.capacity);
+        this.lifetimes = new Float32Array(this.capacity);
+        this.hues = new Float32Array(this.capacity);
+
+        this.parameters = { ...DEFAULT_PARTICLE_PARAMETERS, ...(options.parameters || {}) };
+        this.random = new SeededRandom(options.seed ?? 1);
+        this.physics = options.physics || null;
+
+        // Fields used when there's no physics world
+        this.fields = { gravity4D: [0, 0, 0, 0], magneticField: [0, 0, 0, 0], fluidFlow: [0, 0, 0, 0] };
+
+        this.emitters = [];
+        this.forceFields = [];
+        this.nextEmitterId = 1;
+        this.nextFieldId = 1;
+
+        // Audio bands and the reactivity source that feeds them and click bursts
+        this.audio = { bass: 0, mid: 0, high: 0, energy: 0 };
+        this.reactivity = null;
+        this.unsubscribeReactivity = null;
+
+        this.time = 0;
+    }
+
+    setParameters(parameters = {}) {
+        Object.keys(parameters).forEach(key => {
+            if (!(key in DEFAULT_PARTICLE_PARAMETERS)) return;
+            const value = parseFloat(parameters[key]);
+            if (Number.isFinite(value)) this.parameters[key] = value;
+        });
+        return this.parameters;
+    }
+
+    // === EMITTERS ===
+
+    /**
+     * Emit from the vertices, edges or cells of a polytope
+     * @param {Object} options - { polytope } index, id or diagram, { source } 'vertices' | 'edges' | 'cells',
+     *   { position } 4D centre, { radius } circumradius, { active }, and any of emissionRate, lifetime, speed, spread, hue
+     * @returns {Object} The emitter
+     */
+    addEmitter(options = {}) {
+        const source = options.source || 'vertices';
+        if (!EMITTER_SOURCES.includes(source)) {
+            throw new Error(`Unknown emitter source: ${source} (use ${EMITTER_SOURCES.join(', ')})`);
+        }
+        const polytope = options.polytope ?? 0;
+        const radius = options.radius || 1;
+        const mesh = getPolytope(polytope, { radius });
+
+        const emitter = {
+            id: `emitter_${this.nextEmitterId++}`,
+            polytope,
+            source,
+            position: [...(options.position || [0, 0, 0, 0])],
+            radius,
+            mesh,
+            active: options.active !== false,
+            pending: 0
+        };
+        EMISSION_OVERRIDES.forEach(key => {
+            if (options[key] !== undefined) emitter[key] = options[key];
+        });
+
+        this.emitters.push(emitter);
+        console.log(`✨ Particle emitter ${emitter.id}: ${mesh.name} ${source}`);
+        return emitter;
+    }
+
+    removeEmitter(id) {
+        this.emitters = this.emitters.filter(emitter => emitter.id !== id);
+    }
+
+    clearEmitters() {
+        this.emitters = [];
+    }
+
+    getEmitters() {
+        return this.emitters;
+    }
+
+    /**
+     * A point on the emitter's polytope - a vertex, a point along an edge or a point inside a cell
+     */
+    samplePoint(emitter) {
+        const { mesh, source } = emitter;
+        const random = () => this.random.next();
+        const pick = list => list[Math.min(list.length - 1, Math.floor(random() * list.length))];
+        let point;
+
+        if (source === 'vertices') {
+            point = [...pick(mesh.vertices)];
+        } else if (source === 'edges') {
+            const [a, b] = pick(mesh.edges);
+            const t = random();
+            point = mesh.vertices[a].map((value, i) => value + (mesh.vertices[b][i] - value) * t);
+        } else {
+            // Random convex combination of the cell's vertices - inside the cell
+            const cell = pick(mesh.cells);
+            const weights = cell.map(() => -Math.log(1 - random() * 0.999999));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            point = [0, 0, 0, 0];
+            cell.forEach((index, k) => {
+                mesh.vertices[index].forEach((value, i) => { point[i] += value * weights[k] / total; });
+            });
+        }
+        return point;
+    }
+
+    /**
+     * Spawn particles from an emitter
+     * @param {number} speedScale - Launch speed multiplier (bursts)
+     * @param {number[]} push - Extra launch velocity shared by all of them
+     * @returns {number} Particles spawned (fewer when the system is full)
+     */
+    emit(emitter, count, speedScale = 1, push = [0, 0, 0, 0]) {
+        const p = this.parameters;
+        const audio = this.audioFactor();
+        const speed = (emitter.speed ?? p.speed) * (1 + this.audio.mid * audio) * speedScale;
+        const spread = emitter.spread ?? p.spread;
+        const lifetime = emitter.lifetime ?? p.lifetime;
+        const hue = (emitter.hue ?? p.hue) + this.audio.high * 60 * audio;
+
+        let spawned = 0;
+        for (let n = 0; n < count && this.count < this.capacity; n++) {
+            const local = this.samplePoint(emitter);
+            const length = Math.hypot(...local);
+            const i = this.count++;
+            for (let k = 0; k < 4; k++) {
+                const outward = length > 1e-9 ? local[k] / length : 0;
+                this.positions[i * 4 + k] = emitter.position[k] + local[k];
+                this.velocities[i * 4 + k] = outward * speed + (this.random.next() - 0.5) * 2 * spread + push[k];
+            }
+            this.ages[i] = 0;
+            this.lifetimes[i] = Math.max(0.05, lifetime * (1 + (this.random.next() - 0.5) * 2 * p.lifetimeVariance));
+            this.hues[i] = hue;
+            this.updateAppearance(i);
+            spawned++;
+        }
+        return spawned;
+    }
+
+    /**
+     * Click burst - every active emitter throws out a ring of fast particles
+     * @param {number} intensity - 0-1, scales the count
+     * @param {Object} options - { x, y } click position (0-1 across the canvas) pushes the burst that way
+     */
+    burst(intensity = 1, options = {}) {
+        const count = Math.round(this.parameters.burstCount * Math.max(0, intensity));
+        const push = options.x === undefined ? [0, 0, 0, 0]
+            : [(options.x - 0.5) * 2, (0.5 - options.y) * 2, 0, 0].map(value => value * this.parameters.speed);
+        return this.emitters.reduce((sum, emitter) => sum + (emitter.active ? this.emit(emitter, count, BURST_SPEED, push) : 0), 0);
+    }
+
+    // === FORCE FIELDS ===
+
+    /**
+     * Local force field
+     * @param {Object} options - { type } 'attractor' | 'repulsor' | 'vortex', { position }, { strength },
+     *   { radius } falloff distance, { plane } vortex rotation plane ('XY'…'ZW')
+     */
+    addForceField(options = {}) {
+        const type = options.type || 'attractor';
+        if (!FORCE_FIELD_TYPES.includes(type)) {
+            throw new Error(`Unknown force field type: ${type} (use ${FORCE_FIELD_TYPES.join(', ')})`);
+        }
+        const planeIndex = ROTATION_PLANES.findIndex(([plane]) => plane === (options.plane || 'XY'));
+        if (planeIndex < 0) {
+            throw new Error(`Unknown vortex plane: ${options.plane}`);
+        }
+
+        const field = {
+            id: `field_${this.nextFieldId++}`,
+            type,
+            position: [...(options.position || [0, 0, 0, 0])],
+            strength: options.strength ?? 1,
+            radius: options.radius || 1,
+            plane: ROTATION_PLANES[planeIndex][0],
+            axes: ROTATION_PLANES[planeIndex].slice(1)
+        };
+        this.forceFields.push(field);
+        return field;
+    }
+
+    removeForceField(id) {
+        this.forceFields = this.forceFields.filter(field => field.id !== id);
+    }
+
+    clearForceFields() {
+        this.forceFields = [];
+    }
+
+    // === SIMULATION ===
+
+    /**
+     * Gravity, magnetic field and fluid flow - the physics world's when there is one
+     */
+    getFields() {
+        const source = this.physics || this.fields;
+        return { gravity4D: source.gravity4D, magneticField: source.magneticField, fluidFlow: source.fluidFlow };
+    }
+
+    audioFactor() {
+        return this.parameters.audioReactivity;
+    }
+
+    /**
+     * Advance by dt seconds - emit, age, apply forces and move
+     */
+    step(dt) {
+        dt = Math.min(Math.max(dt, 0), MAX_STEP);
+        if (dt === 0) return;
+        this.time += dt;
+        this.readAudio();
+
+        // Emission - fractional particles carry over to the next step
+        const rateScale = 1 + this.audio.bass * 2 * this.audioFactor();
+        this.emitters.forEach(emitter => {
+            if (!emitter.active) return;
+            emitter.pending += (emitter.emissionRate ?? this.parameters.emissionRate) * rateScale * dt;
+            const count = Math.floor(emitter.pending);
+            emitter.pending -= count;
+            if (count > 0) this.emit(emitter, count);
+        });
+
+        const p = this.parameters;
+        const { gravity4D, magneticField, fluidFlow } = this.getFields();
+        const gravity = gravity4D.map(value => value * p.gravityScale);
+        const position = [0, 0, 0, 0];
+        const velocity = [0, 0, 0, 0];
+        const force = [0, 0, 0, 0];
+
+        let i = 0;
+        while (i < this.count) {
+            this.ages[i] += dt;
+            if (this.ages[i] >= this.lifetimes[i]) {
+                this.kill(i);
+                continue; // The last particle moved into this slot - handle it next
+            }
+
+            for (let k = 0; k < 4; k++) {
+                position[k] = this.positions[i * 4 + k];
+                velocity[k] = this.velocities[i * 4 + k];
+            }
+
+            // Lorentz force q(v × B) in xyz - the field's w component has no cross product partner
+            force[0] = gravity[0] + p.charge * (velocity[1] * magneticField[2] - velocity[2] * magneticField[1]);
+            force[1] = gravity[1] + p.charge * (velocity[2] * magneticField[0] - velocity[0] * magneticField[2]);
+            force[2] = gravity[2] + p.charge * (velocity[0] * magneticField[1] - velocity[1] * magneticField[0]);
+            force[3] = gravity[3];
+            for (let k = 0; k < 4; k++) {
+                force[k] += p.drag * (fluidFlow[k] - velocity[k]);
+            }
+            this.applyForceFields(position, force);
+
+            // Semi-implicit Euler
+            for (let k = 0; k < 4; k++) {
+                this.velocities[i * 4 + k] = velocity[k] + force[k] * dt;
+                this.positions[i * 4 + k] = position[k] + this.velocities[i * 4 + k] * dt;
+            }
+            this.updateAppearance(i);
+            i++;
+        }
+    }
+
+    applyForceFields(position, force) {
+        this.forceFields.forEach(field => {
+            const offset = [0, 1, 2, 3].map(k => position[k] - field.position[k]);
+            const distance = Math.hypot(...offset);
+            const falloff = field.strength / (1 + (distance / field.radius) ** 2);
+
+            if (field.type === 'vortex') {
+                // Swirl around the centre in the field's plane
+                const [a, b] = field.axes;
+                force[a] -= offset[b] * falloff;
+                force[b] += offset[a] * falloff;
+            } else if (distance > 1e-6) {
+                const sign = field.type === 'attractor' ? -1 : 1;
+                for (let k = 0; k < 4; k++) force[k] += sign * offset[k] / distance * falloff;
+            }
+        });
+    }
+
+    // Swap the last particle into a dead one's slot, so alive particles stay packed
+    kill(i) {
+        const last = --this.count;
+        if (i === last) return;
+        this.positions.copyWithin(i * 4, last * 4, last * 4 + 4);
+        this.velocities.copyWithin(i * 4, last * 4, last * 4 + 4);
+        this.colors.copyWithin(i * 4, last * 4, last * 4 + 4);
+        this.sizes[i] = this.sizes[last];
+        this.ages[i] = this.ages[last];
+        this.lifetimes[i] = this.lifetimes[last];
+        this.hues[i] = this.hues[last];
+    }
+
+    /**
+     * Size and color from the particle's age - parameters apply live, so every particle follows slider changes
+     */
+    updateAppearance(i) {
+        const p = this.parameters;
+        const t = Math.min(1, this.ages[i] / this.lifetimes[i]);
+        const audioSize = 1 + this.audio.high * this.audioFactor();
+
+        this.sizes[i] = (p.size + (p.sizeEnd - p.size) * t) * audioSize;
+        const [r, g, b] = hslToRgb(this.hues[i] + p.hueShift * t, p.saturation, 0.6);
+        this.colors[i * 4] = r;
+        this.colors[i * 4 + 1] = g;
+        this.colors[i * 4 + 2] = b;
+        this.colors[i * 4 + 3] = p.intensity * (1 - t);
+    }
+
+    clear() {
+        this.count = 0;
+        this.emitters.forEach(emitter => { emitter.pending = 0; });
+    }
+
+    /**
+     * Alive particle data for vertex buffers - views into the packed arrays, no copies
+     * @returns {Object} { count, positions (vec4), colors (vec4), sizes (float) }
+     */
+    getBuffers() {
+        return {
+            count: this.count,
+            positions: this.positions.subarray(0, this.count * 4),
+            colors: this.colors.subarray(0, this.count * 4),
+            sizes: this.sizes.subarray(0, this.count)
+        };
+    }
+
+    // === REACTIVITY ===
+
+    /**
+     * Follow a ReactivityManager - its audio bands each step and its click events as bursts
+     */
+    connectReactivity(manager) {
+        this.disconnectReactivity();
+        if (!manager) return;
+        this.reactivity = manager;
+        if (manager.on) {
+            this.unsubscribeReactivity = manager.on('click', ({ x, y, intensity }) => this.burst(intensity, { x, y }));
+        }
+    }
+
+    disconnectReactivity() {
+        if (this.unsubscribeReactivity) this.unsubscribeReactivity();
+        this.unsubscribeReactivity = null;
+        this.reactivity = null;
+    }
+
+    readAudio() {
+        if (this.reactivity && this.reactivity.getAudioBands) {
+            this.audio = this.reactivity.getAudioBands();
+        }
+    }
+
+    destroy() {
+        this.disconnectReactivity();
+        this.clear();
+        this.emitters = [];
+        this.forceFields = [];
+    }
+}
+
+/**
+ * HSL → RGB, 0-1 components (hue in degrees)
+ */
+export function hslToRgb(hue, saturation, lightness) {
+    const h = (((hue % 360) + 360) % 360) / 360;
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+    const channel = t => {
+        t = (t + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
@@ -0,0 +1,274 @@
+/**
+ * VIB34D Convex Collision 4D
+ * Hull-accurate contact between two polytope bodies
+ *
+ * GJK on the Minkowski difference decides whether the hulls overlap. When they do, SAT over
+ * the cell normals of both hulls gives the contact normal and depth, and the vertices of each
+ * hull that lie inside the other give the contact points.
+ */
+
+import { getPolytope, getPolytopeDefinition } from '../geometry/RegularPolychora.js';
+import { EPSILON, dot, normalize } from '../geometry/PolytopeTopology.js';
+import { rotate4D } from '../reference/ShaderMath.js';
+
+// Same order as body.rotation / angularVelocity and the rot4d* parameters
+export const ROTATION_PLANES = [
+    ['XY', 0, 1],
+    ['XZ', 0, 2],
+    ['YZ', 1, 2],
+    ['XW', 0, 3],
+    ['YW', 1, 3],
+    ['ZW', 2, 3]
+];
+
+const ROTATION_KEYS = ROTATION_PLANES.map(([plane]) => `rot4d${plane}`);
+const GJK_ITERATIONS = 64;
+const GJK_TOLERANCE = 1e-9;
+
+const hulls = new Map();
+
+/**
+ * Convex hull of a polytope body in its own frame (cached per polytope and edge length)
+ * @param {number|string} polytopeType - getPolytope() index, id or diagram
+ * @param {number} edgeLength - Body edge length
+ * @returns {Object} { id, vertices, facets: [{ normal, offset }], axes, circumradius }
+ */
+export function getConvexHull(polytopeType, edgeLength) {
+    const { id } = getPolytopeDefinition(polytopeType);
+    const key = `${id}@${edgeLength}`;
+    if (!hulls.has(key)) {
+        const mesh = getPolytope(id, { edgeLength });
+        const facets = mesh.cells.map(cell => {
+            const normal = cellNormal(cell.map(index => mesh.vertices[index]));
+            return { normal, offset: dot(normal, mesh.vertices[cell[0]]) };
+        });
+        hulls.set(key, {
+            id,
+            vertices: mesh.vertices,
+            facets,
+            axes: uniqueAxes(facets.map(facet => facet.normal)),
+            circumradius: mesh.circumradius
+        });
+    }
+    return hulls.get(key);
+}
+
+/**
+ * Hull placed in the world - vertices and facets rotated by the body's six angles and moved to its position
+ */
+export function placeHull(hull, position, rotation) {
+    const vertices = hull.vertices.map(vertex => rotateByAngles(vertex, rotation).map((value, i) => value + position[i]));
+    const facets = hull.facets.map(({ normal, offset }) => {
+        const worldNormal = rotateByAngles(normal, rotation);
+        return { normal: worldNormal, offset: offset + dot(worldNormal, position) };
+    });
+    const axes = hull.axes.map(axis => rotateByAngles(axis, rotation));
+    return { vertices, facets, axes };
+}
+
+/**
+ * Rotate a vector by body angles [XY, XZ, YZ, XW, YW, ZW] - the same maths as the shaders' rot4d* planes
+ */
+export function rotateByAngles(vector, rotation) {
+    const angles = {};
+    ROTATION_KEYS.forEach((key, i) => { angles[key] = rotation[i]; });
+    return rotate4D([...vector], angles);
+}
+
+// Inverse of rotateByAngles() - the planes undone in reverse order
+export function unrotateByAngles(vector, rotation) {
+    const p = [...vector];
+    for (let k = ROTATION_PLANES.length - 1; k >= 0; k--) {
+        const theta = rotation[k] || 0;
+        if (theta === 0) continue;
+        const [, a, b] = ROTATION_PLANES[k];
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        const pa = p[a];
+        const pb = p[b];
+        p[a] = c * pa - s * pb;
+        p[b] = c * pb + s * pa;
+    }
+    return p;
+}
+
+/**
+ * GJK - do the convex hulls of two point sets overlap?
+ * @returns {Object} { intersecting, distance } (distance 0 when intersecting)
+ */
+export function gjkIntersect(verticesA, verticesB) {
+    const support = direction => subtract(farthest(verticesA, direction), farthest(verticesB, direction.map(x => -x)));
+
+    let simplex = [support([1, 0, 0, 0])];
+    let closest = simplex[0];
+    for (let i = 0; i < GJK_ITERATIONS; i++) {
+        const distanceSq = dot(closest, closest);
+        if (distanceSq < GJK_TOLERANCE) return { intersecting: true, distance: 0 };
+
+        const point = support(closest.map(x => -x));
+        // No support point gets closer to the origin than the current one - separated
+        if (distanceSq - dot(closest, point) <= GJK_TOLERANCE * Math.max(1, distanceSq)) {
+            return { intersecting: false, distance: Math.sqrt(distanceSq) };
+        }
+
+        ({ point: closest, simplex } = closestOnSimplex([...simplex, point]));
+        if (simplex.length === 5) return { intersecting: true, distance: 0 };
+    }
+    const distance = Math.hypot(...closest);
+    return { intersecting: distance < EPSILON, distance };
+}
+
+/**
+ * Contact between two placed hulls
+ * @returns {Object|null} { normal (from A to B), depth, point, points } or null when they don't touch
+ */
+export function collideConvex(hullA, hullB) {
+    if (!gjkIntersect(hullA.vertices, hullB.vertices).intersecting) return null;
+
+    // SAT over the cell normals - the axis with the smallest overlap separates them fastest
+    let best = null;
+    [...hullA.axes, ...hullB.axes].forEach(axis => {
+        const [minA, maxA] = projectOnto(hullA.vertices, axis);
+        const [minB, maxB] = projectOnto(hullB.vertices, axis);
+        const forward = maxA - minB;
+        const backward = maxB - minA;
+        const depth = Math.min(forward, backward);
+        if (!best || depth < best.depth) {
+            best = { depth, normal: forward <= backward ? axis : axis.map(x => -x) };
+        }
+    });
+    if (best.depth < 0) return null;
+
+    const points = [
+        ...hullB.vertices.filter(vertex => insideHull(vertex, hullA)),
+        ...hullA.vertices.filter(vertex => insideHull(vertex, hullB))
+    ];
+    if (points.length === 0) {
+        // Edge-on-edge contact - halfway between the deepest points of each hull
+        const deepestB = farthest(hullB.vertices, best.normal.map(x => -x));
+        points.push(farthest(hullA.vertices, best.normal).map((value, i) => (value + deepestB[i]) / 2));
+    }
+    const point = [0, 1, 2, 3].map(i => points.reduce((sum, p) => sum + p[i], 0) / points.length);
+
+    return { normal: best.normal, depth: Math.max(0, best.depth), point, points };
+}
+
+// Outward unit normal of a cell - orthogonal to three independent edge directions
+function cellNormal(vertices) {
+    const basis = [];
+    for (let i = 1; i < vertices.length && basis.length < 3; i++) {
+        const direction = orthogonalize(subtract(vertices[i], vertices[0]), basis);
+        if (Math.hypot(...direction) > EPSILON) basis.push(normalize(direction));
+    }
+
+    const candidates = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]
+        .map(axis => orthogonalize(axis, basis));
+    const normal = normalize(candidates.reduce((a, b) => (Math.hypot(...b) > Math.hypot(...a) ? b : a)));
+    return dot(normal, vertices[0]) < 0 ? normal.map(x => -x) : normal;
+}
+
+function orthogonalize(vector, basis) {
+    return basis.reduce((v, axis) => {
+        const projection = dot(v, axis);
+        return v.map((value, i) => value - projection * axis[i]);
+    }, vector);
+}
+
+// Opposite cells share an axis - keep one of each
+function uniqueAxes(normals) {
+    const axes = new Map();
+    normals.forEach(normal => {
+        const lead = normal.find(value => Math.abs(value) > EPSILON);
+        const axis = lead < 0 ? normal.map(x => -x) : normal;
+        const key = axis.map(value => Math.round(value * 1e5)).join(',');
+        if (!axes.has(key)) axes.set(key, axis);
+    });
+    return [...axes.values()];
+}
+
+function insideHull(point, hull) {
+    return hull.facets.every(({ normal, offset }) => dot(normal, point) <= offset + EPSILON);
+}
+
+function projectOnto(vertices, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    vertices.forEach(vertex => {
+        const value = dot(vertex, axis);
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    return [min, max];
+}
+
+function farthest(vertices, direction) {
+    let best = vertices[0];
+    let bestValue = -Infinity;
+    vertices.forEach(vertex => {
+        const value = dot(vertex, direction);
+        if (value > bestValue) {
+            bestValue = value;
+            best = vertex;
+        }
+    });
+    return best;
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]];
+}
+
+/**
+ * Point of the simplex closest to the origin and the smallest face containing it.
+ * Tries every face: the origin is projected onto its affine hull, and the projection counts
+ * when it falls strictly inside the face.
+ */
+function closestOnSimplex(points) {
+    let best = null;
+    for (let mask = 1; mask < (1 << points.length); mask++) {
+        const face = points.filter((_, i) => mask & (1 << i));
+        const weights = originWeights(face);
+        if (!weights || weights.some(weight => weight <= 0)) continue;
+
+        const point = [0, 1, 2, 3].map(axis => face.reduce((sum, p, i) => sum + p[axis] * weights[i], 0));
+        const distanceSq = dot(point, point);
+        if (!best || distanceSq < best.distanceSq - GJK_TOLERANCE
+            || (distanceSq <= best.distanceSq + GJK_TOLERANCE && face.length < best.simplex.length)) {
+            best = { point, simplex: face, distanceSq };
+        }
+    }
+    return best;
+}
+
+// Barycentric weights of the origin's projection onto the face's affine hull (null if degenerate)
+function originWeights(face) {
+    if (face.length === 1) return [1];
+    const origin = face[0];
+    const edges = face.slice(1).map(p => subtract(p, origin));
+    const matrix = edges.map(a => edges.map(b => dot(a, b)));
+    const rhs = edges.map(edge => -dot(origin, edge));
+    const solution = solveSymmetric(matrix, rhs);
+    if (!solution) return null;
+    return [1 - solution.reduce((sum, value) => sum + value, 0), ...solution];
+}
+
+// Gaussian elimination with partial pivoting for the small Gram systems above
+function solveSymmetric(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
+    const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), EPSILON);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < scale * 1e-10) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+    return a.map((row, i) => row[n] / row[i]);
+}
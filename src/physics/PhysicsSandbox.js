@@ -0,0 +1,460 @@
+/**
+ * VIB34D Physics Sandbox
+ * Editor for a Polychora4DPhysics world - spawn, select, drag, pin and delete polytope bodies,
+ * push them, tune their material and paint the gravity, magnetic and fluid fields
+ *
+ * Works in canvas pixels: bodies are projected with the system's 4D projection (scaled to the
+ * world, so perspective and Schlegel still look right at world size) and drawn as wireframes.
+ * Every edit goes through the physics world's recorded inputs, so sandbox sessions save and replay.
+ */
+
+import { getPolytope, getPolytopeDefinition } from '../geometry/RegularPolychora.js';
+import { getProjectionDistance, getProjectionWeights, projectionScale, unprojectPoint } from '../geometry/Projections.js';
+import { ROTATION_PLANES, rotateByAngles } from './ConvexCollision4D.js';
+
+export const SANDBOX_TOOLS = [
+    { id: 'select', name: 'Select / Drag' },
+    { id: 'spawn', name: 'Spawn' },
+    { id: 'delete', name: 'Delete' },
+    { id: 'pin', name: 'Pin' },
+    { id: 'push', name: 'Push' },
+    { id: 'gravity', name: 'Paint Gravity' },
+    { id: 'magnetic', name: 'Paint Magnetic Field' },
+    { id: 'fluid', name: 'Paint Fluid Flow' }
+];
+
+// Field painted by each tool - physics setter and the world property it sets
+const FIELD_TOOLS = {
+    gravity: { setter: 'setGravity', property: 'gravity4D', color: '#7cf' },
+    magnetic: { setter: 'setMagneticField', property: 'magneticField', color: '#f7c' },
+    fluid: { setter: 'setFluidFlow', property: 'fluidFlow', color: '#7fc' }
+};
+
+// Inspector-editable body settings (physics BODY_PROPERTIES names)
+export const SANDBOX_BODY_PROPERTIES = ['mass', 'elasticity', 'magneticSusceptibility'];
+
+// One-step push force per world unit of stroke and unit of mass (about 2 units/s per unit stroke)
+const PUSH_STRENGTH = 120;
+
+// Throw speed cap when a dragged body is let go (world units per second)
+const MAX_THROW_SPEED = 10;
+
+const bodyIdOf = bodyOrId => (bodyOrId && typeof bodyOrId === 'object' ? bodyOrId.id : bodyOrId);
+
+export class PhysicsSandbox {
+    /**
+     * @param {Polychora4DPhysics} physics - World to edit
+     * @param {Object} options - { width, height } canvas pixels, { worldRadius } half the visible world
+     */
+    constructor(physics, options = {}) {
+        this.physics = physics;
+        this.tool = 'select';
+        this.spawnType = 0;
+
+        // New bodies are magnetic and feel the fluid, so painted fields visibly act on them
+        this.spawnOptions = { mass: 1.0, elasticity: 0.8, magnetic: 0.5, viscosity: 0.3, brownianMotion: 0 };
+        this.fieldStrength = 1.0;  // Field units per world unit of stroke
+
+        this.selectedId = null;
+        this.drag = null;
+        this.stroke = null;
+
+        this.view = {
+            width: options.width || 800,
+            height: options.height || 600,
+            worldRadius: options.worldRadius || 3,
+            projection: { weights: getProjectionWeights(0), distance: getProjectionDistance() }
+        };
+    }
+
+    /**
+     * @param {Object} view - { width, height, worldRadius, projection (index or id), projectionDistance }
+     */
+    setView(view = {}) {
+        ['width', 'height', 'worldRadius'].forEach(key => {
+            if (view[key] > 0) this.view[key] = view[key];
+        });
+        if (view.projection !== undefined || view.projectionDistance !== undefined) {
+            this.view.projection = {
+                weights: getProjectionWeights(view.projection ?? 0),
+                distance: getProjectionDistance(view.projectionDistance)
+            };
+        }
+    }
+
+    setTool(tool) {
+        if (!SANDBOX_TOOLS.some(({ id }) => id === tool)) {
+            throw new Error(`Unknown sandbox tool: ${tool}`);
+        }
+        this.tool = tool;
+        this.release();
+        this.stroke = null;
+        return tool;
+    }
+
+    // === VIEW ===
+
+    pixelsPerUnit() {
+        return Math.min(this.view.width, this.view.height) / (2 * this.view.worldRadius);
+    }
+
+    /**
+     * Screen position of a world point
+     * @returns {Object} { x, y } pixels, { depth } projected z, { scale } size factor at that point
+     */
+    project(position) {
+        const radius = this.view.worldRadius;
+        const scale = projectionScale(position.map(value => value / radius), this.view.projection);
+        const q = position.slice(0, 3).map(value => value * scale);
+        const ppu = this.pixelsPerUnit();
+        return {
+            x: this.view.width / 2 + q[0] * ppu,
+            y: this.view.height / 2 - q[1] * ppu,
+            depth: q[2],
+            scale
+        };
+    }
+
+    /**
+     * World point under a screen position at a projected depth and a W
+     */
+    unproject(x, y, depth = 0, w = 0) {
+        const radius = this.view.worldRadius;
+        const ppu = this.pixelsPerUnit();
+        const q = [
+            (x - this.view.width / 2) / ppu / radius,
+            (this.view.height / 2 - y) / ppu / radius,
+            depth / radius
+        ];
+        return unprojectPoint(q, w / radius, this.view.projection).map(value => value * radius);
+    }
+
+    /**
+     * Body under a screen position - the one whose projected circumsphere is hit closest to its centre
+     */
+    pick(x, y) {
+        let best = null;
+        let bestRatio = 1;
+        this.physics.getAllBodies().forEach(body => {
+            const { x: bx, y: by, scale } = this.project(body.position);
+            const radius = Math.max(body.boundingRadius * scale * this.pixelsPerUnit(), 6);
+            const ratio = Math.hypot(x - bx, y - by) / radius;
+            if (ratio <= bestRatio) {
+                bestRatio = ratio;
+                best = body;
+            }
+        });
+        return best;
+    }
+
+    // === EDITING ===
+
+    /**
+     * Add a body - at the origin of the view's depth and W unless given a 4D position
+     */
+    spawn(type = this.spawnType, position = [0, 0, 0, 0], options = {}) {
+        try {
+            const body = this.physics.createRigidBody(type, position, { ...this.spawnOptions, ...options });
+            this.selectedId = body.id;
+            return body;
+        } catch (error) {
+            console.error('❌ Sandbox spawn failed:', error);
+            return null;
+        }
+    }
+
+    select(bodyOrId) {
+        const id = bodyIdOf(bodyOrId);
+        this.selectedId = id && this.physics.getBodyById(id) ? id : null;
+        return this.getSelected();
+    }
+
+    getSelected() {
+        return this.selectedId ? this.physics.getBodyById(this.selectedId) || null : null;
+    }
+
+    deleteBody(bodyOrId = this.selectedId) {
+        const id = bodyIdOf(bodyOrId);
+        if (!id || !this.physics.getBodyById(id)) return false;
+        if (this.drag && this.drag.id === id) this.drag = null;
+        this.physics.removeBody(id);
+        if (this.selectedId === id) this.selectedId = null;
+        return true;
+    }
+
+    togglePin(bodyOrId = this.selectedId) {
+        const id = bodyIdOf(bodyOrId);
+        const body = id ? this.physics.getBodyById(id) : null;
+        if (!body) return false;
+        this.physics.setBodyPinned(body, !body.pinned);
+        return body.pinned;
+    }
+
+    /**
+     * Tune the selected body - mass, elasticity or magneticSusceptibility
+     */
+    setBodyProperty(key, value, bodyOrId = this.selectedId) {
+        if (!SANDBOX_BODY_PROPERTIES.includes(key)) {
+            console.warn('⚠️ Unknown sandbox body property:', key);
+            return;
+        }
+        const id = bodyIdOf(bodyOrId);
+        if (id) this.physics.setBodyProperties(id, { [key]: value });
+    }
+
+    /**
+     * Set a field from a stroke across the screen - the stroke gives its X and Y (arrow length ×
+     * fieldStrength), its Z and W are kept. A click without dragging clears X and Y.
+     * @param {string} kind - 'gravity', 'magnetic' or 'fluid'
+     */
+    paintField(kind, from, to) {
+        const field = FIELD_TOOLS[kind];
+        if (!field) {
+            console.warn('⚠️ Unknown sandbox field:', kind);
+            return null;
+        }
+        const ppu = this.pixelsPerUnit();
+        const current = this.physics[field.property];
+        const vector = [
+            (to.x - from.x) / ppu * this.fieldStrength,
+            (from.y - to.y) / ppu * this.fieldStrength,
+            current[2],
+            current[3]
+        ];
+        this.physics[field.setter](vector);
+        return vector;
+    }
+
+    /**
+     * Flick a body along a stroke across the screen - a one-step force in the screen plane
+     */
+    push(bodyOrId, from, to) {
+        const body = this.physics.getBodyById(bodyIdOf(bodyOrId));
+        if (!body) return null;
+        const ppu = this.pixelsPerUnit();
+        const force = [(to.x - from.x) / ppu, (from.y - to.y) / ppu, 0, 0]
+            .map(value => value * PUSH_STRENGTH * body.mass);
+        this.physics.addExternalForce(body, force);
+        return force;
+    }
+
+    // === POINTER ===
+
+    /**
+     * Pointer events in canvas pixels - time (ms, e.g. event.timeStamp) gives dragged bodies their throw speed
+     */
+    pointerDown(x, y, time = 0) {
+        const body = this.pick(x, y);
+
+        switch (this.tool) {
+            case 'select':
+                this.select(body);
+                if (body) {
+                    const { depth } = this.project(body.position);
+                    this.drag = { id: body.id, depth, w: body.position[3], target: [...body.position], last: { position: [...body.position], time }, velocity: [0, 0, 0, 0] };
+                }
+                break;
+            case 'spawn':
+                this.spawn(this.spawnType, this.unproject(x, y));
+                break;
+            case 'delete':
+                if (body) this.deleteBody(body);
+                break;
+            case 'pin':
+                if (body) {
+                    this.select(body);
+                    this.togglePin(body);
+                }
+                break;
+            case 'push':
+                if (body) this.stroke = { kind: 'push', id: body.id, from: { x, y }, to: { x, y } };
+                break;
+            default:
+                this.stroke = { kind: this.tool, from: { x, y }, to: { x, y } };
+        }
+    }
+
+    pointerMove(x, y, time = 0) {
+        if (this.stroke) {
+            this.stroke.to = { x, y };
+            return;
+        }
+        if (!this.drag) return;
+
+        const body = this.physics.getBodyById(this.drag.id);
+        if (!body) {
+            this.drag = null;
+            return;
+        }
+        const target = this.unproject(x, y, this.drag.depth, this.drag.w);
+        const elapsed = (time - this.drag.last.time) / 1000;
+        if (elapsed > 0) {
+            this.drag.velocity = this.physics.subtract4D(target, this.drag.last.position)
+                .map(value => value / elapsed);
+            this.drag.last = { position: target, time };
+        }
+        this.drag.target = target;
+        this.physics.moveBody(body, target);
+    }
+
+    pointerUp(x, y, time = 0) {
+        if (this.stroke) {
+            this.stroke.to = { x, y };
+            if (this.stroke.kind === 'push') {
+                this.push(this.stroke.id, this.stroke.from, this.stroke.to);
+            } else {
+                this.paintField(this.stroke.kind, this.stroke.from, this.stroke.to);
+            }
+            this.stroke = null;
+            return;
+        }
+        this.release(time);
+    }
+
+    /**
+     * Let go of a dragged body - it carries on at the speed it was being moved (if released promptly)
+     */
+    release(time = null) {
+        if (!this.drag) return;
+        const body = this.physics.getBodyById(this.drag.id);
+        if (body) {
+            const still = time !== null && time - this.drag.last.time > 100;
+            const speed = this.physics.magnitude4D(this.drag.velocity);
+            const velocity = still ? [0, 0, 0, 0]
+                : this.drag.velocity.map(value => value * Math.min(1, MAX_THROW_SPEED / Math.max(speed, 1e-9)));
+            this.physics.moveBody(body, body.position, velocity);
+        }
+        this.drag = null;
+    }
+
+    /**
+     * Call once per frame before stepping - holds a dragged body at the pointer against the fields
+     */
+    update() {
+        if (!this.drag) return;
+        const body = this.physics.getBodyById(this.drag.id);
+        if (!body) {
+            this.drag = null;
+        } else if (this.physics.distance4D(body.position, this.drag.target) > 1e-6 || this.physics.magnitude4D(body.velocity) > 0) {
+            this.physics.moveBody(body, this.drag.target);
+        }
+    }
+
+    // === INSPECTOR ===
+
+    /**
+     * Readout of a body (the selected one by default), or null
+     * @returns {Object} { id, name, pinned, sleeping, position, velocity, speed, angularVelocity: { XY, … }, spin, mass, elasticity, magneticSusceptibility }
+     */
+    inspect(bodyOrId = this.selectedId) {
+        const id = bodyIdOf(bodyOrId);
+        const body = id ? this.physics.getBodyById(id) : null;
+        if (!body) return null;
+
+        let name = String(body.polytopeType);
+        try {
+            name = getPolytopeDefinition(body.polytopeType).name;
+        } catch (error) {
+            // Unknown polytope - show the type as given
+        }
+        const angularVelocity = {};
+        ROTATION_PLANES.forEach(([plane], k) => { angularVelocity[plane] = body.angularVelocity[k]; });
+
+        return {
+            id: body.id,
+            name,
+            pinned: !!body.pinned,
+            sleeping: body.sleeping,
+            position: [...body.position],
+            velocity: [...body.velocity],
+            speed: this.physics.magnitude4D(body.velocity),
+            angularVelocity,
+            spin: Math.hypot(...body.angularVelocity),
+            mass: body.mass,
+            elasticity: body.elasticity,
+            magneticSusceptibility: body.magneticSusceptibility
+        };
+    }
+
+    // === DRAWING ===
+
+    /**
+     * Draw the bodies, the painted fields and the stroke in progress into a 2D context
+     */
+    draw(ctx) {
+        const { width, height } = this.view;
+        ctx.clearRect(0, 0, width, height);
+
+        this.physics.getAllBodies().forEach(body => this.drawBody(ctx, body));
+
+        // Field arrows, bottom left - X/Y of each field as painted
+        Object.entries(FIELD_TOOLS).forEach(([kind, field], i) => {
+            const vector = this.physics[field.property];
+            const origin = { x: 40 + i * 70, y: height - 40 };
+            const ppu = this.pixelsPerUnit() * 0.25;
+            this.drawArrow(ctx, origin, { x: origin.x + vector[0] * ppu, y: origin.y - vector[1] * ppu }, field.color, kind);
+        });
+
+        if (this.stroke) {
+            const color = this.stroke.kind === 'push' ? '#fff' : FIELD_TOOLS[this.stroke.kind].color;
+            this.drawArrow(ctx, this.stroke.from, this.stroke.to, color);
+        }
+    }
+
+    drawBody(ctx, body) {
+        let mesh;
+        try {
+            mesh = getPolytope(body.polytopeType, { edgeLength: this.physics.polytopeEdgeLength });
+        } catch (error) {
+            return;
+        }
+        const points = mesh.vertices.map(vertex => {
+            const rotated = rotateByAngles(vertex, body.rotation);
+            return this.project(rotated.map((value, i) => value + body.position[i]));
+        });
+
+        const selected = body.id === this.selectedId;
+        ctx.strokeStyle = selected ? '#fff' : body.pinned ? '#fc6' : '#0cf';
+        ctx.globalAlpha = selected ? 0.9 : 0.5;
+        ctx.lineWidth = selected ? 1.5 : 1;
+        ctx.beginPath();
+        mesh.edges.forEach(([a, b]) => {
+            ctx.moveTo(points[a].x, points[a].y);
+            ctx.lineTo(points[b].x, points[b].y);
+        });
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        const centre = this.project(body.position);
+        ctx.fillStyle = ctx.strokeStyle;
+        if (body.pinned) {
+            ctx.fillRect(centre.x - 4, centre.y - 4, 8, 8);
+        } else {
+            ctx.beginPath();
+            ctx.arc(centre.x, centre.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    drawArrow(ctx, from, to, color, label = null) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        if (Math.hypot(to.x - from.x, to.y - from.y) > 4) {
+            ctx.beginPath();
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(to.x - 8 * Math.cos(angle - 0.4), to.y - 8 * Math.sin(angle - 0.4));
+            ctx.lineTo(to.x - 8 * Math.cos(angle + 0.4), to.y - 8 * Math.sin(angle + 0.4));
+            ctx.fill();
+        }
+        if (label) {
+            ctx.font = '10px monospace';
+            ctx.fillText(label, from.x - 16, from.y + 16);
+        }
+    }
+}
@@ -1,18 +1,75 @@
 /**
  * Polychora4DPhysics - Real 4D physics engine for polytope simulation
- * Handles 4D rigid body dynamics, collisions, and organic motion
+ * Handles 4D rigid body dynamics, hull collisions, constraint joints and organic motion
+ *
+ * Deterministic: a seeded RNG, fixed steps and counter ids mean the same state and inputs
+ * give the same simulation, so worlds can be saved (serialize/loadState) and sessions replayed.
  */
 
+import { getPolytope } from '../geometry/RegularPolychora.js';
+import { ROTATION_PLANES, getConvexHull, placeHull, collideConvex, rotateByAngles, unrotateByAngles } from './ConvexCollision4D.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export const CONSTRAINT_TYPES = ['distance', 'hinge', 'spring'];
+
+export const PHYSICS_STATE_VERSION = 1;
+
+// World settings saved by serialize() next to the bodies and joints
+const WORLD_SETTINGS = [
+    'gravity4D', 'airResistance', 'timeStep', 'angularDamping', 'polytopeEdgeLength', 'collisionShape',
+    'constraintIterations', 'constraintStiffness', 'maxSubSteps', 'magneticField', 'fluidFlow', 'enabled', 'paused'
+];
+
+// Calls that change the world from outside - recorded with their step number and replayed in order
+export const RECORDED_INPUTS = [
+    'createRigidBody', 'removeBody', 'clearAllBodies', 'addConstraint', 'removeConstraint', 'clearConstraints',
+    'addExternalForce', 'setTargetPosition', 'setGravity', 'setMagneticField', 'setFluidFlow', 'setCollisionShape',
+    'setBodyProperties', 'setBodyPinned', 'moveBody'
+];
+
+// Per-body settings setBodyProperties() may change
+export const BODY_PROPERTIES = ['mass', 'elasticity', 'friction', 'magneticSusceptibility', 'brownianMotion', 'viscosity'];
+
 export class Polychora4DPhysics {
-    constructor() {
+    /**
+     * @param {Object} options - { seed } for the random numbers (Brownian motion, spawn positions)
+     */
+    constructor(options = {}) {
         // 4D physics world properties
         this.gravity4D = [0, 0, 0, -2.5];  // 4D gravitational field
         this.airResistance = 0.02;         // 4D drag coefficient
         this.timeStep = 1.0 / 60.0;        // Physics simulation timestep
+        this.angularDamping = 0.05;        // Spin lost per second
+        
+        // Fixed-step clock - advance() runs whole steps and carries the remainder
+        this.tick = 0;
+        this.accumulator = 0;
+        this.maxSubSteps = 5;              // Steps per advance() before the clock gives up catching up
+        
+        // Seeded randomness and counter ids keep runs reproducible
+        this.random = new SeededRandom(options.seed ?? 1);
+        this.nextBodyId = 1;
+        this.nextConstraintId = 1;
+        
+        // Input recording and replay
+        this.recording = null;
+        this.replay = null;
+        
+        // Every polytope body shares this edge length, so a 120-cell is far bigger than a 5-cell
+        this.polytopeEdgeLength = 0.5;
         
         // 4D rigid bodies (polytopes)
         this.bodies = [];
         
+        // Collision shape: 'hull' (exact polytope) or 'sphere' (circumsphere)
+        this.collisionShape = 'hull';
+        this.placedHulls = new Map();
+        
+        // Joints between bodies (distance, hinge, spring)
+        this.constraints = [];
+        this.constraintIterations = 10;
+        this.constraintStiffness = 0.2;    // Share of the joint error corrected per step
+        
         // Physics parameters
         this.enabled = false;
         this.paused = false;
@@ -28,6 +85,7 @@ export class Polychora4DPhysics {
      * Create a 4D rigid body for a polytope
      */
     createRigidBody(polytypeType, position = [0, 0, 0, 0], options = {}) {
+        this.recordInput('createRigidBody', [polytypeType, position, options]);
         const body = {
             id: this.generateBodyId(),
             polytopeType: polytypeType,
@@ -59,6 +117,7 @@ export class Polychora4DPhysics {
             // Forces acting on body
             forces: [0, 0, 0, 0],            // Current force accumulator
             torques: [0, 0, 0, 0, 0, 0],     // Current 6D torque accumulator
+            externalForce: [0, 0, 0, 0],     // Applied from outside for the next step (addExternalForce)
             
             // Collision properties
             boundingRadius: this.calculateBoundingRadius(polytypeType),
@@ -71,6 +130,7 @@ export class Polychora4DPhysics {
             
             // Internal state
             active: true,
+            pinned: options.pinned || false, // Held in place - infinite mass for contacts and joints
             sleeping: false,
             sleepThreshold: 0.01,
             
@@ -93,11 +153,16 @@ export class Polychora4DPhysics {
     step(deltaTime = this.timeStep) {
         if (!this.enabled || this.paused) return;
         
+        // A replay feeds in the inputs recorded before this step
+        this.applyReplayInputs();
+        
         // Apply forces to all bodies
         this.bodies.forEach(body => {
             if (!body.active || body.sleeping) return;
             
             this.clearForces(body);
+            this.addForce(body, body.externalForce);
+            body.externalForce = [0, 0, 0, 0];
             this.applyGravity(body);
             this.applyDrag(body);
             this.applyMagneticForces(body);
@@ -105,20 +170,48 @@ export class Polychora4DPhysics {
             this.applyBrownianMotion(body);
             this.applyBehavioralForces(body);
         });
+        this.applySpringForces();
+        
+        // Forces change velocities first, so contacts and joints correct the velocities about to be used
+        this.bodies.forEach(body => {
+            if (!body.active || body.sleeping || body.pinned) return;
+            this.integrateVelocity(body, deltaTime);
+        });
         
         // Detect and resolve collisions
+        this.placedHulls.clear();
         this.detectCollisions();
+        this.solveConstraints(deltaTime);
         
         // Integrate motion
         this.bodies.forEach(body => {
-            if (!body.active || body.sleeping) return;
-            this.integrate(body, deltaTime);
+            if (!body.active || body.sleeping || body.pinned) return;
+            this.integratePosition(body, deltaTime);
             this.updateVisualFeedback(body);
             this.checkSleeping(body);
         });
         
         // Update collision spatial partitioning
         this.updateSpatialHash();
+        this.tick++;
+    }
+    
+    /**
+     * Advance the clock by real elapsed time in fixed steps - frame rate changes don't change the result
+     * @param {number} elapsed - Seconds since the last call
+     * @returns {number} Steps taken
+     */
+    advance(elapsed) {
+        if (!this.enabled || this.paused) return 0;
+        
+        this.accumulator += Math.min(Math.max(elapsed, 0), this.timeStep * this.maxSubSteps);
+        let steps = 0;
+        while (this.accumulator >= this.timeStep) {
+            this.step(this.timeStep);
+            this.accumulator -= this.timeStep;
+            steps++;
+        }
+        return steps;
     }
     
     /**
@@ -194,10 +287,10 @@ export class Polychora4DPhysics {
         if (body.brownianMotion === 0) return;
         
         const randomForce = [
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion,
-            (Math.random() - 0.5) * body.brownianMotion
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion,
+            (this.random.next() - 0.5) * body.brownianMotion
         ];
         
         this.addForce(body, randomForce);
@@ -308,7 +401,7 @@ export class Polychora4DPhysics {
     }
     
     /**
-     * Detect and resolve 4D collisions
+     * Detect and resolve 4D collisions - circumspheres first, then the exact hulls
      */
     detectCollisions() {
         for (let i = 0; i < this.bodies.length; i++) {
@@ -317,47 +410,100 @@ export class Polychora4DPhysics {
                 const bodyB = this.bodies[j];
                 
                 if (!bodyA.active || !bodyB.active) continue;
+                if (bodyA.sleeping && bodyB.sleeping) continue;
                 
                 const distance = this.distance4D(bodyA.position, bodyB.position);
                 const collisionDistance = bodyA.boundingRadius + bodyB.boundingRadius;
+                if (distance >= collisionDistance) continue;
                 
-                if (distance < collisionDistance) {
-                    this.resolveCollision(bodyA, bodyB, distance);
+                const contact = this.findContact(bodyA, bodyB, distance);
+                if (contact) {
+                    this.resolveCollision(bodyA, bodyB, contact);
                 }
             }
         }
     }
     
     /**
-     * Resolve 4D collision between two bodies
+     * Contact between two bodies whose circumspheres overlap
+     * @returns {Object|null} { normal (from A to B), depth, point, points }
      */
-    resolveCollision(bodyA, bodyB, distance) {
-        // Calculate collision normal in 4D
-        const normal = this.normalize4D(this.subtract4D(bodyB.position, bodyA.position));
+    findContact(bodyA, bodyB, distance = this.distance4D(bodyA.position, bodyB.position)) {
+        if (this.collisionShape === 'hull') {
+            const hullA = this.getPlacedHull(bodyA);
+            const hullB = this.getPlacedHull(bodyB);
+            if (hullA && hullB) return collideConvex(hullA, hullB);
+        }
         
-        // Separate bodies to prevent overlap
-        const overlap = (bodyA.boundingRadius + bodyB.boundingRadius) - distance;
-        const separation = this.multiply4D(normal, overlap * 0.5);
+        // Circumsphere contact - also used for bodies without a mesh
+        const normal = distance > 0.001
+            ? this.normalize4D(this.subtract4D(bodyB.position, bodyA.position))
+            : [0, 0, 0, 1];
+        const depth = bodyA.boundingRadius + bodyB.boundingRadius - distance;
+        const point = this.add4D(bodyA.position, this.multiply4D(normal, bodyA.boundingRadius - depth * 0.5));
+        return { normal, depth, point, points: [point] };
+    }
+    
+    /**
+     * World-space hull of a body, placed once per step
+     */
+    getPlacedHull(body) {
+        if (!this.placedHulls.has(body.id)) {
+            let placed = null;
+            try {
+                const hull = getConvexHull(body.polytopeType, this.polytopeEdgeLength);
+                placed = placeHull(hull, body.position, body.rotation);
+            } catch (error) {
+                // No mesh - findContact() falls back to the circumsphere
+            }
+            this.placedHulls.set(body.id, placed);
+        }
+        return this.placedHulls.get(body.id);
+    }
+    
+    /**
+     * Resolve 4D collision between two bodies at a contact point - the impulse turns
+     * both bodies in all six rotation planes as well as pushing them apart
+     */
+    resolveCollision(bodyA, bodyB, contact) {
+        const { normal, depth, point } = contact;
         
-        bodyA.position = this.subtract4D(bodyA.position, separation);
-        bodyB.position = this.add4D(bodyB.position, separation);
+        // Separate bodies to prevent overlap, the lighter one moving further (pinned ones don't move)
+        const totalInverseMass = this.inverseMass(bodyA) + this.inverseMass(bodyB);
+        if (totalInverseMass === 0) return;
+        const separation = this.multiply4D(normal, depth / totalInverseMass);
+        bodyA.position = this.subtract4D(bodyA.position, this.multiply4D(separation, this.inverseMass(bodyA)));
+        bodyB.position = this.add4D(bodyB.position, this.multiply4D(separation, this.inverseMass(bodyB)));
         
-        // Calculate relative velocity
-        const relativeVelocity = this.subtract4D(bodyA.velocity, bodyB.velocity);
+        // Relative velocity of the contact point
+        const leverA = this.subtract4D(point, bodyA.position);
+        const leverB = this.subtract4D(point, bodyB.position);
+        const relativeVelocity = this.subtract4D(this.pointVelocity(bodyA, leverA), this.pointVelocity(bodyB, leverB));
         const velocityAlongNormal = this.dot4D(relativeVelocity, normal);
         
         // Don't resolve if velocities are separating
-        if (velocityAlongNormal > 0) return;
+        if (velocityAlongNormal < 0) return;
         
         // Calculate collision impulse
         const restitution = Math.min(bodyA.elasticity, bodyB.elasticity);
-        const impulse = -(1 + restitution) * velocityAlongNormal / (1/bodyA.mass + 1/bodyB.mass);
+        const impulse = (1 + restitution) * velocityAlongNormal /
+            (this.inverseMassAlong(bodyA, leverA, normal) + this.inverseMassAlong(bodyB, leverB, normal));
         
         // Apply impulse
-        const impulseVector = this.multiply4D(normal, impulse);
+        this.applyImpulse(bodyA, leverA, this.multiply4D(normal, -impulse));
+        this.applyImpulse(bodyB, leverB, this.multiply4D(normal, impulse));
         
-        bodyA.velocity = this.add4D(bodyA.velocity, this.multiply4D(impulseVector, 1/bodyA.mass));
-        bodyB.velocity = this.subtract4D(bodyB.velocity, this.multiply4D(impulseVector, 1/bodyB.mass));
+        // Coulomb friction along the sliding direction
+        const sliding = this.subtract4D(relativeVelocity, this.multiply4D(normal, velocityAlongNormal));
+        const slidingSpeed = this.magnitude4D(sliding);
+        if (slidingSpeed > 0.001) {
+            const tangent = this.multiply4D(sliding, 1 / slidingSpeed);
+            const friction = Math.sqrt(bodyA.friction * bodyB.friction);
+            const tangentImpulse = Math.min(friction * impulse, slidingSpeed /
+                (this.inverseMassAlong(bodyA, leverA, tangent) + this.inverseMassAlong(bodyB, leverB, tangent)));
+            this.applyImpulse(bodyA, leverA, this.multiply4D(tangent, -tangentImpulse));
+            this.applyImpulse(bodyB, leverB, this.multiply4D(tangent, tangentImpulse));
+        }
         
         // Update visual feedback
         const impactIntensity = Math.abs(impulse) * 0.1;
@@ -367,10 +513,265 @@ export class Polychora4DPhysics {
         console.log(`🔮 4D collision resolved between bodies ${bodyA.id} and ${bodyB.id}, impulse: ${impulse.toFixed(3)}`);
     }
     
+    // === RIGID BODY DYNAMICS ===
+    
+    /**
+     * Velocity of a point on the body - lever is the point relative to the body centre
+     */
+    pointVelocity(body, lever) {
+        const velocity = [...body.velocity];
+        ROTATION_PLANES.forEach(([, a, b], k) => {
+            velocity[a] += body.angularVelocity[k] * lever[b];
+            velocity[b] -= body.angularVelocity[k] * lever[a];
+        });
+        return velocity;
+    }
+    
     /**
-     * Integrate motion using Verlet integration
+     * Torque of a force at a lever, one component per rotation plane (XY, XZ, YZ, XW, YW, ZW)
+     */
+    torque4D(lever, force) {
+        return ROTATION_PLANES.map(([, a, b]) => lever[b] * force[a] - lever[a] * force[b]);
+    }
+    
+    // Pinned bodies act as infinitely heavy
+    inverseMass(body) {
+        return body.pinned ? 0 : 1 / body.mass;
+    }
+    
+    inverseInertia(body, plane) {
+        return body.pinned ? 0 : 1 / body.inertia4D[plane];
+    }
+    
+    /**
+     * Inverse effective mass of a body for an impulse along a direction at a lever
+     */
+    inverseMassAlong(body, lever, direction) {
+        if (body.pinned) return 0;
+        const torque = this.torque4D(lever, direction);
+        return 1 / body.mass + torque.reduce((sum, t, k) => sum + t * t / body.inertia4D[k], 0);
+    }
+    
+    applyImpulse(body, lever, impulse) {
+        if (body.pinned) return;
+        const torque = this.torque4D(lever, impulse);
+        body.velocity = this.add4D(body.velocity, this.multiply4D(impulse, 1 / body.mass));
+        torque.forEach((t, k) => { body.angularVelocity[k] += t / body.inertia4D[k]; });
+        body.sleeping = false;
+    }
+    
+    /**
+     * Force applied at a point of the body - adds the matching torque
+     */
+    addForceAt(body, lever, force) {
+        this.addForce(body, force);
+        const torque = this.torque4D(lever, force);
+        torque.forEach((t, k) => { body.torques[k] += t; });
+        if (this.magnitude4D(force) > body.sleepThreshold) body.sleeping = false;
+    }
+    
+    // === CONSTRAINT JOINTS ===
+    
+    /**
+     * Join two bodies, or a body and a fixed world point (bodyB null)
+     * @param {string} type - 'distance' (rigid rod), 'hinge' (pinned, turning only in one plane) or 'spring'
+     * @param {Object|string} bodyA - Body or body id
+     * @param {Object|string|null} bodyB - Body, body id, or null for the world
+     * @param {Object} options - anchorA / anchorB (body-local offsets; anchorB is a world point when bodyB is null),
+     *   length (distance), plane and pivot (hinge), restLength, stiffness and damping (spring)
+     * @returns {Object} The constraint
+     */
+    addConstraint(type, bodyA, bodyB = null, options = {}) {
+        if (!CONSTRAINT_TYPES.includes(type)) {
+            throw new Error(`Unknown constraint type: ${type} (use ${CONSTRAINT_TYPES.join(', ')})`);
+        }
+        const a = typeof bodyA === 'string' ? this.getBodyById(bodyA) : bodyA;
+        const b = typeof bodyB === 'string' ? this.getBodyById(bodyB) : bodyB;
+        if (!a || (bodyB !== null && !b)) {
+            throw new Error('Constraint bodies must exist in this world');
+        }
+        this.recordInput('addConstraint', [type, a.id, b ? b.id : null, options]);
+        
+        const constraint = {
+            id: `joint_${this.nextConstraintId++}`,
+            type,
+            bodyA: a.id,
+            bodyB: b ? b.id : null,
+            anchorA: [...(options.anchorA || [0, 0, 0, 0])],
+            anchorB: null
+        };
+        
+        if (type === 'hinge') {
+            const planeIndex = ROTATION_PLANES.findIndex(([plane]) => plane === (options.plane || 'XY'));
+            if (planeIndex < 0) {
+                throw new Error(`Unknown hinge plane: ${options.plane}`);
+            }
+            // Both anchors sit on the pivot, halfway between the bodies by default
+            const pivot = options.pivot || (b ? this.multiply4D(this.add4D(a.position, b.position), 0.5) : a.position);
+            constraint.anchorA = unrotateByAngles(this.subtract4D(pivot, a.position), a.rotation);
+            constraint.anchorB = b ? unrotateByAngles(this.subtract4D(pivot, b.position), b.rotation) : [...pivot];
+            constraint.plane = ROTATION_PLANES[planeIndex][0];
+            constraint.planeIndex = planeIndex;
+            constraint.angleOffsets = (b ? b.rotation : [0, 0, 0, 0, 0, 0]).map((angle, k) => angle - a.rotation[k]);
+        } else {
+            constraint.anchorB = [...(options.anchorB || (b ? [0, 0, 0, 0] : this.anchorPoint(a, constraint.anchorA)))];
+            const length = this.distance4D(this.anchorPoint(a, constraint.anchorA), this.anchorPoint(b, constraint.anchorB));
+            if (type === 'distance') {
+                constraint.length = options.length ?? length;
+            } else {
+                constraint.restLength = options.restLength ?? length;
+                constraint.stiffness = options.stiffness ?? 20;
+                constraint.damping = options.damping ?? 0.5;
+            }
+        }
+        
+        this.constraints.push(constraint);
+        console.log(`🔮 Created 4D ${type} joint ${constraint.id} between ${a.id} and ${b ? b.id : 'world'}`);
+        return constraint;
+    }
+    
+    removeConstraint(id) {
+        this.recordInput('removeConstraint', [id]);
+        this.constraints = this.constraints.filter(constraint => constraint.id !== id);
+    }
+    
+    clearConstraints() {
+        this.recordInput('clearConstraints', []);
+        this.constraints = [];
+    }
+    
+    getConstraints() {
+        return this.constraints;
+    }
+    
+    /**
+     * World position of a body anchor (a world point as is when the body is null)
+     */
+    anchorPoint(body, anchor) {
+        return body ? this.add4D(body.position, rotateByAngles(anchor, body.rotation)) : [...anchor];
+    }
+    
+    // Bodies of a constraint, or null if one of them has been removed
+    constraintBodies(constraint) {
+        const bodyA = this.getBodyById(constraint.bodyA);
+        const bodyB = constraint.bodyB === null ? null : this.getBodyById(constraint.bodyB);
+        if (!bodyA || !bodyA.active || (constraint.bodyB !== null && (!bodyB || !bodyB.active))) return null;
+        return { bodyA, bodyB };
+    }
+    
+    /**
+     * Spring joints are forces - applied with the other forces before integration
+     */
+    applySpringForces() {
+        this.constraints.forEach(constraint => {
+            if (constraint.type !== 'spring') return;
+            const bodies = this.constraintBodies(constraint);
+            if (!bodies) return;
+            
+            const { bodyA, bodyB } = bodies;
+            const leverA = rotateByAngles(constraint.anchorA, bodyA.rotation);
+            const leverB = bodyB ? rotateByAngles(constraint.anchorB, bodyB.rotation) : null;
+            const delta = this.subtract4D(this.anchorPoint(bodyB, constraint.anchorB), this.add4D(bodyA.position, leverA));
+            const length = this.magnitude4D(delta);
+            if (length < 0.001) return;
+            
+            const direction = this.multiply4D(delta, 1 / length);
+            const velocityB = bodyB ? this.pointVelocity(bodyB, leverB) : [0, 0, 0, 0];
+            const stretchSpeed = this.dot4D(this.subtract4D(velocityB, this.pointVelocity(bodyA, leverA)), direction);
+            const tension = constraint.stiffness * (length - constraint.restLength) + constraint.damping * stretchSpeed;
+            
+            this.addForceAt(bodyA, leverA, this.multiply4D(direction, tension));
+            if (bodyB) this.addForceAt(bodyB, leverB, this.multiply4D(direction, -tension));
+        });
+    }
+    
+    /**
+     * Distance and hinge joints - sequential impulses on the velocities, with a share of the
+     * position error fed back so joints don't drift apart
+     */
+    solveConstraints(deltaTime = this.timeStep) {
+        const joints = this.constraints.filter(constraint => constraint.type !== 'spring');
+        if (joints.length === 0) return;
+        
+        const bias = this.constraintStiffness / deltaTime;
+        for (let iteration = 0; iteration < this.constraintIterations; iteration++) {
+            joints.forEach(constraint => {
+                const bodies = this.constraintBodies(constraint);
+                if (!bodies) return;
+                
+                if (constraint.type === 'distance') {
+                    this.solveDistanceJoint(constraint, bodies, bias);
+                } else {
+                    this.solveHingeJoint(constraint, bodies, bias);
+                }
+            });
+        }
+    }
+    
+    solveDistanceJoint(constraint, { bodyA, bodyB }, bias) {
+        const leverA = rotateByAngles(constraint.anchorA, bodyA.rotation);
+        const leverB = bodyB ? rotateByAngles(constraint.anchorB, bodyB.rotation) : null;
+        const delta = this.subtract4D(this.anchorPoint(bodyB, constraint.anchorB), this.add4D(bodyA.position, leverA));
+        const length = this.magnitude4D(delta);
+        if (length < 0.001) return;
+        
+        this.solvePointAxis(bodyA, leverA, bodyB, leverB, this.multiply4D(delta, 1 / length), length - constraint.length, bias);
+    }
+    
+    /**
+     * Hinge in a plane - the anchors stay together and the bodies may only turn relative to
+     * each other in the hinge plane (a 4D hinge fixes a plane, not an axis)
+     */
+    solveHingeJoint(constraint, { bodyA, bodyB }, bias) {
+        const leverA = rotateByAngles(constraint.anchorA, bodyA.rotation);
+        const leverB = bodyB ? rotateByAngles(constraint.anchorB, bodyB.rotation) : null;
+        const delta = this.subtract4D(this.anchorPoint(bodyB, constraint.anchorB), this.add4D(bodyA.position, leverA));
+        [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]].forEach((axis, i) => {
+            this.solvePointAxis(bodyA, leverA, bodyB, leverB, axis, delta[i], bias);
+        });
+        
+        const rotationB = bodyB ? bodyB.rotation : [0, 0, 0, 0, 0, 0];
+        ROTATION_PLANES.forEach((plane, k) => {
+            if (k === constraint.planeIndex) return;
+            const error = this.wrapAngle(rotationB[k] - bodyA.rotation[k] - constraint.angleOffsets[k]);
+            const spin = (bodyB ? bodyB.angularVelocity[k] : 0) - bodyA.angularVelocity[k];
+            const inverseInertia = this.inverseInertia(bodyA, k) + (bodyB ? this.inverseInertia(bodyB, k) : 0);
+            if (inverseInertia === 0) return;
+            const impulse = -(spin + bias * error) / inverseInertia;
+            
+            bodyA.angularVelocity[k] -= impulse * this.inverseInertia(bodyA, k);
+            if (bodyB) bodyB.angularVelocity[k] += impulse * this.inverseInertia(bodyB, k);
+        });
+    }
+    
+    /**
+     * Drive the separation of two anchors along one axis towards zero error
+     * (bodyB null is a fixed world point)
+     */
+    solvePointAxis(bodyA, leverA, bodyB, leverB, axis, error, bias) {
+        const velocityB = bodyB ? this.pointVelocity(bodyB, leverB) : [0, 0, 0, 0];
+        const separationSpeed = this.dot4D(this.subtract4D(velocityB, this.pointVelocity(bodyA, leverA)), axis);
+        const inverseMass = this.inverseMassAlong(bodyA, leverA, axis) + (bodyB ? this.inverseMassAlong(bodyB, leverB, axis) : 0);
+        if (inverseMass === 0) return;
+        const impulse = -(separationSpeed + bias * error) / inverseMass;
+        
+        this.applyImpulse(bodyA, leverA, this.multiply4D(axis, -impulse));
+        if (bodyB) this.applyImpulse(bodyB, leverB, this.multiply4D(axis, impulse));
+    }
+    
+    wrapAngle(angle) {
+        return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+    }
+    
+    /**
+     * Integrate motion using semi-implicit Euler integration
      */
     integrate(body, deltaTime) {
+        this.integrateVelocity(body, deltaTime);
+        this.integratePosition(body, deltaTime);
+    }
+    
+    integrateVelocity(body, deltaTime) {
         // Linear motion integration
         body.acceleration = this.multiply4D(body.forces, 1.0 / body.mass);
         
@@ -379,15 +780,22 @@ export class Polychora4DPhysics {
             this.multiply4D(body.acceleration, deltaTime)
         );
         
+        // Rotational motion integration (one angular velocity per rotation plane)
+        const damping = 1 / (1 + this.angularDamping * deltaTime);
+        for (let i = 0; i < 6; i++) {
+            body.angularAcceleration[i] = body.torques[i] / body.inertia4D[i];
+            body.angularVelocity[i] = (body.angularVelocity[i] + body.angularAcceleration[i] * deltaTime) * damping;
+        }
+    }
+    
+    integratePosition(body, deltaTime) {
         body.position = this.add4D(
             body.position,
             this.multiply4D(body.velocity, deltaTime)
         );
         
-        // Rotational motion integration (simplified 6D)
+        // Small steps, so the plane angles add up like the angular velocity
         for (let i = 0; i < 6; i++) {
-            body.angularAcceleration[i] = body.torques[i] / body.inertia4D[i];
-            body.angularVelocity[i] += body.angularAcceleration[i] * deltaTime;
             body.rotation[i] += body.angularVelocity[i] * deltaTime;
             
             // Keep rotations in [0, 2π] range
@@ -467,19 +875,32 @@ export class Polychora4DPhysics {
     }
     
     generateBodyId() {
-        return `body_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `body_${this.nextBodyId++}`;
     }
     
     calculate4DInertia(polytopeType, mass) {
-        // Simplified 6D inertia tensor (diagonal elements only)
-        const baseMoment = mass * 0.4; // Approximate for regular polytopes
-        return [baseMoment, baseMoment, baseMoment, baseMoment, baseMoment, baseMoment];
+        // Moment of inertia per rotation plane, treating the polytope as a solid of its vertex spread
+        // (a solid 4-ball of radius R has m·R²/3 in every plane)
+        try {
+            const { vertices } = getPolytope(polytopeType, { edgeLength: this.polytopeEdgeLength });
+            return ROTATION_PLANES.map(([, a, b]) => {
+                const spread = vertices.reduce((sum, v) => sum + v[a] * v[a] + v[b] * v[b], 0) / vertices.length;
+                return mass * spread * (2 / 3);
+            });
+        } catch (error) {
+            const baseMoment = mass * 0.4;
+            return [baseMoment, baseMoment, baseMoment, baseMoment, baseMoment, baseMoment];
+        }
     }
     
     calculateBoundingRadius(polytopeType) {
-        // Approximate bounding radii for different polytopes
-        const radii = [1.2, 1.5, 1.0, 1.3, 0.8, 2.0]; // Corresponds to polytope types
-        return radii[polytopeType] || 1.0;
+        // Circumradius of the exact mesh (polytope types are getPolytope() indices, ids or diagrams)
+        try {
+            return getPolytope(polytopeType, { edgeLength: this.polytopeEdgeLength }).circumradius;
+        } catch (error) {
+            console.warn(`⚠️ No mesh for polytope ${polytopeType}:`, error.message);
+            return 1.0;
+        }
     }
     
     checkSleeping(body) {
@@ -518,14 +939,17 @@ export class Polychora4DPhysics {
     }
     
     setGravity(gravity4D) {
+        this.recordInput('setGravity', [gravity4D]);
         this.gravity4D = [...gravity4D];
     }
     
     setMagneticField(field4D) {
+        this.recordInput('setMagneticField', [field4D]);
         this.magneticField = [...field4D];
     }
     
     setFluidFlow(flow4D) {
+        this.recordInput('setFluidFlow', [flow4D]);
         this.fluidFlow = [...flow4D];
     }
     
@@ -538,11 +962,234 @@ export class Polychora4DPhysics {
     }
     
     removeBody(id) {
+        this.recordInput('removeBody', [id]);
         this.bodies = this.bodies.filter(body => body.id !== id);
+        this.constraints = this.constraints.filter(constraint => constraint.bodyA !== id && constraint.bodyB !== id);
     }
     
     clearAllBodies() {
+        this.recordInput('clearAllBodies', []);
         this.bodies = [];
+        this.constraints = [];
+    }
+    
+    /**
+     * Collision shape for every body - 'hull' (exact polytope) or 'sphere' (circumsphere, cheaper)
+     */
+    setCollisionShape(shape) {
+        if (shape !== 'hull' && shape !== 'sphere') {
+            console.warn('⚠️ Unknown collision shape:', shape);
+            return;
+        }
+        this.recordInput('setCollisionShape', [shape]);
+        this.collisionShape = shape;
+    }
+    
+    /**
+     * Push a body from outside the simulation (mouse, UI) - the force acts for the next step
+     */
+    addExternalForce(bodyOrId, force4D) {
+        const body = typeof bodyOrId === 'string' ? this.getBodyById(bodyOrId) : bodyOrId;
+        if (!body) return;
+        this.recordInput('addExternalForce', [body.id, force4D]);
+        body.externalForce = this.add4D(body.externalForce, force4D);
+        body.sleeping = false;
+    }
+    
+    /**
+     * Send a body towards a point (null stops seeking)
+     */
+    setTargetPosition(bodyOrId, position4D) {
+        const body = typeof bodyOrId === 'string' ? this.getBodyById(bodyOrId) : bodyOrId;
+        if (!body) return;
+        this.recordInput('setTargetPosition', [body.id, position4D]);
+        body.targetPosition = position4D ? [...position4D] : null;
+        body.sleeping = false;
+    }
+    
+    /**
+     * Change a body's material - mass, elasticity, friction, magneticSusceptibility, brownianMotion, viscosity
+     */
+    setBodyProperties(bodyOrId, properties) {
+        const body = typeof bodyOrId === 'string' ? this.getBodyById(bodyOrId) : bodyOrId;
+        if (!body) return;
+        this.recordInput('setBodyProperties', [body.id, properties]);
+        
+        BODY_PROPERTIES.forEach(key => {
+            const value = parseFloat(properties[key]);
+            if (!Number.isFinite(value)) return;
+            body[key] = key === 'mass' ? Math.max(value, 0.01) : value;
+        });
+        if (properties.mass !== undefined) {
+            body.inertia4D = this.calculate4DInertia(body.polytopeType, body.mass);
+        }
+        body.sleeping = false;
+    }
+    
+    /**
+     * Hold a body in place - it keeps its rotation, stops moving and stops anything it touches
+     */
+    setBodyPinned(bodyOrId, pinned) {
+        const body = typeof bodyOrId === 'string' ? this.getBodyById(bodyOrId) : bodyOrId;
+        if (!body) return;
+        this.recordInput('setBodyPinned', [body.id, !!pinned]);
+        body.pinned = !!pinned;
+        body.velocity = [0, 0, 0, 0];
+        body.angularVelocity = [0, 0, 0, 0, 0, 0];
+        body.sleeping = false;
+    }
+    
+    /**
+     * Put a body somewhere else (dragging) - velocity is what it carries on with once let go
+     */
+    moveBody(bodyOrId, position4D, velocity4D = [0, 0, 0, 0]) {
+        const body = typeof bodyOrId === 'string' ? this.getBodyById(bodyOrId) : bodyOrId;
+        if (!body) return;
+        this.recordInput('moveBody', [body.id, position4D, velocity4D]);
+        body.position = [...position4D];
+        body.velocity = body.pinned ? [0, 0, 0, 0] : [...velocity4D];
+        body.sleeping = false;
+        this.placedHulls.delete(body.id);
+    }
+    
+    setSeed(seed) {
+        this.random.reseed(seed);
+    }
+    
+    // === SERIALIZATION ===
+    
+    /**
+     * Complete world state - settings, clock, random state, bodies and joints - as plain JSON data
+     */
+    serialize() {
+        const settings = {};
+        WORLD_SETTINGS.forEach(key => { settings[key] = this[key]; });
+        
+        return JSON.parse(JSON.stringify({
+            version: PHYSICS_STATE_VERSION,
+            settings,
+            tick: this.tick,
+            accumulator: this.accumulator,
+            random: this.random.getState(),
+            nextBodyId: this.nextBodyId,
+            nextConstraintId: this.nextConstraintId,
+            bodies: this.bodies,
+            constraints: this.constraints
+        }));
+    }
+    
+    /**
+     * Replace the world with a serialize() result - stops any recording or replay
+     */
+    loadState(state) {
+        if (!state || state.version !== PHYSICS_STATE_VERSION || !Array.isArray(state.bodies) || !Array.isArray(state.constraints)) {
+            throw new Error(`Invalid physics state (expected version ${PHYSICS_STATE_VERSION})`);
+        }
+        
+        const data = JSON.parse(JSON.stringify(state));
+        WORLD_SETTINGS.forEach(key => {
+            if (data.settings && data.settings[key] !== undefined) this[key] = data.settings[key];
+        });
+        this.tick = data.tick || 0;
+        this.accumulator = data.accumulator || 0;
+        this.random.setState(data.random || { seed: 1, state: 1 });
+        this.nextBodyId = data.nextBodyId || data.bodies.length + 1;
+        this.nextConstraintId = data.nextConstraintId || data.constraints.length + 1;
+        this.bodies = data.bodies;
+        this.constraints = data.constraints;
+        this.placedHulls.clear();
+        this.recording = null;
+        this.replay = null;
+        
+        console.log(`🔮 Loaded physics state: ${this.bodies.length} bodies, ${this.constraints.length} joints at step ${this.tick}`);
+        return true;
+    }
+    
+    // === RECORD / REPLAY ===
+    
+    /**
+     * Start recording inputs - the current world state is the starting point of the recording
+     */
+    startRecording() {
+        this.replay = null;
+        this.recording = { start: this.serialize(), events: [] };
+        console.log(`🔮 Physics recording started at step ${this.tick}`);
+    }
+    
+    /**
+     * @returns {Object|null} { version, start, events: [{ tick, type, args }], ticks } - JSON data
+     */
+    stopRecording() {
+        if (!this.recording) return null;
+        const recording = {
+            version: PHYSICS_STATE_VERSION,
+            ...this.recording,
+            ticks: this.tick - this.recording.start.tick
+        };
+        this.recording = null;
+        console.log(`🔮 Physics recording stopped: ${recording.events.length} inputs over ${recording.ticks} steps`);
+        return recording;
+    }
+    
+    isRecording() {
+        return this.recording !== null;
+    }
+    
+    recordInput(type, args) {
+        if (!this.recording) return;
+        this.recording.events.push(JSON.parse(JSON.stringify({ tick: this.tick, type, args })));
+    }
+    
+    /**
+     * Rewind to the start of a recording and play its inputs back as the world steps
+     * @param {Object} recording - stopRecording() result
+     * @param {Object} options - { run: true } steps straight to the end instead of following the clock
+     */
+    startReplay(recording, options = {}) {
+        if (!recording || !recording.start || !Array.isArray(recording.events)) {
+            throw new Error('Invalid physics recording');
+        }
+        const invalid = recording.events.find(event => !RECORDED_INPUTS.includes(event.type));
+        if (invalid) {
+            throw new Error(`Invalid physics recording input: ${invalid.type}`);
+        }
+        
+        this.loadState(recording.start);
+        this.replay = { events: recording.events, index: 0, end: recording.start.tick + (recording.ticks || 0) };
+        
+        if (options.run) {
+            const wasEnabled = this.enabled;
+            const wasPaused = this.paused;
+            this.enabled = true;
+            this.paused = false;
+            while (this.tick < this.replay.end) this.step();
+            this.applyReplayInputs();
+            this.enabled = wasEnabled;
+            this.paused = wasPaused;
+            this.replay = null;
+        }
+        return this;
+    }
+    
+    isReplaying() {
+        return this.replay !== null;
+    }
+    
+    applyReplayInputs() {
+        const replay = this.replay;
+        if (!replay) return;
+        
+        while (replay.index < replay.events.length && replay.events[replay.index].tick <= this.tick) {
+            const { type, args } = replay.events[replay.index++];
+            try {
+                this[type](...args);
+            } catch (error) {
+                console.error(`❌ Replayed physics input ${type} failed:`, error);
+            }
+        }
+        if (replay.index >= replay.events.length && this.tick >= replay.end) {
+            this.replay = null;
+        }
     }
     
     /**
@@ -0,0 +1,54 @@
+/**
+ * VIB34D Seeded Random
+ * Reproducible random numbers for the physics world (mulberry32) - the same seed gives the
+ * same sequence in every browser, and the state can be saved and restored mid-sequence
+ */
+
+/**
+ * 32-bit seed from a number or a string
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed
+     */
+    constructor(seed = 1) {
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        this.seed = hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = hashSeed(seed);
+        this.state = state >>> 0;
+    }
+}
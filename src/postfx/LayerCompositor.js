@@ -0,0 +1,320 @@
+/**
+ * VIB34D Layer Compositor
+ * Per-layer blend mode, opacity, offset and parameter overrides for the five layer roles
+ *
+ * Without the compositor the five canvases of a system are simply stacked by the page. Once
+ * any layer leaves the defaults (normal blend, full opacity, no offset) the PostProcessor
+ * composites the layers itself with BLEND_SHADER and shows the result on its overlay.
+ * Parameter overrides don't need the GPU pass - each system merges them into the parameters
+ * of the matching layer through getLayerParameters().
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { isPostParameter } from './PostEffects.js';
+
+export const LAYER_ROLES = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
+// Index = u_mode in BLEND_SHADER
+export const BLEND_MODES = ['normal', 'add', 'screen', 'multiply', 'difference', 'overlay'];
+
+export const DEFAULT_LAYER_SETTINGS = {
+    blendMode: 'normal',
+    opacity: 1,
+    offsetX: 0,
+    offsetY: 0
+};
+
+// Offsets are fractions of the canvas size
+const MAX_OFFSET = 1;
+
+/**
+ * Blends one premultiplied layer over the opaque composite. u_offset is in uv units (y up).
+ */
+export const BLEND_SHADER = `
+    precision highp float;
+    uniform sampler2D u_input;
+    uniform sampler2D u_base;
+    uniform float u_mode;
+    uniform float u_opacity;
+    uniform vec2 u_offset;
+    varying vec2 v_uv;
+
+    vec3 blend(vec3 base, vec3 color) {
+        if (u_mode < 1.5) return min(base + color, 1.0);
+        if (u_mode < 2.5) return base + color - base * color;
+        if (u_mode < 3.5) return base * color;
+        if (u_mode < 4.5) return abs(base - color);
+        return mix(2.0 * base * color, 1.0 - 2.0 * (1.0 - base) * (1.0 - color), step(0.5, base));
+    }
+
+    void main() {
+        vec3 base = texture2D(u_base, v_uv).rgb;
+        vec2 uv = v_uv - u_offset;
+        float inside = step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+        vec4 layer = texture2D(u_input, uv) * inside;
+        if (u_mode < 0.5) {
+            // Premultiplied over - identical to the page stacking the canvases
+            gl_FragColor = vec4(base * (1.0 - layer.a * u_opacity) + layer.rgb * u_opacity, 1.0);
+            return;
+        }
+        vec3 color = layer.a > 0.0 ? layer.rgb / layer.a : vec3(0.0);
+        gl_FragColor = vec4(mix(base, blend(base, color), layer.a * u_opacity), 1.0);
+    }
+`;
+
+/**
+ * CPU version of BLEND_SHADER for one channel (all values 0-1, layer color premultiplied)
+ */
+export function blendChannel(mode, base, premultiplied, alpha, opacity = 1) {
+    if (mode === 'normal') {
+        return base * (1 - alpha * opacity) + premultiplied * opacity;
+    }
+
+    const color = alpha > 0 ? premultiplied / alpha : 0;
+    let blended;
+    switch (mode) {
+        case 'add': blended = Math.min(base + color, 1); break;
+        case 'screen': blended = base + color - base * color; break;
+        case 'multiply': blended = base * color; break;
+        case 'difference': blended = Math.abs(base - color); break;
+        case 'overlay':
+            blended = base < 0.5 ? 2 * base * color : 1 - 2 * (1 - base) * (1 - color);
+            break;
+        default: blended = color;
+    }
+    return base + (blended - base) * alpha * opacity;
+}
+
+/**
+ * Layer role of a system canvas - ids end in `<role>-canvas`, otherwise the stacking index is used
+ */
+export function getCanvasRole(canvas, index) {
+    const id = canvas?.id || '';
+    return LAYER_ROLES.find(role => id.endsWith(`${role}-canvas`)) || LAYER_ROLES[index] || null;
+}
+
+export class LayerCompositor {
+    constructor() {
+        this.listeners = new Map();
+        this.parameterDefs = new ParameterManager().parameterDefs;
+        // Bumped on every change so render loops can cheaply notice new overrides
+        this.revision = 0;
+        this.layers = {};
+        LAYER_ROLES.forEach(role => {
+            this.layers[role] = this.createLayer();
+        });
+    }
+
+    createLayer() {
+        return { ...DEFAULT_LAYER_SETTINGS, overrides: {} };
+    }
+
+    validateRole(role) {
+        if (!LAYER_ROLES.includes(role)) {
+            throw new Error(`Unknown layer role: ${role}`);
+        }
+    }
+
+    /**
+     * Update a layer's compositing settings - any of blendMode, opacity, offsetX, offsetY, overrides
+     */
+    setLayer(role, settings = {}) {
+        this.validateRole(role);
+        const layer = this.layers[role];
+
+        if (settings.blendMode !== undefined) {
+            if (!BLEND_MODES.includes(settings.blendMode)) {
+                throw new Error(`Unknown blend mode: ${settings.blendMode}`);
+            }
+            layer.blendMode = settings.blendMode;
+        }
+        if (settings.opacity !== undefined) {
+            layer.opacity = this.clampNumber(settings.opacity, 0, 1, layer.opacity);
+        }
+        ['offsetX', 'offsetY'].forEach(key => {
+            if (settings[key] !== undefined) {
+                layer[key] = this.clampNumber(settings[key], -MAX_OFFSET, MAX_OFFSET, layer[key]);
+            }
+        });
+        if (settings.overrides) {
+            layer.overrides = {};
+            Object.entries(settings.overrides).forEach(([param, value]) => {
+                this.applyOverride(layer, param, value);
+            });
+        }
+
+        this.changed(role);
+        return this.getLayer(role);
+    }
+
+    /**
+     * Override one parameter on a layer (null removes the override)
+     */
+    setOverride(role, param, value) {
+        this.validateRole(role);
+        const applied = this.applyOverride(this.layers[role], param, value);
+        if (applied) {
+            this.changed(role);
+        }
+        return applied;
+    }
+
+    clearOverrides(role) {
+        const roles = role ? [role] : LAYER_ROLES;
+        roles.forEach(name => {
+            this.validateRole(name);
+            this.layers[name].overrides = {};
+            this.changed(name);
+        });
+    }
+
+    applyOverride(layer, param, value) {
+        const def = this.parameterDefs[param];
+        if (!def || isPostParameter(param)) {
+            console.warn(`Cannot override layer parameter: ${param}`);
+            return false;
+        }
+        if (value === null || value === undefined) {
+            delete layer.overrides[param];
+            return true;
+        }
+
+        let next = this.clampNumber(value, def.min, def.max, null);
+        if (next === null) return false;
+        if (def.type === 'int') {
+            next = Math.round(next);
+        }
+        layer.overrides[param] = next;
+        return true;
+    }
+
+    clampNumber(value, min, max, fallback) {
+        const number = parseFloat(value);
+        if (isNaN(number)) return fallback;
+        return Math.max(min, Math.min(max, number));
+    }
+
+    changed(role) {
+        this.revision++;
+        this.emit('change', { role, layer: this.getLayer(role) });
+    }
+
+    getLayer(role) {
+        this.validateRole(role);
+        const layer = this.layers[role];
+        return { ...layer, overrides: { ...layer.overrides } };
+    }
+
+    getLayers() {
+        const layers = {};
+        LAYER_ROLES.forEach(role => {
+            layers[role] = this.getLayer(role);
+        });
+        return layers;
+    }
+
+    /**
+     * Parameters for one layer - the shared parameters with that layer's overrides on top
+     */
+    getLayerParameters(role, params) {
+        const overrides = this.layers[role]?.overrides;
+        if (!overrides || Object.keys(overrides).length === 0) return params;
+        return { ...params, ...overrides };
+    }
+
+    hasOverrides() {
+        return LAYER_ROLES.some(role => Object.keys(this.layers[role].overrides).length > 0);
+    }
+
+    isDefaultLayer(role) {
+        const layer = this.layers[role];
+        return Object.keys(DEFAULT_LAYER_SETTINGS).every(key => layer[key] === DEFAULT_LAYER_SETTINGS[key]);
+    }
+
+    /**
+     * Whether the layers need the GPU compositing pass (overrides alone don't)
+     */
+    isActive() {
+        return LAYER_ROLES.some(role => !this.isDefaultLayer(role));
+    }
+
+    /**
+     * Back to plain stacking with no overrides
+     */
+    reset() {
+        LAYER_ROLES.forEach(role => {
+            this.layers[role] = this.createLayer();
+        });
+        this.revision++;
+        this.emit('reset', {});
+    }
+
+    /**
+     * Serializable layer settings for variations (null when every layer is at the defaults)
+     */
+    serialize() {
+        const layers = {};
+        LAYER_ROLES.forEach(role => {
+            const layer = this.layers[role];
+            const saved = {};
+            Object.keys(DEFAULT_LAYER_SETTINGS).forEach(key => {
+                if (layer[key] !== DEFAULT_LAYER_SETTINGS[key]) {
+                    saved[key] = layer[key];
+                }
+            });
+            if (Object.keys(layer.overrides).length > 0) {
+                saved.overrides = { ...layer.overrides };
+            }
+            if (Object.keys(saved).length > 0) {
+                layers[role] = saved;
+            }
+        });
+        return Object.keys(layers).length > 0 ? { version: 1, layers } : null;
+    }
+
+    /**
+     * Restore serialized settings - missing data resets every layer
+     */
+    load(data) {
+        this.reset();
+        if (!data || !data.layers) return true;
+
+        try {
+            Object.entries(data.layers).forEach(([role, settings]) => {
+                if (!LAYER_ROLES.includes(role)) {
+                    console.warn(`Skipping unknown layer role: ${role}`);
+                    return;
+                }
+                const blendMode = BLEND_MODES.includes(settings.blendMode) ? settings.blendMode : undefined;
+                this.setLayer(role, { ...settings, blendMode });
+            });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load layer compositing:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a listener ('change', 'reset') - returns an unsubscribe function
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.listeners.get(event)?.delete(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Layer compositor ${event} listener failed:`, error);
+            }
+        });
+    }
+}
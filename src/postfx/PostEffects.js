@@ -0,0 +1,181 @@
+/**
+ * VIB34D Post Effects
+ * Effect definitions for the post-processing chain that runs after the system pass
+ *
+ * Every effect is one full-screen GLSL pass. Its source defines `vec4 effect(vec2 uv)` and may
+ * read the shared uniforms (u_input, u_previous, u_resolution, u_time) plus one uniform per
+ * parameter, named u_<parameter>. Parameters are ordinary global parameters - they share
+ * the ParameterManager definitions, so the timeline, modulation matrix, MIDI and remote
+ * control can drive them, and they are saved with the variation.
+ *
+ * An effect is skipped when isActive(params) is false, so the defaults (all effects off)
+ * cost nothing.
+ */
+
+export const POST_EFFECTS = [
+    {
+        id: 'kaleidoscope',
+        name: 'Kaleidoscope',
+        parameters: {
+            kaleidoSegments: { min: 0, max: 16, step: 1, type: 'int', default: 0 },
+            kaleidoRotation: { min: -6.28, max: 6.28, step: 0.01, type: 'float', default: 0 }
+        },
+        isActive: params => params.kaleidoSegments >= 2,
+        source: `
+            vec4 effect(vec2 uv) {
+                float aspect = u_resolution.x / u_resolution.y;
+                vec2 p = (uv - 0.5) * vec2(aspect, 1.0);
+                float radius = length(p);
+                float sector = 6.28318 / floor(u_kaleidoSegments);
+                float angle = mod(atan(p.y, p.x) + u_kaleidoRotation, sector);
+                angle = min(angle, sector - angle);
+                vec2 q = vec2(cos(angle), sin(angle)) * radius / vec2(aspect, 1.0);
+                return texture2D(u_input, clamp(q + 0.5, 0.0, 1.0));
+            }
+        `
+    },
+    {
+        id: 'feedback',
+        name: 'Feedback Trails',
+        parameters: {
+            feedbackAmount: { min: 0, max: 0.98, step: 0.01, type: 'float', default: 0 },
+            feedbackZoom: { min: 0.9, max: 1.1, step: 0.001, type: 'float', default: 1.0 },
+            feedbackRotation: { min: -0.2, max: 0.2, step: 0.001, type: 'float', default: 0 }
+        },
+        isActive: params => params.feedbackAmount > 0,
+        // Needs the previous output frame
+        usesHistory: true,
+        source: `
+            vec4 effect(vec2 uv) {
+                vec4 current = texture2D(u_input, uv);
+                float c = cos(u_feedbackRotation);
+                float s = sin(u_feedbackRotation);
+                vec2 p = mat2(c, s, -s, c) * (uv - 0.5) / u_feedbackZoom + 0.5;
+                float inside = step(0.0, p.x) * step(p.x, 1.0) * step(0.0, p.y) * step(p.y, 1.0);
+                vec4 previous = texture2D(u_previous, p) * u_feedbackAmount * inside;
+                return max(current, previous);
+            }
+        `
+    },
+    {
+        id: 'bloom',
+        name: 'Bloom',
+        parameters: {
+            bloomIntensity: { min: 0, max: 3, step: 0.01, type: 'float', default: 0 },
+            bloomThreshold: { min: 0, max: 1, step: 0.01, type: 'float', default: 0.6 },
+            bloomRadius: { min: 1, max: 16, step: 0.1, type: 'float', default: 4 }
+        },
+        isActive: params => params.bloomIntensity > 0,
+        source: `
+            vec3 brightPass(vec2 uv) {
+                vec3 color = texture2D(u_input, uv).rgb;
+                float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                return color * max(luma - u_bloomThreshold, 0.0) / max(1.0 - u_bloomThreshold, 0.001);
+            }
+
+            vec4 effect(vec2 uv) {
+                vec4 base = texture2D(u_input, uv);
+                vec2 texel = u_bloomRadius / u_resolution;
+                vec3 glow = brightPass(uv);
+                float total = 1.0;
+                for (int ring = 1; ring <= 3; ring++) {
+                    float weight = 1.0 / float(ring + 1);
+                    for (int i = 0; i < 8; i++) {
+                        float angle = float(i) * 0.785398 + float(ring) * 0.392699;
+                        vec2 offset = vec2(cos(angle), sin(angle)) * texel * float(ring);
+                        glow += brightPass(uv + offset) * weight;
+                        total += weight;
+                    }
+                }
+                return vec4(base.rgb + glow / total * u_bloomIntensity, base.a);
+            }
+        `
+    },
+    {
+        id: 'chromatic',
+        name: 'Chromatic Aberration',
+        parameters: {
+            chromaticAberration: { min: 0, max: 0.05, step: 0.001, type: 'float', default: 0 }
+        },
+        isActive: params => params.chromaticAberration > 0,
+        source: `
+            vec4 effect(vec2 uv) {
+                vec2 direction = (uv - 0.5) * u_chromaticAberration;
+                vec4 center = texture2D(u_input, uv);
+                float red = texture2D(u_input, uv + direction).r;
+                float blue = texture2D(u_input, uv - direction).b;
+                return vec4(red, center.g, blue, center.a);
+            }
+        `
+    },
+    {
+        id: 'grain',
+        name: 'Film Grain',
+        parameters: {
+            grainAmount: { min: 0, max: 1, step: 0.01, type: 'float', default: 0 }
+        },
+        isActive: params => params.grainAmount > 0,
+        source: `
+            float grainHash(vec2 p) {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+
+            vec4 effect(vec2 uv) {
+                vec4 color = texture2D(u_input, uv);
+                float noise = grainHash(floor(uv * u_resolution) + fract(u_time * 7.31) * 173.0) - 0.5;
+                return vec4(color.rgb + noise * u_grainAmount * 0.4, color.a);
+            }
+        `
+    },
+    {
+        id: 'vignette',
+        name: 'Vignette',
+        parameters: {
+            vignetteAmount: { min: 0, max: 1, step: 0.01, type: 'float', default: 0 },
+            vignetteSoftness: { min: 0.1, max: 1, step: 0.01, type: 'float', default: 0.5 }
+        },
+        isActive: params => params.vignetteAmount > 0,
+        source: `
+            vec4 effect(vec2 uv) {
+                vec4 color = texture2D(u_input, uv);
+                float dist = length(uv - 0.5) * 1.41421;
+                float shade = 1.0 - u_vignetteAmount * smoothstep(1.0 - u_vignetteSoftness, 1.0, dist);
+                return vec4(color.rgb * shade, color.a);
+            }
+        `
+    }
+];
+
+export const DEFAULT_POST_CHAIN = POST_EFFECTS.map(effect => effect.id);
+
+export function getPostEffect(id) {
+    return POST_EFFECTS.find(effect => effect.id === id) || null;
+}
+
+/**
+ * Parameter definitions of every effect, in the ParameterManager format
+ */
+export function getPostParameterDefs() {
+    const defs = {};
+    POST_EFFECTS.forEach(effect => {
+        Object.entries(effect.parameters).forEach(([name, def]) => {
+            const { default: _default, ...rest } = def;
+            defs[name] = rest;
+        });
+    });
+    return defs;
+}
+
+export function getPostParameterDefaults() {
+    const defaults = {};
+    POST_EFFECTS.forEach(effect => {
+        Object.entries(effect.parameters).forEach(([name, def]) => {
+            defaults[name] = def.default;
+        });
+    });
+    return defaults;
+}
+
+export function isPostParameter(name) {
+    return POST_EFFECTS.some(effect => name in effect.parameters);
+}
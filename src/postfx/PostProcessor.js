@@ -0,0 +1,532 @@
+/**
+ * VIB34D Post Processor
+ * Configurable effect chain applied after the system pass
+ *
+ * Each system still renders its five layer canvases. Right after a system's render loop has
+ * drawn them (while their WebGL buffers are valid) it hands the canvases to process(); the
+ * layers are composited into an offscreen target, run through the enabled effects in chain
+ * order and shown on an overlay canvas above the layers. With every effect off the overlay
+ * is hidden and process() returns immediately.
+ *
+ * When a LayerCompositor is attached and any layer has a blend mode, opacity or offset, the
+ * composite step blends each layer with its own settings instead of plain stacking.
+ */
+
+import {
+    POST_EFFECTS,
+    DEFAULT_POST_CHAIN,
+    getPostEffect,
+    getPostParameterDefs,
+    getPostParameterDefaults
+} from './PostEffects.js';
+import { BLEND_MODES, BLEND_SHADER, getCanvasRole } from './LayerCompositor.js';
+
+const VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+    void main() {
+        v_uv = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+const COPY_SHADER = `
+    precision highp float;
+    uniform sampler2D u_input;
+    varying vec2 v_uv;
+    void main() {
+        gl_FragColor = texture2D(u_input, v_uv);
+    }
+`;
+
+export class PostProcessor {
+    constructor(options = {}) {
+        this.listeners = new Map();
+        this.parameterDefs = getPostParameterDefs();
+        this.defaults = getPostParameterDefaults();
+        this.params = { ...this.defaults };
+        this.chain = [...DEFAULT_POST_CHAIN];
+        this.compositor = options.compositor || null;
+        if (options.chain) {
+            this.setChain(options.chain);
+        }
+
+        // GPU state - created on first use and recreated when the canvas is destroyed
+        this.canvas = null;
+        this.gl = null;
+        this.programs = new Map();
+        this.layerTextures = [];
+        this.targets = [];
+        this.history = null;
+        this.historyReady = false;
+        this.failed = false;
+    }
+
+    hasParameter(name) {
+        return name in this.parameterDefs;
+    }
+
+    /**
+     * Set an effect parameter (clamped to its range, ints rounded)
+     */
+    setParameter(name, value) {
+        const def = this.parameterDefs[name];
+        if (!def) {
+            console.warn(`Unknown post-processing parameter: ${name}`);
+            return false;
+        }
+
+        let next = Math.max(def.min, Math.min(def.max, parseFloat(value)));
+        if (isNaN(next)) return false;
+        if (def.type === 'int') {
+            next = Math.round(next);
+        }
+
+        this.params[name] = next;
+        this.emit('change', { param: name, value: next });
+        return true;
+    }
+
+    getParameter(name) {
+        return this.params[name];
+    }
+
+    getParameters() {
+        return { ...this.params };
+    }
+
+    /**
+     * Set the effect order - unknown effects are rejected, missing ones are left out of the chain
+     */
+    setChain(chain) {
+        if (!Array.isArray(chain)) {
+            throw new Error('Post-processing chain must be an array of effect ids');
+        }
+        chain.forEach(id => {
+            if (!getPostEffect(id)) {
+                throw new Error(`Unknown post effect: ${id}`);
+            }
+        });
+
+        this.chain = [...new Set(chain)];
+        this.emit('chain', { chain: [...this.chain] });
+    }
+
+    getChain() {
+        return [...this.chain];
+    }
+
+    getActiveEffects() {
+        return this.chain
+            .map(id => getPostEffect(id))
+            .filter(effect => effect.isActive(this.params));
+    }
+
+    isActive() {
+        return this.getActiveEffects().length > 0;
+    }
+
+    /**
+     * Back to the default chain with every effect off
+     */
+    reset() {
+        this.params = { ...this.defaults };
+        this.chain = [...DEFAULT_POST_CHAIN];
+        this.historyReady = false;
+        this.emit('reset', {});
+    }
+
+    /**
+     * Serializable chain state for variations (null when no effect is enabled)
+     */
+    serialize() {
+        if (!this.isActive()) return null;
+
+        const parameters = {};
+        Object.entries(this.params).forEach(([name, value]) => {
+            if (value !== this.defaults[name]) {
+                parameters[name] = value;
+            }
+        });
+        return { version: 1, chain: this.getChain(), parameters };
+    }
+
+    /**
+     * Restore a serialized chain - missing data resets to the defaults
+     */
+    load(data) {
+        this.reset();
+        if (!data) return true;
+
+        try {
+            if (data.chain) {
+                this.setChain(data.chain.filter(id => getPostEffect(id)));
+            }
+            Object.entries(data.parameters || {}).forEach(([name, value]) => {
+                if (this.hasParameter(name)) {
+                    this.setParameter(name, value);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load post-processing chain:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Run the chain over a system's layer canvases
+     * @param {string} system - System that rendered (ignored unless it is the active one)
+     * @param {HTMLCanvasElement[]} canvases - Layer canvases, bottom to top
+     * @param {number} timeMs - Effect time (wall clock by default, explicit for offline renders)
+     * @returns {HTMLCanvasElement|null} The processed canvas, or null when nothing was processed
+     */
+    process(system, canvases, timeMs = performance.now()) {
+        const activeSystem = window.currentSystem || 'faceted';
+        if (system && system !== activeSystem) return null;
+
+        const effects = this.getActiveEffects();
+        const compositing = !!this.compositor?.isActive();
+        if ((effects.length === 0 && !compositing) || this.failed) {
+            this.hide();
+            this.historyReady = false;
+            return null;
+        }
+
+        const layers = (canvases || []).filter(canvas => canvas && canvas.width > 0 && canvas.height > 0);
+        if (layers.length === 0) return null;
+
+        try {
+            if (!this.ensureContext(layers[0].parentElement)) return null;
+            this.resize(layers[0].width, layers[0].height);
+            this.renderChain(layers, effects, timeMs / 1000, compositing);
+            this.canvas.style.display = 'block';
+            return this.canvas;
+        } catch (error) {
+            // Don't retry every frame - the layers underneath stay visible
+            console.error('❌ Post-processing failed:', error);
+            this.failed = true;
+            this.hide();
+            return null;
+        }
+    }
+
+    hide() {
+        if (this.canvas) {
+            this.canvas.style.display = 'none';
+        }
+    }
+
+    /**
+     * Create the overlay canvas and GL resources (again after a system switch removed them)
+     */
+    ensureContext(container) {
+        if (this.canvas && this.canvas.isConnected && this.gl && !this.gl.isContextLost()) {
+            if (container && this.canvas.parentElement !== container) {
+                container.appendChild(this.canvas);
+            }
+            return true;
+        }
+
+        this.releaseContext();
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'visualization-canvas post-processing-canvas';
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.zIndex = 10;
+        canvas.style.pointerEvents = 'none';
+
+        const gl = canvas.getContext('webgl', {
+            alpha: false,
+            antialias: false,
+            depth: false,
+            premultipliedAlpha: true,
+            preserveDrawingBuffer: false
+        });
+        if (!gl) {
+            console.warn('⚠️ Post-processing needs WebGL - effects disabled');
+            this.failed = true;
+            return false;
+        }
+
+        this.canvas = canvas;
+        this.gl = gl;
+        (container || document.body).appendChild(canvas);
+
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+        console.log('✨ Post-processing overlay created');
+        return true;
+    }
+
+    releaseContext() {
+        const gl = this.gl;
+        if (gl && !gl.isContextLost()) {
+            this.programs.forEach(({ program }) => gl.deleteProgram(program));
+            this.layerTextures.forEach(texture => gl.deleteTexture(texture));
+            [...this.targets, this.history].filter(Boolean).forEach(target => {
+                gl.deleteFramebuffer(target.framebuffer);
+                gl.deleteTexture(target.texture);
+            });
+            if (this.quad) gl.deleteBuffer(this.quad);
+        }
+        if (this.canvas) {
+            this.canvas.remove();
+        }
+
+        this.canvas = null;
+        this.gl = null;
+        this.quad = null;
+        this.programs.clear();
+        this.layerTextures = [];
+        this.targets = [];
+        this.history = null;
+        this.historyReady = false;
+    }
+
+    resize(width, height) {
+        if (this.canvas.width === width && this.canvas.height === height && this.targets.length > 0) return;
+
+        const gl = this.gl;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        [...this.targets, this.history].filter(Boolean).forEach(target => {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        });
+        this.targets = [this.createTarget(width, height), this.createTarget(width, height)];
+        this.history = this.createTarget(width, height);
+        this.historyReady = false;
+    }
+
+    createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    createTarget(width, height) {
+        const gl = this.gl;
+        const texture = this.createTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer };
+    }
+
+    /**
+     * Compile (once) the program for an effect, or the plain copy program
+     */
+    getProgram(effect) {
+        const key = effect ? effect.id : 'copy';
+        if (this.programs.has(key)) return this.programs.get(key);
+
+        let source = COPY_SHADER;
+        const uniformNames = ['u_input', 'u_previous', 'u_resolution', 'u_time'];
+        if (effect) {
+            const parameters = Object.keys(effect.parameters);
+            uniformNames.push(...parameters.map(name => `u_${name}`));
+            source = `
+                precision highp float;
+                uniform sampler2D u_input;
+                uniform sampler2D u_previous;
+                uniform vec2 u_resolution;
+                uniform float u_time;
+                ${parameters.map(name => `uniform float u_${name};`).join('\n')}
+                varying vec2 v_uv;
+                ${effect.source}
+                void main() {
+                    gl_FragColor = effect(v_uv);
+                }
+            `;
+        }
+
+        return this.linkProgram(key, source, uniformNames);
+    }
+
+    linkProgram(key, source, uniformNames) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, VERTEX_SHADER, key));
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, source, key));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Post effect ${key} failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const uniforms = {};
+        uniformNames.forEach(name => {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+        const entry = { program, uniforms, position: gl.getAttribLocation(program, 'a_position') };
+        this.programs.set(key, entry);
+        return entry;
+    }
+
+    compileShader(type, source, key) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Post effect ${key} failed to compile: ${log}`);
+        }
+        return shader;
+    }
+
+    draw(entry, inputTexture, target) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.useProgram(entry.program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+        gl.uniform1i(entry.uniforms.u_input, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(entry.position);
+        gl.vertexAttribPointer(entry.position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    renderChain(layers, effects, timeSeconds, compositing = false) {
+        const gl = this.gl;
+        const copy = this.getProgram(null);
+
+        // 1. Composite the layers into targets[current]
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[0].framebuffer);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        layers.forEach((layer, index) => {
+            if (!this.layerTextures[index]) {
+                this.layerTextures[index] = this.createTexture();
+            }
+            gl.bindTexture(gl.TEXTURE_2D, this.layerTextures[index]);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, layer);
+        });
+
+        let current = 0;
+        if (compositing) {
+            current = this.compositeLayers(layers);
+        } else {
+            // Premultiplied over, like the page composites the stacked canvases
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            layers.forEach((layer, index) => {
+                this.draw(copy, this.layerTextures[index], this.targets[0]);
+            });
+            gl.disable(gl.BLEND);
+        }
+
+        // 2. Effects ping-pong between the two targets
+        const usesHistory = effects.some(effect => effect.usesHistory);
+        if (usesHistory && !this.historyReady) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.history.framebuffer);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            this.historyReady = true;
+        }
+
+        effects.forEach(effect => {
+            const entry = this.getProgram(effect);
+            gl.useProgram(entry.program);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.history.texture);
+            gl.uniform1i(entry.uniforms.u_previous, 1);
+            gl.uniform2f(entry.uniforms.u_resolution, this.canvas.width, this.canvas.height);
+            gl.uniform1f(entry.uniforms.u_time, timeSeconds);
+            Object.keys(effect.parameters).forEach(name => {
+                gl.uniform1f(entry.uniforms[`u_${name}`], this.params[name]);
+            });
+
+            this.draw(entry, this.targets[current].texture, this.targets[1 - current]);
+            current = 1 - current;
+        });
+
+        // 3. Present, and keep the frame for feedback effects
+        this.draw(copy, this.targets[current].texture, null);
+        if (usesHistory) {
+            this.draw(copy, this.targets[current].texture, this.history);
+        } else {
+            this.historyReady = false;
+        }
+    }
+
+    /**
+     * Blend each uploaded layer onto the composite with its role's settings
+     * @returns {number} Index of the target holding the result
+     */
+    compositeLayers(layers) {
+        const gl = this.gl;
+        const entry = this.programs.get('composite') ||
+            this.linkProgram('composite', BLEND_SHADER, ['u_input', 'u_base', 'u_mode', 'u_opacity', 'u_offset']);
+
+        let current = 0;
+        layers.forEach((layer, index) => {
+            const role = getCanvasRole(layer, index);
+            const settings = role ? this.compositor.getLayer(role) : null;
+            if (settings && settings.opacity <= 0) return;
+
+            gl.useProgram(entry.program);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.targets[current].texture);
+            gl.uniform1i(entry.uniforms.u_base, 1);
+            gl.uniform1f(entry.uniforms.u_mode, settings ? BLEND_MODES.indexOf(settings.blendMode) : 0);
+            gl.uniform1f(entry.uniforms.u_opacity, settings ? settings.opacity : 1);
+            gl.uniform2f(entry.uniforms.u_offset, settings ? settings.offsetX : 0, settings ? settings.offsetY : 0);
+
+            this.draw(entry, this.layerTextures[index], this.targets[1 - current]);
+            current = 1 - current;
+        });
+        return current;
+    }
+
+    /**
+     * Add a listener ('change', 'chain', 'reset') - returns an unsubscribe function
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.listeners.get(event)?.delete(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ PostProcessor ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    destroy() {
+        this.releaseContext();
+        this.listeners.clear();
+    }
+}
+
+export { POST_EFFECTS, DEFAULT_POST_CHAIN };
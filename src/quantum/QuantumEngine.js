@@ -230,21 +230,26 @@ export class QuantumEngine {
         }
         
         const render = () => {
-            if (this.isActive) {
+            // Offline rendering drives the visualizers with explicit frame times instead
+            if (this.isActive && !this.offlineRendering) {
                 // MVEP-STYLE AUDIO PROCESSING: Use global audio data instead of internal processing
                 // This eliminates conflicts with holographic system and ensures consistent audio reactivity
                 // Audio reactivity now handled directly in visualizer render loops
                 
                 // CRITICAL FIX: Update visualizer parameters before rendering
                 const currentParams = this.parameters.getAllParameters();
+                const compositor = window.layerCompositor;
                 
                 this.visualizers.forEach(visualizer => {
                     if (visualizer.updateParameters && visualizer.render) {
-                        visualizer.updateParameters(currentParams);
+                        visualizer.updateParameters(compositor ? compositor.getLayerParameters(visualizer.role, currentParams) : currentParams);
                         visualizer.render();
                     }
                 });
                 
+                // Post-processing reads the layers right after the system pass
+                window.postProcessor?.process('quantum', this.visualizers.map(v => v.canvas));
+                
                 // Mobile debug: Log render activity periodically
                 if (window.mobileDebug && !this._renderActivityLogged) {
                     window.mobileDebug.log(`🎬 Quantum Engine: Actively rendering ${this.visualizers?.length} visualizers`);
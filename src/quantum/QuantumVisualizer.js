@@ -5,6 +5,9 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { PROJECTION_GLSL, ProjectionBlender, getProjectionDistance } from '../geometry/Projections.js';
+import { setFixedRenderSize, applyFixedRenderSize } from '../export/RenderSize.js';
 
 export class QuantumHolographicVisualizer {
     constructor(canvasId, role, reactivity, variant) {
@@ -63,10 +66,16 @@ export class QuantumHolographicVisualizer {
             intensity: 0.5,
             saturation: 0.8,
             dimension: 3.5,
+            rot4dXY: 0.0,
+            rot4dXZ: 0.0,
+            rot4dYZ: 0.0,
             rot4dXW: 0.0,
             rot4dYW: 0.0,
-            rot4dZW: 0.0
+            rot4dZW: 0.0,
+            projection: 0,
+            projectionDistance: 2.5
         };
+        this.projection = new ProjectionBlender();
         
         this.init();
     }
@@ -243,6 +252,9 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_rot4dXW;
 uniform float u_rot4dYW;
 uniform float u_rot4dZW;
@@ -250,180 +262,47 @@ uniform float u_mouseIntensity;
 uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
-// 4D rotation matrices
-mat4 rotateXW(float theta) {
+// 4D rotation matrices (all six planes)
+mat4 rotateXY(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-mat4 rotateYW(float theta) {
+mat4 rotateXZ(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-mat4 rotateZW(float theta) {
+mat4 rotateYZ(float theta) {
     float c = cos(theta);
     float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
-
-vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
-}
-
-// Complex 3D Lattice Functions - Superior Quantum Shaders
-float tetrahedronLattice(vec3 p, float gridSize) {
-    vec3 q = fract(p * gridSize) - 0.5;
-    float d1 = length(q);
-    float d2 = length(q - vec3(0.4, 0.0, 0.0));
-    float d3 = length(q - vec3(0.0, 0.4, 0.0));
-    float d4 = length(q - vec3(0.0, 0.0, 0.4));
-    float vertices = 1.0 - smoothstep(0.0, 0.04, min(min(d1, d2), min(d3, d4)));
-    float edges = 0.0;
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xy) - 0.2)));
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.yz) - 0.2)));
-    edges = max(edges, 1.0 - smoothstep(0.0, 0.02, abs(length(q.xz) - 0.2)));
-    return max(vertices, edges * 0.5);
-}
-
-float hypercubeLattice(vec3 p, float gridSize) {
-    vec3 grid = fract(p * gridSize);
-    vec3 edges = min(grid, 1.0 - grid);
-    float minEdge = min(min(edges.x, edges.y), edges.z);
-    float lattice = 1.0 - smoothstep(0.0, 0.03, minEdge);
-    
-    vec3 centers = abs(grid - 0.5);
-    float maxCenter = max(max(centers.x, centers.y), centers.z);
-    float vertices = 1.0 - smoothstep(0.45, 0.5, maxCenter);
-    
-    return max(lattice * 0.7, vertices);
-}
-
-float sphereLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float sphere = 1.0 - smoothstep(0.15, 0.25, length(cell));
-    
-    float rings = 0.0;
-    float ringRadius = length(cell.xy);
-    rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.3)));
-    rings = max(rings, 1.0 - smoothstep(0.0, 0.02, abs(ringRadius - 0.2)));
-    
-    return max(sphere, rings * 0.6);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
 }
 
-float torusLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float majorRadius = 0.3;
-    float minorRadius = 0.1;
-    
-    float toroidalDist = length(vec2(length(cell.xy) - majorRadius, cell.z));
-    float torus = 1.0 - smoothstep(minorRadius - 0.02, minorRadius + 0.02, toroidalDist);
-    
-    float rings = 0.0;
-    float angle = atan(cell.y, cell.x);
-    rings = sin(angle * 8.0) * 0.02;
-    
-    return max(torus, 0.0) + rings;
-}
-
-float kleinLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    float u = atan(cell.y, cell.x) / 3.14159 + 1.0;
-    float v = cell.z + 0.5;
-    
-    float x = (2.0 + cos(u * 0.5)) * cos(u);
-    float y = (2.0 + cos(u * 0.5)) * sin(u);
-    float z = sin(u * 0.5) + v;
-    
-    vec3 kleinPoint = vec3(x, y, z) * 0.1;
-    float dist = length(cell - kleinPoint);
-    
-    return 1.0 - smoothstep(0.1, 0.15, dist);
-}
-
-float fractalLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize);
-    cell = abs(cell * 2.0 - 1.0);
-    
-    float dist = length(max(abs(cell) - 0.3, 0.0));
-    
-    // Recursive subdivision
-    for(int i = 0; i < 3; i++) {
-        cell = abs(cell * 2.0 - 1.0);
-        float subdist = length(max(abs(cell) - 0.3, 0.0)) / pow(2.0, float(i + 1));
-        dist = min(dist, subdist);
-    }
-    
-    return 1.0 - smoothstep(0.0, 0.05, dist);
+mat4 rotateXW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
 }
 
-float waveLattice(vec3 p, float gridSize) {
-    float time = u_time * 0.001 * u_speed;
-    vec3 cell = fract(p * gridSize) - 0.5;
-    
-    float wave1 = sin(p.x * gridSize * 2.0 + time * 2.0);
-    float wave2 = sin(p.y * gridSize * 1.8 + time * 1.5);
-    float wave3 = sin(p.z * gridSize * 2.2 + time * 1.8);
-    
-    float interference = (wave1 + wave2 + wave3) / 3.0;
-    float amplitude = 1.0 - length(cell) * 2.0;
-    
-    return max(0.0, interference * amplitude);
+mat4 rotateYW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
 }
 
-float crystalLattice(vec3 p, float gridSize) {
-    vec3 cell = fract(p * gridSize) - 0.5;
-    
-    // Octahedral crystal structure
-    float crystal = max(max(abs(cell.x) + abs(cell.y), abs(cell.y) + abs(cell.z)), abs(cell.x) + abs(cell.z));
-    crystal = 1.0 - smoothstep(0.3, 0.4, crystal);
-    
-    // Add crystalline faces
-    float faces = 0.0;
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.x) - 0.35)));
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.y) - 0.35)));
-    faces = max(faces, 1.0 - smoothstep(0.0, 0.02, abs(abs(cell.z) - 0.35)));
-    
-    return max(crystal, faces * 0.5);
+mat4 rotateZW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
 }
 
-// Enhanced geometry function with holographic effects
-float geometryFunction(vec4 p) {
-    int geomType = int(u_geometry);
-    vec3 p3d = project4Dto3D(p);
-    float gridSize = u_gridDensity * 0.08;
-    
-    if (geomType == 0) {
-        return tetrahedronLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 1) {
-        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 2) {
-        return sphereLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 3) {
-        return torusLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 4) {
-        return kleinLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 5) {
-        return fractalLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 6) {
-        return waveLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else if (geomType == 7) {
-        return crystalLattice(p3d, gridSize) * u_morphFactor;
-    }
-    else {
-        return hypercubeLattice(p3d, gridSize) * u_morphFactor;
-    }
-}
+// 4D → 3D projection (perspective, orthographic, stereographic or Schlegel)
+${PROJECTION_GLSL}
+// Complex 3D lattice functions assembled from the geometry registry
+${GeometryRegistry.getShaderFunctions('quantum')}
 
 // EXTREME LAYER-BY-LAYER COLOR SYSTEM
 // Each canvas layer gets completely different color behavior
@@ -521,7 +400,10 @@ void main() {
     vec4 pos = vec4(uv * 3.0, sin(timeSpeed * 3.0), cos(timeSpeed * 2.0));
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
     
-    // Apply 4D rotations
+    // Apply 4D rotations - 3D planes first, then the W planes
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
     pos = rotateXW(u_rot4dXW) * pos;
     pos = rotateYW(u_rot4dYW) * pos;
     pos = rotateZW(u_rot4dZW) * pos;
@@ -653,9 +535,14 @@ void main() {
             intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
             saturation: this.gl.getUniformLocation(this.program, 'u_saturation'),
             dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
+            rot4dXY: this.gl.getUniformLocation(this.program, 'u_rot4dXY'),
+            rot4dXZ: this.gl.getUniformLocation(this.program, 'u_rot4dXZ'),
+            rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            projectionWeights: this.gl.getUniformLocation(this.program, 'u_projectionWeights'),
+            projectionDistance: this.gl.getUniformLocation(this.program, 'u_projectionDistance'),
             mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
             clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity'),
             roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
@@ -784,10 +671,22 @@ void main() {
         this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
     
+    /**
+     * Lock the drawing buffer to an explicit size (offline rendering); pass null to restore layout sizing
+     */
+    setRenderSize(width, height) {
+        setFixedRenderSize(this, width, height);
+    }
+    
     /**
      * Resize canvas and viewport
      */
     resize() {
+        // Offline rendering locks the drawing buffer to the export resolution
+        if (applyFixedRenderSize(this)) {
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -829,6 +728,14 @@ void main() {
             ctx.fillStyle = '#888';
             ctx.font = '12px Orbitron, monospace';
             ctx.fillText('Please enable WebGL in your browser', this.canvas.width / 2, this.canvas.height / 2 + 25);
+            
+            // Replace the message with a static CPU render of this layer when possible
+            // (called from the constructor, before this.params exists)
+            import('../reference/ReferenceRenderer.js')
+                .then(({ ReferenceRenderer }) => ReferenceRenderer.drawFallback(this.canvas, 'quantum', this.role, this.params || {}, {
+                    caption: 'WebGL unavailable - static preview'
+                }))
+                .catch(error => console.warn('⚠️ Reference fallback failed:', error));
         }
     }
     
@@ -852,8 +759,9 @@ void main() {
     
     /**
      * Render frame
+     * @param {number|null} timeOverride - Explicit shader time in ms (offline rendering); wall clock when null
      */
-    render() {
+    render(timeOverride = null) {
         if (!this.program) {
             if (window.mobileDebug && !this._noProgramWarned) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: No WebGL program for render`);
@@ -884,7 +792,8 @@ void main() {
             'accent': 1.6
         };
         
-        const time = Date.now() - this.startTime;
+        // Explicit time (offline rendering) wins over the wall clock
+        const time = timeOverride !== null ? timeOverride : Date.now() - this.startTime;
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
@@ -919,9 +828,14 @@ void main() {
         this.gl.uniform1f(this.uniforms.intensity, this.params.intensity);
         this.gl.uniform1f(this.uniforms.saturation, this.params.saturation);
         this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
+        this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ);
         this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW);
         this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW);
         this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW);
+        this.gl.uniform4fv(this.uniforms.projectionWeights, this.projection.update(this.params.projection, timeOverride !== null));
+        this.gl.uniform1f(this.uniforms.projectionDistance, getProjectionDistance(this.params.projectionDistance));
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.roleIntensity, roleIntensities[this.role] || 1.0);
@@ -0,0 +1,602 @@
+/**
+ * VIB34D Reference Renderer
+ * Pure-JavaScript evaluator of the faceted, quantum and holographic fragment shaders.
+ * Renders small RGBA buffers without WebGL - in Node (golden tests), for gallery
+ * thumbnails, and as the fallback image when a visualizer cannot get a WebGL context.
+ *
+ * Each layer is evaluated per pixel exactly like the GPU would (same uniforms, same
+ * role tables, output clamped to 8 bits); render() composites the five role layers the
+ * way the stacked canvases are composited in the page. Interaction state (scroll, touch,
+ * audio) is left at rest, so renders are a function of params and time only.
+ * Polychora renders through its own pipeline and is not covered.
+ */
+
+import { GeometryRegistry } from '../geometry/GeometryRegistry.js';
+import { getProjectionDistance, getProjectionWeights } from '../geometry/Projections.js';
+import { HolographicVisualizer } from '../holograms/HolographicVisualizer.js';
+import { DEFAULT_LAYER_SETTINGS, blendChannel } from '../postfx/LayerCompositor.js';
+import { clamp, fract, length2, length3, mix, project4Dto3D, rotate4D, smoothstep, toByte } from './ShaderMath.js';
+
+export const REFERENCE_SYSTEMS = ['faceted', 'quantum', 'holographic'];
+export const REFERENCE_ROLES = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
+// Visualizer defaults - the params every layer starts from before the variation is applied
+const DEFAULT_PARAMS = {
+    geometry: 0,
+    gridDensity: 15,
+    morphFactor: 1.0,
+    chaos: 0.2,
+    speed: 1.0,
+    hue: 200,
+    intensity: 0.5,
+    saturation: 0.8,
+    dimension: 3.5,
+    rot4dXY: 0,
+    rot4dXZ: 0,
+    rot4dYZ: 0,
+    rot4dXW: 0,
+    rot4dYW: 0,
+    rot4dZW: 0,
+    projection: 0,
+    projectionDistance: 2.5
+};
+
+// Role tables from IntegratedHolographicVisualizer.render / QuantumHolographicVisualizer.render
+const FACETED_ROLE_INTENSITIES = { background: 0.3, shadow: 0.5, content: 0.8, highlight: 1.0, accent: 1.2 };
+const QUANTUM_ROLE_INTENSITIES = { background: 0.4, shadow: 0.6, content: 1.0, highlight: 1.3, accent: 1.6 };
+const QUANTUM_LAYER_ALPHA = [0.6, 0.4, 1.0, 0.8, 0.3];
+
+const QUANTUM_PALETTES = [
+    { colors: [[0.05, 0.0, 0.2], [0.0, 0.0, 0.1], [0.0, 0.05, 0.3]], rates: [3, 2] },
+    { colors: [[0.0, 1.0, 0.0], [0.8, 1.0, 0.0], [0.0, 0.8, 0.3]], rates: [7, 5] },
+    { colors: [[1.0, 0.0, 0.0], [1.0, 0.5, 0.0], [1.0, 1.0, 1.0]], rates: [11, 8] },
+    { colors: [[0.0, 1.0, 1.0], [0.0, 0.5, 1.0], [0.5, 1.0, 1.0]], rates: [13, 9] },
+    { colors: [[1.0, 0.0, 1.0], [0.8, 0.0, 1.0], [1.0, 0.3, 1.0]], rates: [17, 12] }
+];
+
+export class ReferenceRenderer {
+    constructor(options = {}) {
+        this.width = options.width || 64;
+        this.height = options.height || 64;
+        this.geometry = {};
+    }
+
+    /**
+     * Render one role layer as the GPU would write it (straight RGBA, 0-255)
+     * @param {string} system - faceted | quantum | holographic
+     * @param {string} role - background | shadow | content | highlight | accent
+     * @param {object} params - Parameters in the global format (hue 0-360, gridDensity 4-100, ...)
+     * @param {object} options - { time (ms), mouse: {x, y, intensity}, clickIntensity, variant (holographic) }
+     */
+    renderLayer(system, role, params = {}, options = {}) {
+        const shade = this.createShader(system, role, params, options);
+        const { width, height } = this;
+        const data = new Uint8ClampedArray(width * height * 4);
+        const color = [0, 0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+            // gl_FragCoord has its origin bottom-left at pixel centers
+            const fragY = height - row - 0.5;
+            for (let column = 0; column < width; column++) {
+                shade(column + 0.5, fragY, color);
+                const offset = (row * width + column) * 4;
+                data[offset] = toByte(color[0]);
+                data[offset + 1] = toByte(color[1]);
+                data[offset + 2] = toByte(color[2]);
+                data[offset + 3] = toByte(color[3]);
+            }
+        }
+        return { width, height, data };
+    }
+
+    /**
+     * Render all five layers composited bottom-to-top over an opaque background
+     * Canvases use premultipliedAlpha, so shader output is blended as premultiplied color.
+     * options.layers takes LayerCompositor settings per role (blendMode, opacity, offsetX/Y, overrides).
+     */
+    render(system, params = {}, options = {}) {
+        const { width, height } = this;
+        const background = options.background || [0, 0, 0];
+        const pixels = width * height;
+        const accum = new Float32Array(pixels * 3);
+        for (let i = 0; i < pixels; i++) {
+            accum[i * 3] = background[0] / 255;
+            accum[i * 3 + 1] = background[1] / 255;
+            accum[i * 3 + 2] = background[2] / 255;
+        }
+
+        const roles = options.roles || REFERENCE_ROLES;
+        roles.forEach(role => {
+            const settings = { ...DEFAULT_LAYER_SETTINGS, ...options.layers?.[role] };
+            const layerParams = settings.overrides ? { ...params, ...settings.overrides } : params;
+            const layer = this.renderLayer(system, role, layerParams, options).data;
+            // Offsets are fractions of the canvas with y up, image rows run top to bottom
+            const shiftX = Math.round(settings.offsetX * width);
+            const shiftY = Math.round(settings.offsetY * height);
+
+            for (let row = 0; row < height; row++) {
+                const sourceRow = row + shiftY;
+                if (sourceRow < 0 || sourceRow >= height) continue;
+                for (let column = 0; column < width; column++) {
+                    const sourceColumn = column - shiftX;
+                    if (sourceColumn < 0 || sourceColumn >= width) continue;
+
+                    const source = (sourceRow * width + sourceColumn) * 4;
+                    const alpha = layer[source + 3] / 255;
+                    const i = row * width + column;
+                    for (let c = 0; c < 3; c++) {
+                        const color = layer[source + c] / 255;
+                        const value = blendChannel(settings.blendMode, accum[i * 3 + c], color, alpha, settings.opacity);
+                        accum[i * 3 + c] = clamp(value, 0, 1);
+                    }
+                }
+            }
+        });
+
+        const data = new Uint8ClampedArray(pixels * 4);
+        for (let i = 0; i < pixels; i++) {
+            data[i * 4] = toByte(accum[i * 3]);
+            data[i * 4 + 1] = toByte(accum[i * 3 + 1]);
+            data[i * 4 + 2] = toByte(accum[i * 3 + 2]);
+            data[i * 4 + 3] = 255;
+        }
+        return { width, height, data };
+    }
+
+    createShader(system, role, params, options) {
+        const values = { ...DEFAULT_PARAMS, ...params };
+        if (system === 'faceted') return this.createFacetedShader(role, values, options);
+        if (system === 'quantum') return this.createQuantumShader(role, values, options);
+        if (system === 'holographic') return this.createHolographicShader(role, params, options);
+        throw new Error(`Reference renderer does not support system: ${system}`);
+    }
+
+    getGeometryFunction(style) {
+        if (!this.geometry[style]) {
+            this.geometry[style] = GeometryRegistry.getCpuFunctions(style);
+        }
+        return this.geometry[style];
+    }
+
+    /**
+     * Shared 4D sample position - uv scaled ×3, time-driven z/w, mouse offset, six rotations
+     */
+    samplePosition(fragX, fragY, uniforms) {
+        const scale = Math.min(this.width, this.height);
+        const uvX = (fragX - this.width * 0.5) / scale;
+        const uvY = (fragY - this.height * 0.5) / scale;
+        const timeSpeed = uniforms.time * 0.0001 * uniforms.speed;
+        const pos = [
+            uvX * 3 + (uniforms.mouseX - 0.5) * uniforms.mouseIntensity * 2,
+            uvY * 3 + (uniforms.mouseY - 0.5) * uniforms.mouseIntensity * 2,
+            Math.sin(timeSpeed * 3),
+            Math.cos(timeSpeed * 2)
+        ];
+        rotate4D(pos, uniforms);
+        return { uvX, uvY, timeSpeed, pos };
+    }
+
+    baseUniforms(values, options) {
+        const mouse = options.mouse || {};
+        return {
+            time: options.time || 0,
+            mouseX: mouse.x ?? 0.5,
+            mouseY: mouse.y ?? 0.5,
+            mouseIntensity: mouse.intensity || 0,
+            clickIntensity: options.clickIntensity || 0,
+            rot4dXY: values.rot4dXY,
+            rot4dXZ: values.rot4dXZ,
+            rot4dYZ: values.rot4dYZ,
+            rot4dXW: values.rot4dXW,
+            rot4dYW: values.rot4dYW,
+            rot4dZW: values.rot4dZW,
+            projection: { weights: getProjectionWeights(values.projection), distance: getProjectionDistance(values.projectionDistance) }
+        };
+    }
+
+    /**
+     * Visualizer.js fragment shader
+     */
+    createFacetedShader(role, values, options) {
+        const geometryFunction = this.getGeometryFunction('faceted');
+        const u = {
+            ...this.baseUniforms(values, options),
+            geometry: values.geometry,
+            gridDensity: Math.min(100, values.gridDensity),
+            morphFactor: values.morphFactor,
+            chaos: values.chaos,
+            speed: values.speed,
+            hue: values.hue % 360,
+            intensity: Math.min(1, values.intensity),
+            saturation: values.saturation,
+            roleIntensity: FACETED_ROLE_INTENSITIES[role] || 1.0
+        };
+
+        return (fragX, fragY, out) => {
+            const { pos } = this.samplePosition(fragX, fragY, u);
+            let value = geometryFunction(pos, u);
+
+            const noise = Math.sin(pos[0] * 7) * Math.cos(pos[1] * 11) * Math.sin(pos[2] * 13);
+            value += noise * u.chaos;
+
+            const geometryIntensity = 1 - clamp(Math.abs(value), 0, 1) + u.clickIntensity * 0.3;
+            const finalIntensity = geometryIntensity * u.intensity;
+            const hue = u.hue / 360 + value * 0.1;
+
+            const r = Math.sin(hue * 6.28318) * 0.5 + 0.5;
+            const g = Math.sin(hue * 6.28318 + 2.0943) * 0.5 + 0.5;
+            const b = Math.sin(hue * 6.28318 + 4.1887) * 0.5 + 0.5;
+            const gray = (r + g + b) / 3;
+
+            out[0] = mix(gray, r, u.saturation) * finalIntensity;
+            out[1] = mix(gray, g, u.saturation) * finalIntensity;
+            out[2] = mix(gray, b, u.saturation) * finalIntensity;
+            out[3] = finalIntensity * u.roleIntensity;
+        };
+    }
+
+    /**
+     * QuantumVisualizer.js fragment shader - layer palettes, RGB separation and particles
+     */
+    createQuantumShader(role, values, options) {
+        const geometryFunction = this.getGeometryFunction('quantum');
+        const roleIntensity = QUANTUM_ROLE_INTENSITIES[role] || 1.0;
+        const u = {
+            ...this.baseUniforms(values, options),
+            geometry: values.geometry,
+            gridDensity: Math.min(100, values.gridDensity),
+            morphFactor: Math.min(2, values.morphFactor),
+            chaos: Math.min(1, values.chaos),
+            speed: values.speed,
+            hue: (values.hue % 360) / 360,
+            intensity: values.intensity
+        };
+
+        // Layer index comes from exact role-intensity matches in the shader
+        let layer = 0;
+        if (roleIntensity === 0.7) layer = 1;
+        else if (roleIntensity === 1.0) layer = 2;
+        else if (roleIntensity === 0.85) layer = 3;
+        else if (roleIntensity === 0.6) layer = 4;
+
+        const palette = QUANTUM_PALETTES[layer];
+        const t = u.time;
+
+        return (fragX, fragY, out) => {
+            const { uvX, uvY, timeSpeed, pos } = this.samplePosition(fragX, fragY, u);
+            let value = geometryFunction(pos, u);
+
+            const noise = Math.sin(pos[0] * 7) * Math.cos(pos[1] * 11) * Math.sin(pos[2] * 13);
+            value += noise * u.chaos;
+
+            let geometryIntensity = 1 - clamp(Math.abs(value * 0.8), 0, 1);
+            geometryIntensity = Math.pow(geometryIntensity, 1.5);
+            geometryIntensity += u.clickIntensity * 0.3;
+            const shimmer = Math.sin(uvX * 20 + timeSpeed * 5) * Math.cos(uvY * 15 + timeSpeed * 3) * 0.1;
+            geometryIntensity += shimmer * geometryIntensity;
+            const finalIntensity = geometryIntensity * u.intensity;
+
+            // getLayerColorPalette
+            const colorTime = timeSpeed * 2 + value * 3 + u.hue * 5;
+            const [c1, c2, c3] = palette.colors;
+            const a = Math.sin(colorTime * palette.rates[0]) * 0.5 + 0.5;
+            const b = Math.cos(colorTime * palette.rates[1]) * 0.5 + 0.5;
+            const brightness = 0.5 + u.hue * 1.5;
+            const layerColor = [0, 1, 2].map(i => mix(mix(c1[i], c2[i], a), c3[i], b) * brightness);
+
+            let gain;
+            if (layer === 0) gain = 0.3 + geometryIntensity * 0.4;
+            else if (layer === 1) gain = Math.pow(1 - geometryIntensity, 2) * 0.8 + 0.1;
+            else if (layer === 2) gain = geometryIntensity * 1.2 + 0.2;
+            else if (layer === 3) gain = Math.pow(geometryIntensity, 3) * 1.5 + 0.1;
+            else gain = (Math.sin(value * 50 + timeSpeed * 10) * 0.5 + 0.5) * geometryIntensity * 2 + 0.05;
+
+            const color = separateRGB(layerColor.map(c => c * gain), uvX, uvY, finalIntensity, layer, t);
+
+            if (layer === 2 || layer === 3) {
+                const scale = layer === 2 ? 12 : 20;
+                const pu = uvX * scale;
+                const pv = uvY * scale;
+                const particleDist = length2(fract(pu) - 0.5, fract(pv) - 0.5);
+                const particleTime = timeSpeed * (layer === 2 ? 3 : 8) + Math.floor(pu) * 127.1 + Math.floor(pv) * 311.7;
+                const particleAlpha = Math.sin(particleTime) * 0.5 + 0.5;
+                const particles = (1 - smoothstep(0.05, layer === 2 ? 0.2 : 0.1, particleDist)) * particleAlpha * 0.4;
+                if (layer === 2) color[0] += particles;
+                color[1] += particles;
+                color[2] += particles;
+            } else if (layer === 1) {
+                color[0] *= 0.8; color[1] *= 0.8; color[2] *= 0.8;
+            } else if (layer === 4) {
+                const burst = 1 + Math.sin(timeSpeed * 20) * 0.3;
+                color[0] *= burst; color[1] *= burst; color[2] *= burst;
+            }
+
+            out[0] = color[0];
+            out[1] = color[1];
+            out[2] = color[2];
+            out[3] = finalIntensity * QUANTUM_LAYER_ALPHA[layer];
+        };
+    }
+
+    /**
+     * HolographicVisualizer.js fragment shader
+     * Variant/role parameters come from the visualizer itself so both stay in sync.
+     */
+    createHolographicShader(role, params, options) {
+        const getDynamicGeometry = this.getGeometryFunction('holographic');
+        const { variantParams: vp, roleParams: rp } = getHolographicParams(role, params, options);
+
+        const lightness = Math.max(0.2, Math.min(0.8, vp.intensity || 0.5));
+        const baseColor = hslToRgb((vp.hue || 0) / 360, vp.saturation || 0.8, lightness);
+        const mouse = options.mouse || {};
+        const u = {
+            time: options.time || 0,
+            mouseX: mouse.x ?? 0.5,
+            mouseY: mouse.y ?? 0.5,
+            mouseIntensity: mouse.intensity || 0,
+            clickIntensity: options.clickIntensity || 0,
+            geometryType: vp.geometryType !== undefined ? vp.geometryType : options.variant || 0,
+            density: vp.density || 1.0,
+            speed: (vp.speed || 0.5) * 0.2,
+            intensity: (vp.intensity || 0.5) * rp.intensity,
+            roleDensity: rp.densityMult,
+            roleSpeed: rp.speedMult,
+            chaos: vp.chaos || 0,
+            morph: vp.morph || 0,
+            rot4dXY: vp.rot4dXY || 0,
+            rot4dXZ: vp.rot4dXZ || 0,
+            rot4dYZ: vp.rot4dYZ || 0,
+            rot4dXW: vp.rot4dXW || 0,
+            rot4dYW: vp.rot4dYW || 0,
+            rot4dZW: vp.rot4dZW || 0,
+            projection: { weights: getProjectionWeights(vp.projection || 0), distance: getProjectionDistance(vp.projectionDistance) }
+        };
+        const t = u.time;
+        const aspect = this.width / this.height;
+
+        return (fragX, fragY, out) => {
+            const uvX = (fragX / this.width) * aspect - 0.5;
+            const uvY = fragY / this.height - 0.5;
+            const time = t * 0.0004 * u.speed * u.roleSpeed;
+
+            const mouseInfluence = u.mouseIntensity * 0.25;
+            const mouseOffsetX = (u.mouseX - 0.5) * mouseInfluence;
+            const mouseOffsetY = (u.mouseY - 0.5) * mouseInfluence;
+
+            const p4d = [
+                uvX + mouseOffsetX * 0.1,
+                uvY + mouseOffsetY * 0.1,
+                Math.sin(time * 0.1) * 0.15,
+                Math.cos(time * 0.08) * 0.15
+            ];
+            rotate4D(p4d, {
+                rot4dXY: u.rot4dXY,
+                rot4dXZ: u.rot4dXZ,
+                rot4dYZ: u.rot4dYZ,
+                rot4dXW: u.rot4dXW + time * 0.2 + mouseOffsetY * 0.5,
+                rot4dYW: u.rot4dYW + time * 0.15 + mouseOffsetX * 0.5,
+                rot4dZW: u.rot4dZW + time * 0.25 + u.clickIntensity * 0.3
+            });
+            const p = project4Dto3D(p4d, u.projection);
+
+            const roleDensity = u.density * u.roleDensity;
+            const morphedGeometry = u.geometryType + u.morph * 3;
+            const lattice = getDynamicGeometry(p, roleDensity, morphedGeometry, u);
+
+            // Layered holographic color
+            let gain = 0.2 + lattice * u.intensity * 0.8;
+            gain += lattice * 0.5 + Math.sin(lattice * 8 + t * 0.001) * 0.2 + Math.cos(lattice * 12 + t * 0.0008) * 0.15;
+            gain += lattice * 0.6 + Math.sin(lattice * 15) * 0.1;
+            const depth = 1 - length3(p[0], p[1], p[2]) * 0.3;
+            gain *= 0.7 + depth * 0.3;
+            const color = baseColor.map(c => c * gain);
+
+            const chaos = u.chaos + u.chaos;
+            const freq1 = 12 + chaos * 6;
+            const freq2 = 14 + chaos * 8;
+            const moire = Math.sin(uvX * freq1) * Math.sin(uvY * freq1) * Math.sin(uvX * freq2) * Math.sin(uvY * freq2) * chaos * 0.15;
+            const gridX = fract(uvX * 8);
+            const gridY = fract(uvY * 8);
+            const grid = Math.max(0,
+                1 - smoothstep(0, 0.02, Math.abs(gridX - 0.5)),
+                1 - smoothstep(0, 0.02, Math.abs(gridY - 0.5))) * u.mouseIntensity * 0.1;
+
+            color[0] += moire + grid + Math.sin(uvY * 30 + t * 0.001) * chaos * 0.06;
+            color[1] += moire + grid + Math.sin(uvY * 28 + t * 0.0012) * chaos * 0.06;
+            color[2] += moire + grid + Math.sin(uvY * 32 + t * 0.0008) * chaos * 0.06;
+
+            const distortion = length2(
+                Math.sin(uvY * 10 + t * 0.001) * u.morph * 0.1,
+                Math.cos(uvX * 10 + t * 0.001) * u.morph * 0.1);
+            const morphGain = mix(1, 1 + distortion, u.morph * 0.5);
+
+            const mouseDist = length2(uvX - (u.mouseX - 0.5) * aspect, uvY - (u.mouseY - 0.5));
+            const mouseGlow = Math.exp(-mouseDist * 1.2) * u.mouseIntensity * 0.25;
+            const mouseRipple = Math.sin(mouseDist * 15 - t * 0.003) * Math.exp(-mouseDist * 2) * u.mouseIntensity * 0.1;
+            const clickPulse = u.clickIntensity * Math.exp(-mouseDist * 1.8) * 0.4;
+            const clickRing = Math.sin(mouseDist * 20 - u.clickIntensity * 5) * u.clickIntensity * 0.15;
+            const interference = Math.sin(mouseDist * 25 + t * 0.002) * u.mouseIntensity * 0.05;
+            const click = [1, 0.6, 1.2];
+
+            for (let c = 0; c < 3; c++) {
+                out[c] = color[c] * morphGain
+                    + (mouseGlow + mouseRipple) * baseColor[c] * 0.8
+                    + (clickPulse + clickRing) * click[c]
+                    + interference * baseColor[c];
+            }
+            out[3] = 0.95;
+        };
+    }
+
+    /**
+     * Per-channel difference between two renders - for golden-image comparisons
+     */
+    static compare(a, b) {
+        if (a.width !== b.width || a.height !== b.height) {
+            throw new Error(`Size mismatch: ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+        }
+
+        let maxDifference = 0;
+        let total = 0;
+        let mismatchedPixels = 0;
+        for (let i = 0; i < a.data.length; i += 4) {
+            let pixelDifference = 0;
+            for (let c = 0; c < 4; c++) {
+                const difference = Math.abs(a.data[i + c] - b.data[i + c]);
+                pixelDifference = Math.max(pixelDifference, difference);
+                total += difference;
+            }
+            maxDifference = Math.max(maxDifference, pixelDifference);
+            if (pixelDifference > 0) mismatchedPixels++;
+        }
+        return { maxDifference, meanDifference: total / a.data.length, mismatchedPixels };
+    }
+
+    /**
+     * Draw a render into a canvas, scaled to the canvas size (browser only)
+     */
+    static drawToCanvas(canvas, image) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return false;
+
+        const imageData = new ImageData(image.data, image.width, image.height);
+        if (canvas.width === image.width && canvas.height === image.height) {
+            ctx.putImageData(imageData, 0, 0);
+            return true;
+        }
+
+        const source = document.createElement('canvas');
+        source.width = image.width;
+        source.height = image.height;
+        source.getContext('2d').putImageData(imageData, 0, 0);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return true;
+    }
+
+    /**
+     * No-WebGL fallback - paint a low resolution CPU render of one layer into the canvas
+     * @param {object} options - renderLayer options plus maxSize (render resolution) and caption
+     * @returns {boolean} Whether the canvas could be painted
+     */
+    static drawFallback(canvas, system, role, params = {}, options = {}) {
+        if (!canvas) return false;
+
+        const width = canvas.width || canvas.clientWidth || 320;
+        const height = canvas.height || canvas.clientHeight || 240;
+        const scale = Math.min(1, (options.maxSize || 160) / Math.max(width, height));
+        const renderer = new ReferenceRenderer({
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        });
+        const image = renderer.renderLayer(system, role, params, options);
+
+        // WebGL layers are premultiplied, a 2D canvas expects straight alpha
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3];
+            if (alpha === 0 || alpha === 255) continue;
+            data[i] = data[i] * 255 / alpha;
+            data[i + 1] = data[i + 1] * 255 / alpha;
+            data[i + 2] = data[i + 2] * 255 / alpha;
+        }
+
+        canvas.width = width;
+        canvas.height = height;
+        if (!ReferenceRenderer.drawToCanvas(canvas, image)) return false;
+
+        if (options.caption) {
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.font = `${Math.max(10, Math.min(14, width / 30))}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText(options.caption, width / 2, height - 12);
+        }
+        return true;
+    }
+}
+
+/**
+ * Holographic uniforms are derived from variant + role tables, then overridden by the
+ * global parameters the way HolographicVisualizer.updateParameters maps them
+ */
+function getHolographicParams(role, params, options) {
+    const proto = HolographicVisualizer.prototype;
+    const context = { role };
+    const variantParams = options.variantParams
+        ? { ...options.variantParams }
+        : proto.generateVariantParams.call(context, options.variant || 0);
+    context.variantParams = variantParams;
+
+    let roleParams = options.roleParams || proto.generateRoleParams.call(context, role);
+    Object.entries(params).forEach(([param, value]) => {
+        const mapped = proto.mapParameterName(param);
+        variantParams[mapped] = param === 'gridDensity' ? 0.3 + (parseFloat(value) - 5) / 95 * 2.2 : value;
+        if (mapped === 'geometryType') {
+            roleParams = proto.generateRoleParams.call(context, role);
+        }
+    });
+    return { variantParams, roleParams };
+}
+
+/**
+ * HSL → RGB exactly as HolographicVisualizer.render converts the variant color
+ */
+function hslToRgb(h, s, l) {
+    if (s === 0) return [l, l, l];
+
+    const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return [hue2rgb(p, q, h + 1 / 3), hue2rgb(p, q, h), hue2rgb(p, q, h - 1 / 3)];
+}
+
+/**
+ * extremeRGBSeparation from the quantum shader
+ */
+function separateRGB(base, uvX, uvY, intensity, layer, t) {
+    const [r, g, b] = base;
+    if (layer === 0) {
+        return [
+            r + Math.sin(uvX * 10 + t * 0.001) * 0.02 * intensity,
+            g + Math.cos(uvY * 8 + t * 0.0015) * 0.02 * intensity,
+            b + Math.sin(uvX * uvY * 6 + t * 0.0008) * 0.02 * intensity
+        ];
+    }
+    if (layer === 1) {
+        return [
+            r + Math.sin(uvY * 50 + t * 0.003) * intensity * 0.15,
+            g + Math.sin((uvY + 0.1) * 45 + t * 0.0025) * intensity * 0.12,
+            b + Math.sin((uvY - 0.1) * 55 + t * 0.0035) * intensity * 0.18
+        ];
+    }
+    if (layer === 2) {
+        const dist = length2(uvX, uvY);
+        const angle = Math.atan2(uvY, uvX);
+        return [
+            r + Math.sin(dist * 30 + angle * 10 + t * 0.004) * intensity * 0.2,
+            g + Math.cos(dist * 25 + angle * 8 + t * 0.0035) * intensity * 0.18,
+            b + Math.sin(dist * 35 + angle * 12 + t * 0.0045) * intensity * 0.22
+        ];
+    }
+    if (layer === 3) {
+        const lightning = Math.sin(uvX * 80 + t * 0.008) * Math.cos(uvY * 60 + t * 0.006);
+        return [
+            r + lightning * intensity * 0.25,
+            g + Math.sin(lightning * 40 + t * 0.005) * intensity * 0.2,
+            b + Math.cos(lightning * 30 + t * 0.007) * intensity * 0.3
+        ];
+    }
+    return [
+        r + Math.sin(uvX * 100 + uvY * 80 + t * 0.01) * intensity * 0.3,
+        g + Math.cos(uvX * 70 - uvY * 90 + t * 0.008) * intensity * 0.3,
+        b + Math.sin(uvX * uvY * 150 + t * 0.012) * intensity * 0.3
+    ];
+}
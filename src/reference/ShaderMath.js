@@ -0,0 +1,79 @@
+/**
+ * VIB34D Shader Math
+ * GLSL built-ins and the shared 4D helpers ported to plain JavaScript for the CPU
+ * reference renderer. Vectors are plain arrays ([x, y, z] / [x, y, z, w]).
+ */
+
+import { projectPoint } from '../geometry/Projections.js';
+
+export function fract(x) {
+    return x - Math.floor(x);
+}
+
+export function clamp(x, min, max) {
+    return Math.min(Math.max(x, min), max);
+}
+
+export function mix(a, b, t) {
+    return a + (b - a) * t;
+}
+
+export function smoothstep(edge0, edge1, x) {
+    const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+}
+
+export function length2(x, y) {
+    return Math.sqrt(x * x + y * y);
+}
+
+export function length3(x, y, z) {
+    return Math.sqrt(x * x + y * y + z * z);
+}
+
+export function length4(x, y, z, w) {
+    return Math.sqrt(x * x + y * y + z * z + w * w);
+}
+
+// Plane order matches the shaders: 3D planes first, then the W planes
+const ROTATION_PLANES = [
+    ['rot4dXY', 0, 1],
+    ['rot4dXZ', 0, 2],
+    ['rot4dYZ', 1, 2],
+    ['rot4dXW', 0, 3],
+    ['rot4dYW', 1, 3],
+    ['rot4dZW', 2, 3]
+];
+
+/**
+ * Apply the six rotateXY…rotateZW matrices to a 4D point in place
+ * The GLSL matrices are column-major, so each plane maps (a, b) → (c·a + s·b, c·b − s·a)
+ */
+export function rotate4D(p, angles) {
+    for (const [key, a, b] of ROTATION_PLANES) {
+        const theta = angles[key] || 0;
+        if (theta === 0) continue;
+
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        const pa = p[a];
+        const pb = p[b];
+        p[a] = c * pa + s * pb;
+        p[b] = c * pb - s * pa;
+    }
+    return p;
+}
+
+/**
+ * The shaders' project4Dto3D() - projection is { weights, distance } (default perspective at 2.5)
+ */
+export function project4Dto3D(p, projection) {
+    return projectPoint(p, projection);
+}
+
+/**
+ * Float shader output → 8-bit channel, the way the GPU writes an RGBA8 framebuffer
+ */
+export function toByte(value) {
+    return value > 0 ? Math.round(Math.min(value, 1) * 255) : 0;
+}
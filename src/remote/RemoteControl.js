@@ -0,0 +1,346 @@
+/**
+ * VIB34D Remote Control Client
+ * Connects the viewer to a WebSocket relay (server/remote-relay.js) so external tools -
+ * TouchDesigner, Ableton/Max, custom scripts - can drive parameters, switch systems,
+ * load variations and query snapshots. State changes made in the page are pushed
+ * back as /vib34d/state/... broadcasts. Protocol: DOCS/6-REMOTE-CONTROL.md
+ */
+
+import {
+    DEFAULT_REMOTE_PORT,
+    REMOTE_ADDRESSES,
+    createMessage,
+    decodeMessages,
+    encodeMessage,
+    isSystem,
+    normalizeParameterValue,
+    parseAddress,
+    stateAddress
+} from './RemoteProtocol.js';
+
+export class RemoteControl {
+    constructor(options = {}) {
+        this.url = options.url || RemoteControl.defaultUrl();
+        this.WebSocketClass = options.WebSocket || window.WebSocket;
+        this.reconnectDelay = options.reconnectDelay ?? 2000;
+        this.broadcastInterval = options.broadcastInterval ?? 50;
+
+        // Actions default to the page globals so the client works with whichever system is active
+        this.updateParameter = options.updateParameter || ((param, value) => this.defaultUpdateParameter(param, value));
+        this.switchSystem = options.switchSystem || ((system) => window.switchSystem?.(system));
+        this.setVariation = options.setVariation || ((index) => this.defaultSetVariation(index));
+        this.getSystem = options.getSystem || (() => window.currentSystem || 'faceted');
+        this.readParameters = options.readParameters || (() => ({ ...(window.userParameterState || {}) }));
+
+        this.socket = null;
+        this.connected = false;
+        this.autoReconnect = false;
+        this.reconnectTimer = null;
+        this.flushTimer = null;
+        this.pending = new Map();
+        this.queue = Promise.resolve();
+        this.windowHandlers = null;
+        this.listeners = new Map();
+        this.stats = { received: 0, sent: 0, errors: 0 };
+    }
+
+    static defaultUrl() {
+        const host = (typeof window !== 'undefined' && window.location?.hostname) || 'localhost';
+        return `ws://${host}:${DEFAULT_REMOTE_PORT}`;
+    }
+
+    /**
+     * Listen for in-page state changes so they can be broadcast while connected
+     */
+    attach() {
+        if (this.windowHandlers) return;
+
+        this.windowHandlers = {
+            'vib34d:parameter': (event) => {
+                const { param, value, system } = event.detail;
+                this.queueBroadcast(stateAddress(system, param), value);
+            },
+            'vib34d:system': (event) => {
+                this.queueBroadcast(stateAddress('system'), event.detail.system);
+            },
+            'vib34d:variation': (event) => {
+                const { system, index, parameters } = event.detail;
+                this.queueBroadcast(stateAddress('variation'), index);
+                Object.entries(parameters || {}).forEach(([param, value]) => {
+                    this.queueBroadcast(stateAddress(system, param), value);
+                });
+            }
+        };
+        Object.entries(this.windowHandlers).forEach(([type, handler]) => window.addEventListener(type, handler));
+    }
+
+    detach() {
+        if (!this.windowHandlers) return;
+        Object.entries(this.windowHandlers).forEach(([type, handler]) => window.removeEventListener(type, handler));
+        this.windowHandlers = null;
+    }
+
+    /**
+     * Open the relay connection - reconnects automatically until disconnect() is called
+     */
+    connect(url = null) {
+        if (url) this.url = url;
+        if (!this.WebSocketClass) {
+            console.warn('⚠️ WebSocket not supported - remote control unavailable');
+            return false;
+        }
+
+        this.closeSocket();
+        this.autoReconnect = true;
+
+        try {
+            const socket = new this.WebSocketClass(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.connected = true;
+                console.log(`📡 Remote control connected: ${this.url}`);
+                this.sendSnapshot();
+                this.emit('connect', { url: this.url });
+            };
+            socket.onmessage = (event) => this.handleText(event.data);
+            socket.onerror = () => {
+                console.warn(`⚠️ Remote control connection error: ${this.url}`);
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.connected = false;
+                this.emit('disconnect', { url: this.url });
+                this.scheduleReconnect();
+            };
+            return true;
+        } catch (error) {
+            console.error('❌ Remote control connect failed:', error);
+            this.scheduleReconnect();
+            return false;
+        }
+    }
+
+    disconnect() {
+        this.autoReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.closeSocket();
+        console.log('📡 Remote control disconnected');
+    }
+
+    closeSocket() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending.clear();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            this.connected = false;
+            try {
+                socket.close();
+            } catch (error) {
+                console.warn('⚠️ Remote socket close failed:', error.message);
+            }
+        }
+    }
+
+    scheduleReconnect() {
+        if (!this.autoReconnect || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.autoReconnect) this.connect();
+        }, this.reconnectDelay);
+    }
+
+    /**
+     * Incoming wire text - messages run one after another since system switches are async
+     */
+    handleText(text) {
+        let messages;
+        try {
+            messages = decodeMessages(text);
+        } catch (error) {
+            this.stats.errors++;
+            console.warn('⚠️ Remote message rejected:', error.message);
+            // The relay re-encodes everything it forwards, so unreadable text comes from a direct peer
+            this.send(createMessage(REMOTE_ADDRESSES.error, error.message));
+            return this.queue;
+        }
+
+        messages.forEach(message => {
+            this.queue = this.queue.then(() => this.handleMessage(message));
+        });
+        return this.queue;
+    }
+
+    async handleMessage(message) {
+        this.stats.received++;
+        const route = parseAddress(message.address);
+
+        try {
+            switch (route?.type) {
+                case 'parameter':
+                    await this.applyParameter(route.system, route.parameter, message.args[0]);
+                    break;
+                case 'system':
+                    await this.applySystem(message.args[0]);
+                    break;
+                case 'variation':
+                    this.applyVariation(message.args[0]);
+                    break;
+                case 'snapshot':
+                    this.sendSnapshot();
+                    break;
+                case 'state':
+                case 'error':
+                    // Broadcasts from other viewers on the same relay are informational
+                    break;
+                default:
+                    throw new Error(`Unknown address: ${message.address}`);
+            }
+            this.emit('message', message);
+        } catch (error) {
+            this.stats.errors++;
+            console.warn('⚠️ Remote message rejected:', error.message);
+            this.reply(message, createMessage(REMOTE_ADDRESSES.error, error.message, message.address));
+        }
+    }
+
+    async applyParameter(system, parameter, value) {
+        const normalized = normalizeParameterValue(parameter, value);
+        if (system !== 'active' && system !== this.getSystem()) {
+            await this.applySystem(system);
+        }
+        this.updateParameter(parameter, normalized);
+    }
+
+    async applySystem(system) {
+        if (!isSystem(system)) {
+            throw new Error(`Unknown system: ${system}`);
+        }
+        if (system !== this.getSystem()) {
+            await this.switchSystem(system);
+        }
+    }
+
+    applyVariation(index) {
+        this.setVariation(normalizeParameterValue('variation', index));
+    }
+
+    defaultUpdateParameter(param, value) {
+        if (param === 'geometry' && window.selectGeometry) {
+            window.selectGeometry(value);
+            return;
+        }
+
+        const slider = document.getElementById(param);
+        if (slider) slider.value = value;
+        window.updateParameter?.(param, value, 'remote');
+    }
+
+    defaultSetVariation(index) {
+        // Animated with the app's default transition when it is loaded
+        if (window.switchVariation) {
+            window.switchVariation(index);
+            return;
+        }
+
+        const system = this.getSystem();
+        if (system === 'faceted' && window.engine?.setVariation) {
+            window.engine.setVariation(index);
+        } else if (system === 'holographic' && window.holographicSystem?.setVariant) {
+            window.holographicSystem.setVariant(index);
+        } else {
+            throw new Error(`Variations are not available for ${system}`);
+        }
+    }
+
+    getSnapshot() {
+        return {
+            system: this.getSystem(),
+            variation: window.engine?.currentVariation ?? null,
+            parameters: this.readParameters(),
+            timestamp: Date.now()
+        };
+    }
+
+    sendSnapshot() {
+        return this.send(createMessage(stateAddress('snapshot'), this.getSnapshot()));
+    }
+
+    /**
+     * Coalesce rapid changes (slider drags, modulation) into one bundle per interval
+     */
+    queueBroadcast(address, ...args) {
+        if (!this.connected) return;
+
+        this.pending.set(address, args);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.broadcastInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.pending.size === 0) return false;
+
+        const messages = Array.from(this.pending, ([address, args]) => ({ address, args }));
+        this.pending.clear();
+        return this.send(messages.length === 1 ? messages[0] : messages);
+    }
+
+    /**
+     * Answer the client that sent a command - the relay delivers it to that client only.
+     * Without a sender id (connected straight to a controller) the peer is the sender.
+     */
+    reply(command, message) {
+        return this.send(command.from === undefined ? message : { ...message, to: command.from });
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== 1) return false;
+
+        try {
+            this.socket.send(encodeMessage(message));
+            this.stats.sent++;
+            return true;
+        } catch (error) {
+            console.error('❌ Remote send failed:', error);
+            return false;
+        }
+    }
+
+    getStatus() {
+        return { connected: this.connected, url: this.url, ...this.stats };
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, detail) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        handlers.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ RemoteControl ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    destroy() {
+        this.disconnect();
+        this.detach();
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * VIB34D Remote Control Protocol
+ * OSC-style address space shared by the in-page RemoteControl client and the
+ * Node relay (server/remote-relay.js). Full reference: DOCS/6-REMOTE-CONTROL.md
+ *
+ * Messages are JSON objects `{ address, args }`, optionally grouped as `{ bundle: [...] }`:
+ *   /vib34d/<system>/<parameter> value   set a parameter (switches system first if needed)
+ *   /vib34d/active/<parameter> value     set a parameter on whichever system is showing
+ *   /vib34d/system name                  switch system
+ *   /vib34d/variation index              load a built-in variation
+ *   /vib34d/snapshot                     query - answered with /vib34d/state/snapshot
+ * The viewer broadcasts changes under /vib34d/state/... and reports problems on /vib34d/error,
+ * addressed (`to`) to the client that sent the command.
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+
+export const REMOTE_NAMESPACE = '/vib34d';
+export const REMOTE_SYSTEMS = ['faceted', 'quantum', 'holographic', 'polychora'];
+export const DEFAULT_REMOTE_PORT = 8765;
+
+export const REMOTE_ADDRESSES = {
+    system: `${REMOTE_NAMESPACE}/system`,
+    variation: `${REMOTE_NAMESPACE}/variation`,
+    snapshot: `${REMOTE_NAMESPACE}/snapshot`,
+    state: `${REMOTE_NAMESPACE}/state`,
+    error: `${REMOTE_NAMESPACE}/error`
+};
+
+const PARAMETER_DEFS = new ParameterManager().parameterDefs;
+
+/**
+ * Build a message object
+ */
+export function createMessage(address, ...args) {
+    return { address, args };
+}
+
+/**
+ * Serialize one message (or an array of messages as a bundle) for the wire
+ */
+export function encodeMessage(message) {
+    if (Array.isArray(message)) {
+        return JSON.stringify({ bundle: message });
+    }
+    return JSON.stringify(message);
+}
+
+/**
+ * Parse wire text into a flat list of messages - bundles are unpacked in order
+ */
+export function decodeMessages(text) {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new Error(`Invalid remote message: ${error.message}`);
+    }
+
+    const messages = [];
+    const collect = (entry) => {
+        if (Array.isArray(entry)) {
+            entry.forEach(collect);
+        } else if (entry && Array.isArray(entry.bundle)) {
+            entry.bundle.forEach(collect);
+        } else if (entry && typeof entry.address === 'string') {
+            const args = entry.args === undefined ? [] : entry.args;
+            const message = { address: entry.address, args: Array.isArray(args) ? args : [args] };
+            // The relay stamps the sending client's id - replies are addressed back with `to`
+            if (entry.from !== undefined) message.from = entry.from;
+            messages.push(message);
+        } else {
+            throw new Error('Invalid remote message: missing address');
+        }
+    };
+    collect(data);
+    return messages;
+}
+
+/**
+ * Classify an address - returns null for anything outside the /vib34d namespace
+ */
+export function parseAddress(address) {
+    if (typeof address !== 'string' || !address.startsWith(`${REMOTE_NAMESPACE}/`)) {
+        return null;
+    }
+
+    const parts = address.slice(REMOTE_NAMESPACE.length + 1).split('/').filter(Boolean);
+    const [head, ...rest] = parts;
+
+    if (parts.length === 1 && ['system', 'variation', 'snapshot', 'error'].includes(head)) {
+        return { type: head };
+    }
+    if (head === 'state') {
+        return { type: 'state', path: rest.join('/') };
+    }
+    if (parts.length === 2 && (head === 'active' || REMOTE_SYSTEMS.includes(head))) {
+        return { type: 'parameter', system: head, parameter: rest[0] };
+    }
+    return { type: 'unknown' };
+}
+
+export function parameterAddress(system, parameter) {
+    return `${REMOTE_NAMESPACE}/${system}/${parameter}`;
+}
+
+export function stateAddress(...path) {
+    return `${REMOTE_ADDRESSES.state}/${path.join('/')}`;
+}
+
+export function isParameter(parameter) {
+    return Object.prototype.hasOwnProperty.call(PARAMETER_DEFS, parameter);
+}
+
+/**
+ * Validate and clamp an incoming parameter value against ParameterManager's definitions
+ */
+export function normalizeParameterValue(parameter, value) {
+    const def = PARAMETER_DEFS[parameter];
+    if (!def) {
+        throw new Error(`Unknown parameter: ${parameter}`);
+    }
+
+    const number = typeof value === 'boolean' ? Number(value) : parseFloat(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`Invalid value for ${parameter}: ${value}`);
+    }
+
+    const clamped = Math.max(def.min, Math.min(def.max, number));
+    return def.type === 'int' ? Math.round(clamped) : clamped;
+}
+
+export function isSystem(system) {
+    return REMOTE_SYSTEMS.includes(system);
+}
@@ -0,0 +1,354 @@
+/**
+ * VIB34D Scene Manager
+ * Composite scenes - several systems rendering at once, e.g. a polychora wireframe over a quantum background
+ *
+ * The system picked with switchSystem() stays the primary system: the control panel, timeline,
+ * post-processing and layer compositor keep driving it. Every other system in the scene runs its
+ * own engine in its own container with its own ParameterManager, stacked by z-order and blended
+ * with CSS mix-blend-mode. Canvas ids and containers are per system, so a scene holds each system
+ * at most once.
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { BLEND_MODES } from '../postfx/LayerCompositor.js';
+import { isPostParameter } from '../postfx/PostEffects.js';
+
+export const SCENE_SYSTEMS = ['faceted', 'quantum', 'holographic', 'polychora'];
+
+export const PRIMARY_LAYER = 'primary';
+
+export const DEFAULT_SCENE_LAYER = {
+    zIndex: 1,
+    blendMode: 'normal',
+    opacity: 1,
+    reactive: true
+};
+
+// The primary system sits underneath added systems unless the scene says otherwise
+export const DEFAULT_PRIMARY_LAYER = { ...DEFAULT_SCENE_LAYER, zIndex: 0 };
+
+const MAX_Z_INDEX = 9;
+
+// The layer compositor's blend names mapped to CSS mix-blend-mode
+const CSS_BLEND_MODES = {
+    normal: 'normal',
+    add: 'plus-lighter',
+    screen: 'screen',
+    multiply: 'multiply',
+    difference: 'difference',
+    overlay: 'overlay'
+};
+
+/**
+ * Push one parameter into a running engine - same routing as the page's updateParameter
+ */
+function applyEngineParameter(engine, param, value) {
+    if (!engine) return;
+    if (engine.parameterManager) {
+        engine.parameterManager.setParameter(param, value);
+        engine.updateVisualizers?.();
+    } else if (engine.updateParameter) {
+        engine.updateParameter(param, value);
+    }
+}
+
+export class SceneManager {
+    /**
+     * @param {Object} options - { canvasManager, engineClasses } (default to the page globals)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.listeners = new Map();
+        this.primary = { ...DEFAULT_PRIMARY_LAYER };
+        this.layers = new Map();
+    }
+
+    get canvasManager() {
+        return this.options.canvasManager || window.canvasManager;
+    }
+
+    get engineClasses() {
+        return this.options.engineClasses || window.engineClasses;
+    }
+
+    getPrimarySystem() {
+        return window.currentSystem || 'faceted';
+    }
+
+    validateSystem(system) {
+        if (!SCENE_SYSTEMS.includes(system)) {
+            throw new Error(`Unknown scene system: ${system}`);
+        }
+    }
+
+    /**
+     * Start another system in the scene
+     * @param {string} system - faceted, quantum, holographic or polychora
+     * @param {Object} settings - zIndex, blendMode, opacity, reactive and parameters
+     */
+    async addSystem(system, settings = {}) {
+        this.validateSystem(system);
+        if (system === this.getPrimarySystem()) {
+            throw new Error(`${system} is already the primary system`);
+        }
+        if (this.layers.has(system)) {
+            throw new Error(`Scene already contains ${system}`);
+        }
+        if (!this.canvasManager?.addSceneSystem) {
+            throw new Error('Composite scenes need the CanvasManager');
+        }
+
+        const engine = await this.canvasManager.addSceneSystem(system, this.engineClasses);
+        if (!engine) {
+            throw new Error(`Failed to create ${system} scene system`);
+        }
+
+        const layer = {
+            system,
+            engine,
+            parameterManager: new ParameterManager(),
+            ...DEFAULT_SCENE_LAYER
+        };
+        this.layers.set(system, layer);
+        this.applySettings(layer, settings);
+        this.setParameters(system, { ...layer.parameterManager.getAllParameters(), ...settings.parameters });
+
+        console.log(`🎬 Added ${system} to the scene`);
+        this.emit('add', { system, layer: this.getLayer(system) });
+        return this.getLayer(system);
+    }
+
+    /**
+     * Stop a system and remove it from the scene
+     */
+    removeSystem(system) {
+        if (!this.layers.has(system)) return false;
+        this.layers.delete(system);
+        this.canvasManager?.removeSceneSystem?.(system);
+
+        console.log(`🎬 Removed ${system} from the scene`);
+        this.emit('remove', { system });
+        return true;
+    }
+
+    hasSystem(system) {
+        return this.layers.has(system);
+    }
+
+    getSystems() {
+        return [...this.layers.keys()];
+    }
+
+    /**
+     * Update z-order, blend mode, opacity or reactivity of a scene system ('primary' for the main one)
+     */
+    setLayer(id, settings = {}) {
+        const layer = this.resolveLayer(id);
+        this.applySettings(layer, settings);
+        this.emit('change', { id, layer: this.getLayer(id) });
+        return this.getLayer(id);
+    }
+
+    applySettings(layer, settings) {
+        if (settings.blendMode !== undefined) {
+            if (!BLEND_MODES.includes(settings.blendMode)) {
+                throw new Error(`Unknown blend mode: ${settings.blendMode}`);
+            }
+            layer.blendMode = settings.blendMode;
+        }
+        if (settings.zIndex !== undefined) {
+            layer.zIndex = Math.round(this.clampNumber(settings.zIndex, -MAX_Z_INDEX, MAX_Z_INDEX, layer.zIndex));
+        }
+        if (settings.opacity !== undefined) {
+            layer.opacity = this.clampNumber(settings.opacity, 0, 1, layer.opacity);
+        }
+        if (settings.reactive !== undefined) {
+            layer.reactive = !!settings.reactive;
+        }
+        this.applyStyles();
+    }
+
+    resolveLayer(id) {
+        if (id === PRIMARY_LAYER) return this.primary;
+        const layer = this.layers.get(id);
+        if (!layer) {
+            throw new Error(`Scene has no ${id} system`);
+        }
+        return layer;
+    }
+
+    getLayer(id) {
+        const layer = this.resolveLayer(id);
+        const settings = {};
+        Object.keys(DEFAULT_SCENE_LAYER).forEach(key => {
+            settings[key] = layer[key];
+        });
+        if (id === PRIMARY_LAYER) {
+            return { system: this.getPrimarySystem(), ...settings };
+        }
+        return { system: id, ...settings, parameters: layer.parameterManager.getAllParameters() };
+    }
+
+    /**
+     * Set one parameter on a scene system - the primary system is driven by window.updateParameter
+     */
+    setParameter(system, param, value) {
+        const layer = this.resolveLayer(system);
+        if (layer === this.primary) {
+            throw new Error('Use updateParameter() for the primary system');
+        }
+        if (isPostParameter(param) || !layer.parameterManager.setParameter(param, parseFloat(value))) {
+            console.warn(`Cannot set scene parameter: ${param}`);
+            return false;
+        }
+        applyEngineParameter(layer.engine, param, layer.parameterManager.getParameter(param));
+        return true;
+    }
+
+    setParameters(system, params = {}) {
+        Object.entries(params).forEach(([param, value]) => {
+            if (typeof value === 'number' && !isNaN(value)) {
+                this.setParameter(system, param, value);
+            }
+        });
+    }
+
+    /**
+     * Whether reactivity (mouse, click, scroll, beats) still drives the primary system
+     */
+    isPrimaryReactive() {
+        return this.primary.reactive;
+    }
+
+    /**
+     * Forward a reactivity parameter change to every reactive scene system
+     */
+    routeReactivity(param, value) {
+        this.layers.forEach((layer, system) => {
+            if (!layer.reactive) return;
+            try {
+                this.setParameter(system, param, value);
+            } catch (error) {
+                console.error(`❌ Scene reactivity failed for ${system}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Stack and blend the system containers. Called again after system switches and transitions,
+     * which restyle the primary container.
+     */
+    applyStyles() {
+        const canvasManager = this.canvasManager;
+        if (!canvasManager?.getContainer) return;
+
+        const sceneActive = this.layers.size > 0 || !this.isDefaultLayer(this.primary);
+        this.styleContainer(canvasManager.getContainer(this.getPrimarySystem()), sceneActive ? this.primary : null);
+        this.layers.forEach((layer, system) => {
+            this.styleContainer(canvasManager.getContainer(system), layer);
+        });
+    }
+
+    styleContainer(container, layer) {
+        if (!container) return;
+        container.style.zIndex = layer ? String(layer.zIndex) : '';
+        container.style.mixBlendMode = layer && layer.blendMode !== 'normal' ? CSS_BLEND_MODES[layer.blendMode] : '';
+        container.style.opacity = layer && layer.opacity !== 1 ? String(layer.opacity) : '';
+    }
+
+    isDefaultLayer(layer) {
+        return Object.keys(DEFAULT_PRIMARY_LAYER).every(key => layer[key] === DEFAULT_PRIMARY_LAYER[key]);
+    }
+
+    clampNumber(value, min, max, fallback) {
+        const number = parseFloat(value);
+        if (isNaN(number)) return fallback;
+        return Math.max(min, Math.min(max, number));
+    }
+
+    /**
+     * Remove every added system and reset the primary layer
+     */
+    clear() {
+        this.getSystems().forEach(system => this.removeSystem(system));
+        this.primary = { ...DEFAULT_PRIMARY_LAYER };
+        this.applyStyles();
+        this.emit('clear', {});
+    }
+
+    /**
+     * Serializable scene for variations (null when only the primary system is showing, unstyled)
+     */
+    serialize() {
+        if (this.layers.size === 0 && this.isDefaultLayer(this.primary)) return null;
+
+        const primary = {};
+        Object.keys(DEFAULT_PRIMARY_LAYER).forEach(key => {
+            if (this.primary[key] !== DEFAULT_PRIMARY_LAYER[key]) {
+                primary[key] = this.primary[key];
+            }
+        });
+        const layers = this.getSystems()
+            .map(system => this.getLayer(system))
+            .sort((a, b) => a.zIndex - b.zIndex);
+
+        return { version: 1, primary, layers };
+    }
+
+    /**
+     * Rebuild a serialized scene around the current primary system - missing data clears the scene
+     */
+    async load(data) {
+        this.clear();
+        if (!data) return true;
+
+        let loaded = true;
+        try {
+            this.setLayer(PRIMARY_LAYER, {
+                ...data.primary,
+                blendMode: BLEND_MODES.includes(data.primary?.blendMode) ? data.primary.blendMode : undefined
+            });
+        } catch (error) {
+            console.error('❌ Failed to load scene primary layer:', error);
+            loaded = false;
+        }
+
+        for (const saved of data.layers || []) {
+            if (!SCENE_SYSTEMS.includes(saved.system) || saved.system === this.getPrimarySystem()) {
+                console.warn(`Skipping scene system: ${saved.system}`);
+                continue;
+            }
+            try {
+                const blendMode = BLEND_MODES.includes(saved.blendMode) ? saved.blendMode : undefined;
+                await this.addSystem(saved.system, { ...saved, blendMode });
+            } catch (error) {
+                console.error(`❌ Failed to load ${saved.system} scene system:`, error);
+                loaded = false;
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Add a listener ('add', 'remove', 'change', 'clear') - returns an unsubscribe function
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.listeners.get(event)?.delete(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Scene ${event} listener failed:`, error);
+            }
+        });
+    }
+}
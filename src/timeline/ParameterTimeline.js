@@ -0,0 +1,419 @@
+/**
+ * VIB34D Parameter Timeline
+ * Keyframe animation engine that drives any system through the shared parameter names
+ * (faceted, quantum, holographic and polychora all accept the same updateParameter calls)
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { ParameterMapper } from '../core/ParameterMapper.js';
+import { getEasing } from './Easing.js';
+
+// Parameters that switch between discrete states instead of interpolating
+const DISCRETE_PARAMETERS = ['geometry', 'variation', 'polytope'];
+
+export const LOOP_MODES = ['once', 'loop', 'pingpong'];
+
+export class ParameterTimeline {
+    constructor(options = {}) {
+        // Keyframe tracks: parameter name -> sorted [{ time, value, easing }]
+        this.tracks = new Map();
+
+        // Playback state (times are in seconds)
+        this.duration = options.duration || 10;
+        this.loopMode = LOOP_MODES.includes(options.loopMode) ? options.loopMode : 'loop';
+        this.playbackRate = options.playbackRate || 1.0;
+        this.currentTime = 0;
+        this.direction = 1;
+        this.isPlaying = false;
+        this.animationId = null;
+        this.lastFrameTime = null;
+
+        // Where evaluated values go - defaults to the global router so every system is covered
+        this.applyParameter = options.applyParameter || ((param, value) => {
+            if (window.updateParameter) {
+                window.updateParameter(param, value, 'timeline');
+            }
+        });
+
+        // Validation sources: ParameterManager for shared params, ParameterMapper for system-specific ones
+        this.parameterDefs = new ParameterManager().parameterDefs;
+        this.mapper = new ParameterMapper();
+
+        this.listeners = new Map();
+    }
+
+    /**
+     * Resolve legacy names (density, morph, geometryType) to the shared parameter names
+     */
+    resolveParameterName(param) {
+        return this.mapper.mappings.vib34d.from[param] || param;
+    }
+
+    /**
+     * Get the valid range for a parameter
+     */
+    getParameterRange(param) {
+        return this.parameterDefs[param] || this.mapper.unifiedSchema[param] || null;
+    }
+
+    /**
+     * Clamp a keyframe value into the parameter's valid range
+     */
+    validateValue(param, value) {
+        const numValue = parseFloat(value);
+        if (isNaN(numValue)) {
+            throw new Error(`Invalid keyframe value for ${param}: ${value}`);
+        }
+
+        const range = this.getParameterRange(param);
+        if (!range) {
+            return numValue;
+        }
+
+        return Math.max(range.min, Math.min(range.max, numValue));
+    }
+
+    /**
+     * Add (or replace) a keyframe on a parameter track
+     */
+    addKeyframe(param, time, value, easing = 'easeInOutSine') {
+        const name = this.resolveParameterName(param);
+        const keyframe = {
+            time: Math.max(0, parseFloat(time) || 0),
+            value: this.validateValue(name, value),
+            easing
+        };
+
+        if (!this.tracks.has(name)) {
+            this.tracks.set(name, []);
+        }
+
+        const track = this.tracks.get(name);
+        const existingIndex = track.findIndex(k => Math.abs(k.time - keyframe.time) < 1e-6);
+        if (existingIndex !== -1) {
+            track[existingIndex] = keyframe;
+        } else {
+            track.push(keyframe);
+            track.sort((a, b) => a.time - b.time);
+        }
+
+        // Grow the timeline so the keyframe is reachable
+        if (keyframe.time > this.duration) {
+            this.duration = keyframe.time;
+        }
+
+        this.emit('change', { param: name, keyframe });
+        return keyframe;
+    }
+
+    /**
+     * Remove the keyframe at a given time
+     */
+    removeKeyframe(param, time) {
+        const name = this.resolveParameterName(param);
+        const track = this.tracks.get(name);
+        if (!track) return false;
+
+        const index = track.findIndex(k => Math.abs(k.time - time) < 1e-6);
+        if (index === -1) return false;
+
+        track.splice(index, 1);
+        if (track.length === 0) {
+            this.tracks.delete(name);
+        }
+
+        this.emit('change', { param: name });
+        return true;
+    }
+
+    /**
+     * Capture a keyframe for every given parameter at once (snapshot of a look)
+     */
+    captureKeyframe(time, parameters = window.userParameterState || {}, easing = 'easeInOutSine') {
+        Object.entries(parameters).forEach(([param, value]) => {
+            const name = this.resolveParameterName(param);
+            if (this.getParameterRange(name) && !isNaN(parseFloat(value))) {
+                this.addKeyframe(name, time, value, easing);
+            }
+        });
+    }
+
+    clearTrack(param) {
+        this.tracks.delete(this.resolveParameterName(param));
+        this.emit('change', { param });
+    }
+
+    clear() {
+        this.stop();
+        this.tracks.clear();
+        this.emit('change', {});
+    }
+
+    getKeyframes(param) {
+        return [...(this.tracks.get(this.resolveParameterName(param)) || [])];
+    }
+
+    getTrackNames() {
+        return Array.from(this.tracks.keys());
+    }
+
+    hasKeyframes() {
+        return this.tracks.size > 0;
+    }
+
+    /**
+     * Evaluate a single track at a time
+     * The easing of the keyframe being approached shapes the segment leading into it
+     */
+    evaluateTrack(param, time) {
+        const track = this.tracks.get(param);
+        if (!track || track.length === 0) return undefined;
+
+        if (time <= track[0].time) return track[0].value;
+
+        const last = track[track.length - 1];
+        if (time >= last.time) return last.value;
+
+        let nextIndex = 1;
+        while (nextIndex < track.length && track[nextIndex].time < time) {
+            nextIndex++;
+        }
+
+        const from = track[nextIndex - 1];
+        const to = track[nextIndex];
+
+        if (DISCRETE_PARAMETERS.includes(param)) {
+            return time >= to.time ? to.value : from.value;
+        }
+
+        const span = to.time - from.time;
+        const progress = span > 0 ? (time - from.time) / span : 1;
+        const eased = getEasing(to.easing)(progress);
+        const value = from.value + (to.value - from.value) * eased;
+
+        const range = this.getParameterRange(param);
+        return range && (range.type === 'int' || range.type === 'integer') ? Math.round(value) : value;
+    }
+
+    /**
+     * Evaluate every track at a time
+     */
+    evaluate(time) {
+        const values = {};
+        this.tracks.forEach((track, param) => {
+            const value = this.evaluateTrack(param, time);
+            if (value !== undefined) {
+                values[param] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Push evaluated values into the active system
+     */
+    applyAt(time) {
+        const values = this.evaluate(time);
+        Object.entries(values).forEach(([param, value]) => {
+            this.applyParameter(param, value);
+        });
+        this.emit('update', { time, values });
+        return values;
+    }
+
+    /**
+     * Scrub to a time (works while paused or playing)
+     */
+    seek(time) {
+        this.currentTime = Math.max(0, Math.min(this.duration, parseFloat(time) || 0));
+        return this.applyAt(this.currentTime);
+    }
+
+    /**
+     * Advance the playhead by a time delta (seconds), honoring the loop mode
+     */
+    update(deltaSeconds) {
+        let time = this.currentTime + deltaSeconds * this.playbackRate * this.direction;
+        const duration = this.duration;
+
+        if (duration <= 0) {
+            time = 0;
+        } else if (time > duration || time < 0) {
+            switch (this.loopMode) {
+                case 'loop':
+                    time = ((time % duration) + duration) % duration;
+                    this.emit('loop', { time });
+                    break;
+
+                case 'pingpong':
+                    if (time > duration) {
+                        time = duration - (time - duration);
+                        this.direction = -1;
+                    } else {
+                        time = -time;
+                        this.direction = 1;
+                    }
+                    time = Math.max(0, Math.min(duration, time));
+                    this.emit('loop', { time, direction: this.direction });
+                    break;
+
+                case 'once':
+                default:
+                    time = Math.max(0, Math.min(duration, time));
+                    this.currentTime = time;
+                    this.applyAt(time);
+                    this.pause();
+                    this.emit('complete', { time });
+                    return;
+            }
+        }
+
+        this.currentTime = time;
+        this.applyAt(time);
+    }
+
+    /**
+     * Start playback using its own animation frame loop
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        // Restart a finished one-shot timeline from the beginning
+        if (this.loopMode === 'once' && this.currentTime >= this.duration) {
+            this.currentTime = 0;
+        }
+
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+
+        const tick = (timestamp) => {
+            if (!this.isPlaying) return;
+
+            if (this.lastFrameTime !== null) {
+                // Cap the step so a backgrounded tab doesn't jump the playhead
+                const delta = Math.min(0.1, (timestamp - this.lastFrameTime) / 1000);
+                this.update(delta);
+            }
+            this.lastFrameTime = timestamp;
+
+            if (this.isPlaying) {
+                this.animationId = requestAnimationFrame(tick);
+            }
+        };
+
+        this.animationId = requestAnimationFrame(tick);
+        this.emit('play', { time: this.currentTime });
+        console.log('🎞️ Timeline playing');
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.emit('pause', { time: this.currentTime });
+    }
+
+    stop() {
+        this.pause();
+        this.currentTime = 0;
+        this.direction = 1;
+        this.emit('stop', {});
+    }
+
+    setLoopMode(mode) {
+        if (!LOOP_MODES.includes(mode)) {
+            console.warn(`⚠️ Unknown loop mode: ${mode}`);
+            return;
+        }
+        this.loopMode = mode;
+        this.direction = 1;
+    }
+
+    setDuration(seconds) {
+        this.duration = Math.max(0.1, parseFloat(seconds) || this.duration);
+        this.currentTime = Math.min(this.currentTime, this.duration);
+    }
+
+    /**
+     * Event subscription (change, update, play, pause, stop, loop, complete)
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ Timeline ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Serialize for saving alongside a variation
+     */
+    serialize() {
+        const tracks = {};
+        this.tracks.forEach((track, param) => {
+            tracks[param] = track.map(k => ({ ...k }));
+        });
+
+        return {
+            type: 'vib34d-timeline',
+            version: '1.0',
+            duration: this.duration,
+            loopMode: this.loopMode,
+            playbackRate: this.playbackRate,
+            tracks
+        };
+    }
+
+    /**
+     * Load serialized timeline data (replaces current tracks)
+     */
+    load(data) {
+        if (!data || data.type !== 'vib34d-timeline' || typeof data.tracks !== 'object') {
+            console.warn('⚠️ Invalid timeline data - ignoring');
+            return false;
+        }
+
+        this.clear();
+        this.duration = data.duration || 10;
+        this.loopMode = LOOP_MODES.includes(data.loopMode) ? data.loopMode : 'loop';
+        this.playbackRate = data.playbackRate || 1.0;
+
+        Object.entries(data.tracks).forEach(([param, keyframes]) => {
+            (keyframes || []).forEach(k => {
+                try {
+                    this.addKeyframe(param, k.time, k.value, k.easing);
+                } catch (error) {
+                    console.warn(`⚠️ Skipping keyframe on ${param}:`, error.message);
+                }
+            });
+        });
+
+        console.log(`🎞️ Timeline loaded: ${this.tracks.size} tracks, ${this.duration}s`);
+        return true;
+    }
+
+    static fromJSON(data, options = {}) {
+        const timeline = new ParameterTimeline(options);
+        timeline.load(data);
+        return timeline;
+    }
+
+    destroy() {
+        this.stop();
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,437 @@
+/**
+ * VIB34D Transition Manager
+ * Animated transitions between systems and between variations
+ *
+ * System transitions keep the outgoing system rendering in its own layer container while the
+ * incoming one starts underneath it. The outgoing container is faded, dissolved or wiped away
+ * with CSS (opacity, mask-image, clip-path) and retired once the transition finishes.
+ * Variation changes happen inside one engine, so the outgoing look is captured into a snapshot
+ * canvas that is animated away instead - except rotate-w, which morphs the live system.
+ */
+
+import { getEasing } from '../timeline/Easing.js';
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'dissolve', 'wipe', 'rotate-w'];
+export const WIPE_DIRECTIONS = ['right', 'left', 'up', 'down'];
+
+export const DEFAULT_TRANSITION = {
+    type: 'crossfade',
+    duration: 600,
+    direction: 'right',
+    easing: 'easeInOutSine'
+};
+
+const MAX_DURATION = 10000;
+const QUARTER_TURN = Math.PI / 2;
+
+// Dissolve mask resolution (stretched over the canvas) and edge softness
+const DISSOLVE_WIDTH = 96;
+const DISSOLVE_HEIGHT = 54;
+const DISSOLVE_SOFTNESS = 0.08;
+
+/**
+ * Visual state of a transition at eased progress t (0 → 1)
+ * outgoing: { opacity, clipPath, dissolve (0 = intact, 1 = gone), rotation (XW offset, radians) }
+ * incoming: { opacity, rotation }
+ */
+export function getTransitionFrame(type, t, direction = 'right') {
+    const frame = {
+        outgoing: { opacity: 1, clipPath: null, dissolve: 0, rotation: 0 },
+        incoming: { opacity: 1, rotation: 0 }
+    };
+
+    switch (type) {
+        case 'crossfade':
+            frame.outgoing.opacity = 1 - t;
+            frame.incoming.opacity = t;
+            break;
+        case 'dissolve':
+            frame.outgoing.dissolve = t;
+            break;
+        case 'wipe':
+            frame.outgoing.clipPath = getWipeClipPath(direction, t);
+            break;
+        case 'rotate-w':
+            // The outgoing geometry turns out through W while the incoming turns in from the other side
+            frame.outgoing.rotation = t * QUARTER_TURN;
+            frame.incoming.rotation = (t - 1) * QUARTER_TURN;
+            frame.outgoing.opacity = 1 - t;
+            frame.incoming.opacity = t;
+            break;
+        default:
+            frame.outgoing.opacity = 0;
+    }
+    return frame;
+}
+
+/**
+ * clip-path keeping the part of the outgoing system the wipe edge hasn't reached yet
+ * (direction is the way the edge travels)
+ */
+export function getWipeClipPath(direction, t) {
+    const percent = `${(t * 100).toFixed(2)}%`;
+    switch (direction) {
+        case 'left': return `inset(0 ${percent} 0 0)`;
+        case 'up': return `inset(0 0 ${percent} 0)`;
+        case 'down': return `inset(${percent} 0 0 0)`;
+        default: return `inset(0 0 0 ${percent})`;
+    }
+}
+
+/**
+ * Deterministic value noise (0-1) for the dissolve mask
+ */
+export function createDissolveNoise(width = DISSOLVE_WIDTH, height = DISSOLVE_HEIGHT) {
+    const noise = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+            noise[y * width + x] = value - Math.floor(value);
+        }
+    }
+    return noise;
+}
+
+/**
+ * Mask alpha (0-1) of one dissolve cell - 1 while the outgoing pixel is still visible
+ */
+export function getDissolveAlpha(noise, t) {
+    const threshold = t * (1 + DISSOLVE_SOFTNESS) - DISSOLVE_SOFTNESS;
+    return Math.max(0, Math.min(1, (noise - threshold) / DISSOLVE_SOFTNESS));
+}
+
+/**
+ * Read / write a parameter straight on an engine, without touching the user's stored values
+ */
+function getEngineParameter(engine, param) {
+    const value = engine?.parameterManager?.getParameter?.(param) ?? engine?.parameters?.getParameter?.(param);
+    return typeof value === 'number' ? value : (window.userParameterState?.[param] ?? 0);
+}
+
+function setEngineParameter(engine, param, value) {
+    if (!engine) return;
+    if (engine.parameterManager?.setParameter) {
+        engine.parameterManager.setParameter(param, value);
+    } else if (engine.parameters?.setParameter) {
+        engine.parameters.setParameter(param, value);
+    } else {
+        // Holographic keeps its parameters on the visualizers
+        engine.visualizers?.forEach(visualizer => visualizer.updateParameters?.({ [param]: value }));
+    }
+}
+
+export class TransitionManager {
+    constructor(settings = {}) {
+        this.listeners = new Map();
+        this.settings = { ...DEFAULT_TRANSITION };
+        this.active = null;
+        this.noise = null;
+        this.maskCanvas = null;
+        this.configure(settings);
+    }
+
+    /**
+     * Change the default transition - any of type, duration (ms), direction, easing
+     */
+    configure(settings = {}) {
+        this.settings = this.resolve(settings);
+        this.emit('settings', this.getSettings());
+        return this.getSettings();
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Default settings with per-call overrides, validated
+     */
+    resolve(overrides = {}) {
+        const settings = { ...this.settings, ...overrides };
+
+        if (!TRANSITION_TYPES.includes(settings.type)) {
+            throw new Error(`Unknown transition: ${settings.type}`);
+        }
+        if (!WIPE_DIRECTIONS.includes(settings.direction)) {
+            throw new Error(`Unknown wipe direction: ${settings.direction}`);
+        }
+        const duration = parseFloat(settings.duration);
+        settings.duration = isNaN(duration) ? DEFAULT_TRANSITION.duration : Math.max(0, Math.min(MAX_DURATION, duration));
+        return {
+            type: settings.type,
+            duration: settings.duration,
+            direction: settings.direction,
+            easing: settings.easing
+        };
+    }
+
+    /**
+     * Whether resolved settings mean a hard cut (also any transition with zero duration)
+     */
+    isCut(settings) {
+        return settings.type === 'cut' || settings.duration === 0;
+    }
+
+    isRunning() {
+        return this.active !== null;
+    }
+
+    /**
+     * Animate from the outgoing system to the incoming one
+     * @param {Object} outgoing - { system, engine, container, retire() } - retire() runs when it's over
+     * @param {Object} incoming - { system, engine, container }
+     * @param {Object} options - Per-call overrides of the default settings
+     * @returns {Promise<boolean>} true when the transition ran to the end, false when it was cut short
+     */
+    transitionSystems(outgoing, incoming, options = {}) {
+        const settings = this.resolve(options);
+        const outContainer = outgoing.container;
+        const inContainer = incoming.container;
+        const retire = () => {
+            this.resetElement(outContainer);
+            this.resetElement(inContainer);
+            if (inContainer) inContainer.style.opacity = '1';
+            outgoing.retire?.();
+        };
+
+        this.finish();
+        if (this.isCut(settings) || !outContainer || !inContainer) {
+            retire();
+            return Promise.resolve(true);
+        }
+
+        // Outgoing stays on top of the incoming system for the whole transition
+        outContainer.style.display = 'block';
+        outContainer.style.zIndex = '2';
+        const outRotation = getEngineParameter(outgoing.engine, 'rot4dXW');
+
+        return this.run(settings, frame => {
+            this.applyFrame(outContainer, frame.outgoing);
+            inContainer.style.opacity = String(frame.incoming.opacity);
+            if (settings.type === 'rotate-w') {
+                // Incoming base is read every frame - the app applies the user's parameters shortly after the switch
+                const inRotation = window.userParameterState?.rot4dXW ?? 0;
+                setEngineParameter(outgoing.engine, 'rot4dXW', outRotation + frame.outgoing.rotation);
+                setEngineParameter(incoming.engine, 'rot4dXW', inRotation + frame.incoming.rotation);
+            }
+        }, () => {
+            if (settings.type === 'rotate-w') {
+                setEngineParameter(incoming.engine, 'rot4dXW', window.userParameterState?.rot4dXW ?? 0);
+            }
+            retire();
+        });
+    }
+
+    /**
+     * Change the variation of the running system with a transition
+     * @param {Function} apply - Switches the variation
+     * @param {Object} options - Per-call overrides plus { engine, container } of the active system
+     * @returns {Promise<boolean>} true when the transition ran to the end, false when it was cut short
+     */
+    async transitionVariation(apply, options = {}) {
+        const { engine, container, ...overrides } = options;
+        const settings = this.resolve(overrides);
+
+        this.finish();
+        if (this.isCut(settings) || !container) {
+            apply();
+            return true;
+        }
+
+        if (settings.type === 'rotate-w') {
+            return this.morphVariation(apply, engine, settings);
+        }
+
+        const snapshot = await this.captureSnapshot(container);
+        apply();
+        if (!snapshot) return true;
+
+        return this.run(settings, frame => this.applyFrame(snapshot, frame.outgoing), () => snapshot.remove());
+    }
+
+    /**
+     * rotate-w between variations: a quarter turn out through W, swap at the edge-on midpoint, turn back in
+     */
+    morphVariation(apply, engine, settings) {
+        const easing = getEasing(settings.easing);
+        let base = getEngineParameter(engine, 'rot4dXW');
+        let applied = false;
+
+        return this.run({ ...settings, easing: 'linear' }, (frame, progress) => {
+            if (!applied && progress >= 0.5) {
+                apply();
+                applied = true;
+                base = getEngineParameter(engine, 'rot4dXW');
+            }
+            const angle = progress < 0.5
+                ? easing(progress * 2) * QUARTER_TURN
+                : (easing((progress - 0.5) * 2) - 1) * QUARTER_TURN;
+            setEngineParameter(engine, 'rot4dXW', base + angle);
+        }, () => {
+            if (!applied) {
+                apply();
+                base = getEngineParameter(engine, 'rot4dXW');
+            }
+            setEngineParameter(engine, 'rot4dXW', base);
+        });
+    }
+
+    /**
+     * Drive a transition frame by frame
+     * @param {Function} renderFrame - (frame, progress) for every animation frame
+     * @param {Function} cleanup - Runs once, when the transition ends or is cut short
+     */
+    run(settings, renderFrame, cleanup) {
+        return new Promise(resolve => {
+            const easing = getEasing(settings.easing);
+            const start = performance.now();
+            const transition = { settings, cleanup, resolve, frameId: null };
+
+            const step = () => {
+                if (this.active !== transition) return;
+                const progress = Math.min(1, (performance.now() - start) / settings.duration);
+                try {
+                    renderFrame(getTransitionFrame(settings.type, easing(progress), settings.direction), progress);
+                } catch (error) {
+                    console.error('❌ Transition frame failed:', error);
+                    this.complete(false);
+                    return;
+                }
+                if (progress >= 1) {
+                    this.complete(true);
+                    return;
+                }
+                transition.frameId = requestAnimationFrame(step);
+            };
+
+            this.active = transition;
+            this.emit('start', { type: settings.type, duration: settings.duration });
+            step();
+        });
+    }
+
+    /**
+     * Jump to the end of the running transition (before another one starts)
+     */
+    finish() {
+        if (!this.active) return;
+        cancelAnimationFrame(this.active.frameId);
+        this.complete(false);
+    }
+
+    complete(finished) {
+        const transition = this.active;
+        this.active = null;
+        try {
+            transition.cleanup?.();
+        } catch (error) {
+            console.error('❌ Transition cleanup failed:', error);
+        }
+        transition.resolve(finished);
+        this.emit('end', { type: transition.settings.type, finished });
+    }
+
+    /**
+     * Apply the outgoing half of a frame to a container or snapshot canvas
+     */
+    applyFrame(element, state) {
+        element.style.opacity = String(state.opacity);
+        element.style.clipPath = state.clipPath || '';
+        if (state.dissolve > 0) {
+            const mask = `url(${this.getDissolveMask(state.dissolve)})`;
+            element.style.maskImage = mask;
+            element.style.webkitMaskImage = mask;
+            element.style.maskSize = '100% 100%';
+            element.style.webkitMaskSize = '100% 100%';
+        }
+    }
+
+    resetElement(element) {
+        if (!element) return;
+        element.style.opacity = '';
+        element.style.clipPath = '';
+        element.style.maskImage = '';
+        element.style.webkitMaskImage = '';
+        element.style.zIndex = '';
+    }
+
+    /**
+     * Dissolve mask as a data URL - white where the outgoing system still shows
+     */
+    getDissolveMask(t) {
+        if (!this.maskCanvas) {
+            this.noise = createDissolveNoise();
+            this.maskCanvas = document.createElement('canvas');
+            this.maskCanvas.width = DISSOLVE_WIDTH;
+            this.maskCanvas.height = DISSOLVE_HEIGHT;
+        }
+
+        const context = this.maskCanvas.getContext('2d');
+        const image = context.createImageData(DISSOLVE_WIDTH, DISSOLVE_HEIGHT);
+        for (let i = 0; i < this.noise.length; i++) {
+            image.data[i * 4] = 255;
+            image.data[i * 4 + 1] = 255;
+            image.data[i * 4 + 2] = 255;
+            image.data[i * 4 + 3] = Math.round(getDissolveAlpha(this.noise[i], t) * 255);
+        }
+        context.putImageData(image, 0, 0);
+        return this.maskCanvas.toDataURL();
+    }
+
+    /**
+     * Copy what the container shows into a canvas stacked above it
+     * Waits one frame so the layers are read right after the system has drawn them.
+     */
+    captureSnapshot(container) {
+        return new Promise(resolve => {
+            requestAnimationFrame(() => {
+                const layers = [...container.querySelectorAll('canvas')]
+                    .filter(canvas => canvas.width > 0 && canvas.height > 0 && canvas.style.display !== 'none')
+                    .sort((a, b) => (parseInt(a.style.zIndex, 10) || 0) - (parseInt(b.style.zIndex, 10) || 0));
+                if (layers.length === 0) {
+                    resolve(null);
+                    return;
+                }
+
+                const snapshot = document.createElement('canvas');
+                snapshot.className = 'transition-snapshot';
+                snapshot.width = layers[0].width;
+                snapshot.height = layers[0].height;
+                Object.assign(snapshot.style, {
+                    position: 'absolute', top: '0', left: '0', width: '100%', height: '100%',
+                    zIndex: '20', pointerEvents: 'none'
+                });
+
+                const context = snapshot.getContext('2d');
+                context.fillStyle = '#000';
+                context.fillRect(0, 0, snapshot.width, snapshot.height);
+                layers.forEach(layer => context.drawImage(layer, 0, 0, snapshot.width, snapshot.height));
+                container.appendChild(snapshot);
+                resolve(snapshot);
+            });
+        });
+    }
+
+    /**
+     * Add a listener ('start', 'end', 'settings') - returns an unsubscribe function
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.listeners.get(event)?.delete(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`❌ Transition ${event} listener failed:`, error);
+            }
+        });
+    }
+}
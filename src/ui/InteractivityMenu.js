@@ -1,7 +1,7 @@
 /**
  * Interactivity Menu System
- * Visual interface for Universal Interactivity Engine
- * Shows real-time input data and parameter mappings
+ * Visual interface for Universal Interactivity Engine (src/interactivity/ModulationMatrix.js)
+ * Shows real-time input data and lets users route any source to any parameter
  */
 
 export class InteractivityMenu {
@@ -13,6 +13,8 @@ export class InteractivityMenu {
         
         this.createMenu();
         this.bindEvents();
+        this.renderRouteEditor();
+        this.renderRoutes();
         
         console.log('🎛️ Interactivity Menu initialized');
     }
@@ -182,6 +184,43 @@ export class InteractivityMenu {
                     background: #ff00ff;
                     color: #000;
                 }
+                
+                .route-editor {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 5px;
+                    margin-bottom: 10px;
+                }
+                
+                .route-editor select,
+                .route-editor input {
+                    background: rgba(0, 0, 0, 0.6);
+                    border: 1px solid rgba(0, 255, 255, 0.4);
+                    color: #00ffff;
+                    font-family: inherit;
+                    font-size: 0.7rem;
+                    padding: 3px;
+                    border-radius: 3px;
+                    min-width: 0;
+                }
+                
+                .route-editor .toggle-btn {
+                    grid-column: span 2;
+                }
+                
+                .route-remove {
+                    background: none;
+                    border: none;
+                    color: #ff6600;
+                    cursor: pointer;
+                    font-size: 0.8rem;
+                    padding: 0 0 0 6px;
+                }
+                
+                .route-empty {
+                    color: rgba(0, 255, 255, 0.5);
+                    font-size: 0.7rem;
+                }
             </style>
             
             <div class="interactivity-header">
@@ -193,9 +232,12 @@ export class InteractivityMenu {
             </div>
             
             <div class="parameter-mappings">
-                <div class="mapping-header">📊 PARAMETER MAPPINGS</div>
+                <div class="mapping-header">📊 MODULATION ROUTES</div>
+                <div class="route-editor" id="route-editor">
+                    <!-- Source/target/curve pickers are populated from the engine -->
+                </div>
                 <div id="parameter-values">
-                    <!-- Parameter values will be dynamically updated -->
+                    <!-- Active routes with live values -->
                 </div>
             </div>
             
@@ -208,6 +250,79 @@ export class InteractivityMenu {
         `;
         
         document.body.appendChild(this.menuContainer);
+        
+        // Route list is rebuilt only when routes change, live values update in place
+        this.menuContainer.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-route]');
+            if (removeButton) {
+                this.engine.removeRoute(removeButton.dataset.removeRoute);
+            } else if (e.target.id === 'route-add') {
+                this.addRouteFromEditor();
+            }
+        });
+        this.unsubscribeRoutes = this.engine.on('change', () => this.renderRoutes());
+    }
+    
+    /**
+     * Fill the route editor pickers
+     */
+    renderRouteEditor() {
+        const editor = this.menuContainer.querySelector('#route-editor');
+        const options = (values) => values.map(value => `<option value="${value}">${value}</option>`).join('');
+        
+        editor.innerHTML = `
+            <select id="route-source" title="Source">${options(this.engine.getSourceNames())}</select>
+            <select id="route-target" title="Parameter">${options(Object.keys(this.engine.parameterDefs))}</select>
+            <input type="number" id="route-min" step="any" placeholder="min" title="Range start (blank = parameter minimum)">
+            <input type="number" id="route-max" step="any" placeholder="max" title="Range end (blank = parameter maximum)">
+            <select id="route-curve" title="Curve">${options(this.engine.getCurveNames())}</select>
+            <input type="number" id="route-smoothing" min="0" max="0.99" step="0.05" value="0.5" title="Smoothing (0-0.99)">
+            <input type="number" id="route-amount" min="0" max="1" step="0.05" value="1" title="Amount (0-1)">
+            <button class="toggle-btn" id="route-add">+ ADD ROUTE</button>
+        `;
+    }
+    
+    addRouteFromEditor() {
+        const field = (id) => this.menuContainer.querySelector(`#${id}`).value;
+        const min = field('route-min');
+        const max = field('route-max');
+        
+        try {
+            this.engine.addRoute({
+                source: field('route-source'),
+                target: field('route-target'),
+                range: min !== '' && max !== '' ? [parseFloat(min), parseFloat(max)] : null,
+                curve: field('route-curve'),
+                smoothing: parseFloat(field('route-smoothing')),
+                amount: parseFloat(field('route-amount'))
+            });
+        } catch (error) {
+            console.error('🎛️ Could not add route:', error.message);
+        }
+    }
+    
+    /**
+     * Rebuild the route list
+     */
+    renderRoutes() {
+        const parametersContainer = this.menuContainer?.querySelector('#parameter-values');
+        if (!parametersContainer) return;
+        
+        const routes = this.engine.getRoutes();
+        if (routes.length === 0) {
+            parametersContainer.innerHTML = '<div class="route-empty">No routes - pick a source and a parameter above</div>';
+            return;
+        }
+        
+        parametersContainer.innerHTML = routes.map(route => `
+            <div class="parameter-mapping">
+                <span class="param-name">${route.source} → ${route.target}</span>
+                <span>
+                    <span class="param-value" data-route-value="${route.target}">--</span>
+                    <button class="route-remove" data-remove-route="${route.id}" title="Remove route">✕</button>
+                </span>
+            </div>
+        `).join('');
     }
     
     /**
@@ -215,6 +330,7 @@ export class InteractivityMenu {
      */
     show() {
         this.isVisible = true;
+        this.renderRouteEditor();
         this.menuContainer.style.display = 'block';
         this.startUpdates();
         console.log('🎛️ Interactivity Menu shown');
@@ -246,9 +362,9 @@ export class InteractivityMenu {
      */
     bindEvents() {
         document.addEventListener('keydown', (e) => {
-            // Toggle with I key (when not typing in inputs)
-            if (e.key === 'i' || e.key === 'I') {
-                if (!['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+            // Toggle with M key (I already toggles interactivity) when not typing in inputs
+            if (e.key === 'm' || e.key === 'M') {
+                if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
                     e.preventDefault();
                     this.toggle();
                 }
@@ -284,67 +400,17 @@ export class InteractivityMenu {
      */
     updateInputSources() {
         const sourcesContainer = document.getElementById('input-sources');
-        const reactiveBands = this.engine.getReactiveBands();
-        const activeInputs = this.engine.activeInputs;
-        
-        let sourcesHTML = '';
-        
-        // Audio sources
-        if (activeInputs.has('audio')) {
-            sourcesHTML += this.createSourceHTML('audio', '🎵 Audio Input', true, {
-                'Bass': reactiveBands.audio.bass,
-                'Mid': reactiveBands.audio.mid,
-                'High': reactiveBands.audio.high,
-                'Energy': reactiveBands.audio.energy
-            });
-        }
-        
-        // Mouse/Touch sources
-        if (activeInputs.has('mouse/touch')) {
-            sourcesHTML += this.createSourceHTML('mouseTouch', '🖱️ Mouse/Touch', true, {
-                'Movement': reactiveBands.movement.smoothed,
-                'Velocity': reactiveBands.velocity.smoothed,
-                'Precision': reactiveBands.precision.smoothed
-            });
-        }
-        
-        // Keyboard sources
-        if (activeInputs.has('keyboard')) {
-            sourcesHTML += this.createSourceHTML('keyboard', '⌨️ Keyboard', true, {
-                'Typing Rate': reactiveBands.ui.typing.velocity || 0,
-                'Rhythm': reactiveBands.ui.typing.rhythm || 0
-            });
-        }
-        
-        // Gamepad sources
-        if (activeInputs.has('gamepad')) {
-            sourcesHTML += this.createSourceHTML('gamepad', '🎮 Gamepad', true, {
-                'Pressure': reactiveBands.gamepad.pressure,
-                'Left X': Math.abs(reactiveBands.gamepad.axes[0] || 0),
-                'Left Y': Math.abs(reactiveBands.gamepad.axes[1] || 0),
-                'Right X': Math.abs(reactiveBands.gamepad.axes[2] || 0)
-            });
-        }
         
-        // Device orientation
-        if (activeInputs.has('device-orientation')) {
-            sourcesHTML += this.createSourceHTML('wearable', '⌚ Device Sensors', true, {
-                'Tilt X': Math.abs(reactiveBands.wearable.tilt.x),
-                'Tilt Y': Math.abs(reactiveBands.wearable.tilt.y),
-                'Motion': reactiveBands.wearable.motion
-            });
-        }
-        
-        // UI interactions
-        if (activeInputs.has('ui')) {
-            sourcesHTML += this.createSourceHTML('ui', '🖥️ UI Interactions', true, {
-                'Scroll': reactiveBands.ui.scroll || 0,
-                'Click': reactiveBands.ui.click || 0,
-                'Hover': reactiveBands.ui.hover || 0
-            });
-        }
-        
-        sourcesContainer.innerHTML = sourcesHTML;
+        sourcesContainer.innerHTML = this.engine.getSourceGroups()
+            .filter(group => group.active)
+            .map(group => {
+                const bands = {};
+                for (const [source, value] of Object.entries(group.values)) {
+                    bands[source.slice(source.indexOf('.') + 1)] = value;
+                }
+                return this.createSourceHTML(group.id, group.label, group.active, bands);
+            })
+            .join('');
     }
     
     /**
@@ -381,31 +447,13 @@ export class InteractivityMenu {
     }
     
     /**
-     * Update parameter mappings display
+     * Update live values of routed parameters
      */
     updateParameterMappings() {
-        const parametersContainer = document.getElementById('parameter-values');
-        
-        const parameters = [
-            'rot4dXW', 'rot4dYW', 'rot4dZW', 
-            'speed', 'hue', 'gridDensity', 
-            'morphFactor', 'chaos'
-        ];
-        
-        let parametersHTML = '';
-        for (const param of parameters) {
-            const value = this.engine.getParameterValue(param);
-            if (value !== null) {
-                parametersHTML += `
-                    <div class="parameter-mapping">
-                        <span class="param-name">${param}</span>
-                        <span class="param-value">${value.toFixed(2)}</span>
-                    </div>
-                `;
-            }
-        }
-        
-        parametersContainer.innerHTML = parametersHTML;
+        this.menuContainer.querySelectorAll('[data-route-value]').forEach(element => {
+            const value = this.engine.getParameterValue(element.dataset.routeValue);
+            element.textContent = value !== null ? value.toFixed(2) : '--';
+        });
     }
     
     /**
@@ -428,6 +476,10 @@ export class InteractivityMenu {
                 <span>Active Sources:</span>
                 <span>${stats.totalSources}</span>
             </div>
+            <div class="perf-stat">
+                <span>Routes:</span>
+                <span>${stats.totalRoutes}</span>
+            </div>
             <div class="perf-stat">
                 <span>Input Latency:</span>
                 <span>${stats.inputLatency.toFixed(1)} ms</span>
@@ -439,23 +491,33 @@ export class InteractivityMenu {
     
     /**
      * Add custom parameter mapping
+     * @param {string} parameterName - Target parameter
+     * @param {string} sourcePath - Source (e.g. 'mouse.x', 'audio.bass', 'lfo.1', 'midi.cc.1')
+     * @param {number[]|null} range - [min, max] (null = full parameter range)
+     * @param {number} smoothing - 0 (instant) → 0.99
+     * @param {Object} options - { curve, amount }
      */
-    addCustomMapping(parameterName, sourcePath, range = [0, 1], smoothing = 0.5) {
-        this.engine.parameterMappings[parameterName] = {
-            sources: [sourcePath],
-            range: range,
-            smoothing: smoothing
-        };
+    addCustomMapping(parameterName, sourcePath, range = null, smoothing = 0.5, options = {}) {
+        const route = this.engine.addRoute({
+            source: sourcePath,
+            target: parameterName,
+            range,
+            smoothing,
+            curve: options.curve,
+            amount: options.amount
+        });
         
-        console.log(`🎛️ Added custom mapping: ${parameterName} <- ${sourcePath}`);
+        console.log(`🎛️ Added custom mapping: ${route.target} <- ${sourcePath}`);
+        return route;
     }
     
     /**
-     * Remove parameter mapping
+     * Remove parameter mapping (every source, or just one)
      */
-    removeMapping(parameterName) {
-        delete this.engine.parameterMappings[parameterName];
-        console.log(`🎛️ Removed mapping: ${parameterName}`);
+    removeMapping(parameterName, sourcePath = null) {
+        const removed = this.engine.removeRoutesFor(parameterName, sourcePath);
+        console.log(`🎛️ Removed mapping: ${parameterName}${sourcePath ? ` <- ${sourcePath}` : ''} (${removed} routes)`);
+        return removed;
     }
     
     /**
@@ -463,7 +525,7 @@ export class InteractivityMenu {
      */
     exportConfiguration() {
         const config = {
-            parameterMappings: this.engine.parameterMappings,
+            ...this.engine.serialize(),
             activeInputs: Array.from(this.engine.activeInputs),
             timestamp: new Date().toISOString()
         };
@@ -490,8 +552,7 @@ export class InteractivityMenu {
             const text = await file.text();
             const config = JSON.parse(text);
             
-            if (config.parameterMappings) {
-                this.engine.parameterMappings = config.parameterMappings;
+            if (this.engine.load(config)) {
                 console.log('🎛️ Configuration imported successfully');
                 return true;
             }
@@ -507,6 +568,9 @@ export class InteractivityMenu {
      */
     destroy() {
         this.stopUpdates();
+        if (this.unsubscribeRoutes) {
+            this.unsubscribeRoutes();
+        }
         if (this.menuContainer) {
             this.menuContainer.remove();
             this.menuContainer = null;
@@ -0,0 +1,460 @@
+/**
+ * VIB34D Variation Schema
+ * One versioned JSON format for saved variations and the migration chain that upgrades older files
+ *
+ * Older shapes that are upgraded on load:
+ *   vib34d-integrated-config   - single configuration (ParameterManager.exportConfiguration, ExportManager.exportJSON)
+ *   holographic-collection     - collections (UnifiedSaveManager, CollectionManager, holographic ExportSystem)
+ *   vib34d-enhanced-collection - collections/base-variations.json
+ *   untyped variation          - UnifiedSaveManager.saveToDownload('json')
+ * including the legacy holographic parameter names (geometryType, density, morph).
+ *
+ * Current format (schemaVersion 3):
+ *   {
+ *     "type": "vib34d-variations",
+ *     "schemaVersion": 3,
+ *     "name": "My Collection",
+ *     "variations": [
+ *       { "id": 0, "name": "HYPERCUBE LATTICE", "system": "faceted", "parameters": { "geometry": 1, ... } }
+ *     ]
+ *   }
+ *
+ * New format changes bump CURRENT_SCHEMA_VERSION and append a step to MIGRATIONS - loaders never
+ * need to know about older shapes.
+ */
+
+import { ParameterMapper } from '../core/ParameterMapper.js';
+
+export const VARIATION_DOCUMENT_TYPE = 'vib34d-variations';
+export const CURRENT_SCHEMA_VERSION = 3;
+
+export const VARIATION_SYSTEMS = ['faceted', 'quantum', 'holographic', 'polychora'];
+
+const LEGACY_TYPES = ['vib34d-integrated-config', 'holographic-collection', 'vib34d-enhanced-collection'];
+const ROTATION_PLANES = ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'];
+
+/**
+ * JSON Schema (draft-07) of the current format - VariationSchema.validate() checks the same rules
+ */
+export const VARIATION_JSON_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'https://vib34d.com/schemas/variations-v3.json',
+    title: 'VIB34D Variations',
+    type: 'object',
+    required: ['type', 'schemaVersion', 'name', 'variations'],
+    properties: {
+        type: { const: VARIATION_DOCUMENT_TYPE },
+        schemaVersion: { const: CURRENT_SCHEMA_VERSION },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        created: { type: 'string' },
+        updated: { type: 'string' },
+        source: {
+            type: 'object',
+            properties: {
+                type: { type: 'string' },
+                version: { type: ['string', 'number', 'null'] }
+            }
+        },
+        variations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'system', 'parameters'],
+                properties: {
+                    id: { type: ['integer', 'string'] },
+                    name: { type: 'string' },
+                    system: { enum: VARIATION_SYSTEMS },
+                    isCustom: { type: 'boolean' },
+                    parameters: {
+                        type: 'object',
+                        required: ROTATION_PLANES,
+                        additionalProperties: { type: 'number' }
+                    },
+                    timeline: { type: 'object' },
+                    modulation: { type: 'object' },
+                    postProcessing: { type: 'object' },
+                    compositor: { type: 'object' },
+                    scene: { type: 'object' },
+                    physics: { type: 'object' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Raised when a file cannot be migrated or fails validation
+ * `errors` lists every problem found, `report` is a readable multi-line summary
+ */
+export class VariationSchemaError extends Error {
+    constructor(message, errors = [], source = null) {
+        super(message);
+        this.name = 'VariationSchemaError';
+        this.errors = errors.length > 0 ? errors : [message];
+        this.source = source;
+        this.report = [
+            `${source ? source + ': ' : ''}${message}`,
+            ...(errors.length > 0 ? errors.map(error => `  • ${error}`) : [])
+        ].join('\n');
+    }
+}
+
+const mapper = new ParameterMapper();
+
+/**
+ * Migration chain - each step upgrades a document by exactly one version
+ */
+const MIGRATIONS = [
+    {
+        from: 0,
+        to: 1,
+        description: 'Wrap legacy configurations and collections in a versioned document',
+        migrate: wrapLegacyDocument
+    },
+    {
+        from: 1,
+        to: 2,
+        description: 'Rename legacy parameter keys (geometryType → geometry, density → gridDensity, morph → morphFactor)',
+        migrate: renameLegacyParameters
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Give every variation a system and all six rotation planes',
+        migrate: completeVariations
+    }
+];
+
+export class VariationSchema {
+    /**
+     * Work out which schema version (0 = legacy shape) a parsed file is in
+     * @param {Object} data - Parsed JSON
+     * @param {string} source - File name used in error reports
+     * @returns {{ version: number, type: string }}
+     */
+    static detectVersion(data, source = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new VariationSchemaError('File does not contain a JSON object', [], source);
+        }
+
+        if (data.type === VARIATION_DOCUMENT_TYPE) {
+            const version = data.schemaVersion;
+            if (!Number.isInteger(version) || version < 1) {
+                throw new VariationSchemaError(`Invalid schemaVersion: ${JSON.stringify(version)}`, [], source);
+            }
+            if (version > CURRENT_SCHEMA_VERSION) {
+                throw new VariationSchemaError(
+                    `File uses schema version ${version}, this viewer supports up to ${CURRENT_SCHEMA_VERSION} - update VIB34D to open it`, [], source);
+            }
+            return { version, type: data.type };
+        }
+
+        if (LEGACY_TYPES.includes(data.type)) {
+            return { version: 0, type: data.type };
+        }
+
+        // Untyped single variation (e.g. a UnifiedSaveManager JSON download)
+        if (data.type === undefined && isPlainObject(data.parameters)) {
+            return { version: 0, type: 'variation' };
+        }
+
+        throw new VariationSchemaError(
+            data.type ? `Unknown file type "${data.type}"` : 'Missing file type',
+            [`Expected "${VARIATION_DOCUMENT_TYPE}" or one of: ${LEGACY_TYPES.join(', ')}`], source);
+    }
+
+    /**
+     * Upgrade any supported file to the current schema and validate the result
+     * @param {Object} data - Parsed JSON
+     * @param {Object} options
+     * @param {string} options.source - File name used in error reports
+     * @returns {{ document: Object, fromVersion: number, sourceType: string, applied: string[] }}
+     * @throws {VariationSchemaError}
+     */
+    static migrate(data, options = {}) {
+        const source = options.source || null;
+
+        const detected = this.detectVersion(data, source);
+
+        // Migrations work on a copy so a failed upgrade never leaves the input half-converted
+        let document = JSON.parse(JSON.stringify(data));
+        let version = detected.version;
+        const applied = [];
+
+        while (version < CURRENT_SCHEMA_VERSION) {
+            const step = MIGRATIONS.find(migration => migration.from === version);
+            if (!step) {
+                throw new VariationSchemaError(`No migration from schema version ${version}`, [], source);
+            }
+
+            const errors = [];
+            document = step.migrate(document, errors);
+            if (errors.length > 0) {
+                throw new VariationSchemaError(`Cannot migrate from schema version ${version}`, errors, source);
+            }
+
+            document.schemaVersion = step.to;
+            version = step.to;
+            applied.push(step.description);
+        }
+
+        const { valid, errors } = this.validate(document);
+        if (!valid) {
+            throw new VariationSchemaError('File does not match the variation schema', errors, source);
+        }
+
+        return { document, fromVersion: detected.version, sourceType: detected.type, applied };
+    }
+
+    /**
+     * Validate a document against the current schema (see VARIATION_JSON_SCHEMA)
+     * @returns {{ valid: boolean, errors: string[] }}
+     */
+    static validate(document) {
+        const errors = [];
+
+        if (!isPlainObject(document)) {
+            return { valid: false, errors: ['Document must be an object'] };
+        }
+        if (document.type !== VARIATION_DOCUMENT_TYPE) {
+            errors.push(`type must be "${VARIATION_DOCUMENT_TYPE}"`);
+        }
+        if (document.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${CURRENT_SCHEMA_VERSION}`);
+        }
+        if (typeof document.name !== 'string') {
+            errors.push('name must be a string');
+        }
+        if (!Array.isArray(document.variations)) {
+            errors.push('variations must be an array');
+            return { valid: false, errors };
+        }
+
+        document.variations.forEach((variation, index) => {
+            const label = describeVariation(variation, index);
+
+            if (!isPlainObject(variation)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (typeof variation.id !== 'string' && !Number.isInteger(variation.id)) {
+                errors.push(`${label} needs an integer or string id`);
+            }
+            if (typeof variation.name !== 'string') {
+                errors.push(`${label} needs a name`);
+            }
+            if (!VARIATION_SYSTEMS.includes(variation.system)) {
+                errors.push(`${label} has unknown system "${variation.system}" (expected ${VARIATION_SYSTEMS.join(', ')})`);
+            }
+            if (!isPlainObject(variation.parameters)) {
+                errors.push(`${label} has no parameters object`);
+                return;
+            }
+
+            for (const [key, value] of Object.entries(variation.parameters)) {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    errors.push(`${label}: parameter ${key} must be a finite number (got ${JSON.stringify(value)})`);
+                }
+            }
+            ROTATION_PLANES.forEach(plane => {
+                if (!(plane in variation.parameters)) {
+                    errors.push(`${label}: missing rotation plane ${plane}`);
+                }
+            });
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Build a current-version document (exporters use this so every file carries the schema version)
+     * Variation parameters may use legacy names - they go through the same migration steps as loaded files.
+     */
+    static createDocument({ name, variations = [], ...fields } = {}) {
+        const document = {
+            type: VARIATION_DOCUMENT_TYPE,
+            schemaVersion: 1,
+            name: name || 'Untitled Collection',
+            created: new Date().toISOString(),
+            ...fields,
+            variations: variations.map((variation, index) => ({
+                ...variation,
+                id: variation.id ?? index,
+                name: variation.name || `Variation ${index + 1}`,
+                parameters: { ...(variation.parameters || {}) }
+            }))
+        };
+
+        return this.migrate(document).document;
+    }
+
+    /**
+     * Current-schema parameters renamed for a system's own keys (e.g. holographic geometryType/density/morph)
+     */
+    static toSystemParameters(parameters, system) {
+        const renames = system === 'holographic' ? mapper.mappings.vib34d.to : {};
+        const converted = {};
+        for (const [key, value] of Object.entries(parameters)) {
+            converted[renames[key] || key] = value;
+        }
+        return converted;
+    }
+
+    static getMigrations() {
+        return MIGRATIONS.map(({ from, to, description }) => ({ from, to, description }));
+    }
+}
+
+/**
+ * v0 → v1: every legacy shape becomes { type, schemaVersion, name, variations[] }
+ */
+function wrapLegacyDocument(data, errors) {
+    const source = { type: data.type || 'variation', version: data.version ?? null };
+
+    if (data.type === 'vib34d-integrated-config' || source.type === 'variation') {
+        if (!isPlainObject(data.parameters)) {
+            errors.push('Configuration has no parameters object');
+            return data;
+        }
+
+        const { type, version, parameters, variation, timestamp, system, id, name, timeline, modulation, postProcessing, compositor, scene, physics, ...fields } = data;
+        const created = typeof timestamp === 'number' ? new Date(timestamp).toISOString() : (timestamp || data.created);
+
+        return {
+            ...fields,
+            type: VARIATION_DOCUMENT_TYPE,
+            name: name || 'Imported Configuration',
+            ...(created ? { created } : {}),
+            source,
+            variations: [{
+                id: id ?? 0,
+                name: name || 'Imported Configuration',
+                ...(system ? { system } : {}),
+                ...(timeline ? { timeline } : {}),
+                ...(modulation ? { modulation } : {}),
+                ...(postProcessing ? { postProcessing } : {}),
+                ...(compositor ? { compositor } : {}),
+                ...(scene ? { scene } : {}),
+                ...(physics ? { physics } : {}),
+                parameters: {
+                    // ExportManager kept the active variation index next to the parameters
+                    ...(typeof variation === 'number' ? { variation } : {}),
+                    ...parameters
+                }
+            }]
+        };
+    }
+
+    // Collections - the holographic ExportSystem used customVariations with a params object
+    const variations = data.variations || data.customVariations;
+    if (!Array.isArray(variations)) {
+        errors.push(`${source.type} has no variations array`);
+        return data;
+    }
+
+    const { type, version, customVariations, ...fields } = data;
+    return {
+        ...fields,
+        type: VARIATION_DOCUMENT_TYPE,
+        name: data.name || 'Imported Collection',
+        source,
+        variations: variations.map((variation, index) => {
+            if (!isPlainObject(variation)) {
+                errors.push(`${describeVariation(variation, index)} must be an object`);
+                return variation;
+            }
+
+            const { params, ...rest } = variation;
+            const parameters = variation.parameters || params;
+            if (!isPlainObject(parameters)) {
+                errors.push(`${describeVariation(variation, index)} has no parameters`);
+            }
+            return {
+                ...rest,
+                id: variation.id ?? index,
+                name: variation.name || `Variation ${index + 1}`,
+                parameters
+            };
+        })
+    };
+}
+
+/**
+ * v1 → v2: legacy holographic keys become the shared parameter names (see ParameterMapper)
+ */
+function renameLegacyParameters(document, errors) {
+    const renames = Object.entries(mapper.mappings.vib34d.from).filter(([legacy, current]) => legacy !== current);
+
+    document.variations.forEach((variation, index) => {
+        if (!isPlainObject(variation?.parameters)) {
+            errors.push(`${describeVariation(variation, index)} has no parameters`);
+            return;
+        }
+
+        const parameters = variation.parameters;
+        // The legacy names are the only record that a system-less variation came from holographic
+        if (!variation.system && renames.some(([legacy]) => legacy in parameters)) {
+            variation.system = 'holographic';
+        }
+
+        renames.forEach(([legacy, current]) => {
+            if (legacy in parameters) {
+                // Files that stored both names keep the current one
+                if (!(current in parameters)) {
+                    parameters[current] = parameters[legacy];
+                }
+                delete parameters[legacy];
+            }
+        });
+
+        // Older files stored numbers as strings (e.g. from form fields)
+        for (const [key, value] of Object.entries(parameters)) {
+            if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) {
+                parameters[key] = Number(value);
+            }
+        }
+    });
+
+    return document;
+}
+
+/**
+ * v2 → v3: system is required and all six rotation planes are stored explicitly
+ */
+function completeVariations(document, errors) {
+    document.variations.forEach((variation, index) => {
+        if (!variation.system) {
+            variation.system = inferSystem(variation.parameters);
+        } else if (!VARIATION_SYSTEMS.includes(variation.system)) {
+            errors.push(`${describeVariation(variation, index)} has unknown system "${variation.system}"`);
+        }
+
+        ROTATION_PLANES.forEach(plane => {
+            if (!(plane in variation.parameters)) {
+                variation.parameters[plane] = 0;
+            }
+        });
+    });
+
+    return document;
+}
+
+/**
+ * System of a variation that never recorded one - collections mix systems, so the file type says nothing.
+ * Polychora-only parameters mark a polychora variation, everything else loaded as faceted.
+ */
+function inferSystem(parameters) {
+    const polychoraKeys = Object.keys(mapper.mappings.polychora.from)
+        .filter(key => !(key in mapper.mappings.vib34d.from));
+    return polychoraKeys.some(key => key in parameters) ? 'polychora' : 'faceted';
+}
+
+function describeVariation(variation, index) {
+    const name = isPlainObject(variation) && variation.name ? ` ("${variation.name}")` : '';
+    return `variation ${index}${name}`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
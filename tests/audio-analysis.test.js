@@ -0,0 +1,106 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Audio Analysis', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Onsets, tempo and beats from a 120 BPM pulse', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { AudioAnalyzer } = await import('/src/audio/AudioAnalyzer.js');
+      const analyzer = new AudioAnalyzer({ sampleRate: 44100, fftSize: 256 });
+      const beats = [];
+      analyzer.on('beat', (beat) => beats.push(beat));
+
+      let onsets = 0;
+      let maxFlux = 0;
+      for (let frame = 0; frame < 60 * 8; frame++) {
+        const time = frame / 60;
+        const sinceKick = time % 0.5;
+        const spectrum = new Uint8Array(128).fill(20);
+        spectrum[40] = 120;                               // steady tone around 6.9kHz
+        if (sinceKick < 0.1) {
+          for (let i = 0; i < 8; i++) spectrum[i] = 250 - sinceKick * 2000;   // decaying kick
+        }
+
+        const features = analyzer.process(spectrum, time);
+        if (features.onset) onsets++;
+        maxFlux = Math.max(maxFlux, features.flux);
+      }
+
+      const offsets = beats.slice(-4).map(beat => {
+        const offset = beat.time % 0.5;
+        return Math.min(offset, 0.5 - offset);
+      });
+      return { onsets, maxFlux, features: analyzer.getFeatures(), beats: beats.length, offsets };
+    });
+
+    expect(result.onsets).toBeGreaterThanOrEqual(14);
+    expect(result.features.bpm).toBeCloseTo(120, 0);
+    expect(result.features.beatConfidence).toBeGreaterThan(0.5);
+    expect(result.features.centroid).toBeGreaterThan(0);
+    expect(result.features.brightness).toBeLessThan(1);
+    expect(result.maxFlux).toBeGreaterThan(0);
+    expect(result.beats).toBeGreaterThanOrEqual(10);
+    result.offsets.forEach(offset => expect(offset).toBeLessThan(0.05));
+  });
+
+  test('Clock jumping backwards restarts beat tracking', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { AudioAnalyzer } = await import('/src/audio/AudioAnalyzer.js');
+      const analyzer = new AudioAnalyzer();
+      const pulse = (time) => {
+        const spectrum = new Uint8Array(128);
+        if (time % 0.5 < 0.05) spectrum.fill(200, 0, 8);
+        return spectrum;
+      };
+
+      for (let frame = 0; frame < 60 * 4; frame++) analyzer.process(pulse(frame / 60), frame / 60);
+      const before = analyzer.getFeatures().bpm;
+      analyzer.process(pulse(0), 0);
+      return { before, after: analyzer.getFeatures().bpm };
+    });
+
+    expect(result.before).toBeGreaterThan(0);
+    expect(result.after).toBe(0);
+  });
+
+  test('Beats trigger the current click mode when enabled', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ReactivityManager } = await import('/src/core/ReactivityManager.js');
+      const manager = new ReactivityManager();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const updates = [];
+      manager.updateParameter = (param) => updates.push(param);
+      const beat = () => window.dispatchEvent(new CustomEvent('vib34d:beat', {
+        detail: { time: 0, bpm: 120, index: 0, downbeat: true, confidence: 1 }
+      }));
+
+      beat();
+      const whileDisabled = updates.length;
+      manager.toggleBeat(true);
+      beat();
+      return { whileDisabled, updates };
+    });
+
+    expect(result.whileDisabled).toBe(0);
+    expect(result.updates).toContain('morphFactor');
+  });
+
+  test('The BEAT toggle in the audio menu switches beat reactivity', async ({ page }) => {
+    await page.waitForFunction(() => window.reactivityManager, { timeout: 10000 });
+
+    const toggle = async (checked) => page.evaluate((checked) => {
+      const checkbox = document.getElementById('audioBeatToggle');
+      checkbox.checked = checked;
+      checkbox.dispatchEvent(new Event('change'));
+      return window.reactivityManager.beatEnabled;
+    }, checked);
+
+    expect(await toggle(true)).toBe(true);
+    expect(await toggle(false)).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Audio Sources', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Test tone drives the engine without a microphone', async ({ page }) => {
+    const state = await page.evaluate(async () => {
+      const engine = window.audioEngine;
+      const connected = await engine.useTestTone({ duration: 4, bpm: 120 }, false);
+
+      engine.setLoopRegion(1, 2);
+      engine.seek(1.5);
+      const looped = engine.getTransportState();
+
+      engine.clearLoopRegion();
+      engine.stopPlayback();
+      const stopped = engine.getTransportState();
+
+      return { connected, audioEnabled: window.audioEnabled, looped, stopped, bands: Object.keys(window.audioReactive) };
+    });
+
+    expect(state.connected).toBe(true);
+    expect(state.audioEnabled).toBe(true);
+    expect(state.looped).toMatchObject({ type: 'tone', duration: 4, looping: true, loopRegion: { start: 1, end: 2 } });
+    expect(state.looped.currentTime).toBeCloseTo(1.5, 5);
+    expect(state.stopped.currentTime).toBe(0);
+    expect(state.bands).toEqual(expect.arrayContaining(['bass', 'mid', 'high', 'energy']));
+  });
+
+  test('Generated tone is deterministic with kicks on the beat', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createTestToneBuffer } = await import('/js/audio/audio-sources.js');
+      const context = new OfflineAudioContext(1, 44100, 44100);
+
+      const first = createTestToneBuffer(context, { duration: 1, bpm: 120 }).getChannelData(0);
+      const second = createTestToneBuffer(context, { duration: 1, bpm: 120 }).getChannelData(0);
+
+      const peak = (from, to) => {
+        let max = 0;
+        for (let i = from; i < to; i++) max = Math.max(max, Math.abs(first[i]));
+        return max;
+      };
+
+      return {
+        identical: first.every((sample, i) => sample === second[i]),
+        onBeat: peak(0, 4410),              // first 100ms after the beat at 0s
+        beforeBeat: peak(17640, 22050)      // 100ms before the beat at 0.5s
+      };
+    });
+
+    expect(result.identical).toBe(true);
+    expect(result.onBeat).toBeGreaterThan(result.beforeBeat);
+  });
+
+  test('Invalid loop regions are rejected', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const { AudioBufferSource } = await import('/js/audio/audio-sources.js');
+      const context = new OfflineAudioContext(1, 44100, 44100);
+      const source = new AudioBufferSource(context.createBuffer(1, 44100, 44100));
+      await source.connect(context);
+      try {
+        source.setLoopRegion(0.8, 0.2);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    expect(message).toContain('Invalid loop region');
+  });
+});
@@ -0,0 +1,116 @@
+import { test, expect } from '@playwright/test';
+
+// Save the page's current state with the SAVE button, then load it back from its gallery card
+const saveAndReopenFromGallery = async (page) => {
+  await page.evaluate(() => window.saveToGallery());
+  const globalId = await page.evaluate(() => {
+    const collections = JSON.parse(localStorage.getItem('vib34d-unified-collections'));
+    const [, today] = collections.find(([key]) => key.startsWith('custom-saves-'));
+    return String(today.variations[today.variations.length - 1].globalId);
+  });
+
+  await page.goto('/gallery.html');
+  const card = `.variation-card[data-global-id="${globalId}"]`;
+  await page.waitForSelector(card, { state: 'attached', timeout: 15000 });
+  await page.evaluate(selector => window.loadIntoEngine(document.querySelector(selector), new Event('click')), card);
+
+  await page.waitForURL('**/index.html');
+  await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+};
+
+test.describe('Gallery Round Trip', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Saved timelines reload from the gallery', async ({ page }) => {
+    await page.evaluate(() => {
+      window.parameterTimeline.addKeyframe('hue', 0, 40);
+      window.parameterTimeline.addKeyframe('hue', 4, 300, 'easeInOutCubic');
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.parameterTimeline?.hasKeyframes(), null, { timeout: 5000 });
+    const keyframes = await page.evaluate(() => window.parameterTimeline.getKeyframes('hue'));
+    expect(keyframes.map(keyframe => keyframe.value)).toEqual([40, 300]);
+    expect(keyframes[1].easing).toBe('easeInOutCubic');
+  });
+
+  test('Saved modulation routes reload from the gallery', async ({ page }) => {
+    await page.evaluate(() => {
+      window.modulationMatrix.addRoute({ source: 'audio.bass', target: 'morphFactor', range: [0.5, 1.5], curve: 'sCurve' });
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.modulationMatrix?.getRoutes().length > 0, null, { timeout: 5000 });
+    const routes = await page.evaluate(() => window.modulationMatrix.getRoutes());
+    expect(routes).toHaveLength(1);
+    expect(routes[0]).toMatchObject({ source: 'audio.bass', target: 'morphFactor', range: [0.5, 1.5], curve: 'sCurve' });
+  });
+
+  test('Saved post-processing chains reload from the gallery', async ({ page }) => {
+    await page.evaluate(() => {
+      window.postProcessor.setChain(['vignette', 'bloom']);
+      window.postProcessor.setParameter('bloomIntensity', 1.5);
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.postProcessor?.getParameter('bloomIntensity') === 1.5, null, { timeout: 5000 });
+    expect(await page.evaluate(() => window.postProcessor.getChain())).toEqual(['vignette', 'bloom']);
+  });
+
+  test('Saved layer compositing reloads from the gallery', async ({ page }) => {
+    await page.evaluate(() => {
+      window.layerCompositor.setLayer('shadow', { blendMode: 'multiply', offsetY: 0.1 });
+      window.layerCompositor.setLayer('highlight', { opacity: 0.5 });
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.layerCompositor?.serialize() !== null, null, { timeout: 5000 });
+    expect(await page.evaluate(() => window.layerCompositor.serialize().layers)).toEqual({
+      shadow: { blendMode: 'multiply', offsetY: 0.1 },
+      highlight: { opacity: 0.5 }
+    });
+  });
+
+  test('Saved composite scenes reload from the gallery', async ({ page }) => {
+    await page.waitForFunction(() => !!window.sceneManager, null, { timeout: 10000 });
+    await page.evaluate(async () => {
+      await window.addSceneSystem('quantum');
+      window.updateSceneSetting('blendMode', 'screen');
+      window.updateSceneParameter('hue', 40);
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.sceneManager?.getSystems().length > 0, null, { timeout: 5000 });
+    const scene = await page.evaluate(() => window.sceneManager.serialize());
+    expect(scene.layers).toHaveLength(1);
+    expect(scene.layers[0]).toMatchObject({ system: 'quantum', blendMode: 'screen' });
+    expect(scene.layers[0].parameters.hue).toBe(40);
+    expect(await page.evaluate(() => document.querySelectorAll('#quantumLayers canvas').length)).toBe(5);
+  });
+
+  test('Saved physics worlds reload from the gallery', async ({ page }) => {
+    await page.evaluate(() => window.switchSystem('polychora', { type: 'cut' }));
+
+    const saved = await page.evaluate(async () => {
+      window.polychoraSystem.enablePhysics();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return window.polychoraSystem.getPhysicsState();
+    });
+
+    await saveAndReopenFromGallery(page);
+
+    await page.waitForFunction(() => window.currentSystem === 'polychora' && !!window.polychoraSystem?.getPhysicsState?.(), null, { timeout: 5000 });
+    const restored = await page.evaluate(() => window.polychoraSystem.getPhysicsState());
+    expect(restored.bodies.map(body => body.id)).toEqual(saved.bodies.map(body => body.id));
+    expect(restored.tick).toBeGreaterThanOrEqual(saved.tick);
+  });
+});
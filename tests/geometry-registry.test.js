@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Geometry Registry', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Built-in geometries are defined once and shared by names and shaders', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { GeometryRegistry } = await import('/src/geometry/GeometryRegistry.js');
+      const { GeometryLibrary } = await import('/src/geometry/GeometryLibrary.js');
+
+      return {
+        names: GeometryLibrary.getGeometryNames(),
+        klein: GeometryLibrary.getVariationParameters(4, 2),
+        holographic: GeometryRegistry.getShaderFunctions('holographic')
+      };
+    });
+
+    expect(result.names).toEqual(['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL']);
+    expect(result.klein.gridDensity).toBeCloseTo(11.2, 5);
+    expect(result.holographic).toContain('floor(geometryType / 8.0) * 8.0');
+  });
+
+  test('A ninth geometry only needs to be registered once', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { GeometryRegistry } = await import('/src/geometry/GeometryRegistry.js');
+      const { GeometryLibrary } = await import('/src/geometry/GeometryLibrary.js');
+
+      const index = GeometryRegistry.register({
+        id: 'gyroid',
+        name: 'GYROID',
+        variation: { gridDensity: 0.9 },
+        glsl: {
+          lattice: `vec3 q = p * gridSize * 6.28;
+          return 1.0 - smoothstep(0.0, 0.3, abs(dot(sin(q), cos(q.yzx))));`
+        }
+      });
+
+      return {
+        index,
+        name: GeometryLibrary.getGeometryName(index),
+        faceted: GeometryRegistry.getShaderFunctions('faceted'),
+        quantum: GeometryRegistry.getShaderFunctions('quantum'),
+        invalid: (() => {
+          try { GeometryRegistry.register({ id: 'broken', name: 'BROKEN', glsl: {} }); } catch (e) { return e.message; }
+          return null;
+        })()
+      };
+    });
+
+    expect(result.index).toBe(8);
+    expect(result.name).toBe('GYROID');
+    expect(result.faceted).toContain('if (geomType == 8) return gyroidGeometry(p);');
+    expect(result.quantum).toContain('float gyroidLattice(vec3 p, float gridSize)');
+    expect(result.invalid).toContain('GLSL lattice function');
+  });
+});
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+import { getPolytope } from '../src/geometry/RegularPolychora.js';
+import {
+  slicePolytope,
+  getSliceRange,
+  getHyperplaneBasis,
+  sweepPosition,
+  SliceController
+} from '../src/geometry/HyperplaneSlicer.js';
+
+const counts = slice => [slice.vertices.length, slice.edges.length, slice.faces.length];
+
+test.describe('Hyperplane Slicing', () => {
+
+  test('Known cross-sections of the regular polychora', () => {
+    const cube = slicePolytope('tesseract');
+    expect(counts(cube)).toEqual([8, 12, 6]);
+    cube.vertices.forEach(vertex => {
+      vertex.forEach(value => expect(Math.abs(value)).toBeCloseTo(0.5, 10));
+    });
+    expect(cube.faces.every(face => face.length === 4)).toBe(true);
+
+    // Vertex-first through the middle, the facet it touches first, and the 24-cell's equator
+    expect(counts(slicePolytope('tesseract', { normal: [1, 1, 1, 1] }))).toEqual([6, 12, 8]);
+    expect(counts(slicePolytope('tesseract', { offset: 0.5 }))).toEqual([8, 12, 6]);
+    expect(counts(slicePolytope('16-cell'))).toEqual([6, 12, 8]);
+    expect(counts(slicePolytope('24-cell'))).toEqual([12, 24, 14]);
+    expect(counts(slicePolytope('5-cell'))).toEqual([4, 6, 4]);
+  });
+
+  test('Every slice is a closed polyhedron', () => {
+    for (let polytope = 0; polytope < 6; polytope++) {
+      const mesh = getPolytope(polytope);
+      for (let i = 0; i < 8; i++) {
+        const normal = [Math.sin(i + 1), Math.cos(i * 2 + 1), Math.sin(i * 3 + 2), 0.5];
+        const rotation = { rot4dXW: i * 0.4, rot4dYZ: 0.3 };
+        const { min, max } = getSliceRange(mesh, { normal, rotation });
+        const slice = slicePolytope(mesh, { normal, rotation, offset: min + (max - min) * (i + 0.5) / 8 });
+        const [v, e, f] = counts(slice);
+
+        expect(v - e + f, `${mesh.id} slice ${i}`).toBe(2);
+        slice.faces.forEach(face => expect(face.length).toBeGreaterThanOrEqual(3));
+      }
+    }
+
+    const range = getSliceRange(getPolytope('tesseract'));
+    expect(range).toEqual({ min: -0.5, max: 0.5 });
+    expect(counts(slicePolytope('tesseract', { offset: 0.75 }))).toEqual([0, 0, 0]);
+    expect(counts(slicePolytope('16-cell', { offset: 1 }))).toEqual([1, 0, 0]);
+  });
+
+  test('Hyperplane bases are orthonormal and normals are validated', () => {
+    expect(getHyperplaneBasis([0, 0, 0, 2])).toEqual([[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]]);
+
+    const normal = [0.3, -0.2, 0.9, 0.1];
+    const length = Math.hypot(...normal);
+    const basis = getHyperplaneBasis(normal);
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    basis.forEach((axis, i) => {
+      expect(dot(axis, normal) / length).toBeCloseTo(0, 10);
+      basis.forEach((other, j) => expect(dot(axis, other)).toBeCloseTo(i === j ? 1 : 0, 10));
+    });
+
+    expect(() => slicePolytope('tesseract', { normal: [0, 0, 0, 0] })).toThrow('Slice normal must be a non-zero 4D vector');
+    expect(() => slicePolytope('tesseract', { normal: [1, 0, 0] })).toThrow('Slice normal must be a non-zero 4D vector');
+  });
+
+  test('Slice controller positions and sweeps the hyperplane', () => {
+    const controller = new SliceController();
+    expect(controller.compute('tesseract')).toBeNull();
+
+    controller.set({ enabled: true, position: 3 });
+    expect(controller.position).toBe(1);
+    expect(controller.move(-0.5)).toBe(0.5);
+
+    const slice = controller.compute('tesseract');
+    expect(slice.offset).toBeCloseTo(0.25, 10);
+    expect(slice.range).toEqual({ min: -0.5, max: 0.5 });
+    expect(counts(slice)).toEqual([8, 12, 6]);
+
+    // Sweeps continue from the current position and bounce between the extremes
+    controller.set({ position: -1, sweepSpeed: 2 });
+    expect(controller.advance(1)).toBeCloseTo(0, 10);
+    expect(controller.advance(1)).toBeCloseTo(1, 10);
+    expect(controller.advance(2)).toBeCloseTo(-1, 10);
+    expect(sweepPosition(0)).toBe(-1);
+
+    controller.set({ sweepSpeed: 0 });
+    expect(controller.advance(1)).toBeCloseTo(-1, 10);
+    expect(() => controller.set({ normal: 'w' })).toThrow('Slice normal must be a non-zero 4D vector');
+  });
+
+  test('The slice panel cuts the live polychora engine', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+    await page.evaluate(() => window.switchSystem('polychora', { type: 'cut' }));
+
+    const result = await page.evaluate(() => {
+      const engine = window.polychoraSystem;
+      window.updateParameter('geometry', 1);
+      window.updateSliceOffset(0.5);
+      window.toggleSlice();
+      const slice = engine.getSlice();
+      const sliced = { offset: slice.offset, vertices: slice.vertices.length, button: document.getElementById('sliceToggleBtn').textContent };
+      window.toggleSlice();
+      return { engine: engine.constructor.name, sliced, off: engine.getSlice(), display: document.getElementById('sliceOffset-display').textContent };
+    });
+
+    expect(result.engine).toBe('NewPolychoraEngine');
+    expect(result.sliced.offset).toBeCloseTo(0.25, 10);
+    expect(result.sliced).toMatchObject({ vertices: 8, button: 'SLICE: ON' });
+    expect(result.off).toBeNull();
+    expect(result.display).toBe('0.50');
+  });
+});
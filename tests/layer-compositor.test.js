@@ -0,0 +1,131 @@
+import { test, expect } from '@playwright/test';
+import { LayerCompositor, BLEND_MODES, blendChannel, getCanvasRole } from '../src/postfx/LayerCompositor.js';
+import { ReferenceRenderer } from '../src/reference/ReferenceRenderer.js';
+
+test.describe('Layer Compositor', () => {
+
+  test('Layer settings are validated and clamped', () => {
+    const compositor = new LayerCompositor();
+    expect(compositor.isActive()).toBe(false);
+
+    compositor.setLayer('accent', { blendMode: 'screen', opacity: 1.4, offsetX: -3 });
+    expect(compositor.getLayer('accent')).toEqual({ blendMode: 'screen', opacity: 1, offsetX: -1, offsetY: 0, overrides: {} });
+    expect(compositor.isActive()).toBe(true);
+
+    expect(() => compositor.setLayer('foreground', {})).toThrow('Unknown layer role: foreground');
+    expect(() => compositor.setLayer('accent', { blendMode: 'burn' })).toThrow('Unknown blend mode: burn');
+    expect(BLEND_MODES).toEqual(['normal', 'add', 'screen', 'multiply', 'difference', 'overlay']);
+  });
+
+  test('Overrides apply to one layer only and do not need the GPU pass', () => {
+    const compositor = new LayerCompositor();
+    const revision = compositor.revision;
+
+    expect(compositor.setOverride('background', 'hue', 500)).toBe(true);
+    expect(compositor.setOverride('background', 'gridDensity', 33.7)).toBe(true);
+    expect(compositor.setOverride('background', 'bloomIntensity', 1)).toBe(false);
+    expect(compositor.revision).toBeGreaterThan(revision);
+
+    const shared = { hue: 200, gridDensity: 15, chaos: 0.2 };
+    expect(compositor.getLayerParameters('background', shared)).toEqual({ hue: 360, gridDensity: 33.7, chaos: 0.2 });
+    expect(compositor.getLayerParameters('content', shared)).toBe(shared);
+    expect(compositor.hasOverrides()).toBe(true);
+    expect(compositor.isActive()).toBe(false);
+
+    compositor.setOverride('background', 'hue', null);
+    expect(compositor.getLayer('background').overrides).toEqual({ gridDensity: 33.7 });
+    compositor.clearOverrides();
+    expect(compositor.hasOverrides()).toBe(false);
+  });
+
+  test('Settings round-trip through serialize and load', () => {
+    const compositor = new LayerCompositor();
+    expect(compositor.serialize()).toBeNull();
+
+    compositor.setLayer('shadow', { blendMode: 'multiply', offsetY: 0.1 });
+    compositor.setLayer('highlight', { opacity: 0.5, overrides: { hue: 90 } });
+    const saved = compositor.serialize();
+    expect(saved).toEqual({
+      version: 1,
+      layers: {
+        shadow: { blendMode: 'multiply', offsetY: 0.1 },
+        highlight: { opacity: 0.5, overrides: { hue: 90 } }
+      }
+    });
+
+    const restored = new LayerCompositor();
+    expect(restored.load(JSON.parse(JSON.stringify(saved)))).toBe(true);
+    expect(restored.getLayers()).toEqual(compositor.getLayers());
+
+    restored.load(null);
+    expect(restored.serialize()).toBeNull();
+  });
+
+  test('Blend math matches the shader definitions', () => {
+    // Normal is premultiplied over, like the stacked canvases
+    expect(blendChannel('normal', 0.5, 0.2, 0.4)).toBeCloseTo(0.5);
+    expect(blendChannel('normal', 0.5, 0.2, 0.4, 0.5)).toBeCloseTo(0.5 * 0.8 + 0.1);
+    expect(blendChannel('add', 0.5, 0.3, 0.5)).toBeCloseTo(0.5 + (1 - 0.5) * 0.5);
+    expect(blendChannel('screen', 0.5, 0.5, 1)).toBeCloseTo(0.75);
+    expect(blendChannel('multiply', 0.5, 0.5, 1)).toBeCloseTo(0.25);
+    expect(blendChannel('difference', 0.2, 0.9, 1)).toBeCloseTo(0.7);
+    expect(blendChannel('overlay', 0.25, 0.5, 1)).toBeCloseTo(0.25);
+    expect(blendChannel('overlay', 0.75, 0.5, 1)).toBeCloseTo(0.75);
+    expect(blendChannel('multiply', 0.5, 0, 0)).toBe(0.5);
+
+    expect(getCanvasRole({ id: 'quantum-highlight-canvas' }, 0)).toBe('highlight');
+    expect(getCanvasRole({ id: 'overlay' }, 1)).toBe('shadow');
+  });
+
+  test('Reference renders honour per-layer settings', () => {
+    const renderer = new ReferenceRenderer({ width: 16, height: 12 });
+    const params = { geometry: 1, hue: 180 };
+    const plain = renderer.render('quantum', params, { time: 600 });
+    const defaults = renderer.render('quantum', params, { time: 600, layers: { content: { blendMode: 'normal', opacity: 1 } } });
+    const hidden = renderer.render('quantum', params, { time: 600, layers: { content: { opacity: 0 } } });
+    const withoutContent = renderer.render('quantum', params, { time: 600, roles: ['background', 'shadow', 'highlight', 'accent'] });
+    const difference = renderer.render('quantum', params, { time: 600, layers: { accent: { blendMode: 'difference' } } });
+    const overridden = renderer.render('quantum', params, { time: 600, layers: { content: { overrides: { hue: 20 } } } });
+
+    expect(ReferenceRenderer.compare(plain, defaults).maxDifference).toBe(0);
+    expect(ReferenceRenderer.compare(hidden, withoutContent).maxDifference).toBe(0);
+    expect(ReferenceRenderer.compare(plain, difference).mismatchedPixels).toBeGreaterThan(0);
+    expect(ReferenceRenderer.compare(plain, overridden).mismatchedPixels).toBeGreaterThan(0);
+  });
+
+  test('Compositing settings take over the display and save with the variation', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true && !!window.layerCompositor, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      window.selectLayerRole('accent');
+      window.updateLayerSetting('blendMode', 'difference');
+      window.updateLayerSetting('opacity', 0.6);
+      await new Promise(resolve => setTimeout(resolve, 400));
+
+      const overlay = document.querySelector('.post-processing-canvas');
+      const state = window.unifiedSaveManager?.captureCurrentState?.();
+      const panel = {
+        blend: document.getElementById('layerBlendMode').value,
+        opacity: document.getElementById('layerOpacity-display').textContent
+      };
+
+      window.layerCompositor.reset();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      return {
+        shown: overlay ? overlay.style.display !== 'none' : false,
+        saved: state ? state.compositor : undefined,
+        panel,
+        hiddenAfterReset: overlay ? overlay.style.display === 'none' : true
+      };
+    });
+
+    expect(result.shown).toBe(true);
+    expect(result.panel).toEqual({ blend: 'difference', opacity: '0.60' });
+    if (result.saved !== undefined) {
+      expect(result.saved).toEqual({ version: 1, layers: { accent: { blendMode: 'difference', opacity: 0.6 } } });
+    }
+    expect(result.hiddenAfterReset).toBe(true);
+  });
+});
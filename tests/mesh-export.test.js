@@ -0,0 +1,129 @@
+import { test, expect } from '@playwright/test';
+import {
+  buildPolytopeMesh,
+  exportPolytopeMesh,
+  projectPolytope,
+  resolvePolytope,
+  toGLTF,
+  toOBJ,
+  toSTL
+} from '../src/export/MeshExporter.js';
+
+const options = { segments: 6, edgeSamples: 1 };
+
+// Tubes: rings of `segments` per sample plus two caps; spheres: (bands - 1) rings plus two poles
+const tesseractCounts = () => {
+  const tube = { vertices: 2 * 6 + 2 * (1 + 6), triangles: 2 * 6 + 2 * 6 };
+  const sphere = { vertices: 2 * 6 + 2, triangles: 6 * 2 + 6 * 2 };
+  return {
+    vertices: 32 * tube.vertices + 16 * sphere.vertices,
+    triangles: 32 * tube.triangles + 16 * sphere.triangles
+  };
+};
+
+test.describe('Mesh Export', () => {
+
+  test('Tesseract becomes tubes and spheres', () => {
+    const mesh = buildPolytopeMesh({ polytope: 'tesseract' }, options);
+    const expected = tesseractCounts();
+    expect(mesh.name).toBe('Tesseract');
+    expect(mesh.vertexCount).toBe(expected.vertices);
+    expect(mesh.triangleCount).toBe(expected.triangles);
+    expect(Math.max(...mesh.indices)).toBeLessThan(mesh.vertexCount);
+
+    // Triangles face outward - every tube and sphere encloses a positive volume
+    const p = i => Array.from(mesh.positions.subarray(i * 3, i * 3 + 3));
+    let volume = 0;
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+      const [a, b, c] = [p(mesh.indices[i]), p(mesh.indices[i + 1]), p(mesh.indices[i + 2])];
+      volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+    }
+    expect(volume).toBeGreaterThan(0);
+
+    // Curving projections sample each edge in 4D
+    const curved = buildPolytopeMesh({ polytope: 'tesseract', projection: 2 }, { segments: 6 });
+    expect(curved.triangleCount).toBeGreaterThan(mesh.triangleCount);
+  });
+
+  test('Rotation, projection and scale move the mesh', () => {
+    const base = buildPolytopeMesh({ polytope: 'tesseract' }, options);
+    const rotated = buildPolytopeMesh({ polytope: 'tesseract', rot4dXW: 0.7, rot4dYZ: 0.3 }, options);
+    const orthographic = buildPolytopeMesh({ polytope: 'tesseract', projection: 'orthographic' }, options);
+    const doubled = buildPolytopeMesh({ polytope: 'tesseract' }, { ...options, scale: 2 });
+
+    expect(rotated.positions).not.toEqual(base.positions);
+    expect(orthographic.positions).not.toEqual(base.positions);
+    doubled.bounds.max.forEach((value, i) => expect(value).toBeCloseTo(base.bounds.max[i] * 2, 4));
+
+    // Orthographic keeps the unit circumradius, plus the sphere radius
+    const octahedron = buildPolytopeMesh({ polytope: '16-cell', projection: 'orthographic' }, options);
+    expect(octahedron.bounds.max[1]).toBeCloseTo(1 + 0.045, 6);
+  });
+
+  test('Polytopes resolve from the polychora geometry or polytope index', () => {
+    expect(resolvePolytope({ geometry: 1 })).toBe('tesseract');
+    expect(resolvePolytope({ geometry: 7 })).toBe('120-cell');
+    expect(resolvePolytope({ geometry: 7, polytope: 2 })).toBe('16-cell');
+    expect(resolvePolytope({ polytope: '3' })).toBe('24-cell');
+    expect(() => resolvePolytope({ geometry: 2 })).toThrow('Geometry 2 has no polytope mesh');
+    expect(() => buildPolytopeMesh({ polytope: 0 }, { edgeRadius: 0 })).toThrow('Mesh edgeRadius must be a positive number');
+    expect(() => exportPolytopeMesh('fbx', { polytope: 0 })).toThrow('Unknown mesh format: fbx');
+  });
+
+  test('Projected wireframes are the exact meshes the polychora engine draws', () => {
+    const cell600 = projectPolytope({ geometry: 6 });
+    expect(cell600.id).toBe('600-cell');
+    expect(cell600.vertices).toHaveLength(120);
+    expect(cell600.edges).toHaveLength(720);
+    expect(cell600.faces).toHaveLength(1200);
+    cell600.vertices.forEach(vertex => expect(vertex).toHaveLength(3));
+
+    // Orthographic drops w, so the unrotated tesseract is a unit-circumradius cube
+    const cube = projectPolytope({ geometry: 1, projection: 'orthographic' });
+    cube.vertices.forEach(vertex => vertex.forEach(value => expect(Math.abs(value)).toBeCloseTo(0.5, 10)));
+    const turned = projectPolytope({ geometry: 1, projection: 'orthographic', rot4dXY: 0.4 });
+    expect(turned.vertices).not.toEqual(cube.vertices);
+    expect(turned.edges).toBe(cube.edges);
+  });
+
+  test('OBJ, STL and glTF encode the same mesh', () => {
+    const mesh = buildPolytopeMesh({ polytope: '5-cell', hue: 120, saturation: 1 }, options);
+
+    const obj = toOBJ(mesh).trim().split('\n');
+    expect(obj.filter(line => line.startsWith('v ')).length).toBe(mesh.vertexCount);
+    expect(obj.filter(line => line.startsWith('vn ')).length).toBe(mesh.vertexCount);
+    expect(obj.filter(line => line.startsWith('f ')).length).toBe(mesh.triangleCount);
+
+    const stl = toSTL(mesh);
+    expect(stl.byteLength).toBe(84 + 50 * mesh.triangleCount);
+    expect(new DataView(stl).getUint32(80, true)).toBe(mesh.triangleCount);
+    expect(toSTL(mesh, { binary: false }).match(/facet normal/g).length).toBe(mesh.triangleCount);
+
+    const gltf = toGLTF(mesh);
+    expect(gltf.asset.version).toBe('2.0');
+    expect(gltf.meshes[0].primitives[0].attributes).toEqual({ POSITION: 0, NORMAL: 1, COLOR_0: 2 });
+    expect(gltf.accessors[3].count).toBe(mesh.triangleCount * 3);
+    const bytes = Buffer.from(gltf.buffers[0].uri.split(',')[1], 'base64');
+    expect(bytes.length).toBe(gltf.buffers[0].byteLength);
+    expect(bytes.length).toBe(mesh.vertexCount * 36 + mesh.triangleCount * 12);
+
+    const exported = exportPolytopeMesh('GLTF', { geometry: 0 }, options);
+    expect(exported.filename).toBe('vib34d-5-cell.gltf');
+    expect(exported.mimeType).toBe('model/gltf+json');
+    expect(JSON.parse(exported.content).buffers[0].byteLength).toBe(gltf.buffers[0].byteLength);
+  });
+
+  test('Vertex colors follow the hue', () => {
+    const green = buildPolytopeMesh({ polytope: 'tesseract', hue: 120, saturation: 1 }, options);
+    const red = buildPolytopeMesh({ polytope: 'tesseract', hue: 0, saturation: 1 }, options);
+
+    for (let i = 0; i < green.colors.length; i += 3) {
+      expect(green.colors[i + 1]).toBeGreaterThan(green.colors[i]);
+      expect(red.colors[i]).toBeGreaterThan(red.colors[i + 1]);
+    }
+
+    // The near side of w is brighter
+    const brightness = new Set(Array.from(green.colors.filter((_, i) => i % 3 === 1)).map(value => value.toFixed(3)));
+    expect(brightness.size).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,100 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('MIDI Input', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+    await page.evaluate(() => {
+      localStorage.removeItem('vib34d-midi-mappings');
+      localStorage.removeItem('vib34d-midi-presets');
+    });
+  });
+
+  test('Learned knobs drive sliders and notes switch variations', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { MIDIController } = await import('/js/interactions/midi-input.js');
+      const input = { id: 'mock-1', name: 'Mock Controller', onmidimessage: null };
+      const access = { inputs: new Map([[input.id, input]]), onstatechange: null };
+      const variations = [];
+
+      const midi = new MIDIController({
+        requestMIDIAccess: async () => access,
+        setVariation: (index) => variations.push(index)
+      });
+      const enabled = await midi.enable();
+      const send = (...data) => input.onmidimessage({ data: new Uint8Array(data) });
+
+      midi.learn('hue');
+      send(0xB0, 21, 0);          // binds CC 21 without moving the slider
+      send(0xB0, 21, 127);
+      const hueAtMax = window.userParameterState.hue;
+      send(0xB0, 21, 0);
+
+      send(0x90, 38, 100);        // noteBase 36 → variation 2
+      midi.learnVariation(10);
+      send(0x91, 60, 90);         // learned on channel 2
+      midi.setLearnMode(false);
+      send(0x91, 60, 90);
+      send(0x80, 38, 0);          // note off is ignored
+
+      return {
+        enabled,
+        hueAtMax,
+        hueSlider: document.getElementById('hue').value,
+        hueLabel: document.getElementById('hue').dataset.midi,
+        variations,
+        mappings: midi.getMappings()
+      };
+    });
+
+    expect(result.enabled).toBe(true);
+    expect(result.hueAtMax).toBe(360);
+    expect(result.hueSlider).toBe('0');
+    expect(result.hueLabel).toBe('CC 21 ch 1');
+    expect(result.variations).toEqual([2, 10]);
+    expect(result.mappings.controls).toEqual([{ channel: 1, control: 21, target: 'hue' }]);
+    expect(result.mappings.notes).toEqual([{ channel: 2, note: 60, index: 10 }]);
+  });
+
+  test('Mappings persist and presets round-trip through localStorage', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { MIDIController } = await import('/js/interactions/midi-input.js');
+      const first = new MIDIController({ requestMIDIAccess: async () => ({ inputs: new Map() }) });
+      first.bindControl(1, 74, 'morphFactor');
+      first.savePreset('Club Set');
+      first.clearAllMappings();
+      first.bindControl(3, 7, 'chaos');
+
+      // A fresh controller restores the last mapping, presets switch between sets
+      const second = new MIDIController({ requestMIDIAccess: async () => ({ inputs: new Map() }) });
+      const restored = second.getMappings().controls;
+      const loaded = second.loadPreset('Club Set');
+      const missing = second.loadPreset('Nope');
+
+      return { restored, loaded, missing, afterPreset: second.getMappings().controls, presets: second.getPresetNames() };
+    });
+
+    expect(result.restored).toEqual([{ channel: 3, control: 7, target: 'chaos' }]);
+    expect(result.loaded).toBe(true);
+    expect(result.missing).toBe(false);
+    expect(result.afterPreset).toEqual([{ channel: 1, control: 74, target: 'morphFactor' }]);
+    expect(result.presets).toEqual(['Club Set']);
+  });
+
+  test('Controls are published to the modulation matrix', async ({ page }) => {
+    const values = await page.evaluate(async () => {
+      const { MIDIController } = await import('/js/interactions/midi-input.js');
+      const midi = new MIDIController({ requestMIDIAccess: async () => ({ inputs: new Map() }), setVariation: () => {} });
+      midi.handleMessage([0xB0, 1, 127]);
+      midi.handleMessage([0x90, 48, 64]);
+      return {
+        cc: window.modulationMatrix.getSourceValue('midi.cc.1'),
+        note: window.modulationMatrix.getSourceValue('midi.note.48')
+      };
+    });
+
+    expect(values.cc).toBe(1);
+    expect(values.note).toBeCloseTo(64 / 127, 5);
+  });
+});
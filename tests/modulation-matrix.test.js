@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Modulation Matrix', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Routes map sources through range, curve and amount', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ModulationMatrix } = await import('/src/interactivity/ModulationMatrix.js');
+      const params = { hue: 200, gridDensity: 20, geometry: 1 };
+      const matrix = new ModulationMatrix({
+        applyParameter: (param, value) => { params[param] = value; },
+        readParameter: (param) => params[param] ?? null
+      });
+
+      const hueRoute = matrix.addRoute({ source: 'midi.cc.1', target: 'hue', range: [0, 100], amount: 0.5 });
+      matrix.addRoute({ source: 'midi.cc.2', target: 'density', range: [10, 50], curve: 'exponential' });
+      matrix.addRoute({ source: 'midi.cc.3', target: 'geometry', range: [0, 7] });
+      matrix.setSourceValue('midi.cc.1', 1);
+      matrix.setSourceValue('midi.cc.2', 0.5);
+      matrix.setSourceValue('midi.cc.3', 0.5);
+      matrix.update(1 / 60);
+      const modulated = { ...params };
+
+      // A manual change moves the base value underneath the modulation
+      params.hue = 300;
+      matrix.update(1 / 60);
+      const afterManual = params.hue;
+
+      matrix.removeRoute(hueRoute.id);
+      return { modulated, afterManual, released: params.hue, targets: matrix.getRoutes().map(route => route.target) };
+    });
+
+    expect(result.modulated.hue).toBeCloseTo(150, 5);            // halfway between 200 and 100
+    expect(result.modulated.gridDensity).toBeCloseTo(20, 5);     // 10 + 40 * 0.5²
+    expect(result.modulated.geometry).toBe(4);                   // 3.5 rounded
+    expect(result.afterManual).toBeCloseTo(200, 5);              // halfway between 300 and 100
+    expect(result.released).toBe(300);
+    expect(result.targets).toEqual(['gridDensity', 'geometry']);
+  });
+
+  test('LFOs and smoothing run on the update clock', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ModulationMatrix } = await import('/src/interactivity/ModulationMatrix.js');
+      const params = { chaos: 0, speed: 1 };
+      const matrix = new ModulationMatrix({
+        applyParameter: (param, value) => { params[param] = value; },
+        readParameter: (param) => params[param] ?? null
+      });
+
+      matrix.addLFO({ id: 'square', shape: 'square', rate: 1 });
+      matrix.addRoute({ source: 'lfo.square', target: 'chaos', range: [0, 1] });
+      matrix.addRoute({ source: 'midi.cc.9', target: 'speed', range: [0, 3], smoothing: 0.9 });
+
+      matrix.update(0.25);
+      const firstHalf = params.chaos;
+      matrix.update(0.5);
+      const secondHalf = params.chaos;
+
+      matrix.setSourceValue('midi.cc.9', 1);
+      matrix.update(1 / 60);
+      const smoothedStep = params.speed;
+
+      return { firstHalf, secondHalf, smoothedStep };
+    });
+
+    expect(result.firstHalf).toBe(1);
+    expect(result.secondHalf).toBe(0);
+    expect(result.smoothedStep).toBeGreaterThan(0);
+    expect(result.smoothedStep).toBeLessThan(3);
+  });
+
+  test('Routing round-trips through the variation schema and the menu API', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { VariationSchema } = await import('/src/variations/VariationSchema.js');
+      const menu = window.interactivityMenu;
+      const matrix = window.modulationMatrix;
+
+      menu.addCustomMapping('morphFactor', 'audio.bass', [0.5, 1.5], 0.6, { curve: 'sCurve' });
+      menu.addCustomMapping('hue', 'mouse.x');
+      const modulation = matrix.serialize();
+
+      const document = VariationSchema.createDocument({
+        name: 'Routed',
+        variations: [{ name: 'Routed', system: 'faceted', parameters: { hue: 180 }, modulation }]
+      });
+      const { valid } = VariationSchema.validate(document);
+
+      menu.removeMapping('hue');
+      const afterRemove = matrix.getRoutes().length;
+      matrix.load(document.variations[0].modulation);
+      const restored = matrix.getRoutes();
+      matrix.clearRoutes();
+
+      return { valid, afterRemove, restored };
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.afterRemove).toBe(1);
+    expect(result.restored).toHaveLength(2);
+    expect(result.restored[0]).toMatchObject({ source: 'audio.bass', target: 'morphFactor', range: [0.5, 1.5], curve: 'sCurve', smoothing: 0.6 });
+    expect(result.restored[1]).toMatchObject({ source: 'mouse.x', target: 'hue', range: [0, 360] });
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Offline Frame Renderer', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Renders frames at explicit times through a pluggable encoder', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { OfflineFrameRenderer } = await import('/src/export/OfflineFrameRenderer.js');
+
+      const renderTimes = [];
+      const canvas = document.createElement('canvas');
+      const target = {
+        getCanvases: () => [canvas],
+        setRenderSize: (w, h) => { canvas.width = w; canvas.height = h; },
+        renderFrame: (timeMs) => renderTimes.push(timeMs)
+      };
+
+      const encoded = [];
+      const encoder = {
+        begin: () => {},
+        addFrame: (frame, index, timeMs) => encoded.push({ index, timeMs, width: frame.width, height: frame.height }),
+        finish: () => ({ type: 'test', frames: encoded })
+      };
+
+      const offline = new OfflineFrameRenderer(target, { fps: 24, width: 320, height: 180, duration: 0.5, encoder });
+      const output = await offline.render();
+
+      return { renderTimes, output, canvasSize: [canvas.width, canvas.height] };
+    });
+
+    expect(result.output.frames).toHaveLength(12);
+    expect(result.renderTimes[1]).toBeCloseTo(1000 / 24, 5);
+    expect(result.output.frames[11]).toMatchObject({ index: 11, width: 320, height: 180 });
+    expect(result.canvasSize).toEqual([320, 180]);
+  });
+
+  test('The Video Export panel renders the active system and restores its canvases', async ({ page }) => {
+    await page.selectOption('#videoEncoder', 'png');
+    await page.selectOption('#videoSize', '1080x1080');
+    await page.locator('#videoDuration').evaluate(slider => {
+      slider.value = 1;
+      slider.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    await expect(page.locator('#videoDuration-display')).toHaveText('1s');
+
+    const result = await page.evaluate(async () => {
+      const output = await window.exportVideo();
+      return {
+        type: output.type,
+        frames: output.frames.length,
+        restored: window.currentEngine.visualizers.every(v => !v.fixedRenderSize)
+      };
+    });
+
+    expect(result).toEqual({ type: 'png-sequence', frames: 30, restored: true });
+    await expect(page.locator('#videoExportBtn')).toHaveText('EXPORT VIDEO');
+  });
+});
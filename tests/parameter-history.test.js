@@ -0,0 +1,213 @@
+import { test, expect } from '@playwright/test';
+import { ParameterHistory, TRANSIENT_SOURCES } from '../src/core/ParameterHistory.js';
+
+// History over a plain parameter object, on a hand-driven clock
+const createHistory = (options = {}) => {
+  const values = { hue: 200, chaos: 0.2, speed: 1, geometry: 0 };
+  const clock = { time: 0 };
+  const history = new ParameterHistory({
+    apply: (param, value) => {
+      values[param] = value;
+      history.record(param, value, 'history');
+    },
+    now: () => clock.time,
+    ...options
+  });
+  history.setValues(values);
+  const change = (param, value, source) => {
+    values[param] = value;
+    history.record(param, value, source);
+  };
+  return { history, values, clock, change };
+};
+
+test.describe('Parameter History', () => {
+
+  test('Changes undo and redo one step at a time', () => {
+    const { history, values, clock, change } = createHistory();
+    change('hue', 240);
+    history.seal();
+    clock.time = 100;
+    change('chaos', 0.8);
+
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['hue', 'chaos']);
+    expect(history.getEntries()[0].changes).toEqual({ hue: { from: 200, to: 240 } });
+
+    expect(history.undo().label).toBe('chaos');
+    expect(values.chaos).toBe(0.2);
+    history.undo();
+    expect(values.hue).toBe(200);
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toBeNull();
+
+    history.redo();
+    expect(values.hue).toBe(240);
+    expect(history.getEntries().map(entry => entry.applied)).toEqual([true, false]);
+
+    // A new change drops what was undone
+    change('speed', 2);
+    expect(history.canRedo()).toBe(false);
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['hue', 'speed']);
+  });
+
+  test('Slider drags coalesce into one step', () => {
+    const { history, values, clock, change } = createHistory();
+    [210, 220, 230, 250].forEach((hue, i) => {
+      clock.time = i * 100;
+      change('hue', hue);
+    });
+    expect(history.getEntries()).toHaveLength(1);
+    expect(history.getEntries()[0].changes.hue).toEqual({ from: 200, to: 250 });
+
+    // Releasing the slider, a pause, or another parameter starts a new step
+    history.seal();
+    change('hue', 260);
+    clock.time = 2000;
+    change('hue', 270);
+    change('chaos', 0.5);
+    change('chaos', 0.6, 'midi');
+    expect(history.getEntries().map(entry => entry.changes)).toEqual([
+      { hue: { from: 200, to: 250 } },
+      { hue: { from: 250, to: 260 } },
+      { hue: { from: 260, to: 270 } },
+      { chaos: { from: 0.2, to: 0.5 } },
+      { chaos: { from: 0.5, to: 0.6 } }
+    ]);
+
+    // Dragging back to the start leaves nothing to undo
+    change('speed', 1.5);
+    change('speed', 1);
+    expect(history.getEntries()).toHaveLength(5);
+    expect(values.speed).toBe(1);
+  });
+
+  test('Groups make randomize and AI output single steps', async () => {
+    const { history, values, change } = createHistory();
+
+    history.group('Randomize all', () => {
+      change('hue', 10);
+      change('chaos', 0.9);
+      change('hue', 20);
+      change('speed', 1); // Unchanged - left out
+    }, { source: 'randomize' });
+
+    const [entry] = history.getEntries();
+    expect(entry).toMatchObject({ label: 'Randomize all', source: 'randomize', params: ['hue', 'chaos'] });
+    expect(entry.changes.hue).toEqual({ from: 200, to: 20 });
+
+    // Asynchronous groups close when their promise settles
+    const applying = history.group('AI parameters', () => new Promise(resolve => setTimeout(() => {
+      change('geometry', 3);
+      resolve('done');
+    }, 10)), { source: 'llm' });
+    expect(history.getEntries()).toHaveLength(1);
+    await expect(applying).resolves.toBe('done');
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['Randomize all', 'AI parameters']);
+
+    history.goTo(0);
+    expect(values).toEqual({ hue: 200, chaos: 0.2, speed: 1, geometry: 0 });
+    history.goTo(2);
+    expect(values).toEqual({ hue: 20, chaos: 0.9, speed: 1, geometry: 3 });
+
+    // Nested groups join the outer one; empty and failed groups still close
+    history.group('Outer', () => history.group('Inner', () => change('speed', 3)));
+    history.group('Nothing', () => {});
+    expect(() => history.group('Broken', () => { throw new Error('boom'); })).toThrow('boom');
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['Randomize all', 'AI parameters', 'Outer']);
+    change('chaos', 0.1);
+    expect(history.getEntries()).toHaveLength(4);
+  });
+
+  test('Transient effects are never undo steps', () => {
+    const { history, values, change } = createHistory();
+    expect(TRANSIENT_SOURCES).toEqual(['reactivity', 'tilt', 'mouse', 'sync', 'history', 'timeline', 'modulation']);
+
+    change('hue', 230, 'reactivity');
+    change('hue', 260);
+    change('chaos', 0.4, 'tilt');
+    expect(history.getEntries().map(entry => entry.changes)).toEqual([{ hue: { from: 230, to: 260 } }]);
+
+    // Undo doesn't record itself
+    history.undo();
+    expect(values.hue).toBe(230);
+    expect(history.canRedo()).toBe(true);
+
+    // Unknown starting values can't be undone; disabled histories record nothing
+    expect(history.record('bloomIntensity', 0.5)).toBe(false);
+    expect(history.record('bloomIntensity', 0.7)).toBe(true);
+    history.enabled = false;
+    expect(history.record('hue', 90)).toBe(false);
+  });
+
+  test('History is capped and reports changes', () => {
+    const { history, change } = createHistory({ limit: 3 });
+    const seen = [];
+    const unsubscribe = history.onChange(h => seen.push(h.index));
+
+    [2, 3, 4, 5, 6].forEach(speed => {
+      change('speed', speed);
+      history.seal();
+    });
+    expect(history.getEntries().map(entry => entry.changes.speed.to)).toEqual([4, 5, 6]);
+    history.undo();
+    expect(seen).toEqual([1, 2, 3, 3, 3, 2]);
+
+    unsubscribe();
+    history.clear();
+    expect(history.getEntries()).toEqual([]);
+    expect(seen).toHaveLength(6);
+  });
+});
+
+test.describe('Parameter History on the page', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    // The dynamic logo wraps updateParameter once it starts - changes must still reach the history through it
+    await page.waitForFunction(() => window.moduleReady === true && window.dynamicLogoSystem?.isInitialized, null, { timeout: 10000 });
+  });
+
+  test('Moving a slider can be undone and redone from the keyboard', async ({ page }) => {
+    const hue = page.locator('#hue');
+    await hue.evaluate(slider => {
+      [230, 260, 290].forEach(value => {
+        slider.value = value;
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+      slider.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    expect(await page.evaluate(() => window.parameterHistory.getEntries().map(entry => entry.changes))).toEqual([
+      { hue: { from: 200, to: 290 } }
+    ]);
+    await expect(page.locator('#historyList li')).toHaveCount(2);
+
+    await page.keyboard.press('Control+z');
+    await expect(hue).toHaveValue('200');
+    expect(await page.evaluate(() => window.userParameterState.hue)).toBe(200);
+
+    // Undoing didn't record itself
+    expect(await page.evaluate(() => window.parameterHistory.getEntries().length)).toBe(1);
+
+    await page.keyboard.press('Control+Shift+z');
+    await expect(hue).toHaveValue('290');
+    expect(await page.evaluate(() => window.userParameterState.hue)).toBe(290);
+  });
+
+  test('Transient sources reach the engine without becoming steps', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const announced = [];
+      window.addEventListener('vib34d:parameter', event => announced.push(event.detail.param));
+      const savedChaos = window.userParameterState.chaos;
+
+      window.updateParameter('chaos', 0.7, 'reactivity');
+      window.updateParameter('speed', 2.5, 'tilt');
+      return {
+        entries: window.parameterHistory.getEntries().length,
+        engineChaos: window.currentEngine.parameterManager.getParameter('chaos'),
+        savedUnchanged: window.userParameterState.chaos === savedChaos,
+        announced
+      };
+    });
+    expect(result).toEqual({ entries: 0, engineChaos: 0.7, savedUnchanged: true, announced: [] });
+  });
+});
@@ -0,0 +1,116 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Parameter Timeline', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Keyframes interpolate with easing and clamp to parameter ranges', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ParameterTimeline } = await import('/src/timeline/ParameterTimeline.js');
+      const applied = [];
+      const timeline = new ParameterTimeline({ applyParameter: (p, v) => applied.push([p, v]) });
+
+      timeline.addKeyframe('hue', 0, 0, 'linear');
+      timeline.addKeyframe('hue', 2, 200, 'linear');
+      timeline.addKeyframe('chaos', 0, 5); // clamped to 1
+      timeline.addKeyframe('density', 0, 20); // legacy name resolves to gridDensity
+      timeline.addKeyframe('geometry', 0, 1);
+      timeline.addKeyframe('geometry', 2, 5);
+
+      return {
+        midHue: timeline.evaluate(1).hue,
+        chaos: timeline.evaluate(0).chaos,
+        tracks: timeline.getTrackNames().sort(),
+        geometryBeforeEnd: timeline.evaluate(1.9).geometry,
+        seekApplied: timeline.seek(2) && applied.length > 0
+      };
+    });
+
+    expect(result.midHue).toBeCloseTo(100, 5);
+    expect(result.chaos).toBe(1);
+    expect(result.tracks).toEqual(['chaos', 'geometry', 'gridDensity', 'hue']);
+    expect(result.geometryBeforeEnd).toBe(1);
+    expect(result.seekApplied).toBe(true);
+  });
+
+  test('Loop and ping-pong modes wrap the playhead', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ParameterTimeline } = await import('/src/timeline/ParameterTimeline.js');
+      const timeline = new ParameterTimeline({ duration: 4, applyParameter: () => {} });
+      timeline.addKeyframe('speed', 0, 1);
+
+      timeline.update(5);
+      const looped = timeline.currentTime;
+
+      timeline.setLoopMode('pingpong');
+      timeline.currentTime = 3;
+      timeline.update(2);
+      const bounced = { time: timeline.currentTime, direction: timeline.direction };
+
+      return { looped, bounced };
+    });
+
+    expect(result.looped).toBeCloseTo(1, 5);
+    expect(result.bounced.time).toBeCloseTo(3, 5);
+    expect(result.bounced.direction).toBe(-1);
+  });
+
+  test('Timeline round-trips through serialize/load', async ({ page }) => {
+    const restored = await page.evaluate(async () => {
+      const { ParameterTimeline } = await import('/src/timeline/ParameterTimeline.js');
+      const timeline = new ParameterTimeline({ applyParameter: () => {} });
+      timeline.addKeyframe('rot4dXW', 0, -1);
+      timeline.addKeyframe('rot4dXW', 3, 1, 'easeOutBounce');
+      timeline.setLoopMode('pingpong');
+
+      const copy = ParameterTimeline.fromJSON(JSON.parse(JSON.stringify(timeline.serialize())), { applyParameter: () => {} });
+      return { loopMode: copy.loopMode, keyframes: copy.getKeyframes('rot4dXW') };
+    });
+
+    expect(restored.loopMode).toBe('pingpong');
+    expect(restored.keyframes).toHaveLength(2);
+    expect(restored.keyframes[1].easing).toBe('easeOutBounce');
+  });
+
+  test('Timeline panel keys, scrubs and plays the shared timeline', async ({ page }) => {
+    await page.waitForFunction(() => !!window.parameterTimeline, { timeout: 10000 });
+    const setSlider = (selector, value) => page.locator(selector).evaluate((slider, value) => {
+      slider.value = value;
+      slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }, value);
+
+    // Key hue at 0s and 5s (the scrub slider is a fraction of the 10s duration)
+    await page.selectOption('#timelineParam', 'hue');
+    await page.selectOption('#timelineEasing', 'linear');
+    await setSlider('#hue', 40);
+    await page.click('#timelineSection button:has-text("+ KEY")');
+    await setSlider('#timelinePosition', 500);
+    await setSlider('#hue', 300);
+    await page.click('#timelineSection button:has-text("+ KEY")');
+
+    expect(await page.evaluate(() => window.parameterTimeline.getKeyframes('hue').map(k => [k.time, k.value]))).toEqual([[0, 40], [5, 300]]);
+    await expect(page.locator('#timelineKeyframeCount')).toHaveText('2 keyframes · 1 track');
+
+    // Scrubbing drives the active system
+    await setSlider('#timelinePosition', 250);
+    await expect(page.locator('#timelinePosition-display')).toHaveText('2.50s / 10.00s');
+    expect(await page.evaluate(() => window.parameterTimeline.evaluate(2.5).hue)).toBeCloseTo(170, 5);
+
+    // Removing at the playhead only takes the key under it
+    await setSlider('#timelinePosition', 500);
+    await page.click('#timelineSection button:has-text("− KEY")');
+    expect(await page.evaluate(() => window.parameterTimeline.getKeyframes('hue').map(k => k.time))).toEqual([0]);
+
+    await page.selectOption('#timelineLoopMode', 'pingpong');
+    await page.click('#timelinePlayBtn');
+    expect(await page.evaluate(() => ({ playing: window.parameterTimeline.isPlaying, loopMode: window.parameterTimeline.loopMode })))
+      .toEqual({ playing: true, loopMode: 'pingpong' });
+
+    await page.click('#timelineSection button[title="Stop"]');
+    expect(await page.evaluate(() => ({ playing: window.parameterTimeline.isPlaying, time: window.parameterTimeline.currentTime })))
+      .toEqual({ playing: false, time: 0 });
+  });
+});
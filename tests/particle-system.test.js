@@ -0,0 +1,207 @@
+import { test, expect } from '@playwright/test';
+import { ParticleSystem4D, EMITTER_SOURCES, FORCE_FIELD_TYPES } from '../src/particles/ParticleSystem4D.js';
+import { Polychora4DPhysics } from '../src/physics/Polychora4DPhysics.js';
+
+// Particles that only move where the test tells them to
+const createParticles = (parameters = {}) => new ParticleSystem4D({
+  capacity: 512,
+  parameters: { speed: 0, spread: 0, gravityScale: 0, charge: 0, drag: 0, audioReactivity: 0, ...parameters }
+});
+
+const particleAt = (particles, i) => Array.from(particles.positions.subarray(i * 4, i * 4 + 4));
+const velocityOf = (particles, i) => Array.from(particles.velocities.subarray(i * 4, i * 4 + 4));
+
+test.describe('4D Particle System', () => {
+
+  test('Emitters launch from tesseract vertices, edges and cells', () => {
+    expect(EMITTER_SOURCES).toEqual(['vertices', 'edges', 'cells']);
+    const half = 0.5; // Unit-circumradius tesseract vertices are (±½, ±½, ±½, ±½)
+
+    EMITTER_SOURCES.forEach(source => {
+      const particles = createParticles();
+      const emitter = particles.addEmitter({ polytope: 'tesseract', source, position: [1, 0, 0, 0] });
+      expect(emitter.id).toBe('emitter_1');
+      expect(particles.emit(emitter, 100)).toBe(100);
+
+      for (let i = 0; i < particles.count; i++) {
+        const local = particleAt(particles, i).map((value, k) => Math.abs(value - emitter.position[k]));
+        const onSurface = local.filter(value => Math.abs(value - half) < 1e-5).length;
+        local.forEach(value => expect(value).toBeLessThanOrEqual(half + 1e-5));
+        if (source === 'vertices') expect(onSurface).toBe(4);
+        if (source === 'edges') expect(onSurface).toBeGreaterThanOrEqual(3);
+        if (source === 'cells') expect(onSurface).toBeGreaterThanOrEqual(1);
+      }
+    });
+
+    const particles = createParticles();
+    expect(() => particles.addEmitter({ source: 'faces' })).toThrow('Unknown emitter source');
+  });
+
+  test('Particles launch outwards, age and die, staying packed', () => {
+    const particles = createParticles({ speed: 1, lifetime: 1, lifetimeVariance: 0, emissionRate: 0 });
+    const emitter = particles.addEmitter({ polytope: '16-cell' });
+    particles.emit(emitter, 10);
+
+    // 16-cell vertices lie on the axes - each particle flies straight out along its own
+    for (let i = 0; i < 10; i++) {
+      const position = particleAt(particles, i);
+      velocityOf(particles, i).forEach((value, k) => expect(value).toBeCloseTo(position[k], 5));
+    }
+    expect(particles.sizes[0]).toBeCloseTo(6, 5);
+    expect(particles.colors[3]).toBeCloseTo(1, 5);
+
+    for (let i = 0; i < 5; i++) particles.step(0.1);
+    expect(particles.count).toBe(10);
+    expect(particles.sizes[0]).toBeCloseTo(3.5, 4);
+    expect(particles.colors[3]).toBeCloseTo(0.5, 4);
+
+    // Younger particles swap into the slots of the dead ones
+    particles.emit(emitter, 5);
+    for (let i = 0; i < 6; i++) particles.step(0.1);
+    expect(particles.count).toBe(5);
+    expect(Array.from(particles.ages.subarray(0, 5)).every(age => age < 1)).toBe(true);
+    expect(particles.getBuffers()).toMatchObject({ count: 5 });
+    expect(particles.getBuffers().positions.length).toBe(20);
+    expect(particles.getBuffers().sizes.length).toBe(5);
+
+    // Full systems stop emitting
+    particles.clear();
+    const full = new ParticleSystem4D({ capacity: 8 });
+    expect(full.emit(full.addEmitter(), 20)).toBe(8);
+  });
+
+  test('Emission rate and seed make runs reproducible', () => {
+    const run = seed => {
+      const particles = new ParticleSystem4D({ seed, parameters: { emissionRate: 45 } });
+      particles.addEmitter({ polytope: '24-cell', source: 'edges' });
+      for (let i = 0; i < 10; i++) particles.step(0.1);
+      return particles;
+    };
+
+    // 4.5 per step - the half particles carry over
+    expect(run(1).count).toBe(45);
+    expect(Array.from(run(1).getBuffers().positions)).toEqual(Array.from(run(1).getBuffers().positions));
+    expect(Array.from(run(1).getBuffers().positions)).not.toEqual(Array.from(run(2).getBuffers().positions));
+  });
+
+  test('Particles follow the physics world fields', () => {
+    const physics = new Polychora4DPhysics();
+    physics.setGravity([0, -10, 0, 0]);
+    physics.setMagneticField([0, 0, 0, 0]);
+    physics.setFluidFlow([0, 0, 0, 0]);
+
+    const particles = new ParticleSystem4D({ physics, parameters: { speed: 0, spread: 0, gravityScale: 1, drag: 0, charge: 1, emissionRate: 0, lifetime: 100 } });
+    particles.emit(particles.addEmitter({ polytope: '16-cell' }), 1);
+    particles.step(0.1);
+    [0, -1, 0, 0].forEach((value, k) => expect(velocityOf(particles, 0)[k]).toBeCloseTo(value, 5));
+
+    // Magnetic field along Z turns X motion into -Y motion, at constant speed
+    physics.setGravity([0, 0, 0, 0]);
+    physics.setMagneticField([0, 0, 2, 0]);
+    particles.velocities.set([1, 0, 0, 0], 0);
+    particles.step(0.01);
+    const [vx, vy, , vw] = velocityOf(particles, 0);
+    expect(vy).toBeCloseTo(-0.02, 5);
+    expect(vw).toBe(0);
+    expect(Math.hypot(vx, vy)).toBeCloseTo(1, 3);
+
+    // Fluid drag pulls the velocity towards the flow
+    physics.setMagneticField([0, 0, 0, 0]);
+    physics.setFluidFlow([0, 0, 0, 2]);
+    particles.setParameters({ drag: 5 });
+    for (let i = 0; i < 20; i++) particles.step(0.1);
+    expect(velocityOf(particles, 0)[3]).toBeCloseTo(2, 2);
+  });
+
+  test('Force fields attract, repel and swirl', () => {
+    expect(FORCE_FIELD_TYPES).toEqual(['attractor', 'repulsor', 'vortex']);
+    const forceAt = (options, position) => {
+      const particles = createParticles();
+      particles.addForceField(options);
+      const force = [0, 0, 0, 0];
+      particles.applyForceFields(position, force);
+      return force;
+    };
+
+    expect(forceAt({ type: 'attractor', strength: 2 }, [1, 0, 0, 0])).toEqual([-1, 0, 0, 0]);
+    expect(forceAt({ type: 'repulsor', strength: 2, position: [0, 0, 0, 1] }, [0, 0, 0, 3])).toEqual([0, 0, 0, 0.4]);
+    expect(forceAt({ type: 'vortex', plane: 'XW', strength: 2 }, [1, 0, 0, 0])).toEqual([0, 0, 0, 1]);
+
+    const particles = createParticles();
+    const field = particles.addForceField({ type: 'vortex', plane: 'ZW' });
+    expect(field).toMatchObject({ id: 'field_1', plane: 'ZW', axes: [2, 3] });
+    particles.removeForceField(field.id);
+    expect(particles.forceFields).toEqual([]);
+    expect(() => particles.addForceField({ type: 'sink' })).toThrow('Unknown force field type');
+    expect(() => particles.addForceField({ type: 'vortex', plane: 'XX' })).toThrow('Unknown vortex plane');
+  });
+
+  test('Audio bands and click events drive emission and bursts', () => {
+    // A stand-in with ReactivityManager's on() and getAudioBands()
+    const listeners = [];
+    const bands = { bass: 0, mid: 0, high: 0, energy: 0 };
+    const reactivity = {
+      on: (event, handler) => {
+        listeners.push({ event, handler });
+        return () => listeners.splice(listeners.findIndex(listener => listener.handler === handler), 1);
+      },
+      getAudioBands: () => ({ ...bands })
+    };
+
+    const particles = new ParticleSystem4D({ parameters: { emissionRate: 30, burstCount: 40, lifetime: 10 } });
+    particles.addEmitter({ polytope: '5-cell' });
+    particles.addEmitter({ polytope: '5-cell', source: 'cells' });
+    particles.connectReactivity(reactivity);
+    expect(listeners.map(listener => listener.event)).toEqual(['click']);
+
+    particles.step(0.1);
+    const quiet = particles.count;
+    expect(quiet).toBe(6);
+
+    // Full bass triples the rate - rate × (1 + 2 × bass) - and highs shift the hue
+    bands.bass = 1;
+    bands.high = 0.5;
+    particles.step(0.1);
+    expect(particles.count - quiet).toBe(18);
+    expect(particles.hues[particles.count - 1]).toBeCloseTo(310, 5);
+
+    // A click bursts from every emitter, half as many at half intensity
+    const before = particles.count;
+    listeners[0].handler({ x: 0.5, y: 0.5, intensity: 0.5, source: 'click' });
+    expect(particles.count - before).toBe(40);
+
+    particles.disconnectReactivity();
+    expect(listeners).toEqual([]);
+  });
+
+  test('The particle panel runs particles in the live polychora engine', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+    await page.evaluate(() => window.switchSystem('polychora', { type: 'cut' }));
+
+    const result = await page.evaluate(async () => {
+      const engine = window.polychoraSystem;
+      window.updateParameter('geometry', 1);
+      window.toggleParticles();
+      window.updateParticleSetting('source', 'edges');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const live = engine.getParticles().getBuffers().count;
+      window.updateParameter('geometry', 5);
+      const emitters = engine.getParticles().getEmitters().map(emitter => [emitter.polytope, emitter.source]);
+      window.toggleParticles();
+      return {
+        engine: engine.constructor.name,
+        live,
+        emitters,
+        off: engine.getParticles().getBuffers().count,
+        button: document.getElementById('particleToggleBtn').textContent
+      };
+    });
+
+    expect(result.engine).toBe('NewPolychoraEngine');
+    expect(result.live).toBeGreaterThan(0);
+    expect(result.emitters).toEqual([['24-cell', 'edges']]);
+    expect(result.off).toBe(0);
+    expect(result.button).toBe('PARTICLES: OFF');
+  });
+});
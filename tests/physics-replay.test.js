@@ -0,0 +1,133 @@
+import { test, expect } from '@playwright/test';
+import { Polychora4DPhysics, PHYSICS_STATE_VERSION } from '../src/physics/Polychora4DPhysics.js';
+import { SeededRandom, hashSeed } from '../src/physics/SeededRandom.js';
+import { VariationSchema } from '../src/variations/VariationSchema.js';
+
+// Four jostling bodies with strong Brownian motion and a spring, so any randomness shows up
+const createWorld = seed => {
+  const physics = new Polychora4DPhysics({ seed });
+  physics.enable();
+  ['tesseract', '16-cell', '24-cell', '5-cell'].forEach((type, i) => {
+    physics.createRigidBody(type, [i * 0.9 - 1.3, (i % 2) * 0.4, 0, 0.2 * i], { brownianMotion: 2 });
+  });
+  physics.addConstraint('spring', 'body_1', 'body_2', { restLength: 1 });
+  return physics;
+};
+
+const run = (physics, steps) => {
+  for (let i = 0; i < steps; i++) physics.step();
+  return JSON.stringify(physics.serialize());
+};
+
+test.describe('Physics Determinism and Replay', () => {
+
+  test('Seeded random numbers repeat and can resume mid-sequence', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a.next());
+    expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+
+    const saved = a.getState();
+    const next = a.next();
+    const resumed = new SeededRandom(0);
+    resumed.setState(saved);
+    expect(resumed.next()).toBe(next);
+
+    expect(hashSeed('polychora')).toBe(hashSeed('polychora'));
+    expect(new SeededRandom('polychora').next()).not.toBe(new SeededRandom('tesseract').next());
+  });
+
+  test('Same seed and inputs give the same world', () => {
+    expect(run(createWorld(7), 200)).toBe(run(createWorld(7), 200));
+    expect(run(createWorld(7), 200)).not.toBe(run(createWorld(8), 200));
+    expect(createWorld(1).bodies.map(body => body.id)).toEqual(['body_1', 'body_2', 'body_3', 'body_4']);
+  });
+
+  test('Fixed steps keep the result independent of frame timing', () => {
+    const physics = createWorld(1);
+    const frames = [0.016, 0.033, 0.005, 0.1, 0.012];
+    const steps = frames.reduce((sum, elapsed) => sum + physics.advance(elapsed), 0);
+
+    // 0.1 s is capped at maxSubSteps (5) steps; the remainder carries over
+    expect(steps).toBe(8);
+    expect(physics.tick).toBe(8);
+    expect(physics.accumulator).toBeGreaterThan(0);
+    expect(physics.accumulator).toBeLessThan(physics.timeStep);
+
+    const stepped = createWorld(1);
+    for (let i = 0; i < 8; i++) stepped.step();
+    expect(stepped.bodies).toEqual(physics.bodies);
+  });
+
+  test('Serialized worlds continue exactly where they left off', () => {
+    const world = createWorld(5);
+    world.setGravity([0, -1, 0, 0]);
+    world.setTargetPosition('body_3', [0, 0, 1, 0]);
+    run(world, 120);
+
+    const saved = JSON.parse(JSON.stringify(world.serialize()));
+    expect(saved.version).toBe(PHYSICS_STATE_VERSION);
+    expect(saved.tick).toBe(120);
+    expect(saved.settings.gravity4D).toEqual([0, -1, 0, 0]);
+    expect(saved.bodies).toHaveLength(4);
+    expect(saved.bodies[2].targetPosition).toEqual([0, 0, 1, 0]);
+    expect(saved.constraints[0]).toMatchObject({ type: 'spring', bodyA: 'body_1', bodyB: 'body_2' });
+
+    const restored = new Polychora4DPhysics();
+    expect(restored.loadState(saved)).toBe(true);
+    expect(run(restored, 100)).toBe(run(world, 100));
+    expect(restored.createRigidBody('5-cell').id).toBe('body_5');
+
+    expect(() => restored.loadState({ version: 99, bodies: [] })).toThrow('Invalid physics state');
+  });
+
+  test('Recorded sessions replay exactly', () => {
+    const world = createWorld(3);
+    world.startRecording();
+    expect(world.isRecording()).toBe(true);
+    for (let i = 0; i < 150; i++) {
+      if (i === 20) world.addExternalForce('body_1', [30, 0, 0, 0]);
+      if (i === 60) world.createRigidBody('600-cell', [0, 2, 0, 0]);
+      if (i === 90) world.setGravity([0, -3, 0, 0]);
+      if (i === 100) world.addConstraint('distance', 'body_3', 'body_5');
+      world.step();
+    }
+    const recording = JSON.parse(JSON.stringify(world.stopRecording()));
+    const final = JSON.stringify(world.serialize());
+
+    expect(recording.ticks).toBe(150);
+    expect(recording.events.map(event => [event.tick, event.type])).toEqual([
+      [20, 'addExternalForce'], [60, 'createRigidBody'], [90, 'setGravity'], [100, 'addConstraint']
+    ]);
+
+    // All at once
+    const replayed = new Polychora4DPhysics();
+    replayed.startReplay(recording, { run: true });
+    expect(JSON.stringify(replayed.serialize())).toBe(final);
+    expect(replayed.isReplaying()).toBe(false);
+
+    // Following the clock
+    const live = new Polychora4DPhysics();
+    live.startReplay(recording);
+    while (live.tick < 150) live.advance(live.timeStep);
+    expect(live.tick).toBe(150);
+    expect(JSON.stringify(live.serialize())).toBe(final);
+
+    recording.events.push({ tick: 151, type: 'loadState', args: [] });
+    expect(() => new Polychora4DPhysics().startReplay(recording)).toThrow('Invalid physics recording input');
+  });
+
+  test('Physics worlds save with gallery variations', () => {
+    const physics = JSON.parse(JSON.stringify(createWorld(2).serialize()));
+    const document = VariationSchema.createDocument({
+      name: 'Physics',
+      variations: [{ name: 'Physics', system: 'polychora', parameters: { hue: 280 }, physics }]
+    });
+    expect(VariationSchema.validate(document).valid).toBe(true);
+    expect(document.variations[0].physics.bodies).toHaveLength(4);
+  });
+});
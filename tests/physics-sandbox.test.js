@@ -0,0 +1,200 @@
+import { test, expect } from '@playwright/test';
+import { Polychora4DPhysics, RECORDED_INPUTS } from '../src/physics/Polychora4DPhysics.js';
+import { PhysicsSandbox, SANDBOX_TOOLS } from '../src/physics/PhysicsSandbox.js';
+
+// Empty 800×600 sandbox in orthographic view - 100 pixels per world unit, origin at the centre
+const createSandbox = (gravity = [0, 0, 0, 0]) => {
+  const physics = new Polychora4DPhysics();
+  physics.enable();
+  physics.setGravity(gravity);
+  physics.setFluidFlow([0, 0, 0, 0]);
+  const sandbox = new PhysicsSandbox(physics, { width: 800, height: 600 });
+  sandbox.setView({ projection: 'orthographic' });
+  sandbox.spawnOptions.brownianMotion = 0.000001;
+  return { physics, sandbox };
+};
+
+test.describe('Physics Sandbox', () => {
+
+  test('Pinned bodies hold still and stop what hits them', () => {
+    const { physics } = createSandbox([0, -9.8, 0, 0]);
+    const floor = physics.createRigidBody('tesseract', [0, -1, 0, 0], { brownianMotion: 0.000001 });
+    const falling = physics.createRigidBody('tesseract', [0, 0.5, 0, 0], { brownianMotion: 0.000001, elasticity: 0.05 });
+    physics.setBodyPinned(floor, true);
+
+    for (let i = 0; i < 180; i++) physics.step();
+
+    expect(floor.position).toEqual([0, -1, 0, 0]);
+    expect(floor.velocity).toEqual([0, 0, 0, 0]);
+    expect(falling.position[1]).toBeGreaterThan(-0.6);
+    expect(falling.position[1]).toBeLessThan(0);
+
+    // A pendulum hung from a pinned body swings, the pin doesn't
+    const bob = physics.createRigidBody('5-cell', [1.5, -1, 0, 0], { brownianMotion: 0.000001 });
+    physics.addConstraint('distance', floor, bob);
+    for (let i = 0; i < 60; i++) physics.step();
+    expect(floor.position).toEqual([0, -1, 0, 0]);
+    expect(physics.distance4D(floor.position, bob.position)).toBeCloseTo(1.5, 1);
+  });
+
+  test('Body material and position can be edited', () => {
+    const { physics } = createSandbox();
+    const body = physics.createRigidBody('24-cell', [0, 0, 0, 0]);
+    const inertia = [...body.inertia4D];
+
+    physics.setBodyProperties(body.id, { mass: 4, elasticity: 0.3, magneticSusceptibility: -1, position: [9, 9, 9, 9] });
+    expect(body.mass).toBe(4);
+    expect(body.elasticity).toBe(0.3);
+    expect(body.magneticSusceptibility).toBe(-1);
+    expect(body.position).toEqual([0, 0, 0, 0]);
+    body.inertia4D.forEach((value, k) => expect(value).toBeCloseTo(inertia[k] * 4, 10));
+
+    physics.moveBody(body, [1, 2, 3, 4], [0.5, 0, 0, 0]);
+    expect(body.position).toEqual([1, 2, 3, 4]);
+    expect(body.velocity).toEqual([0.5, 0, 0, 0]);
+
+    expect(RECORDED_INPUTS).toEqual(expect.arrayContaining(['setBodyProperties', 'setBodyPinned', 'moveBody']));
+  });
+
+  test('Screen positions map to 4D and back', () => {
+    const { physics, sandbox } = createSandbox();
+    expect(sandbox.project([1, 1, 0, 0])).toMatchObject({ x: 500, y: 200 });
+    expect(sandbox.unproject(500, 200)).toEqual([1, 1, 0, 0]);
+
+    // In perspective, a point further along W sits nearer the centre and unprojects at its depth
+    sandbox.setView({ projection: 'perspective' });
+    const point = [1.2, -0.4, 0.3, 0.8];
+    const { x, y, depth } = sandbox.project(point);
+    expect(Math.abs(x - 400)).toBeLessThan(120);
+    sandbox.unproject(x, y, depth, point[3]).forEach((value, i) => expect(value).toBeCloseTo(point[i], 6));
+
+    const near = sandbox.spawn('tesseract', [1, 0, 0, 0]);
+    const far = sandbox.spawn('tesseract', [-1.5, 0, 0, 0]);
+    const centre = sandbox.project(near.position);
+    expect(sandbox.pick(centre.x + 5, centre.y)).toBe(near);
+    expect(sandbox.pick(sandbox.project(far.position).x, centre.y)).toBe(far);
+    expect(sandbox.pick(20, 20)).toBeNull();
+    expect(physics.getAllBodies().length).toBe(2);
+  });
+
+  test('Tools spawn, drag, throw, pin and delete bodies', () => {
+    const { physics, sandbox } = createSandbox();
+    expect(SANDBOX_TOOLS.map(tool => tool.id)).toEqual(['select', 'spawn', 'delete', 'pin', 'push', 'gravity', 'magnetic', 'fluid']);
+    expect(() => sandbox.setTool('lasso')).toThrow('Unknown sandbox tool');
+
+    sandbox.setTool('spawn');
+    sandbox.spawnType = '16-cell';
+    sandbox.pointerDown(600, 300);
+    const body = physics.getAllBodies()[0];
+    expect(body.polytopeType).toBe('16-cell');
+    expect(body.position).toEqual([2, 0, 0, 0]);
+    expect(sandbox.getSelected()).toBe(body);
+
+    // Drag it up by one unit over 100 ms and let go - it carries on at 10 units/s
+    sandbox.setTool('select');
+    sandbox.pointerDown(600, 300, 0);
+    sandbox.pointerMove(600, 250, 50);
+    sandbox.pointerMove(600, 200, 100);
+    physics.step();
+    sandbox.update();
+    expect(body.position).toEqual([2, 1, 0, 0]);
+    sandbox.pointerUp(600, 200, 110);
+    expect(body.velocity[1]).toBeCloseTo(10, 6);
+
+    const at = sandbox.project(body.position);
+    sandbox.setTool('pin');
+    sandbox.pointerDown(at.x, at.y);
+    expect(body.pinned).toBe(true);
+    expect(body.velocity).toEqual([0, 0, 0, 0]);
+
+    sandbox.setTool('delete');
+    sandbox.pointerDown(at.x, at.y);
+    expect(physics.getAllBodies()).toEqual([]);
+    expect(sandbox.getSelected()).toBeNull();
+  });
+
+  test('Strokes paint fields and push bodies', () => {
+    const { physics, sandbox } = createSandbox();
+    physics.setMagneticField([0, 0, 1, 0]);
+
+    sandbox.setTool('gravity');
+    sandbox.pointerDown(400, 300);
+    sandbox.pointerMove(400, 350);
+    expect(physics.gravity4D).toEqual([0, 0, 0, 0]);
+    sandbox.pointerUp(400, 400);
+    expect(physics.gravity4D).toEqual([0, -1, 0, 0]);
+
+    sandbox.fieldStrength = 2;
+    sandbox.setTool('magnetic');
+    sandbox.pointerDown(400, 300);
+    sandbox.pointerUp(450, 300);
+    expect(physics.magneticField).toEqual([1, 0, 1, 0]);
+
+    const body = sandbox.spawn('5-cell', [0, 0, 0, 0]);
+    sandbox.setTool('push');
+    sandbox.pointerDown(400, 300);
+    sandbox.pointerUp(500, 300);
+    physics.setGravity([0, 0, 0, 0]);
+    physics.step();
+    expect(body.velocity[0]).toBeCloseTo(2, 1);
+  });
+
+  test('Inspector reports the selected body and sessions replay', () => {
+    const { physics, sandbox } = createSandbox();
+    physics.startRecording();
+
+    const body = sandbox.spawn('tesseract', [0, 0, 0, 0]);
+    body.angularVelocity = [0, 0, 0, 1.5, 0, 0];
+    sandbox.setBodyProperty('elasticity', 0.25);
+    sandbox.setBodyProperty('magneticSusceptibility', 1.5);
+    for (let i = 0; i < 10; i++) physics.step();
+
+    const info = sandbox.inspect();
+    expect(info).toMatchObject({ id: body.id, name: 'Tesseract', pinned: false, elasticity: 0.25, magneticSusceptibility: 1.5 });
+    expect(info.angularVelocity.XW).toBeGreaterThan(1.4);
+    expect(info.speed).toBeCloseTo(Math.hypot(...body.velocity), 10);
+    sandbox.select(null);
+    expect(sandbox.inspect()).toBeNull();
+
+    // Everything but the hand-set spin went through recorded inputs
+    body.angularVelocity = [0, 0, 0, 0, 0, 0];
+    const second = sandbox.spawn('5-cell', [1.5, 0, 0, 0]);
+    sandbox.togglePin(second);
+    physics.moveBody(second, [1.5, 1, 0, 0]);
+    for (let i = 0; i < 30; i++) physics.step();
+    const recording = physics.stopRecording();
+
+    const replayed = new Polychora4DPhysics();
+    replayed.startReplay(recording, { run: true });
+    expect(replayed.getBodyById(second.id)).toMatchObject({ pinned: true, position: [1.5, 1, 0, 0] });
+    expect(replayed.getBodyById(body.id).elasticity).toBe(0.25);
+  });
+
+  test('The sandbox panel edits the live polychora engine world', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+    await page.evaluate(() => window.switchSystem('polychora', { type: 'cut' }));
+
+    const result = await page.evaluate(async () => {
+      const engine = window.polychoraSystem;
+      window.toggleSandbox();
+      const body = engine.getSandbox().spawn('tesseract', [0, 1, 0, 0]);
+      const start = [...body.position];
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const state = engine.getPhysicsState();
+      const overlay = document.getElementById('polychora-sandbox-canvas');
+      const shown = overlay?.style.display;
+      window.toggleSandbox();
+      return {
+        engine: engine.constructor.name,
+        bodies: state.bodies.length,
+        moved: body.position.some((value, i) => value !== start[i]),
+        shown,
+        hidden: overlay?.style.display,
+        button: document.getElementById('sandboxToggleBtn').textContent
+      };
+    });
+
+    expect(result).toEqual({ engine: 'NewPolychoraEngine', bodies: 1, moved: true, shown: 'block', hidden: 'none', button: 'SANDBOX: OFF' });
+  });
+});
@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+import { Polychora4DPhysics, CONSTRAINT_TYPES } from '../src/physics/Polychora4DPhysics.js';
+import {
+  collideConvex,
+  getConvexHull,
+  gjkIntersect,
+  placeHull,
+  rotateByAngles,
+  unrotateByAngles
+} from '../src/physics/ConvexCollision4D.js';
+
+const still = [0, 0, 0, 0, 0, 0];
+
+// Weightless world without thermal noise or territorial push, so only contacts and joints act
+const createWorld = (gravity = [0, 0, 0, 0]) => {
+  const physics = new Polychora4DPhysics();
+  physics.enable();
+  physics.setGravity(gravity);
+  return physics;
+};
+
+const createBody = (physics, type, position) => {
+  const body = physics.createRigidBody(type, position, { territorial: 0.01 });
+  body.brownianMotion = 0;
+  return body;
+};
+
+test.describe('Polychora 4D Physics', () => {
+
+  test('Hulls touch where the polytopes do, not their circumspheres', () => {
+    const hull = getConvexHull('tesseract', 0.5);
+    expect(hull.facets.length).toBe(8);
+    expect(hull.axes.length).toBe(4);
+
+    const a = placeHull(hull, [0, 0, 0, 0], still);
+    const touching = collideConvex(a, placeHull(hull, [0.45, 0, 0, 0], still));
+    expect(touching.normal).toEqual([1, 0, 0, 0]);
+    expect(touching.depth).toBeCloseTo(0.05, 6);
+    expect(touching.points.length).toBe(16);
+
+    // Circumspheres (radius 0.5) overlap at 0.8, the cubes' faces don't
+    expect(collideConvex(a, placeHull(hull, [0.8, 0, 0, 0], still))).toBeNull();
+    expect(gjkIntersect(a.vertices, placeHull(hull, [0.8, 0, 0, 0], still).vertices).distance).toBeCloseTo(0.3, 6);
+
+    // Turned 45° in XY, the second tesseract reaches 0.25·√2 towards the first
+    const turned = collideConvex(a, placeHull(hull, [0.55, 0, 0, 0], [Math.PI / 4, 0, 0, 0, 0, 0]));
+    expect(turned.depth).toBeCloseTo(0.25 + 0.25 * Math.SQRT2 - 0.55, 6);
+    expect(turned.point[0]).toBeCloseTo(0.55 - 0.25 * Math.SQRT2, 6);
+
+    const rotation = [0.3, 0.2, -0.5, 1, 0.4, 2];
+    unrotateByAngles(rotateByAngles([0.3, -0.2, 0.5, 0.1], rotation), rotation)
+      .forEach((value, i) => expect(value).toBeCloseTo([0.3, -0.2, 0.5, 0.1][i], 10));
+  });
+
+  test('Collision shape can fall back to spheres', () => {
+    const physics = createWorld();
+    const a = createBody(physics, 'tesseract', [0, 0, 0, 0]);
+    const b = createBody(physics, 'tesseract', [0.8, 0, 0, 0]);
+    expect(physics.findContact(a, b)).toBeNull();
+
+    physics.setCollisionShape('sphere');
+    expect(physics.findContact(a, b).depth).toBeCloseTo(0.2, 6);
+  });
+
+  test('Off-centre impacts spin both bodies and conserve momentum', () => {
+    const physics = createWorld();
+    physics.airResistance = 0;
+    const a = createBody(physics, 'tesseract', [0, 0, 0, 0]);
+    const b = createBody(physics, 'tesseract', [1.0, 0.3, 0, 0]);
+    b.rotation = [0.5, 0, 0, 0.3, 0, 0];
+    b.velocity = [-2, 0, 0, 0];
+
+    for (let i = 0; i < 40; i++) physics.step();
+
+    const momentum = [0, 1, 2, 3].map(i => a.velocity[i] * a.mass + b.velocity[i] * b.mass);
+    momentum.forEach((value, i) => expect(value).toBeCloseTo([-2, 0, 0, 0][i], 6));
+    expect(a.velocity[0]).toBeLessThan(0);
+    expect(Math.abs(a.angularVelocity[0])).toBeGreaterThan(0.1);
+    expect(Math.abs(b.angularVelocity[3])).toBeGreaterThan(0.1);
+  });
+
+  test('Distance joints hold a pendulum at its length', () => {
+    const physics = createWorld([0, -9.8, 0, 0]);
+    const bob = createBody(physics, '5-cell', [1, 0, 0, 0]);
+    const joint = physics.addConstraint('distance', bob, null, { anchorB: [0, 0, 0, 0] });
+    expect(joint.length).toBeCloseTo(1, 10);
+
+    let lowest = 0;
+    for (let i = 0; i < 120; i++) {
+      physics.step();
+      expect(physics.distance4D(bob.position, [0, 0, 0, 0])).toBeCloseTo(1, 1);
+      lowest = Math.min(lowest, bob.position[1]);
+    }
+    expect(lowest).toBeLessThan(-0.9);
+  });
+
+  test('Hinges only turn in their plane and springs settle at rest length', () => {
+    const physics = createWorld();
+    const a = createBody(physics, 'tesseract', [0, 0, 0, 0]);
+    const b = createBody(physics, 'tesseract', [1, 0, 0, 0]);
+    const hinge = physics.addConstraint('hinge', a, b, { plane: 'XW' });
+    b.angularVelocity = [1, 0.5, 0.3, 2, 0.7, 0.2];
+
+    for (let i = 0; i < 120; i++) physics.step();
+
+    b.rotation.forEach((angle, k) => {
+      if (k === hinge.planeIndex) return;
+      expect(physics.wrapAngle(angle - a.rotation[k])).toBeCloseTo(0, 2);
+    });
+    expect(Math.abs(physics.wrapAngle(b.rotation[3] - a.rotation[3]))).toBeGreaterThan(0.5);
+    expect(physics.distance4D(physics.anchorPoint(a, hinge.anchorA), physics.anchorPoint(b, hinge.anchorB))).toBeLessThan(0.05);
+
+    const springWorld = createWorld();
+    const c = createBody(springWorld, '5-cell', [0, 0, 0, 0]);
+    const d = createBody(springWorld, '5-cell', [3, 0, 0, 0]);
+    springWorld.addConstraint('spring', c, d, { restLength: 2, stiffness: 10, damping: 1 });
+    for (let i = 0; i < 600; i++) springWorld.step();
+    expect(springWorld.distance4D(c.position, d.position)).toBeCloseTo(2, 1);
+  });
+
+  test('Constraints are validated and removed with their bodies', () => {
+    const physics = createWorld();
+    const a = createBody(physics, '5-cell', [0, 0, 0, 0]);
+    const b = createBody(physics, '5-cell', [2, 0, 0, 0]);
+
+    expect(CONSTRAINT_TYPES).toEqual(['distance', 'hinge', 'spring']);
+    expect(() => physics.addConstraint('weld', a, b)).toThrow('Unknown constraint type');
+    expect(() => physics.addConstraint('hinge', a, b, { plane: 'XQ' })).toThrow('Unknown hinge plane');
+    expect(() => physics.addConstraint('distance', a, 'missing')).toThrow('must exist');
+
+    const joint = physics.addConstraint('distance', a.id, b.id);
+    expect(joint.length).toBeCloseTo(2, 10);
+    physics.addConstraint('spring', a, b);
+    expect(physics.getConstraints().length).toBe(2);
+
+    physics.removeConstraint(joint.id);
+    expect(physics.getConstraints().length).toBe(1);
+    physics.removeBody(b.id);
+    expect(physics.getConstraints().length).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+import { test, expect } from '@playwright/test';
+import { PostProcessor } from '../src/postfx/PostProcessor.js';
+import { POST_EFFECTS, getPostParameterDefs, isPostParameter } from '../src/postfx/PostEffects.js';
+import { ParameterManager } from '../src/core/Parameters.js';
+
+test.describe('Post Processing', () => {
+
+  test('Effect parameters are registered as global parameters', () => {
+    const defs = new ParameterManager().parameterDefs;
+    Object.keys(getPostParameterDefs()).forEach(name => {
+      expect(defs[name]).toBeDefined();
+      expect(defs[name].default).toBeUndefined();
+    });
+    expect(isPostParameter('bloomIntensity')).toBe(true);
+    expect(isPostParameter('hue')).toBe(false);
+  });
+
+  test('Effects start disabled and enable from their parameters', () => {
+    const processor = new PostProcessor();
+    expect(processor.isActive()).toBe(false);
+    expect(processor.serialize()).toBeNull();
+
+    processor.setParameter('kaleidoSegments', 1);
+    expect(processor.isActive()).toBe(false);
+
+    processor.setParameter('kaleidoSegments', 5.6);
+    processor.setParameter('bloomIntensity', 10);
+    expect(processor.getParameter('kaleidoSegments')).toBe(6);
+    expect(processor.getParameter('bloomIntensity')).toBe(3);
+    expect(processor.getActiveEffects().map(effect => effect.id)).toEqual(['kaleidoscope', 'bloom']);
+    expect(processor.setParameter('unknownParam', 1)).toBe(false);
+  });
+
+  test('Chain order is validated and serialized', () => {
+    const processor = new PostProcessor();
+    const events = [];
+    processor.on('chain', data => events.push(data.chain));
+
+    expect(() => processor.setChain(['bloom', 'sparkles'])).toThrow('Unknown post effect: sparkles');
+    processor.setChain(['vignette', 'bloom', 'vignette']);
+    expect(processor.getChain()).toEqual(['vignette', 'bloom']);
+    expect(events).toEqual([['vignette', 'bloom']]);
+
+    processor.setParameter('bloomIntensity', 1.5);
+    processor.setParameter('feedbackAmount', 0.5);
+    // Feedback is not in the chain, so only bloom runs
+    expect(processor.getActiveEffects().map(effect => effect.id)).toEqual(['bloom']);
+
+    const saved = processor.serialize();
+    expect(saved).toEqual({
+      version: 1,
+      chain: ['vignette', 'bloom'],
+      parameters: { bloomIntensity: 1.5, feedbackAmount: 0.5 }
+    });
+
+    const restored = new PostProcessor();
+    expect(restored.load(saved)).toBe(true);
+    expect(restored.getChain()).toEqual(['vignette', 'bloom']);
+    expect(restored.getParameter('bloomIntensity')).toBe(1.5);
+
+    restored.load(null);
+    expect(restored.isActive()).toBe(false);
+    expect(restored.getChain()).toEqual(POST_EFFECTS.map(effect => effect.id));
+  });
+
+  test('Processed frame is drawn over the active system', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true && !!window.postProcessor, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      window.updateParameter('bloomIntensity', 1.5);
+      window.updateParameter('vignetteAmount', 0.8);
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const canvas = document.querySelector('.post-processing-canvas');
+      const saved = window.postProcessor.serialize();
+
+      window.updateParameter('bloomIntensity', 0);
+      window.updateParameter('vignetteAmount', 0);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      return {
+        created: !!canvas,
+        width: canvas?.width || 0,
+        saved,
+        hiddenAfterReset: canvas ? canvas.style.display === 'none' : true,
+        display: document.getElementById('bloomIntensity-display')?.textContent
+      };
+    });
+
+    expect(result.created).toBe(true);
+    expect(result.width).toBeGreaterThan(0);
+    expect(result.saved.parameters).toEqual({ bloomIntensity: 1.5, vignetteAmount: 0.8 });
+    expect(result.hiddenAfterReset).toBe(true);
+    expect(result.display).toBe('0.00');
+  });
+});
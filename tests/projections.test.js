@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import {
+  PROJECTION_MODES,
+  PROJECTION_GLSL,
+  ProjectionBlender,
+  getProjectionIndex,
+  getProjectionWeights,
+  projectPoint,
+  unprojectPoint
+} from '../src/geometry/Projections.js';
+import { ReferenceRenderer } from '../src/reference/ReferenceRenderer.js';
+
+const expectPoint = (actual, expected) => {
+  expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 10));
+};
+
+test.describe('4D Projections', () => {
+
+  test('Each mode projects with its own formula', () => {
+    const p = [0.3, -0.2, 0.4, 0.5];
+
+    // Default perspective is the projection the shaders used to hard-code
+    const w = 2.5 / (2.5 + p[3]);
+    expectPoint(projectPoint(p), [p[0] * w, p[1] * w, p[2] * w]);
+    expectPoint(projectPoint(p, { weights: getProjectionWeights('perspective'), distance: 5 }), p.slice(0, 3).map(v => v * 5 / 5.5));
+    expectPoint(projectPoint(p, { weights: getProjectionWeights('orthographic') }), [0.3, -0.2, 0.4]);
+
+    // Stereographic: the equator of the 3-sphere stays put, the pole opposite the viewpoint goes to the origin
+    const stereographic = { weights: getProjectionWeights('stereographic') };
+    expectPoint(projectPoint([0, 1, 0, 0], stereographic), [0, 1, 0]);
+    expectPoint(projectPoint([0, 0, 0, 1], stereographic), [0, 0, 0]);
+    const unit = [0.5, 0.5, 0.5, 0.5];
+    expectPoint(projectPoint(unit, stereographic), [1 / 3, 1 / 3, 1 / 3]);
+
+    // Schlegel: the near cell of a tesseract frames the far one
+    const schlegel = { weights: getProjectionWeights('schlegel') };
+    const near = projectPoint([0.5, 0.5, 0.5, -0.5], schlegel);
+    const far = projectPoint([0.5, 0.5, 0.5, 0.5], schlegel);
+    expect(near[0]).toBeGreaterThan(far[0] * 2);
+
+    expect(PROJECTION_GLSL).toContain('uniform vec4 u_projectionWeights;');
+    expect(PROJECTION_GLSL).toContain('vec3 project4Dto3D(vec4 p)');
+  });
+
+  test('Unprojecting finds the 4D point that projects back', () => {
+    PROJECTION_MODES.forEach(({ id }) => {
+      const projection = { weights: getProjectionWeights(id), distance: 3 };
+      [[0.2, -0.1, 0.3], [1, 0.5, 0], [0.6, 0.6, 0.6]].forEach(q => {
+        [0, 0.4, 0.9].forEach(w => {
+          const p = unprojectPoint(q, w, projection);
+          expect(p[3]).toBe(w);
+          projectPoint(p, projection).forEach((value, i) => expect(value, id).toBeCloseTo(q[i], 3));
+        });
+      });
+    });
+  });
+
+  test('Modes are chosen by index or id', () => {
+    expect(PROJECTION_MODES.map(mode => mode.id)).toEqual(['perspective', 'orthographic', 'stereographic', 'schlegel']);
+    expect(getProjectionIndex('schlegel')).toBe(3);
+    expect(getProjectionIndex('2')).toBe(2);
+    expect(getProjectionIndex(1.2)).toBe(1);
+    expect(getProjectionIndex('fisheye')).toBe(0);
+    expect(getProjectionIndex(7)).toBe(0);
+    expect(getProjectionWeights(2)).toEqual([0, 0, 1, 0]);
+  });
+
+  test('Switching modes blends the weights', () => {
+    let now = 0;
+    const blender = new ProjectionBlender({ duration: 600, now: () => now });
+
+    expect(blender.update(1)).toEqual([0, 1, 0, 0]);
+    now = 100;
+    expect(blender.update(2)).toEqual([0, 1, 0, 0]);
+
+    now = 400;
+    const halfway = blender.update(2);
+    expect(halfway[1]).toBeCloseTo(0.5, 10);
+    expect(halfway[2]).toBeCloseTo(0.5, 10);
+
+    // Switching again mid-blend starts from where the weights are
+    const reversed = blender.update(0);
+    expect(reversed[1]).toBeCloseTo(0.5, 10);
+    expect(reversed[0]).toBe(0);
+    now = 1000;
+    expect(blender.update(0)).toEqual([1, 0, 0, 0]);
+
+    expect(blender.update('orthographic', true)).toEqual([0, 1, 0, 0]);
+  });
+
+  test('Reference renders follow the projection', () => {
+    const renderer = new ReferenceRenderer({ width: 16, height: 12 });
+    const params = { geometry: 3, hue: 120 };
+    const baseline = renderer.render('quantum', params, { time: 900 });
+    const perspective = renderer.render('quantum', { ...params, projection: 0, projectionDistance: 2.5 }, { time: 900 });
+    const orthographic = renderer.render('quantum', { ...params, projection: 1 }, { time: 900 });
+    const holographic = renderer.render('holographic', { projection: 2 }, { time: 900, variant: 3 });
+
+    expect(ReferenceRenderer.compare(baseline, perspective).maxDifference).toBe(0);
+    expect(ReferenceRenderer.compare(baseline, orthographic).mismatchedPixels).toBeGreaterThan(0);
+    expect(ReferenceRenderer.compare(renderer.render('holographic', {}, { time: 900, variant: 3 }), holographic).mismatchedPixels).toBeGreaterThan(0);
+  });
+});
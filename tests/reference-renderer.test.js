@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { ReferenceRenderer } from '../src/reference/ReferenceRenderer.js';
+
+// Golden images live in tests/golden/reference - regenerate with UPDATE_GOLDENS=1
+const GOLDEN_DIR = path.resolve('tests/golden/reference');
+const GOLDEN_CASES = [
+  { name: 'faceted-tetrahedron', system: 'faceted', params: { geometry: 0, gridDensity: 20, chaos: 0.4 }, options: { time: 1200 } },
+  { name: 'faceted-hypercube-rotated', system: 'faceted', params: { geometry: 1, gridDensity: 24, rot4dXW: 0.8, rot4dYZ: 0.4 }, options: { time: 1500 } },
+  { name: 'quantum-torus', system: 'quantum', params: { geometry: 3, hue: 120, chaos: 0.5 }, options: { time: 2000 } },
+  { name: 'quantum-crystal-mouse', system: 'quantum', params: { geometry: 7, morphFactor: 1.6 }, options: { time: 500, mouse: { x: 0.3, y: 0.7, intensity: 0.8 } } },
+  { name: 'holographic-variant-5', system: 'holographic', params: {}, options: { time: 3000, variant: 5 } },
+  { name: 'holographic-klein', system: 'holographic', params: { geometry: 4, hue: 300, chaos: 0.6, gridDensity: 40 }, options: { time: 1000, clickIntensity: 0.5 } }
+];
+
+test.describe('Reference Renderer', () => {
+
+  for (const golden of GOLDEN_CASES) {
+    test(`Matches golden image: ${golden.name}`, () => {
+      const renderer = new ReferenceRenderer({ width: 32, height: 24 });
+      const image = renderer.render(golden.system, golden.params, golden.options);
+      const file = path.join(GOLDEN_DIR, `${golden.name}.json`);
+
+      if (process.env.UPDATE_GOLDENS) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+          ...golden,
+          width: image.width,
+          height: image.height,
+          data: Buffer.from(image.data).toString('base64')
+        }, null, 2) + '\n');
+        return;
+      }
+
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const expected = { width: stored.width, height: stored.height, data: new Uint8ClampedArray(Buffer.from(stored.data, 'base64')) };
+      const difference = ReferenceRenderer.compare(image, expected);
+
+      // Float math differs slightly between engines - allow rounding noise, not pattern changes
+      expect(difference.maxDifference).toBeLessThanOrEqual(3);
+      expect(difference.mismatchedPixels).toBeLessThan(image.width * image.height * 0.05);
+    });
+  }
+
+  test('Renders are deterministic and depend on parameters', () => {
+    const renderer = new ReferenceRenderer({ width: 16, height: 12 });
+    const first = renderer.render('faceted', { geometry: 2, hue: 40 }, { time: 800 });
+    const second = renderer.render('faceted', { geometry: 2, hue: 40 }, { time: 800 });
+    const other = renderer.render('faceted', { geometry: 5, hue: 40 }, { time: 800 });
+
+    expect(ReferenceRenderer.compare(first, second).maxDifference).toBe(0);
+    expect(ReferenceRenderer.compare(first, other).mismatchedPixels).toBeGreaterThan(0);
+    expect(first.data.length).toBe(16 * 12 * 4);
+    expect(() => renderer.render('polychora', {})).toThrow('Reference renderer does not support system: polychora');
+  });
+
+  test('Layer output follows the shader alpha rules', () => {
+    const renderer = new ReferenceRenderer({ width: 8, height: 8 });
+    const holographic = renderer.renderLayer('holographic', 'content', {}, { variant: 2 });
+    const faceted = renderer.renderLayer('faceted', 'background', { intensity: 0.5 });
+
+    // Holographic writes a constant 0.95 alpha; faceted alpha never exceeds intensity × role intensity
+    for (let i = 3; i < holographic.data.length; i += 4) {
+      expect(holographic.data[i]).toBe(Math.round(0.95 * 255));
+      expect(faceted.data[i]).toBeLessThanOrEqual(Math.round(0.5 * 0.3 * 255) + 1);
+    }
+  });
+
+  test('Fallback and gallery thumbnails draw into canvases', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      const { ReferenceRenderer } = await import('/src/reference/ReferenceRenderer.js');
+      const canvas = document.createElement('canvas');
+      canvas.width = 120;
+      canvas.height = 80;
+      const drawn = ReferenceRenderer.drawFallback(canvas, 'quantum', 'content', { geometry: 1 }, { maxSize: 40 });
+      const pixels = canvas.getContext('2d').getImageData(0, 0, 120, 80).data;
+      let lit = 0;
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] > 0) lit++;
+      }
+
+      const gallery = window.engine?.gallerySystem;
+      let thumbnail = null;
+      if (gallery) {
+        const container = gallery.createVariationThumbnail(4, true);
+        document.body.appendChild(container);
+        await new Promise(resolve => {
+          const check = () => gallery.thumbnailQueue.length === 0 && !gallery.thumbnailTimer ? resolve() : setTimeout(check, 20);
+          check();
+        });
+        const thumbCanvas = container.querySelector('canvas');
+        const thumbPixels = thumbCanvas.getContext('2d').getImageData(0, 0, thumbCanvas.width, thumbCanvas.height).data;
+        thumbnail = { opaque: thumbPixels[3], cached: gallery.thumbnailCache.size };
+        container.remove();
+      }
+
+      return { drawn, lit, size: [canvas.width, canvas.height], thumbnail };
+    });
+
+    expect(result.drawn).toBe(true);
+    expect(result.size).toEqual([120, 80]);
+    expect(result.lit).toBeGreaterThan(0);
+    if (result.thumbnail) {
+      expect(result.thumbnail.opaque).toBe(255);
+      expect(result.thumbnail.cached).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import {
+  REGULAR_POLYCHORA,
+  getPolytope,
+  getPolytopeDefinition,
+  verifyPolytope
+} from '../src/geometry/RegularPolychora.js';
+import { Polychora4DPhysics } from '../src/physics/Polychora4DPhysics.js';
+
+test.describe('Regular Polychora', () => {
+
+  test('All six meshes have the known counts and are regular', () => {
+    REGULAR_POLYCHORA.forEach(({ id }) => {
+      const mesh = getPolytope(id);
+      expect(verifyPolytope(mesh), id).toEqual({ valid: true, errors: [] });
+    });
+
+    const cell600 = getPolytope('600-cell');
+    expect(cell600.vertices).toHaveLength(120);
+    expect(cell600.edges).toHaveLength(720);
+    expect(cell600.edgeLength).toBeCloseTo(1 / ((1 + Math.sqrt(5)) / 2), 10);
+
+    const cell120 = getPolytope(5);
+    expect(cell120.cells.every(cell => cell.length === 20)).toBe(true);
+    expect(cell120.faces.every(face => face.length === 5)).toBe(true);
+  });
+
+  test('Broken meshes fail verification', () => {
+    const tesseract = getPolytope('tesseract');
+    const broken = { ...tesseract, edges: tesseract.edges.slice(1) };
+    const result = verifyPolytope(broken);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Tesseract has 31 edges, expected 32');
+    expect(result.errors).toContain('Tesseract Euler characteristic is 1, expected 0');
+    expect(() => getPolytopeDefinition('7-cell')).toThrow('Unknown polytope: 7-cell');
+  });
+
+  test('Scaled copies keep the topology', () => {
+    const unit = getPolytope('24-cell');
+    const scaled = getPolytope('24-cell', { radius: 3 });
+    const byEdge = getPolytope('16-cell', { edgeLength: 2 });
+
+    expect(scaled.edges).toBe(unit.edges);
+    expect(Math.hypot(...scaled.vertices[7])).toBeCloseTo(3, 10);
+    expect(scaled.edgeLength).toBeCloseTo(3, 10);
+    expect(byEdge.circumradius).toBeCloseTo(Math.SQRT2, 10);
+    expect(verifyPolytope(byEdge).valid).toBe(true);
+    expect(Math.hypot(...unit.vertices[7])).toBeCloseTo(1, 10);
+  });
+
+  test('Physics bounding radii come from the meshes', () => {
+    const physics = new Polychora4DPhysics();
+    const radii = REGULAR_POLYCHORA.map((_, index) => physics.calculateBoundingRadius(index));
+
+    // Circumradius / edge length of each polytope at the shared body edge length
+    expect(radii[0]).toBeCloseTo(Math.sqrt(2 / 5) * 0.5, 10);
+    expect(radii[1]).toBeCloseTo(0.5, 10);
+    expect(radii[2]).toBeCloseTo(Math.SQRT1_2 * 0.5, 10);
+    expect(radii[3]).toBeCloseTo(0.5, 10);
+    expect(radii[4]).toBeCloseTo((1 + Math.sqrt(5)) / 4, 10);
+    expect(radii[5]).toBeGreaterThan(radii[4]);
+    expect(physics.calculateBoundingRadius(999)).toBe(1.0);
+  });
+});
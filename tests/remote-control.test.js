@@ -0,0 +1,298 @@
+import { test, expect } from '@playwright/test';
+import dgram from 'dgram';
+import http from 'http';
+import crypto from 'crypto';
+import { createRelay, encodeOSC, decodeFrame, CLOSE_CODES } from '../server/remote-relay.js';
+
+test.describe('Remote Control', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Protocol parses addresses and clamps parameter values', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const protocol = await import('/src/remote/RemoteProtocol.js');
+      let unknownParameter = null;
+      try {
+        protocol.normalizeParameterValue('nope', 1);
+      } catch (error) {
+        unknownParameter = error.message;
+      }
+
+      return {
+        parameter: protocol.parseAddress('/vib34d/quantum/chaos'),
+        active: protocol.parseAddress('/vib34d/active/hue'),
+        snapshot: protocol.parseAddress('/vib34d/snapshot'),
+        state: protocol.parseAddress('/vib34d/state/faceted/hue'),
+        unknown: protocol.parseAddress('/vib34d/bogus/hue'),
+        outside: protocol.parseAddress('/other/hue'),
+        bundle: protocol.decodeMessages('{"bundle":[{"address":"/vib34d/system","args":"quantum"},{"address":"/vib34d/snapshot"}]}'),
+        hue: protocol.normalizeParameterValue('hue', '412.4'),
+        geometry: protocol.normalizeParameterValue('geometry', 2.6),
+        unknownParameter
+      };
+    });
+
+    expect(result.parameter).toEqual({ type: 'parameter', system: 'quantum', parameter: 'chaos' });
+    expect(result.active).toEqual({ type: 'parameter', system: 'active', parameter: 'hue' });
+    expect(result.snapshot).toEqual({ type: 'snapshot' });
+    expect(result.state).toEqual({ type: 'state', path: 'faceted/hue' });
+    expect(result.unknown).toEqual({ type: 'unknown' });
+    expect(result.outside).toBeNull();
+    expect(result.bundle).toEqual([
+      { address: '/vib34d/system', args: ['quantum'] },
+      { address: '/vib34d/snapshot', args: [] }
+    ]);
+    expect(result.hue).toBe(360);
+    expect(result.geometry).toBe(3);
+    expect(result.unknownParameter).toBe('Unknown parameter: nope');
+  });
+
+  test('Commands apply in order and changes are broadcast', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RemoteControl } = await import('/src/remote/RemoteControl.js');
+      class MockSocket {
+        constructor(url) {
+          this.url = url;
+          this.readyState = 1;
+          this.sent = [];
+          MockSocket.instance = this;
+          setTimeout(() => this.onopen(), 0);
+        }
+        send(text) { this.sent.push(JSON.parse(text)); }
+        close() { this.readyState = 3; }
+      }
+
+      const switches = [];
+      const remote = new RemoteControl({
+        WebSocket: MockSocket,
+        switchSystem: async (system) => switches.push(system),
+        getSystem: () => 'faceted'
+      });
+      remote.attach();
+      remote.connect('ws://relay.test:8765');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      await remote.handleText(JSON.stringify({ bundle: [
+        { address: '/vib34d/faceted/hue', args: [123] },
+        { address: '/vib34d/active/chaos', args: [0.4] },
+        { address: '/vib34d/polychora/speed', args: [2] },
+        { address: '/vib34d/system', args: ['nowhere'], from: 3 },
+        { address: '/vib34d/snapshot' }
+      ] }));
+      remote.flush();
+      const sent = MockSocket.instance.sent;
+      remote.destroy();
+
+      return {
+        hue: window.userParameterState.hue,
+        chaos: window.userParameterState.chaos,
+        hueSlider: document.getElementById('hue').value,
+        switches,
+        addresses: sent.map(message => message.address || 'bundle'),
+        errors: sent.filter(message => message.address === '/vib34d/error').map(message => ({ reason: message.args[0], to: message.to })),
+        broadcast: sent.find(message => message.bundle)?.bundle
+      };
+    });
+
+    expect(result.hue).toBe(123);
+    expect(result.chaos).toBeCloseTo(0.4, 5);
+    expect(result.hueSlider).toBe('123');
+    expect(result.switches).toEqual(['polychora']);
+    expect(result.addresses).toEqual([
+      '/vib34d/state/snapshot',
+      '/vib34d/error',
+      '/vib34d/state/snapshot',
+      'bundle'
+    ]);
+    expect(result.errors).toEqual([{ reason: 'Unknown system: nowhere', to: 3 }]);
+    expect(result.broadcast).toEqual(expect.arrayContaining([
+      { address: '/vib34d/state/faceted/hue', args: [123] },
+      { address: '/vib34d/state/faceted/chaos', args: [0.4] }
+    ]));
+  });
+
+  test('Relay forwards WebSocket and OSC commands to the viewer', async ({ page }) => {
+    const relay = await createRelay({ port: 0, oscIn: 0, quiet: true });
+    const udp = dgram.createSocket('udp4');
+
+    try {
+      await page.evaluate(async (url) => {
+        window.remoteControl.connect(url);
+        await new Promise(resolve => window.remoteControl.on('connect', resolve));
+      }, `ws://localhost:${relay.port}`);
+
+      // A second WebSocket client plays the controller
+      const states = await page.evaluate(async (url) => {
+        const controller = new WebSocket(url);
+        const received = [];
+        controller.onmessage = (event) => received.push(JSON.parse(event.data));
+        await new Promise(resolve => { controller.onopen = resolve; });
+        controller.send(JSON.stringify({ address: '/vib34d/active/hue', args: [77] }));
+        await new Promise(resolve => {
+          const check = () => (window.userParameterState.hue === 77 && received.length > 1) ? resolve() : setTimeout(check, 20);
+          check();
+        });
+        controller.close();
+        return received;
+      }, `ws://localhost:${relay.port}`);
+
+      expect(states[0].bundle.map(message => message.address)).toContain('/vib34d/state/snapshot');
+      expect(JSON.stringify(states.slice(1))).toContain('/vib34d/state/faceted/hue');
+
+      udp.send(encodeOSC({ address: '/vib34d/active/morphFactor', args: [1.5] }), relay.oscInPort, '127.0.0.1');
+      await page.waitForFunction(() => window.userParameterState.morphFactor === 1.5, null, { timeout: 5000 });
+    } finally {
+      await page.evaluate(() => window.remoteControl.disconnect());
+      udp.close();
+      await relay.stop();
+    }
+  });
+});
+
+// Status code the relay answers a WebSocket handshake (or GET) with
+const requestRelay = (port, { origin, upgrade = true } = {}) => new Promise((resolve, reject) => {
+  const headers = upgrade
+    ? { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13' }
+    : {};
+  if (origin) headers.Origin = origin;
+  const request = http.request({ host: '127.0.0.1', port, headers });
+  request.on('upgrade', (response, socket) => {
+    socket.destroy();
+    resolve({ status: response.statusCode, headers: response.headers });
+  });
+  request.on('response', (response) => {
+    response.resume();
+    resolve({ status: response.statusCode, headers: response.headers });
+  });
+  request.on('error', reject);
+  request.end();
+});
+
+// Raw WebSocket client - frames are masked unless { masked: false }
+const connectRelay = (port) => new Promise((resolve, reject) => {
+  const request = http.request({ host: '127.0.0.1', port, headers: {
+    Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13'
+  } });
+  request.on('upgrade', (response, socket) => {
+    const client = { socket, frames: [], closed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let frame;
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+        client.frames.push(frame);
+      }
+    });
+    socket.on('close', () => { client.closed = true; });
+    client.send = (payload, { opcode = 0x1, fin = true, masked = true } = {}) => {
+      const data = Buffer.from(payload);
+      const header = data.length < 126 ? Buffer.from([0, data.length])
+        : data.length < 65536 ? Buffer.from([0, 126, data.length >> 8, data.length & 0xFF])
+        : Buffer.concat([Buffer.from([0, 127]), Buffer.alloc(8)]);
+      if (data.length >= 65536) header.writeBigUInt64BE(BigInt(data.length), 2);
+      header[0] = (fin ? 0x80 : 0) | opcode;
+      if (!masked) return socket.write(Buffer.concat([header, data]));
+
+      header[1] |= 0x80;
+      const mask = crypto.randomBytes(4);
+      const body = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+      return socket.write(Buffer.concat([header, mask, body]));
+    };
+    client.messages = () => client.frames.filter(frame => frame.opcode === 0x1).map(frame => JSON.parse(frame.payload.toString('utf8')));
+    client.closeCode = () => client.frames.find(frame => frame.opcode === 0x8)?.payload.readUInt16BE(0);
+    resolve(client);
+  });
+  request.on('error', reject);
+  request.end();
+});
+
+const until = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test.describe('Remote Relay', () => {
+
+  test('Relay only listens locally and refuses other web pages', async () => {
+    const relay = await createRelay({ port: 0, oscIn: 0, quiet: true });
+    try {
+      expect(relay.host).toBe('127.0.0.1');
+      expect(relay.udp.address().address).toBe('127.0.0.1');
+
+      expect((await requestRelay(relay.port)).status).toBe(101);
+      expect((await requestRelay(relay.port, { origin: 'http://localhost:8146' })).status).toBe(101);
+      expect((await requestRelay(relay.port, { origin: 'http://127.0.0.1:8145' })).status).toBe(101);
+      expect((await requestRelay(relay.port, { origin: 'https://evil.example' })).status).toBe(403);
+      expect((await requestRelay(relay.port, { origin: 'null' })).status).toBe(403);
+
+      // Status reads are held to the same origins, and never open to every site
+      const local = await requestRelay(relay.port, { origin: 'http://localhost:8146', upgrade: false });
+      expect(local.status).toBe(200);
+      expect(local.headers['access-control-allow-origin']).toBe('http://localhost:8146');
+      expect((await requestRelay(relay.port, { origin: 'https://evil.example', upgrade: false })).status).toBe(403);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('Unmasked frames and oversized messages close the connection', async () => {
+    const relay = await createRelay({ port: 0, quiet: true });
+    try {
+      const unmasked = await connectRelay(relay.port);
+      unmasked.send(JSON.stringify({ address: '/vib34d/snapshot' }), { masked: false });
+      await until(() => unmasked.closed);
+      expect(unmasked.closeCode()).toBe(CLOSE_CODES.protocolError);
+
+      // Each fragment is under the limit, the message they add up to isn't
+      const fragmented = await connectRelay(relay.port);
+      const half = 'x'.repeat(600 * 1024);
+      fragmented.send(half, { fin: false });
+      fragmented.send(half, { opcode: 0x0 });
+      await until(() => fragmented.closed);
+      expect(fragmented.closeCode()).toBe(CLOSE_CODES.messageTooBig);
+
+      const stray = await connectRelay(relay.port);
+      stray.send('{}', { opcode: 0x0 });
+      await until(() => stray.closed);
+      expect(stray.closeCode()).toBe(CLOSE_CODES.protocolError);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('Replies only reach the client that sent the command', async () => {
+    const relay = await createRelay({ port: 0, quiet: true });
+    try {
+      const [viewer, controller, monitor] = await Promise.all([1, 2, 3].map(() => connectRelay(relay.port)));
+      controller.send(JSON.stringify({ address: '/vib34d/system', args: ['nowhere'] }));
+      await until(() => viewer.messages().length > 0);
+
+      const command = viewer.messages()[0];
+      expect(command).toMatchObject({ address: '/vib34d/system', args: ['nowhere'] });
+      viewer.send(JSON.stringify({ address: '/vib34d/error', args: ['Unknown system: nowhere', '/vib34d/system'], to: command.from }));
+      await until(() => controller.messages().length > 0);
+
+      expect(controller.messages()).toEqual([{ address: '/vib34d/error', args: ['Unknown system: nowhere', '/vib34d/system'] }]);
+      expect(monitor.messages()).toEqual([command]);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('Extra origins are opt-in', async () => {
+    const relay = await createRelay({ port: 0, quiet: true, allowedOrigins: ['http://10.0.0.5:8145'] });
+    try {
+      expect((await requestRelay(relay.port, { origin: 'http://10.0.0.5:8145' })).status).toBe(101);
+      expect((await requestRelay(relay.port, { origin: 'http://10.0.0.6:8145' })).status).toBe(403);
+    } finally {
+      await relay.stop();
+    }
+  });
+});
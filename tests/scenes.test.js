@@ -0,0 +1,176 @@
+import { test, expect } from '@playwright/test';
+import { SceneManager, DEFAULT_SCENE_LAYER } from '../src/scenes/SceneManager.js';
+
+// Minimal stand-ins for the CanvasManager and engines the scene drives in Node
+const createEngine = () => {
+  const values = {};
+  return {
+    values,
+    updateParameter: (param, value) => { values[param] = value; }
+  };
+};
+
+const createCanvasManager = () => {
+  const containers = {};
+  const running = new Map();
+  return {
+    running,
+    containers,
+    getContainer: system => {
+      containers[system] = containers[system] || { style: {} };
+      return containers[system];
+    },
+    addSceneSystem: async system => {
+      const engine = createEngine();
+      running.set(system, engine);
+      return engine;
+    },
+    removeSceneSystem: system => running.delete(system)
+  };
+};
+
+test.describe('Composite Scenes', () => {
+  const hadWindow = 'window' in globalThis;
+
+  test.beforeAll(() => {
+    if (!hadWindow) globalThis.window = {};
+  });
+
+  test.beforeEach(() => {
+    window.currentSystem = 'quantum';
+  });
+
+  test.afterAll(() => {
+    if (!hadWindow) delete globalThis.window;
+  });
+
+  test('Systems are validated and get their own parameters', async () => {
+    const canvasManager = createCanvasManager();
+    const scene = new SceneManager({ canvasManager, engineClasses: {} });
+
+    await expect(scene.addSystem('voxels')).rejects.toThrow('Unknown scene system: voxels');
+    await expect(scene.addSystem('quantum')).rejects.toThrow('quantum is already the primary system');
+
+    const layer = await scene.addSystem('polychora', { zIndex: 40, opacity: 2, parameters: { hue: 90, intensity: 7 } });
+    await expect(scene.addSystem('polychora')).rejects.toThrow('Scene already contains polychora');
+    expect(() => scene.setLayer('polychora', { blendMode: 'glow' })).toThrow('Unknown blend mode: glow');
+    expect(() => scene.setLayer('holographic', { opacity: 0.5 })).toThrow('Scene has no holographic system');
+
+    expect(layer.zIndex).toBe(9);
+    expect(layer.opacity).toBe(1);
+    expect(layer.parameters.hue).toBe(90);
+    expect(layer.parameters.intensity).toBe(1);
+
+    const engine = canvasManager.running.get('polychora');
+    expect(engine.values.hue).toBe(90);
+    expect(engine.values.gridDensity).toBe(15);
+
+    expect(scene.setParameter('polychora', 'gridDensity', 42)).toBe(true);
+    expect(scene.setParameter('polychora', 'bloomStrength', 1)).toBe(false);
+    expect(engine.values.gridDensity).toBe(42);
+    expect(engine.values.bloomStrength).toBeUndefined();
+    expect(() => scene.setParameter('primary', 'hue', 10)).toThrow('Use updateParameter() for the primary system');
+  });
+
+  test('Containers are stacked and blended with CSS', async () => {
+    const canvasManager = createCanvasManager();
+    const scene = new SceneManager({ canvasManager, engineClasses: {} });
+
+    scene.applyStyles();
+    expect(canvasManager.containers.quantum.style).toEqual({ zIndex: '', mixBlendMode: '', opacity: '' });
+
+    await scene.addSystem('polychora', { zIndex: 2, blendMode: 'add', opacity: 0.5 });
+    expect(canvasManager.containers.polychora.style).toEqual({ zIndex: '2', mixBlendMode: 'plus-lighter', opacity: '0.5' });
+    expect(canvasManager.containers.quantum.style.zIndex).toBe('0');
+
+    scene.setLayer('primary', { zIndex: 3, blendMode: 'screen' });
+    expect(canvasManager.containers.quantum.style).toEqual({ zIndex: '3', mixBlendMode: 'screen', opacity: '' });
+
+    scene.clear();
+    expect(canvasManager.running.size).toBe(0);
+    expect(canvasManager.containers.quantum.style).toEqual({ zIndex: '', mixBlendMode: '', opacity: '' });
+  });
+
+  test('Reactivity is routed to reactive systems only', async () => {
+    const canvasManager = createCanvasManager();
+    const scene = new SceneManager({ canvasManager, engineClasses: {} });
+    await scene.addSystem('faceted');
+    await scene.addSystem('holographic', { reactive: false });
+    scene.setLayer('primary', { reactive: false });
+
+    scene.routeReactivity('rot4dXW', 1.25);
+
+    expect(scene.isPrimaryReactive()).toBe(false);
+    expect(canvasManager.running.get('faceted').values.rot4dXW).toBe(1.25);
+    expect(canvasManager.running.get('holographic').values.rot4dXW).toBe(0);
+    expect(scene.getLayer('faceted').parameters.rot4dXW).toBe(1.25);
+  });
+
+  test('Scenes round-trip through serialize and load', async () => {
+    const scene = new SceneManager({ canvasManager: createCanvasManager(), engineClasses: {} });
+    expect(scene.serialize()).toBeNull();
+
+    await scene.addSystem('polychora', { zIndex: 2, blendMode: 'screen', parameters: { hue: 180 } });
+    await scene.addSystem('faceted', { zIndex: -1, reactive: false });
+    scene.setLayer('primary', { opacity: 0.8 });
+
+    const saved = scene.serialize();
+    expect(saved.version).toBe(1);
+    expect(saved.primary).toEqual({ opacity: 0.8 });
+    expect(saved.layers.map(layer => layer.system)).toEqual(['faceted', 'polychora']);
+    expect(saved.layers[1]).toMatchObject({ ...DEFAULT_SCENE_LAYER, zIndex: 2, blendMode: 'screen' });
+    expect(saved.layers[1].parameters.hue).toBe(180);
+
+    const canvasManager = createCanvasManager();
+    const restored = new SceneManager({ canvasManager, engineClasses: {} });
+    const json = JSON.parse(JSON.stringify(saved));
+    json.layers.push({ system: 'quantum' }, { system: 'voxels' });
+    expect(await restored.load(json)).toBe(true);
+
+    expect(restored.getSystems().sort()).toEqual(['faceted', 'polychora']);
+    expect(restored.serialize()).toEqual(saved);
+    expect(canvasManager.running.get('polychora').values.hue).toBe(180);
+
+    expect(await restored.load(null)).toBe(true);
+    expect(restored.serialize()).toBeNull();
+    expect(canvasManager.running.size).toBe(0);
+  });
+
+  test('Scene systems render next to the primary system and save with it', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true && !!window.sceneManager, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      await window.addSceneSystem('quantum');
+      window.updateSceneSetting('blendMode', 'screen');
+      window.updateSceneParameter('hue', 40);
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const quantumLayers = document.getElementById('quantumLayers');
+      const state = window.unifiedSaveManager?.captureCurrentState?.();
+      const running = {
+        primary: window.currentSystem,
+        primaryCanvases: document.querySelectorAll('#vib34dLayers canvas').length,
+        sceneCanvases: quantumLayers.querySelectorAll('canvas').length,
+        blend: quantumLayers.style.mixBlendMode,
+        panel: document.getElementById('sceneLayerSelect').value
+      };
+
+      await window.switchSystem('quantum', { type: 'cut' });
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      return {
+        running,
+        saved: state ? state.scene : undefined,
+        afterSwitch: window.sceneManager.getSystems()
+      };
+    });
+
+    expect(result.running).toEqual({ primary: 'faceted', primaryCanvases: 5, sceneCanvases: 5, blend: 'screen', panel: 'quantum' });
+    if (result.saved !== undefined) {
+      expect(result.saved.layers[0]).toMatchObject({ system: 'quantum', blendMode: 'screen' });
+      expect(result.saved.layers[0].parameters.hue).toBe(40);
+    }
+    expect(result.afterSwitch).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Six-Plane 4D Rotation', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('All six rotation planes are validated and mapped for every system', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ParameterManager } = await import('/src/core/Parameters.js');
+      const { ParameterMapper } = await import('/src/core/ParameterMapper.js');
+
+      const manager = new ParameterManager();
+      manager.setParameter('rot4dXY', 1.5);
+      manager.setParameter('rot4dXZ', 99); // clamped
+      manager.setParameter('rot4dYZ', -99); // clamped
+
+      const mapper = new ParameterMapper();
+      const planes = ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'];
+      const mapped = {};
+      ['vib34d', 'holographic', 'polychora'].forEach(system => {
+        mapped[system] = planes.every(plane => mapper.mappings[system].to[plane] === plane);
+      });
+
+      return { params: manager.getAllParameters(), mapped };
+    });
+
+    expect(result.params.rot4dXY).toBeCloseTo(1.5, 5);
+    expect(result.params.rot4dXZ).toBeCloseTo(6.28, 5);
+    expect(result.params.rot4dYZ).toBeCloseTo(-6.28, 5);
+    expect(result.mapped).toEqual({ vib34d: true, holographic: true, polychora: true });
+  });
+
+  test('Rotation sliders for the 3D planes reach the faceted visualizers', async ({ page }) => {
+    const value = await page.evaluate(() => {
+      window.updateParameter('rot4dXZ', '1.25');
+      return window.engine?.visualizers?.[0]?.params?.rot4dXZ;
+    });
+
+    expect(await page.locator('#rot4dXZ').count()).toBe(1);
+    expect(value).toBeCloseTo(1.25, 5);
+  });
+
+  test('Randomize covers each plane\'s full range', async ({ page }) => {
+    const extremes = await page.evaluate(async () => {
+      const { ParameterManager } = await import('/src/core/Parameters.js');
+      const manager = new ParameterManager();
+      const planes = ['rot4dXY', 'rot4dXZ', 'rot4dYZ', 'rot4dXW', 'rot4dYW', 'rot4dZW'];
+      const extremes = Object.fromEntries(planes.map(plane => [plane, 0]));
+      for (let i = 0; i < 200; i++) {
+        manager.randomizeAll();
+        planes.forEach(plane => {
+          extremes[plane] = Math.max(extremes[plane], Math.abs(manager.getParameter(plane)));
+        });
+      }
+      return extremes;
+    });
+
+    Object.values(extremes).forEach(extreme => {
+      expect(extreme).toBeGreaterThan(2);
+      expect(extreme).toBeLessThanOrEqual(6.28);
+    });
+  });
+});
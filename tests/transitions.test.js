@@ -0,0 +1,203 @@
+import { test, expect } from '@playwright/test';
+import {
+  TransitionManager,
+  getTransitionFrame,
+  getWipeClipPath,
+  createDissolveNoise,
+  getDissolveAlpha
+} from '../src/transitions/TransitionManager.js';
+
+// Minimal stand-ins for the browser pieces the manager touches in Node
+const createContainer = () => ({ style: {} });
+const createEngine = (rotation = 0) => {
+  const values = { rot4dXW: rotation };
+  return {
+    values,
+    parameterManager: {
+      getParameter: param => values[param],
+      setParameter: (param, value) => { values[param] = value; }
+    }
+  };
+};
+
+test.describe('Transitions', () => {
+  const hadWindow = 'window' in globalThis;
+  const hadFrame = 'requestAnimationFrame' in globalThis;
+
+  test.beforeAll(() => {
+    if (!hadWindow) globalThis.window = { userParameterState: { rot4dXW: 0.5 } };
+    if (!hadFrame) {
+      globalThis.requestAnimationFrame = callback => setTimeout(callback, 16);
+      globalThis.cancelAnimationFrame = id => clearTimeout(id);
+    }
+  });
+
+  test.afterAll(() => {
+    if (!hadWindow) delete globalThis.window;
+    if (!hadFrame) {
+      delete globalThis.requestAnimationFrame;
+      delete globalThis.cancelAnimationFrame;
+    }
+  });
+
+  test('Frames describe every transition type', () => {
+    expect(getTransitionFrame('crossfade', 0.25).outgoing.opacity).toBe(0.75);
+    expect(getTransitionFrame('crossfade', 0.25).incoming.opacity).toBe(0.25);
+    expect(getTransitionFrame('dissolve', 0.4).outgoing.dissolve).toBe(0.4);
+    expect(getTransitionFrame('wipe', 0.5, 'down').outgoing.clipPath).toBe('inset(50.00% 0 0 0)');
+    expect(getWipeClipPath('right', 1)).toBe('inset(0 0 0 100.00%)');
+    expect(getWipeClipPath('left', 0.1)).toBe('inset(0 10.00% 0 0)');
+
+    const start = getTransitionFrame('rotate-w', 0);
+    const end = getTransitionFrame('rotate-w', 1);
+    expect(start.incoming.rotation).toBeCloseTo(-Math.PI / 2);
+    expect(end.outgoing.rotation).toBeCloseTo(Math.PI / 2);
+    expect(end.incoming.rotation).toBeCloseTo(0);
+    expect(getTransitionFrame('cut', 0).outgoing.opacity).toBe(0);
+  });
+
+  test('Dissolve mask goes from fully shown to fully gone', () => {
+    const noise = createDissolveNoise(32, 18);
+    expect(noise.length).toBe(32 * 18);
+    expect(createDissolveNoise(32, 18)).toEqual(noise);
+    expect(Math.min(...noise)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...noise)).toBeLessThan(1);
+
+    noise.forEach(value => {
+      expect(getDissolveAlpha(value, 0)).toBe(1);
+      expect(getDissolveAlpha(value, 1)).toBe(0);
+    });
+    const halfway = Array.from(noise).filter(value => getDissolveAlpha(value, 0.5) === 1).length;
+    expect(halfway).toBeGreaterThan(noise.length * 0.3);
+    expect(halfway).toBeLessThan(noise.length * 0.7);
+  });
+
+  test('Settings are validated', () => {
+    const manager = new TransitionManager();
+    expect(manager.getSettings()).toEqual({ type: 'crossfade', duration: 600, direction: 'right', easing: 'easeInOutSine' });
+
+    expect(() => manager.configure({ type: 'spin' })).toThrow('Unknown transition: spin');
+    expect(() => manager.configure({ direction: 'sideways' })).toThrow('Unknown wipe direction: sideways');
+    expect(manager.configure({ type: 'wipe', duration: 99999 }).duration).toBe(10000);
+
+    const instant = manager.resolve({ duration: 0 });
+    expect(instant.type).toBe('wipe');
+    expect(manager.isCut(instant)).toBe(true);
+    expect(manager.isCut(manager.resolve({ type: 'cut', duration: 500 }))).toBe(true);
+  });
+
+  test('Outgoing system stays alive until the transition finishes', async () => {
+    const manager = new TransitionManager({ type: 'crossfade', duration: 120 });
+    const outgoing = { container: createContainer(), engine: createEngine(), retired: 0 };
+    outgoing.retire = () => outgoing.retired++;
+    const incoming = { container: createContainer(), engine: createEngine() };
+    const events = [];
+    manager.on('end', data => events.push(data));
+
+    const done = manager.transitionSystems(outgoing, incoming);
+    expect(manager.isRunning()).toBe(true);
+    expect(outgoing.retired).toBe(0);
+    expect(outgoing.container.style.zIndex).toBe('2');
+
+    expect(await done).toBe(true);
+    expect(outgoing.retired).toBe(1);
+    expect(incoming.container.style.opacity).toBe('1');
+    expect(outgoing.container.style.zIndex).toBe('');
+    expect(events).toEqual([{ type: 'crossfade', finished: true }]);
+  });
+
+  test('A new switch cuts the running transition short', async () => {
+    const manager = new TransitionManager({ type: 'rotate-w', duration: 5000 });
+    const outgoing = { container: createContainer(), engine: createEngine(1), retired: 0 };
+    outgoing.retire = () => outgoing.retired++;
+    const incoming = { container: createContainer(), engine: createEngine() };
+
+    const done = manager.transitionSystems(outgoing, incoming);
+    // First frame runs immediately: the incoming system starts a quarter turn away in XW
+    expect(incoming.engine.values.rot4dXW).toBeCloseTo(0.5 - Math.PI / 2);
+
+    manager.finish();
+    expect(await done).toBe(false);
+    expect(outgoing.retired).toBe(1);
+    expect(incoming.engine.values.rot4dXW).toBe(0.5);
+
+    // Cuts skip the animation entirely
+    const cutOutgoing = { container: createContainer(), retire: () => { cutOutgoing.retired = true; } };
+    expect(await manager.transitionSystems(cutOutgoing, { container: createContainer() }, { type: 'cut' })).toBe(true);
+    expect(cutOutgoing.retired).toBe(true);
+  });
+
+  test('Variation morph swaps the variation at the edge-on midpoint', async () => {
+    const manager = new TransitionManager({ type: 'rotate-w', duration: 100 });
+    const engine = createEngine(0.2);
+    let applied = 0;
+    const apply = () => {
+      applied++;
+      engine.values.rot4dXW = 1.0;
+    };
+
+    expect(await manager.transitionVariation(apply, { engine, container: createContainer() })).toBe(true);
+    expect(applied).toBe(1);
+    expect(engine.values.rot4dXW).toBe(1.0);
+
+    // Without a container there is nothing to animate - the variation applies at once
+    expect(await manager.transitionVariation(apply, { type: 'crossfade' })).toBe(true);
+    expect(applied).toBe(2);
+  });
+
+  test('System switch animates and retires the previous system', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true && !!window.transitionManager, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      window.transitionManager.configure({ type: 'wipe', duration: 800 });
+      const switching = window.switchSystem('quantum');
+      await switching;
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const during = {
+        running: window.transitionManager.isRunning(),
+        outgoingCanvases: document.querySelectorAll('#vib34dLayers canvas').length,
+        incomingCanvases: document.querySelectorAll('#quantumLayers canvas').length,
+        clipPath: document.getElementById('vib34dLayers').style.clipPath
+      };
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        during,
+        after: {
+          running: window.transitionManager.isRunning(),
+          outgoingCanvases: document.querySelectorAll('#vib34dLayers canvas').length,
+          outgoingHidden: document.getElementById('vib34dLayers').style.display === 'none',
+          system: window.currentSystem
+        }
+      };
+    });
+
+    expect(result.during.running).toBe(true);
+    expect(result.during.outgoingCanvases).toBe(5);
+    expect(result.during.incomingCanvases).toBe(5);
+    expect(result.during.clipPath).toContain('inset');
+    expect(result.after).toEqual({ running: false, outgoingCanvases: 0, outgoingHidden: true, system: 'quantum' });
+  });
+
+  test('Per-switch options survive the logo\'s switchSystem wrapper', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true && window.dynamicLogoSystem?.isInitialized, null, { timeout: 10000 });
+
+    const resolved = await page.evaluate(async () => {
+      const manager = window.transitionManager;
+      const resolve = manager.resolve.bind(manager);
+      const seen = [];
+      manager.resolve = (overrides) => {
+        seen.push(overrides);
+        return resolve(overrides);
+      };
+      await window.switchSystem('quantum', { type: 'dissolve', duration: 300, easing: 'linear' });
+      manager.resolve = resolve;
+      return seen;
+    });
+
+    expect(resolved).toEqual([{ type: 'dissolve', duration: 300, easing: 'linear' }]);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Variation Schema', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+  });
+
+  test('Legacy configs and collections migrate to the current schema', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { VariationSchema, CURRENT_SCHEMA_VERSION } = await import('/src/variations/VariationSchema.js');
+
+      const config = VariationSchema.migrate({
+        type: 'vib34d-integrated-config',
+        version: '2.0',
+        name: 'Old Export',
+        variation: 12,
+        parameters: { geometry: 3, gridDensity: 20, hue: 120 }
+      });
+
+      const holographic = VariationSchema.migrate({
+        type: 'holographic-collection',
+        version: '1.0',
+        name: 'Custom Pack',
+        customVariations: [{ id: 30, name: 'TORUS CUSTOM 1', params: { geometryType: 3, density: 1.3, morph: 0.5 } }]
+      });
+
+      return {
+        currentVersion: CURRENT_SCHEMA_VERSION,
+        configVersion: config.document.schemaVersion,
+        configVariation: config.document.variations[0],
+        holographicVariation: holographic.document.variations[0],
+        stepsApplied: holographic.applied.length
+      };
+    });
+
+    expect(result.configVersion).toBe(result.currentVersion);
+    expect(result.configVariation.system).toBe('faceted');
+    expect(result.configVariation.parameters).toMatchObject({ variation: 12, geometry: 3, gridDensity: 20, rot4dXY: 0 });
+    expect(result.holographicVariation.system).toBe('holographic');
+    expect(result.holographicVariation.parameters).toMatchObject({ geometry: 3, gridDensity: 1.3, morphFactor: 0.5 });
+    expect(result.holographicVariation.parameters.geometryType).toBeUndefined();
+    expect(result.stepsApplied).toBe(result.currentVersion);
+  });
+
+  test('Mixed-system collections infer each variation system from its own fields', async ({ page }) => {
+    const systems = await page.evaluate(async () => {
+      const { VariationSchema } = await import('/src/variations/VariationSchema.js');
+      const { document } = VariationSchema.migrate({
+        type: 'holographic-collection',
+        version: '1.0',
+        name: 'Mixed Pack',
+        variations: [
+          { name: 'Faceted', parameters: { geometry: 2, gridDensity: 12 } },
+          { name: 'Holographic', parameters: { geometryType: 3, density: 1.3 } },
+          { name: 'Polychora', parameters: { polytope: 2, lineThickness: 0.4 } },
+          { name: 'Quantum', system: 'quantum', parameters: { hue: 100 } }
+        ]
+      });
+      return document.variations.map(variation => variation.system);
+    });
+
+    expect(systems).toEqual(['faceted', 'holographic', 'polychora', 'quantum']);
+  });
+
+  test('CollectionManager loads base-variations.json through the migration chain', async ({ page }) => {
+    const collection = await page.evaluate(async () => {
+      const { CollectionManager } = await import('/src/features/CollectionManager.js');
+      const manager = new CollectionManager();
+      const loaded = await manager.loadCollection('base-variations.json');
+      return { type: loaded.type, count: loaded.variations.length, first: loaded.variations[0] };
+    });
+
+    expect(collection.type).toBe('vib34d-variations');
+    expect(collection.count).toBe(30);
+    expect(collection.first.parameters.rot4dYZ).toBe(0);
+  });
+
+  test('Unmigratable files report every problem', async ({ page }) => {
+    const reports = await page.evaluate(async () => {
+      const { VariationSchema } = await import('/src/variations/VariationSchema.js');
+      const attempt = (data) => {
+        try {
+          VariationSchema.migrate(data, { source: 'broken.json' });
+          return null;
+        } catch (error) {
+          return { name: error.name, errors: error.errors, report: error.report };
+        }
+      };
+
+      return {
+        unknownType: attempt({ type: 'mystery-format' }),
+        newerVersion: attempt({ type: 'vib34d-variations', schemaVersion: 99, name: 'Future', variations: [] }),
+        brokenVariations: attempt({
+          type: 'holographic-collection',
+          variations: [{ name: 'No Params' }, { name: 'Bad Value', parameters: { hue: 'red' } }]
+        }),
+        badSystem: attempt({
+          type: 'vib34d-enhanced-collection',
+          variations: [{ name: 'Where', system: 'mandelbulb', parameters: { hue: 10 } }]
+        })
+      };
+    });
+
+    expect(reports.unknownType.name).toBe('VariationSchemaError');
+    expect(reports.unknownType.report).toContain('broken.json: Unknown file type "mystery-format"');
+    expect(reports.newerVersion.report).toContain('schema version 99');
+    expect(reports.brokenVariations.errors).toEqual(['variation 0 ("No Params") has no parameters']);
+    expect(reports.badSystem.errors[0]).toContain('unknown system "mandelbulb"');
+  });
+});
@@ -0,0 +1,118 @@
+import { test, expect } from '@playwright/test';
+import {
+  UNIFORM_POLYCHORA,
+  buildWythoffPolytope,
+  isCoxeterDiagram,
+  parseCoxeterDiagram
+} from '../src/geometry/WythoffConstruction.js';
+import {
+  REGULAR_POLYCHORA,
+  addUniformPolytope,
+  getPolytope,
+  getPolytopeNames,
+  verifyPolytope
+} from '../src/geometry/RegularPolychora.js';
+import { slicePolytope } from '../src/geometry/HyperplaneSlicer.js';
+import { buildPolytopeMesh } from '../src/export/MeshExporter.js';
+import { Polychora4DPhysics } from '../src/physics/Polychora4DPhysics.js';
+
+const counts = mesh => [mesh.vertices.length, mesh.edges.length, mesh.faces.length, mesh.cells.length];
+
+test.describe('Wythoff Construction', () => {
+
+  test('Diagrams are parsed and rejected', () => {
+    expect(parseCoxeterDiagram('x4o3o3o')).toEqual({
+      diagram: 'x4o3o3o',
+      nodes: ['x', 'o', 'o', 'o'],
+      branches: [4, 3, 3]
+    });
+    expect(parseCoxeterDiagram('s2s10o2x').branches).toEqual([2, 10, 2]);
+    expect(isCoxeterDiagram('x3o3o3o')).toBe(true);
+    expect(isCoxeterDiagram('tesseract')).toBe(false);
+
+    expect(() => buildWythoffPolytope('x3o3o')).toThrow('Invalid Coxeter-Dynkin diagram');
+    expect(() => buildWythoffPolytope('o3o3o3o')).toThrow('no ringed node');
+    expect(() => buildWythoffPolytope('x6o3o3o')).toThrow('no finite symmetry group');
+    expect(() => buildWythoffPolytope('s3s3s3s')).toThrow('no uniform alternation');
+  });
+
+  test('Ringed diagrams reproduce the regular polychora', () => {
+    expect(counts(buildWythoffPolytope('x3o3o3o'))).toEqual([5, 10, 10, 5]);
+    expect(counts(buildWythoffPolytope('x4o3o3o'))).toEqual([16, 32, 24, 8]);
+    expect(counts(buildWythoffPolytope('x3o3o4o'))).toEqual([8, 24, 32, 16]);
+    expect(counts(buildWythoffPolytope('s4o3o3o'))).toEqual([8, 24, 32, 16]);
+  });
+
+  test('Catalog meshes are uniform and verified', () => {
+    const expected = {
+      'truncated-5-cell': [20, 40, 30, 10],
+      'cantellated-tesseract': [96, 288, 248, 56],
+      'omnitruncated-tesseract': [384, 768, 464, 80],
+      'snub-24-cell': [96, 432, 480, 144],
+      'rectified-120-cell': [1200, 3600, 3120, 720],
+      '3-5-duoprism': [15, 30, 23, 8],
+      'square-antiprismatic-prism': [16, 40, 36, 12]
+    };
+
+    UNIFORM_POLYCHORA.forEach(({ id }) => {
+      const mesh = getPolytope(id);
+      const [v, e, f, c] = counts(mesh);
+      expect(v - e + f - c, id).toBe(0);
+      expect(verifyPolytope(mesh), id).toEqual({ valid: true, errors: [] });
+      if (expected[id]) expect(counts(mesh), id).toEqual(expected[id]);
+    });
+  });
+
+  test('Uniform polytopes get indices after the regular ones', () => {
+    const names = getPolytopeNames();
+    expect(names.length).toBe(REGULAR_POLYCHORA.length + UNIFORM_POLYCHORA.length);
+    expect(names).toContain('Snub 24-Cell');
+    expect(getPolytope(REGULAR_POLYCHORA.length).id).toBe(UNIFORM_POLYCHORA[0].id);
+
+    const index = addUniformPolytope('x3x3o4o', { id: 'truncated-16-cell-test', name: 'Test Truncated 16-Cell' });
+    expect(getPolytopeNames()[index]).toBe('Test Truncated 16-Cell');
+    expect(addUniformPolytope('x3x3o4o')).toBe(index);
+    expect(counts(getPolytope(index))).toEqual([48, 120, 96, 24]);
+    expect(() => addUniformPolytope('x6o3o3o')).toThrow();
+    expect(getPolytopeNames().length).toBe(names.length + 1);
+  });
+
+  test('Uniform polytopes work in physics, slicing and export', () => {
+    const physics = new Polychora4DPhysics();
+    const index = getPolytopeNames().indexOf('Rectified Tesseract');
+    const radius = physics.calculateBoundingRadius(index);
+    const mesh = getPolytope('rectified-tesseract');
+    expect(radius).toBeCloseTo(physics.polytopeEdgeLength / mesh.edgeLength, 6);
+    expect(physics.calculateBoundingRadius('o4x3o3o')).toBeCloseTo(radius, 6);
+
+    // Any cut through the middle is a closed polyhedron (V - E + F = 2)
+    const slice = slicePolytope('rectified-tesseract', { offset: 0.1 });
+    expect(slice.vertices.length).toBeGreaterThan(0);
+    expect(slice.vertices.length - slice.edges.length + slice.faces.length).toBe(2);
+
+    const exported = buildPolytopeMesh({ polytope: '3-3-duoprism' }, { segments: 6, edgeSamples: 1 });
+    expect(exported.name).toBe('3,3-Duoprism');
+    expect(exported.triangleCount).toBeGreaterThan(0);
+  });
+
+  test('Diagrams typed in the panel are drawn by the live polychora engine', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.moduleReady === true, { timeout: 10000 });
+    await page.evaluate(() => window.switchSystem('polychora', { type: 'cut' }));
+
+    const result = await page.evaluate(async () => {
+      const engine = window.polychoraSystem;
+      await window.addPolytopeDiagram('x3x3o3x');
+      const picked = { polytope: engine.getCurrentPolytope().id, saved: engine.getParameters().polytope };
+      picked.vertices = engine.computeProjectedMesh(engine.getParameters()).vertices.length;
+      window.updateParameter('geometry', 4);
+      return { engine: engine.constructor.name, picked, afterGeometry: engine.getCurrentPolytope().id };
+    });
+
+    expect(result.engine).toBe('NewPolychoraEngine');
+    expect(result.picked.polytope).toBe('x3x3o3x');
+    expect(result.picked.saved).toBeGreaterThanOrEqual(6);
+    expect(result.picked.vertices).toBeGreaterThan(0);
+    expect(result.afterGeometry).toBe('16-cell');
+  });
+});